@@ -2384,6 +2384,101 @@ async function initializeDatabase() {
       await client.query(`CREATE INDEX IF NOT EXISTS idx_club_ffb_match_dates_club ON club_ffb_match_dates(club_id)`);
       await client.query(`CREATE INDEX IF NOT EXISTS idx_club_ffb_match_dates_org ON club_ffb_match_dates(organization_id)`);
 
+      // V 2.0.901 — named scenarios per brief ("finales en mars / en avril",
+      // "sans tel club hôte"). Each keeps its own generation settings and
+      // placements, so regenerating one no longer wipes the others; one of
+      // them can be promoted to calendar_draft.
+      //   - constraint_overrides: same shape as POST /generate
+      //     { rule_type: { parameters?, weight?, enabled? } }
+      //   - excluded_hosts: club ids removed from brief.active_hosts
+      //   - ligue_final_overrides: { category_id: 'YYYY-MM-DD' } over ligue_final_dates
+      //   - last_result: stats, conflicts and solver report of the last generation
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS calendar_scenarios (
+          id SERIAL PRIMARY KEY,
+          brief_id INTEGER NOT NULL REFERENCES calendar_brief(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          description TEXT,
+          constraint_overrides JSONB NOT NULL DEFAULT '{}'::jsonb,
+          excluded_hosts JSONB NOT NULL DEFAULT '[]'::jsonb,
+          ligue_final_overrides JSONB NOT NULL DEFAULT '{}'::jsonb,
+          solver TEXT NOT NULL DEFAULT 'greedy' CHECK (solver IN ('greedy','optimize')),
+          time_budget_ms INTEGER,
+          last_result JSONB,
+          generated_at TIMESTAMP,
+          promoted_at TIMESTAMP,
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(brief_id, name)
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS calendar_scenario_placements (
+          id SERIAL PRIMARY KEY,
+          scenario_id INTEGER NOT NULL REFERENCES calendar_scenarios(id) ON DELETE CASCADE,
+          weekend_date DATE NOT NULL,
+          mode TEXT,
+          category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+          tournament_type TEXT NOT NULL,
+          host_club_id INTEGER REFERENCES clubs(id) ON DELETE SET NULL,
+          locked_by_user BOOLEAN DEFAULT FALSE,
+          conflict_flags JSONB DEFAULT '[]'::jsonb,
+          manual_comment TEXT,
+          modified_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(scenario_id, category_id, tournament_type)
+        )
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_calendar_scenario_placements_scenario ON calendar_scenario_placements(scenario_id)`);
+
+      // V 2.0.902 — cross-CDB conflicts found on the ligue overlay of the
+      // published grids (utils/ligue-calendar.js), one row per CDB involved.
+      // Replaced wholesale per ligue + season on every refresh; shown in
+      // each CDB's /calendar-generator/sync-status.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS calendar_ligue_warnings (
+          id SERIAL PRIMARY KEY,
+          organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+          season TEXT NOT NULL,
+          kind TEXT NOT NULL CHECK (kind IN ('shared_host','ligue_final_clash','shared_players')),
+          tournoi_ext_id INTEGER,
+          other_organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+          weekend_date DATE NOT NULL,
+          message TEXT NOT NULL,
+          detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_calendar_ligue_warnings_org ON calendar_ligue_warnings(organization_id, season)`);
+
+      // V 2.0.904 — iCalendar feeds of the published grid (utils/calendar-feeds.js).
+      // One row per published tournament, keyed by its identity in the grid
+      // so the UID survives republishes; `sequence` is bumped whenever the
+      // date, place or title changes, and the row turns 'cancelled' when the
+      // tournament disappears from the grid. former_host_club_ids keeps the
+      // clubs that hosted it before, whose feeds must cancel it.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS calendar_feed_events (
+          id SERIAL PRIMARY KEY,
+          organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+          season TEXT NOT NULL,
+          category_id INTEGER NOT NULL,
+          tournament_type TEXT NOT NULL,
+          uid TEXT NOT NULL,
+          tournoi_ext_id INTEGER,
+          host_club_id INTEGER,
+          former_host_club_ids INTEGER[] NOT NULL DEFAULT '{}',
+          event_date DATE,
+          title TEXT,
+          location TEXT,
+          status TEXT NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed','cancelled')),
+          sequence INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(organization_id, season, category_id, tournament_type)
+        )
+      `);
+
       console.log('[Migration] Seasonal Calendar Generator schema ready');
     } catch (calendarErr) {
       console.error('[Migration] Seasonal Calendar Generator schema FAILED (non-fatal):', calendarErr.message);
@@ -3208,6 +3303,448 @@ async function initializeDatabase() {
     }
     // End V 2.0.595 — DdJ V3
 
+    // ------------------------------------------------------------------
+    // V 2.0.881 — Per-table scorer tablets.
+    //
+    // At a 6-table venue the DdJ used to be the only person entering
+    // scores. Each physical table can now get a tablet paired to it:
+    //   - The DdJ creates a pairing for table N → a 6-digit code is shown
+    //     on their screen (QR + digits).
+    //   - The tablet enters the code once → gets a scoped JWT bound to
+    //     (tournoi_id, table_number). The row id is in the token so the
+    //     DdJ can revoke it at any time (revoked_at).
+    //   - One active tablet per table (partial unique index).
+    //
+    // On the 4 match tables:
+    //   - locked_at / locked_by : the DdJ froze the match, tablet saves
+    //     are refused (the DdJ can still overrule).
+    //   - entry_source : who wrote the last score — 'ddj' or 'table_<N>'.
+    // ------------------------------------------------------------------
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ddj_scorer_tablets (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id) ON DELETE CASCADE,
+        table_number INTEGER NOT NULL,
+        pairing_code VARCHAR(6),
+        pairing_expires_at TIMESTAMP,
+        paired_at TIMESTAMP,
+        last_seen_at TIMESTAMP,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_ddj_scorer_tablets_active
+        ON ddj_scorer_tablets (tournoi_id, table_number) WHERE revoked_at IS NULL
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ddj_scorer_tablets_code ON ddj_scorer_tablets(pairing_code) WHERE pairing_code IS NOT NULL`);
+    for (const tableName of ['ddj_poule_matches', 'ddj_bracket_matches', 'ddj_consolante_matches', 'ddj_barrage_matches']) {
+      await client.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP`);
+      await client.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS locked_by INTEGER`);
+      await client.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS entry_source TEXT`);
+    }
+
+    // ------------------------------------------------------------------
+    // V 2.0.882 — Reprise-by-reprise scoresheet (feuille de match).
+    // One row per reprise per player (player_side 1 = p1, 2 = p2) for
+    // any DdJ match. match_kind + match_ref identify the match across
+    // the 4 phase tables: 'poule' + 'P2-M3', 'bracket' + 'SF1',
+    // 'consolante' + phase code, 'barrage' + 'M1'. Optional — matches
+    // scored the usual way simply have no rows here.
+    // ------------------------------------------------------------------
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ddj_match_reprises (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id) ON DELETE CASCADE,
+        match_kind TEXT NOT NULL,
+        match_ref TEXT NOT NULL,
+        reprise_number INTEGER NOT NULL,
+        player_side SMALLINT NOT NULL CHECK (player_side IN (1, 2)),
+        points INTEGER NOT NULL CHECK (points >= 0),
+        entered_by INTEGER REFERENCES users(id),
+        entered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (tournoi_id, match_kind, match_ref, reprise_number, player_side)
+      )
+    `);
+
+    // ------------------------------------------------------------------
+    // V 2.0.884 — Swiss-system format (système suisse).
+    //   - ddj_session.format : 'poules' (default flow poules → tableau
+    //     final → classement) or 'swiss'. swiss_rounds = planned rounds.
+    //   - ddj_swiss_players : roster frozen when the DdJ switches to the
+    //     Swiss format (present players at that time), with the seed used
+    //     for round 1.
+    //   - ddj_swiss_matches : one row per pairing, created when a round is
+    //     paired. p2_licence NULL = exempt (bye) for that round.
+    // ------------------------------------------------------------------
+    await client.query(`ALTER TABLE ddj_session ADD COLUMN IF NOT EXISTS format VARCHAR(20) DEFAULT 'poules'`);
+    await client.query(`ALTER TABLE ddj_session ADD COLUMN IF NOT EXISTS swiss_rounds INTEGER`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ddj_swiss_players (
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id) ON DELETE CASCADE,
+        licence TEXT NOT NULL,
+        player_name TEXT,
+        club TEXT,
+        seed INTEGER NOT NULL,
+        PRIMARY KEY (tournoi_id, licence)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ddj_swiss_matches (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id) ON DELETE CASCADE,
+        round_number INTEGER NOT NULL,
+        match_number INTEGER NOT NULL,
+        table_number INTEGER,
+        p1_licence TEXT NOT NULL,
+        p2_licence TEXT,
+        p1_points INTEGER,
+        p1_reprises INTEGER,
+        p1_serie INTEGER,
+        p2_points INTEGER,
+        p2_reprises INTEGER,
+        p2_serie INTEGER,
+        entered_at TIMESTAMP,
+        entered_by INTEGER,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        referee_name TEXT,
+        referee_licence TEXT,
+        locked_at TIMESTAMP,
+        locked_by INTEGER,
+        entry_source TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (tournoi_id, round_number, match_number)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ddj_swiss_matches_tournoi ON ddj_swiss_matches(tournoi_id)`);
+
+    // V 2.0.885 — Poule unique chosen at étape 2: ddj_session.format =
+    // 'poule_unique', poule_unique_legs = 1 (simple) or 2 (aller-retour).
+    await client.query(`ALTER TABLE ddj_session ADD COLUMN IF NOT EXISTS poule_unique_legs INTEGER`);
+
+    // ------------------------------------------------------------------
+    // V 2.0.888 — Historical ranking snapshots.
+    //   `rankings` only holds the latest state; every recalculation now also
+    //   appends an immutable copy here (never updated, never deleted with
+    //   the tournament) so the ranking "as of" a date can be replayed.
+    //   - trigger        : what caused the recalculation (import, recompute…)
+    //   - tournament_ids : JSON list of the tournaments counted at that time
+    //   - rows           : JSON copy of the ranking rows, in rank order
+    // ------------------------------------------------------------------
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ranking_snapshots (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id),
+        category_id INTEGER NOT NULL,
+        season TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        tournament_id INTEGER,
+        mode TEXT,
+        tiebreak_chain TEXT,
+        tournament_ids TEXT,
+        player_count INTEGER DEFAULT 0,
+        rows TEXT NOT NULL,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ranking_snapshots_lookup ON ranking_snapshots(category_id, season, organization_id, created_at)`);
+
+    // V 2.0.889 — Qualification figée des finales : liste des qualifiés et
+    // réserve ordonnée. Une entrée par joueur (qualifié ou réserviste) ;
+    // status = qualified | reserve | promoted (repêché, en attente de
+    // réponse) | renounced | declined | expired.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS finale_qualification_lists (
+        tournoi_id INTEGER PRIMARY KEY REFERENCES tournoi_ext(tournoi_id),
+        organization_id INTEGER REFERENCES organizations(id),
+        category_id INTEGER,
+        season TEXT,
+        qualified_count INTEGER NOT NULL,
+        ranking_snapshot_id INTEGER,
+        frozen_by INTEGER,
+        frozen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS finale_qualification_entries (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id),
+        organization_id INTEGER REFERENCES organizations(id),
+        licence TEXT NOT NULL,
+        player_name TEXT,
+        rank_position INTEGER,
+        status TEXT NOT NULL,
+        reserve_order INTEGER,
+        replaced_licence TEXT,
+        response_deadline TIMESTAMP,
+        promoted_at TIMESTAMP,
+        responded_at TIMESTAMP,
+        source TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tournoi_id, licence)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_finale_qualification_entries_status ON finale_qualification_entries(status, response_deadline)`);
+
+    // V 2.0.891 — Outbound email queue (bulk sends are queued, then delivered
+    // by the queue worker with retries and a per-org throughput cap)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_queue_batches (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        label TEXT NOT NULL,
+        email_type VARCHAR(50),
+        campaign_id INTEGER,
+        total INTEGER DEFAULT 0,
+        created_by INTEGER,
+        created_by_username TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_queue (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        batch_id INTEGER REFERENCES email_queue_batches(id) ON DELETE CASCADE,
+        email_type VARCHAR(50),
+        recipient_kind VARCHAR(20) NOT NULL,
+        recipient_email TEXT NOT NULL,
+        recipient_name TEXT,
+        licence TEXT,
+        subject TEXT,
+        payload TEXT NOT NULL,                    -- JSON: sendEmail payload (attachments as base64)
+        meta TEXT,                                -- JSON: context, triggeredByUserId
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        provider VARCHAR(20),
+        provider_message_id TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue(status, next_attempt_at)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_queue_batch ON email_queue(batch_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_queue_org_sent ON email_queue(organization_id, sent_at)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_queue_message ON email_queue(provider_message_id)`);
+    // Bounce / complaint events received from the providers
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_delivery_events (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        provider VARCHAR(20),
+        event_type VARCHAR(30) NOT NULL,          -- bounced | complained | delivered | delayed
+        email TEXT,
+        provider_message_id TEXT,
+        queue_id INTEGER,
+        detail TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_delivery_events_org ON email_delivery_events(organization_id, created_at DESC)`);
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS email_undeliverable TEXT`);   // NULL | 'bounced' | 'complained'
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS email_undeliverable_at TIMESTAMP`);
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS email_undeliverable_detail TEXT`);
+
+    // V 2.0.893 — Preferred language of the player (NULL = French). The
+    // Player App choice (player_accounts) wins over the admin one (players).
+    await client.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS locale VARCHAR(5)`);
+    await client.query(`ALTER TABLE player_accounts ADD COLUMN IF NOT EXISTS locale VARCHAR(5)`);
+    // Translations of the email templates (the French text stays in email_templates)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_template_variants (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        template_key TEXT NOT NULL,
+        locale VARCHAR(5) NOT NULL,
+        subject_template TEXT,
+        body_template TEXT,
+        outro_template TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(organization_id, template_key, locale)
+      )
+    `);
+
+    // V 2.0.894 — Tournament capacity and waiting list. capacity NULL =
+    // unlimited. status = waiting | offered (place proposed, awaiting the
+    // answer) | accepted | declined | expired | cancelled.
+    await client.query(`ALTER TABLE tournoi_ext ADD COLUMN IF NOT EXISTS capacity INTEGER`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tournament_waitlist (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id) ON DELETE CASCADE,
+        organization_id INTEGER REFERENCES organizations(id),
+        licence TEXT NOT NULL,
+        player_name TEXT,
+        position INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'waiting',
+        offered_at TIMESTAMP,
+        response_deadline TIMESTAMP,
+        responded_at TIMESTAMP,
+        source TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tournoi_id, licence)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_tournament_waitlist_status ON tournament_waitlist(status, response_deadline)`);
+
+    // V 2.0.895 — RSVP: per-tournament response deadline, players invited
+    // through the one-click links (to compute response rates and remind the
+    // silent ones), reason given with the answer, and the history of answers.
+    await client.query(`ALTER TABLE tournoi_ext ADD COLUMN IF NOT EXISTS rsvp_deadline TIMESTAMP`);
+    await client.query(`ALTER TABLE inscriptions ADD COLUMN IF NOT EXISTS rsvp_reason TEXT`);
+    await client.query(`ALTER TABLE inscriptions ADD COLUMN IF NOT EXISTS rsvp_responded_at TIMESTAMP`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rsvp_invitations (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id) ON DELETE CASCADE,
+        organization_id INTEGER REFERENCES organizations(id),
+        licence TEXT NOT NULL,
+        invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reminded_at TIMESTAMP,
+        UNIQUE(tournoi_id, licence)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rsvp_responses (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id) ON DELETE CASCADE,
+        organization_id INTEGER REFERENCES organizations(id),
+        licence TEXT NOT NULL,
+        response TEXT NOT NULL,
+        reason TEXT,
+        source TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_rsvp_responses_tournoi ON rsvp_responses(tournoi_id, licence)`);
+
+    // V 2.0.896 — Custom surveys: list of questions (JSON, see
+    // utils/survey-engine.js), audience filters shared with the announcements
+    // and free-form answers. Legacy 'ratings' campaigns keep the 5 categories.
+    await client.query(`ALTER TABLE survey_campaigns ADD COLUMN IF NOT EXISTS survey_type VARCHAR(20) DEFAULT 'ratings'`);
+    await client.query(`ALTER TABLE survey_campaigns ADD COLUMN IF NOT EXISTS questions TEXT`);
+    await client.query(`ALTER TABLE survey_campaigns ADD COLUMN IF NOT EXISTS target_modes TEXT`);
+    await client.query(`ALTER TABLE survey_campaigns ADD COLUMN IF NOT EXISTS target_rankings TEXT`);
+    await client.query(`ALTER TABLE survey_campaigns ADD COLUMN IF NOT EXISTS target_clubs TEXT`);
+    await client.query(`ALTER TABLE survey_responses ADD COLUMN IF NOT EXISTS answers TEXT`);
+    for (const col of ['rating_1', 'rating_2', 'rating_3', 'rating_4', 'rating_5', 'overall_rating']) {
+      await client.query(`ALTER TABLE survey_responses ALTER COLUMN ${col} DROP NOT NULL`);
+    }
+
+    // V 2.0.897 — Named permissions (see utils/permissions.js). org_roles
+    // holds a CDB's own version of a role bundle (system roles edited, or
+    // custom roles); a missing row means the default bundle. Per-tournament
+    // grants add permissions on one tournoi_ext only (e.g. a DdJ for one
+    // competition).
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS org_roles (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id),
+        role_key VARCHAR(50) NOT NULL,
+        label TEXT NOT NULL,
+        permissions TEXT NOT NULL DEFAULT '[]',
+        is_system BOOLEAN DEFAULT FALSE,
+        updated_by TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(organization_id, role_key)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_tournament_grants (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        organization_id INTEGER REFERENCES organizations(id),
+        tournoi_id INTEGER NOT NULL,
+        permissions TEXT NOT NULL DEFAULT '[]',
+        granted_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, tournoi_id)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_user_tournament_grants_user ON user_tournament_grants(user_id)`);
+    // V 2.0.904 — Creating and editing a player record moved from
+    // players.write to players.edit (viewers keep imports only). Bundles
+    // saved before the split keep that right; catalog_version marks the rows
+    // already migrated so a later removal of players.edit sticks.
+    await client.query(`ALTER TABLE org_roles ADD COLUMN IF NOT EXISTS catalog_version INTEGER`);
+    await client.query(`ALTER TABLE org_roles ALTER COLUMN catalog_version SET DEFAULT 2`);
+    await client.query(`
+      UPDATE org_roles
+      SET permissions = (permissions::jsonb || '["players.edit"]'::jsonb)::text
+      WHERE catalog_version IS NULL AND role_key <> 'viewer'
+        AND permissions::jsonb ? 'players.write' AND NOT permissions::jsonb ? 'players.edit'
+    `);
+    await client.query(`UPDATE org_roles SET catalog_version = 2 WHERE catalog_version IS NULL`);
+
+    // V 2.0.898 — Two-factor authentication (TOTP, see utils/totp.js) and
+    // server-side session registry (see utils/sessions.js). totp_secret is
+    // encrypted; totp_pending_secret holds an enrolment not yet confirmed.
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id)`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id VARCHAR(64) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        organization_id INTEGER,
+        ip_address TEXT,
+        user_agent TEXT,
+        two_factor BOOLEAN DEFAULT FALSE,
+        parent_session_id VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_by TEXT,
+        revoke_reason TEXT
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_user_sessions_parent ON user_sessions(parent_session_id)`);
+
+    // V 2.0.899 — API keys of the public REST API (/api/v1, see
+    // utils/api-keys.js). Only a SHA-256 hash of the key is stored; the
+    // prefix identifies it in the settings list.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL UNIQUE,
+        key_hash VARCHAR(64) NOT NULL,
+        scopes TEXT NOT NULL DEFAULT '[]',
+        rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        request_count BIGINT DEFAULT 0,
+        revoked_at TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_api_keys_org ON api_keys(organization_id)`);
+
     // New columns on tournament_results for match-based imports
     await client.query(`ALTER TABLE tournament_results ADD COLUMN IF NOT EXISTS meilleure_partie REAL`);
     await client.query(`ALTER TABLE tournament_results ADD COLUMN IF NOT EXISTS poule_rank INTEGER`);
@@ -3939,6 +4476,24 @@ const db = {
   // Direct query method (Promise-based, returns { rows })
   query: (query, params) => pool.query(query, params),
 
+  // V 2.0.904 — Runs fn(client) between BEGIN and COMMIT on one connection,
+  // ROLLBACK when it throws. client.query is the pg API ($1 placeholders),
+  // so row locks (SELECT ... FOR UPDATE) hold until fn returns.
+  transaction: async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
   // For SELECT queries that return multiple rows
   all: (query, params, callback) => {
     // Convert SQLite ? placeholders to PostgreSQL $1, $2, etc.
@@ -131,6 +131,325 @@ const NOTIFICATION_MESSAGES = {
         ? String(variables.excerpt).slice(0, 150)
         : `Un nouvel article vient d'être publié. Appuyez pour le lire.`,
     url: (variables) => `?page=news&article=${variables.articleId}`
+  },
+
+  // ==================== 12. FINALE RESERVE PROMOTED (V 2.0.889) ====================
+  // A reserve takes the place of a finalist who renounced. The player must
+  // confirm before the deadline (link in the convocation email).
+  FINALE_RESERVE_PROMOTION: {
+    titre: () => `🏆 Repêché(e) pour la Finale !`,
+    corps: (variables) =>
+      `Un finaliste a renoncé : une place vous est attribuée pour la Finale ${variables.tournoiName} du ${variables.finaleDate}. Confirmez avant le ${variables.deadline}.`,
+    url: '/inscriptions'
+  },
+
+  // V 2.0.894 — Liste d'attente : une place se libère
+  WAITLIST_PLACE_OFFERED: {
+    titre: () => `🎱 Une place se libère !`,
+    corps: (variables) =>
+      `Une place vous est proposée pour ${variables.tournoiName} du ${variables.date}. Confirmez avant le ${variables.deadline}, sinon elle passera au joueur suivant.`,
+    url: '/inscriptions'
+  },
+
+  // V 2.0.895 — Rappel avant la date limite de réponse (RSVP)
+  RSVP_REMINDER: {
+    titre: (variables) => `⏰ Participez-vous ? — ${variables.tournoiName}`,
+    corps: (variables) =>
+      `Vous n'avez pas encore répondu pour ${variables.tournoiName} du ${variables.date}. Merci d'indiquer votre participation avant le ${variables.deadline}.`,
+    url: '/inscriptions'
+  }
+};
+
+// ==================== TRANSLATIONS (V 2.0.893) ====================
+// Same keys as NOTIFICATION_MESSAGES, titre/corps only (the url never
+// changes). A missing type or field falls back to the French message.
+const NOTIFICATION_TRANSLATIONS = {
+  en: {
+    CONVOCATION: {
+      titre: (v) => `📢 Notice to play — ${v.tournoiName}`,
+      corps: (v) => `You are called to play on ${v.date} at ${v.heure} at ${v.lieu}. Pool ${v.pouleNumber}. Good luck!`
+    },
+    REMINDER_LAST_DAY: {
+      titre: () => `🚨 Last chance!`,
+      corps: (v) => `Registration for ${v.tournoiName} closes tomorrow. Sign up now if you want to take part`
+    },
+    NEW_TOURNAMENT: {
+      titre: () => `🎯 New tournament available`,
+      corps: (v) => `Registration for ${v.tournoiName} is open until ${v.closingDate}. Don't miss it!`
+    },
+    RESULTS_NORMAL: {
+      titre: (v) => `📊 Results — ${v.tournoiName}`,
+      corps: (v) => `The results are out! You finished in position ${v.position}. Well done!`
+    },
+    RESULTS_FINALE: {
+      titre: (v) => `🏆 Final results — ${v.tournoiName}`,
+      corps: (v) => `The results are out! You finished in position ${v.position}. Congratulations!`
+    },
+    TOURNAMENT_DATE_CHANGED: {
+      titre: (v) => `📝 Change — ${v.tournoiName}`,
+      corps: (v) => `The tournament of ${v.oldDate} has been changed. New date: ${v.newDate} - Please take note.`
+    },
+    TOURNAMENT_CANCELLED: {
+      titre: () => `❌ Tournament cancelled`,
+      corps: (v) => `${v.tournoiName} scheduled on ${v.date} is cancelled. Check your registrations.`
+    },
+    TOURNAMENT_LOCATION_CHANGED: {
+      titre: (v) => `📍 New venue — ${v.tournoiName}`,
+      corps: (v) => `The tournament of ${v.date} will take place at ${v.newLocation} instead of ${v.oldLocation}. Don't go to the wrong place!`
+    },
+    INSCRIPTION_CONFIRMED: {
+      titre: () => `✅ Registration recorded`,
+      corps: (v) => `You are registered for ${v.tournoiName} on ${v.date}.`
+    },
+    FORFEIT_CONFIRMED: {
+      titre: () => `⚠️ Withdrawal recorded`,
+      corps: (v) => `Your withdrawal from ${v.tournoiName} has been recorded and the committee has been informed. ` +
+        `You cannot register again for this competition, even if you become available.`
+    },
+    WELCOME: {
+      titre: () => `🎉 Welcome to the Player Area`,
+      corps: () => `Your account has been created. Discover the upcoming competitions, your statistics and plenty of news from your committee!`
+    },
+    ARTICLE_PUBLISHED: {
+      titre: (v) => `📰 Article published — ${v.tournoiName}`,
+      corps: (v) => `The results of ${v.tournoiName} are now on your committee's website. Tap to read the article!`
+    },
+    FINALE_QUALIFICATION: {
+      titre: () => `🏆 Qualified for the Final!`,
+      corps: (v) => `Congratulations! You are qualified for the ${v.tournoiName} Final. See you on ${v.finaleDate}.`
+    },
+    CONTENT_ARTICLE_PUBLISHED: {
+      titre: (v) => `📰 ${v.title || 'New article'}`,
+      corps: (v) => v.excerpt ? String(v.excerpt).slice(0, 150) : `A new article has just been published. Tap to read it.`
+    },
+    FINALE_RESERVE_PROMOTION: {
+      titre: () => `🏆 A place in the Final for you!`,
+      corps: (v) => `A finalist has withdrawn: you get a place in the ${v.tournoiName} Final on ${v.finaleDate}. Please confirm before ${v.deadline}.`
+    },
+    WAITLIST_PLACE_OFFERED: {
+      titre: () => `🎱 A place has opened up!`,
+      corps: (v) => `A place is offered to you for ${v.tournoiName} on ${v.date}. Please confirm before ${v.deadline}, otherwise it goes to the next player.`
+    },
+    RSVP_REMINDER: {
+      titre: (v) => `⏰ Are you playing? — ${v.tournoiName}`,
+      corps: (v) => `You have not answered yet for ${v.tournoiName} on ${v.date}. Please let us know before ${v.deadline}.`
+    }
+  },
+
+  de: {
+    CONVOCATION: {
+      titre: (v) => `📢 Einladung — ${v.tournoiName}`,
+      corps: (v) => `Sie sind am ${v.date} um ${v.heure} in ${v.lieu} eingeladen. Gruppe ${v.pouleNumber}. Viel Erfolg!`
+    },
+    REMINDER_LAST_DAY: {
+      titre: () => `🚨 Letzte Gelegenheit!`,
+      corps: (v) => `Die Anmeldung für ${v.tournoiName} endet morgen. Melden Sie sich schnell an, wenn Sie teilnehmen möchten`
+    },
+    NEW_TOURNAMENT: {
+      titre: () => `🎯 Neues Turnier verfügbar`,
+      corps: (v) => `Die Anmeldung für ${v.tournoiName} ist bis zum ${v.closingDate} geöffnet. Nicht verpassen!`
+    },
+    RESULTS_NORMAL: {
+      titre: (v) => `📊 Ergebnisse — ${v.tournoiName}`,
+      corps: (v) => `Die Ergebnisse sind veröffentlicht! Sie belegen Platz ${v.position}. Bravo!`
+    },
+    RESULTS_FINALE: {
+      titre: (v) => `🏆 Ergebnisse Finale — ${v.tournoiName}`,
+      corps: (v) => `Die Ergebnisse sind veröffentlicht! Sie belegen Platz ${v.position}. Herzlichen Glückwunsch!`
+    },
+    TOURNAMENT_DATE_CHANGED: {
+      titre: (v) => `📝 Änderung — ${v.tournoiName}`,
+      corps: (v) => `Das Turnier vom ${v.oldDate} wurde geändert. Neues Datum: ${v.newDate} - Bitte beachten Sie dies.`
+    },
+    TOURNAMENT_CANCELLED: {
+      titre: () => `❌ Turnier abgesagt`,
+      corps: (v) => `${v.tournoiName} am ${v.date} ist abgesagt. Prüfen Sie Ihre Anmeldungen.`
+    },
+    TOURNAMENT_LOCATION_CHANGED: {
+      titre: (v) => `📍 Neuer Spielort — ${v.tournoiName}`,
+      corps: (v) => `Das Turnier vom ${v.date} findet in ${v.newLocation} statt, nicht in ${v.oldLocation}. Bitte nicht verwechseln!`
+    },
+    INSCRIPTION_CONFIRMED: {
+      titre: () => `✅ Anmeldung registriert`,
+      corps: (v) => `Sie sind für ${v.tournoiName} am ${v.date} angemeldet.`
+    },
+    FORFEIT_CONFIRMED: {
+      titre: () => `⚠️ Absage registriert`,
+      corps: (v) => `Ihre Absage für ${v.tournoiName} wurde registriert und das Komitee informiert. ` +
+        `Eine erneute Anmeldung zu diesem Wettbewerb ist nicht möglich, auch wenn Sie wieder verfügbar sind.`
+    },
+    WELCOME: {
+      titre: () => `🎉 Willkommen im Spielerbereich`,
+      corps: () => `Ihr Konto wurde erstellt. Entdecken Sie die Wettbewerbe, Ihre Statistiken und viele Informationen Ihres Komitees!`
+    },
+    ARTICLE_PUBLISHED: {
+      titre: (v) => `📰 Artikel veröffentlicht — ${v.tournoiName}`,
+      corps: (v) => `Die Ergebnisse von ${v.tournoiName} sind jetzt auf der Website Ihres Komitees verfügbar. Tippen Sie, um den Artikel zu lesen!`
+    },
+    FINALE_QUALIFICATION: {
+      titre: () => `🏆 Für das Finale qualifiziert!`,
+      corps: (v) => `Herzlichen Glückwunsch! Sie haben sich für das Finale ${v.tournoiName} qualifiziert. Wir sehen uns am ${v.finaleDate}.`
+    },
+    CONTENT_ARTICLE_PUBLISHED: {
+      titre: (v) => `📰 ${v.title || 'Neuer Artikel'}`,
+      corps: (v) => v.excerpt ? String(v.excerpt).slice(0, 150) : `Ein neuer Artikel wurde veröffentlicht. Tippen Sie, um ihn zu lesen.`
+    },
+    FINALE_RESERVE_PROMOTION: {
+      titre: () => `🏆 Nachgerückt ins Finale!`,
+      corps: (v) => `Ein Finalist hat abgesagt: Sie erhalten einen Platz im Finale ${v.tournoiName} am ${v.finaleDate}. Bitte bestätigen Sie vor dem ${v.deadline}.`
+    },
+    WAITLIST_PLACE_OFFERED: {
+      titre: () => `🎱 Ein Platz ist frei geworden!`,
+      corps: (v) => `Ihnen wird ein Platz für ${v.tournoiName} am ${v.date} angeboten. Bitte bestätigen Sie vor dem ${v.deadline}, sonst geht er an den nächsten Spieler.`
+    },
+    RSVP_REMINDER: {
+      titre: (v) => `⏰ Nehmen Sie teil? — ${v.tournoiName}`,
+      corps: (v) => `Sie haben für ${v.tournoiName} am ${v.date} noch nicht geantwortet. Bitte teilen Sie uns Ihre Teilnahme vor dem ${v.deadline} mit.`
+    }
+  },
+
+  es: {
+    CONVOCATION: {
+      titre: (v) => `📢 Convocatoria — ${v.tournoiName}`,
+      corps: (v) => `Está convocado/a el ${v.date} a las ${v.heure} en ${v.lieu}. Grupo ${v.pouleNumber}. ¡Buena competición!`
+    },
+    REMINDER_LAST_DAY: {
+      titre: () => `🚨 ¡Última oportunidad!`,
+      corps: (v) => `Las inscripciones para ${v.tournoiName} cierran mañana. Inscríbase rápido si desea participar`
+    },
+    NEW_TOURNAMENT: {
+      titre: () => `🎯 Nuevo torneo disponible`,
+      corps: (v) => `Las inscripciones para ${v.tournoiName} están abiertas hasta el ${v.closingDate}. ¡No se lo pierda!`
+    },
+    RESULTS_NORMAL: {
+      titre: (v) => `📊 Resultados — ${v.tournoiName}`,
+      corps: (v) => `¡Los resultados están publicados! Ha quedado en la posición ${v.position}. ¡Bravo!`
+    },
+    RESULTS_FINALE: {
+      titre: (v) => `🏆 Resultados de la Final — ${v.tournoiName}`,
+      corps: (v) => `¡Los resultados están publicados! Ha quedado en la posición ${v.position}. ¡Enhorabuena!`
+    },
+    TOURNAMENT_DATE_CHANGED: {
+      titre: (v) => `📝 Cambio — ${v.tournoiName}`,
+      corps: (v) => `El torneo del ${v.oldDate} ha sido modificado. Nueva fecha: ${v.newDate} - Tome nota, por favor.`
+    },
+    TOURNAMENT_CANCELLED: {
+      titre: () => `❌ Torneo cancelado`,
+      corps: (v) => `${v.tournoiName} previsto el ${v.date} ha sido cancelado. Consulte sus inscripciones.`
+    },
+    TOURNAMENT_LOCATION_CHANGED: {
+      titre: (v) => `📍 Cambio de sede — ${v.tournoiName}`,
+      corps: (v) => `El torneo del ${v.date} se celebrará en ${v.newLocation} en lugar de ${v.oldLocation}. ¡No se equivoque!`
+    },
+    INSCRIPTION_CONFIRMED: {
+      titre: () => `✅ Inscripción registrada`,
+      corps: (v) => `Está inscrito/a en ${v.tournoiName} el ${v.date}.`
+    },
+    FORFEIT_CONFIRMED: {
+      titre: () => `⚠️ Baja registrada`,
+      corps: (v) => `Su baja en ${v.tournoiName} ha sido registrada y el comité ha sido informado. ` +
+        `No podrá volver a inscribirse en esta competición, aunque vuelva a estar disponible.`
+    },
+    WELCOME: {
+      titre: () => `🎉 Bienvenido/a al Espacio Jugador`,
+      corps: () => `Su cuenta ha sido creada. ¡Descubra las competiciones, sus estadísticas y mucha información de su comité!`
+    },
+    ARTICLE_PUBLISHED: {
+      titre: (v) => `📰 Artículo publicado — ${v.tournoiName}`,
+      corps: (v) => `Los resultados de ${v.tournoiName} ya están en la web de su comité. ¡Pulse para leer el artículo!`
+    },
+    FINALE_QUALIFICATION: {
+      titre: () => `🏆 ¡Clasificado/a para la Final!`,
+      corps: (v) => `¡Enhorabuena! Se ha clasificado para la Final ${v.tournoiName}. Nos vemos el ${v.finaleDate}.`
+    },
+    CONTENT_ARTICLE_PUBLISHED: {
+      titre: (v) => `📰 ${v.title || 'Nuevo artículo'}`,
+      corps: (v) => v.excerpt ? String(v.excerpt).slice(0, 150) : `Se acaba de publicar un nuevo artículo. Pulse para leerlo.`
+    },
+    FINALE_RESERVE_PROMOTION: {
+      titre: () => `🏆 ¡Repescado/a para la Final!`,
+      corps: (v) => `Un finalista ha renunciado: tiene una plaza en la Final ${v.tournoiName} del ${v.finaleDate}. Confirme antes del ${v.deadline}.`
+    },
+    WAITLIST_PLACE_OFFERED: {
+      titre: () => `🎱 ¡Se ha liberado una plaza!`,
+      corps: (v) => `Se le ofrece una plaza para ${v.tournoiName} del ${v.date}. Confirme antes del ${v.deadline}; si no, pasará al siguiente jugador.`
+    },
+    RSVP_REMINDER: {
+      titre: (v) => `⏰ ¿Participa? — ${v.tournoiName}`,
+      corps: (v) => `Todavía no ha respondido para ${v.tournoiName} del ${v.date}. Indique su participación antes del ${v.deadline}.`
+    }
+  },
+
+  it: {
+    CONVOCATION: {
+      titre: (v) => `📢 Convocazione — ${v.tournoiName}`,
+      corps: (v) => `Sei convocato/a il ${v.date} alle ${v.heure} presso ${v.lieu}. Girone ${v.pouleNumber}. Buona gara!`
+    },
+    REMINDER_LAST_DAY: {
+      titre: () => `🚨 Ultima occasione!`,
+      corps: (v) => `Le iscrizioni per ${v.tournoiName} chiudono domani. Iscriviti subito se vuoi partecipare`
+    },
+    NEW_TOURNAMENT: {
+      titre: () => `🎯 Nuovo torneo disponibile`,
+      corps: (v) => `Le iscrizioni per ${v.tournoiName} sono aperte fino al ${v.closingDate}. Non perderlo!`
+    },
+    RESULTS_NORMAL: {
+      titre: (v) => `📊 Risultati — ${v.tournoiName}`,
+      corps: (v) => `I risultati sono pubblicati! Sei classificato/a in posizione ${v.position}. Bravo!`
+    },
+    RESULTS_FINALE: {
+      titre: (v) => `🏆 Risultati Finale — ${v.tournoiName}`,
+      corps: (v) => `I risultati sono pubblicati! Sei classificato/a in posizione ${v.position}. Congratulazioni!`
+    },
+    TOURNAMENT_DATE_CHANGED: {
+      titre: (v) => `📝 Modifica — ${v.tournoiName}`,
+      corps: (v) => `Il torneo del ${v.oldDate} è stato modificato. Nuova data: ${v.newDate} - Prendine nota.`
+    },
+    TOURNAMENT_CANCELLED: {
+      titre: () => `❌ Torneo annullato`,
+      corps: (v) => `${v.tournoiName} previsto il ${v.date} è annullato. Controlla le tue iscrizioni.`
+    },
+    TOURNAMENT_LOCATION_CHANGED: {
+      titre: (v) => `📍 Cambio di sede — ${v.tournoiName}`,
+      corps: (v) => `Il torneo del ${v.date} si svolgerà a ${v.newLocation} invece che a ${v.oldLocation}. Non sbagliare!`
+    },
+    INSCRIPTION_CONFIRMED: {
+      titre: () => `✅ Iscrizione registrata`,
+      corps: (v) => `Sei iscritto/a a ${v.tournoiName} il ${v.date}.`
+    },
+    FORFEIT_CONFIRMED: {
+      titre: () => `⚠️ Ritiro registrato`,
+      corps: (v) => `Il tuo ritiro da ${v.tournoiName} è stato registrato e il comitato è stato informato. ` +
+        `Non potrai iscriverti di nuovo a questa competizione, anche se tornassi disponibile.`
+    },
+    WELCOME: {
+      titre: () => `🎉 Benvenuto/a nell'Area Giocatore`,
+      corps: () => `Il tuo account è stato creato. Scopri le competizioni, le tue statistiche e tante informazioni del tuo comitato!`
+    },
+    ARTICLE_PUBLISHED: {
+      titre: (v) => `📰 Articolo pubblicato — ${v.tournoiName}`,
+      corps: (v) => `I risultati di ${v.tournoiName} sono ora disponibili sul sito del tuo comitato. Tocca per leggere l'articolo!`
+    },
+    FINALE_QUALIFICATION: {
+      titre: () => `🏆 Qualificato/a per la Finale!`,
+      corps: (v) => `Congratulazioni! Sei qualificato/a per la Finale ${v.tournoiName}. Appuntamento il ${v.finaleDate}.`
+    },
+    CONTENT_ARTICLE_PUBLISHED: {
+      titre: (v) => `📰 ${v.title || 'Nuovo articolo'}`,
+      corps: (v) => v.excerpt ? String(v.excerpt).slice(0, 150) : `È stato appena pubblicato un nuovo articolo. Tocca per leggerlo.`
+    },
+    FINALE_RESERVE_PROMOTION: {
+      titre: () => `🏆 Ripescato/a per la Finale!`,
+      corps: (v) => `Un finalista ha rinunciato: hai un posto nella Finale ${v.tournoiName} del ${v.finaleDate}. Conferma entro il ${v.deadline}.`
+    },
+    WAITLIST_PLACE_OFFERED: {
+      titre: () => `🎱 Si è liberato un posto!`,
+      corps: (v) => `Ti viene offerto un posto per ${v.tournoiName} del ${v.date}. Conferma entro il ${v.deadline}, altrimenti passerà al giocatore successivo.`
+    },
+    RSVP_REMINDER: {
+      titre: (v) => `⏰ Partecipi? — ${v.tournoiName}`,
+      corps: (v) => `Non hai ancora risposto per ${v.tournoiName} del ${v.date}. Indica la tua partecipazione entro il ${v.deadline}.`
+    }
   }
 };
 
@@ -138,22 +457,39 @@ const NOTIFICATION_MESSAGES = {
  * Helper function to build a notification object
  * @param {string} type - Notification type (e.g., 'CONVOCATION', 'RESULTS_NORMAL')
  * @param {Object} variables - Variables to inject into the template
+ * @param {string} [locale] - Recipient language (fr when missing or not translated)
  * @returns {Object} - { title, body, url }
  */
-function buildNotification(type, variables = {}) {
+function buildNotification(type, variables = {}, locale = null) {
   const template = NOTIFICATION_MESSAGES[type];
 
   if (!template) {
     throw new Error(`Unknown notification type: ${type}`);
   }
 
+  const translation = (locale && NOTIFICATION_TRANSLATIONS[locale] && NOTIFICATION_TRANSLATIONS[locale][type]) || {};
+  const titre = translation.titre || template.titre;
+  const corps = translation.corps || template.corps;
+
   return {
-    title: typeof template.titre === 'function' ? template.titre(variables) : template.titre,
-    body: typeof template.corps === 'function' ? template.corps(variables) : template.corps,
+    title: typeof titre === 'function' ? titre(variables) : titre,
+    body: typeof corps === 'function' ? corps(variables) : corps,
     url: typeof template.url === 'function' ? template.url(variables) : template.url
   };
 }
 
+/**
+ * Notification built in each recipient's language: pass the result to
+ * sendPushToPlayer / sendPushToPlayers instead of a prebuilt object.
+ * @param {string} type - Notification type
+ * @param {Object|Function} variables - Variables, or locale => variables
+ *   when some of them must be formatted per language (dates)
+ * @returns {Function} locale => { title, body, url }
+ */
+function localizedNotification(type, variables = {}) {
+  return (locale) => buildNotification(type, typeof variables === 'function' ? variables(locale) : variables, locale);
+}
+
 /**
  * Determine if a tournament is a Finale (for choosing the right emoji)
  * @param {string} tournoiName - Tournament name
@@ -174,7 +510,9 @@ function getResultsNotificationType(tournoiName) {
 
 module.exports = {
   NOTIFICATION_MESSAGES,
+  NOTIFICATION_TRANSLATIONS,
   buildNotification,
+  localizedNotification,
   isFinale,
   getResultsNotificationType
 };
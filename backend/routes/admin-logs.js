@@ -9,16 +9,11 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db-loader');
-const { authenticateToken, requireAdmin } = require('./auth');
+const { authenticateToken, requireAdmin, requirePermission } = require('./auth');
 
 // Middleware: admin or lecteur (read-only admin access)
-// Admin and lecteur can view logs
-function requireAdminOrLecteur(req, res, next) {
-  if (req.user.role === 'admin' || req.user.role === 'lecteur' || req.user.admin) {
-    return next();
-  }
-  return res.status(403).json({ error: 'Access denied' });
-}
+// V 2.0.897 — logs.read permission (admin and lecteur by default)
+const requireAdminOrLecteur = requirePermission('logs.read');
 
 /**
  * DEBUG ENDPOINT - GET /api/admin-logs/debug-auth
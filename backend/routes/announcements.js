@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateToken, requireAdmin } = require('./auth');
 const { normalizeLicence } = require('../utils/licence');
+const audience = require('../utils/audience');
 
 const router = express.Router();
 
@@ -35,109 +36,11 @@ router.get('/audience-count', authenticateToken, (req, res) => {
 // - Clubs = separate OR group
 // - If both category and clubs selected: matches category OR matches clubs
 router.post('/filtered-audience-count', authenticateToken, async (req, res) => {
-  const db = getDb();
   const { target_modes, target_rankings, target_clubs } = req.body;
 
   try {
-    // Base condition: exclude test accounts
-    const baseCondition = `(p.player_app_role IS NULL OR p.player_app_role != 'test')`;
-    let params = [];
-    let paramIndex = 1;
-
-    // Load mode -> rank_column mapping from game_modes table
-    const gameModes = await new Promise((resolve, reject) => {
-      db.all('SELECT code, rank_column FROM game_modes WHERE rank_column IS NOT NULL', [], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
-
-    const modeToColumn = {};
-    for (const gm of gameModes) {
-      modeToColumn[gm.code.toUpperCase()] = gm.rank_column;
-    }
-
-    // Build category condition (mode AND ranking)
-    let categoryConditions = [];
-
-    // Mode filter: player has ranking (not NC) in any of the target modes
-    if (target_modes && target_modes.length > 0) {
-      const modeConditions = target_modes.map(mode => {
-        const m = mode.toUpperCase();
-        const rankColumn = modeToColumn[m];
-        if (rankColumn) {
-          return `(p.${rankColumn} IS NOT NULL AND p.${rankColumn} != 'NC')`;
-        }
-        return 'FALSE';
-      }).filter(c => c !== 'FALSE');
-
-      if (modeConditions.length > 0) {
-        categoryConditions.push(`(${modeConditions.join(' OR ')})`);
-      }
-    }
-
-    // Ranking filter: player has any of the target rankings in any mode
-    if (target_rankings && target_rankings.length > 0) {
-      const rankPlaceholders = target_rankings.map(() => `$${paramIndex++}`).join(', ');
-      categoryConditions.push(`(
-        p.rank_libre IN (${rankPlaceholders}) OR
-        p.rank_cadre IN (${rankPlaceholders}) OR
-        p.rank_bande IN (${rankPlaceholders}) OR
-        p.rank_3bandes IN (${rankPlaceholders})
-      )`);
-      // Add ranking params once (same placeholders reused in each column)
-      params.push(...target_rankings);
-    }
-
-    // Build club condition
-    let clubCondition = null;
-    if (target_clubs && target_clubs.length > 0) {
-      const clubConditions = target_clubs.map(() => `UPPER(p.club) LIKE UPPER($${paramIndex++})`);
-      clubCondition = `(${clubConditions.join(' OR ')})`;
-      params.push(...target_clubs.map(c => `%${c}%`));
-    }
-
-    // Combine conditions with OR logic between category group and club group
-    let filterCondition;
-    const hasCategory = categoryConditions.length > 0;
-    const hasClubs = clubCondition !== null;
-
-    if (hasCategory && hasClubs) {
-      // Both: (category match) OR (club match)
-      const categoryGroup = categoryConditions.join(' AND ');
-      filterCondition = `((${categoryGroup}) OR ${clubCondition})`;
-    } else if (hasCategory) {
-      // Category only
-      filterCondition = `(${categoryConditions.join(' AND ')})`;
-    } else if (hasClubs) {
-      // Clubs only
-      filterCondition = clubCondition;
-    } else {
-      // No filters - return total count
-      filterCondition = 'TRUE';
-    }
-
-    const orgId = req.user.organizationId;
-    if (orgId) {
-      params.push(orgId);
-      filterCondition = `${filterCondition} AND p.organization_id = $${paramIndex++}`;
-    }
-
-    const query = `
-      SELECT COUNT(DISTINCT pa.licence) as count
-      FROM player_accounts pa
-      JOIN players p ON REPLACE(pa.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-      WHERE ${baseCondition} AND ${filterCondition}
-    `;
-
-    const result = await new Promise((resolve, reject) => {
-      db.get(query, params, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    res.json({ count: result?.count || 0 });
+    const count = await audience.countAudience({ target_modes, target_rankings, target_clubs }, req.user.organizationId);
+    res.json({ count });
   } catch (err) {
     console.error('Error fetching filtered audience count:', err);
     res.status(500).json({ error: err.message });
@@ -175,16 +78,7 @@ router.get('/active', async (req, res) => {
 
   try {
     // Load game modes mapping (code -> rank_column)
-    const gameModes = await new Promise((resolve, reject) => {
-      db.all('SELECT code, rank_column FROM game_modes WHERE rank_column IS NOT NULL', [], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
-    const modeToColumn = {};
-    for (const gm of gameModes) {
-      modeToColumn[gm.code.toUpperCase()] = gm.rank_column;
-    }
+    const modeToColumn = await audience.loadModeColumns();
 
     // First, get player data if licence provided (for filter matching)
     let playerData = null;
@@ -252,63 +146,9 @@ router.get('/active', async (req, res) => {
         return normalizedLicence && normalizeLicence(ann.target_licence) === normalizedLicence;
       }
 
-      // Filter by mode/ranking/club
-      // Logic: (category criteria) OR (club criteria)
-      const hasFilters = ann.target_modes || ann.target_rankings || ann.target_clubs;
-      if (hasFilters) {
-        if (!playerData) return false; // No player data, can't match filters
-
-        // Check category criteria (mode AND ranking)
-        let matchesCategory = true;
-
-        // Check mode filter (using dynamic game_modes mapping)
-        if (ann.target_modes) {
-          const modes = JSON.parse(ann.target_modes);
-          // Player matches if they have a ranking in any of the target modes
-          const playerHasMode = modes.some(m => {
-            const rankColumn = modeToColumn[m.toUpperCase()];
-            if (!rankColumn) return false;
-            const playerRank = playerData[rankColumn];
-            return playerRank && playerRank !== 'NC';
-          });
-          matchesCategory = matchesCategory && playerHasMode;
-        }
-
-        // Check ranking filter (check all rank columns dynamically)
-        if (ann.target_rankings) {
-          const rankings = JSON.parse(ann.target_rankings);
-          // Get all player rankings from all mode columns
-          const playerRankings = Object.values(modeToColumn)
-            .map(col => playerData[col])
-            .filter(r => r && r !== 'NC');
-          matchesCategory = matchesCategory && rankings.some(r => playerRankings.includes(r));
-        }
-
-        // Check club filter separately
-        let matchesClub = false;
-        if (ann.target_clubs) {
-          const clubs = JSON.parse(ann.target_clubs);
-          matchesClub = clubs.some(c =>
-            playerData.club && playerData.club.toUpperCase().includes(c.toUpperCase())
-          );
-        }
-
-        // Determine match based on which filters are present
-        const hasCategoryFilter = ann.target_modes || ann.target_rankings;
-        const hasClubFilter = ann.target_clubs;
-
-        if (hasCategoryFilter && hasClubFilter) {
-          // Both: match if category OR club
-          return matchesCategory || matchesClub;
-        } else if (hasCategoryFilter) {
-          // Category only
-          return matchesCategory;
-        } else if (hasClubFilter) {
-          // Club only
-          return matchesClub;
-        }
-
-        return false;
+      // Filter by mode/ranking/club (see utils/audience.js)
+      if (audience.hasTargeting(ann)) {
+        return audience.matchesAudience(ann, playerData, modeToColumn);
       }
 
       // No targeting - show to everyone
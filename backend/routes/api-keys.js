@@ -0,0 +1,95 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const apiKeys = require('../utils/api-keys');
+
+const router = express.Router();
+
+// V 2.0.899 — Keys of the public REST API (/api/v1, see routes/public-api.js),
+// managed per organization. Permission: api_keys.manage (utils/permissions.js).
+
+function sendError(res, error, context) {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+function requireOrganization(req, res) {
+  const orgId = req.user.organizationId || null;
+  if (!orgId) {
+    res.status(400).json({ error: 'Les clés API appartiennent à un CDB : accédez d\'abord au CDB concerné' });
+    return null;
+  }
+  return orgId;
+}
+
+// Keys of the organization + available scopes
+router.get('/', authenticateToken, async (req, res) => {
+  const orgId = requireOrganization(req, res);
+  if (!orgId) return;
+  try {
+    res.json({
+      keys: await apiKeys.listKeys(orgId),
+      scopes: apiKeys.SCOPES,
+      default_rate_limit: apiKeys.DEFAULT_RATE_LIMIT,
+      max_rate_limit: apiKeys.MAX_RATE_LIMIT
+    });
+  } catch (error) {
+    sendError(res, error, 'listing API keys');
+  }
+});
+
+// Create a key — the secret is returned only in this response
+router.post('/', authenticateToken, async (req, res) => {
+  const orgId = requireOrganization(req, res);
+  if (!orgId) return;
+  const { name, scopes, rate_limit_per_minute } = req.body;
+  try {
+    const { key, apiKey } = await apiKeys.createKey(orgId, {
+      name,
+      scopes,
+      rateLimitPerMinute: rate_limit_per_minute,
+      createdBy: req.user.username
+    });
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.API_KEY_CREATED,
+      details: `Clé API « ${apiKey.name} » (${apiKey.scopes.join(', ')}, ${apiKey.rate_limit_per_minute} req/min)`,
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      targetName: apiKey.name
+    });
+
+    res.status(201).json({ key, api_key: apiKey });
+  } catch (error) {
+    sendError(res, error, 'creating API key');
+  }
+});
+
+// Revoke a key: the websites using it get 401 from their next request
+router.delete('/:id', authenticateToken, async (req, res) => {
+  const orgId = requireOrganization(req, res);
+  if (!orgId) return;
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(404).json({ error: 'Clé API non trouvée ou déjà révoquée' });
+  try {
+    const revoked = await apiKeys.revokeKey(orgId, id);
+    if (!revoked) return res.status(404).json({ error: 'Clé API non trouvée ou déjà révoquée' });
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.API_KEY_REVOKED,
+      details: `Clé API « ${revoked.name} » (kyr_${revoked.key_prefix}) révoquée`,
+      targetType: 'api_key',
+      targetId: revoked.id,
+      targetName: revoked.name
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'revoking API key');
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,10 @@ const db = require('../db-loader');
 const appSettings = require('../utils/app-settings');
 const { sendEmail } = require('../utils/email-helpers');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const permissions = require('../utils/permissions');
+const sessions = require('../utils/sessions');
+const totp = require('../utils/totp');
+const QRCode = require('qrcode');
 
 const router = express.Router();
 
@@ -113,7 +117,7 @@ function cleanupExpiredResetCodes() {
 }
 
 // Run cleanup every hour
-setInterval(cleanupExpiredResetCodes, 60 * 60 * 1000);
+setInterval(cleanupExpiredResetCodes, 60 * 60 * 1000).unref();
 
 // Login with username and password
 router.post('/login', (req, res) => {
@@ -152,99 +156,136 @@ router.post('/login', (req, res) => {
         return res.status(401).json({ error: 'Nom d\'utilisateur ou mot de passe incorrect' });
       }
 
-      // Update last login
-      db.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id], () => {});
-
-      // Determine target org: SA can log into any CDB via orgSlug
-      let targetOrgId = user.organization_id || null;
-      let resolvedOrgSlug = orgSlug || null;
-      if (user.is_super_admin && orgSlug) {
-        try {
-          const orgRow = await new Promise((resolve, reject) => {
-            db.get('SELECT id FROM organizations WHERE slug = $1 AND is_active = true', [orgSlug], (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            });
+      // V 2.0.898 — Second factor: the password alone only yields a short
+      // challenge token, exchanged at /login/2fa for the session token.
+      try {
+        if (user.totp_enabled) {
+          return res.json({
+            two_factor_required: true,
+            challenge_token: signLoginChallenge(user, LOGIN_2FA_SCOPE, orgSlug)
           });
-          if (orgRow) {
-            targetOrgId = orgRow.id;
-          }
-        } catch (e) {
-          console.error('Error resolving orgSlug:', e);
         }
-      }
-      // Resolve slug for response (needed for frontend org context tracking)
-      if (!resolvedOrgSlug && targetOrgId) {
-        try {
-          const slugRow = await new Promise((resolve, reject) => {
-            db.get('SELECT slug FROM organizations WHERE id = $1', [targetOrgId], (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            });
+        if (await isTwoFactorRequired(user)) {
+          return res.json({
+            two_factor_setup_required: true,
+            challenge_token: signLoginChallenge(user, LOGIN_2FA_SETUP_SCOPE, orgSlug)
           });
-          if (slugRow) resolvedOrgSlug = slugRow.slug;
-        } catch (e) {
-          console.error('Error resolving org slug:', e);
         }
+        await completeLogin(req, res, user, orgSlug);
+      } catch (e) {
+        console.error('Login error:', e);
+        res.status(500).json({ error: 'Erreur de base de données' });
       }
+    });
+  });
+});
 
-      const tokenPayload = {
-        userId: user.id,
-        username: user.username,
-        role: user.role,
-        clubId: user.club_id || null,
-        isSuperAdmin: user.is_super_admin || false,
-        organizationId: targetOrgId,
-        ligueNumero: user.ffb_ligue_numero || null
-      };
+// Issues the session token once every factor is verified
+async function completeLogin(req, res, user, orgSlug, { twoFactor = false, extra = {} } = {}) {
+  // Update last login
+  db.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id], () => {});
 
-      const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: '24h' });
+  // Determine target org: SA can log into any CDB via orgSlug
+  let targetOrgId = user.organization_id || null;
+  let resolvedOrgSlug = orgSlug || null;
+  if (user.is_super_admin && orgSlug) {
+    try {
+      const orgRow = await new Promise((resolve, reject) => {
+        db.get('SELECT id FROM organizations WHERE slug = $1 AND is_active = true', [orgSlug], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      if (orgRow) {
+        targetOrgId = orgRow.id;
+      }
+    } catch (e) {
+      console.error('Error resolving orgSlug:', e);
+    }
+  }
+  // Resolve slug for response (needed for frontend org context tracking)
+  if (!resolvedOrgSlug && targetOrgId) {
+    try {
+      const slugRow = await new Promise((resolve, reject) => {
+        db.get('SELECT slug FROM organizations WHERE id = $1', [targetOrgId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      if (slugRow) resolvedOrgSlug = slugRow.slug;
+    } catch (e) {
+      console.error('Error resolving org slug:', e);
+    }
+  }
 
-      // CRITICAL: Super admin activity logs should ALWAYS use organization_id = NULL
-      // This prevents contamination of CDB-specific logs when SA views other orgs
-      const logOrgId = user.is_super_admin ? null : targetOrgId;
+  const tokenPayload = {
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+    clubId: user.club_id || null,
+    isSuperAdmin: user.is_super_admin || false,
+    organizationId: targetOrgId,
+    ligueNumero: user.ffb_ligue_numero || null
+  };
 
-      // Log successful login with correct organizationId
-      logAdminAction({
-        req: { ...req, user: { userId: user.id, username: user.username, role: user.role, organizationId: logOrgId } },
-        action: ACTION_TYPES.LOGIN_SUCCESS,
-        details: `Connexion réussie pour ${user.username}` + (orgSlug ? ` (org: ${orgSlug})` : '')
-      });
+  // V 2.0.898 — Registered session: its id travels in the token (sid)
+  const sid = await sessions.createSession(req, tokenPayload, { twoFactor });
+  const token = jwt.sign({ ...tokenPayload, sid }, JWT_SECRET, { expiresIn: '24h' });
 
-      // If club role, fetch club name for frontend
-      let clubName = null;
-      if (user.club_id) {
-        try {
-          const clubRow = await new Promise((resolve, reject) => {
-            db.get('SELECT display_name FROM clubs WHERE id = $1', [user.club_id], (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            });
-          });
-          if (clubRow) clubName = clubRow.display_name;
-        } catch (e) {
-          console.error('Error fetching club name:', e);
-        }
-      }
+  // CRITICAL: Super admin activity logs should ALWAYS use organization_id = NULL
+  // This prevents contamination of CDB-specific logs when SA views other orgs
+  const logOrgId = user.is_super_admin ? null : targetOrgId;
 
-      res.json({
-        token,
-        message: 'Connexion réussie',
-        user: {
-          id: user.id,
-          username: user.username,
-          role: user.role,
-          club_id: user.club_id || null,
-          club_name: clubName,
-          is_super_admin: user.is_super_admin || false,
-          organization_id: targetOrgId,
-          org_slug: resolvedOrgSlug,
-          ffb_ligue_numero: user.ffb_ligue_numero || null
-        }
+  // Log successful login with correct organizationId
+  logAdminAction({
+    req: { ...req, user: { userId: user.id, username: user.username, role: user.role, organizationId: logOrgId } },
+    action: ACTION_TYPES.LOGIN_SUCCESS,
+    details: `Connexion réussie pour ${user.username}` + (orgSlug ? ` (org: ${orgSlug})` : '') + (twoFactor ? ' (2FA)' : '')
+  });
+
+  // If club role, fetch club name for frontend
+  let clubName = null;
+  if (user.club_id) {
+    try {
+      const clubRow = await new Promise((resolve, reject) => {
+        db.get('SELECT display_name FROM clubs WHERE id = $1', [user.club_id], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
       });
-    });
+      if (clubRow) clubName = clubRow.display_name;
+    } catch (e) {
+      console.error('Error fetching club name:', e);
+    }
+  }
+
+  // V 2.0.897 — Effective permissions, so the frontend hides what the
+  // user can't do (the API enforces them anyway)
+  let access = null;
+  try {
+    access = permissions.describeAccess(await permissions.loadAccess(tokenPayload));
+  } catch (e) {
+    console.error('Error loading permissions:', e);
+  }
+
+  res.json({
+    token,
+    message: 'Connexion réussie',
+    ...(access || {}),
+    ...extra,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      club_id: user.club_id || null,
+      club_name: clubName,
+      is_super_admin: user.is_super_admin || false,
+      organization_id: targetOrgId,
+      org_slug: resolvedOrgSlug,
+      ffb_ligue_numero: user.ffb_ligue_numero || null
+    }
   });
-});
+}
 
 // Get current user info
 router.get('/me', authenticateToken, (req, res) => {
@@ -253,7 +294,8 @@ router.get('/me', authenticateToken, (req, res) => {
       return res.json({
         userId: req.user.userId,
         username: req.user.username,
-        role: req.user.role
+        role: req.user.role,
+        ...permissions.describeAccess(req.access)
       });
     }
     res.json({
@@ -262,7 +304,8 @@ router.get('/me', authenticateToken, (req, res) => {
       email: user.email,
       role: user.role,
       club_id: user.club_id || null,
-      receive_tournament_alerts: user.receive_tournament_alerts || false
+      receive_tournament_alerts: user.receive_tournament_alerts || false,
+      ...permissions.describeAccess(req.access)
     });
   });
 });
@@ -345,6 +388,13 @@ router.post('/change-password', authenticateToken, (req, res) => {
             targetName: user.username
           });
 
+          // V 2.0.898 — The other sessions of the account are closed
+          sessions.revokeUserSessions(user.id, {
+            exceptSessionId: req.user.sid || null,
+            revokedBy: user.username,
+            reason: 'password_changed'
+          }).catch(e => console.error('Error revoking sessions:', e));
+
           res.json({ message: 'Mot de passe changé avec succès' });
         });
       });
@@ -488,6 +538,10 @@ router.post('/reset-password-token', (req, res) => {
               return res.status(500).json({ error: 'Erreur lors de la mise à jour' });
             }
 
+            // V 2.0.898 — Sessions opened with the old password are closed
+            sessions.revokeUserSessions(user.id, { reason: 'password_reset' })
+              .catch(e => console.error('Error revoking sessions:', e));
+
             res.json({ message: 'Mot de passe réinitialisé avec succès' });
           }
         );
@@ -663,6 +717,9 @@ router.post('/reset-with-code', async (req, res) => {
         }
 
         console.log(`Password reset successful for ${normalizedEmail}`);
+        // V 2.0.898 — Sessions opened with the old password are closed
+        sessions.revokeUserSessions(user.id, { reason: 'password_reset' })
+          .catch(e => console.error('Error revoking sessions:', e));
         res.json({ success: true, message: 'Mot de passe reinitialise avec succes' });
       });
     });
@@ -673,11 +730,12 @@ router.post('/reset-with-code', async (req, res) => {
 
 // Get all users (admin and lecteur)
 router.get('/users', authenticateToken, (req, res) => {
-  if (req.user.role !== 'admin' && req.user.role !== 'lecteur' && !req.user.admin) {
-    return res.status(403).json({ error: 'Access denied' });
+  if (!req.can('users.read')) {
+    return denyPermission(res, 'users.read');
   }
   const orgId = req.user.organizationId || null;
-  db.all(`SELECT u.id, u.username, u.email, u.role, u.is_active, u.receive_tournament_alerts, u.created_at, u.last_login, u.club_id, c.display_name as club_name
+  db.all(`SELECT u.id, u.username, u.email, u.role, u.is_active, u.receive_tournament_alerts, u.created_at, u.last_login, u.club_id, c.display_name as club_name,
+    COALESCE(u.totp_enabled, FALSE) as totp_enabled
     FROM users u LEFT JOIN clubs c ON u.club_id = c.id
     WHERE ($1::int IS NULL OR u.organization_id = $1)
     ORDER BY u.username`, [orgId], (err, users) => {
@@ -689,7 +747,7 @@ router.get('/users', authenticateToken, (req, res) => {
 });
 
 // Create new user (admin only)
-router.post('/users', authenticateToken, requireAdmin, (req, res) => {
+router.post('/users', authenticateToken, requireAdmin, async (req, res) => {
   const { username, password, role, email, club_id } = req.body;
 
   if (!username || !password) {
@@ -700,7 +758,13 @@ router.post('/users', authenticateToken, requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'Password must be at least 6 characters' });
   }
 
-  const validRoles = ['admin', 'viewer', 'lecteur', 'club', 'ligue_admin', 'directeur_jeu'];
+  // V 2.0.897 — System roles + the organization's custom roles
+  let validRoles;
+  try {
+    validRoles = (await permissions.listRoles(req.user.organizationId || null)).map(r => r.role_key);
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
   const userRole = validRoles.includes(role) ? role : 'viewer';
   const userEmail = email ? email.toLowerCase().trim() : null;
   const userClubId = (userRole === 'club' && club_id) ? parseInt(club_id) : null;
@@ -770,7 +834,7 @@ router.post('/users', authenticateToken, requireAdmin, (req, res) => {
 });
 
 // Update user (admin only)
-router.put('/users/:id', authenticateToken, requireAdmin, (req, res) => {
+router.put('/users/:id', authenticateToken, requireAdmin, async (req, res) => {
   const userId = req.params.id;
   const { username, password, role, is_active, email, receive_tournament_alerts } = req.body;
   const orgId = req.user.organizationId || null;
@@ -780,6 +844,14 @@ router.put('/users/:id', authenticateToken, requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'Cannot deactivate your own account' });
   }
 
+  // V 2.0.897 — System roles + the organization's custom roles
+  let validRoles;
+  try {
+    validRoles = (await permissions.listRoles(orgId)).map(r => r.role_key);
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+
   db.get('SELECT * FROM users WHERE id = $1 AND ($2::int IS NULL OR organization_id = $2)', [userId, orgId], (err, user) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
@@ -789,6 +861,11 @@ router.put('/users/:id', authenticateToken, requireAdmin, (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // V 2.0.898 — Deactivating an account, or setting its password,
+    // closes its open sessions
+    const closeSessions = (reason) => sessions.revokeUserSessions(user.id, { revokedBy: req.user.username, reason })
+      .catch(e => console.error('Error revoking sessions:', e));
+
     const updates = [];
     const params = [];
     let paramIndex = 1;
@@ -798,7 +875,7 @@ router.put('/users/:id', authenticateToken, requireAdmin, (req, res) => {
       params.push(username);
     }
 
-    if (role && ['admin', 'viewer', 'lecteur', 'club', 'ligue_admin', 'directeur_jeu'].includes(role)) {
+    if (role && validRoles.includes(role)) {
       updates.push(`role = $${paramIndex++}`);
       params.push(role);
     }
@@ -845,6 +922,8 @@ router.put('/users/:id', authenticateToken, requireAdmin, (req, res) => {
             return res.status(500).json({ error: 'Error updating user' });
           }
 
+          closeSessions(is_active === 0 ? 'deactivated' : 'password_set_by_admin');
+
           // Log user update (with password)
           logAdminAction({
             req,
@@ -870,6 +949,10 @@ router.put('/users/:id', authenticateToken, requireAdmin, (req, res) => {
           return res.status(500).json({ error: 'Error updating user' });
         }
 
+        if (is_active === 0) {
+          closeSessions('deactivated');
+        }
+
         // Log user update
         logAdminAction({
           req,
@@ -929,9 +1012,839 @@ router.delete('/users/:id', authenticateToken, requireAdmin, (req, res) => {
   });
 });
 
+// ==================== ROLES & PERMISSIONS (V 2.0.897) ====================
+
+function dbGetAsync(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function dbAllAsync(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function dbRunAsync(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+// Permission catalog, grouped for the role editor
+router.get('/permissions', authenticateToken, (req, res) => {
+  res.json({
+    groups: permissions.PERMISSION_GROUPS,
+    tournament_scoped: permissions.TOURNAMENT_SCOPED,
+    admin_required: permissions.ADMIN_REQUIRED
+  });
+});
+
+// Roles of the organization, with their user count
+router.get('/roles', authenticateToken, requirePermission('users.read'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const roles = await permissions.listRoles(orgId);
+    const counts = await dbAllAsync(
+      `SELECT role, COUNT(*) as count FROM users
+       WHERE ($1::int IS NULL OR organization_id = $1)
+       GROUP BY role`,
+      [orgId]
+    );
+    const countByRole = {};
+    for (const c of counts) countByRole[c.role] = parseInt(c.count, 10) || 0;
+    res.json(roles.map(r => ({ ...r, user_count: countByRole[r.role_key] || 0 })));
+  } catch (err) {
+    console.error('Error listing roles:', err);
+    res.status(500).json({ error: 'Erreur lors du chargement des rôles' });
+  }
+});
+
+// Stores the org's version of a role (upsert on organization + key)
+async function saveOrgRole(orgId, roleKey, label, perms, isSystem, username) {
+  const json = JSON.stringify(perms);
+  const result = await dbRunAsync(
+    `UPDATE org_roles SET label = $1, permissions = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE organization_id IS NOT DISTINCT FROM $4 AND role_key = $5`,
+    [label, json, username, orgId, roleKey]
+  );
+  if (result.changes === 0) {
+    await dbRunAsync(
+      `INSERT INTO org_roles (organization_id, role_key, label, permissions, is_system, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [orgId, roleKey, label, json, isSystem, username]
+    );
+  }
+  permissions.invalidateCache();
+}
+
+// Create a custom role
+router.post('/roles', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const label = String(req.body.label || '').trim();
+  if (!label) {
+    return res.status(400).json({ error: 'Le nom du rôle est requis' });
+  }
+  const perms = permissions.normalizePermissions(req.body.permissions);
+
+  const slug = label.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'role';
+  try {
+    const roles = await permissions.listRoles(orgId);
+    if (roles.some(r => r.label.toLowerCase() === label.toLowerCase())) {
+      return res.status(400).json({ error: 'Un rôle porte déjà ce nom' });
+    }
+    let roleKey = `custom_${slug}`;
+    let suffix = 2;
+    while (roles.some(r => r.role_key === roleKey)) {
+      roleKey = `custom_${slug}_${suffix++}`;
+    }
+    await saveOrgRole(orgId, roleKey, label, perms, false, req.user.username);
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.ROLE_SAVED,
+      details: `Création du rôle ${label} (${perms.length} permissions)`,
+      targetType: 'role',
+      targetName: roleKey
+    });
+    res.json({ success: true, role_key: roleKey });
+  } catch (err) {
+    console.error('Error creating role:', err);
+    res.status(500).json({ error: 'Erreur lors de la création du rôle' });
+  }
+});
+
+// Edit a role's label and permissions (system roles included)
+router.put('/roles/:key', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const roleKey = req.params.key;
+  try {
+    const role = await permissions.getRole(orgId, roleKey);
+    if (!role) {
+      return res.status(404).json({ error: 'Rôle non trouvé' });
+    }
+    const def = permissions.DEFAULT_ROLES[roleKey];
+    if (def && def.locked) {
+      return res.status(400).json({ error: 'Ce rôle est géré par la plateforme' });
+    }
+    const label = String(req.body.label || role.label).trim();
+    const perms = permissions.normalizePermissions(req.body.permissions);
+    if (roleKey === 'admin') {
+      const missing = permissions.ADMIN_REQUIRED.filter(p => !perms.includes(p));
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: `Le rôle Administrateur doit conserver : ${missing.map(permissions.permissionLabel).join(', ')}`
+        });
+      }
+    }
+    await saveOrgRole(orgId, roleKey, label, perms, !!def, req.user.username);
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.ROLE_SAVED,
+      details: `Modification du rôle ${label} (${perms.length} permissions)`,
+      targetType: 'role',
+      targetName: roleKey
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error updating role:', err);
+    res.status(500).json({ error: 'Erreur lors de la modification du rôle' });
+  }
+});
+
+// Delete a custom role, or restore a system role to its default bundle
+router.delete('/roles/:key', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const roleKey = req.params.key;
+  const isSystem = !!permissions.DEFAULT_ROLES[roleKey];
+  try {
+    if (!isSystem) {
+      const used = await dbGetAsync(
+        `SELECT COUNT(*) as count FROM users
+         WHERE role = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+        [roleKey, orgId]
+      );
+      if (parseInt(used?.count, 10) > 0) {
+        return res.status(400).json({ error: 'Ce rôle est attribué à des utilisateurs : changez d\'abord leur rôle' });
+      }
+    }
+    const result = await dbRunAsync(
+      'DELETE FROM org_roles WHERE organization_id IS NOT DISTINCT FROM $1 AND role_key = $2',
+      [orgId, roleKey]
+    );
+    if (result.changes === 0 && !isSystem) {
+      return res.status(404).json({ error: 'Rôle non trouvé' });
+    }
+    permissions.invalidateCache();
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.ROLE_DELETED,
+      details: isSystem ? `Rôle ${roleKey} rétabli par défaut` : `Suppression du rôle ${roleKey}`,
+      targetType: 'role',
+      targetName: roleKey
+    });
+    res.json({ success: true, reset: isSystem });
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    res.status(500).json({ error: 'Erreur lors de la suppression du rôle' });
+  }
+});
+
+// Tournaments that can receive grants: from one month ago onwards
+router.get('/grantable-tournaments', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const rows = await dbAllAsync(
+      `SELECT tournoi_id, nom, mode, categorie, debut, lieu FROM tournoi_ext
+       WHERE ($1::int IS NULL OR organization_id = $1)
+         AND debut >= CURRENT_DATE - INTERVAL '30 days'
+         AND LOWER(COALESCE(status, 'active')) != 'cancelled'
+       ORDER BY debut, mode, categorie`,
+      [orgId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error listing grantable tournaments:', err);
+    res.status(500).json({ error: 'Erreur lors du chargement des tournois' });
+  }
+});
+
+async function findOrgUser(userId, orgId) {
+  return dbGetAsync(
+    'SELECT id, username FROM users WHERE id = $1 AND ($2::int IS NULL OR organization_id = $2)',
+    [userId, orgId]
+  );
+}
+
+// Per-tournament grants of a user
+router.get('/users/:id/grants', authenticateToken, requirePermission('users.read'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const user = await findOrgUser(req.params.id, orgId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const rows = await dbAllAsync(
+      `SELECT g.tournoi_id, g.permissions, g.granted_by, g.created_at,
+              t.nom, t.mode, t.categorie, t.debut, t.lieu
+       FROM user_tournament_grants g
+       LEFT JOIN tournoi_ext t ON t.tournoi_id = g.tournoi_id
+       WHERE g.user_id = $1
+       ORDER BY t.debut DESC NULLS LAST`,
+      [user.id]
+    );
+    res.json(rows.map(r => ({ ...r, permissions: permissions.normalizePermissions(r.permissions) })));
+  } catch (err) {
+    console.error('Error listing grants:', err);
+    res.status(500).json({ error: 'Erreur lors du chargement des accès' });
+  }
+});
+
+// Set the permissions of a user on one tournament
+router.put('/users/:id/grants/:tournoiId', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.tournoiId, 10);
+  if (!Number.isFinite(tournoiId)) {
+    return res.status(400).json({ error: 'ID tournoi invalide' });
+  }
+  const perms = permissions.normalizePermissions(req.body.permissions)
+    .filter(p => permissions.TOURNAMENT_SCOPED.includes(p));
+  if (perms.length === 0) {
+    return res.status(400).json({ error: 'Sélectionnez au moins une permission' });
+  }
+  try {
+    const user = await findOrgUser(req.params.id, orgId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const tournoi = await dbGetAsync(
+      'SELECT tournoi_id, nom FROM tournoi_ext WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)',
+      [tournoiId, orgId]
+    );
+    if (!tournoi) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+    const json = JSON.stringify(perms);
+    const result = await dbRunAsync(
+      'UPDATE user_tournament_grants SET permissions = $1, granted_by = $2 WHERE user_id = $3 AND tournoi_id = $4',
+      [json, req.user.username, user.id, tournoiId]
+    );
+    if (result.changes === 0) {
+      await dbRunAsync(
+        `INSERT INTO user_tournament_grants (user_id, organization_id, tournoi_id, permissions, granted_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [user.id, orgId, tournoiId, json, req.user.username]
+      );
+    }
+    permissions.invalidateCache();
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.TOURNAMENT_GRANT_SAVED,
+      details: `Accès de ${user.username} sur ${tournoi.nom} : ${perms.map(permissions.permissionLabel).join(', ')}`,
+      targetType: 'user',
+      targetId: user.id,
+      targetName: user.username
+    });
+    res.json({ success: true, permissions: perms });
+  } catch (err) {
+    console.error('Error saving grant:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement de l\'accès' });
+  }
+});
+
+router.delete('/users/:id/grants/:tournoiId', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const user = await findOrgUser(req.params.id, orgId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const result = await dbRunAsync(
+      'DELETE FROM user_tournament_grants WHERE user_id = $1 AND tournoi_id = $2',
+      [user.id, parseInt(req.params.tournoiId, 10)]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Accès non trouvé' });
+    }
+    permissions.invalidateCache();
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.TOURNAMENT_GRANT_DELETED,
+      details: `Retrait de l'accès de ${user.username} au tournoi ${req.params.tournoiId}`,
+      targetType: 'user',
+      targetId: user.id,
+      targetName: user.username
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting grant:', err);
+    res.status(500).json({ error: 'Erreur lors du retrait de l\'accès' });
+  }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION & SESSIONS (V 2.0.898) ====================
+
+// Login challenges: the password step returns a short-lived token carrying
+// one of these scopes (authenticateToken refuses scoped tokens), exchanged
+// for a session once the second factor is checked.
+const LOGIN_2FA_SCOPE = 'login_2fa';
+const LOGIN_2FA_SETUP_SCOPE = 'login_2fa_setup';
+const LOGIN_CHALLENGE_MINUTES = 10;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+const TOTP_ISSUER = 'Kayros';
+
+// challenge jti -> { count, expires } (wrong codes entered)
+const challengeFailures = new Map();
+
+function signLoginChallenge(user, scope, orgSlug) {
+  return jwt.sign({
+    scope,
+    userId: user.id,
+    orgSlug: orgSlug || null,
+    jti: crypto.randomBytes(12).toString('hex')
+  }, JWT_SECRET, { expiresIn: `${LOGIN_CHALLENGE_MINUTES}m` });
+}
+
+// Decodes a login challenge of the given scope and reloads its user
+async function readLoginChallenge(token, scope) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token || '', JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (e) {
+    return null;
+  }
+  if (decoded.scope !== scope) return null;
+  const failures = challengeFailures.get(decoded.jti);
+  if (failures && failures.count >= LOGIN_CHALLENGE_MAX_ATTEMPTS) return null;
+  const user = await dbGetAsync('SELECT * FROM users WHERE id = $1 AND is_active = 1', [decoded.userId]);
+  return user ? { user, decoded } : null;
+}
+
+// Counts a wrong code; returns the attempts left on this challenge
+function recordChallengeFailure(jti) {
+  const now = Date.now();
+  for (const [key, entry] of challengeFailures) {
+    if (entry.expires < now) challengeFailures.delete(key);
+  }
+  const entry = challengeFailures.get(jti) || { count: 0, expires: now + LOGIN_CHALLENGE_MINUTES * 60 * 1000 };
+  entry.count++;
+  challengeFailures.set(jti, entry);
+  return Math.max(0, LOGIN_CHALLENGE_MAX_ATTEMPTS - entry.count);
+}
+
+function challengeExpired(res) {
+  return res.status(401).json({
+    error: 'Vérification expirée, veuillez saisir à nouveau votre mot de passe',
+    code: 'CHALLENGE_EXPIRED'
+  });
+}
+
+// Same log identity as the login route (super admin logs use NULL org_id)
+function loginLogRequest(req, user) {
+  return {
+    ...req,
+    user: {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      organizationId: user.is_super_admin ? null : user.organization_id
+    }
+  };
+}
+
+// Platform setting (super admin > Paramètres): admins and super admins
+// must enrol before their first session
+async function isTwoFactorRequired(user) {
+  if (!user.is_super_admin && user.role !== 'admin') return false;
+  return (await appSettings.getSetting('two_factor_required_admins')) === '1';
+}
+
+// Checks a TOTP code or an unused recovery code (each is consumed).
+// Returns 'totp', 'recovery' or null.
+async function verifySecondFactor(user, { code, recovery_code }) {
+  if (code && user.totp_enabled && user.totp_secret) {
+    let secret;
+    try {
+      secret = totp.decryptSecret(user.totp_secret);
+    } catch (e) {
+      console.error('[2FA] Unreadable secret for user', user.id);
+      return null;
+    }
+    const counter = totp.verifyCode(secret, code, { lastCounter: user.totp_last_counter });
+    if (counter === null) return null;
+    const result = await dbRunAsync(
+      `UPDATE users SET totp_last_counter = $1
+       WHERE id = $2 AND (totp_last_counter IS NULL OR totp_last_counter < $1)`,
+      [counter, user.id]
+    );
+    return result.changes > 0 ? 'totp' : null;
+  }
+  if (recovery_code) {
+    const used = await dbGetAsync(
+      `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [user.id, totp.hashRecoveryCode(recovery_code)]
+    );
+    return used ? 'recovery' : null;
+  }
+  return null;
+}
+
+async function remainingRecoveryCodes(userId) {
+  const row = await dbGetAsync(
+    'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(row?.count, 10) || 0;
+}
+
+// New set of recovery codes; the plain codes are only returned here
+async function replaceRecoveryCodes(userId) {
+  const codes = totp.generateRecoveryCodes();
+  await dbRunAsync('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  const values = codes.map((code, i) => `($1, $${i + 2})`).join(', ');
+  await dbRunAsync(
+    `INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ${values}`,
+    [userId, ...codes.map(code => totp.hashRecoveryCode(code))]
+  );
+  return codes;
+}
+
+// Enrolment, step 1: pending secret + QR code for the authenticator app.
+// The current secret (if any) stays active until the new one is confirmed.
+async function startEnrollment(user) {
+  const secret = totp.generateSecret();
+  await dbRunAsync('UPDATE users SET totp_pending_secret = $1 WHERE id = $2', [totp.encryptSecret(secret), user.id]);
+  const otpauthUri = totp.otpauthUri({ secret, accountName: user.username, issuer: TOTP_ISSUER });
+  const qrCode = await QRCode.toDataURL(otpauthUri, { errorCorrectionLevel: 'M', margin: 2, width: 220 });
+  return { secret, otpauth_uri: otpauthUri, qr_code: qrCode };
+}
+
+// Enrolment, step 2: a first code from the app confirms the pending
+// secret. Returns the new recovery codes, or null if the code is wrong.
+async function confirmEnrollment(user, code) {
+  if (!user.totp_pending_secret) return null;
+  let secret;
+  try {
+    secret = totp.decryptSecret(user.totp_pending_secret);
+  } catch (e) {
+    return null;
+  }
+  const counter = totp.verifyCode(secret, code);
+  if (counter === null) return null;
+  await dbRunAsync(
+    `UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+       totp_enabled = TRUE, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_counter = $1
+     WHERE id = $2`,
+    [counter, user.id]
+  );
+  return replaceRecoveryCodes(user.id);
+}
+
+async function disableTwoFactor(userId) {
+  await dbRunAsync(
+    `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled = FALSE,
+       totp_enabled_at = NULL, totp_last_counter = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await dbRunAsync('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+function comparePassword(password, hash) {
+  return new Promise(resolve => {
+    bcrypt.compare(password || '', hash || '', (err, result) => resolve(!err && result));
+  });
+}
+
+// Login, second step: TOTP code or recovery code
+router.post('/login/2fa', async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body;
+  try {
+    const challenge = await readLoginChallenge(challenge_token, LOGIN_2FA_SCOPE);
+    if (!challenge || !challenge.user.totp_enabled) {
+      return challengeExpired(res);
+    }
+    const { user, decoded } = challenge;
+
+    const method = await verifySecondFactor(user, { code, recovery_code });
+    if (!method) {
+      const attemptsLeft = recordChallengeFailure(decoded.jti);
+      logAdminAction({
+        req: loginLogRequest(req, user),
+        action: ACTION_TYPES.LOGIN_FAILED,
+        details: recovery_code ? 'Code de secours incorrect' : 'Code de vérification incorrect'
+      });
+      return res.status(401).json({
+        error: attemptsLeft > 0
+          ? (recovery_code ? 'Code de secours incorrect ou déjà utilisé' : 'Code de vérification incorrect')
+          : 'Trop de codes incorrects, veuillez saisir à nouveau votre mot de passe',
+        attempts_left: attemptsLeft
+      });
+    }
+
+    const extra = {};
+    if (method === 'recovery') {
+      extra.recovery_codes_remaining = await remainingRecoveryCodes(user.id);
+      logAdminAction({
+        req: loginLogRequest(req, user),
+        action: ACTION_TYPES.RECOVERY_CODE_USED,
+        details: `Connexion avec un code de secours (${extra.recovery_codes_remaining} restant(s))`,
+        targetType: 'user',
+        targetId: user.id,
+        targetName: user.username
+      });
+    }
+    await completeLogin(req, res, user, decoded.orgSlug, { twoFactor: true, extra });
+  } catch (err) {
+    console.error('2FA login error:', err);
+    res.status(500).json({ error: 'Erreur lors de la vérification' });
+  }
+});
+
+// Login of an account that must enrol first: QR code...
+router.post('/login/2fa-setup', async (req, res) => {
+  try {
+    const challenge = await readLoginChallenge(req.body.challenge_token, LOGIN_2FA_SETUP_SCOPE);
+    if (!challenge) {
+      return challengeExpired(res);
+    }
+    res.json(await startEnrollment(challenge.user));
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'activation de la double authentification' });
+  }
+});
+
+// ...then first code, which opens the session
+router.post('/login/2fa-enable', async (req, res) => {
+  try {
+    const challenge = await readLoginChallenge(req.body.challenge_token, LOGIN_2FA_SETUP_SCOPE);
+    if (!challenge) {
+      return challengeExpired(res);
+    }
+    const { user, decoded } = challenge;
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      const attemptsLeft = recordChallengeFailure(decoded.jti);
+      return res.status(400).json({ error: 'Code de vérification incorrect', attempts_left: attemptsLeft });
+    }
+
+    logAdminAction({
+      req: loginLogRequest(req, user),
+      action: ACTION_TYPES.TWO_FACTOR_ENABLED,
+      details: 'Double authentification activée à la connexion',
+      targetType: 'user',
+      targetId: user.id,
+      targetName: user.username
+    });
+    await completeLogin(req, res, user, decoded.orgSlug, { twoFactor: true, extra: { recovery_codes: recoveryCodes } });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'activation de la double authentification' });
+  }
+});
+
+// Two-factor status of the current user
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    res.json({
+      enabled: !!user.totp_enabled,
+      enabled_at: user.totp_enabled_at || null,
+      recovery_codes_remaining: user.totp_enabled ? await remainingRecoveryCodes(user.id) : 0,
+      required: await isTwoFactorRequired(user)
+    });
+  } catch (err) {
+    console.error('2FA status error:', err);
+    res.status(500).json({ error: 'Erreur de base de données' });
+  }
+});
+
+// Enrolment (or change of phone) from the account settings
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    res.json(await startEnrollment(user));
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'activation de la double authentification' });
+  }
+});
+
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Code de vérification incorrect' });
+    }
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.TWO_FACTOR_ENABLED,
+      details: user.totp_enabled ? 'Double authentification : nouvel appareil' : 'Double authentification activée',
+      targetType: 'user',
+      targetId: user.id,
+      targetName: user.username
+    });
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'activation de la double authentification' });
+  }
+});
+
+// Disabling needs the password and a current code (or a recovery code)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  const { password, code, recovery_code } = req.body;
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ error: 'La double authentification n\'est pas activée' });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res.status(400).json({ error: 'La double authentification est obligatoire pour votre compte' });
+    }
+    if (!(await comparePassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    }
+    if (!(await verifySecondFactor(user, { code, recovery_code }))) {
+      return res.status(401).json({ error: 'Code de vérification incorrect' });
+    }
+
+    await disableTwoFactor(user.id);
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.TWO_FACTOR_DISABLED,
+      details: 'Double authentification désactivée par l\'utilisateur',
+      targetType: 'user',
+      targetId: user.id,
+      targetName: user.username
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    res.status(500).json({ error: 'Erreur lors de la désactivation' });
+  }
+});
+
+// New recovery codes (the previous ones stop working)
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await dbGetAsync('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ error: 'La double authentification n\'est pas activée' });
+    }
+    if (!(await comparePassword(req.body.password, user.password_hash))) {
+      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.RECOVERY_CODES_REGENERATED,
+      details: 'Nouveaux codes de secours générés',
+      targetType: 'user',
+      targetId: user.id,
+      targetName: user.username
+    });
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error('Recovery codes error:', err);
+    res.status(500).json({ error: 'Erreur lors de la génération des codes' });
+  }
+});
+
+// Admin: reset the 2FA of a user who lost their phone and recovery codes
+// (they enrol again at their next login if 2FA is mandatory for them)
+router.delete('/users/:id/2fa', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const user = await dbGetAsync(
+      'SELECT id, username, is_super_admin FROM users WHERE id = $1 AND ($2::int IS NULL OR organization_id = $2)',
+      [req.params.id, orgId]
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.is_super_admin && !req.user.isSuperAdmin) {
+      return res.status(403).json({ error: 'Super Admin access required' });
+    }
+    if (user.id === req.user.userId) {
+      return res.status(400).json({ error: 'Utilisez « Mon compte » pour gérer votre propre double authentification' });
+    }
+
+    await disableTwoFactor(user.id);
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.TWO_FACTOR_RESET,
+      details: `Double authentification réinitialisée pour ${user.username}`,
+      targetType: 'user',
+      targetId: user.id,
+      targetName: user.username
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('2FA reset error:', err);
+    res.status(500).json({ error: 'Erreur lors de la réinitialisation' });
+  }
+});
+
+// Open sessions of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const rows = await sessions.listSessions(req.user.userId);
+    res.json(rows.map(s => ({
+      id: s.id,
+      device: sessions.describeUserAgent(s.user_agent),
+      ip_address: s.ip_address,
+      two_factor: !!s.two_factor,
+      impersonation: !!s.parent_session_id,
+      created_at: s.created_at,
+      last_seen_at: s.last_seen_at,
+      expires_at: s.expires_at,
+      current: s.id === req.user.sid
+    })));
+  } catch (err) {
+    console.error('Error listing sessions:', err);
+    res.status(500).json({ error: 'Erreur lors du chargement des sessions' });
+  }
+});
+
+// Close one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const closed = await sessions.revokeSession(req.params.id, req.user.userId, {
+      revokedBy: req.user.username,
+      reason: 'revoked_by_user'
+    });
+    if (closed === 0) {
+      return res.status(404).json({ error: 'Session non trouvée' });
+    }
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.SESSION_REVOKED,
+      details: 'Session fermée depuis un autre appareil',
+      targetType: 'user',
+      targetId: req.user.userId,
+      targetName: req.user.username
+    });
+    res.json({ success: true, current: req.params.id === req.user.sid });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Erreur lors de la fermeture de la session' });
+  }
+});
+
+// Close every other session of the current user
+router.post('/sessions/revoke-others', authenticateToken, async (req, res) => {
+  try {
+    const closed = await sessions.revokeUserSessions(req.user.userId, {
+      exceptSessionId: req.user.sid || null,
+      revokedBy: req.user.username,
+      reason: 'revoked_by_user'
+    });
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.SESSION_REVOKED,
+      details: `${closed} autre(s) session(s) fermée(s)`,
+      targetType: 'user',
+      targetId: req.user.userId,
+      targetName: req.user.username
+    });
+    res.json({ success: true, closed });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: 'Erreur lors de la fermeture des sessions' });
+  }
+});
+
+// Logout: the token stops working server-side too
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await sessions.revokeSession(req.user.sid, req.user.userId, {
+        revokedBy: req.user.username,
+        reason: 'logout'
+      });
+    }
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.LOGOUT,
+      details: `Déconnexion de ${req.user.username}`
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Erreur lors de la déconnexion' });
+  }
+});
+
 // ==================== MIDDLEWARE ====================
 
 // Middleware to authenticate token
+// V 2.0.897 — Also resolves the user's permissions (utils/permissions.js):
+// req.can(permission[, tournoiId]) is available to every route, and the
+// permission mapped to the route is enforced here unless the route carries
+// a permission guard (requireX below) that checks it at its own level.
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -944,61 +1857,122 @@ function authenticateToken(req, res, next) {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+    // V 2.0.881 — Scoped tokens (scorer tablets) are only valid on the
+    // handful of DdJ score endpoints that opt in via authenticateDdJOrScorer.
+    if (user.scope) {
+      return res.status(403).json({ error: 'Jeton restreint — accès non autorisé' });
+    }
+
+    // V 2.0.898 — Closed sessions are refused. Tokens issued before the
+    // session registry carry no sid and stay valid until they expire.
+    const sessionCheck = user.sid ? sessions.isSessionActive(user.sid) : Promise.resolve(true);
+    sessionCheck.then(active => {
+      if (!active) {
+        return res.status(401).json({ error: 'Session fermée, veuillez vous reconnecter', code: 'SESSION_REVOKED' });
+      }
+
+      req.user = user;
+      // Convenience helpers for org-aware settings
+      const appSettings = require('../utils/app-settings');
+      req.getOrgSetting = (key) => appSettings.getOrgSetting(user.organizationId, key);
+      req.getOrgSettingsBatch = (keys) => appSettings.getOrgSettingsBatch(user.organizationId, keys);
+
+      return permissions.loadAccess(user).then(access => {
+        req.access = access;
+        req.can = (permission, tournoiId) => permissions.can(
+          access,
+          permission,
+          tournoiId !== undefined ? tournoiId
+            : (req.grantTournoiId !== undefined ? req.grantTournoiId : permissions.tournamentIdFromRequest(req))
+        );
+        // Router-level use (router.use) has no route yet: the guard that
+        // follows it enforces the permission.
+        if (!req.route || hasPermissionGuard(req.route)) {
+          return next();
+        }
+        return enforcePermission(req, res, next, permissions.routePermission(req, 'auto'));
+      }, () => {
+        // Roles unreadable: refuse rather than guess (see loadAccess)
+        res.status(503).json({ error: 'Droits d\'accès indisponibles, réessayez dans un instant' });
+      });
+    }).catch(next);
+  });
+}
 
-    req.user = user;
-    // Convenience helpers for org-aware settings
-    const appSettings = require('../utils/app-settings');
-    req.getOrgSetting = (key) => appSettings.getOrgSetting(user.organizationId, key);
-    req.getOrgSettingsBatch = (keys) => appSettings.getOrgSettingsBatch(user.organizationId, keys);
-    next();
+function hasPermissionGuard(route) {
+  return (route.stack || []).some(layer => layer.handle && layer.handle.permissionGuard);
+}
+
+function denyPermission(res, permission) {
+  return res.status(403).json({
+    error: `Permission requise : ${permissions.permissionLabel(permission)}`,
+    permission
   });
 }
 
+function enforcePermission(req, res, next, permission) {
+  if (!permission || req.can(permission)) {
+    return next();
+  }
+  if (!permissions.hasGrantOnly(req.access, permission)) {
+    return denyPermission(res, permission);
+  }
+  // Grant holders: the tournament comes from the addressed record or, on a
+  // few routes, the body (permissions.resolveTournamentId). Remembered so
+  // req.can() checks the route's own needs on it.
+  permissions.resolveTournamentId(req).then(tournoiId => {
+    if (tournoiId !== null) {
+      req.grantTournoiId = tournoiId;
+      return req.can(permission) ? next() : denyPermission(res, permission);
+    }
+    return permissions.isGrantFilteredRoute(req) ? next() : denyPermission(res, permission);
+  }).catch(next);
+}
+
+// Checks the route's permission at the given level (see
+// permissions.routePermission), or a fixed permission.
+function checkPermission(req, res, next, { level, permission }) {
+  if (!req.can) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+  return enforcePermission(req, res, next, permission || permissions.routePermission(req, level));
+}
+
+// Middleware requiring a named permission, e.g. requirePermission('roles.manage')
+function requirePermission(permission) {
+  const guard = (req, res, next) => checkPermission(req, res, next, { permission });
+  guard.permissionGuard = true;
+  return guard;
+}
+
+// The former role guards now check the route's permission at their level:
+// admin-only routes need the area's admin permission, and so on.
+
 // Middleware to require admin role
 function requireAdmin(req, res, next) {
-  if (req.user.role !== 'admin' && !req.user.admin) {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  next();
+  return checkPermission(req, res, next, { level: 'admin' });
 }
 
 // V 2.0.576 — Middleware for the player communication content module
-// (articles + folders). Admin and viewer roles can both publish; this
-// is a temporary expansion of the viewer role pending the per-CDB
-// publication-rights setting (spawn-task: per-CDB article publication
-// rights config). When that setting lands, this middleware should read
-// the org's `article_management_roles` array instead of hardcoding.
+// (articles + folders). Admin and viewer roles can both publish; since
+// V 2.0.897 this is the content.publish permission, editable per CDB.
 function requireContentEditor(req, res, next) {
-  const role = req.user && req.user.role;
-  if (role === 'admin' || role === 'viewer' || req.user.admin) {
-    return next();
-  }
-  return res.status(403).json({ error: 'Content editor access required' });
+  return checkPermission(req, res, next, { level: 'write' });
 }
 
 // Middleware to require club or admin role (for player management)
 function requireClubOrAdmin(req, res, next) {
-  if (req.user.role === 'admin' || req.user.role === 'club' || req.user.admin) {
-    return next();
-  }
-  return res.status(403).json({ error: 'Access denied' });
+  return checkPermission(req, res, next, { level: 'write' });
 }
 
 // Middleware to require at least viewer role (for read-only access)
 function requireViewer(req, res, next) {
-  // admin, viewer, lecteur and club can access read endpoints
-  if (req.user.role === 'admin' || req.user.role === 'viewer' || req.user.role === 'lecteur' || req.user.role === 'club' || req.user.admin) {
-    return next();
-  }
-  return res.status(403).json({ error: 'Access denied' });
+  return checkPermission(req, res, next, { level: 'read' });
 }
 
 // Middleware to require viewer or above (excludes lecteur - for write operations)
 function requireViewerWrite(req, res, next) {
-  if (req.user.role === 'admin' || req.user.role === 'viewer' || req.user.role === 'club' || req.user.admin) {
-    return next();
-  }
-  return res.status(403).json({ error: 'Access denied - read-only role' });
+  return checkPermission(req, res, next, { level: 'write' });
 }
 
 // Middleware to require super admin access
@@ -1011,18 +1985,64 @@ function requireSuperAdmin(req, res, next) {
 
 // Middleware to require ligue admin or super admin access
 function requireLigueAdmin(req, res, next) {
-  if (req.user.role === 'ligue_admin' || req.user.isSuperAdmin) {
-    return next();
-  }
-  return res.status(403).json({ error: 'Accès réservé aux administrateurs de ligue' });
+  return checkPermission(req, res, next, { permission: 'ligue.admin' });
 }
 
 // Middleware to require Directeur de Jeu or admin access
+// (GET = ddj.access, writes = ddj.manage, score entry = ddj.score)
 function requireDdJ(req, res, next) {
-  if (req.user.role === 'directeur_jeu' || req.user.role === 'admin' || req.user.admin) {
-    return next();
+  return checkPermission(req, res, next, { level: 'auto' });
+}
+
+// V 2.0.881 — Per-table scorer tablets. Accepts either a regular DdJ/admin
+// session (same as authenticateToken + requireDdJ) or a tablet token issued
+// by POST /api/directeur-jeu/scorer/pair. Tablet tokens carry
+// scope='ddj_scorer' + tournoiId + tableNumber and are checked against
+// ddj_scorer_tablets on every call, so the DdJ can revoke a tablet
+// mid-tournament. Route-level checks (right tournament, right table,
+// match not locked) live in directeur-jeu.js scorerGuard().
+function authenticateDdJOrScorer(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
   }
-  return res.status(403).json({ error: 'Accès réservé au Directeur de Jeu' });
+
+  jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] }, (err, user) => {
+    if (err) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    if (!user.scope) {
+      return authenticateToken(req, res, () => requireDdJ(req, res, next));
+    }
+    if (user.scope !== 'ddj_scorer') {
+      return res.status(403).json({ error: 'Jeton restreint — accès non autorisé' });
+    }
+    db.get(
+      `UPDATE ddj_scorer_tablets SET last_seen_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING id`,
+      [user.tabletId],
+      (dbErr, row) => {
+        if (dbErr) {
+          console.error('[Auth] scorer tablet lookup failed:', dbErr);
+          return res.status(500).json({ error: 'Erreur de base de données' });
+        }
+        if (!row) {
+          return res.status(401).json({ error: 'Tablette déconnectée par le Directeur de Jeu' });
+        }
+        req.user = user;
+        next();
+      }
+    );
+  });
+}
+
+// Guards enforce the route permission themselves (authenticateToken skips it)
+for (const guard of [requireAdmin, requireContentEditor, requireClubOrAdmin, requireViewer,
+  requireViewerWrite, requireSuperAdmin, requireLigueAdmin, requireDdJ, authenticateDdJOrScorer]) {
+  guard.permissionGuard = true;
 }
 
 module.exports = router;
@@ -1035,4 +2055,7 @@ module.exports.requireViewerWrite = requireViewerWrite;
 module.exports.requireSuperAdmin = requireSuperAdmin;
 module.exports.requireLigueAdmin = requireLigueAdmin;
 module.exports.requireDdJ = requireDdJ;
+module.exports.requirePermission = requirePermission;
+module.exports.denyPermission = denyPermission;
+module.exports.authenticateDdJOrScorer = authenticateDdJOrScorer;
 module.exports.JWT_SECRET = JWT_SECRET;
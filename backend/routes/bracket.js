@@ -592,7 +592,7 @@ router.post('/:tournamentId/finalize', authenticateToken, async (req, res) => {
     await new Promise((resolve, reject) => {
       recalculateRankings(tournament.category_id, tournament.season, (err) => {
         if (err) reject(err); else resolve();
-      }, orgId);
+      }, { trigger: 'bracket_finalized', tournamentId: parseInt(tournamentId, 10), userId: req.user.userId });
     });
 
     console.log(`[BRACKET] Finalized tournament ${tournamentId}: ${updates.length} positions assigned`);
@@ -12,6 +12,8 @@
 const express = require('express');
 const { authenticateToken, requireAdmin } = require('./auth');
 const appSettings = require('../utils/app-settings');
+const ligueCalendar = require('../utils/ligue-calendar');
+const calendarFeeds = require('../utils/calendar-feeds');
 
 const router = express.Router();
 const getDb = () => require('../db-loader');
@@ -394,33 +396,8 @@ router.get('/reference-data', authenticateToken, requireCalendarGenerator, (req,
 // ----------------------------------------------------------------
 
 // Catalogue V1 des types de règles (utilisé pour validation + seed defaults).
-// Le frontend a sa propre copie dans calendar-rules-catalog.js pour les libellés.
-const RULES_CATALOG = {
-  // Règles dures
-  blackout_weekend:                          { strictness: 'hard', defaultParams: { dates: [] } },
-  tournament_day_rule:                       { strictness: 'hard', defaultParams: { tournament_type: '*', day: 'saturday' } },
-  season_start_after:                        { strictness: 'hard', defaultParams: { first_weekend: null } },
-  final_before_ligue_final:                  { strictness: 'hard', defaultParams: {} }, // auto via ligue_final_dates
-  min_weeks_between_cdb_and_ligue_final:     { strictness: 'hard', defaultParams: { min_weeks: 2 } },
-  min_weeks_between_tournaments_same_category: { strictness: 'hard', defaultParams: { min_weeks: 3 } },
-  min_weeks_between_t3_and_final:            { strictness: 'hard', defaultParams: { min_weeks: 2 } },
-  host_no_double_booking:                    { strictness: 'hard', defaultParams: {} }, // implicit
-  max_tournaments_per_weekend:               { strictness: 'hard', defaultParams: { max: 3 } },
-  // V 2.0.686 — Cascade T1 was always enforced in isDateAllowed but listed
-  // as soft in the UI. Now correctly classified as hard.
-  category_upgrade_cascade:                  { strictness: 'hard', defaultParams: {} },
-  // Règles molles
-  host_balanced_load:                        { strictness: 'soft', defaultWeight: 5, defaultParams: {} },
-  host_no_consecutive_weekends:              { strictness: 'soft', defaultWeight: 3, defaultParams: {} },
-  mode_spread_evenly:                        { strictness: 'soft', defaultWeight: 5, defaultParams: {} },
-  weekend_spread:                            { strictness: 'soft', defaultWeight: 5, defaultParams: {} },
-  month_balanced_load:                       { strictness: 'soft', defaultWeight: 10, defaultParams: {} },
-  // V 2.0.686 — t1_earliness_weight is legacy; category_cadence_weight
-  // covers it and more. Kept in the catalog for backward compatibility
-  // with existing rule instances but no longer pre-created for new orgs.
-  t1_earliness_weight:                       { strictness: 'soft', defaultWeight: 0, defaultParams: {}, hidden: true },
-  category_cadence_weight:                   { strictness: 'soft', defaultWeight: 10, defaultParams: {} }
-};
+// V 2.0.900 — défini dans utils/calendar-engine.js (le solveur optimisant en a besoin).
+const { RULES_CATALOG } = require('../utils/calendar-engine');
 
 // Liste des règles à pré-créer pour un nouveau CDB (instances par défaut).
 // V 2.0.686 — `t1_earliness_weight` retirée (redondante avec
@@ -438,7 +415,8 @@ const DEFAULT_RULE_INSTANCES = [
   'mode_spread_evenly',
   'weekend_spread',
   'month_balanced_load',
-  'category_cadence_weight'
+  'category_cadence_weight',
+  'minimise_player_travel'
 ];
 
 // GET /constraints — list rule instances for the current org
@@ -497,6 +475,9 @@ router.patch('/constraints/:id', authenticateToken, requireCalendarGenerator, (r
   const orgId = req.user.organizationId;
   const id = parseInt(req.params.id, 10);
   const { parameters, weight, enabled, strictness } = req.body;
+  if (strictness && !['hard', 'soft'].includes(strictness)) {
+    return res.status(400).json({ error: 'strictness doit valoir hard ou soft' });
+  }
 
   db.run(
     `UPDATE calendar_constraints
@@ -809,6 +790,8 @@ Réponds avec JSON valide uniquement.`;
 // ----------------------------------------------------------------
 
 const { generateCalendar } = require('../utils/calendar-engine');
+const { optimizeCalendar } = require('../utils/calendar-optimizer');
+const { buildTravelMatrix } = require('../utils/calendar-travel');
 
 // Helper: load full context for the engine (brief + constraints + ligue + categories + clubs)
 function loadEngineContext(orgId, briefId, cb) {
@@ -909,7 +892,16 @@ function loadEngineContext(orgId, briefId, cb) {
                     [orgId],
                     (err5, clubs) => {
                       if (err5) return cb(err5);
-                      cb(null, { brief, constraints: constraints || [], ligueFinals, categories: categories || [], clubs: clubs || [] });
+                      const ctx = { brief, constraints: constraints || [], ligueFinals, categories: categories || [], clubs: clubs || [] };
+                      // V 2.0.903 — finalist travel per host (minimise_player_travel).
+                      // Best effort: without it the rule simply has no effect.
+                      buildTravelMatrix(orgId, brief.active_categories, brief.active_hosts).then(
+                        travel => process.nextTick(() => cb(null, { ...ctx, travel })),
+                        travelErr => {
+                          console.warn('[calendar-generator] travel matrix unavailable:', travelErr.message);
+                          process.nextTick(() => cb(null, { ...ctx, travel: null }));
+                        }
+                      );
                     }
                   );
                 }
@@ -924,13 +916,43 @@ function loadEngineContext(orgId, briefId, cb) {
   );
 }
 
+// Merge ephemeral rule overrides into ctx.constraints (does NOT persist).
+// overrides: { rule_type: { parameters?: {}, weight?: N, enabled?: bool } }
+function applyConstraintOverrides(ctx, overrides) {
+  if (!overrides || typeof overrides !== 'object') return;
+  for (const ruleType of Object.keys(overrides)) {
+    const ov = overrides[ruleType] || {};
+    let existing = ctx.constraints.find(c => c.rule_type === ruleType);
+    if (!existing) {
+      // Synthesize an ephemeral instance from catalog defaults
+      const meta = RULES_CATALOG[ruleType];
+      if (!meta) continue;
+      existing = {
+        rule_type: ruleType,
+        parameters: { ...(meta.defaultParams || {}) },
+        strictness: meta.strictness,
+        weight: meta.defaultWeight ?? 1,
+        enabled: true
+      };
+      ctx.constraints.push(existing);
+    }
+    if (ov.parameters) existing.parameters = { ...(existing.parameters || {}), ...ov.parameters };
+    if (ov.weight !== undefined) existing.weight = ov.weight;
+    if (ov.enabled !== undefined) existing.enabled = ov.enabled;
+  }
+}
+
 // POST /generate — body: { brief_id }
 // Runs the engine, replaces calendar_draft for that brief, returns result.
+// V 2.0.900 — `solver: 'optimize'` (+ optional `time_budget_ms`) runs the
+// optimizing solver (utils/calendar-optimizer.js) after the greedy pass;
+// the response then carries `solver` (objective, sacrificed soft rules).
 router.post('/generate', authenticateToken, requireCalendarGenerator, (req, res) => {
   const orgId = req.user.organizationId;
   const briefId = parseInt(req.body?.brief_id, 10);
   const overrides = req.body?.constraint_overrides || {}; // { rule_type: { parameters?: {}, weight?: N, enabled?: bool } }
   const respectLocks = req.body?.respect_locks === true;
+  const optimize = req.body?.solver === 'optimize';
   if (!briefId) return res.status(400).json({ error: 'brief_id requis' });
 
   loadEngineContext(orgId, briefId, (err, ctx) => {
@@ -940,28 +962,7 @@ router.post('/generate', authenticateToken, requireCalendarGenerator, (req, res)
     }
 
     // Merge ephemeral overrides into constraints (does NOT persist)
-    if (overrides && typeof overrides === 'object') {
-      for (const ruleType of Object.keys(overrides)) {
-        const ov = overrides[ruleType];
-        let existing = ctx.constraints.find(c => c.rule_type === ruleType);
-        if (!existing) {
-          // Synthesize an ephemeral instance from catalog defaults
-          const meta = RULES_CATALOG[ruleType];
-          if (!meta) continue;
-          existing = {
-            rule_type: ruleType,
-            parameters: { ...(meta.defaultParams || {}) },
-            strictness: meta.strictness,
-            weight: meta.defaultWeight ?? 1,
-            enabled: true
-          };
-          ctx.constraints.push(existing);
-        }
-        if (ov.parameters) existing.parameters = { ...(existing.parameters || {}), ...ov.parameters };
-        if (ov.weight !== undefined) existing.weight = ov.weight;
-        if (ov.enabled !== undefined) existing.enabled = ov.enabled;
-      }
-    }
+    applyConstraintOverrides(ctx, overrides);
 
     const db = getDb();
 
@@ -990,10 +991,12 @@ router.post('/generate', authenticateToken, requireCalendarGenerator, (req, res)
       );
     });
 
-    loadLockedThenGenerate().then(lockedPlacements => {
+    loadLockedThenGenerate().then(async lockedPlacements => {
       let result;
       try {
-        result = generateCalendar({ ...ctx, lockedPlacements });
+        result = optimize
+          ? await optimizeCalendar({ ...ctx, lockedPlacements }, { timeBudgetMs: req.body?.time_budget_ms })
+          : generateCalendar({ ...ctx, lockedPlacements });
       } catch (e) {
         console.error('[calendar-generator] engine error:', e);
         return res.status(500).json({ error: 'Erreur moteur : ' + e.message });
@@ -1020,7 +1023,7 @@ router.post('/generate', authenticateToken, requireCalendarGenerator, (req, res)
                 host_club_id, conflict_flags, locked_by_user)
              VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, FALSE)`,
             [briefId, p.weekend_date, ctx.categories.find(c => c.id === p.category_id)?.game_type || null,
-             p.category_id, p.tournament_type, p.host_id, JSON.stringify([])],
+             p.category_id, p.tournament_type, p.host_id, JSON.stringify(p.conflict_flags || [])],
             () => resolve()
           );
         }));
@@ -1090,7 +1093,7 @@ router.get('/draft', authenticateToken, requireCalendarGenerator, (req, res) =>
     // the wizard's editable view matches the published view's styling.
     `SELECT cd.id, cd.weekend_date, cd.tournament_type, cd.host_club_id AS host_id,
             cd.locked_by_user, cd.manual_comment, cd.modified_at, cd.created_at,
-            cd.category_id,
+            cd.category_id, cd.conflict_flags,
             c.display_name AS category_label, c.game_type, c.level,
             cl.display_name AS host_name,
             cl.calendar_color  AS host_color,
@@ -1121,6 +1124,574 @@ router.get('/draft', authenticateToken, requireCalendarGenerator, (req, res) =>
   );
 });
 
+// ----------------------------------------------------------------
+// V 2.0.901 — Scenarios
+//   Named variants of the draft kept side by side ("finales en mars",
+//   "sans tel club hôte"): each has its own rule overrides, excluded hosts,
+//   ligue final dates and placements (with their own locks). They are
+//   compared on unplaced tournaments, broken rules, host load and player
+//   travel, then one of them is promoted to calendar_draft. The saved rules
+//   and the brief are never modified by a scenario.
+// ----------------------------------------------------------------
+
+const { scoreCalendar } = require('../utils/calendar-optimizer');
+const { loadCategoryPools, loadFinalistPools, loadClubLocations, computeTravel } = require('../utils/calendar-travel');
+const { toISODateString } = require('../utils/calendar-engine')._internals;
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+
+const MAX_SCENARIOS_PER_BRIEF = 12;
+const MAX_COMPARED_SCENARIOS = 4;
+
+const queryAll = (sql, params) => new Promise((resolve, reject) =>
+  getDb().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || [])));
+const queryOne = (sql, params) => new Promise((resolve, reject) =>
+  getDb().get(sql, params, (err, row) => err ? reject(err) : resolve(row || null)));
+const queryRun = (sql, params) => new Promise((resolve, reject) =>
+  getDb().run(sql, params, function(err) { err ? reject(err) : resolve(this); }));
+const loadEngineContextAsync = (orgId, briefId) => new Promise((resolve, reject) =>
+  loadEngineContext(orgId, briefId, (err, ctx) => err ? reject(err) : resolve(ctx)));
+
+function scenarioError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function sendScenarioError(res, err, context) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error(`[calendar-generator] ${context} error:`, err);
+  res.status(500).json({ error: err.message });
+}
+
+function parseJsonColumn(value, fallback) {
+  if (typeof value === 'string') {
+    try { return JSON.parse(value); } catch (_) { return fallback; }
+  }
+  return value == null ? fallback : value;
+}
+
+function shapeScenario(row) {
+  const lastResult = parseJsonColumn(row.last_result, null);
+  return {
+    id: row.id,
+    brief_id: row.brief_id,
+    name: row.name,
+    description: row.description,
+    constraint_overrides: parseJsonColumn(row.constraint_overrides, {}),
+    excluded_hosts: parseJsonColumn(row.excluded_hosts, []),
+    ligue_final_overrides: parseJsonColumn(row.ligue_final_overrides, {}),
+    solver: row.solver,
+    time_budget_ms: row.time_budget_ms,
+    last_result: lastResult,
+    generated_at: row.generated_at,
+    promoted_at: row.promoted_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    placement_count: row.placement_count != null ? Number(row.placement_count) : undefined,
+    locked_count: row.locked_count != null ? Number(row.locked_count) : undefined
+  };
+}
+
+// Validates the settings of a scenario; `current` holds the values kept
+// for the fields absent from `body` (PATCH)
+function readScenarioSettings(body, current = {}) {
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+  const settings = {
+    name: has('name') ? String(body.name || '').trim().slice(0, 100) : current.name,
+    description: has('description') ? (String(body.description || '').trim().slice(0, 500) || null) : (current.description ?? null),
+    constraint_overrides: has('constraint_overrides') ? body.constraint_overrides : (current.constraint_overrides || {}),
+    excluded_hosts: has('excluded_hosts') ? body.excluded_hosts : (current.excluded_hosts || []),
+    ligue_final_overrides: has('ligue_final_overrides') ? body.ligue_final_overrides : (current.ligue_final_overrides || {}),
+    solver: has('solver') ? body.solver : (current.solver || 'greedy'),
+    time_budget_ms: has('time_budget_ms') ? body.time_budget_ms : (current.time_budget_ms ?? null)
+  };
+
+  if (!settings.name) throw scenarioError(400, 'Nom du scénario requis');
+  if (!['greedy', 'optimize'].includes(settings.solver)) {
+    throw scenarioError(400, 'solver doit valoir greedy ou optimize');
+  }
+  const overrides = settings.constraint_overrides;
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw scenarioError(400, 'constraint_overrides invalide');
+  }
+  const unknownRule = Object.keys(overrides).find(k => !RULES_CATALOG[k]);
+  if (unknownRule) throw scenarioError(400, `Règle inconnue : ${unknownRule}`);
+  if (!Array.isArray(settings.excluded_hosts)) throw scenarioError(400, 'excluded_hosts doit être une liste de clubs');
+  settings.excluded_hosts = [...new Set(settings.excluded_hosts.map(id => parseInt(id, 10)).filter(Number.isFinite))];
+  const finals = settings.ligue_final_overrides;
+  if (!finals || typeof finals !== 'object' || Array.isArray(finals)) {
+    throw scenarioError(400, 'ligue_final_overrides invalide');
+  }
+  for (const [catId, date] of Object.entries(finals)) {
+    if (!Number.isFinite(parseInt(catId, 10)) || !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+      throw scenarioError(400, 'Date de finale ligue invalide (AAAA-MM-JJ attendu)');
+    }
+  }
+  const budget = parseInt(settings.time_budget_ms, 10);
+  settings.time_budget_ms = Number.isFinite(budget) ? budget : null;
+  return settings;
+}
+
+async function loadScenario(orgId, id) {
+  const row = await queryOne(
+    `SELECT s.*
+     FROM calendar_scenarios s
+     JOIN calendar_brief cb ON cb.id = s.brief_id
+     WHERE s.id = $1 AND cb.organization_id = $2`,
+    [id, orgId]
+  );
+  if (!row) throw scenarioError(404, 'Scénario introuvable');
+  return shapeScenario(row);
+}
+
+async function requireBrief(orgId, briefId) {
+  const brief = await queryOne(
+    `SELECT id, season FROM calendar_brief WHERE id = $1 AND organization_id = $2`,
+    [briefId, orgId]
+  );
+  if (!brief) throw scenarioError(404, 'Brief introuvable');
+  return brief;
+}
+
+// Engine context of a scenario: the brief's, with the scenario's overrides
+async function loadScenarioContext(orgId, scenario) {
+  const ctx = await loadEngineContextAsync(orgId, scenario.brief_id);
+  applyConstraintOverrides(ctx, scenario.constraint_overrides);
+  const excluded = new Set(scenario.excluded_hosts);
+  ctx.brief.active_hosts = (ctx.brief.active_hosts || []).filter(id => !excluded.has(Number(id)));
+  for (const [catId, date] of Object.entries(scenario.ligue_final_overrides)) {
+    ctx.ligueFinals[parseInt(catId, 10)] = date;
+  }
+  return ctx;
+}
+
+// Placements of a scenario (table 'scenario') or of the draft (table 'draft'),
+// shaped like GET /draft rows
+async function loadPlacements(table, ownerId) {
+  const source = table === 'scenario' ? 'calendar_scenario_placements' : 'calendar_draft';
+  const owner = table === 'scenario' ? 'scenario_id' : 'brief_id';
+  const rows = await queryAll(
+    `SELECT x.id, x.weekend_date, x.tournament_type, x.host_club_id AS host_id,
+            x.locked_by_user, x.manual_comment, x.modified_at, x.category_id, x.conflict_flags,
+            c.display_name AS category_label, c.game_type, c.level,
+            cl.display_name AS host_name,
+            cl.calendar_color  AS host_color,
+            cl.calendar_abbrev AS host_abbrev,
+            cl.calendar_code   AS host_code
+     FROM ${source} x
+     LEFT JOIN categories c ON c.id = x.category_id
+     LEFT JOIN clubs cl ON cl.id = x.host_club_id
+     WHERE x.${owner} = $1
+     ORDER BY x.weekend_date ASC, c.display_name ASC`,
+    [ownerId]
+  );
+  rows.forEach(r => { r.weekend_date = toISODateString(r.weekend_date); });
+  return rows;
+}
+
+async function insertScenarioPlacements(scenarioId, placements, categories) {
+  for (const p of placements) {
+    await queryRun(
+      `INSERT INTO calendar_scenario_placements
+         (scenario_id, weekend_date, mode, category_id, tournament_type, host_club_id,
+          locked_by_user, conflict_flags, manual_comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9)
+       ON CONFLICT (scenario_id, category_id, tournament_type) DO NOTHING`,
+      [scenarioId, p.weekend_date,
+       p.game_type || categories.find(c => c.id === p.category_id)?.game_type || null,
+       p.category_id, p.tournament_type, p.host_id || null,
+       !!(p.locked_by_user || p._locked),
+       JSON.stringify(parseJsonColumn(p.conflict_flags, [])),
+       p.manual_comment || null]
+    );
+  }
+}
+
+// GET /scenarios?brief_id=X — scenarios of a brief, without their placements
+router.get('/scenarios', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  const briefId = parseInt(req.query.brief_id, 10);
+  if (!briefId) return res.status(400).json({ error: 'brief_id requis' });
+  try {
+    await requireBrief(req.user.organizationId, briefId);
+    const rows = await queryAll(
+      `SELECT s.*,
+              (SELECT COUNT(*) FROM calendar_scenario_placements p WHERE p.scenario_id = s.id) AS placement_count,
+              (SELECT COUNT(*) FROM calendar_scenario_placements p WHERE p.scenario_id = s.id AND p.locked_by_user = TRUE) AS locked_count
+       FROM calendar_scenarios s
+       WHERE s.brief_id = $1
+       ORDER BY s.created_at ASC`,
+      [briefId]
+    );
+    res.json(rows.map(shapeScenario));
+  } catch (err) {
+    sendScenarioError(res, err, 'GET /scenarios');
+  }
+});
+
+// POST /scenarios — body: { brief_id, name, description?, constraint_overrides?,
+//   excluded_hosts?, ligue_final_overrides?, solver?, time_budget_ms?,
+//   copy_from?: 'draft' | <scenario id> }
+// copy_from starts the scenario from the current draft (to keep it before a
+// regeneration) or duplicates another scenario, with its locks and settings.
+router.post('/scenarios', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  const orgId = req.user.organizationId;
+  const body = req.body || {};
+  const briefId = parseInt(body.brief_id, 10);
+  if (!briefId) return res.status(400).json({ error: 'brief_id requis' });
+  try {
+    await requireBrief(orgId, briefId);
+    const count = await queryOne(`SELECT COUNT(*)::int AS count FROM calendar_scenarios WHERE brief_id = $1`, [briefId]);
+    if (count && count.count >= MAX_SCENARIOS_PER_BRIEF) {
+      throw scenarioError(400, `Maximum ${MAX_SCENARIOS_PER_BRIEF} scénarios par saison : supprimez ceux devenus inutiles`);
+    }
+
+    let source = null;
+    let sourcePlacements = [];
+    if (body.copy_from === 'draft') {
+      sourcePlacements = await loadPlacements('draft', briefId);
+    } else if (body.copy_from != null && body.copy_from !== '') {
+      source = await loadScenario(orgId, parseInt(body.copy_from, 10));
+      if (source.brief_id !== briefId) throw scenarioError(400, 'Le scénario copié appartient à une autre saison');
+      sourcePlacements = await loadPlacements('scenario', source.id);
+    }
+    const settings = readScenarioSettings(body, source || {});
+
+    const row = await queryOne(
+      `INSERT INTO calendar_scenarios
+         (brief_id, name, description, constraint_overrides, excluded_hosts, ligue_final_overrides,
+          solver, time_budget_ms, last_result, generated_at, created_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6::jsonb, $7, $8, $9::jsonb, $10, $11)
+       ON CONFLICT (brief_id, name) DO NOTHING
+       RETURNING *`,
+      [briefId, settings.name, settings.description,
+       JSON.stringify(settings.constraint_overrides), JSON.stringify(settings.excluded_hosts),
+       JSON.stringify(settings.ligue_final_overrides), settings.solver, settings.time_budget_ms,
+       source && source.last_result ? JSON.stringify(source.last_result) : null,
+       source ? source.generated_at : null,
+       req.user.userId || null]
+    );
+    if (!row) throw scenarioError(409, `Un scénario « ${settings.name} » existe déjà pour cette saison`);
+
+    if (sourcePlacements.length) {
+      await insertScenarioPlacements(row.id, sourcePlacements, []);
+    }
+    res.status(201).json({ ...shapeScenario(row), placement_count: sourcePlacements.length });
+  } catch (err) {
+    sendScenarioError(res, err, 'POST /scenarios');
+  }
+});
+
+// GET /scenarios/compare?brief_id=X&ids=1,2[&include_draft=1]
+// Side by side: unplaced tournaments and broken rules (each scenario scored
+// with its own settings, the draft with the saved rules), host load, player
+// travel, and how many placements differ from the draft.
+router.get('/scenarios/compare', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  const orgId = req.user.organizationId;
+  const briefId = parseInt(req.query.brief_id, 10);
+  if (!briefId) return res.status(400).json({ error: 'brief_id requis' });
+  const ids = [...new Set(String(req.query.ids || '').split(',').map(x => parseInt(x, 10)).filter(Number.isFinite))];
+  const includeDraft = req.query.include_draft === '1' || req.query.include_draft === 'true';
+  if (!ids.length && !includeDraft) return res.status(400).json({ error: 'Choisissez au moins un scénario à comparer' });
+  if (ids.length > MAX_COMPARED_SCENARIOS) {
+    return res.status(400).json({ error: `${MAX_COMPARED_SCENARIOS} scénarios au plus par comparaison` });
+  }
+
+  try {
+    const brief = await requireBrief(orgId, briefId);
+    const baseCtx = await loadEngineContextAsync(orgId, briefId);
+    const draftPlacements = await loadPlacements('draft', briefId);
+    const draftByKey = new Map(draftPlacements.map(p => [`${p.category_id}|${p.tournament_type}`, p]));
+
+    const sources = [];
+    if (includeDraft) {
+      sources.push({ key: 'draft', scenario: null, ctx: baseCtx, placements: draftPlacements });
+    }
+    for (const id of ids) {
+      const scenario = await loadScenario(orgId, id);
+      if (scenario.brief_id !== briefId) throw scenarioError(400, 'Les scénarios comparés doivent appartenir à la même saison');
+      sources.push({
+        key: `scenario:${id}`,
+        scenario,
+        ctx: await loadScenarioContext(orgId, scenario),
+        placements: await loadPlacements('scenario', id)
+      });
+    }
+
+    const pools = await loadCategoryPools(orgId, sources.flatMap(s => s.placements.map(p => p.category_id)));
+    const finalists = await loadFinalistPools(orgId, pools);
+    const locations = await loadClubLocations(orgId);
+    const hostNames = new Map(baseCtx.clubs.map(c => [c.id, c.display_name]));
+    const hostsSeen = new Set();
+
+    const columns = sources.map(({ key, scenario, ctx, placements }) => {
+      const score = scoreCalendar(ctx, placements);
+      const load = new Map();
+      placements.forEach(p => {
+        const hostId = p.host_id || null;
+        load.set(hostId, (load.get(hostId) || 0) + 1);
+        if (hostId) hostsSeen.add(hostId);
+      });
+      const hostCounts = [...load.entries()].filter(([id]) => id).map(([, n]) => n);
+      const travel = computeTravel(placements, pools, { finalists, locations });
+      const changes = scenario
+        ? placements.filter(p => {
+          const d = draftByKey.get(`${p.category_id}|${p.tournament_type}`);
+          return !d || d.weekend_date !== p.weekend_date || (d.host_id || null) !== (p.host_id || null);
+        }).length + draftPlacements.filter(d =>
+          !placements.some(p => p.category_id === d.category_id && p.tournament_type === d.tournament_type)
+        ).length
+        : 0;
+
+      return {
+        key,
+        scenario_id: scenario ? scenario.id : null,
+        name: scenario ? scenario.name : 'Brouillon actuel',
+        description: scenario ? scenario.description : null,
+        settings: scenario ? {
+          constraint_overrides: scenario.constraint_overrides,
+          excluded_hosts: scenario.excluded_hosts.map(id => ({ id, name: hostNames.get(id) || `club #${id}` })),
+          ligue_final_overrides: scenario.ligue_final_overrides,
+          solver: scenario.solver
+        } : null,
+        generated_at: scenario ? scenario.generated_at : null,
+        placed: score.placed,
+        expected: score.expected,
+        unplaced: score.unplaced_list,
+        hard_violations: score.hard_violations,
+        objective: score.objective,
+        violations: score.violations,
+        host_load: Object.fromEntries([...load.entries()].map(([id, n]) => [id || 'tbd', n])),
+        host_load_spread: hostCounts.length ? Math.max(...hostCounts) - Math.min(...hostCounts) : 0,
+        travel: {
+          trips: travel.trips,
+          away_trips: travel.away_trips,
+          home_trips: travel.home_trips,
+          unknown_host_trips: travel.unknown_host_trips,
+          km: travel.km
+        },
+        changes_vs_draft: changes
+      };
+    });
+
+    res.json({
+      brief: { id: brief.id, season: brief.season },
+      hosts: [...hostsSeen]
+        .map(id => ({ id, name: hostNames.get(id) || `club #${id}` }))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name), 'fr')),
+      columns
+    });
+  } catch (err) {
+    sendScenarioError(res, err, 'GET /scenarios/compare');
+  }
+});
+
+// GET /scenarios/:id — scenario + placements (same shape as GET /draft)
+router.get('/scenarios/:id', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  try {
+    const scenario = await loadScenario(req.user.organizationId, parseInt(req.params.id, 10));
+    res.json({ ...scenario, placements: await loadPlacements('scenario', scenario.id) });
+  } catch (err) {
+    sendScenarioError(res, err, 'GET /scenarios/:id');
+  }
+});
+
+// PATCH /scenarios/:id — rename / change the settings (next generation)
+router.patch('/scenarios/:id', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  try {
+    const scenario = await loadScenario(req.user.organizationId, parseInt(req.params.id, 10));
+    const settings = readScenarioSettings(req.body || {}, scenario);
+    const row = await queryOne(
+      `UPDATE calendar_scenarios
+       SET name = $1, description = $2, constraint_overrides = $3::jsonb, excluded_hosts = $4::jsonb,
+           ligue_final_overrides = $5::jsonb, solver = $6, time_budget_ms = $7,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 AND NOT EXISTS (
+         SELECT 1 FROM calendar_scenarios o WHERE o.brief_id = $9 AND o.name = $1 AND o.id <> $8
+       )
+       RETURNING *`,
+      [settings.name, settings.description, JSON.stringify(settings.constraint_overrides),
+       JSON.stringify(settings.excluded_hosts), JSON.stringify(settings.ligue_final_overrides),
+       settings.solver, settings.time_budget_ms, scenario.id, scenario.brief_id]
+    );
+    if (!row) throw scenarioError(409, `Un scénario « ${settings.name} » existe déjà pour cette saison`);
+    res.json(shapeScenario(row));
+  } catch (err) {
+    sendScenarioError(res, err, 'PATCH /scenarios/:id');
+  }
+});
+
+// DELETE /scenarios/:id
+router.delete('/scenarios/:id', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  try {
+    const scenario = await loadScenario(req.user.organizationId, parseInt(req.params.id, 10));
+    await queryRun(`DELETE FROM calendar_scenarios WHERE id = $1`, [scenario.id]);
+    res.json({ ok: true });
+  } catch (err) {
+    sendScenarioError(res, err, 'DELETE /scenarios/:id');
+  }
+});
+
+// PATCH /scenarios/:id/placements/:placementId — same fields as PATCH /draft/:id
+router.patch('/scenarios/:id/placements/:placementId', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  const { weekend_date, host_club_id, locked_by_user, manual_comment } = req.body || {};
+  try {
+    const scenario = await loadScenario(req.user.organizationId, parseInt(req.params.id, 10));
+    const result = await queryRun(
+      `UPDATE calendar_scenario_placements
+       SET weekend_date  = COALESCE($1::date, weekend_date),
+           host_club_id  = CASE WHEN $2::int IS NULL AND $7::bool THEN NULL ELSE COALESCE($2, host_club_id) END,
+           locked_by_user = COALESCE($3::bool, locked_by_user),
+           manual_comment = COALESCE($4, manual_comment),
+           modified_at = CURRENT_TIMESTAMP
+       WHERE id = $5 AND scenario_id = $6`,
+      [
+        weekend_date || null,
+        host_club_id != null ? host_club_id : null,
+        locked_by_user != null ? locked_by_user : null,
+        manual_comment != null ? manual_comment : null,
+        parseInt(req.params.placementId, 10),
+        scenario.id,
+        host_club_id === null  // explicit null host (TBD)
+      ]
+    );
+    if (!result.changes) throw scenarioError(404, 'Placement introuvable dans ce scénario');
+    res.json({ ok: true });
+  } catch (err) {
+    sendScenarioError(res, err, 'PATCH /scenarios/:id/placements');
+  }
+});
+
+// POST /scenarios/:id/generate — runs the engine with the scenario's
+// settings; its locked placements are kept, the others replaced.
+router.post('/scenarios/:id/generate', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  const orgId = req.user.organizationId;
+  try {
+    const scenario = await loadScenario(orgId, parseInt(req.params.id, 10));
+    const ctx = await loadScenarioContext(orgId, scenario);
+    const lockedPlacements = (await loadPlacements('scenario', scenario.id))
+      .filter(p => p.locked_by_user)
+      .map(p => ({
+        category_id: p.category_id,
+        tournament_type: p.tournament_type,
+        weekend_date: p.weekend_date,
+        host_id: p.host_id,
+        host_name: p.host_name
+      }));
+
+    let result;
+    try {
+      result = scenario.solver === 'optimize'
+        ? await optimizeCalendar({ ...ctx, lockedPlacements }, { timeBudgetMs: scenario.time_budget_ms })
+        : generateCalendar({ ...ctx, lockedPlacements });
+    } catch (e) {
+      console.error('[calendar-generator] scenario engine error:', e);
+      return res.status(500).json({ error: 'Erreur moteur : ' + e.message });
+    }
+
+    await queryRun(
+      `DELETE FROM calendar_scenario_placements WHERE scenario_id = $1 AND locked_by_user = FALSE`,
+      [scenario.id]
+    );
+    const lockedKeySet = new Set(lockedPlacements.map(lp => `${lp.category_id}|${lp.tournament_type}`));
+    await insertScenarioPlacements(
+      scenario.id,
+      result.placements.filter(p => !lockedKeySet.has(`${p.category_id}|${p.tournament_type}`)),
+      ctx.categories
+    );
+
+    const lastResult = {
+      stats: result.stats,
+      conflicts: result.conflicts,
+      solver: result.solver || null,
+      locked_count: lockedPlacements.length
+    };
+    await queryRun(
+      `UPDATE calendar_scenarios SET last_result = $1::jsonb, generated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [JSON.stringify(lastResult), scenario.id]
+    );
+
+    res.json({
+      ...result,
+      placements: result.placements.map(p => ({
+        ...p,
+        category_label: ctx.categories.find(c => c.id === p.category_id)?.display_name || `cat#${p.category_id}`,
+        host_name: ctx.clubs.find(c => c.id === p.host_id)?.display_name || null
+      })),
+      locked_count: lockedPlacements.length,
+      scenario_id: scenario.id
+    });
+  } catch (err) {
+    sendScenarioError(res, err, 'POST /scenarios/:id/generate');
+  }
+});
+
+// POST /scenarios/:id/promote — body: { keep_current_as?: 'name' }
+// Replaces calendar_draft with the scenario's placements (locks and comments
+// included). keep_current_as first saves the current draft as a scenario.
+// Links to already published tournaments (tournoi_ext_id) are carried over
+// by category + tournament type so /sync-status keeps matching them.
+router.post('/scenarios/:id/promote', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  const orgId = req.user.organizationId;
+  const keepName = String(req.body?.keep_current_as || '').trim().slice(0, 100);
+  try {
+    const scenario = await loadScenario(orgId, parseInt(req.params.id, 10));
+    const placements = await loadPlacements('scenario', scenario.id);
+    if (!placements.length) throw scenarioError(400, 'Ce scénario est vide : générez-le avant de le retenir');
+
+    const draftPlacements = await loadPlacements('draft', scenario.brief_id);
+    let savedDraft = null;
+    if (keepName && draftPlacements.length) {
+      savedDraft = await queryOne(
+        `INSERT INTO calendar_scenarios (brief_id, name, description, created_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (brief_id, name) DO NOTHING
+         RETURNING *`,
+        [scenario.brief_id, keepName, `Brouillon conservé avant de retenir « ${scenario.name} »`, req.user.userId || null]
+      );
+      if (!savedDraft) throw scenarioError(409, `Un scénario « ${keepName} » existe déjà pour cette saison`);
+      await insertScenarioPlacements(savedDraft.id, draftPlacements, []);
+    }
+
+    const links = await queryAll(
+      `SELECT category_id, tournament_type, tournoi_ext_id FROM calendar_draft
+       WHERE brief_id = $1 AND tournoi_ext_id IS NOT NULL`,
+      [scenario.brief_id]
+    );
+    const linkByKey = new Map(links.map(l => [`${l.category_id}|${l.tournament_type}`, l.tournoi_ext_id]));
+
+    await queryRun(`DELETE FROM calendar_draft WHERE brief_id = $1`, [scenario.brief_id]);
+    for (const p of placements) {
+      await queryRun(
+        `INSERT INTO calendar_draft
+           (brief_id, weekend_date, mode, category_id, tournament_type, host_club_id,
+            locked_by_user, conflict_flags, manual_comment, modified_at, tournoi_ext_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9, $10, $11)`,
+        [scenario.brief_id, p.weekend_date, p.game_type || null, p.category_id, p.tournament_type,
+         p.host_id || null, !!p.locked_by_user, JSON.stringify(parseJsonColumn(p.conflict_flags, [])),
+         p.manual_comment || null, p.modified_at || null,
+         linkByKey.get(`${p.category_id}|${p.tournament_type}`) || null]
+      );
+    }
+    await queryRun(`UPDATE calendar_scenarios SET promoted_at = CURRENT_TIMESTAMP WHERE id = $1`, [scenario.id]);
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.CALENDAR_SCENARIO_PROMOTED,
+      details: `Scénario « ${scenario.name} » retenu comme brouillon du calendrier (${placements.length} tournois)` +
+        (savedDraft ? `, ancien brouillon conservé sous « ${keepName} »` : ''),
+      targetType: 'calendar_scenario',
+      targetId: scenario.id,
+      targetName: scenario.name
+    });
+
+    res.json({
+      ok: true,
+      placement_count: placements.length,
+      saved_draft: savedDraft ? shapeScenario(savedDraft) : null
+    });
+  } catch (err) {
+    sendScenarioError(res, err, 'POST /scenarios/:id/promote');
+  }
+});
+
 // V 2.0.607 — GET /published-grid?brief_id=X
 //   Returns placements shaped exactly like the wizard's `result.placements`
 //   array, but sourced from the **published** tournoi_ext rows (read-only
@@ -1294,7 +1865,10 @@ router.get('/published-grid', authenticateToken, requireCalendarGenerator, async
 //     drift_count: <int>,
 //     by_kind:    { date_changed, host_changed, deleted, external },
 //     items: [{ draft_id?, tournoi_ext_id?, kind, label,
-//               draft_value?, ext_value? }, …]
+//               draft_value?, ext_value? }, …],
+//     ligue_warnings: { count, detected_at,            // V 2.0.902
+//                       items: [{ kind, tournoi_ext_id, weekend_date,
+//                                 other_cdb, label }, …] }
 //   }
 router.get('/sync-status', authenticateToken, requireCalendarGenerator, async (req, res) => {
   const db = getDb();
@@ -1495,7 +2069,31 @@ router.get('/sync-status', authenticateToken, requireCalendarGenerator, async (r
       linkable:     items.filter(i => i.kind === 'linkable').length,
       external:     items.filter(i => i.kind === 'external').length
     };
-    res.json({ drift_count: items.length, by_kind, items });
+
+    // V 2.0.902 — conflicts with the other CDBs of the ligue, stored by
+    // the ligue overlay (utils/ligue-calendar.js). Kept out of drift_count:
+    // Resync cannot fix them, only moving a tournament can.
+    const ligueRows = await fetchAll(
+      `SELECT w.kind, w.tournoi_ext_id, w.weekend_date, w.message, w.detected_at,
+              o.short_name AS other_cdb
+         FROM calendar_ligue_warnings w
+         LEFT JOIN organizations o ON o.id = w.other_organization_id
+        WHERE w.organization_id = $1 AND w.season = $2
+        ORDER BY w.weekend_date, w.kind`,
+      [orgId, brief.season]
+    );
+    const ligue_warnings = {
+      count: ligueRows.length,
+      detected_at: ligueRows.length ? ligueRows[0].detected_at : null,
+      items: ligueRows.map(w => ({
+        kind: w.kind,
+        tournoi_ext_id: w.tournoi_ext_id,
+        weekend_date: isoDate(w.weekend_date),
+        other_cdb: w.other_cdb || null,
+        label: w.message
+      }))
+    };
+    res.json({ drift_count: items.length, by_kind, items, ligue_warnings });
   } catch (err) {
     console.error('[calendar-generator] /sync-status error:', err);
     res.status(500).json({ error: err.message });
@@ -2672,7 +3270,23 @@ router.get('/draft/export', authenticateToken, requireCalendarGenerator, async (
     const wsList = wb.addWorksheet('Liste des tournois', {
       pageSetup: { orientation: 'portrait', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
     });
-    const listHeader = wsList.addRow(['Date WE', 'Mode', 'Catégorie', 'Type', 'Club hôte']);
+    // V 2.0.903 — expected players and their travel to the host, per
+    // tournament (finals: the expected finalists). Best effort: the
+    // columns stay empty if the rankings or addresses can't be read.
+    const travelByKey = new Map();
+    try {
+      const travelRows = draft.filter(r => r.category_id && r.tournament_type !== 'FL');
+      const pools = await loadCategoryPools(orgId, travelRows.map(r => r.category_id));
+      const travel = computeTravel(travelRows, pools, {
+        finalists: await loadFinalistPools(orgId, pools),
+        locations: await loadClubLocations(orgId)
+      });
+      travel.by_placement.forEach(t => travelByKey.set(`${t.category_id}|${t.tournament_type}`, t));
+    } catch (travelErr) {
+      console.warn('[calendar-generator] /draft/export travel estimate skipped:', travelErr.message);
+    }
+
+    const listHeader = wsList.addRow(['Date WE', 'Mode', 'Catégorie', 'Type', 'Club hôte', 'Joueurs attendus', 'Déplacement estimé (km)']);
     listHeader.eachCell(cell => {
       cell.font = { bold: true, color: { argb: HEADER_TEXT_COLOR } };
       cell.alignment = { horizontal: 'center', vertical: 'middle' };
@@ -2681,7 +3295,7 @@ router.get('/draft/export', authenticateToken, requireCalendarGenerator, async (
     });
     listHeader.height = 22;
     wsList.columns = [
-      { width: 14 }, { width: 12 }, { width: 26 }, { width: 10 }, { width: 34 }
+      { width: 14 }, { width: 12 }, { width: 26 }, { width: 10 }, { width: 34 }, { width: 12 }, { width: 16 }
     ];
     draft.forEach((r, idx) => {
       let hostLabel;
@@ -2689,13 +3303,19 @@ router.get('/draft/export', authenticateToken, requireCalendarGenerator, async (
       else if (r.host_name) hostLabel = r.host_name;
       else if (r.tournament_type === 'Finale') hostLabel = 'TBD';
       else hostLabel = '';
+      const t = r.tournament_type !== 'FL' ? travelByKey.get(`${r.category_id}|${r.tournament_type}`) : null;
       const row = wsList.addRow([
         r.weekend_date || '',
         r.game_type || '',
         r.category_label || '',
         r.tournament_type || '',
-        hostLabel
+        hostLabel,
+        t && t.players ? t.players : '',
+        t && t.km != null ? t.km : ''
       ]);
+      if (t && t.km != null && t.located < t.players) {
+        row.getCell(7).note = `Estimation sur ${t.located} joueur(s) sur ${t.players} : club ou adresse non localisés pour les autres.`;
+      }
       row.eachCell((cell, colNumber) => {
         cell.border = ALL_BORDERS;
         cell.alignment = { vertical: 'middle' };
@@ -2708,7 +3328,7 @@ router.get('/draft/export', authenticateToken, requireCalendarGenerator, async (
       });
     });
     // Auto-filter
-    wsList.autoFilter = { from: 'A1', to: `E${draft.length + 1}` };
+    wsList.autoFilter = { from: 'A1', to: `G${draft.length + 1}` };
     wsList.views = [{ state: 'frozen', ySplit: 1 }];
 
     // ===== Sheet 3: Légende clubs (separate, large) =====
@@ -3114,6 +3734,27 @@ async function fetchLigueFinalRows(db, briefId, orgId) {
   }));
 }
 
+// GET /feeds
+//   V 2.0.904 — subscription links of the iCalendar feeds of the published
+//   grid (utils/calendar-feeds.js): one for the whole CDB, one per category,
+//   one per hosting club. The feeds themselves are public, under
+//   /api/calendar/feeds/<org slug>.
+router.get('/feeds', authenticateToken, requireCalendarGenerator, async (req, res) => {
+  try {
+    const feeds = await calendarFeeds.listFeeds(req.user.organizationId);
+    if (!feeds.org_slug) return res.json({ organization: null, categories: [], clubs: [] });
+    const base = `/api/calendar/feeds/${encodeURIComponent(feeds.org_slug)}`;
+    res.json({
+      organization: `${base}.ics`,
+      categories: feeds.categories.map(c => ({ id: c.id, label: c.display_name, url: `${base}/categories/${c.id}.ics` })),
+      clubs: feeds.clubs.map(c => ({ id: c.id, name: c.name, url: `${base}/clubs/${c.id}.ics` }))
+    });
+  } catch (err) {
+    console.error('[calendar-generator] GET /feeds error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET /publish/preview?brief_id=X
 //   Returns the per-row classification (safe / sensitive / blocked) without
 //   making any DB changes. The frontend uses this to render the Step 6
@@ -3304,6 +3945,8 @@ router.post('/publish', authenticateToken, requireCalendarGenerator, requireAdmi
     const rowErrors = []; // diagnostic: per-row failures, returned to client
     const outcomes  = []; // per-row final state, returned so the frontend
                           // can flip the action labels to past tense.
+    const feedRows  = []; // V 2.0.904 — rows now in tournoi_ext, for the iCalendar feeds
+    const keptIds   = []; // tournoi_ext rows left untouched (skipped)
     // V 2.0.599 — calendar publish is intentionally side-effect-free:
     // it touches tournoi_ext only, never news articles or push
     // notifications. Calendar creation is iterative; the season is
@@ -3381,6 +4024,7 @@ router.post('/publish', authenticateToken, requireCalendarGenerator, requireAdmi
 
       if (existing && hasResults) {
         skippedCount++;
+        keptIds.push(existing.tournoi_id);
         outcomes.push({ draft_id: row._virtual ? null : row.id, status: 'skipped' });
         await dbRun(
           `INSERT INTO calendar_sync_log (organization_id, brief_id, action, tournoi_ext_id, change_type, summary, triggered_by)
@@ -3391,6 +4035,7 @@ router.post('/publish', authenticateToken, requireCalendarGenerator, requireAdmi
       }
       if (existing && hasInsc && !forceSensitive) {
         skippedCount++;
+        keptIds.push(existing.tournoi_id);
         outcomes.push({ draft_id: row._virtual ? null : row.id, status: 'skipped' });
         await dbRun(
           `INSERT INTO calendar_sync_log (organization_id, brief_id, action, tournoi_ext_id, change_type, summary, triggered_by)
@@ -3436,6 +4081,13 @@ router.post('/publish', authenticateToken, requireCalendarGenerator, requireAdmi
         );
       }
 
+      feedRows.push({
+        category_id: row.category_id,
+        tournament_type: row.tournament_type,
+        tournoi_ext_id: resultingId,
+        host_club_id: row.host_club_id || null
+      });
+
       // Bind draft row → tournoi_ext for traceability. Skip for virtual
       // rows (ligue finals) which never lived in calendar_draft.
       if (!row._virtual) {
@@ -3460,6 +4112,24 @@ router.post('/publish', authenticateToken, requireCalendarGenerator, requireAdmi
       [briefId]
     );
 
+    // V 2.0.904 — iCalendar feeds: moved tournaments get a new SEQUENCE,
+    // dropped ones are cancelled. Nothing is cancelled when some rows
+    // failed, as their tournaments may still be in the grid.
+    try {
+      await calendarFeeds.recordPublication(orgId, brief.season, feedRows, {
+        complete: rowErrors.length === 0,
+        kept: keptIds
+      });
+    } catch (feedErr) {
+      console.error('[calendar-generator] /publish feed update failed:', feedErr.message);
+    }
+
+    // V 2.0.902 — the new grid may clash with the other CDBs of the ligue;
+    // refresh the ligue warnings in the background (sync-status shows them).
+    ligueCalendar.refreshWarningsForOrganization(orgId, brief.season).catch(err =>
+      console.error('[calendar-generator] ligue warnings refresh failed:', err.message)
+    );
+
     // V 2.0.599 — NO automatic player-facing side effects from this
     // endpoint. Calendar creation is iterative and purely a database
     // operation; the season is announced separately by admins through
@@ -6,6 +6,8 @@ const db = require('../db-loader');
 const { authenticateToken, requireAdmin, JWT_SECRET } = require('./auth');
 const appSettings = require('../utils/app-settings');
 const logger = require('../utils/logger');
+const sessions = require('../utils/sessions');
+const calendarFeeds = require('../utils/calendar-feeds');
 
 // Club code mapping - loaded dynamically from database
 // Fallback hardcoded values (used if DB not available)
@@ -108,8 +110,18 @@ function authenticateTokenFlexible(req, res, next) {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
-    next();
+    if (user.scope) {
+      return res.status(403).json({ error: 'Jeton restreint — accès non autorisé' });
+    }
+    // V 2.0.898 — Closed sessions are refused here too
+    const sessionCheck = user.sid ? sessions.isSessionActive(user.sid) : Promise.resolve(true);
+    sessionCheck.then(active => {
+      if (!active) {
+        return res.status(401).json({ error: 'Session fermée, veuillez vous reconnecter', code: 'SESSION_REVOKED' });
+      }
+      req.user = user;
+      next();
+    }).catch(next);
   });
 }
 
@@ -337,6 +349,41 @@ router.get('/public', async (req, res) => {
   });
 });
 
+// V 2.0.904 — subscribable iCalendar feeds of the grid published by the
+// calendar generator (utils/calendar-feeds.js). Public like /public: phone
+// calendars cannot send a token.
+//   GET /feeds/:org.ics                        — every tournament of the CDB
+//   GET /feeds/:org/categories/:categoryId.ics — one category
+//   GET /feeds/:org/clubs/:clubId.ics          — tournaments hosted by a club
+async function sendCalendarFeed(req, res, scope) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  try {
+    const feed = await calendarFeeds.renderFeed(req.params.org, scope);
+    if (!feed) return res.status(404).json({ error: 'Calendrier introuvable' });
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${feed.filename}"`);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(feed.ics);
+  } catch (error) {
+    console.error('Error generating calendar feed:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+router.get('/feeds/:org.ics', (req, res) => sendCalendarFeed(req, res, {}));
+
+router.get('/feeds/:org/categories/:categoryId.ics', (req, res) => {
+  const categoryId = parseInt(req.params.categoryId, 10);
+  if (!categoryId) return res.status(400).json({ error: 'Catégorie invalide' });
+  sendCalendarFeed(req, res, { categoryId });
+});
+
+router.get('/feeds/:org/clubs/:clubId.ics', (req, res) => {
+  const clubId = parseInt(req.params.clubId, 10);
+  if (!clubId) return res.status(400).json({ error: 'Club invalide' });
+  sendCalendarFeed(req, res, { clubId });
+});
+
 // List available seasons (calendars uploaded for this org)
 router.get('/seasons', authenticateToken, (req, res) => {
   const orgId = req.user.organizationId || null;
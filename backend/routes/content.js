@@ -835,7 +835,7 @@ async function maybeBroadcastArticleNotification(article, excerpt, orgId) {
       return;
     }
 
-    const { buildNotification } = require('../notification-messages');
+    const { localizedNotification } = require('../notification-messages');
     const { sendPushToPlayers } = require('./push');
 
     // Pull every push-subscribed licence in this org. Using the same query
@@ -856,7 +856,7 @@ async function maybeBroadcastArticleNotification(article, excerpt, orgId) {
       return;
     }
 
-    const notification = buildNotification('CONTENT_ARTICLE_PUBLISHED', {
+    const notification = localizedNotification('CONTENT_ARTICLE_PUBLISHED', {
       title: article.title,
       excerpt: excerpt || article.excerpt || null,
       articleId: article.id
@@ -882,7 +882,7 @@ async function maybeBroadcastResultArticleToOptedIn(article, excerpt, orgId) {
   try {
     if (!article || !article.id || !orgId) return;
 
-    const { buildNotification } = require('../notification-messages');
+    const { localizedNotification } = require('../notification-messages');
     const { sendPushToPlayers } = require('./push');
 
     // Same query as the standard broadcast, plus the opt-in filter. The
@@ -905,7 +905,7 @@ async function maybeBroadcastResultArticleToOptedIn(article, excerpt, orgId) {
       return;
     }
 
-    const notification = buildNotification('CONTENT_ARTICLE_PUBLISHED', {
+    const notification = localizedNotification('CONTENT_ARTICLE_PUBLISHED', {
       title: article.title,
       excerpt: excerpt || article.excerpt || null,
       articleId: article.id
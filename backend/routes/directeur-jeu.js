@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireDdJ, requireAdmin } = require('./auth');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { authenticateToken, requireDdJ, requireAdmin, authenticateDdJOrScorer, denyPermission, JWT_SECRET } = require('./auth');
 const appSettings = require('../utils/app-settings');
-const { getPouleConfigForOrg } = require('../utils/poule-config');
+const { getPouleConfigForOrg, computeSinglePouleConfiguration } = require('../utils/poule-config');
+const { scheduleRoundRobin } = require('../utils/round-robin');
 const getDb = () => require('../db-loader');
+const djLive = require('../utils/dj-live');
 
 // V 2.0.695 — Parse the JSON-encoded table_numbers column.
 // Returns an integer array of length === expectedCount.
@@ -197,6 +202,25 @@ function isMatchTrulyFinished(parsed, gp) {
   }
 })();
 
+// V 2.0.880 — Live TV push. Every successful write under
+// /competitions/:id (score saves on poule-matches / bracket / consolante /
+// barrage, but also start, cancel, poules regeneration, session edits…)
+// tells the live hub that this tournament's public state changed. The hub
+// rebuilds the feed once and pushes the diff to the hall screens
+// (routes/dj-public.js /stream). Hooked at router level so a new write
+// endpoint can't forget to notify.
+router.use('/competitions/:id', (req, res, next) => {
+  if (req.method === 'GET') return next();
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return next();
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      djLive.notifyChange(tournoiId, { source: `${req.method} ${req.path}` });
+    }
+  });
+  next();
+});
+
 // GET /api/directeur-jeu/competitions
 // Returns tournaments for today + recent days for the DdJ's organization
 router.get('/competitions', authenticateToken, requireDdJ, (req, res) => {
@@ -210,9 +234,10 @@ router.get('/competitions', authenticateToken, requireDdJ, (req, res) => {
   // for backfilling an old tournament via the E2i import. Default stays at
   // 7 days for the normal DdJ-of-the-day flow. Non-admin requests ignore the
   // override (so directeur_jeu role still sees only the recent window).
+  // V 2.0.897 — "admin" = tournaments.manage permission.
   let historyStart;
   const sinceParam = (req.query && req.query.since) || '';
-  const isAdmin = req.user && (req.user.role === 'admin' || req.user.isSuperAdmin);
+  const isAdmin = req.can('tournaments.manage', null);
   if (isAdmin && /^\d{4}-\d{2}-\d{2}$/.test(sinceParam)) {
     historyStart = sinceParam;
   } else {
@@ -254,8 +279,9 @@ router.get('/competitions', authenticateToken, requireDdJ, (req, res) => {
     }
 
     // Split into today vs history
+    // V 2.0.897 — A DdJ holding per-tournament grants only sees those
     const todayStr = today;
-    const competitions = (rows || []).map(row => {
+    const competitions = (rows || []).filter(row => req.can('ddj.access', row.tournoi_id)).map(row => {
       const rowDate = row.debut instanceof Date
         ? row.debut.toLocaleDateString('en-CA', { timeZone: 'Europe/Paris' })
         : String(row.debut).split('T')[0];
@@ -455,6 +481,16 @@ router.get('/competitions/:id/pointage', authenticateToken, requireDdJ, async (r
     // unavailable (indisponible) must not be counted toward poule generation,
     // just like a last-minute forfait.
     const NON_PARTICIPATING_STATUTS = new Set(['forfait', 'désinscrit', 'indisponible']);
+
+    // V 2.0.895 — RSVP answer + reason of each player (utils/rsvp.js), so the
+    // DdJ knows before the roll call who announced an absence and why.
+    let rsvpByLicence = new Map();
+    try {
+      rsvpByLicence = await require('../utils/rsvp').getResponseMap(tournoiId, orgId);
+    } catch (e) {
+      console.error('[DdJ pointage] RSVP lookup error:', e.message);
+    }
+
     const enriched = players.map(p => {
       const isForfait = NON_PARTICIPATING_STATUTS.has(p.statut) || p.forfait === 1;
       // V 2.0.767 — Explicit 3-state pointage:
@@ -484,7 +520,8 @@ router.get('/competitions/:id/pointage', authenticateToken, requireDdJ, async (r
         is_forfait: isForfait,
         present: isCheckedIn && !isForfait,  // legacy: present only if explicitly checked in
         checked_in_at: p.checked_in_at,
-        commentaire: p.commentaire || null
+        commentaire: p.commentaire || null,
+        rsvp: rsvpByLicence.get(String(p.licence || '').replace(/\s/g, '').toUpperCase()) || null
       };
     });
 
@@ -915,6 +952,11 @@ router.post('/competitions/:id/poules/generate', authenticateToken, requireDdJ,
     return res.status(400).json({ error: 'ID tournoi invalide' });
   }
 
+  // V 2.0.885 — { format: 'poule_unique', legs: 1|2 } asks for every present
+  // player in one all-play-all group instead of the serpentine.
+  const pouleUnique = !!(req.body && req.body.format === 'poule_unique');
+  const pouleUniqueLegs = pouleUnique && parseInt(req.body.legs, 10) === 2 ? 2 : 1;
+
   try {
     const ctx = await loadPointageForSerpentine(db, orgId, tournoiId);
     if (ctx.error === 'not_found') {
@@ -954,7 +996,7 @@ router.post('/competitions/:id/poules/generate', authenticateToken, requireDdJ,
     // behaviour — admins legitimately pre-assign poules before the DdJ day.
     const { isQuillesMode: _isQ_genPoules } = require('../utils/quilles-helpers');
     const skipPreservedForQuilles = _isQ_genPoules(tournament.mode);
-    if (!skipPreservedForQuilles && convokedTotal > 0 && players.length === convokedTotal && everyoneHasPoule) {
+    if (!pouleUnique && !skipPreservedForQuilles && convokedTotal > 0 && players.length === convokedTotal && everyoneHasPoule) {
       // Group by convocation poule_number, preserving in-poule order.
       const byPoule = new Map();
       for (const p of players) {
@@ -1040,6 +1082,62 @@ router.post('/competitions/:id/poules/generate', authenticateToken, requireDdJ,
       sorted.sort((a, b) => (b.moyenne_ffb || 0) - (a.moyenne_ffb || 0));
     }
 
+    // V 2.0.885 — Poule unique: the whole field in seed order, one group.
+    // No serpentine, no LBIF qualifiés d'office (Quilles included).
+    if (pouleUnique) {
+      const cfg = computeSinglePouleConfiguration(sorted.length, pouleUniqueLegs);
+      if (cfg.poules.length === 0) {
+        return res.status(400).json({
+          error: `Pas assez de joueurs présents (${sorted.length} / min ${cfg.minPlayers})`
+        });
+      }
+      const { isQuillesMode, resolveDistance } = require('../utils/quilles-helpers');
+      if (isQuillesMode(tournament.mode)) {
+        const resolved = await resolveDistance(tournament, 1, { db });
+        if (resolved.distance == null) {
+          return res.status(400).json({
+            error: `Impossible de déterminer la distance pour ce tournoi Quilles : ${resolved.warning || 'configuration incomplète'}. Vérifiez la matrice 5Q (et nb_tables) ou la distance fixe 9Q dans les paramètres du tournoi.`
+          });
+        }
+      }
+      return res.json({
+        tournament: {
+          id: tournament.tournoi_id,
+          nom: tournament.nom,
+          mode: tournament.mode,
+          categorie: tournament.categorie,
+          debut: tournament.debut,
+          season
+        },
+        seed_source: seedSource,
+        format: 'poule_unique',
+        legs: cfg.legs,
+        total_players: sorted.length,
+        total_poules: 1,
+        total_matches: cfg.matches,
+        tables_needed: cfg.tables,
+        description: cfg.description,
+        poules: [{
+          number: 1,
+          size: sorted.length,
+          players: sorted.map((p, i) => ({
+            licence: p.licence,
+            licence_normalized: String(p.licence || '').replace(/\s+/g, ''),
+            player_name: p.player_name || `${p.last_name || ''} ${p.first_name || ''}`.trim(),
+            first_name: p.first_name,
+            last_name: p.last_name,
+            club: p.club,
+            season_rank: p.season_rank,
+            moyenne_ffb: p.moyenne_ffb,
+            serpentine_rank: i + 1,
+            location_name: p.location_name,
+            location_address: p.location_address,
+            start_time: p.start_time
+          }))
+        }]
+      });
+    }
+
     // V 2.0.818 — Sprint 2 LBIF Phase 3: Quilles tournaments follow the
     // LBIF règlement (Code Sportif chap 1.1.1.E) — poules of 3 strict +
     // qualifiés d'office identifiés par le ranking. Bypass carambole logic.
@@ -1235,6 +1333,10 @@ router.put('/competitions/:id/poules', authenticateToken, requireDdJ, async (req
   // d'office, jamais joué en poule, vont directement au bracket).
   // Saved as convocation_poules rows with poule_number=0 + is_direct_qualif=true.
   const { poules, direct_qualifs } = req.body || {};
+  // V 2.0.885 — format 'poule_unique' (+ legs 1|2) is stored on ddj_session;
+  // anything else puts the tournament back on the regular poules flow.
+  const pouleUnique = !!(req.body && req.body.format === 'poule_unique');
+  const pouleUniqueLegs = pouleUnique ? (parseInt(req.body.legs, 10) === 2 ? 2 : 1) : null;
 
   if (!Number.isFinite(tournoiId)) {
     return res.status(400).json({ error: 'ID tournoi invalide' });
@@ -1242,6 +1344,9 @@ router.put('/competitions/:id/poules', authenticateToken, requireDdJ, async (req
   if (!Array.isArray(poules) || poules.length === 0) {
     return res.status(400).json({ error: 'Poules manquantes ou invalides' });
   }
+  if (pouleUnique && (poules.length !== 1 || (Array.isArray(direct_qualifs) && direct_qualifs.length > 0))) {
+    return res.status(400).json({ error: 'Une poule unique regroupe tous les joueurs dans une seule poule' });
+  }
 
   try {
     // Verify tournament belongs to caller's org
@@ -1257,6 +1362,44 @@ router.put('/competitions/:id/poules', authenticateToken, requireDdJ, async (req
       return res.status(404).json({ error: 'Tournoi introuvable' });
     }
 
+    // V 2.0.885 — Switching between poules and poule unique (or simple ↔
+    // aller-retour) renumbers the whole match list: refused once a poule
+    // match has been started or scored.
+    const sessionFormat = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT format, poule_unique_legs FROM ddj_session WHERE tournoi_id = $1`,
+        [tournoiId],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (pouleUnique && !sessionFormat) {
+      return res.status(409).json({ error: 'Renseignez d\'abord la session DdJ (nombre de tables)' });
+    }
+    const wasPouleUnique = !!(sessionFormat && sessionFormat.format === 'poule_unique');
+    const formatChanged = pouleUnique !== wasPouleUnique
+      || (pouleUnique && (parseInt(sessionFormat.poule_unique_legs, 10) || 1) !== pouleUniqueLegs);
+    if (formatChanged) {
+      const started = await new Promise((resolve, reject) => {
+        db.get(
+          `SELECT COUNT(*)::int AS n FROM ddj_poule_matches WHERE tournoi_id = $1`,
+          [tournoiId],
+          (err, row) => err ? reject(err) : resolve(row ? row.n : 0)
+        );
+      });
+      if (started > 0) {
+        return res.status(409).json({
+          error: 'Des matchs de poule ont déjà été commencés : impossible de changer de formule (poules / poule unique / aller-retour)'
+        });
+      }
+      await new Promise((resolve, reject) => {
+        db.run(
+          `UPDATE ddj_session SET format = $2, poule_unique_legs = $3 WHERE tournoi_id = $1`,
+          [tournoiId, pouleUnique ? 'poule_unique' : 'poules', pouleUniqueLegs],
+          (err) => err ? reject(err) : resolve()
+        );
+      });
+    }
+
     // Snapshot existing location/time before we wipe, so the new rows can
     // inherit the admin's location_name / location_address / start_time
     // (the DdJ is only editing the poule composition, not the venue).
@@ -1417,7 +1560,12 @@ router.put('/competitions/:id/poules', authenticateToken, requireDdJ, async (req
             req.user.username || 'DdJ',
             tournoiId,
             `Tournoi ${tournoiId}`,
-            JSON.stringify({ poules_count: poules.length, players_count: totalInserted })
+            JSON.stringify({
+              poules_count: poules.length,
+              players_count: totalInserted,
+              format: pouleUnique ? 'poule_unique' : 'poules',
+              legs: pouleUniqueLegs
+            })
           ],
           () => resolve()
         );
@@ -1431,7 +1579,9 @@ router.put('/competitions/:id/poules', authenticateToken, requireDdJ, async (req
       tournoi_id: tournoiId,
       poules_count: poules.length,
       players_count: totalInserted,
-      direct_qualifs_count: directQualifsInserted
+      direct_qualifs_count: directQualifsInserted,
+      format: pouleUnique ? 'poule_unique' : 'poules',
+      legs: pouleUniqueLegs
     });
   } catch (err) {
     console.error('[DdJ] /poules PUT error:', err);
@@ -1908,9 +2058,36 @@ async function loadPouleMatches(db, orgId, tournoiId) {
     savedByKey.set(`${s.poule_number}:${s.match_number}`, s);
   }
 
+  // V 2.0.746 — Expose when poules were last saved so étape 3 can warn
+  // if the composition predates today (stale after last-minute forfaits).
+  // V 2.0.749 — Also fetch table_count + table_numbers for single_poule
+  // round/table allocation (computed on-the-fly from ddj_session).
+  // V 2.0.885 — format / poule_unique_legs: explicit poule unique chosen
+  // at étape 2 (any player count), simple or aller-retour.
+  const sessionRow = await new Promise((resolve) => {
+    db.get(
+      `SELECT poules_saved_at, table_count, table_numbers, format, poule_unique_legs
+         FROM ddj_session WHERE tournoi_id = $1`,
+      [tournoiId],
+      (err, row) => resolve(err ? null : row)
+    );
+  });
+  const poulesSavedAt = sessionRow ? sessionRow.poules_saved_at : null;
+  const pouleUnique = !!(sessionRow && sessionRow.format === 'poule_unique');
+  const pouleUniqueLegs = pouleUnique && parseInt(sessionRow.poule_unique_legs, 10) === 2 ? 2 : 1;
+  const sessionTableCount = sessionRow ? (parseInt(sessionRow.table_count) || 0) : 0;
+  const sessionTableNumbers = sessionTableCount > 0
+    ? parseTableNumbers(sessionRow.table_numbers, sessionTableCount)
+    : null;
+
   const poules = [];
   for (const [pn, playersArr] of [...byPoule.entries()].sort((a, b) => a[0] - b[0])) {
-    const schedule = roundRobinSchedule(playersArr.length, playersArr);
+    // V 2.0.885 — Poule unique: Berger schedule (optionally aller-retour)
+    // spread over the session's tables, in playing order. Otherwise the
+    // FFB article 6.2.09 order.
+    const schedule = pouleUnique
+      ? scheduleRoundRobin(playersArr.length, { legs: pouleUniqueLegs, tableCount: sessionTableCount })
+      : roundRobinSchedule(playersArr.length, playersArr);
     const matches = schedule.map(sch => {
       const p1 = playersArr[sch.p1_idx - 1];
       const p2 = playersArr[sch.p2_idx - 1];
@@ -1956,6 +2133,11 @@ async function loadPouleMatches(db, orgId, tournoiId) {
                 p2_points: saved.p2_points, p2_reprises: saved.p2_reprises },
               gameParams))
       };
+      if (pouleUnique) {
+        m.round_number = sch.round_number;
+        m.leg = sch.leg;
+        if (sch.table_index && sessionTableNumbers) m.table_number = sessionTableNumbers[sch.table_index - 1];
+      }
       // Convenience: derive match points + outcome for UI
       const mp = computeMatchPoints(m.p1_points, m.p2_points, settings);
       m.p1_match_points = mp ? mp.p1_mp : null;
@@ -1995,40 +2177,23 @@ async function loadPouleMatches(db, orgId, tournoiId) {
   const singlePouleThreshold =
     parseInt(await appSettings.getOrgSetting(orgId, 'single_poule_threshold')) || 6;
   const totalPlayers = poules.reduce((sum, p) => sum + p.players.length, 0);
-  const mode = totalPlayers > 0 && totalPlayers < singlePouleThreshold
+  // V 2.0.885 — an explicit poule unique is single_poule whatever the count
+  const mode = pouleUnique || (totalPlayers > 0 && totalPlayers < singlePouleThreshold)
     ? 'single_poule'
     : 'bracket';
 
-  // V 2.0.746 — Expose when poules were last saved so étape 3 can warn
-  // if the composition predates today (stale after last-minute forfaits).
-  // V 2.0.749 — Also fetch table_count + table_numbers for single_poule
-  // round/table allocation (computed on-the-fly from ddj_session).
-  const sessionRow = await new Promise((resolve) => {
-    db.get(
-      `SELECT poules_saved_at, table_count, table_numbers FROM ddj_session WHERE tournoi_id = $1`,
-      [tournoiId],
-      (err, row) => resolve(err ? null : row)
-    );
-  });
-  const poulesSavedAt = sessionRow ? sessionRow.poules_saved_at : null;
-
   // V 2.0.749 — In single_poule mode, rebuild each poule's match schedule
   // using Berger rounds + table allocation from the DdJ session.
-  let sessionTableCount = 0;
-  let sessionTableNumbers = null;
-  if (mode === 'single_poule' && sessionRow && sessionRow.table_count) {
-    sessionTableCount = parseInt(sessionRow.table_count) || 0;
-    if (sessionTableCount > 0) {
-      sessionTableNumbers = parseTableNumbers(sessionRow.table_numbers, sessionTableCount);
-      // Recompute each poule's matches with round + table info
-      for (const poule of poules) {
-        const roundedSchedule = roundRobinRoundsWithTables(poule.players, sessionTableNumbers);
-        for (const m of poule.matches) {
-          const rs = roundedSchedule.find(s => s.match_number === m.match_number);
-          if (rs) {
-            m.round_number = rs.round_number;
-            m.table_number = rs.table_number;
-          }
+  // (V 2.0.885 — already done above for an explicit poule unique.)
+  if (mode === 'single_poule' && !pouleUnique && sessionTableCount > 0) {
+    // Recompute each poule's matches with round + table info
+    for (const poule of poules) {
+      const roundedSchedule = roundRobinRoundsWithTables(poule.players, sessionTableNumbers);
+      for (const m of poule.matches) {
+        const rs = roundedSchedule.find(s => s.match_number === m.match_number);
+        if (rs) {
+          m.round_number = rs.round_number;
+          m.table_number = rs.table_number;
         }
       }
     }
@@ -2039,7 +2204,10 @@ async function loadPouleMatches(db, orgId, tournoiId) {
     mode, poules_saved_at: poulesSavedAt,
     // V 2.0.749 — Table allocation metadata for single_poule mode
     table_count: mode === 'single_poule' ? sessionTableCount : null,
-    table_numbers: mode === 'single_poule' ? sessionTableNumbers : null
+    table_numbers: mode === 'single_poule' ? sessionTableNumbers : null,
+    // V 2.0.885 — 'poule_unique' when chosen explicitly at étape 2
+    format: pouleUnique ? 'poule_unique' : 'poules',
+    legs: pouleUnique ? pouleUniqueLegs : null
   };
 }
 
@@ -2073,7 +2241,7 @@ router.get('/competitions/:id/poule-matches', authenticateToken, requireDdJ, asy
 // Body: { poule_number, match_number, p1_points, p1_reprises, p1_serie,
 //          p2_points, p2_reprises, p2_serie, table_number? }
 // Upserts the match and returns the updated classement for the poule.
-router.put('/competitions/:id/poule-matches', authenticateToken, requireDdJ, async (req, res) => {
+router.put('/competitions/:id/poule-matches', authenticateDdJOrScorer, scorerGuard('poule'), offlineReplayGuard('poule'), async (req, res) => {
   const db = getDb();
   const orgId = req.user.organizationId || null;
   const tournoiId = parseInt(req.params.id, 10);
@@ -2498,9 +2666,11 @@ async function loadBracket(db, orgId, tournoiId) {
   // exempts + barrage winners + qualifiés d'office, not from the top of the
   // poule classements. Falling back to the carambole code below would seed
   // the wrong players. Carambole flow unchanged.
+  // V 2.0.885 — a Quilles poule unique has no bracket either: it takes the
+  // single_poule guard below.
   try {
     const { isQuillesMode } = require('../utils/quilles-helpers');
-    if (ctx.tournament && isQuillesMode(ctx.tournament.mode)) {
+    if (ctx.tournament && isQuillesMode(ctx.tournament.mode) && ctx.format !== 'poule_unique') {
       return await loadBracketQuilles(db, orgId, tournoiId, ctx);
     }
   } catch (e) {
@@ -3298,6 +3468,16 @@ async function loadBarrage(db, orgId, tournoiId) {
   const pouleCtx = await loadPouleMatches(db, orgId, tournoiId);
   if (pouleCtx.error) return pouleCtx;
 
+  // V 2.0.885 — Poule unique: the classement is final, no barrage
+  if (pouleCtx.format === 'poule_unique') {
+    return {
+      applicable: false,
+      reason: 'poule_unique',
+      tournament,
+      message: 'Poule unique : ni barrage ni tableau final, le classement de la poule est le classement final.'
+    };
+  }
+
   const allPoulesDone = (pouleCtx.poules || []).every(p =>
     (p.matches || []).every(m => m.is_played)
   );
@@ -3514,7 +3694,7 @@ router.post('/competitions/:id/barrage/setup', authenticateToken, requireDdJ, as
 // PUT /competitions/:id/barrage — save a single match result
 // Body: { match_number, p1_points, p2_points, p1_points_subis?, p2_points_subis?,
 //         table_number?, referee_name?, referee_licence? }
-router.put('/competitions/:id/barrage', authenticateToken, requireDdJ, async (req, res) => {
+router.put('/competitions/:id/barrage', authenticateDdJOrScorer, scorerGuard('barrage'), offlineReplayGuard('barrage'), async (req, res) => {
   const db = getDb();
   const orgId = req.user.organizationId || null;
   const tournoiId = parseInt(req.params.id, 10);
@@ -3769,6 +3949,7 @@ router.post('/competitions/:id/reset-bracket', authenticateToken, requireDdJ, as
 // Total wipe of every DdJ trace for a tournament. Wipes:
 //   - ddj_poule_matches, ddj_bracket_matches, ddj_consolante_matches
 //   - ddj_bracket_seed_overrides
+//   - ddj_swiss_matches / ddj_swiss_players (V 2.0.884, Swiss format)
 //   - convocation_poules (poule compositions — will be re-created when
 //     the admin re-runs the poule generation + sends convocations)
 //   - tournament_results + tournaments row created at finalize time
@@ -3811,6 +3992,10 @@ router.post('/competitions/:id/reset-all', authenticateToken, requireAdmin, asyn
     const consolanteDeleted = await runDelete(`DELETE FROM ddj_consolante_matches WHERE tournoi_id = $1`);
     const overrideDeleted   = await runDelete(`DELETE FROM ddj_bracket_seed_overrides WHERE tournoi_id = $1`);
     const convocDeleted     = await runDelete(`DELETE FROM convocation_poules     WHERE tournoi_id = $1`);
+    // V 2.0.884 — Swiss format: pairings, frozen roster, back to the poules flow
+    const swissDeleted      = await runDelete(`DELETE FROM ddj_swiss_matches      WHERE tournoi_id = $1`);
+    await runDelete(`DELETE FROM ddj_swiss_players WHERE tournoi_id = $1`);
+    await runDelete(`UPDATE ddj_session SET format = 'poules', swiss_rounds = NULL WHERE tournoi_id = $1`);
 
     // Resolve the finalized tournaments row (same lookup as /finalize) and
     // wipe it + its results. Best-effort: if the lookup fails (e.g. no
@@ -3884,7 +4069,7 @@ router.post('/competitions/:id/reset-all', authenticateToken, requireAdmin, asyn
         const recalcRankings = tournamentsRouter.recalculateRankings;
         if (typeof recalcRankings === 'function') {
           await new Promise((resolve) => {
-            recalcRankings(resolvedCategoryId, resolvedSeason, () => resolve());
+            recalcRankings(resolvedCategoryId, resolvedSeason, () => resolve(), { trigger: 'ddj_reset', userId: req.user.userId });
           });
           rankingsRefreshed = true;
         }
@@ -3909,7 +4094,7 @@ router.post('/competitions/:id/reset-all', authenticateToken, requireAdmin, asyn
           [orgId, tournoiId, req.user.userId || null,
             JSON.stringify({
               pouleDeleted, bracketDeleted, consolanteDeleted, overrideDeleted,
-              convocDeleted, tournamentResultsDeleted, tournamentRowDeleted,
+              convocDeleted, swissDeleted, tournamentResultsDeleted, tournamentRowDeleted,
               inscriptionsReset, rankingsRefreshed
             })],
           (err) => err ? reject(err) : resolve()
@@ -3920,7 +4105,7 @@ router.post('/competitions/:id/reset-all', authenticateToken, requireAdmin, asyn
     res.json({
       ok: true,
       pouleDeleted, bracketDeleted, consolanteDeleted, overrideDeleted,
-      convocDeleted, tournamentResultsDeleted, tournamentRowDeleted,
+      convocDeleted, swissDeleted, tournamentResultsDeleted, tournamentRowDeleted,
       inscriptionsReset, rankingsRefreshed
     });
   } catch (err) {
@@ -4038,7 +4223,7 @@ router.post('/competitions/:id/clear-season-results', authenticateToken, require
       const recalcRankings = tournamentsRouter.recalculateRankings;
       if (typeof recalcRankings === 'function') {
         await new Promise((resolve) => {
-          recalcRankings(categoryRow.id, season, () => resolve());
+          recalcRankings(categoryRow.id, season, () => resolve(), { trigger: 'ddj_reset', userId: req.user.userId });
         });
         rankingsRefreshed = true;
       }
@@ -4109,7 +4294,7 @@ router.get('/competitions/:id/bracket', authenticateToken, requireDdJ, async (re
 //   - phase is one of SF1/SF2/F/PF
 //   - both upstream SFs (for F and PF) are already played
 //   - scores respect game_params max (same as Step 3)
-router.put('/competitions/:id/bracket', authenticateToken, requireDdJ, async (req, res) => {
+router.put('/competitions/:id/bracket', authenticateDdJOrScorer, scorerGuard('bracket'), offlineReplayGuard('bracket'), async (req, res) => {
   const db = getDb();
   const orgId = req.user.organizationId || null;
   const tournoiId = parseInt(req.params.id, 10);
@@ -4660,7 +4845,7 @@ router.get('/competitions/:id/consolante', authenticateToken, requireDdJ, async
 // PUT /api/directeur-jeu/competitions/:id/consolante
 // Body: { phase, table_number, p1_points, p1_reprises, p1_serie,
 //         p2_points, p2_reprises, p2_serie }
-router.put('/competitions/:id/consolante', authenticateToken, requireDdJ, async (req, res) => {
+router.put('/competitions/:id/consolante', authenticateDdJOrScorer, scorerGuard('consolante'), offlineReplayGuard('consolante'), async (req, res) => {
   const db = getDb();
   const orgId = req.user.organizationId || null;
   const tournoiId = parseInt(req.params.id, 10);
@@ -4830,6 +5015,12 @@ router.get('/competitions/:id/recap', authenticateToken, requireDdJ, async (req,
     if (pouleCtx.error) {
       return res.status(pouleCtx.status || 500).json({ error: pouleCtx.error });
     }
+    // V 2.0.884 — Swiss tournament: no poules / tableau / consolante, the
+    // Swiss standings are the final classement.
+    const swissCtx = await loadSwiss(db, orgId, tournoiId, pouleCtx);
+    if (swissCtx.enabled) {
+      return res.json(buildSwissRecap(swissCtx));
+    }
     const bracketCtx = await loadBracket(db, orgId, tournoiId);
     if (bracketCtx.error) {
       return res.status(bracketCtx.status || 500).json({ error: bracketCtx.error });
@@ -4954,7 +5145,10 @@ router.get('/competitions/:id/recap', authenticateToken, requireDdJ, async (req,
       },
       overall_classement: overall,
       ffb_classement: ffbClassement,
-      lbif_classement: lbifClassement
+      lbif_classement: lbifClassement,
+      // V 2.0.885 — poule unique (simple / aller-retour) chosen at étape 2
+      format: pouleCtx.format,
+      legs: pouleCtx.legs
     });
   } catch (err) {
     // V 2.0.863 — Reverted the V 2.0.837 diagnostic detail/stack payload.
@@ -4967,6 +5161,56 @@ router.get('/competitions/:id/recap', authenticateToken, requireDdJ, async (req,
   }
 });
 
+/**
+ * V 2.0.884 — /recap payload for a Swiss tournament. Same top-level keys as
+ * the poules flow (empty poules / bracket / consolante) so the recap page
+ * and the finalize modal keep working; the rounds and tiebreak columns
+ * travel in `swiss`. ffb_classement rows follow buildFFBRanking's shape.
+ */
+function buildSwissRecap(swissCtx) {
+  const overall = swissCtx.standings.map(s => ({
+    place: s.rank,
+    licence: s.licence,
+    name: s.player_name
+  }));
+  const ffbClassement = swissCtx.standings.map(s => ({
+    licence: s.licence,
+    name: s.player_name,
+    club: s.club || null,
+    matches_played: s.matches_played,
+    wins: s.wins,
+    draws: s.draws,
+    losses: s.losses,
+    match_points: s.match_points,
+    win_rate: s.matches_played > 0 ? Math.round((s.wins / s.matches_played) * 100) : 0,
+    total_points: s.points_scored,
+    total_reprises: s.reprises,
+    moyenne: Math.round(s.moyenne * 1000) / 1000,
+    best_serie: s.best_serie || 0,
+    final_place: swissCtx.complete ? s.rank : null,
+    rank: s.rank
+  }));
+  return {
+    tournament: swissCtx.tournament,
+    game_params: swissCtx.game_params,
+    poules: [],
+    bracket: {
+      can_start: false, bracket_size: 0, qualifiers: [], non_qualifiers: [],
+      phases: [], final_places: null
+    },
+    consolante: { can_start: false, consolante_size: 0, phases: [], final_places: null },
+    overall_classement: overall,
+    ffb_classement: ffbClassement,
+    lbif_classement: null,
+    swiss: {
+      rounds_planned: swissCtx.rounds_planned,
+      rounds: swissCtx.rounds,
+      standings: swissCtx.standings,
+      complete: swissCtx.complete
+    }
+  };
+}
+
 /**
  * Build a FFB-style cumulative ranking from all match results across the 3
  * phases (poules, bracket, consolante).
@@ -5598,6 +5842,18 @@ router.get('/competitions/:id/export-csv', authenticateToken, requireDdJ, async
       }
     }
 
+    // V 2.0.884 — Swiss rounds: one phase line per round ("RONDE 2"),
+    // exempts skipped like consolante byes.
+    const swissCtx = await loadSwiss(db, orgId, tournoiId, pouleCtx);
+    for (const r of (swissCtx.enabled ? swissCtx.rounds : [])) {
+      for (const m of r.matches) {
+        if (m.is_bye || !m.is_played) continue;
+        const p1Obj = { licence: m.p1_licence, player_name: m.p1_name };
+        const p2Obj = { licence: m.p2_licence, player_name: m.p2_name };
+        rows.push(matchRow(r.round_number, matchDate, `RONDE ${r.round_number}`, p1Obj, p2Obj, m, mode));
+      }
+    }
+
     // Phases 2-5: consolante matches
     if (consolanteCtx && !consolanteCtx.error && consolanteCtx.phases) {
       for (const ph of consolanteCtx.phases) {
@@ -5709,15 +5965,29 @@ router.post('/competitions/:id/finalize', authenticateToken, requireDdJ, async (
     // ---- Load full state ---------------------------------------------------
     const pouleCtx = await loadPouleMatches(db, orgId, tournoiId);
     if (pouleCtx.error) return res.status(pouleCtx.status || 500).json({ error: pouleCtx.error });
-    const bracketCtx = await loadBracket(db, orgId, tournoiId);
-    if (bracketCtx.error) return res.status(bracketCtx.status || 500).json({ error: bracketCtx.error });
-    const consolanteCtx = await loadConsolante(db, orgId, tournoiId);
-    if (consolanteCtx.error) return res.status(consolanteCtx.status || 500).json({ error: consolanteCtx.error });
+    // V 2.0.884 — Swiss tournament: the rounds replace poules + tableau +
+    // consolante; the Swiss standings give the places.
+    const swissCtx = await loadSwiss(db, orgId, tournoiId, pouleCtx);
+    const isSwiss = swissCtx.enabled;
+    let bracketCtx = { phases: [], final_places: null, bracket_size: 0 };
+    let consolanteCtx = { phases: [], final_places: null, consolante_size: 0 };
+    if (!isSwiss) {
+      bracketCtx = await loadBracket(db, orgId, tournoiId);
+      if (bracketCtx.error) return res.status(bracketCtx.status || 500).json({ error: bracketCtx.error });
+      consolanteCtx = await loadConsolante(db, orgId, tournoiId);
+      if (consolanteCtx.error) return res.status(consolanteCtx.status || 500).json({ error: consolanteCtx.error });
+    }
 
     // ---- Validate completion ----------------------------------------------
-    const allPoulesDone = pouleCtx.poules.length > 0 && pouleCtx.poules.every(p => p.all_matches_played);
-    if (!allPoulesDone) {
-      return res.status(409).json({ error: 'Tous les matchs de poule doivent être terminés avant de valider.' });
+    if (isSwiss) {
+      if (!swissCtx.complete) {
+        return res.status(409).json({ error: 'Toutes les rondes du système suisse doivent être terminées avant de valider.' });
+      }
+    } else {
+      const allPoulesDone = pouleCtx.poules.length > 0 && pouleCtx.poules.every(p => p.all_matches_played);
+      if (!allPoulesDone) {
+        return res.status(409).json({ error: 'Tous les matchs de poule doivent être terminés avant de valider.' });
+      }
     }
     // V 2.0.865 / V 2.0.866 — "No-bracket" detection covers three real cases:
     //   1. Carambole N < single_poule_threshold (default 6) → pouleCtx.mode='single_poule'
@@ -5730,7 +6000,7 @@ router.post('/competitions/:id/finalize', authenticateToken, requireDdJ, async (
     const isSinglePoule = pouleCtx.mode === 'single_poule'
                        || bracketCtx.mode === 'single_poule'
                        || (bracketCtx.bracket_size === 0 && (!bracketCtx.phases || bracketCtx.phases.length === 0));
-    if (!isSinglePoule) {
+    if (!isSinglePoule && !isSwiss) {
       if (!bracketCtx.final_places || bracketCtx.final_places.length === 0) {
         return res.status(409).json({ error: 'Le tableau final doit être terminé (Finale + Petite finale).' });
       }
@@ -5746,7 +6016,9 @@ router.post('/competitions/:id/finalize', authenticateToken, requireDdJ, async (
     // classement order (1st of classement = place 1, etc.) instead of from
     // bracket/consolante which are empty. Without this, no player gets a
     // position assigned and the season ranking can't sort them.
-    const overallPlaces = isSinglePoule
+    const overallPlaces = isSwiss
+      ? swissCtx.standings.map(s => ({ place: s.rank, licence: s.licence, name: s.player_name }))
+      : isSinglePoule
       ? ((pouleCtx.poules || [])[0]?.classement || []).map((row, idx) => ({
           place: idx + 1,
           licence: row.licence,
@@ -5859,6 +6131,18 @@ router.post('/competitions/:id/finalize', authenticateToken, requireDdJ, async (
       addMatch(ph.p1?.licence, ph.p1?.player_name, ph.p2?.licence, ph.p2?.player_name, ph, true);
     }
 
+    // Swiss rounds (flat shape). An exempt has no score but is worth a win.
+    for (const r of (swissCtx.rounds || [])) {
+      for (const m of r.matches) {
+        if (m.is_bye) {
+          ensure(m.p1_licence_normalized, m.p1_name).match_points += m.p1_match_points || 0;
+          continue;
+        }
+        if (!isPlayedForFinalize(m)) continue;
+        addMatch(m.p1_licence, m.p1_name, m.p2_licence, m.p2_name, m, false);
+      }
+    }
+
     if (statsByLic.size === 0) {
       return res.status(409).json({ error: 'Aucun match joué — rien à finaliser.' });
     }
@@ -6068,13 +6352,13 @@ router.post('/competitions/:id/finalize', authenticateToken, requireDdJ, async (
     // total_match_points DESC as the primary key.
     if (tournamentIsQuilles) {
       await new Promise((resolve) => {
-        recalcRankings(categoryId, season, () => resolve());
+        recalcRankings(categoryId, season, () => resolve(), { trigger: 'ddj_finalized', tournamentId, userId: req.user.userId });
       });
       console.log('[/finalize] Quilles tournament — recalcRankings run, recalcBonuses skipped');
     } else {
       await new Promise((resolve) => {
         recalcBonuses(categoryId, season, orgId, () => {
-          recalcRankings(categoryId, season, () => resolve());
+          recalcRankings(categoryId, season, () => resolve(), { trigger: 'ddj_finalized', tournamentId, userId: req.user.userId });
         });
       });
     }
@@ -6136,8 +6420,8 @@ router.post('/dev/seed-moyennes/:id', authenticateToken, async (req, res) => {
 
   // Soft-gate: require role=admin AND a secret. Not production-grade security
   // (the secret is shared), but sufficient to deter accidental hits.
-  if (req.user.role !== 'admin' && !req.user.admin) {
-    return res.status(403).json({ error: 'Réservé aux administrateurs' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
   if (secret !== 'seed-demo-moyennes-2026') {
     return res.status(403).json({ error: 'Secret manquant ou invalide' });
@@ -6274,7 +6558,7 @@ router.get('/competitions/:id/ddj-session', authenticateToken, requireDdJ, async
     const session = await new Promise((resolve, reject) => {
       db.get(
         `SELECT tournoi_id, table_count, table_numbers, ddj_user_id, ddj_name, ddj_licence,
-                started_at, ended_at
+                started_at, ended_at, format, poule_unique_legs
            FROM ddj_session
           WHERE tournoi_id = $1`,
         [tournoiId],
@@ -6445,6 +6729,12 @@ router.get('/competitions/:id/tables-status', authenticateToken, requireDdJ, asy
          SELECT 'consolante' AS phase_kind, table_number, p1_licence, p2_licence,
                 started_at, phase::text AS phase_label, NULL::int AS phase_index
            FROM ddj_consolante_matches
+          WHERE tournoi_id = $1 AND started_at IS NOT NULL AND finished_at IS NULL
+            AND table_number IS NOT NULL
+         UNION ALL
+         SELECT 'swiss'      AS phase_kind, table_number, p1_licence, p2_licence,
+                started_at, round_number::text AS phase_label, match_number AS phase_index
+           FROM ddj_swiss_matches
           WHERE tournoi_id = $1 AND started_at IS NOT NULL AND finished_at IS NULL
             AND table_number IS NOT NULL`,
         [tournoiId],
@@ -6616,7 +6906,7 @@ router.post('/competitions/:id/auto-assign-tables', authenticateToken, requireDd
   }
 });
 
-router.post('/competitions/:id/poule-matches/start', authenticateToken, requireDdJ, async (req, res) => {
+router.post('/competitions/:id/poule-matches/start', authenticateDdJOrScorer, scorerGuard('poule'), offlineReplayGuard('poule'), async (req, res) => {
   const db = getDb();
   const orgId = req.user.organizationId || null;
   const tournoiId = parseInt(req.params.id, 10);
@@ -6708,7 +6998,7 @@ router.post('/competitions/:id/poule-matches/cancel', authenticateToken, require
   }
 });
 
-router.post('/competitions/:id/bracket/start', authenticateToken, requireDdJ, async (req, res) => {
+router.post('/competitions/:id/bracket/start', authenticateDdJOrScorer, scorerGuard('bracket'), offlineReplayGuard('bracket'), async (req, res) => {
   const db = getDb();
   const orgId = req.user.organizationId || null;
   const tournoiId = parseInt(req.params.id, 10);
@@ -6751,7 +7041,7 @@ router.post('/competitions/:id/bracket/start', authenticateToken, requireDdJ, as
   }
 });
 
-router.post('/competitions/:id/consolante/start', authenticateToken, requireDdJ, async (req, res) => {
+router.post('/competitions/:id/consolante/start', authenticateDdJOrScorer, scorerGuard('consolante'), offlineReplayGuard('consolante'), async (req, res) => {
   const db = getDb();
   const orgId = req.user.organizationId || null;
   const tournoiId = parseInt(req.params.id, 10);
@@ -6832,7 +7122,8 @@ router.post('/competitions/:id/reset-all-scores',
         'ddj_bracket_seed_overrides',
         'ddj_consolante_matches',
         'ddj_bracket_matches',
-        'ddj_poule_matches'
+        'ddj_poule_matches',
+        'ddj_swiss_matches'
       ];
       for (const tbl of tables) {
         await new Promise((resolve, reject) => {
@@ -6870,6 +7161,1490 @@ router.post('/competitions/:id/reset-all-scores',
   }
 );
 
+// ============================================================================
+// V 2.0.881 — Per-table scorer tablets
+// ============================================================================
+//
+// One tablet per physical table lets a referee (or the players) enter the
+// score of the match currently on that table, instead of queueing at the
+// DdJ screen. Flow:
+//
+//   1. DdJ: POST /competitions/:id/scorers { table_number }
+//        → 6-digit pairing code (valid 30 min), shown with a QR code.
+//   2. Tablet: POST /scorer/pair { code }  (ddj-scorer.html, no login)
+//        → scoped JWT { scope: 'ddj_scorer', tournoiId, tableNumber }.
+//   3. Tablet: GET /scorer/current → the match in progress on its table
+//        (or the next one to play), then saves through the SAME endpoints
+//        as the DdJ (PUT poule-matches / bracket / consolante / barrage,
+//        POST .../start), guarded by scorerGuard() below.
+//   4. DdJ: GET /competitions/:id/scorers for the supervisory view, can
+//        lock a match (tablet saves refused, 423) or revoke a tablet. The
+//        DdJ's own saves always go through — that's the overrule.
+//
+// Every saved score is stamped with entry_source ('ddj' or 'table_<N>') so
+// the DdJ can tell tablet entries from their own.
+// ============================================================================
+
+const SCORER_PAIRING_TTL_MINUTES = 30;
+
+// Which match row a request body addresses, per phase kind. Returns null
+// when the body is incomplete — the route handler answers the 400 itself.
+function scorerMatchKey(kind, body) {
+  const b = body || {};
+  if (kind === 'poule') {
+    const pn = parseInt(b.poule_number, 10);
+    const mn = parseInt(b.match_number, 10);
+    if (!Number.isFinite(pn) || !Number.isFinite(mn)) return null;
+    return { table: 'ddj_poule_matches', where: 'poule_number = $2 AND match_number = $3', params: [pn, mn] };
+  }
+  if (kind === 'barrage') {
+    const mn = parseInt(b.match_number, 10);
+    if (!Number.isFinite(mn)) return null;
+    return { table: 'ddj_barrage_matches', where: 'match_number = $2', params: [mn] };
+  }
+  if (kind === 'swiss') {
+    const rn = parseInt(b.round_number, 10);
+    const mn = parseInt(b.match_number, 10);
+    if (!Number.isFinite(rn) || !Number.isFinite(mn)) return null;
+    return { table: 'ddj_swiss_matches', where: 'round_number = $2 AND match_number = $3', params: [rn, mn] };
+  }
+  const phase = String(b.phase || '').toUpperCase();
+  if (!phase) return null;
+  const table = kind === 'bracket' ? 'ddj_bracket_matches' : 'ddj_consolante_matches';
+  return { table, where: 'phase = $2', params: [phase] };
+}
+
+// Flat list of every match of the day (4 phases) with its table, players
+// and scores — the tablet's view of the tournament. Built from the same
+// loaders as the DdJ pages so single_poule table rotation, bracket
+// auto-allocation etc. are honoured.
+async function collectTableMatches(db, orgId, tournoiId) {
+  const pouleCtx = await loadPouleMatches(db, orgId, tournoiId);
+  if (pouleCtx.error) return null;
+  const out = [];
+  const result = () => ({
+    matches: out,
+    game_params: pouleCtx.game_params,
+    settings: pouleCtx.settings,
+    mode: pouleCtx.tournament.mode,
+    tournament: pouleCtx.tournament
+  });
+  const scoreFields = (m) => ({
+    p1_points: m.p1_points, p1_reprises: m.p1_reprises, p1_serie: m.p1_serie,
+    p2_points: m.p2_points, p2_reprises: m.p2_reprises, p2_serie: m.p2_serie,
+    started_at: m.started_at || null,
+    finished_at: m.finished_at || null,
+    is_played: !!m.is_played,
+    referee_name: m.referee_name || null,
+    referee_licence: m.referee_licence || null
+  });
+  // V 2.0.884 — Swiss tournament: the rounds are the only matches of the day
+  const swissCtx = await loadSwiss(db, orgId, tournoiId, pouleCtx);
+  if (swissCtx.enabled) {
+    for (const r of swissCtx.rounds) {
+      for (const m of r.matches) {
+        if (m.is_bye) continue;
+        out.push({
+          kind: 'swiss', round_number: r.round_number, match_number: m.match_number,
+          poule_number: null, phase: null,
+          label: `Ronde ${r.round_number} · Match ${m.match_number}`,
+          table_number: m.table_number || null,
+          p1_licence: m.p1_licence, p2_licence: m.p2_licence,
+          ...scoreFields(m)
+        });
+      }
+    }
+    return result();
+  }
+  for (const p of pouleCtx.poules || []) {
+    for (const m of p.matches || []) {
+      out.push({
+        kind: 'poule', poule_number: p.number, match_number: m.match_number, phase: null,
+        label: `Poule ${p.number} · Match ${m.match_number}`,
+        table_number: m.table_number || null,
+        p1_licence: m.p1_licence, p2_licence: m.p2_licence,
+        ...scoreFields(m)
+      });
+    }
+  }
+  const pushPhases = (kind, ctx, labelOf) => {
+    if (!ctx || !ctx.can_start) return;
+    for (const ph of ctx.phases || []) {
+      if (!ph.p1 || !ph.p2) continue;
+      out.push({
+        kind, poule_number: null, match_number: null, phase: ph.phase,
+        label: labelOf(ph),
+        table_number: ph.table_number || null,
+        p1_licence: ph.p1.licence, p2_licence: ph.p2.licence,
+        ...scoreFields(ph)
+      });
+    }
+  };
+  try {
+    pushPhases('bracket', await loadBracket(db, orgId, tournoiId), ph => `Phase finale · ${ph.phase}`);
+  } catch (e) { console.error('[DdJ scorer] loadBracket', e); }
+  try {
+    pushPhases('consolante', await loadConsolante(db, orgId, tournoiId), ph => ph.ffb_label || `Classement · ${ph.phase}`);
+  } catch (e) { console.error('[DdJ scorer] loadConsolante', e); }
+  try {
+    const barrageCtx = await loadBarrage(db, orgId, tournoiId);
+    if (barrageCtx && barrageCtx.applicable) {
+      for (const m of barrageCtx.matches || []) {
+        out.push({
+          kind: 'barrage', poule_number: null, match_number: m.match_number, phase: null,
+          label: `Barrage · Match ${m.match_number}`,
+          table_number: m.table_number || null,
+          p1_licence: m.p1_licence, p2_licence: m.p2_licence,
+          ...scoreFields(m)
+        });
+      }
+    }
+  } catch (e) { console.error('[DdJ scorer] loadBarrage', e); }
+  return result();
+}
+
+function sameScorerMatch(kind, key, m) {
+  if (m.kind !== kind) return false;
+  if (kind === 'poule') return m.poule_number === key.params[0] && m.match_number === key.params[1];
+  if (kind === 'barrage') return m.match_number === key.params[0];
+  if (kind === 'swiss') return m.round_number === key.params[0] && m.match_number === key.params[1];
+  return m.phase === key.params[0];
+}
+
+/**
+ * Route guard for the score endpoints shared by the DdJ and the tablets.
+ * Must run after authenticateDdJOrScorer.
+ *   - DdJ / admin: passes through (their save overrules a lock).
+ *   - Tablet: right tournament, match on the tablet's table, not locked.
+ *     The table_number in the body is forced to the tablet's table.
+ * On a successful PUT, stamps entry_source on the row.
+ */
+function scorerGuard(kind) {
+  return async (req, res, next) => {
+    const db = getDb();
+    const tournoiId = parseInt(req.params.id, 10);
+    const key = scorerMatchKey(kind, req.body);
+    const isScorer = req.user.scope === 'ddj_scorer';
+
+    if (isScorer) {
+      if (req.user.tournoiId !== tournoiId) {
+        return res.status(403).json({ error: 'Cette tablette est associée à un autre tournoi' });
+      }
+      if (!key) return next();
+      try {
+        const row = await new Promise((resolve, reject) => {
+          db.get(
+            `SELECT table_number, locked_at FROM ${key.table}
+              WHERE tournoi_id = $1 AND ${key.where}`,
+            [tournoiId, ...key.params],
+            (err, r) => err ? reject(err) : resolve(r)
+          );
+        });
+        if (row && row.locked_at) {
+          return res.status(423).json({ error: 'Match verrouillé par le Directeur de Jeu' });
+        }
+        let tableNumber = row ? row.table_number : null;
+        if (tableNumber == null) {
+          // No stored allocation yet (e.g. single_poule rotation computed
+          // on the fly) — fall back to the loaders' view.
+          const ctx = await collectTableMatches(db, req.user.organizationId || null, tournoiId);
+          const m = ctx && ctx.matches.find(mm => sameScorerMatch(kind, key, mm));
+          tableNumber = m ? m.table_number : null;
+        }
+        if (tableNumber !== req.user.tableNumber) {
+          return res.status(403).json({
+            error: tableNumber
+              ? `Ce match se joue sur la table ${tableNumber}`
+              : 'Ce match n\'est pas attribué à cette table'
+          });
+        }
+      } catch (err) {
+        console.error('[DdJ scorerGuard] error:', err);
+        return res.status(500).json({ error: 'Erreur lors de la vérification de la tablette' });
+      }
+      req.body.table_number = req.user.tableNumber;
+    }
+
+    if (req.method === 'PUT' && key) {
+      const source = isScorer ? `table_${req.user.tableNumber}` : 'ddj';
+      res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+        db.run(
+          `UPDATE ${key.table} SET entry_source = $${key.params.length + 2}
+            WHERE tournoi_id = $1 AND ${key.where}`,
+          [tournoiId, ...key.params, source],
+          (err) => { if (err) console.warn('[DdJ scorerGuard] entry_source:', err.message); }
+        );
+      });
+    }
+    next();
+  };
+}
+
+// POST /api/directeur-jeu/scorer/pair   (no auth — rate-limited in server.js)
+// Body: { code }
+// Exchanges a pairing code for a tablet token. The code is single-use.
+router.post('/scorer/pair', async (req, res) => {
+  const db = getDb();
+  const code = String((req.body || {}).code || '').replace(/\D/g, '');
+  if (code.length !== 6) {
+    return res.status(400).json({ error: 'Code à 6 chiffres requis' });
+  }
+
+  try {
+    const tablet = await new Promise((resolve, reject) => {
+      db.get(
+        `UPDATE ddj_scorer_tablets
+            SET pairing_code = NULL, pairing_expires_at = NULL,
+                paired_at = CURRENT_TIMESTAMP, last_seen_at = CURRENT_TIMESTAMP
+          WHERE pairing_code = $1
+            AND pairing_expires_at > CURRENT_TIMESTAMP
+            AND revoked_at IS NULL
+          RETURNING id, tournoi_id, table_number`,
+        [code],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!tablet) {
+      return res.status(404).json({ error: 'Code invalide ou expiré — demandez un nouveau code au Directeur de Jeu' });
+    }
+
+    const tournament = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT tournoi_id, nom, organization_id FROM tournoi_ext WHERE tournoi_id = $1`,
+        [tablet.tournoi_id],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!tournament) return res.status(404).json({ error: 'Tournoi introuvable' });
+
+    const token = jwt.sign({
+      scope: 'ddj_scorer',
+      role: 'scorer',
+      tabletId: tablet.id,
+      tournoiId: tablet.tournoi_id,
+      tableNumber: tablet.table_number,
+      organizationId: tournament.organization_id || null,
+      username: `Tablette table ${tablet.table_number}`
+    }, JWT_SECRET, { expiresIn: '24h' });
+
+    res.json({
+      token,
+      tournoi_id: tablet.tournoi_id,
+      tournament_name: tournament.nom,
+      table_number: tablet.table_number
+    });
+  } catch (err) {
+    console.error('[DdJ scorer/pair] error:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'appairage de la tablette' });
+  }
+});
+
+// GET /api/directeur-jeu/scorer/current
+// Tablet view: the match in progress on the tablet's table, else the next
+// one to play there, plus what's queued after it.
+router.get('/scorer/current', authenticateDdJOrScorer, async (req, res) => {
+  if (req.user.scope !== 'ddj_scorer') {
+    return res.status(403).json({ error: 'Réservé aux tablettes de table' });
+  }
+  const db = getDb();
+  const { tournoiId, tableNumber } = req.user;
+
+  try {
+    const ctx = await collectTableMatches(db, req.user.organizationId || null, tournoiId);
+    if (!ctx) return res.status(404).json({ error: 'Tournoi introuvable' });
+
+    const onTable = ctx.matches.filter(m => m.table_number === tableNumber);
+    const done = (m) => m.is_played || !!m.finished_at;
+    const inProgress = onTable.find(m => m.started_at && !done(m));
+    const pending = onTable.filter(m => !m.started_at && !done(m));
+    const current = inProgress || pending[0] || null;
+
+    // Lock state for the current match (not exposed by the loaders)
+    if (current) {
+      const key = scorerMatchKey(current.kind, current);
+      const row = key && await new Promise((resolve) => {
+        db.get(
+          `SELECT locked_at, entry_source FROM ${key.table} WHERE tournoi_id = $1 AND ${key.where}`,
+          [tournoiId, ...key.params],
+          (err, r) => resolve(err ? null : r)
+        );
+      });
+      current.locked = !!(row && row.locked_at);
+      current.entry_source = row ? row.entry_source : null;
+    }
+
+    // Full names — the tablet is an authenticated context, no sanitising.
+    const licences = [...new Set(onTable.flatMap(m => [m.p1_licence, m.p2_licence]).filter(Boolean))];
+    const names = new Map();
+    if (licences.length > 0) {
+      const placeholders = licences.map((_, i) => `$${i + 1}`).join(',');
+      const rows = await new Promise((resolve, reject) => {
+        db.all(
+          `SELECT licence, first_name, last_name, club FROM players WHERE licence IN (${placeholders})`,
+          licences,
+          (err, rs) => err ? reject(err) : resolve(rs || [])
+        );
+      });
+      for (const r of rows) {
+        names.set(normLicence(r.licence), { name: `${r.first_name} ${r.last_name}`.trim(), club: r.club || null });
+      }
+    }
+    const withNames = (m) => m && ({
+      ...m,
+      p1_name: (names.get(normLicence(m.p1_licence)) || {}).name || m.p1_licence,
+      p1_club: (names.get(normLicence(m.p1_licence)) || {}).club || null,
+      p2_name: (names.get(normLicence(m.p2_licence)) || {}).name || m.p2_licence,
+      p2_club: (names.get(normLicence(m.p2_licence)) || {}).club || null
+    });
+
+    res.json({
+      tournament: { id: ctx.tournament.tournoi_id, name: ctx.tournament.nom, mode: ctx.mode },
+      table_number: tableNumber,
+      game_params: ctx.game_params,
+      current: withNames(current),
+      next: pending.filter(m => m !== current).slice(0, 3).map(withNames)
+    });
+  } catch (err) {
+    console.error('[DdJ scorer/current] error:', err);
+    res.status(500).json({ error: 'Erreur lors du chargement du match de la table' });
+  }
+});
+
+// GET /api/directeur-jeu/competitions/:id/scorers
+// DdJ supervisory view: paired tablets + every match touched by a tablet
+// or locked, so tablet entries can be reviewed and overruled.
+router.get('/competitions/:id/scorers', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+
+  try {
+    const tournament = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT tournoi_id FROM tournoi_ext
+         WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+        [tournoiId, orgId],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!tournament) return res.status(404).json({ error: 'Tournoi introuvable' });
+
+    const tablets = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, table_number, pairing_code, pairing_expires_at, paired_at, last_seen_at, created_at
+           FROM ddj_scorer_tablets
+          WHERE tournoi_id = $1 AND revoked_at IS NULL
+          ORDER BY table_number`,
+        [tournoiId],
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+    const matches = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT 'poule' AS kind, poule_number, match_number, NULL::text AS phase, table_number,
+                p1_points, p2_points, entry_source, locked_at, entered_at
+           FROM ddj_poule_matches
+          WHERE tournoi_id = $1 AND (entry_source LIKE 'table_%' OR locked_at IS NOT NULL)
+         UNION ALL
+         SELECT 'bracket', NULL, NULL, phase::text, table_number,
+                p1_points, p2_points, entry_source, locked_at, entered_at
+           FROM ddj_bracket_matches
+          WHERE tournoi_id = $1 AND (entry_source LIKE 'table_%' OR locked_at IS NOT NULL)
+         UNION ALL
+         SELECT 'consolante', NULL, NULL, phase::text, table_number,
+                p1_points, p2_points, entry_source, locked_at, entered_at
+           FROM ddj_consolante_matches
+          WHERE tournoi_id = $1 AND (entry_source LIKE 'table_%' OR locked_at IS NOT NULL)
+         UNION ALL
+         SELECT 'barrage', NULL, match_number, NULL::text, table_number,
+                p1_points, p2_points, entry_source, locked_at, entered_at
+           FROM ddj_barrage_matches
+          WHERE tournoi_id = $1 AND (entry_source LIKE 'table_%' OR locked_at IS NOT NULL)
+          ORDER BY entered_at DESC NULLS LAST`,
+        [tournoiId],
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+
+    res.json({
+      tablets: tablets.map(t => ({
+        ...t,
+        // Only show a code that can still be used
+        pairing_code: t.pairing_code && new Date(t.pairing_expires_at) > new Date() ? t.pairing_code : null,
+        status: t.paired_at ? 'paired' : 'waiting'
+      })),
+      matches: matches.map(m => ({ ...m, locked: !!m.locked_at }))
+    });
+  } catch (err) {
+    console.error('[DdJ scorers GET] error:', err);
+    res.status(500).json({ error: 'Erreur lors du chargement des tablettes' });
+  }
+});
+
+// POST /api/directeur-jeu/competitions/:id/scorers
+// Body: { table_number }
+// Creates (or re-creates) the pairing for one table. Any tablet already
+// paired to that table is revoked — one tablet per table.
+router.post('/competitions/:id/scorers', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+  const tableNumber = parseInt((req.body || {}).table_number, 10);
+  if (!Number.isFinite(tableNumber)) return res.status(400).json({ error: 'table_number requis' });
+
+  try {
+    const session = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT s.table_count, s.table_numbers
+           FROM ddj_session s
+           JOIN tournoi_ext t ON t.tournoi_id = s.tournoi_id
+          WHERE s.tournoi_id = $1
+            AND ($2::int IS NULL OR t.organization_id = $2)`,
+        [tournoiId, orgId],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!session) return res.status(404).json({ error: 'Session DdJ introuvable — configurez d\'abord la journée.' });
+    const tableNumbers = parseTableNumbers(session.table_numbers, session.table_count);
+    if (!tableNumbers.includes(tableNumber)) {
+      return res.status(400).json({ error: `La table ${tableNumber} ne fait pas partie de la session` });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE ddj_scorer_tablets SET revoked_at = CURRENT_TIMESTAMP
+          WHERE tournoi_id = $1 AND table_number = $2 AND revoked_at IS NULL`,
+        [tournoiId, tableNumber],
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+
+    // Retry on the (unlikely) collision with another active code.
+    let created = null;
+    for (let attempt = 0; attempt < 5 && !created; attempt++) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      const clash = await new Promise((resolve, reject) => {
+        db.get(
+          `SELECT 1 FROM ddj_scorer_tablets
+            WHERE pairing_code = $1 AND pairing_expires_at > CURRENT_TIMESTAMP AND revoked_at IS NULL`,
+          [code],
+          (err, row) => err ? reject(err) : resolve(!!row)
+        );
+      });
+      if (clash) continue;
+      created = await new Promise((resolve, reject) => {
+        db.get(
+          `INSERT INTO ddj_scorer_tablets
+             (tournoi_id, table_number, pairing_code, pairing_expires_at, created_by)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' minutes')::interval, $5)
+           RETURNING id, table_number, pairing_code, pairing_expires_at`,
+          [tournoiId, tableNumber, code, String(SCORER_PAIRING_TTL_MINUTES), req.user.userId || null],
+          (err, row) => err ? reject(err) : resolve(row)
+        );
+      });
+    }
+    if (!created) return res.status(503).json({ error: 'Impossible de générer un code, réessayez' });
+
+    res.json({ ok: true, tablet: created });
+  } catch (err) {
+    console.error('[DdJ scorers POST] error:', err);
+    res.status(500).json({ error: 'Erreur lors de la création du code tablette' });
+  }
+});
+
+// DELETE /api/directeur-jeu/competitions/:id/scorers/:tabletId
+// Revokes a tablet. Its next call gets a 401 and it goes back to pairing.
+router.delete('/competitions/:id/scorers/:tabletId', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  const tabletId = parseInt(req.params.tabletId, 10);
+  if (!Number.isFinite(tournoiId) || !Number.isFinite(tabletId)) {
+    return res.status(400).json({ error: 'Paramètres invalides' });
+  }
+
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE ddj_scorer_tablets st SET revoked_at = CURRENT_TIMESTAMP
+           FROM tournoi_ext t
+          WHERE st.id = $1 AND st.tournoi_id = $2 AND st.revoked_at IS NULL
+            AND t.tournoi_id = st.tournoi_id
+            AND ($3::int IS NULL OR t.organization_id = $3)`,
+        [tabletId, tournoiId, orgId],
+        function (err) { err ? reject(err) : resolve(this.changes || 0); }
+      );
+    });
+    if (changes === 0) return res.status(404).json({ error: 'Tablette introuvable' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[DdJ scorers DELETE] error:', err);
+    res.status(500).json({ error: 'Erreur lors de la déconnexion de la tablette' });
+  }
+});
+
+// POST /api/directeur-jeu/competitions/:id/match-lock
+// Body: { kind: 'poule'|'bracket'|'consolante'|'barrage',
+//         poule_number?, match_number?, phase?, locked: boolean }
+// Freezes (or unfreezes) a match against tablet entries.
+router.post('/competitions/:id/match-lock', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+  const b = req.body || {};
+  if (!['poule', 'bracket', 'consolante', 'barrage', 'swiss'].includes(b.kind)) {
+    return res.status(400).json({ error: 'kind invalide' });
+  }
+  const key = scorerMatchKey(b.kind, b);
+  if (!key) return res.status(400).json({ error: 'Match non identifié' });
+  const locked = b.locked !== false;
+
+  try {
+    const tournament = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT tournoi_id FROM tournoi_ext
+         WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+        [tournoiId, orgId],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!tournament) return res.status(404).json({ error: 'Tournoi introuvable' });
+
+    const n = key.params.length;
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE ${key.table}
+            SET locked_at = CASE WHEN $${n + 2}::bool THEN CURRENT_TIMESTAMP ELSE NULL END,
+                locked_by = CASE WHEN $${n + 2}::bool THEN $${n + 3}::int ELSE NULL END
+          WHERE tournoi_id = $1 AND ${key.where}`,
+        [tournoiId, ...key.params, locked, req.user.userId || null],
+        function (err) { err ? reject(err) : resolve(this.changes || 0); }
+      );
+    });
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Match introuvable (pas encore attribué à une table ?)' });
+    }
+    res.json({ ok: true, locked });
+  } catch (err) {
+    console.error('[DdJ match-lock] error:', err);
+    res.status(500).json({ error: 'Erreur lors du verrouillage du match' });
+  }
+});
+
+// ============================================================================
+// V 2.0.882 — Reprise-by-reprise scoresheet (feuille de match)
+// ============================================================================
+//
+// Optional stroke-by-stroke sheet for any DdJ match: one row per reprise
+// per player in ddj_match_reprises. Totals, best série and moyenne are
+// computed server-side (utils/scoresheet.js) against the same distance /
+// reprise cap as the score screen, so a retyped paper sheet can't carry
+// an addition error into the match result.
+//
+// The sheet does not write the match result itself: the DdJ page posts
+// the returned `totals` through the usual score endpoint, which keeps a
+// single write path for classements, finished_at, the TV feed, etc.
+//
+// Match reference (query string or body):
+//   kind=poule&poule_number=2&match_number=3 | kind=bracket&phase=SF1 |
+//   kind=consolante&phase=C5 | kind=barrage&match_number=1 |
+//   kind=swiss&round_number=2&match_number=3 (V 2.0.884)
+// ============================================================================
+
+const scoresheet = require('../utils/scoresheet');
+
+function sheetMatchRef(kind, src) {
+  const key = scorerMatchKey(kind, src);
+  if (!key) return null;
+  if (kind === 'poule') return `P${key.params[0]}-M${key.params[1]}`;
+  if (kind === 'barrage') return `M${key.params[0]}`;
+  if (kind === 'swiss') return `R${key.params[0]}-M${key.params[1]}`;
+  return key.params[0];
+}
+
+// Resolves the match (players, table, referee, game params) for a sheet.
+// Returns { error, status } or the context.
+async function loadSheetContext(db, orgId, tournoiId, kind, src) {
+  if (!['poule', 'bracket', 'consolante', 'barrage', 'swiss'].includes(kind)) {
+    return { status: 400, error: 'kind invalide' };
+  }
+  const key = scorerMatchKey(kind, src);
+  if (!key) return { status: 400, error: 'Match non identifié' };
+  const ctx = await collectTableMatches(db, orgId, tournoiId);
+  if (!ctx) return { status: 404, error: 'Tournoi introuvable' };
+  const match = ctx.matches.find(m => sameScorerMatch(kind, key, m));
+  if (!match) return { status: 404, error: 'Match introuvable (joueurs pas encore connus ?)' };
+
+  const licences = [match.p1_licence, match.p2_licence].filter(Boolean);
+  const players = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT licence, first_name, last_name, club FROM players WHERE REPLACE(licence, ' ', '') = ANY($1::text[])`,
+      [licences.map(normLicence)],
+      (err, rows) => err ? reject(err) : resolve(rows || [])
+    );
+  });
+  const player = (licence) => {
+    const p = players.find(r => normLicence(r.licence) === normLicence(licence));
+    return {
+      licence,
+      name: p ? `${p.first_name} ${p.last_name}`.trim() : licence,
+      club: p ? p.club : null
+    };
+  };
+
+  const matchRef = sheetMatchRef(kind, src);
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT reprise_number, player_side, points
+         FROM ddj_match_reprises
+        WHERE tournoi_id = $1 AND match_kind = $2 AND match_ref = $3
+        ORDER BY reprise_number, player_side`,
+      [tournoiId, kind, matchRef],
+      (err, r) => err ? reject(err) : resolve(r || [])
+    );
+  });
+
+  return {
+    kind, matchRef, match, rows,
+    tournament: ctx.tournament,
+    settings: ctx.settings,
+    game_params: ctx.game_params,
+    p1: player(match.p1_licence),
+    p2: player(match.p2_licence)
+  };
+}
+
+function sheetResponse(sc) {
+  const computed = scoresheet.computeScoresheet(sc.rows, sc.game_params);
+  const { p1, p2 } = computed.players;
+  return {
+    match: {
+      kind: sc.kind, label: sc.match.label,
+      poule_number: sc.match.poule_number, match_number: sc.match.match_number, phase: sc.match.phase,
+      round_number: sc.match.round_number || null,
+      table_number: sc.match.table_number,
+      referee_name: sc.match.referee_name || null, referee_licence: sc.match.referee_licence || null
+    },
+    p1: sc.p1,
+    p2: sc.p2,
+    game_params: { distance: sc.game_params.distance, reprises: sc.game_params.reprises },
+    ...computed,
+    // Ready to post to the match's score endpoint
+    totals: {
+      p1_points: p1.points, p1_reprises: p1.reprises, p1_serie: p1.serie,
+      p2_points: p2.points, p2_reprises: p2.reprises, p2_serie: p2.serie
+    }
+  };
+}
+
+// GET /api/directeur-jeu/competitions/:id/scoresheet?kind=...
+router.get('/competitions/:id/scoresheet', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+
+  try {
+    const sc = await loadSheetContext(db, orgId, tournoiId, req.query.kind, req.query);
+    if (sc.error) return res.status(sc.status).json({ error: sc.error });
+    res.json(sheetResponse(sc));
+  } catch (err) {
+    console.error('[DdJ scoresheet GET] error:', err);
+    res.status(500).json({ error: 'Erreur lors du chargement de la feuille de match' });
+  }
+});
+
+// PUT /api/directeur-jeu/competitions/:id/scoresheet
+// Body: { kind, poule_number?, match_number?, phase?,
+//         reprises: [{ reprise: 1, p1: 3, p2: 0 }, ...] }
+// Replaces the whole sheet. Refused (400, with `errors`) when a player
+// passes the distance or reprises are entered after the end of the match.
+router.put('/competitions/:id/scoresheet', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+  const b = req.body || {};
+
+  const parsed = scoresheet.parseScoresheetInput(b.reprises);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const sc = await loadSheetContext(db, orgId, tournoiId, b.kind, b);
+    if (sc.error) return res.status(sc.status).json({ error: sc.error });
+
+    const check = scoresheet.computeScoresheet(parsed.rows, sc.game_params);
+    if (check.errors.length > 0) {
+      return res.status(400).json({ error: check.errors[0], errors: check.errors });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM ddj_match_reprises WHERE tournoi_id = $1 AND match_kind = $2 AND match_ref = $3`,
+        [tournoiId, sc.kind, sc.matchRef],
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+    for (const r of parsed.rows) {
+      await new Promise((resolve, reject) => {
+        db.run(
+          `INSERT INTO ddj_match_reprises
+             (tournoi_id, match_kind, match_ref, reprise_number, player_side, points, entered_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [tournoiId, sc.kind, sc.matchRef, r.reprise_number, r.player_side, r.points, req.user.userId || null],
+          (err) => err ? reject(err) : resolve()
+        );
+      });
+    }
+
+    sc.rows = parsed.rows;
+    res.json({ ok: true, ...sheetResponse(sc) });
+  } catch (err) {
+    console.error('[DdJ scoresheet PUT] error:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement de la feuille de match' });
+  }
+});
+
+// GET /api/directeur-jeu/competitions/:id/scoresheet/pdf?kind=...
+// Official FFB feuille de match. Without any reprise entered, prints a
+// blank sheet (players pre-filled) for paper scoring.
+router.get('/competitions/:id/scoresheet/pdf', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+
+  try {
+    const sc = await loadSheetContext(db, orgId, tournoiId, req.query.kind, req.query);
+    if (sc.error) return res.status(sc.status).json({ error: sc.error });
+    const sheet = sheetResponse(sc);
+
+    let matchPoints = null;
+    if (sheet.finished) {
+      const mp = computeMatchPoints(sheet.totals.p1_points, sheet.totals.p2_points, sc.settings || {});
+      if (mp) matchPoints = { p1: mp.p1_mp, p2: mp.p2_mp };
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 36 });
+    const filename = `Feuille_de_match_${tournoiId}_${sc.matchRef}.pdf`.replace(/[^\w.-]/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
+    scoresheet.renderFeuilleDeMatch(doc, {
+      tournament: sc.tournament,
+      match: sheet.match,
+      p1: sc.p1,
+      p2: sc.p2,
+      game_params: sheet.game_params,
+      computed: sheet,
+      match_points: matchPoints
+    });
+    doc.end();
+  } catch (err) {
+    console.error('[DdJ scoresheet PDF] error:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Erreur lors de la génération du PDF' });
+  }
+});
+
+// ============================================================================
+// V 2.0.883 — Offline DdJ: conflict detection on replayed writes
+// ============================================================================
+//
+// When the hall's network drops, the DdJ pages keep working from the
+// service worker cache and queue score edits locally (js/dj-offline.js).
+// On reconnect each queued write is replayed against the usual endpoint
+// with the state of the match as the DdJ last saw it:
+//
+//   _expected: { started_at, finished_at, entered_at }   (null = no row)
+//
+// If the row moved meanwhile (a tablet saved the score, another DdJ
+// device started the match…), the write is refused with 409 and the
+// current server values so the DdJ can choose which version to keep.
+// Resending without _expected is the explicit "overwrite" choice.
+// ============================================================================
+
+const OFFLINE_TRACKED_FIELDS = ['started_at', 'finished_at', 'entered_at'];
+
+function sameInstant(a, b) {
+  if (a == null || a === '') return b == null || b === '';
+  if (b == null || b === '') return false;
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+function offlineReplayGuard(kind) {
+  return async (req, res, next) => {
+    const expected = req.body && req.body._expected;
+    if (expected === undefined) return next();
+    delete req.body._expected;
+
+    const tournoiId = parseInt(req.params.id, 10);
+    const key = scorerMatchKey(kind, req.body);
+    if (!Number.isFinite(tournoiId) || !key) return next();
+
+    try {
+      const row = await new Promise((resolve, reject) => {
+        getDb().get(
+          `SELECT started_at, finished_at, entered_at,
+                  p1_points, p2_points, p1_reprises, p2_reprises, entry_source
+             FROM ${key.table}
+            WHERE tournoi_id = $1 AND ${key.where}`,
+          [tournoiId, ...key.params],
+          (err, r) => err ? reject(err) : resolve(r)
+        );
+      });
+      const changed = expected === null
+        ? !!(row && (row.started_at || row.entered_at))
+        : OFFLINE_TRACKED_FIELDS.some(f => !sameInstant(expected[f], row ? row[f] : null));
+      if (changed) {
+        return res.status(409).json({
+          error: 'Ce match a été modifié pendant que vous étiez hors ligne',
+          conflict: true,
+          server: row || null
+        });
+      }
+      next();
+    } catch (err) {
+      console.error('[DdJ offlineReplayGuard] error:', err);
+      res.status(500).json({ error: 'Erreur lors de la vérification des conflits' });
+    }
+  };
+}
+
+// ============================================================================
+// V 2.0.884 — Swiss-system format (système suisse)
+// ============================================================================
+//
+// Alternative to the poules → tableau final → classement flow, chosen by
+// the DdJ at étape 2 (ddj_session.format = 'swiss'). Everybody plays every
+// round; round N is paired from the standings after round N-1
+// (utils/swiss.js): same score group, no rematch, clubs kept apart when
+// possible, one exempt per round on an odd field.
+//
+//   POST   /competitions/:id/swiss/setup        { rounds }  freeze the roster
+//   DELETE /competitions/:id/swiss                          back to poules
+//   GET    /competitions/:id/swiss                          rounds + standings
+//   POST   /competitions/:id/swiss/rounds                   pair the next round
+//   DELETE /competitions/:id/swiss/rounds/:round            unpair the last one
+//   PUT    /competitions/:id/swiss                          save a score
+//   POST   /competitions/:id/swiss/start                    match started
+//
+// The score / start endpoints share the tablet and offline guards of the
+// other phases (kind 'swiss'). /recap and /finalize read loadSwiss(): the
+// final places are the Swiss standings (match points, Buchholz, Buchholz
+// médian, Sonneborn-Berger, moyenne, série), and the results land in
+// tournament_results like any other tournament.
+// ============================================================================
+
+const swiss = require('../utils/swiss');
+
+// An exempt counts as a win, like an FFB forfait
+const SWISS_BYE_MATCH_POINTS = 2;
+
+/**
+ * Full Swiss state for a tournament. `pouleCtx` (optional) avoids a second
+ * loadPouleMatches() when the caller already has it — we only need the
+ * tournament header, game parameters and scoring settings from it.
+ * Returns { error } or { enabled, rounds_planned, players, rounds,
+ * standings, complete, can_pair_next, table_numbers, ... }.
+ */
+async function loadSwiss(db, orgId, tournoiId, pouleCtx = null) {
+  const base = pouleCtx || await loadPouleMatches(db, orgId, tournoiId);
+  if (base.error) return base;
+
+  const session = await new Promise((resolve, reject) => {
+    db.get(
+      `SELECT format, swiss_rounds, table_count, table_numbers
+         FROM ddj_session WHERE tournoi_id = $1`,
+      [tournoiId],
+      (err, row) => err ? reject(err) : resolve(row)
+    );
+  });
+  const enabled = !!(session && session.format === 'swiss');
+  const ctx = {
+    tournament: base.tournament,
+    game_params: base.game_params,
+    settings: base.settings,
+    enabled,
+    rounds_planned: enabled ? session.swiss_rounds : null,
+    table_numbers: session ? parseTableNumbers(session.table_numbers, session.table_count) : [],
+    players: [],
+    rounds: [],
+    standings: [],
+    current_round: 0,
+    complete: false,
+    can_pair_next: false
+  };
+  if (!enabled) return ctx;
+
+  const roster = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT licence, player_name, club, seed
+         FROM ddj_swiss_players
+        WHERE tournoi_id = $1
+        ORDER BY seed`,
+      [tournoiId],
+      (err, rows) => err ? reject(err) : resolve(rows || [])
+    );
+  });
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, round_number, match_number, table_number,
+              p1_licence, p2_licence,
+              p1_points, p1_reprises, p1_serie,
+              p2_points, p2_reprises, p2_serie,
+              referee_name, referee_licence,
+              entered_at, started_at, finished_at, locked_at, entry_source
+         FROM ddj_swiss_matches
+        WHERE tournoi_id = $1
+        ORDER BY round_number, match_number`,
+      [tournoiId],
+      (err, rs) => err ? reject(err) : resolve(rs || [])
+    );
+  });
+
+  const players = roster.map(r => ({
+    licence: r.licence,
+    licence_normalized: normLicence(r.licence),
+    player_name: r.player_name || r.licence,
+    club: r.club,
+    seed: r.seed
+  }));
+  const byLic = new Map(players.map(p => [p.licence_normalized, p]));
+
+  const matches = rows.map(r => {
+    const k1 = normLicence(r.p1_licence);
+    const k2 = r.p2_licence ? normLicence(r.p2_licence) : null;
+    const p1 = byLic.get(k1) || {};
+    const p2 = k2 ? (byLic.get(k2) || {}) : null;
+    const isBye = !k2;
+    const m = {
+      id: r.id,
+      round_number: r.round_number,
+      match_number: r.match_number,
+      table_number: r.table_number,
+      p1_licence: r.p1_licence,
+      p1_licence_normalized: k1,
+      p1_name: p1.player_name || r.p1_licence,
+      p1_club: p1.club || null,
+      p2_licence: r.p2_licence,
+      p2_licence_normalized: k2,
+      p2_name: p2 ? (p2.player_name || r.p2_licence) : null,
+      p2_club: p2 ? (p2.club || null) : null,
+      p1_points: r.p1_points, p1_reprises: r.p1_reprises, p1_serie: r.p1_serie,
+      p2_points: r.p2_points, p2_reprises: r.p2_reprises, p2_serie: r.p2_serie,
+      referee_name: r.referee_name,
+      referee_licence: r.referee_licence,
+      entered_at: r.entered_at,
+      started_at: r.started_at,
+      finished_at: r.finished_at,
+      locked_at: r.locked_at,
+      entry_source: r.entry_source,
+      is_bye: isBye,
+      is_played: isBye || !!(r.p1_points != null && r.p2_points != null
+        && isMatchTrulyFinished(r, base.game_params))
+    };
+    if (isBye) {
+      m.p1_match_points = SWISS_BYE_MATCH_POINTS;
+      m.p2_match_points = null;
+      m.outcome = 'bye';
+    } else {
+      const mp = computeMatchPoints(m.p1_points, m.p2_points, base.settings);
+      m.p1_match_points = mp ? mp.p1_mp : null;
+      m.p2_match_points = mp ? mp.p2_mp : null;
+      m.outcome = mp ? mp.outcome : null;
+    }
+    return m;
+  });
+
+  const byRound = new Map();
+  for (const m of matches) {
+    if (!byRound.has(m.round_number)) byRound.set(m.round_number, []);
+    byRound.get(m.round_number).push(m);
+  }
+  const rounds = [...byRound.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([n, list]) => ({
+      round_number: n,
+      matches: list,
+      complete: list.every(m => m.is_played),
+      started: list.some(m => !m.is_bye && (m.started_at || m.entered_at))
+    }));
+
+  const allDone = rounds.every(r => r.complete);
+  ctx.players = players;
+  ctx.rounds = rounds;
+  ctx.standings = swiss.computeSwissStandings(players, matches, {
+    byeMatchPoints: SWISS_BYE_MATCH_POINTS
+  });
+  ctx.current_round = rounds.length;
+  ctx.complete = rounds.length > 0 && rounds.length >= (ctx.rounds_planned || 0) && allDone;
+  ctx.can_pair_next = allDone && rounds.length < (ctx.rounds_planned || 0) && players.length >= 2;
+  return ctx;
+}
+
+// Same seed order as the serpentine (/poules/generate): season ranking,
+// then FFB moyenne, then the convocation order.
+function swissSeedOrder(players) {
+  const sorted = [...players];
+  if (players.some(p => p.season_rank != null)) {
+    sorted.sort((a, b) =>
+      (a.season_rank == null ? Infinity : a.season_rank) - (b.season_rank == null ? Infinity : b.season_rank));
+  } else if (players.some(p => p.moyenne_ffb != null)) {
+    sorted.sort((a, b) => (b.moyenne_ffb || 0) - (a.moyenne_ffb || 0));
+  }
+  return sorted;
+}
+
+function swissSessionError(ctx, res) {
+  if (ctx.error === 'not_found') {
+    res.status(404).json({ error: 'Tournoi introuvable' });
+    return true;
+  }
+  if (!ctx.enabled) {
+    res.status(409).json({ error: 'Ce tournoi ne se joue pas en système suisse' });
+    return true;
+  }
+  return false;
+}
+
+// GET /api/directeur-jeu/competitions/:id/swiss
+router.get('/competitions/:id/swiss', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+
+  try {
+    const ctx = await loadSwiss(db, orgId, tournoiId);
+    if (ctx.error === 'not_found') return res.status(404).json({ error: 'Tournoi introuvable' });
+    res.json(ctx);
+  } catch (err) {
+    console.error('[DdJ swiss GET] error:', err);
+    res.status(500).json({ error: 'Erreur lors du chargement du système suisse' });
+  }
+});
+
+// POST /api/directeur-jeu/competitions/:id/swiss/setup
+// Body: { rounds? }  (default: ceil(log2(players)))
+// Switches the tournament to the Swiss format and freezes the roster from
+// the current pointage. Once round 1 is paired, only the number of rounds
+// can still change.
+router.post('/competitions/:id/swiss/setup', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+  const requested = req.body && req.body.rounds != null && req.body.rounds !== ''
+    ? parseInt(req.body.rounds, 10)
+    : null;
+
+  try {
+    const pointage = await loadPointageForSerpentine(db, orgId, tournoiId);
+    if (pointage.error === 'not_found') return res.status(404).json({ error: 'Tournoi introuvable' });
+    const { isQuillesMode } = require('../utils/quilles-helpers');
+    if (isQuillesMode(pointage.tournament.mode)) {
+      return res.status(400).json({ error: 'Le système suisse n\'est pas disponible pour les tournois Quilles' });
+    }
+
+    const session = await new Promise((resolve, reject) => {
+      db.get(`SELECT tournoi_id FROM ddj_session WHERE tournoi_id = $1`, [tournoiId],
+        (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (!session) {
+      return res.status(409).json({ error: 'Renseignez d\'abord la session DdJ (nombre de tables)' });
+    }
+
+    const paired = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT COALESCE(MAX(round_number), 0)::int AS n FROM ddj_swiss_matches WHERE tournoi_id = $1`,
+        [tournoiId],
+        (err, row) => err ? reject(err) : resolve(row ? row.n : 0)
+      );
+    });
+
+    if (paired > 0) {
+      // Roster is frozen — only the planned number of rounds can move
+      const ctx = await loadSwiss(db, orgId, tournoiId);
+      const n = ctx.players.length;
+      if (!Number.isFinite(requested) || requested < paired || requested > n - 1) {
+        return res.status(400).json({
+          error: `Nombre de rondes invalide (entre ${paired} et ${n - 1} : ${paired} ronde(s) déjà appariée(s))`
+        });
+      }
+      await new Promise((resolve, reject) => {
+        db.run(`UPDATE ddj_session SET format = 'swiss', swiss_rounds = $2 WHERE tournoi_id = $1`,
+          [tournoiId, requested], (err) => err ? reject(err) : resolve());
+      });
+      return res.json(await loadSwiss(db, orgId, tournoiId));
+    }
+
+    const players = swissSeedOrder(pointage.players);
+    if (players.length < 4) {
+      return res.status(400).json({ error: 'Au moins 4 joueurs présents sont nécessaires pour un système suisse' });
+    }
+    const rounds = Number.isFinite(requested) ? requested : swiss.defaultSwissRounds(players.length);
+    if (rounds < 1 || rounds > players.length - 1) {
+      return res.status(400).json({ error: `Nombre de rondes invalide (1 à ${players.length - 1})` });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run(`DELETE FROM ddj_swiss_players WHERE tournoi_id = $1`, [tournoiId],
+        (err) => err ? reject(err) : resolve());
+    });
+    const values = [];
+    const params = [tournoiId];
+    players.forEach((p, i) => {
+      const name = p.player_name || `${p.last_name || ''} ${p.first_name || ''}`.trim() || p.licence;
+      params.push(p.licence, name, p.club || null, i + 1);
+      const o = params.length - 4;
+      values.push(`($1, $${o + 1}, $${o + 2}, $${o + 3}, $${o + 4})`);
+    });
+    await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO ddj_swiss_players (tournoi_id, licence, player_name, club, seed)
+         VALUES ${values.join(', ')}`,
+        params,
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+    await new Promise((resolve, reject) => {
+      db.run(`UPDATE ddj_session SET format = 'swiss', swiss_rounds = $2 WHERE tournoi_id = $1`,
+        [tournoiId, rounds], (err) => err ? reject(err) : resolve());
+    });
+
+    try {
+      await new Promise((resolve) => {
+        db.run(
+          `INSERT INTO activity_logs
+             (user_name, action_type, action_status, target_type, target_id, target_name, details, app_source)
+           VALUES ($1, 'ddj_swiss_setup', 'success', 'tournament', $2, $3, $4, 'directeur_jeu')`,
+          [req.user.username || 'DdJ', tournoiId, `Tournoi ${tournoiId}`,
+            JSON.stringify({ players: players.length, rounds })],
+          () => resolve()
+        );
+      });
+    } catch (e) { /* non-fatal */ }
+
+    res.json(await loadSwiss(db, orgId, tournoiId));
+  } catch (err) {
+    console.error('[DdJ swiss/setup] error:', err);
+    res.status(500).json({ error: 'Erreur lors du passage en système suisse' });
+  }
+});
+
+// DELETE /api/directeur-jeu/competitions/:id/swiss
+// Back to the poules flow — refused once a Swiss match has started.
+router.delete('/competitions/:id/swiss', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+
+  try {
+    const ctx = await loadSwiss(db, orgId, tournoiId);
+    if (swissSessionError(ctx, res)) return;
+    if (ctx.rounds.some(r => r.started)) {
+      return res.status(409).json({ error: 'Des matchs du système suisse ont déjà commencé' });
+    }
+    await new Promise((resolve, reject) => {
+      db.run(`DELETE FROM ddj_swiss_matches WHERE tournoi_id = $1`, [tournoiId],
+        (err) => err ? reject(err) : resolve());
+    });
+    await new Promise((resolve, reject) => {
+      db.run(`DELETE FROM ddj_swiss_players WHERE tournoi_id = $1`, [tournoiId],
+        (err) => err ? reject(err) : resolve());
+    });
+    await new Promise((resolve, reject) => {
+      db.run(`UPDATE ddj_session SET format = 'poules', swiss_rounds = NULL WHERE tournoi_id = $1`,
+        [tournoiId], (err) => err ? reject(err) : resolve());
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[DdJ swiss DELETE] error:', err);
+    res.status(500).json({ error: 'Erreur lors du retour aux poules' });
+  }
+});
+
+// POST /api/directeur-jeu/competitions/:id/swiss/rounds
+// Pairs the next round from the current standings. The previous round
+// must be complete. Tables are handed out board by board (leaders on the
+// first table), cycling when there are more matches than tables.
+router.post('/competitions/:id/swiss/rounds', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+
+  try {
+    const ctx = await loadSwiss(db, orgId, tournoiId);
+    if (swissSessionError(ctx, res)) return;
+    if (!ctx.can_pair_next) {
+      return res.status(409).json({
+        error: ctx.complete
+          ? 'Toutes les rondes prévues ont été jouées'
+          : `La ronde ${ctx.current_round} doit être terminée avant d'apparier la suivante`
+      });
+    }
+
+    const pairing = swiss.pairSwissRound(ctx.standings);
+    if (!pairing) {
+      return res.status(409).json({ error: 'Appariement impossible pour cette ronde' });
+    }
+
+    const roundNumber = ctx.current_round + 1;
+    const tables = ctx.table_numbers.length ? ctx.table_numbers : [null];
+    const values = [];
+    const params = [tournoiId, roundNumber];
+    pairing.pairs.forEach(([a, b], i) => {
+      params.push(i + 1, tables[i % tables.length], a.licence, b.licence);
+      const o = params.length - 4;
+      values.push(`($1, $2, $${o + 1}, $${o + 2}, $${o + 3}, $${o + 4})`);
+    });
+    if (pairing.bye) {
+      params.push(pairing.pairs.length + 1, null, pairing.bye.licence, null);
+      const o = params.length - 4;
+      values.push(`($1, $2, $${o + 1}, $${o + 2}, $${o + 3}, $${o + 4})`);
+    }
+    // One statement: a double click can't leave half a round behind (the
+    // second insert hits the unique key as a whole).
+    try {
+      await new Promise((resolve, reject) => {
+        db.run(
+          `INSERT INTO ddj_swiss_matches
+             (tournoi_id, round_number, match_number, table_number, p1_licence, p2_licence)
+           VALUES ${values.join(', ')}`,
+          params,
+          (err) => err ? reject(err) : resolve()
+        );
+      });
+    } catch (e) {
+      if (e && e.code === '23505') {
+        return res.status(409).json({ error: `La ronde ${roundNumber} est déjà appariée` });
+      }
+      throw e;
+    }
+
+    const warnings = [];
+    if (pairing.rematches > 0) {
+      warnings.push(`${pairing.rematches} rencontre(s) déjà jouée(s) : aucun appariement sans revanche n'était possible`);
+    }
+    if (pairing.same_club > 0) {
+      warnings.push(`${pairing.same_club} match(s) entre joueurs du même club`);
+    }
+    res.json({ ...(await loadSwiss(db, orgId, tournoiId)), round_number: roundNumber, warnings });
+  } catch (err) {
+    console.error('[DdJ swiss/rounds POST] error:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'appariement de la ronde' });
+  }
+});
+
+// DELETE /api/directeur-jeu/competitions/:id/swiss/rounds/:round
+// Unpairs the LAST round, as long as none of its matches has started.
+router.delete('/competitions/:id/swiss/rounds/:round', authenticateToken, requireDdJ, async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  const roundNumber = parseInt(req.params.round, 10);
+  if (!Number.isFinite(tournoiId) || !Number.isFinite(roundNumber)) {
+    return res.status(400).json({ error: 'Paramètres invalides' });
+  }
+
+  try {
+    const ctx = await loadSwiss(db, orgId, tournoiId);
+    if (swissSessionError(ctx, res)) return;
+    const round = ctx.rounds.find(r => r.round_number === roundNumber);
+    if (!round) return res.status(404).json({ error: 'Ronde introuvable' });
+    if (roundNumber !== ctx.current_round) {
+      return res.status(409).json({ error: 'Seule la dernière ronde peut être annulée' });
+    }
+    if (round.started) {
+      return res.status(409).json({ error: 'Des matchs de cette ronde ont déjà commencé' });
+    }
+    await new Promise((resolve, reject) => {
+      db.run(`DELETE FROM ddj_swiss_matches WHERE tournoi_id = $1 AND round_number = $2`,
+        [tournoiId, roundNumber], (err) => err ? reject(err) : resolve());
+    });
+    res.json(await loadSwiss(db, orgId, tournoiId));
+  } catch (err) {
+    console.error('[DdJ swiss/rounds DELETE] error:', err);
+    res.status(500).json({ error: 'Erreur lors de l\'annulation de la ronde' });
+  }
+});
+
+// PUT /api/directeur-jeu/competitions/:id/swiss
+// Body: { round_number, match_number, p1_points, p1_reprises, p1_serie,
+//         p2_points, p2_reprises, p2_serie, table_number?, referee_* }
+// Same rules as the poule score endpoint (distance / reprises caps, série
+// required to close the match, finished_at only once truly finished).
+router.put('/competitions/:id/swiss', authenticateDdJOrScorer, scorerGuard('swiss'), offlineReplayGuard('swiss'), async (req, res) => {
+  const db = getDb();
+  const orgId = req.user.organizationId || null;
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+
+  const b = req.body || {};
+  const rn = parseInt(b.round_number, 10);
+  const mn = parseInt(b.match_number, 10);
+  if (!Number.isFinite(rn) || !Number.isFinite(mn)) {
+    return res.status(400).json({ error: 'round_number et match_number requis' });
+  }
+  const parsed = {};
+  for (const f of ['p1_points', 'p1_reprises', 'p1_serie', 'p2_points', 'p2_reprises', 'p2_serie']) {
+    const v = b[f];
+    if (v === null || v === undefined || v === '') {
+      parsed[f] = null;
+    } else {
+      const n = parseInt(v, 10);
+      if (!Number.isFinite(n) || n < 0) {
+        return res.status(400).json({ error: `${f} doit être un entier positif ou null` });
+      }
+      parsed[f] = n;
+    }
+  }
+
+  try {
+    const ctx = await loadSwiss(db, orgId, tournoiId);
+    if (swissSessionError(ctx, res)) return;
+    const round = ctx.rounds.find(r => r.round_number === rn);
+    const match = round && round.matches.find(m => m.match_number === mn);
+    if (!match) return res.status(400).json({ error: 'Match inconnu dans cette ronde' });
+    if (match.is_bye) return res.status(400).json({ error: 'Exempt : pas de score à saisir' });
+
+    const gp = ctx.game_params || {};
+    if (gp.distance != null) {
+      if (parsed.p1_points != null && parsed.p1_points > gp.distance) {
+        return res.status(400).json({ error: `Points J1 supérieurs à la distance (${gp.distance})` });
+      }
+      if (parsed.p2_points != null && parsed.p2_points > gp.distance) {
+        return res.status(400).json({ error: `Points J2 supérieurs à la distance (${gp.distance})` });
+      }
+    }
+    if (gp.reprises != null) {
+      if (parsed.p1_reprises != null && parsed.p1_reprises > gp.reprises) {
+        return res.status(400).json({ error: `Reprises J1 supérieures au maximum (${gp.reprises})` });
+      }
+      if (parsed.p2_reprises != null && parsed.p2_reprises > gp.reprises) {
+        return res.status(400).json({ error: `Reprises J2 supérieures au maximum (${gp.reprises})` });
+      }
+    }
+    const willFinish = isMatchTrulyFinished(parsed, gp);
+    if (willFinish && (parsed.p1_serie == null || parsed.p2_serie == null)) {
+      return res.status(400).json({
+        error: 'Meilleure série obligatoire pour clôturer le match. Renseignez-la pour les deux joueurs (ou enregistrez un score intermédiaire pour l\'instant).'
+      });
+    }
+
+    const tableNumber = b.table_number != null && b.table_number !== ''
+      ? parseInt(b.table_number, 10) || null
+      : null;
+    const refereeName = (b.referee_name || '').trim() || null;
+    const refereeLicence = (b.referee_licence || '').trim() || null;
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE ddj_swiss_matches SET
+           table_number = COALESCE($4, table_number),
+           p1_points = $5, p1_reprises = $6, p1_serie = $7,
+           p2_points = $8, p2_reprises = $9, p2_serie = $10,
+           entered_at = CURRENT_TIMESTAMP,
+           entered_by = $11,
+           referee_name = $12,
+           referee_licence = $13,
+           started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+           finished_at = CASE WHEN $14::bool THEN CURRENT_TIMESTAMP ELSE NULL END
+         WHERE tournoi_id = $1 AND round_number = $2 AND match_number = $3`,
+        [
+          tournoiId, rn, mn, tableNumber,
+          parsed.p1_points, parsed.p1_reprises, parsed.p1_serie,
+          parsed.p2_points, parsed.p2_reprises, parsed.p2_serie,
+          req.user.userId || null,
+          refereeName, refereeLicence,
+          willFinish
+        ],
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+
+    try {
+      await new Promise((resolve) => {
+        db.run(
+          `INSERT INTO activity_logs
+             (user_name, action_type, action_status, target_type, target_id, target_name, details, app_source)
+           VALUES ($1, 'ddj_match_saved', 'success', 'tournament', $2, $3, $4, 'directeur_jeu')`,
+          [
+            req.user.username || 'DdJ',
+            tournoiId,
+            `Tournoi ${tournoiId} / Ronde ${rn} / Match ${mn}`,
+            JSON.stringify({ round_number: rn, match_number: mn, ...parsed })
+          ],
+          () => resolve()
+        );
+      });
+    } catch (e) { /* non-fatal */ }
+
+    const reload = await loadSwiss(db, orgId, tournoiId);
+    res.json({
+      success: true,
+      round: reload.rounds.find(r => r.round_number === rn) || null,
+      standings: reload.standings,
+      can_pair_next: reload.can_pair_next,
+      complete: reload.complete
+    });
+  } catch (err) {
+    console.error('[DdJ swiss PUT] error:', err);
+    res.status(500).json({ error: 'Erreur lors de la sauvegarde du match' });
+  }
+});
+
+router.post('/competitions/:id/swiss/start', authenticateDdJOrScorer, scorerGuard('swiss'), offlineReplayGuard('swiss'), async (req, res) => {
+  const db = getDb();
+  const tournoiId = parseInt(req.params.id, 10);
+  if (!Number.isFinite(tournoiId)) return res.status(400).json({ error: 'ID tournoi invalide' });
+
+  const b = req.body || {};
+  const rn = parseInt(b.round_number, 10);
+  const mn = parseInt(b.match_number, 10);
+  const tableNumber = b.table_number != null && b.table_number !== ''
+    ? parseInt(b.table_number, 10) || null
+    : null;
+  if (!Number.isFinite(rn) || !Number.isFinite(mn)) {
+    return res.status(400).json({ error: 'round_number et match_number requis' });
+  }
+
+  try {
+    const tournament = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT tournoi_id FROM tournoi_ext
+         WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+        [tournoiId, req.user.organizationId || null],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!tournament) return res.status(404).json({ error: 'Tournoi introuvable' });
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE ddj_swiss_matches
+            SET table_number = COALESCE($4, table_number),
+                started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+          WHERE tournoi_id = $1 AND round_number = $2 AND match_number = $3
+            AND p2_licence IS NOT NULL`,
+        [tournoiId, rn, mn, tableNumber],
+        function (err) { err ? reject(err) : resolve(this.changes || 0); }
+      );
+    });
+    if (changes === 0) return res.status(400).json({ error: 'Match inconnu' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[DdJ swiss/start] error:', err);
+    res.status(500).json({ error: 'Erreur lors du démarrage du match' });
+  }
+});
+
 // ============================================================================
 // V 2.0.868 — E2i CSV → DdJ import (Phase 1: poule matches transcription)
 // ============================================================================
@@ -7189,3 +8964,5 @@ module.exports.loadBracket = loadBracket;
 module.exports.loadConsolante = loadConsolante;
 // V 2.0.826 — exposed to dj-public feed so the TV can show barrage matches
 module.exports.loadBarrage = loadBarrage;
+// V 2.0.884 — Swiss rounds + standings for the TV feed
+module.exports.loadSwiss = loadSwiss;
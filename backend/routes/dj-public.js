@@ -11,8 +11,9 @@
 //   - Player names are reduced to "First L." (first name + initial)
 //   - Club names are kept (already public information)
 //
-// The feed is consumed by `frontend/dj-public.html` which polls
-// this endpoint every 5 seconds.
+// The feed is consumed by `frontend/dj-public.html`. V 2.0.880: the
+// page listens on /stream (Server-Sent Events) and only falls back to
+// polling /feed when the stream can't be opened.
 // ============================================================
 
 const express = require('express');
@@ -23,6 +24,7 @@ const QRCode = require('qrcode');
 // style TV view. They return the full poules / bracket / consolante state
 // already merged with saved scores + started_at/finished_at lifecycle.
 const directeurJeu = require('./directeur-jeu');
+const djLive = require('../utils/dj-live');
 
 // Reduce a player name to "First L." for public display.
 function sanitizeName(firstName, lastName) {
@@ -43,88 +45,92 @@ function deriveStatus(m) {
 // Normalize licence (strip spaces) for map lookups.
 const normLic = (s) => String(s || '').replace(/\s+/g, '');
 
-// GET /api/public/dj/:tournoi_id/feed
-//
-// Returns the full public state for one tournament's TV display:
+// Build the full public state for one tournament's TV display:
 //   - Tournament title, date, host club
 //   - Table count + per-table status (free / busy + match summary)
 //   - Top 3 upcoming poule matches (not yet started)
 //   - Progression % across all 3 phases
-router.get('/:tournoi_id/feed', async (req, res) => {
-  const db = getDb();
-  const tournoiId = parseInt(req.params.tournoi_id, 10);
-  if (!Number.isFinite(tournoiId)) {
-    return res.status(400).json({ error: 'ID tournoi invalide' });
-  }
+// Resolves to null when the tournament doesn't exist.
+//
+// V 2.0.880 — Extracted from the /feed handler so the live hub
+// (utils/dj-live.js) can build it once per change and share it between
+// /feed polling and /stream subscribers.
+async function buildFeed(db, tournoiId) {
+  // 1. Tournament identity (also serves as the org check — the loaders
+  //    are called with orgId=null since we already validated here).
+  // V 2.0.810 — Sprint 2 D.4 follow-up: include `mode` so the TV display
+  // can detect Quilles tournaments (no consolante, 2-column layout).
+  // The two res.json branches below read tournament.mode; without it in
+  // the SELECT the field was always null and the frontend never branched
+  // to the Quilles layout.
+  const tournament = await new Promise((resolve, reject) => {
+    db.get(
+      `SELECT t.tournoi_id, t.nom, t.mode, t.debut, t.lieu, t.organization_id
+         FROM tournoi_ext t
+        WHERE t.tournoi_id = $1`,
+      [tournoiId],
+      (err, row) => err ? reject(err) : resolve(row)
+    );
+  });
+  if (!tournament) return null;
 
-  try {
-    // 1. Tournament identity (also serves as the org check — the loaders
-    //    are called with orgId=null since we already validated here).
-    // V 2.0.810 — Sprint 2 D.4 follow-up: include `mode` so the TV display
-    // can detect Quilles tournaments (no consolante, 2-column layout).
-    // The two res.json branches below read tournament.mode; without it in
-    // the SELECT the field was always null and the frontend never branched
-    // to the Quilles layout.
-    const tournament = await new Promise((resolve, reject) => {
-      db.get(
-        `SELECT t.tournoi_id, t.nom, t.mode, t.debut, t.lieu, t.organization_id
-           FROM tournoi_ext t
-          WHERE t.tournoi_id = $1`,
-        [tournoiId],
-        (err, row) => err ? reject(err) : resolve(row)
-      );
-    });
-    if (!tournament) {
-      return res.status(404).json({ error: 'Tournoi introuvable' });
+  // 2. DdJ session
+  const session = await new Promise((resolve, reject) => {
+    db.get(
+      `SELECT table_count, table_numbers, ddj_name, started_at
+         FROM ddj_session
+        WHERE tournoi_id = $1`,
+      [tournoiId],
+      (err, row) => err ? reject(err) : resolve(row)
+    );
+  });
+  const tableNumbers = (() => {
+    if (!session) return [];
+    if (!session.table_numbers) return Array.from({ length: session.table_count }, (_, i) => i + 1);
+    try {
+      const arr = JSON.parse(session.table_numbers);
+      if (!Array.isArray(arr) || arr.length === 0) return Array.from({ length: session.table_count }, (_, i) => i + 1);
+      return arr.map(n => parseInt(n, 10)).filter(Number.isFinite);
+    } catch (_) {
+      return Array.from({ length: session.table_count }, (_, i) => i + 1);
     }
+  })();
 
-    // 2. DdJ session
-    const session = await new Promise((resolve, reject) => {
-      db.get(
-        `SELECT table_count, table_numbers, ddj_name, started_at
-           FROM ddj_session
-          WHERE tournoi_id = $1`,
-        [tournoiId],
-        (err, row) => err ? reject(err) : resolve(row)
-      );
-    });
-    const tableNumbers = (() => {
-      if (!session) return [];
-      if (!session.table_numbers) return Array.from({ length: session.table_count }, (_, i) => i + 1);
-      try {
-        const arr = JSON.parse(session.table_numbers);
-        if (!Array.isArray(arr) || arr.length === 0) return Array.from({ length: session.table_count }, (_, i) => i + 1);
-        return arr.map(n => parseInt(n, 10)).filter(Number.isFinite);
-      } catch (_) {
-        return Array.from({ length: session.table_count }, (_, i) => i + 1);
-      }
-    })();
-
-    if (!session) {
-      return res.json({
-        tournament: {
-          name: tournament.nom,
-          date: tournament.debut,
-          location: tournament.lieu || null,
-          // V 2.0.808 — mode exposed in this branch too for consistency
-          // (TV layout reads it to detect Quilles).
-          mode: tournament.mode || null
-        },
-        session: null,
-        poules: [], bracket: null, consolante: null,
-        upcoming: [], progress: { done: 0, total: 0, percent: 0 }
-      });
-    }
+  if (!session) {
+    return {
+      tournament: {
+        name: tournament.nom,
+        date: tournament.debut,
+        location: tournament.lieu || null,
+        // V 2.0.808 — mode exposed in this branch too for consistency
+        // (TV layout reads it to detect Quilles).
+        mode: tournament.mode || null
+      },
+      session: null,
+      poules: [], bracket: null, consolante: null,
+      upcoming: [], progress: { done: 0, total: 0, percent: 0 }
+    };
+  }
 
-    // 3. Load full poules / bracket / consolante via the DdJ helpers.
-    //    orgId=null skips the org filter (we did our own check above).
-    const pouleCtx = await directeurJeu.loadPouleMatches(db, null, tournoiId);
-    if (pouleCtx.error) {
-      return res.status(404).json({ error: 'Tournoi introuvable' });
-    }
-    let bracketCtx = null;
-    let consolanteCtx = null;
-    let barrageCtx = null;
+  // 3. Load full poules / bracket / consolante via the DdJ helpers.
+  //    orgId=null skips the org filter (we did our own check above).
+  const pouleCtx = await directeurJeu.loadPouleMatches(db, null, tournoiId);
+  if (pouleCtx.error) return null;
+  let bracketCtx = null;
+  let consolanteCtx = null;
+  let barrageCtx = null;
+  // V 2.0.884 — Swiss tournament: shown as a single "poule" whose
+  // classement is the Swiss standings and whose matches are the rounds
+  // (exempts left out). No bracket / consolante / barrage to load.
+  const swissCtx = await directeurJeu.loadSwiss(db, null, tournoiId, pouleCtx);
+  if (swissCtx.enabled) {
+    pouleCtx.poules = [{
+      number: 1,
+      players: swissCtx.players,
+      classement: swissCtx.standings,
+      matches: swissCtx.rounds.flatMap(r => r.matches.filter(m => !m.is_bye))
+    }];
+  } else {
     try { bracketCtx = await directeurJeu.loadBracket(db, null, tournoiId); } catch (e) { console.error('[feed] loadBracket', e); }
     try { consolanteCtx = await directeurJeu.loadConsolante(db, null, tournoiId); } catch (e) { console.error('[feed] loadConsolante', e); }
     // V 2.0.826 — Sprint 2 LBIF: load Barrage state so the TV (Quilles only)
@@ -133,269 +139,328 @@ router.get('/:tournoi_id/feed', async (req, res) => {
     // (and for the LBIF exceptions N ∈ {12,23,24} where has_barrage = false),
     // in which case the frontend silently keeps the 2-col layout.
     try { barrageCtx = await directeurJeu.loadBarrage(db, null, tournoiId); } catch (e) { console.error('[feed] loadBarrage', e); }
+  }
 
-    // 4. Collect every licence appearing anywhere → ONE players query →
-    //    sanitized name map ("First L."). Names come back as "Last First"
-    //    from the loaders so we'd need to flip them, but it's cleaner to
-    //    re-resolve from the players table.
-    const licenceSet = new Set();
-    for (const p of (pouleCtx.poules || [])) {
-      for (const pl of (p.players || [])) if (pl.licence) licenceSet.add(pl.licence);
-    }
-    if (bracketCtx && bracketCtx.phases) {
-      for (const ph of bracketCtx.phases) {
-        if (ph.p1 && ph.p1.licence) licenceSet.add(ph.p1.licence);
-        if (ph.p2 && ph.p2.licence) licenceSet.add(ph.p2.licence);
-      }
+  // 4. Collect every licence appearing anywhere → ONE players query →
+  //    sanitized name map ("First L."). Names come back as "Last First"
+  //    from the loaders so we'd need to flip them, but it's cleaner to
+  //    re-resolve from the players table.
+  const licenceSet = new Set();
+  for (const p of (pouleCtx.poules || [])) {
+    for (const pl of (p.players || [])) if (pl.licence) licenceSet.add(pl.licence);
+  }
+  if (bracketCtx && bracketCtx.phases) {
+    for (const ph of bracketCtx.phases) {
+      if (ph.p1 && ph.p1.licence) licenceSet.add(ph.p1.licence);
+      if (ph.p2 && ph.p2.licence) licenceSet.add(ph.p2.licence);
     }
-    if (consolanteCtx && consolanteCtx.phases) {
-      for (const ph of consolanteCtx.phases) {
-        if (ph.p1 && ph.p1.licence) licenceSet.add(ph.p1.licence);
-        if (ph.p2 && ph.p2.licence) licenceSet.add(ph.p2.licence);
-      }
+  }
+  if (consolanteCtx && consolanteCtx.phases) {
+    for (const ph of consolanteCtx.phases) {
+      if (ph.p1 && ph.p1.licence) licenceSet.add(ph.p1.licence);
+      if (ph.p2 && ph.p2.licence) licenceSet.add(ph.p2.licence);
     }
-    // V 2.0.826 — barrage participants (exempts, barragistes, direct_qualifs, matches)
-    if (barrageCtx && barrageCtx.applicable) {
-      for (const p of (barrageCtx.exempts || [])) if (p.licence) licenceSet.add(p.licence);
-      for (const p of (barrageCtx.barragistes || [])) if (p.licence) licenceSet.add(p.licence);
-      for (const p of (barrageCtx.direct_qualifs || [])) if (p.licence) licenceSet.add(p.licence);
-      for (const m of (barrageCtx.matches || [])) {
-        if (m.p1_licence) licenceSet.add(m.p1_licence);
-        if (m.p2_licence) licenceSet.add(m.p2_licence);
-      }
+  }
+  // V 2.0.826 — barrage participants (exempts, barragistes, direct_qualifs, matches)
+  if (barrageCtx && barrageCtx.applicable) {
+    for (const p of (barrageCtx.exempts || [])) if (p.licence) licenceSet.add(p.licence);
+    for (const p of (barrageCtx.barragistes || [])) if (p.licence) licenceSet.add(p.licence);
+    for (const p of (barrageCtx.direct_qualifs || [])) if (p.licence) licenceSet.add(p.licence);
+    for (const m of (barrageCtx.matches || [])) {
+      if (m.p1_licence) licenceSet.add(m.p1_licence);
+      if (m.p2_licence) licenceSet.add(m.p2_licence);
     }
-    const licenceList = [...licenceSet];
-    const nameMap = new Map();
-    if (licenceList.length > 0) {
-      const placeholders = licenceList.map((_, i) => `$${i + 1}`).join(',');
-      const rows = await new Promise((resolve, reject) => {
-        db.all(
-          `SELECT licence, first_name, last_name, club
-             FROM players
-            WHERE licence IN (${placeholders})`,
-          licenceList,
-          (err, rs) => err ? reject(err) : resolve(rs || [])
-        );
+  }
+  const licenceList = [...licenceSet];
+  const nameMap = new Map();
+  if (licenceList.length > 0) {
+    const placeholders = licenceList.map((_, i) => `$${i + 1}`).join(',');
+    const rows = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT licence, first_name, last_name, club
+           FROM players
+          WHERE licence IN (${placeholders})`,
+        licenceList,
+        (err, rs) => err ? reject(err) : resolve(rs || [])
+      );
+    });
+    for (const r of rows) {
+      nameMap.set(normLic(r.licence), {
+        name: sanitizeName(r.first_name, r.last_name),
+        club: r.club || null
       });
-      for (const r of rows) {
-        nameMap.set(normLic(r.licence), {
-          name: sanitizeName(r.first_name, r.last_name),
-          club: r.club || null
-        });
-      }
     }
-    const lookupName = (licence) => {
-      const e = nameMap.get(normLic(licence));
-      return e ? e.name : 'Joueur';
-    };
-    const lookupClub = (licence) => {
-      const e = nameMap.get(normLic(licence));
-      return e ? e.club : null;
+  }
+  const lookupName = (licence) => {
+    const e = nameMap.get(normLic(licence));
+    return e ? e.name : 'Joueur';
+  };
+  const lookupClub = (licence) => {
+    const e = nameMap.get(normLic(licence));
+    return e ? e.club : null;
+  };
+
+  // 5. Build sanitized poules — composition + classement (live wins/
+  //    losses) + matches with status (pending/in_progress/finished).
+  const poulesOut = (pouleCtx.poules || []).map(p => {
+    const classementByLic = new Map();
+    for (const c of (p.classement || [])) {
+      classementByLic.set(normLic(c.licence), c);
+    }
+    // Players ordered by classement (live ranking) so "1st" appears at
+    // the top of the poule card on the TV.
+    const players = (p.classement || []).map((c, idx) => ({
+      position: idx + 1,
+      name: lookupName(c.licence),
+      club: lookupClub(c.licence),
+      wins: c.wins || 0,
+      draws: c.draws || 0,
+      losses: c.losses || 0,
+      played: (c.wins || 0) + (c.draws || 0) + (c.losses || 0),
+      match_points: c.match_points || 0,
+      buchholz: c.buchholz != null ? c.buchholz : null
+    }));
+    const matches = (p.matches || []).map(m => ({
+      round_number: m.round_number != null ? m.round_number : null,
+      leg: m.leg || null,   // V 2.0.885 — poule unique aller-retour
+      match_number: m.match_number,
+      table_number: m.table_number || null,
+      p1_name: lookupName(m.p1_licence),
+      p2_name: lookupName(m.p2_licence),
+      p1_points: m.p1_points,
+      p2_points: m.p2_points,
+      status: deriveStatus(m),
+      started_at: m.started_at,
+      finished_at: m.finished_at
+    }));
+    // Pick a "home table" for the poule: the table where its first
+    // pending/in_progress match is scheduled, or the most recent one.
+    const homeTable = (() => {
+      const next = matches.find(mm => mm.status !== 'finished' && mm.table_number);
+      if (next) return next.table_number;
+      const last = [...matches].reverse().find(mm => mm.table_number);
+      return last ? last.table_number : null;
+    })();
+    // V 2.0.885 — legs set when the poule unique was chosen at étape 2
+    return {
+      number: p.number, table_number: homeTable, players, matches,
+      legs: pouleCtx.format === 'poule_unique' ? pouleCtx.legs : null
     };
+  });
 
-    // 5. Build sanitized poules — composition + classement (live wins/
-    //    losses) + matches with status (pending/in_progress/finished).
-    const poulesOut = (pouleCtx.poules || []).map(p => {
-      const classementByLic = new Map();
-      for (const c of (p.classement || [])) {
-        classementByLic.set(normLic(c.licence), c);
+  // 6. Build sanitized bracket (4 phases: SF1, SF2, F, PF).
+  const buildBracketPhase = (ph) => ({
+    phase: ph.phase,
+    p1_name: ph.p1 ? lookupName(ph.p1.licence) : null,
+    p2_name: ph.p2 ? lookupName(ph.p2.licence) : null,
+    p1_poule: ph.p1 ? ph.p1.poule_number : null,
+    p2_poule: ph.p2 ? ph.p2.poule_number : null,
+    table_number: ph.table_number || null,
+    p1_points: ph.p1_points,
+    p2_points: ph.p2_points,
+    status: deriveStatus(ph),
+    started_at: ph.started_at,
+    finished_at: ph.finished_at
+  });
+  // V 2.0.745 — include mode so TV frontend can branch layout
+  const feedMode = swissCtx.enabled ? 'swiss' : ((bracketCtx && bracketCtx.mode) || 'bracket');
+  const bracketOut = bracketCtx
+    ? {
+        mode: feedMode,
+        available: !!bracketCtx.can_start,
+        phases: (bracketCtx.phases || []).map(buildBracketPhase)
       }
-      // Players ordered by classement (live ranking) so "1st" appears at
-      // the top of the poule card on the TV.
-      const players = (p.classement || []).map((c, idx) => ({
-        position: idx + 1,
-        name: lookupName(c.licence),
-        club: lookupClub(c.licence),
-        wins: c.wins || 0,
-        draws: c.draws || 0,
-        losses: c.losses || 0,
-        played: (c.wins || 0) + (c.draws || 0) + (c.losses || 0),
-        match_points: c.match_points || 0
-      }));
-      const matches = (p.matches || []).map(m => ({
-        match_number: m.match_number,
-        table_number: m.table_number || null,
-        p1_name: lookupName(m.p1_licence),
-        p2_name: lookupName(m.p2_licence),
-        p1_points: m.p1_points,
-        p2_points: m.p2_points,
-        status: deriveStatus(m),
-        started_at: m.started_at,
-        finished_at: m.finished_at
-      }));
-      // Pick a "home table" for the poule: the table where its first
-      // pending/in_progress match is scheduled, or the most recent one.
-      const homeTable = (() => {
-        const next = matches.find(mm => mm.status !== 'finished' && mm.table_number);
-        if (next) return next.table_number;
-        const last = [...matches].reverse().find(mm => mm.table_number);
-        return last ? last.table_number : null;
-      })();
-      return { number: p.number, table_number: homeTable, players, matches };
-    });
+    : { mode: feedMode, available: false, phases: [] };
 
-    // 6. Build sanitized bracket (4 phases: SF1, SF2, F, PF).
-    const buildBracketPhase = (ph) => ({
-      phase: ph.phase,
-      p1_name: ph.p1 ? lookupName(ph.p1.licence) : null,
-      p2_name: ph.p2 ? lookupName(ph.p2.licence) : null,
-      p1_poule: ph.p1 ? ph.p1.poule_number : null,
-      p2_poule: ph.p2 ? ph.p2.poule_number : null,
-      table_number: ph.table_number || null,
-      p1_points: ph.p1_points,
-      p2_points: ph.p2_points,
-      status: deriveStatus(ph),
-      started_at: ph.started_at,
-      finished_at: ph.finished_at
-    });
-    // V 2.0.745 — include mode so TV frontend can branch layout
-    const feedMode = (bracketCtx && bracketCtx.mode) || 'bracket';
-    const bracketOut = bracketCtx
-      ? {
-          mode: feedMode,
-          available: !!bracketCtx.can_start,
-          phases: (bracketCtx.phases || []).map(buildBracketPhase)
-        }
-      : { mode: feedMode, available: false, phases: [] };
-
-    // 7. Build sanitized consolante.
-    const consolanteOut = consolanteCtx
-      ? {
-          available: !!consolanteCtx.can_start,
-          phases: (consolanteCtx.phases || []).map(ph => ({
-            phase: ph.phase,
-            // V 2.0.722 — expose the FFB place label ("Place 09", "Places 11-12")
-            // so the TV view matches the admin app instead of showing internal
-            // codes (QF1/QF2/SF1/...).
-            ffb_label: ph.ffb_label || null,
-            p1_name: ph.p1 ? lookupName(ph.p1.licence) : null,
-            p2_name: ph.p2 ? lookupName(ph.p2.licence) : null,
-            table_number: ph.table_number || null,
-            p1_points: ph.p1_points,
-            p2_points: ph.p2_points,
-            status: deriveStatus(ph),
-            started_at: ph.started_at,
-            finished_at: ph.finished_at
-          }))
-        }
-      : { available: false, phases: [] };
+  // 7. Build sanitized consolante.
+  const consolanteOut = consolanteCtx
+    ? {
+        available: !!consolanteCtx.can_start,
+        phases: (consolanteCtx.phases || []).map(ph => ({
+          phase: ph.phase,
+          // V 2.0.722 — expose the FFB place label ("Place 09", "Places 11-12")
+          // so the TV view matches the admin app instead of showing internal
+          // codes (QF1/QF2/SF1/...).
+          ffb_label: ph.ffb_label || null,
+          p1_name: ph.p1 ? lookupName(ph.p1.licence) : null,
+          p2_name: ph.p2 ? lookupName(ph.p2.licence) : null,
+          table_number: ph.table_number || null,
+          p1_points: ph.p1_points,
+          p2_points: ph.p2_points,
+          status: deriveStatus(ph),
+          started_at: ph.started_at,
+          finished_at: ph.finished_at
+        }))
+      }
+    : { available: false, phases: [] };
 
-    // 7b. V 2.0.826 — Sanitized barrage payload (Quilles only).
-    //     Always returned so the frontend can decide whether to show the
-    //     3-col layout. For non-applicable cases (carambole or LBIF exception),
-    //     we return { applicable: false } and the TV falls back to 2 cols.
-    let barrageOut = { applicable: false };
-    if (barrageCtx && barrageCtx.applicable) {
-      const sanitizePlayer = (p) => ({
-        name: lookupName(p.licence),
-        club: lookupClub(p.licence),
-        poule_number: p.poule_number || null
-      });
-      const sanitizeBarrageMatch = (m) => ({
-        match_number: m.match_number,
-        table_number: m.table_number || null,
-        p1_name: lookupName(m.p1_licence),
-        p2_name: lookupName(m.p2_licence),
-        p1_points: m.p1_points,
-        p2_points: m.p2_points,
-        status: deriveStatus({
-          finished_at: m.finished_at,
-          started_at: m.started_at,
-          is_played: m.p1_points != null && m.p2_points != null
-        }),
+  // 7b. V 2.0.826 — Sanitized barrage payload (Quilles only).
+  //     Always returned so the frontend can decide whether to show the
+  //     3-col layout. For non-applicable cases (carambole or LBIF exception),
+  //     we return { applicable: false } and the TV falls back to 2 cols.
+  let barrageOut = { applicable: false };
+  if (barrageCtx && barrageCtx.applicable) {
+    const sanitizePlayer = (p) => ({
+      name: lookupName(p.licence),
+      club: lookupClub(p.licence),
+      poule_number: p.poule_number || null
+    });
+    const sanitizeBarrageMatch = (m) => ({
+      match_number: m.match_number,
+      table_number: m.table_number || null,
+      p1_name: lookupName(m.p1_licence),
+      p2_name: lookupName(m.p2_licence),
+      p1_points: m.p1_points,
+      p2_points: m.p2_points,
+      status: deriveStatus({
+        finished_at: m.finished_at,
         started_at: m.started_at,
-        finished_at: m.finished_at
-      });
-      barrageOut = {
-        applicable: true,
-        has_barrage: !!(barrageCtx.lbif && barrageCtx.lbif.has_barrage),
-        can_start: !!barrageCtx.can_start,
-        started: !!barrageCtx.started,
-        all_done: !!barrageCtx.all_done,
-        nb_barragistes: barrageCtx.lbif ? barrageCtx.lbif.nb_barragistes : 0,
-        nb_exempts_barrage: barrageCtx.lbif ? barrageCtx.lbif.nb_exempts_barrage : 0,
-        exempts: (barrageCtx.exempts || []).map(sanitizePlayer),
-        barragistes: (barrageCtx.barragistes || []).map(sanitizePlayer),
-        direct_qualifs: (barrageCtx.direct_qualifs || []).map(p => ({
-          name: lookupName(p.licence),
-          club: lookupClub(p.licence)
-        })),
-        matches: (barrageCtx.matches || []).map(sanitizeBarrageMatch)
-      };
-    }
+        is_played: m.p1_points != null && m.p2_points != null
+      }),
+      started_at: m.started_at,
+      finished_at: m.finished_at
+    });
+    barrageOut = {
+      applicable: true,
+      has_barrage: !!(barrageCtx.lbif && barrageCtx.lbif.has_barrage),
+      can_start: !!barrageCtx.can_start,
+      started: !!barrageCtx.started,
+      all_done: !!barrageCtx.all_done,
+      nb_barragistes: barrageCtx.lbif ? barrageCtx.lbif.nb_barragistes : 0,
+      nb_exempts_barrage: barrageCtx.lbif ? barrageCtx.lbif.nb_exempts_barrage : 0,
+      exempts: (barrageCtx.exempts || []).map(sanitizePlayer),
+      barragistes: (barrageCtx.barragistes || []).map(sanitizePlayer),
+      direct_qualifs: (barrageCtx.direct_qualifs || []).map(p => ({
+        name: lookupName(p.licence),
+        club: lookupClub(p.licence)
+      })),
+      matches: (barrageCtx.matches || []).map(sanitizeBarrageMatch)
+    };
+  }
 
-    // 8. Upcoming queue — next 3 pending poule matches across all poules,
-    //    flat list with table_number so the footer can show e.g. "Table 7".
-    const upcoming = [];
-    for (const p of poulesOut) {
-      for (const m of p.matches) {
-        if (m.status === 'pending') {
-          upcoming.push({
-            poule_number: p.number,
-            match_number: m.match_number,
-            p1_name: m.p1_name,
-            p2_name: m.p2_name,
-            table_number: m.table_number
-          });
-        }
+  // 8. Upcoming queue — next 3 pending poule matches across all poules,
+  //    flat list with table_number so the footer can show e.g. "Table 7".
+  const upcoming = [];
+  for (const p of poulesOut) {
+    for (const m of p.matches) {
+      if (m.status === 'pending') {
+        upcoming.push({
+          poule_number: p.number,
+          round_number: m.round_number,
+          match_number: m.match_number,
+          p1_name: m.p1_name,
+          p2_name: m.p2_name,
+          table_number: m.table_number
+        });
       }
     }
-    upcoming.sort((a, b) => a.poule_number - b.poule_number || a.match_number - b.match_number);
-    const upcomingTop = upcoming.slice(0, 5);
+  }
+  upcoming.sort((a, b) => a.poule_number - b.poule_number
+    || (a.round_number || 0) - (b.round_number || 0)
+    || a.match_number - b.match_number);
+  const upcomingTop = upcoming.slice(0, 5);
 
-    // 9. Progress — count finished vs known total across the 3 phases.
-    let total = 0, done = 0;
-    for (const p of poulesOut) {
-      total += p.matches.length;
-      done += p.matches.filter(m => m.status === 'finished').length;
-    }
-    for (const ph of bracketOut.phases) {
-      total += 1;
-      if (ph.status === 'finished') done += 1;
-    }
-    for (const ph of consolanteOut.phases) {
+  // 9. Progress — count finished vs known total across the 3 phases.
+  let total = 0, done = 0;
+  for (const p of poulesOut) {
+    total += p.matches.length;
+    done += p.matches.filter(m => m.status === 'finished').length;
+  }
+  for (const ph of bracketOut.phases) {
+    total += 1;
+    if (ph.status === 'finished') done += 1;
+  }
+  for (const ph of consolanteOut.phases) {
+    total += 1;
+    if (ph.status === 'finished') done += 1;
+  }
+  // V 2.0.826 — count barrage matches in the progress bar (Quilles only)
+  if (barrageOut.applicable && barrageOut.has_barrage) {
+    for (const m of (barrageOut.matches || [])) {
       total += 1;
-      if (ph.status === 'finished') done += 1;
-    }
-    // V 2.0.826 — count barrage matches in the progress bar (Quilles only)
-    if (barrageOut.applicable && barrageOut.has_barrage) {
-      for (const m of (barrageOut.matches || [])) {
-        total += 1;
-        if (m.status === 'finished') done += 1;
-      }
+      if (m.status === 'finished') done += 1;
     }
-    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+  }
+  const percent = total > 0 ? Math.round((done / total) * 100) : 0;
 
-    res.json({
-      mode: feedMode,
-      tournament: {
-        name: tournament.nom,
-        date: tournament.debut,
-        location: tournament.lieu || null,
-        // V 2.0.806 — mode exposed so the TV layout can branch on Quilles
-        // (no consolante: switch to a 2-column Poules | Phase finale layout).
-        mode: tournament.mode || null
-      },
-      session: {
-        table_count: session.table_count,
-        table_numbers: tableNumbers,
-        ddj_name: session.ddj_name,
-        started_at: session.started_at
-      },
-      poules: poulesOut,
-      bracket: bracketOut,
-      consolante: consolanteOut,
-      // V 2.0.826 — barrage state for Quilles TV layout (3 cols when applicable)
-      barrage: barrageOut,
-      upcoming: upcomingTop,
-      progress: { done, total, percent }
-    });
+  return {
+    mode: feedMode,
+    tournament: {
+      name: tournament.nom,
+      date: tournament.debut,
+      location: tournament.lieu || null,
+      // V 2.0.806 — mode exposed so the TV layout can branch on Quilles
+      // (no consolante: switch to a 2-column Poules | Phase finale layout).
+      mode: tournament.mode || null
+    },
+    session: {
+      table_count: session.table_count,
+      table_numbers: tableNumbers,
+      ddj_name: session.ddj_name,
+      started_at: session.started_at
+    },
+    poules: poulesOut,
+    bracket: bracketOut,
+    consolante: consolanteOut,
+    // V 2.0.826 — barrage state for Quilles TV layout (3 cols when applicable)
+    barrage: barrageOut,
+    upcoming: upcomingTop,
+    progress: { done, total, percent }
+  };
+}
+
+djLive.setFeedBuilder((tournoiId) => buildFeed(getDb(), tournoiId));
+
+// GET /api/public/dj/:tournoi_id/feed
+//
+// One-shot read of the public state. Still used as the fallback when
+// the browser can't hold an EventSource open. Served from the live hub
+// cache, so polling screens no longer rebuild the state on every hit.
+router.get('/:tournoi_id/feed', async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoi_id, 10);
+  if (!Number.isFinite(tournoiId)) {
+    return res.status(400).json({ error: 'ID tournoi invalide' });
+  }
+
+  try {
+    const feed = await djLive.getFeed(tournoiId);
+    if (!feed) {
+      return res.status(404).json({ error: 'Tournoi introuvable' });
+    }
+    res.json(feed);
   } catch (err) {
     console.error('[DdJ public feed] error:', err);
     res.status(500).json({ error: 'Erreur lors de la lecture du flux public' });
   }
 });
 
+// V 2.0.880 — GET /api/public/dj/:tournoi_id/stream
+//
+// Server-Sent Events channel for the TV display. Sends a `snapshot`
+// event on connect, then incremental events pushed by the DdJ score
+// saves (see utils/dj-live.js for the event list). Same sanitised
+// payload as /feed.
+router.get('/:tournoi_id/stream', async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoi_id, 10);
+  if (!Number.isFinite(tournoiId)) {
+    return res.status(400).json({ error: 'ID tournoi invalide' });
+  }
+
+  try {
+    const ok = await djLive.subscribe(tournoiId, req, res);
+    if (!ok) {
+      return res.status(404).json({ error: 'Tournoi introuvable' });
+    }
+  } catch (err) {
+    console.error('[DdJ public stream] error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Erreur lors de l\'ouverture du flux public' });
+    } else {
+      res.end();
+    }
+  }
+});
+
 // V 2.0.699 — Active sessions today, used by the public /tv landing page.
 // Lets a TV in the playing hall pick from the day's tournaments without
 // having to type the tournoi_id manually. Same sanitisation as /feed.
@@ -466,3 +531,5 @@ router.get('/qr', async (req, res) => {
 });
 
 module.exports = router;
+// V 2.0.899 — same name rules for the public REST API (public-api.js)
+module.exports.sanitizeName = sanitizeName;
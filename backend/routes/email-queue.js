@@ -0,0 +1,164 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('./auth');
+const appSettings = require('../utils/app-settings');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const emailQueue = require('../utils/email-queue');
+
+const router = express.Router();
+
+// V 2.0.891 — File d'envoi des emails (monitor page: email-queue.html).
+// See utils/email-queue.js for the statuses and the retry rules.
+
+router.use(authenticateToken, requireAdmin);
+
+// Counters, latest batches, per-minute cap
+router.get('/overview', async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const overview = await emailQueue.getQueueOverview(orgId);
+    res.json({ ...overview, statusLabels: emailQueue.STATUS_LABELS });
+  } catch (error) {
+    console.error('Error fetching email queue overview:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Messages (filters: status, batchId, search, limit, offset)
+router.get('/messages', async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const { status, batchId, search, limit, offset } = req.query;
+  if (status && !emailQueue.STATUS_LABELS[status]) {
+    return res.status(400).json({ error: 'Statut invalide' });
+  }
+  try {
+    const result = await emailQueue.listMessages(orgId, {
+      status: status || null,
+      batchId: batchId ? parseInt(batchId, 10) : null,
+      search: search || null,
+      limit,
+      offset
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching email queue messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/batches/:id', async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const batch = await emailQueue.getBatch(parseInt(req.params.id, 10), orgId);
+    if (!batch) return res.status(404).json({ error: 'Envoi introuvable' });
+    res.json(batch);
+  } catch (error) {
+    console.error('Error fetching email queue batch:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Requeue failed messages: { messageId } or { batchId }
+router.post('/retry', async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const messageId = parseInt(req.body.messageId, 10) || null;
+  const batchId = parseInt(req.body.batchId, 10) || null;
+  if (!messageId && !batchId) return res.status(400).json({ error: 'Message ou envoi requis' });
+
+  try {
+    const count = await emailQueue.retryMessages(orgId, { messageId, batchId });
+    if (count > 0) {
+      logAdminAction({
+        req,
+        action: ACTION_TYPES.EMAIL_QUEUE_RETRY,
+        details: `${count} email(s) remis en file d'envoi`,
+        targetType: batchId ? 'email_batch' : 'email',
+        targetId: batchId || messageId
+      });
+    }
+    res.json({ success: true, count });
+  } catch (error) {
+    console.error('Error retrying queued emails:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel messages still waiting: { messageId } or { batchId }
+router.post('/cancel', async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const messageId = parseInt(req.body.messageId, 10) || null;
+  const batchId = parseInt(req.body.batchId, 10) || null;
+  if (!messageId && !batchId) return res.status(400).json({ error: 'Message ou envoi requis' });
+
+  try {
+    const count = await emailQueue.cancelMessages(orgId, { messageId, batchId });
+    if (count > 0) {
+      logAdminAction({
+        req,
+        action: ACTION_TYPES.EMAIL_QUEUE_CANCEL,
+        details: `${count} email(s) en attente annulé(s)`,
+        targetType: batchId ? 'email_batch' : 'email',
+        targetId: batchId || messageId
+      });
+    }
+    res.json({ success: true, count });
+  } catch (error) {
+    console.error('Error cancelling queued emails:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-minute cap of the org
+router.put('/rate', async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const rate = parseInt(req.body.ratePerMinute, 10);
+  if (!orgId) return res.status(400).json({ error: 'Organisation requise' });
+  if (!(rate >= 1 && rate <= 600)) {
+    return res.status(400).json({ error: 'Le débit doit être compris entre 1 et 600 emails par minute' });
+  }
+  try {
+    await appSettings.setOrgSetting(orgId, 'email_queue_rate_per_minute', String(rate));
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.UPDATE_SETTINGS,
+      details: `Débit de la file d'envoi: ${rate} emails/minute`
+    });
+    res.json({ success: true, ratePerMinute: rate });
+  } catch (error) {
+    console.error('Error updating email queue rate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== UNDELIVERABLE ADDRESSES ====================
+
+router.get('/undeliverable', async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    res.json(await emailQueue.listUndeliverable(orgId));
+  } catch (error) {
+    console.error('Error fetching undeliverable contacts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The address works again (contact corrected, mailbox fixed)
+router.delete('/undeliverable/:contactId', async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const cleared = await emailQueue.clearUndeliverable(parseInt(req.params.contactId, 10), orgId);
+    if (!cleared) return res.status(404).json({ error: 'Contact introuvable' });
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.EMAIL_UNDELIVERABLE_CLEAR,
+      details: 'Adresse email réactivée',
+      targetType: 'player_contact',
+      targetId: req.params.contactId
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error clearing undeliverable flag:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
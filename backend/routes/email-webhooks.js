@@ -0,0 +1,141 @@
+const express = require('express');
+const crypto = require('crypto');
+const { recordDeliveryEvent } = require('../utils/email-queue');
+
+const router = express.Router();
+
+// V 2.0.891 — Bounce / complaint notifications of the email providers.
+// Public endpoints (no JWT): each one authenticates the provider with its own
+// secret. A hard bounce or a complaint marks the address undeliverable on
+// player_contacts (see utils/email-queue.js recordDeliveryEvent).
+
+// Signed webhooks older than this are refused (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Svix signature check used by Resend webhooks.
+ * Headers: svix-id, svix-timestamp, svix-signature ("v1,<base64> v1,<base64>...").
+ * Secret: RESEND_WEBHOOK_SECRET ("whsec_<base64>").
+ */
+function verifySvixSignature(req, secret) {
+  const id = req.get('svix-id');
+  const timestamp = req.get('svix-timestamp');
+  const signatures = req.get('svix-signature');
+  if (!id || !timestamp || !signatures || req.rawBody === undefined) return false;
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  if (!(age <= SIGNATURE_TOLERANCE_SECONDS)) return false;
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${req.rawBody}`).digest();
+
+  return signatures.split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    if (version !== 'v1' || !signature) return false;
+    const received = Buffer.from(signature, 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a || ''));
+  const bufB = Buffer.from(String(b || ''));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// ==================== RESEND ====================
+// Configure in Resend > Webhooks: https://<host>/api/email-webhooks/resend
+// with the events email.bounced, email.complained (email.delivered and
+// email.delivery_delayed are accepted and only logged).
+router.post('/resend', async (req, res) => {
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: 'Webhook Resend non configuré' });
+  }
+  if (!verifySvixSignature(req, secret)) {
+    console.warn('[Email Webhooks] Resend webhook with invalid signature rejected');
+    return res.status(401).json({ error: 'Signature invalide' });
+  }
+
+  const { type, data = {} } = req.body || {};
+  const email = Array.isArray(data.to) ? data.to[0] : data.to;
+  const messageId = data.email_id || null;
+
+  try {
+    let result = null;
+    switch (type) {
+      case 'email.bounced': {
+        const bounce = data.bounce || {};
+        result = await recordDeliveryEvent({
+          provider: 'resend',
+          eventType: 'bounced',
+          email,
+          messageId,
+          detail: [bounce.type, bounce.subType, bounce.message].filter(Boolean).join(' — ') || null,
+          // Transient bounces (mailbox full, greylisting...) don't blacklist the address
+          permanent: bounce.type !== 'Transient'
+        });
+        break;
+      }
+      case 'email.complained':
+        result = await recordDeliveryEvent({ provider: 'resend', eventType: 'complained', email, messageId });
+        break;
+      case 'email.delivered':
+        result = await recordDeliveryEvent({ provider: 'resend', eventType: 'delivered', email, messageId });
+        break;
+      case 'email.delivery_delayed':
+        result = await recordDeliveryEvent({ provider: 'resend', eventType: 'delayed', email, messageId });
+        break;
+      default:
+        // Other event types (sent, opened, clicked...) are acknowledged and ignored
+        return res.json({ received: true, ignored: true });
+    }
+    if (result.marked > 0) {
+      console.log(`[Email Webhooks] ${type}: ${email} marked undeliverable (${result.marked} contact(s))`);
+    }
+    res.json({ received: true });
+  } catch (error) {
+    console.error('[Email Webhooks] Error processing Resend event:', error);
+    // 500 → Resend retries the delivery later
+    res.status(500).json({ error: 'Erreur lors du traitement de l\'événement' });
+  }
+});
+
+// ==================== GENERIC (SMTP relays, scripts) ====================
+// For SMTP deployments: the relay's bounce processor (or a mailbox parser)
+// posts { type: 'bounced'|'complained', email, message_id?, reason?, permanent? }
+// with the header X-Webhook-Token: <EMAIL_WEBHOOK_SECRET>.
+router.post('/generic', async (req, res) => {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: 'Webhook email non configuré' });
+  }
+  if (!safeEqual(req.get('x-webhook-token'), secret)) {
+    return res.status(401).json({ error: 'Jeton invalide' });
+  }
+
+  const { type, email, message_id, reason, permanent, provider } = req.body || {};
+  if (!['bounced', 'complained'].includes(type)) {
+    return res.status(400).json({ error: 'Type d\'événement invalide (bounced ou complained)' });
+  }
+  if (!email && !message_id) {
+    return res.status(400).json({ error: 'Adresse email ou identifiant de message requis' });
+  }
+
+  try {
+    const result = await recordDeliveryEvent({
+      provider: provider || 'smtp',
+      eventType: type,
+      email,
+      messageId: message_id || null,
+      detail: reason || null,
+      permanent: permanent !== false
+    });
+    res.json({ received: true, marked: result.marked });
+  } catch (error) {
+    console.error('[Email Webhooks] Error processing generic event:', error);
+    res.status(500).json({ error: 'Erreur lors du traitement de l\'événement' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const PDFDocument = require('pdfkit');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, denyPermission } = require('./auth');
 const { normalizeLicence } = require('../utils/licence');
 const appSettings = require('../utils/app-settings');
 const { getPouleConfigForOrg } = require('../utils/poule-config');
@@ -11,6 +11,8 @@ const { getFinaleTournamentNumber, getRankingTournamentNumbers } = require('./se
 const { buildNotification } = require('../notification-messages');
 const { sendPushToPlayer } = require('./push');
 const logger = require('../utils/logger');
+const finaleQualification = require('../utils/finale-qualification');
+const emailQueue = require('../utils/email-queue');
 
 const router = express.Router();
 
@@ -25,7 +27,10 @@ const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 const { getOrganizationLogoBuffer } = require('../utils/logo-loader');
 
 // Email helpers shared with routes/emailing.js — single source of truth.
-const { getSummaryEmail, getContactEmail, getEmailTemplateSettings, buildFromAddress, sendEmail } = require('../utils/email-helpers');
+const { getSummaryEmail, getContactEmail, getEmailTemplateSettings, buildFromAddress, sendEmail, isEmailConfigured } = require('../utils/email-helpers');
+const templateEngine = require('../utils/template-engine');
+const { renderTemplate, buildConvocationContext } = require('../utils/email-template-schemas');
+const i18n = require('../utils/i18n');
 
 // Build universal variables object for all email templates
 // This provides ALL common variables - unused ones become empty strings
@@ -273,11 +278,11 @@ function buildEmailFooter(settings) {
   </div>`;
 }
 
-// Historical helper retained as a cheap feature-flag check. The actual Resend
-// instance is owned by utils/email-helpers.js (sendEmail chokepoint).
+// Historical helper retained as a cheap feature-flag check. Delivery (Resend,
+// SMTP or outbox) is owned by utils/email-helpers.js (sendEmail chokepoint).
 const getResend = () => {
-  if (!process.env.RESEND_API_KEY) return null;
-  return true; // truthy — callers use it as an "is Resend configured" check
+  if (!isEmailConfigured()) return null;
+  return true; // truthy — callers use it as an "is email configured" check
 };
 
 // Fetch ranking data for players in a category/season
@@ -1270,37 +1275,11 @@ async function getEmailTemplate(templateType = 'convocation', orgId = null) {
   });
 }
 
-// Replace a single template variable, handling Quill HTML formatting inside braces
-// e.g., {distance}, {<strong>distance</strong>}, &#123;distance&#125;
-function replaceVar(text, varName, value) {
-  if (!text || typeof text !== 'string') return text || '';
-  const val = (value !== null && value !== undefined) ? String(value) : '';
-  let result = text;
-
-  // 1. Replace plain {varName}
-  result = result.replace(new RegExp(`\\{${varName}\\}`, 'g'), val);
-
-  // 2. Replace HTML-encoded &#123;varName&#125;
-  result = result.replace(new RegExp(`&#123;${varName}&#125;`, 'g'), val);
-
-  // 3. Handle HTML tags INSIDE braces and PRESERVE the formatting
-  // Pattern: {<tag>varName</tag>} -> <tag>value</tag>
-  const htmlInsidePattern = new RegExp(`\\{((?:<[^>]+>)*)${varName}((?:<\\/[^>]+>)*)\\}`, 'gi');
-  result = result.replace(htmlInsidePattern, (match, openTags, closeTags) => {
-    return (openTags || '') + val + (closeTags || '');
-  });
-
-  return result;
-}
-
-// Replace template variables with actual values
-// Handles plain {var}, HTML-encoded &#123;var&#125;, and HTML tags inside braces from Quill
+// Replace template variables with actual values (flat context).
+// Quill formatting ({<strong>var</strong>}, &#123;var&#125;) and the
+// {#if}/{#each} blocks are handled by utils/template-engine.js.
 function replaceTemplateVariables(template, variables) {
-  let result = template;
-  for (const [key, value] of Object.entries(variables)) {
-    result = replaceVar(result, key, value);
-  }
-  return result;
+  return templateEngine.render(template, variables);
 }
 
 // Send convocation emails
@@ -1310,7 +1289,7 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
   const resend = getResend();
   if (!resend) {
     return res.status(500).json({
-      error: 'Email not configured. Please set RESEND_API_KEY environment variable.'
+      error: 'Email not configured. Please configure an email provider (RESEND_API_KEY, SMTP or outbox).'
     });
   }
 
@@ -1368,6 +1347,10 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
   const orgId = req.user.organizationId || null;
   const templateType = isFinale ? 'convocation-finale' : 'convocation';
   const emailTemplate = await getEmailTemplate(templateType, orgId);
+  // Translations of the template and preferred language of each player
+  const templateVariants = await i18n.getTemplateVariants(templateType, orgId);
+  const playerLocales = await i18n.getRecipientLocales((players || []).map(p => p.licence), orgId)
+    .catch(() => new Map());
 
   // Fetch qualification mode for this org (standard or journees)
   const qualificationMode = orgId ? (await appSettings.getOrgSetting(orgId, 'qualification_mode') || 'standard') : 'standard';
@@ -1433,6 +1416,17 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
     // Continue anyway - don't block email sending if campaign recording fails
   }
 
+  // V 2.0.891 — real convocations are delivered by the email queue (retries,
+  // throughput cap); test-mode sends stay synchronous.
+  const batchId = isTestMode ? null : await emailQueue.createBatch({
+    orgId,
+    label: campaignSubject,
+    emailType: 'convocation',
+    campaignId,
+    userId: req.user?.userId,
+    username: sentBy
+  });
+
   // Get contact email and branding settings once for all emails
   const contactEmail = await getContactEmail(req.user?.organizationId);
   const emailSettings = await getEmailTemplateSettings(req.user?.organizationId);
@@ -1519,32 +1513,37 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
         : (selectedDistance === 'reduite' && gameParams?.distance_reduite ? gameParams.distance_reduite : gameParams?.distance_normale || '');
       const emailReprises = gameParams?.reprises || '';
 
-      // Prepare template variables (all variables available for all templates)
-      const templateVariables = {
-        player_name: `${player.first_name} ${player.last_name}`,
-        first_name: player.first_name,
-        last_name: player.last_name,
-        category: category.display_name,
-        tournament: tournamentLabel,
-        date: dateStr,
-        time: playerLocation?.startTime?.replace(':', 'H') || '14H00',
-        location: playerLocation?.name || 'À définir',
-        poule: playerPoule.pouleNumber,
-        organization_name: emailSettings.organization_name || 'Comité Départemental de Billard',
-        organization_short_name: emailSettings.organization_short_name || 'CDB',
-        organization_email: emailSettings.summary_email || contactEmail,
+      // Template in the player's language (French when no translation)
+      const locale = i18n.localeOf(playerLocales, player.licence);
+      const playerTemplate = i18n.localizeTemplate(emailTemplate, templateVariants, locale);
+      const playerDateStr = tournamentDate ? i18n.formatDate(tournamentDate, locale) : dateStr;
+
+      // Template context: player, tournoi, poule (with its players), lieu, horaire.
+      // The historical flat names ({player_name}, {poule}, {time}...) are aliases.
+      const templateContext = buildConvocationContext({
+        player,
+        poules,
+        locations,
+        rankingData,
+        categoryName: category.display_name,
+        tournamentLabel,
+        mode: categoryMode,
+        dateStr: playerDateStr,
+        isFinale,
         distance: emailDistance,
-        reprises: emailReprises
-      };
+        reprises: emailReprises,
+        emailSettings,
+        contactEmail
+      });
 
       // Generate subject and body from template
-      const emailSubject = replaceTemplateVariables(emailTemplate.subject, templateVariables);
-      const emailBodyText = replaceTemplateVariables(emailTemplate.body, templateVariables);
+      const emailSubject = renderTemplate(templateType, playerTemplate.subject, templateContext);
+      const emailBodyText = renderTemplate(templateType, playerTemplate.body, templateContext);
       // Convert newlines to <br> for HTML
       const emailBodyHtml = emailBodyText.replace(/\n/g, '<br>');
 
-      // Send email using Resend (no CC - summary email sent at the end)
-      const emailResult = await sendEmail({
+      // One email per player (no CC - summary email sent at the end)
+      const emailPayload = {
         from: buildFromAddress(emailSettings, 'noreply'),
         replyTo: contactEmail,
         to: [player.email],
@@ -1592,14 +1591,29 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
           filename: `Convocation_${player.last_name}_${player.first_name}_${category.display_name.replace(/\s+/g, '_')}_T${tournament}.pdf`,
           content: base64Content
         }]
-      }, {
-      recipientKind: 'player',
-      orgId: (typeof orgId !== 'undefined' ? orgId : (req?.user?.organizationId || null)),
-      emailType: 'convocation',
-      triggeredByUserId: (req?.user?.userId)
-    });
+      };
+      const emailMeta = {
+        recipientKind: 'player',
+        orgId: (typeof orgId !== 'undefined' ? orgId : (req?.user?.organizationId || null)),
+        recipientName: `${player.first_name} ${player.last_name}`,
+        emailType: 'convocation',
+        triggeredByUserId: (req?.user?.userId),
+        context: { tournoi_id: tournoiId || null, campaign_id: campaignId }
+      };
 
-      logger.log('Email sent:', emailResult);
+      if (batchId) {
+        const queued = await emailQueue.enqueueEmail(emailPayload, emailMeta, { batchId, licence: player.licence });
+        if (queued.status === 'suppressed') {
+          results.skipped.push({
+            name: `${player.first_name} ${player.last_name}`,
+            reason: 'Adresse en échec (bounce ou spam)'
+          });
+          continue;
+        }
+      } else {
+        const emailResult = await sendEmail(emailPayload, emailMeta);
+        logger.log('Email sent:', emailResult);
+      }
 
       results.sent.push({
         name: `${player.first_name} ${player.last_name}`,
@@ -1610,19 +1624,20 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
       try {
         const convocationNotif = buildNotification('CONVOCATION', {
           tournoiName: `${category.display_name} - ${tournamentLabel}`,
-          date: dateStr,
+          date: playerDateStr,
           heure: playerLocation?.startTime?.replace(':', 'H') || '14H00',
           lieu: playerLocation?.name || 'À définir',
           pouleNumber: playerPoule.pouleNumber
-        });
+        }, locale);
         await sendPushToPlayer(player.licence, orgId, convocationNotif);
       } catch (notifError) {
         console.error('[CONVOCATION] Failed to send push notification:', notifError.message);
         // Don't fail email if push notification fails
       }
 
-      // Add delay between emails to avoid rate limiting (1.5 seconds)
-      await delay(1500);
+      // Add delay between emails to avoid rate limiting (1.5 seconds) —
+      // queued emails are paced by the queue worker instead
+      if (!batchId) await delay(1500);
 
     } catch (error) {
       console.error(`Error sending email to ${player.email}:`, error);
@@ -1634,6 +1649,8 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
     }
   }
 
+  if (batchId) await emailQueue.finalizeBatch(batchId);
+
   // Send summary email after all individual emails (even if all failed)
   const summaryEmailAddress = await getSummaryEmail(req.user?.organizationId);
   const totalAttempted = results.sent.length + results.failed.length + results.skipped.length;
@@ -1682,8 +1699,9 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
              ${results.skipped.length > 0 ? `<br><span style="color: #856404;">${results.skipped.length} ignoré(s) (pas d'email)</span>` : ''}
            </div>`
         : `<div style="background: #d4edda; border-left: 4px solid #28a745; padding: 15px; margin-bottom: 20px;">
-             <strong>✅ Envoi terminé</strong><br>
-             ${results.sent.length} convocation(s) envoyée(s) sur ${players.length} joueur(s)
+             <strong>${batchId ? '📨 Envoi en cours' : '✅ Envoi terminé'}</strong><br>
+             ${results.sent.length} convocation(s) ${batchId ? 'en file d\'envoi' : 'envoyée(s)'} sur ${players.length} joueur(s)
+             ${batchId ? '<br><span style="font-size: 13px; color: #666;">Les éventuels échecs de remise vous seront signalés à la fin de l\'envoi.</span>' : ''}
              ${results.failed.length > 0 ? `<br><span style="color: #dc3545;">${results.failed.length} échec(s)</span>` : ''}
              ${results.skipped.length > 0 ? `<br><span style="color: #856404;">${results.skipped.length} ignoré(s) (pas d'email)</span>` : ''}
            </div>`;
@@ -1774,8 +1792,9 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
     results.summaryError = !summaryEmailAddress ? 'No summary email configured' : 'No emails attempted';
   }
 
-  // Update campaign record with results
-  if (campaignId) {
+  // Update campaign record with results (queued: done by the queue worker
+  // once the batch is delivered)
+  if (campaignId && !batchId) {
     try {
       await new Promise((resolve, reject) => {
         db.run(
@@ -2067,7 +2086,7 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
   logAdminAction({
     req,
     action: ACTION_TYPES.SEND_CONVOCATION,
-    details: `Convocations ${category.display_name} - ${tournamentLabel}: ${results.sent.length} envoyés, ${results.failed.length} échecs, ${results.skipped.length} ignorés`,
+    details: `Convocations ${category.display_name} - ${tournamentLabel}: ${results.sent.length} ${batchId ? 'en file d\'envoi' : 'envoyés'}, ${results.failed.length} échecs, ${results.skipped.length} ignorés`,
     targetType: 'tournament',
     targetId: tournoiId,
     targetName: `${category.display_name} - ${tournamentLabel}`
@@ -2100,8 +2119,12 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
 
   res.json({
     success: true,
-    message: `Emails envoyes: ${results.sent.length}, Echecs: ${results.failed.length}, Ignores: ${results.skipped.length}${summaryStatus}`,
-    results
+    message: batchId
+      ? `Emails en file d'envoi: ${results.sent.length}, Echecs: ${results.failed.length}, Ignores: ${results.skipped.length}${summaryStatus}`
+      : `Emails envoyes: ${results.sent.length}, Echecs: ${results.failed.length}, Ignores: ${results.skipped.length}${summaryStatus}`,
+    results,
+    batchId,
+    queued: !!batchId
   });
 });
 
@@ -2537,24 +2560,20 @@ Le {organization_short_name}`;
 
     // Apply variable substitution
     const variables = {
-      '{club_name}': clubName,
-      '{category}': category,
-      '{tournament}': tournamentLabel,
-      '{date}': dateStr,
-      '{time}': startTime || '14H00',
-      '{num_players}': numPlayers,
-      '{num_tables}': numTables,
-      '{organization_name}': orgName,
-      '{organization_short_name}': orgShortName,
-      '{organization_email}': emailSettings.summary_email || ccEmail || 'contact@' + (emailSettings.email_noreply?.split('@')[1] || 'cdbhs.net')
+      club_name: clubName,
+      category: category,
+      tournament: tournamentLabel,
+      date: dateStr,
+      time: startTime || '14H00',
+      num_players: numPlayers,
+      num_tables: numTables,
+      organization_name: orgName,
+      organization_short_name: orgShortName,
+      organization_email: emailSettings.summary_email || ccEmail || 'contact@' + (emailSettings.email_noreply?.split('@')[1] || 'cdbhs.net')
     };
 
-    let subject = subjectTemplate;
-    let bodyText = bodyTemplate;
-    for (const [key, value] of Object.entries(variables)) {
-      subject = subject.replace(new RegExp(key.replace(/[{}]/g, '\\$&'), 'g'), value);
-      bodyText = bodyText.replace(new RegExp(key.replace(/[{}]/g, '\\$&'), 'g'), value);
-    }
+    const subject = replaceTemplateVariables(subjectTemplate, variables);
+    const bodyText = replaceTemplateVariables(bodyTemplate, variables);
 
     // Convert plain text template to HTML email
     const bodyHtml = bodyText
@@ -2861,8 +2880,8 @@ router.get('/inscription-logs/export', authenticateToken, async (req, res) => {
 // (from / to) to avoid accidentally wiping all history. Optional filters:
 // type, status, player — same semantics as the list endpoint.
 router.delete('/inscription-logs/purge', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('emailing.manage')) {
+    return denyPermission(res, 'emailing.manage');
   }
   const db = require('../db-loader');
   const orgId = req.user.organizationId || null;
@@ -2893,8 +2912,8 @@ router.delete('/inscription-logs/purge', authenticateToken, async (req, res) =>
 // Delete inscription email log (admin only)
 router.delete('/inscription-logs/:id', authenticateToken, async (req, res) => {
   // Check if user is admin
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('emailing.manage')) {
+    return denyPermission(res, 'emailing.manage');
   }
 
   const db = require('../db-loader');
@@ -3003,7 +3022,7 @@ Sportivement,
 
 // Send inscription confirmation email (called by Player App)
 router.post('/inscription-confirmation', async (req, res) => {
-  const { player_email, player_name, tournament_name, tournament_number, mode, category, tournament_date, location, organization_id, api_key } = req.body;
+  const { player_email, player_name, licence, tournament_name, tournament_number, mode, category, tournament_date, location, organization_id, api_key } = req.body;
 
   // Verify API key (shared secret between apps)
   if (api_key !== process.env.PLAYER_APP_API_KEY) {
@@ -3055,9 +3074,14 @@ router.post('/inscription-confirmation', async (req, res) => {
     // Look up club phone from location name — scoped to caller's org
     const locationPhone = await getClubPhoneByLocation(location, callerOrgId);
 
+    // Template and date in the player's language (French when no translation).
+    // The Player App sends the licence when it has it, otherwise the email is used.
+    const locale = await i18n.getRecipientLocale({ licence, email: player_email }, callerOrgId || orgId);
+    const localizedTemplate = i18n.localizeTemplate(template, await i18n.getTemplateVariants('inscription_confirmation', orgId), locale);
+
     // Format date for display
     const dateStr = tournament_date
-      ? new Date(tournament_date).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+      ? i18n.formatDate(tournament_date, locale)
       : 'Date à définir';
 
     // Look up game parameters (distance/reprises) for this mode+category
@@ -3097,8 +3121,8 @@ router.post('/inscription-confirmation', async (req, res) => {
       reprises: emailReprises
     }, emailSettings, contactEmail);
 
-    const subject = replaceTemplateVariables(template.subject, variables);
-    const bodyText = replaceTemplateVariables(template.body, variables);
+    const subject = replaceTemplateVariables(localizedTemplate.subject, variables);
+    const bodyText = replaceTemplateVariables(localizedTemplate.body, variables);
     const bodyHtml = bodyText.replace(/\n/g, '<br>').replace(/🎯/g, FRENCH_BILLARD_ICON_IMG);
 
     await sendEmail({
@@ -3168,7 +3192,7 @@ router.post('/inscription-confirmation', async (req, res) => {
 
 // Send inscription cancellation email (called by Player App)
 router.post('/inscription-cancellation', async (req, res) => {
-  const { player_email, player_name, tournament_name, tournament_number, mode, category, tournament_date, location, organization_id, api_key } = req.body;
+  const { player_email, player_name, licence, tournament_name, tournament_number, mode, category, tournament_date, location, organization_id, api_key } = req.body;
 
   // Verify API key (shared secret between apps)
   if (api_key !== process.env.PLAYER_APP_API_KEY) {
@@ -3220,9 +3244,14 @@ router.post('/inscription-cancellation', async (req, res) => {
     // Look up club phone from location name — scoped to caller's org
     const locationPhone = await getClubPhoneByLocation(location, callerOrgId);
 
+    // Template and date in the player's language (French when no translation).
+    // The Player App sends the licence when it has it, otherwise the email is used.
+    const locale = await i18n.getRecipientLocale({ licence, email: player_email }, callerOrgId || orgId);
+    const localizedTemplate = i18n.localizeTemplate(template, await i18n.getTemplateVariants('inscription_cancellation', orgId), locale);
+
     // Format date for display
     const dateStr = tournament_date
-      ? new Date(tournament_date).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+      ? i18n.formatDate(tournament_date, locale)
       : 'Date à définir';
 
     // Look up game parameters (distance/reprises) for this mode+category
@@ -3262,8 +3291,8 @@ router.post('/inscription-cancellation', async (req, res) => {
       reprises: emailReprises2
     }, emailSettings, contactEmail);
 
-    const subject = replaceTemplateVariables(template.subject, variables);
-    const bodyText = replaceTemplateVariables(template.body, variables);
+    const subject = replaceTemplateVariables(localizedTemplate.subject, variables);
+    const bodyText = replaceTemplateVariables(localizedTemplate.body, variables);
     const bodyHtml = bodyText.replace(/\n/g, '<br>').replace(/🎯/g, FRENCH_BILLARD_ICON_IMG);
 
     await sendEmail({
@@ -3589,7 +3618,7 @@ router.post('/forfait-confirmation', async (req, res) => {
 
 // Send finale renunciation notification to CDB admin (called by Player App)
 router.post('/finale-renunciation-notification', async (req, res) => {
-  const { player_name, player_licence, tournament_name, mode, category, tournament_date, api_key, organization_id } = req.body;
+  const { player_name, player_licence, tournament_name, mode, category, tournament_date, api_key, organization_id, tournoi_id } = req.body;
 
   if (api_key !== process.env.PLAYER_APP_API_KEY) {
     return res.status(401).json({ error: 'Unauthorized' });
@@ -3606,6 +3635,27 @@ router.post('/finale-renunciation-notification', async (req, res) => {
 
   try {
     const orgId = organization_id || null;
+
+    // V 2.0.889 — Frozen qualification: promote the next reserve. Older
+    // Player App builds do not send tournoi_id, the finale is then found
+    // from the licence.
+    let promoted = null;
+    if (player_licence) {
+      try {
+        const target = tournoi_id
+          ? { tournoi_id }
+          : await finaleQualification.findFrozenFinaleForLicence(orgId, player_licence);
+        if (target) {
+          const result = await finaleQualification.handleRenunciation({
+            tournoiId: target.tournoi_id, orgId, licence: player_licence, source: 'player_app'
+          });
+          promoted = result.promoted || null;
+        }
+      } catch (qualifErr) {
+        console.error('Error promoting finale reserve:', qualifErr.message);
+      }
+    }
+
     const emailSettings = await getEmailTemplateSettings(orgId);
     const summaryEmail = await getSummaryEmail(orgId);
 
@@ -3647,7 +3697,9 @@ router.post('/finale-renunciation-notification', async (req, res) => {
               ${category ? `<p style="margin: 5px 0;"><strong>Catégorie :</strong> ${category}</p>` : ''}
               <p style="margin: 5px 0;"><strong>Date :</strong> ${dateStr}</p>
             </div>
-            <p style="margin: 0 0 15px 0;">Sa place est maintenant disponible pour un joueur de réserve (1er joueur non qualifié).</p>
+            ${promoted
+              ? `<p style="margin: 0 0 15px 0;">Sa place a été attribuée automatiquement au premier joueur de réserve : <strong>${promoted.player_name || promoted.licence}</strong> (convoqué, en attente de confirmation).</p>`
+              : `<p style="margin: 0 0 15px 0;">Sa place est maintenant disponible pour un joueur de réserve (1er joueur non qualifié).</p>`}
             <p style="margin: 0;">Rendez-vous sur la page <strong>Compétitions à Jouer</strong> pour gérer les qualifications et convocations.</p>
           </div>
           ${buildEmailFooter(emailSettings)}
@@ -3661,7 +3713,7 @@ router.post('/finale-renunciation-notification', async (req, res) => {
     });
 
     logger.log(`Finale renunciation notification sent to ${summaryEmail} for player ${player_name}`);
-    res.json({ success: true, message: 'Notification sent' });
+    res.json({ success: true, message: 'Notification sent', promoted_licence: promoted ? promoted.licence : null });
 
   } catch (error) {
     console.error('Error sending finale renunciation notification:', error);
@@ -3990,8 +4042,8 @@ router.get('/poules/by-category', authenticateToken, async (req, res) => {
  * One-time fix for corrupted player names (undefined undefined)
  */
 router.post('/fix-corrupted-names', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('settings.manage')) {
+    return denyPermission(res, 'settings.manage');
   }
 
   const db = require('../db-loader');
@@ -2,16 +2,19 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, denyPermission } = require('./auth');
 const { normalizeLicence } = require('../utils/licence');
 const appSettings = require('../utils/app-settings');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const { getRankingTournamentNumbers, getFinaleTournamentNumber, getTournamentLabel } = require('./settings');
-const { buildNotification, getResultsNotificationType } = require('../notification-messages');
+const { localizedNotification, getResultsNotificationType } = require('../notification-messages');
 const { sendPushToPlayer } = require('./push');
 const logger = require('../utils/logger');
+const finaleQualification = require('../utils/finale-qualification');
+const emailQueue = require('../utils/email-queue');
 
 const { buildRsvpButtonsHtml } = require('./rsvp');
+const rsvpTracking = require('../utils/rsvp');
 
 const router = express.Router();
 
@@ -46,7 +49,10 @@ function convertEmailsToMailtoLinks(text, primaryColor = '#1F4788') {
 }
 
 // Email helpers shared with routes/email.js — single source of truth.
-const { getContactEmail, getEmailTemplateSettings, buildFromAddress, buildContactPhraseHtml, getSummaryEmail, sendEmail } = require('../utils/email-helpers');
+const { getContactEmail, getEmailTemplateSettings, buildFromAddress, buildContactPhraseHtml, getSummaryEmail, sendEmail, isEmailConfigured } = require('../utils/email-helpers');
+const templateEngine = require('../utils/template-engine');
+const { renderTemplate, validateTemplate } = require('../utils/email-template-schemas');
+const i18n = require('../utils/i18n');
 
 // Helper function to parse dates that might be in French format (DD/MM/YYYY)
 function parseDateSafe(dateStr) {
@@ -270,8 +276,8 @@ router.get('/campaigns/purge-count', authenticateToken, async (req, res) => {
   const orgId = req.user.organizationId || null;
 
   // Check if user is admin
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('emailing.manage')) {
+    return denyPermission(res, 'emailing.manage');
   }
 
   // Check if we're past June 30th
@@ -322,8 +328,8 @@ router.get('/campaigns/types', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
   const orgId = req.user.organizationId || null;
 
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('emailing.manage')) {
+    return denyPermission(res, 'emailing.manage');
   }
 
   try {
@@ -356,8 +362,8 @@ router.delete('/campaigns/purge', authenticateToken, async (req, res) => {
   const orgId = req.user.organizationId || null;
 
   // Check if user is admin
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('emailing.manage')) {
+    return denyPermission(res, 'emailing.manage');
   }
 
   const { startDate, endDate, purgeAll, testOnly, campaignType, emptyOnly } = req.body;
@@ -455,11 +461,11 @@ router.delete('/campaigns/purge', authenticateToken, async (req, res) => {
 
 // Initialize Resend
 const getResend = () => {
-  if (!process.env.RESEND_API_KEY) {
+  if (!isEmailConfigured()) {
     return null;
   }
-  // Historical helper retained as a cheap "is Resend configured" check.
-  // The actual Resend instance is owned by utils/email-helpers.js (sendEmail chokepoint).
+  // Historical helper retained as a cheap "is email configured" check.
+  // Delivery (Resend, SMTP or outbox) is owned by utils/email-helpers.js (sendEmail chokepoint).
   return true;
 };
 
@@ -498,40 +504,28 @@ async function getEmailTemplate(templateKey = 'general', orgId = null) {
   });
 }
 
-// Replace a single template variable
-// Handles: plain {var}, HTML-encoded &#123;var&#125;, and vars with HTML tags inside {<strong>var</strong>}
-// PRESERVES formatting tags so {<strong>var</strong>} becomes <strong>value</strong>
-function replaceVar(text, varName, value) {
-  if (!text || typeof text !== 'string') return text || '';
-  const val = (value !== null && value !== undefined) ? String(value) : '';
-
-  let result = text;
-
-  // 1. Replace plain {varName}
-  result = result.replace(new RegExp(`\\{${varName}\\}`, 'g'), val);
-
-  // 2. Replace HTML-encoded &#123;varName&#125;
-  result = result.replace(new RegExp(`&#123;${varName}&#125;`, 'g'), val);
-
-  // 3. Handle HTML tags INSIDE braces and PRESERVE the formatting
-  // Pattern: {<tag>varName</tag>} -> <tag>value</tag>
-  // Captures the opening tag(s) and closing tag(s) to wrap around the value
-  const htmlInsidePattern = new RegExp(`\\{((?:<[^>]+>)*)${varName}((?:<\\/[^>]+>)*)\\}`, 'gi');
-  result = result.replace(htmlInsidePattern, (match, openTags, closeTags) => {
-    return (openTags || '') + val + (closeTags || '');
-  });
-
-  return result;
+// Replace template variables with actual values (flat context).
+// Quill formatting ({<strong>var</strong>}, &#123;var&#125;) and the
+// {#if}/{#each} blocks are handled by utils/template-engine.js.
+function replaceTemplateVariables(template, variables) {
+  return templateEngine.render(template, variables);
 }
 
-// Replace template variables with actual values
-// Handles both plain {var} and HTML-encoded &#123;var&#125; from Quill
-function replaceTemplateVariables(template, variables) {
-  let result = template;
-  for (const [key, value] of Object.entries(variables)) {
-    result = replaceVar(result, key, value);
-  }
-  return result;
+// Context of the composer templates: player and organization groups plus the
+// typed message. The flat names ({player_name}, {club}...) are aliases, see
+// utils/email-template-schemas.js.
+function buildComposerContext(recipient, message, organization) {
+  return {
+    player: {
+      name: `${recipient.first_name} ${recipient.last_name}`,
+      first_name: recipient.first_name,
+      last_name: recipient.last_name,
+      licence: recipient.licence || '',
+      club: recipient.club || ''
+    },
+    organization,
+    message
+  };
 }
 
 // Convert plain text to HTML (only if content is not already HTML)
@@ -743,7 +737,11 @@ router.put('/contacts/:id', authenticateToken, async (req, res) => {
   // Verify the contact belongs to the admin's org via JOIN to players
   db.run(
     `UPDATE player_contacts
-     SET email = $1, telephone = $2, statut = $3, comments = $4, email_optin = $5, updated_at = CURRENT_TIMESTAMP
+     SET email = $1, telephone = $2, statut = $3, comments = $4, email_optin = $5, updated_at = CURRENT_TIMESTAMP,
+         -- V 2.0.891 — a corrected address is deliverable again
+         email_undeliverable = CASE WHEN LOWER(TRIM(COALESCE(email, ''))) = LOWER(TRIM(COALESCE($1, ''))) THEN email_undeliverable END,
+         email_undeliverable_at = CASE WHEN LOWER(TRIM(COALESCE(email, ''))) = LOWER(TRIM(COALESCE($1, ''))) THEN email_undeliverable_at END,
+         email_undeliverable_detail = CASE WHEN LOWER(TRIM(COALESCE(email, ''))) = LOWER(TRIM(COALESCE($1, ''))) THEN email_undeliverable_detail END
      WHERE id = $6
        AND EXISTS (
          SELECT 1 FROM players p
@@ -1073,6 +1071,12 @@ router.put('/templates/:key', authenticateToken, async (req, res) => {
   const { subject_template, body_template } = req.body;
   const orgId = req.user.organizationId || null;
 
+  // V 2.0.892 — refuse unknown variables and malformed {#if}/{#each} blocks
+  const check = validateTemplate(key, { subject: subject_template, body: body_template });
+  if (!check.valid) {
+    return res.status(400).json({ error: `Template invalide : ${check.errors.join(' ; ')}`, errors: check.errors, unknown: check.unknown });
+  }
+
   db.run(
     `INSERT INTO email_templates (template_key, subject_template, body_template, organization_id)
      VALUES ($1, $2, $3, $4)
@@ -1102,7 +1106,7 @@ router.post('/send', authenticateToken, async (req, res) => {
   const resend = getResend();
   if (!resend) {
     return res.status(500).json({
-      error: 'Email non configure. Veuillez definir RESEND_API_KEY.'
+      error: 'Email non configure. Veuillez configurer un fournisseur d\'envoi.'
     });
   }
 
@@ -1192,6 +1196,17 @@ router.post('/send', authenticateToken, async (req, res) => {
     const orgSlug = await appSettings.getOrgSlug(req.user?.organizationId);
     const logoUrl = appSettings.buildLogoUrl(baseUrl, orgSlug);
 
+    // V 2.0.891 — real campaigns go through the email queue (delivered in the
+    // background, with retries); the test-mode single email is still sent here.
+    const batchId = testMode ? null : await emailQueue.createBatch({
+      orgId,
+      label: `Campagne « ${subject} »`,
+      emailType: 'mass_campaign',
+      campaignId,
+      userId: req.user?.userId,
+      username: sentBy
+    });
+
     // Send emails
     for (const recipient of recipientsToEmail) {
       if (!recipient.email || !recipient.email.includes('@')) {
@@ -1203,26 +1218,21 @@ router.post('/send', authenticateToken, async (req, res) => {
       }
 
       try {
-        // Prepare template variables
-        const templateVariables = {
-          player_name: `${recipient.first_name} ${recipient.last_name}`,
-          first_name: recipient.first_name,
-          last_name: recipient.last_name,
-          club: recipient.club || '',
-          message: body,
-          organization_name: organizationName,
-          organization_short_name: organizationShortName,
-          organization_email: organizationEmail
-        };
+        // Prepare template context
+        const templateContext = buildComposerContext(recipient, body, {
+          name: organizationName,
+          short_name: organizationShortName,
+          email: organizationEmail
+        });
 
-        const emailSubject = replaceTemplateVariables(subject, templateVariables);
-        const emailBody = replaceTemplateVariables(body, templateVariables);
+        const emailSubject = renderTemplate('general', subject, templateContext);
+        const emailBody = renderTemplate('general', body, templateContext);
         const emailBodyHtml = convertEmailsToMailtoLinks(textToHtml(emailBody), primaryColor);
 
         // Build optional image HTML
         const imageHtml = imageUrl ? `<div style="text-align: center; margin: 20px 0;"><img src="${imageUrl}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
 
-        await sendEmail({
+        const emailPayload = {
           from: emailFrom,
           replyTo: contactEmail,
           to: [recipient.email],
@@ -1243,30 +1253,35 @@ router.post('/send', authenticateToken, async (req, res) => {
               </div>
             </div>
           `
-        }, {
-      recipientKind: 'player',
-      orgId: (typeof orgId !== 'undefined' ? orgId : (req?.user?.organizationId || null)),
-      emailType: 'mass_campaign',
-      triggeredByUserId: (req?.user?.userId)
-    });
+        };
+        const emailMeta = {
+          recipientKind: 'player',
+          orgId,
+          recipientName: `${recipient.first_name} ${recipient.last_name}`,
+          emailType: 'mass_campaign',
+          triggeredByUserId: req?.user?.userId,
+          context: { campaign_id: campaignId }
+        };
+
+        if (batchId) {
+          // last_contacted is updated by the queue worker once delivered
+          const queued = await emailQueue.enqueueEmail(emailPayload, emailMeta, { batchId, licence: recipient.licence });
+          if (queued.status === 'suppressed') {
+            results.skipped.push({
+              name: `${recipient.first_name} ${recipient.last_name}`,
+              reason: 'Adresse en échec (bounce ou spam)'
+            });
+            continue;
+          }
+        } else {
+          await sendEmail(emailPayload, emailMeta);
+        }
 
         results.sent.push({
           name: `${recipient.first_name} ${recipient.last_name}`,
           email: recipient.email
         });
 
-        // Update last_contacted
-        await new Promise((resolve) => {
-          db.run(
-            'UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP WHERE id = $1',
-            [recipient.id],
-            () => resolve()
-          );
-        });
-
-        // Delay between emails
-        await delay(1500);
-
       } catch (error) {
         console.error(`Error sending email to ${recipient.email}:`, error);
         results.failed.push({
@@ -1277,16 +1292,20 @@ router.post('/send', authenticateToken, async (req, res) => {
       }
     }
 
-    // Update campaign record
-    await new Promise((resolve) => {
-      db.run(
-        `UPDATE email_campaigns
-         SET sent_count = $1, failed_count = $2, status = 'completed', sent_at = CURRENT_TIMESTAMP
-         WHERE id = $3 AND ($4::int IS NULL OR organization_id = $4)`,
-        [results.sent.length, results.failed.length, campaignId, orgId],
-        () => resolve()
-      );
-    });
+    // Update campaign record (queued campaign: completed by the queue worker)
+    if (batchId) {
+      await emailQueue.finalizeBatch(batchId);
+    } else {
+      await new Promise((resolve) => {
+        db.run(
+          `UPDATE email_campaigns
+           SET sent_count = $1, failed_count = $2, status = 'completed', sent_at = CURRENT_TIMESTAMP
+           WHERE id = $3 AND ($4::int IS NULL OR organization_id = $4)`,
+          [results.sent.length, results.failed.length, campaignId, orgId],
+          () => resolve()
+        );
+      });
+    }
 
     // Send summary email if requested and not in test mode
     let summarySent = false;
@@ -1301,6 +1320,7 @@ router.post('/send', authenticateToken, async (req, res) => {
             <div style="padding: 20px; background: #f8f9fa;">
               <h2 style="color: ${primaryColor}; margin-top: 0;">Sujet: ${subject}</h2>
               <p><strong>Destinataires (${results.sent.length}):</strong></p>
+              <p style="font-size: 13px; color: #666;">Les emails sont en cours d'envoi. Les éventuels échecs de remise vous seront signalés à la fin de l'envoi.</p>
               <ul style="background: white; padding: 15px 15px 15px 35px; border-radius: 4px; margin: 10px 0;">
                 ${results.sent.map(r => `<li>${r.name} - ${r.email}</li>`).join('')}
               </ul>
@@ -1339,14 +1359,14 @@ router.post('/send', authenticateToken, async (req, res) => {
 
     const message = testMode
       ? `MODE TEST: Email envoyé uniquement à ${testEmail}`
-      : `Emails envoyés: ${results.sent.length}, Échecs: ${results.failed.length}, Ignorés: ${results.skipped.length}${summarySent ? ' + récapitulatif envoyé' : ''}`;
+      : `${results.sent.length} email(s) en file d'envoi, Échecs: ${results.failed.length}, Ignorés: ${results.skipped.length}${summarySent ? ' + récapitulatif envoyé' : ''}`;
 
     // Log email campaign send
     if (!testMode) {
       logAdminAction({
         req,
         action: ACTION_TYPES.SEND_CAMPAIGN,
-        details: `Campagne "${subject}" - ${results.sent.length} envoyés, ${results.failed.length} échecs`,
+        details: `Campagne "${subject}" - ${results.sent.length} en file d'envoi, ${results.failed.length} échecs`,
         targetType: 'campaign',
         targetId: campaignId,
         targetName: subject
@@ -1358,6 +1378,8 @@ router.post('/send', authenticateToken, async (req, res) => {
       message,
       results,
       campaignId,
+      batchId,
+      queued: !!batchId,
       testMode
     });
 
@@ -1638,8 +1660,8 @@ router.post('/send-finale-results', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Email de test requis en mode test' });
   }
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isEmailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (aucun fournisseur d\'envoi configuré)' });
   }
 
   const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -2280,19 +2302,14 @@ router.post('/process-scheduled', async (req, res) => {
         }
 
         try {
-          const templateVariables = {
-            player_name: `${recipient.first_name} ${recipient.last_name}`,
-            first_name: recipient.first_name,
-            last_name: recipient.last_name,
-            club: recipient.club || '',
-            message: scheduled.body,
-            organization_name: organizationName,
-            organization_short_name: organizationShortName,
-            organization_email: organizationEmail
-          };
-
-          const emailSubject = replaceTemplateVariables(scheduled.subject, templateVariables);
-          const emailBody = replaceTemplateVariables(scheduled.body, templateVariables);
+          const templateContext = buildComposerContext(recipient, scheduled.body, {
+            name: organizationName,
+            short_name: organizationShortName,
+            email: organizationEmail
+          });
+
+          const emailSubject = renderTemplate('general', scheduled.subject, templateContext);
+          const emailBody = renderTemplate('general', scheduled.body, templateContext);
           const emailBodyHtml = convertEmailsToMailtoLinks(textToHtml(emailBody), primaryColor);
 
           await sendEmail({
@@ -2496,7 +2513,7 @@ router.post('/send-results', authenticateToken, async (req, res) => {
   const resend = getResend();
   if (!resend) {
     return res.status(500).json({
-      error: 'Email non configuré. Veuillez définir RESEND_API_KEY.'
+      error: 'Email non configuré. Veuillez configurer un fournisseur d\'envoi.'
     });
   }
 
@@ -2659,6 +2676,13 @@ router.post('/send-results', authenticateToken, async (req, res) => {
     const contactEmail = await getContactEmail(req.user?.organizationId);
     const contactPhraseHtml = buildContactPhraseHtml(contactEmail, primaryColor);
 
+    // Translations of the results template and preferred language of each
+    // participant: a player whose language has a translation receives it
+    // instead of the French texts typed in the form.
+    const resultsVariants = await i18n.getTemplateVariants('results', orgId);
+    const participantLocales = await i18n.getRecipientLocales(participantsToEmail.map(p => p.licence), orgId)
+      .catch(() => new Map());
+
     // Send email to each participant with email
     for (const participant of participantsToEmail) {
       if (!participant.email || !participant.email.includes('@')) {
@@ -2741,27 +2765,33 @@ router.post('/send-results', authenticateToken, async (req, res) => {
         const finaleNum = await getFinaleTournamentNumber(orgId);
         const tournamentNumberLabel = tournament.tournament_number === finaleNum ? 'Finale' : `T${tournament.tournament_number}`;
 
-        let personalizedIntro = introText;
-        personalizedIntro = replaceVar(personalizedIntro, 'first_name', participant.first_name || participant.player_name.split(' ')[0] || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'last_name', participant.last_name || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'tournament', tournamentNumberLabel);
-        personalizedIntro = replaceVar(personalizedIntro, 'tournament_name', tournament.display_name);
-        personalizedIntro = replaceVar(personalizedIntro, 'tournament_date', tournamentDate);
-        personalizedIntro = replaceVar(personalizedIntro, 'tournament_lieu', (tournament.location || '') + (tournament.location_2 ? ' + ' + tournament.location_2 : ''));
-        personalizedIntro = replaceVar(personalizedIntro, 'player_position', participant.position);
-        personalizedIntro = replaceVar(personalizedIntro, 'player_points', participant.points || '-');
-        personalizedIntro = replaceVar(personalizedIntro, 'ranking_position', playerRankingPosition || '-');
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_name', organizationName);
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_short_name', organizationShortName);
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_email', organizationEmail);
-
-        let personalizedOutro = outroText;
-        personalizedOutro = replaceVar(personalizedOutro, 'first_name', participant.first_name || '');
-        personalizedOutro = replaceVar(personalizedOutro, 'last_name', participant.last_name || '');
-        personalizedOutro = replaceVar(personalizedOutro, 'tournament', tournamentNumberLabel);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_name', organizationName);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_short_name', organizationShortName);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_email', organizationEmail);
+        const locale = i18n.localeOf(participantLocales, participant.licence);
+        const localizedTexts = i18n.localizeTemplate({ subject: '', body: introText, outro: outroText }, resultsVariants, locale);
+
+        const introVariables = {
+          first_name: participant.first_name || participant.player_name.split(' ')[0] || '',
+          last_name: participant.last_name || '',
+          tournament: tournamentNumberLabel,
+          tournament_name: tournament.display_name,
+          tournament_date: tournamentDate,
+          tournament_lieu: (tournament.location || '') + (tournament.location_2 ? ' + ' + tournament.location_2 : ''),
+          player_position: participant.position,
+          player_points: participant.points || '-',
+          ranking_position: playerRankingPosition || '-',
+          organization_name: organizationName,
+          organization_short_name: organizationShortName,
+          organization_email: organizationEmail
+        };
+        const personalizedIntro = replaceTemplateVariables(localizedTexts.body, introVariables);
+
+        const personalizedOutro = replaceTemplateVariables(localizedTexts.outro, {
+          first_name: participant.first_name || '',
+          last_name: participant.last_name || '',
+          tournament: tournamentNumberLabel,
+          organization_name: organizationName,
+          organization_short_name: organizationShortName,
+          organization_email: organizationEmail
+        });
 
         // Build optional image HTML
         const imageHtml = imageUrl ? `<div style="text-align: center; margin: 20px 0;"><img src="${imageUrl}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
@@ -2802,7 +2832,9 @@ router.post('/send-results', authenticateToken, async (req, res) => {
           from: emailFrom,
           replyTo: contactEmail,
           to: [participant.email],
-          subject: `Résultats - ${tournament.display_name} - ${tournamentDate}`,
+          subject: localizedTexts.subject
+            ? replaceTemplateVariables(localizedTexts.subject, introVariables)
+            : `Résultats - ${tournament.display_name} - ${tournamentDate}`,
           html: emailHtml
         };
 
@@ -2824,7 +2856,7 @@ router.post('/send-results', authenticateToken, async (req, res) => {
         try {
           const tournoiName = `${tournament.display_name}`;
           const notifType = getResultsNotificationType(tournoiName);
-          const resultsNotif = buildNotification(notifType, {
+          const resultsNotif = localizedNotification(notifType, {
             tournoiName,
             position: participant.position
           });
@@ -3253,11 +3285,15 @@ router.get('/finalists/:finaleId', authenticateToken, async (req, res) => {
 
     // Determine qualified count from per-org settings (threshold/small/large)
     const totalPlayers = rankings.length;
-    const qualifiedCount = await appSettings.getQualifiedCount(orgId, totalPlayers);
+    let qualifiedCount = await appSettings.getQualifiedCount(orgId, totalPlayers);
+
+    // V 2.0.889 — A frozen qualification replaces the live top N
+    // (renunciations and promoted reserves included).
+    const frozen = await finaleQualification.getQualification(finaleId, orgId);
+    if (frozen) qualifiedCount = frozen.list.qualified_count;
 
     // Get only qualified players (top N)
-    const finalists = rankings
-      .filter(r => r.rank_position <= qualifiedCount)
+    const finalists = (frozen ? frozen.qualified : rankings.filter(r => r.rank_position <= qualifiedCount))
       .map(r => ({
         licence: r.licence,
         player_name: r.player_name,
@@ -3267,7 +3303,8 @@ router.get('/finalists/:finaleId', authenticateToken, async (req, res) => {
         total_match_points: r.total_match_points,
         avg_moyenne: r.avg_moyenne,
         email: r.email,
-        telephone: r.telephone
+        telephone: r.telephone,
+        qualification_status: frozen ? r.status : null
       }));
 
     const emailCount = finalists.filter(f => f.email && f.email.includes('@')).length;
@@ -3291,7 +3328,14 @@ router.get('/finalists/:finaleId', authenticateToken, async (req, res) => {
       totalPlayers,
       qualifiedCount,
       finalists,
-      emailCount
+      emailCount,
+      frozen: !!frozen,
+      reserves: frozen ? frozen.reserves.map(r => ({
+        licence: r.licence,
+        player_name: r.player_name,
+        rank_position: r.rank_position,
+        reserve_order: r.reserve_order
+      })) : []
     });
 
   } catch (error) {
@@ -3309,7 +3353,7 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
   const resend = getResend();
   if (!resend) {
     return res.status(500).json({
-      error: 'Email non configuré. Veuillez définir RESEND_API_KEY.'
+      error: 'Email non configuré. Veuillez configurer un fournisseur d\'envoi.'
     });
   }
 
@@ -3385,7 +3429,10 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
     });
 
     const qualifiedCount = await appSettings.getQualifiedCount(orgId, rankings.length);
-    const finalists = rankings.filter(r => r.rank_position <= qualifiedCount);
+    const frozen = await finaleQualification.getQualification(finaleId, orgId);
+    const finalists = frozen
+      ? frozen.qualified.map(f => ({ ...f, player_name: f.player_name || f.licence }))
+      : rankings.filter(r => r.rank_position <= qualifiedCount);
 
     if (finalists.length === 0) {
       return res.status(400).json({ error: 'Aucun finaliste trouvé' });
@@ -3459,26 +3506,28 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
         `;
 
         // Replace template variables (handles both plain and HTML-encoded from Quill)
-        let personalizedIntro = introText;
-        personalizedIntro = replaceVar(personalizedIntro, 'first_name', finalist.first_name || finalist.player_name.split(' ')[0] || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'last_name', finalist.last_name || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'player_name', finalist.player_name || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'finale_name', finale.nom || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'finale_date', finaleFormattedDate);
-        personalizedIntro = replaceVar(personalizedIntro, 'finale_heure', finaleHeure || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'finale_lieu', (finale.lieu || '') + (finale.lieu_2 ? ' + ' + finale.lieu_2 : ''));
-        personalizedIntro = replaceVar(personalizedIntro, 'category', category.display_name || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'rank_position', finalist.rank_position || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_name', organizationName);
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_short_name', organizationShortName);
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_email', organizationEmail);
-
-        let personalizedOutro = outroText;
-        personalizedOutro = replaceVar(personalizedOutro, 'first_name', finalist.first_name || '');
-        personalizedOutro = replaceVar(personalizedOutro, 'last_name', finalist.last_name || '');
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_name', organizationName);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_short_name', organizationShortName);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_email', organizationEmail);
+        const personalizedIntro = replaceTemplateVariables(introText, {
+          first_name: finalist.first_name || finalist.player_name.split(' ')[0] || '',
+          last_name: finalist.last_name || '',
+          player_name: finalist.player_name || '',
+          finale_name: finale.nom || '',
+          finale_date: finaleFormattedDate,
+          finale_heure: finaleHeure || '',
+          finale_lieu: (finale.lieu || '') + (finale.lieu_2 ? ' + ' + finale.lieu_2 : ''),
+          category: category.display_name || '',
+          rank_position: finalist.rank_position || '',
+          organization_name: organizationName,
+          organization_short_name: organizationShortName,
+          organization_email: organizationEmail
+        });
+
+        const personalizedOutro = replaceTemplateVariables(outroText, {
+          first_name: finalist.first_name || '',
+          last_name: finalist.last_name || '',
+          organization_name: organizationName,
+          organization_short_name: organizationShortName,
+          organization_email: organizationEmail
+        });
 
         const imageHtml = imageUrl ? `<div style="text-align: center; margin: 20px 0;"><img src="${imageUrl}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
 
@@ -3833,6 +3882,168 @@ Sportivement,
   }
 };
 
+// ==================== TEMPLATE TRANSLATIONS (V 2.0.893) ====================
+// Per-language variants of the player templates (utils/i18n.js). The French
+// template stays in email_templates and is used for every player without a
+// translation in their language. `outro` marks the templates with a closing text.
+const TRANSLATABLE_TEMPLATES = {
+  'convocation': { label: 'Convocation Tournoi', outro: false },
+  'convocation-finale': { label: 'Convocation Finale', outro: false },
+  'results': { label: 'Résultats Tournoi', outro: true },
+  'relance_ouverture': { label: 'Relance Ouverture des inscriptions', outro: true },
+  'relance_t1': { label: 'Relance T1', outro: true },
+  'relance_t2': { label: 'Relance T2', outro: true },
+  'relance_t3': { label: 'Relance T3', outro: true },
+  'relance_finale': { label: 'Relance Finale', outro: true },
+  'inscription_confirmation': { label: 'Confirmation d\'inscription', outro: false },
+  'inscription_cancellation': { label: 'Désinscription', outro: false }
+};
+
+function checkVariantParams(req, res) {
+  const { key, locale } = req.params;
+  if (!TRANSLATABLE_TEMPLATES[key]) {
+    res.status(400).json({ error: 'Ce template ne peut pas être traduit' });
+    return false;
+  }
+  if (i18n.normalizeLocale(locale) !== locale || locale === i18n.DEFAULT_LOCALE) {
+    res.status(400).json({ error: 'Langue invalide' });
+    return false;
+  }
+  return true;
+}
+
+// Translatable templates, languages and existing translations
+router.get('/template-variants', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+  const orgId = req.user.organizationId || null;
+
+  try {
+    const variants = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT template_key, locale, updated_at FROM email_template_variants
+         WHERE ($1::int IS NULL OR organization_id = $1)
+         ORDER BY template_key, locale`,
+        [orgId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+
+    res.json({
+      templates: Object.entries(TRANSLATABLE_TEMPLATES).map(([key, t]) => ({ key, ...t })),
+      locales: i18n.SUPPORTED_LOCALES
+        .filter(code => code !== i18n.DEFAULT_LOCALE)
+        .map(code => ({ code, label: i18n.LOCALE_LABELS[code] })),
+      variants
+    });
+  } catch (error) {
+    console.error('Error fetching template variants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/template-variants/:key/:locale', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+  const orgId = req.user.organizationId || null;
+  if (!checkVariantParams(req, res)) return;
+
+  try {
+    const variant = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM email_template_variants
+         WHERE template_key = $1 AND locale = $2 AND ($3::int IS NULL OR organization_id = $3)`,
+        [req.params.key, req.params.locale, orgId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+    if (!variant) return res.status(404).json({ error: 'Traduction introuvable' });
+    res.json(variant);
+  } catch (error) {
+    console.error('Error fetching template variant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a translation. Empty fields fall back to the French template.
+router.put('/template-variants/:key/:locale', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+  const orgId = req.user.organizationId || null;
+  if (!checkVariantParams(req, res)) return;
+
+  const { key, locale } = req.params;
+  const subject = req.body.subject || '';
+  const body = req.body.body || '';
+  const outro = TRANSLATABLE_TEMPLATES[key].outro ? (req.body.outro || '') : '';
+
+  if (!subject.trim() && !body.trim() && !outro.trim()) {
+    return res.status(400).json({ error: 'La traduction est vide' });
+  }
+
+  const check = validateTemplate(key, { subject, body, outro });
+  if (!check.valid) {
+    return res.status(400).json({ error: `Template invalide : ${check.errors.join(' ; ')}`, errors: check.errors, unknown: check.unknown });
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO email_template_variants (organization_id, template_key, locale, subject_template, body_template, outro_template)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (organization_id, template_key, locale) DO UPDATE SET
+           subject_template = EXCLUDED.subject_template,
+           body_template = EXCLUDED.body_template,
+           outro_template = EXCLUDED.outro_template,
+           updated_at = CURRENT_TIMESTAMP`,
+        [orgId, key, locale, subject, body, outro],
+        function(err) {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.UPDATE_SETTINGS,
+      details: `Traduction ${i18n.LOCALE_LABELS[locale]} du template ${TRANSLATABLE_TEMPLATES[key].label} enregistrée`
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving template variant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/template-variants/:key/:locale', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+  const orgId = req.user.organizationId || null;
+  if (!checkVariantParams(req, res)) return;
+
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM email_template_variants
+         WHERE template_key = $1 AND locale = $2 AND ($3::int IS NULL OR organization_id = $3)`,
+        [req.params.key, req.params.locale, orgId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+    if (!changes) return res.status(404).json({ error: 'Traduction introuvable' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting template variant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get relance templates
 router.get('/relance-templates', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
@@ -3884,6 +4095,11 @@ router.put('/relance-templates/:key', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Invalid template key' });
   }
 
+  const check = validateTemplate(key, { subject, body: intro, outro });
+  if (!check.valid) {
+    return res.status(400).json({ error: `Template invalide : ${check.errors.join(' ; ')}`, errors: check.errors, unknown: check.unknown });
+  }
+
   try {
     await new Promise((resolve, reject) => {
       db.run(
@@ -5092,7 +5308,7 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
   const resend = getResend();
   if (!resend) {
     return res.status(500).json({
-      error: 'Email non configuré. Veuillez définir RESEND_API_KEY.'
+      error: 'Email non configuré. Veuillez configurer un fournisseur d\'envoi.'
     });
   }
 
@@ -5572,6 +5788,12 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
     const contactEmail = await getContactEmail(req.user?.organizationId);
     const contactPhraseHtml = buildContactPhraseHtml(contactEmail, primaryColor);
 
+    // Translations of the relance template: a player whose language has one
+    // receives it instead of the French texts typed in the form
+    const relanceVariants = await i18n.getTemplateVariants(`relance_${relanceType}`, orgId);
+    const participantLocales = await i18n.getRecipientLocales(recipientsToEmail.map(p => p.licence), orgId)
+      .catch(() => new Map());
+
     for (const participant of recipientsToEmail) {
       if (!participant.email || !participant.email.includes('@')) {
         results.skipped.push({
@@ -5583,9 +5805,14 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
 
       try {
         // Replace variables in subject, intro, outro - using explicit calls like Results template
-        let emailSubject = subject || '';
-        let emailIntro = intro || '';
-        let emailOutro = outro || '';
+        const localizedTexts = i18n.localizeTemplate(
+          { subject: subject || '', body: intro || '', outro: outro || '' },
+          relanceVariants,
+          i18n.localeOf(participantLocales, participant.licence)
+        );
+        let emailSubject = localizedTexts.subject;
+        let emailIntro = localizedTexts.body;
+        let emailOutro = localizedTexts.outro;
 
         // Debug log for first participant
         if (participant === recipientsToEmail[0]) {
@@ -5593,51 +5820,42 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
           logger.log('[Relance] Intro before replacement (first 300 chars):', emailIntro.substring(0, 300));
         }
 
-        // Replace all variables explicitly (same pattern as Results template)
-        // Player info
-        emailSubject = replaceVar(emailSubject, 'first_name', participant.first_name || '');
-        emailSubject = replaceVar(emailSubject, 'last_name', participant.last_name || '');
-        emailSubject = replaceVar(emailSubject, 'category', tournamentInfo.category || '');
-
-        emailIntro = replaceVar(emailIntro, 'first_name', participant.first_name || '');
-        emailIntro = replaceVar(emailIntro, 'last_name', participant.last_name || '');
-        emailIntro = replaceVar(emailIntro, 'player_name', participant.player_name || `${participant.first_name} ${participant.last_name}`);
-        emailIntro = replaceVar(emailIntro, 'club', participant.club || '');
-        emailIntro = replaceVar(emailIntro, 'category', tournamentInfo.category || '');
-
-        // T1/Ouverture-specific variables
-        emailIntro = replaceVar(emailIntro, 'ffb_ranking', participant.ffb_ranking || tournamentInfo.ffb_ranking || '');
-        emailIntro = replaceVar(emailIntro, 'season', tournamentInfo.season || '');
-        emailIntro = replaceVar(emailIntro, 'mode', tournamentInfo.mode || '');
-
-        // T1 info
-        emailIntro = replaceVar(emailIntro, 't1_position', participant.position || participant.t1_position || '');
-        emailIntro = replaceVar(emailIntro, 't1_points', participant.match_points || participant.t1_points || '');
-        emailIntro = replaceVar(emailIntro, 't1_date', tournamentInfo.t1_date || '');
-
-        // Ranking info
-        emailIntro = replaceVar(emailIntro, 'rank_position', participant.rank_position || '');
-        emailIntro = replaceVar(emailIntro, 'total_points', participant.total_match_points || participant.total_points || '');
-
-        // Tournament info - THE KEY ONES
-        emailIntro = replaceVar(emailIntro, 'tournament_date', tournamentInfo.tournament_date || '');
-        emailIntro = replaceVar(emailIntro, 'tournament_lieu', tournamentInfo.tournament_lieu || '');
-        emailIntro = replaceVar(emailIntro, 'deadline_date', tournamentInfo.deadline_date || '');
-
-        // Game parameters (distance/reprises from validated overrides)
+        // Template variables (subject, intro and outro share the same set)
         const gameParams = customData?.game_params || {};
-        emailIntro = replaceVar(emailIntro, 'distance', gameParams.distance || '');
-        emailIntro = replaceVar(emailIntro, 'reprises', gameParams.reprises || '');
-
-        // Finale info
-        emailIntro = replaceVar(emailIntro, 'finale_date', tournamentInfo.finale_date || '');
-        emailIntro = replaceVar(emailIntro, 'finale_lieu', tournamentInfo.finale_lieu || '');
-        emailIntro = replaceVar(emailIntro, 'qualified_count', tournamentInfo.qualified_count || '');
-
-        // Organization info
-        emailIntro = replaceVar(emailIntro, 'organization_name', organizationName);
-        emailIntro = replaceVar(emailIntro, 'organization_short_name', organizationShortName);
-        emailIntro = replaceVar(emailIntro, 'organization_email', organizationEmail);
+        const templateVariables = {
+          // Player info
+          first_name: participant.first_name || '',
+          last_name: participant.last_name || '',
+          player_name: participant.player_name || `${participant.first_name} ${participant.last_name}`,
+          club: participant.club || '',
+          category: tournamentInfo.category || '',
+          // T1/Ouverture-specific variables
+          ffb_ranking: participant.ffb_ranking || tournamentInfo.ffb_ranking || '',
+          season: tournamentInfo.season || '',
+          mode: tournamentInfo.mode || '',
+          // T1 info
+          t1_position: participant.position || participant.t1_position || '',
+          t1_points: participant.match_points || participant.t1_points || '',
+          t1_date: tournamentInfo.t1_date || '',
+          // Ranking info
+          rank_position: participant.rank_position || '',
+          total_points: participant.total_match_points || participant.total_points || '',
+          // Tournament info
+          tournament_date: tournamentInfo.tournament_date || '',
+          tournament_lieu: tournamentInfo.tournament_lieu || '',
+          deadline_date: tournamentInfo.deadline_date || '',
+          // Game parameters (distance/reprises from validated overrides)
+          distance: gameParams.distance || '',
+          reprises: gameParams.reprises || '',
+          // Finale info
+          finale_date: tournamentInfo.finale_date || '',
+          finale_lieu: tournamentInfo.finale_lieu || '',
+          qualified_count: tournamentInfo.qualified_count || '',
+          // Organization info
+          organization_name: organizationName,
+          organization_short_name: organizationShortName,
+          organization_email: organizationEmail
+        };
 
         // Smart inscription method - check if player has app account
         const playerAppUrlRaw = await appSettings.getOrgSetting(orgId, 'player_app_url');
@@ -5752,18 +5970,14 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
         if (tournoiExtId && rsvpEmailEnabled === 'true') {
           const rsvpHtml = buildRsvpButtonsHtml(participant.licence, tournoiExtId, orgId, baseUrl, primaryColor);
           inscriptionMethodHtml = rsvpHtml + inscriptionMethodHtml;
+          await rsvpTracking.recordInvitation(participant.licence, tournoiExtId, orgId);
         }
 
-        emailIntro = replaceVar(emailIntro, 'inscription_method', inscriptionMethodHtml);
+        templateVariables.inscription_method = inscriptionMethodHtml;
 
-        // Outro replacements
-        emailOutro = replaceVar(emailOutro, 'first_name', participant.first_name || '');
-        emailOutro = replaceVar(emailOutro, 'last_name', participant.last_name || '');
-        emailOutro = replaceVar(emailOutro, 'organization_name', organizationName);
-        emailOutro = replaceVar(emailOutro, 'organization_short_name', organizationShortName);
-        emailOutro = replaceVar(emailOutro, 'organization_email', organizationEmail);
-        emailOutro = replaceVar(emailOutro, 'distance', gameParams.distance || '');
-        emailOutro = replaceVar(emailOutro, 'reprises', gameParams.reprises || '');
+        emailSubject = replaceTemplateVariables(emailSubject, templateVariables);
+        emailIntro = replaceTemplateVariables(emailIntro, templateVariables);
+        emailOutro = replaceTemplateVariables(emailOutro, templateVariables);
 
         // Debug log after replacement
         if (participant === recipientsToEmail[0]) {
@@ -5811,7 +6025,7 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
 
         // Send push notification (fire-and-forget)
         try {
-          const relanceNotif = buildNotification('REMINDER_LAST_DAY', {
+          const relanceNotif = localizedNotification('REMINDER_LAST_DAY', {
             tournoiName: `${tournamentInfo.category}`,
           });
           await sendPushToPlayer(participant.licence, orgId, relanceNotif);
@@ -12,11 +12,11 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db-loader');
-const { authenticateToken, requireAdmin, requireViewer, requireViewerWrite } = require('./auth');
+const { authenticateToken, requireAdmin, requireViewer, requireViewerWrite, requirePermission } = require('./auth');
 const logger = require('../utils/logger');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const appSettings = require('../utils/app-settings');
-const { sendEmail } = require('../utils/email-helpers');
+const { sendEmail, isEmailConfigured } = require('../utils/email-helpers');
 
 // Get email settings from database (org-aware via req or orgId)
 async function getEmailSettings(reqOrOrgId) {
@@ -39,8 +39,8 @@ router.use(requireViewer);
 async function sendApprovalEmail(request, req) {
   logger.log(`[APPROVAL EMAIL] Starting email send to ${request.player_email}`);
 
-  if (!process.env.RESEND_API_KEY) {
-    logger.log('[APPROVAL EMAIL] RESEND_API_KEY not configured, skipping email');
+  if (!isEmailConfigured()) {
+    logger.log('[APPROVAL EMAIL] no email provider configured, skipping email');
     return { success: false, reason: 'resend_not_configured' };
   }
 
@@ -143,8 +143,8 @@ async function sendApprovalEmail(request, req) {
 async function sendRejectionEmail(request, reason, req) {
   logger.log(`[REJECTION EMAIL] Starting email send to ${request.player_email}`);
 
-  if (!process.env.RESEND_API_KEY) {
-    logger.log('[REJECTION EMAIL] RESEND_API_KEY not configured, skipping email');
+  if (!isEmailConfigured()) {
+    logger.log('[REJECTION EMAIL] no email provider configured, skipping email');
     return { success: false, reason: 'resend_not_configured' };
   }
 
@@ -248,7 +248,7 @@ async function sendRejectionEmail(request, reason, req) {
  * GET /api/enrollment-requests
  * List all enrollment requests with optional status and season filter
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('inscriptions.read'), async (req, res) => {
   try {
     const orgId = req.user.organizationId || null;
     const { status, season, limit = 100, offset = 0 } = req.query;
@@ -0,0 +1,198 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { renderPage } = require('./rsvp');
+const appSettings = require('../utils/app-settings');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const finaleQualification = require('../utils/finale-qualification');
+
+const router = express.Router();
+
+// V 2.0.889 — Qualification figée des finales (qualifiés + réserve).
+// See utils/finale-qualification.js for the promotion rules.
+
+// ==================== PUBLIC: RESERVE ANSWER ====================
+// Accept / decline link of the reserve convocation email. Declared before
+// /:tournoiId so "respond" is not read as a finale id.
+router.get('/respond', async (req, res) => {
+  const { token, response } = req.query;
+
+  if (!token || !['yes', 'no'].includes(response)) {
+    return res.send(renderPage('Lien invalide', 'error',
+      'Ce lien est invalide. Vérifiez que vous avez copié l\'adresse complète depuis votre email.'));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    if (decoded.type !== 'finale_reserve') throw new Error('Invalid token type');
+  } catch (err) {
+    return res.send(renderPage(err.name === 'TokenExpiredError' ? 'Lien expiré' : 'Lien invalide', 'error',
+      'Ce lien n\'est plus valable. Veuillez contacter votre comité.'));
+  }
+
+  const { licence, tournoi_id, organization_id } = decoded;
+  const orgSettings = organization_id
+    ? await appSettings.getOrgSettingsBatch(organization_id, ['primary_color', 'organization_short_name', 'summary_email'])
+    : {};
+  const color = orgSettings.primary_color || '#1F4788';
+  const orgShortName = orgSettings.organization_short_name || '';
+  const contact = orgSettings.summary_email
+    ? ` (<a href="mailto:${orgSettings.summary_email}">${orgSettings.summary_email}</a>)`
+    : '';
+
+  try {
+    const result = await finaleQualification.respondToPromotion({
+      tournoiId: tournoi_id,
+      orgId: organization_id,
+      licence,
+      accept: response === 'yes',
+      source: 'email'
+    });
+
+    switch (result.status) {
+      case 'accepted':
+        return res.send(renderPage('Place confirmée', 'success',
+          'Merci ! Votre participation à la finale est confirmée. Vous êtes inscrit(e) et figurez sur la feuille de pointage.',
+          color, orgShortName));
+      case 'already_qualified':
+        return res.send(renderPage('Déjà confirmé', 'info',
+          'Votre participation à la finale est déjà confirmée.', color, orgShortName));
+      case 'declined':
+        return res.send(renderPage('Réponse enregistrée', 'info',
+          'Votre refus a bien été enregistré. La place est proposée au joueur suivant de la liste de réserve.',
+          color, orgShortName));
+      case 'expired':
+        return res.send(renderPage('Délai dépassé', 'warning',
+          `Le délai pour confirmer votre place est dépassé : elle a été proposée au joueur suivant. Contactez votre comité${contact} si besoin.`,
+          color, orgShortName));
+      default:
+        return res.send(renderPage('Aucune place en attente', 'warning',
+          `Aucune place de finale ne vous est proposée actuellement. Contactez votre comité${contact} si besoin.`,
+          color, orgShortName));
+    }
+  } catch (error) {
+    console.error('[Finale Qualification] Error processing reserve answer:', error);
+    return res.send(renderPage('Erreur', 'error',
+      'Une erreur technique est survenue. Veuillez réessayer ou contacter votre comité.', color, orgShortName));
+  }
+});
+
+// ==================== ADMIN ====================
+
+// Frozen list of a finale (404-free: { frozen: false } when not frozen)
+router.get('/:tournoiId', authenticateToken, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const qualification = await finaleQualification.getQualification(req.params.tournoiId, orgId);
+    if (!qualification) return res.json({ frozen: false });
+    res.json({ frozen: true, ...qualification, statusLabels: finaleQualification.STATUS_LABELS });
+  } catch (error) {
+    console.error('Error fetching finale qualification:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Freeze the qualified + reserve lists from the current ranking
+router.post('/:tournoiId/freeze', authenticateToken, requireAdmin, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const result = await finaleQualification.freezeQualification({
+      tournoiId: req.params.tournoiId,
+      orgId,
+      userId: req.user.userId
+    });
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.FREEZE_QUALIFICATION,
+      details: `Qualification figée: ${result.qualified.length} qualifié(s), ${result.reserves.length} en réserve`,
+      targetType: 'tournoi',
+      targetId: req.params.tournoiId
+    });
+    res.json({ frozen: true, ...result });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Error freezing finale qualification:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unfreeze: finalists are read from the live ranking again
+router.delete('/:tournoiId', authenticateToken, requireAdmin, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const removed = await finaleQualification.unfreezeQualification({ tournoiId: req.params.tournoiId, orgId });
+    if (!removed) return res.status(404).json({ error: 'Aucune qualification figée pour cette finale' });
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.UNFREEZE_QUALIFICATION,
+      details: 'Qualification de la finale défigée',
+      targetType: 'tournoi',
+      targetId: req.params.tournoiId
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unfreezing finale qualification:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Renunciation recorded by an admin (promotes the next reserve)
+router.post('/:tournoiId/renounce', authenticateToken, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const { licence } = req.body;
+  if (!licence) return res.status(400).json({ error: 'Licence requise' });
+
+  try {
+    const result = await finaleQualification.handleRenunciation({
+      tournoiId: req.params.tournoiId,
+      orgId,
+      licence,
+      source: 'admin',
+      userId: req.user.userId
+    });
+    if (!result.frozen) return res.status(400).json({ error: 'La qualification de cette finale n\'est pas figée' });
+    if (!result.entry) return res.status(404).json({ error: 'Joueur absent de la liste de qualification' });
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.FINALE_RENUNCIATION,
+      details: `Renonciation finale: ${result.entry.player_name || licence}` +
+        (result.promoted ? ` — repêché: ${result.promoted.player_name || result.promoted.licence}` : ''),
+      targetType: 'inscription',
+      targetName: result.entry.player_name || licence
+    });
+    res.json({ success: true, promoted: result.promoted });
+  } catch (error) {
+    console.error('Error recording finale renunciation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Answer of a promoted reserve entered by an admin (phone call, etc.)
+router.post('/:tournoiId/respond', authenticateToken, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const { licence, accept } = req.body;
+  if (!licence || typeof accept !== 'boolean') {
+    return res.status(400).json({ error: 'Licence et réponse requises' });
+  }
+
+  try {
+    const result = await finaleQualification.respondToPromotion({
+      tournoiId: req.params.tournoiId,
+      orgId,
+      licence,
+      accept,
+      source: 'manual'
+    });
+    if (result.status === 'not_promoted') {
+      return res.status(400).json({ error: 'Aucune place en attente de réponse pour ce joueur' });
+    }
+    res.json({ success: true, status: result.status, promoted: result.promoted || null });
+  } catch (error) {
+    console.error('Error recording reserve answer:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
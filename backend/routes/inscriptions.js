@@ -4,15 +4,19 @@ const { parse } = require('csv-parse');
 const fs = require('fs');
 const ExcelJS = require('exceljs');
 const db = require('../db-loader');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, denyPermission } = require('./auth');
 const { normalizeLicence } = require('../utils/licence');
+const permissions = require('../utils/permissions');
 const appSettings = require('../utils/app-settings');
-const { sendEmail } = require('../utils/email-helpers');
+const { sendEmail, isEmailConfigured } = require('../utils/email-helpers');
 const { getPouleConfigForOrg } = require('../utils/poule-config');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const { getColumnMapping } = require('./import-config');
 const { getRankingTournamentNumbers } = require('./settings');
 const logger = require('../utils/logger');
+const finaleQualification = require('../utils/finale-qualification');
+const waitlist = require('../utils/waitlist');
+const i18n = require('../utils/i18n');
 
 /**
  * Default column mapping for inscriptions imports (named columns)
@@ -88,11 +92,11 @@ function getMappedValue(record, mapping, fieldName, defaultValue = null) {
 }
 
 // Initialize Resend for email notifications
-// Historical helper retained as a cheap feature-flag check. The actual Resend
-// instance is owned by utils/email-helpers.js (sendEmail chokepoint).
+// Historical helper retained as a cheap feature-flag check. Delivery (Resend,
+// SMTP or outbox) is owned by utils/email-helpers.js (sendEmail chokepoint).
 const getResend = () => {
-  if (!process.env.RESEND_API_KEY) return null;
-  return true; // truthy — callers use it as an "is Resend configured" check
+  if (!isEmailConfigured()) return null;
+  return true; // truthy — callers use it as an "is email configured" check
 };
 
 const router = express.Router();
@@ -834,8 +838,8 @@ router.get('/last-import', authenticateToken, (req, res) => {
 // Seed import_history with initial data (admin utility)
 router.post('/seed-import-history', authenticateToken, (req, res) => {
   // Only allow admins
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
 
   // Insert initial records for yesterday to bootstrap the system
@@ -1254,6 +1258,13 @@ router.get('/', authenticateToken, async (req, res) => {
     params.push(clubFilter);
   }
 
+  // Per-tournament grants only: their tournaments only
+  const grantedIds = permissions.grantedTournamentIds(req.access, 'inscriptions.read');
+  if (grantedIds) {
+    conditions.push(`i.tournoi_id = ANY($${params.length + 1}::int[])`);
+    params.push(grantedIds);
+  }
+
   if (conditions.length > 0) {
     query += ' WHERE ' + conditions.join(' AND ');
   }
@@ -1270,8 +1281,8 @@ router.get('/', authenticateToken, async (req, res) => {
 
 // Create a new inscription manually (admin only)
 router.post('/create', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -1486,10 +1497,16 @@ router.post('/mark-indisponible', authenticateToken, async (req, res) => {
         targetName: player_name || licence
       });
 
+      const { promoted } = await finaleQualification.handleRenunciation({ tournoiId: tournoi_id, orgId, licence, source: 'admin' });
+      // V 2.0.894 — Capped tournament: the freed place goes to the waiting list
+      const offered = await waitlist.releasePlace({ tournoiId: tournoi_id, orgId, licence, source: 'admin' });
+
       return res.json({
         success: true,
         message: 'Finaliste marqué indisponible (inscription mise à jour)',
-        inscription_id: existing.inscription_id
+        inscription_id: existing.inscription_id,
+        promoted: promoted || null,
+        waitlistOffers: offered
       });
     }
 
@@ -1523,10 +1540,16 @@ router.post('/mark-indisponible', authenticateToken, async (req, res) => {
       targetName: player_name || licence
     });
 
+    // V 2.0.889 — Frozen qualification: the next reserve takes the place
+    const { promoted } = await finaleQualification.handleRenunciation({ tournoiId: tournoi_id, orgId, licence, source: 'admin' });
+    const offered = await waitlist.releasePlace({ tournoiId: tournoi_id, orgId, licence, source: 'admin' });
+
     res.json({
       success: true,
       message: 'Finaliste marqué indisponible (renonciation enregistrée)',
-      inscription_id: nextId
+      inscription_id: nextId,
+      promoted: promoted || null,
+      waitlistOffers: offered
     });
 
   } catch (error) {
@@ -1542,8 +1565,8 @@ router.post('/mark-indisponible', authenticateToken, async (req, res) => {
  * Download an Excel template for bulk inscription import.
  */
 router.get('/import-excel/template', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
 
   try {
@@ -1605,8 +1628,8 @@ router.get('/import-excel/template', authenticateToken, async (req, res) => {
  * Expected columns: tournoi_id, licence, email, telephone, commentaire, convoque, forfait
  */
 router.post('/import-excel', authenticateToken, excelUpload.single('file'), async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
 
   if (!req.file) {
@@ -1784,8 +1807,8 @@ router.delete('/tournoi/all', authenticateToken, (req, res) => {
 
 // Delete a single tournoi_ext by ID (cascades to inscriptions, convocation_poules, etc.)
 router.delete('/tournoi/:tournoiId', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -2307,8 +2330,8 @@ function generateMatchSchedule(pouleSize) {
 // Create a new tournament (admin only)
 router.post('/tournoi', authenticateToken, async (req, res) => {
   // Check admin role
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -2319,7 +2342,9 @@ router.post('/tournoi', authenticateToken, async (req, res) => {
     // the mode is 5Q or 9Q. Carambole tournaments leave these null and the
     // app behaves exactly as before.
     tournament_format, tournament_type, distance_matrix_id,
-    fixed_distance, nb_tables, tour_number
+    fixed_distance, nb_tables, tour_number,
+    // V 2.0.894 — Maximum number of registered players (null = unlimited)
+    capacity
   } = req.body;
 
   if (!nom || !mode || !categorie) {
@@ -2357,16 +2382,17 @@ router.post('/tournoi', authenticateToken, async (req, res) => {
           tournoi_id, nom, mode, categorie, taille, debut, grand_coin, taille_cadre,
           lieu, lieu_2, tournament_number, organization_id,
           tournament_format, tournament_type, distance_matrix_id,
-          fixed_distance, nb_tables, tour_number
+          fixed_distance, nb_tables, tour_number, capacity
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
       `, [
         nextId, nom, mode, categorie, taille || null, debut || null,
         grand_coin || 0, taille_cadre || null, lieu || null, lieu_2 || null,
         tournament_number || null, orgId,
         resolvedFormat, tournament_type || null,
         distance_matrix_id || null, fixed_distance || null,
-        nb_tables || null, tour_number || null
+        nb_tables || null, tour_number || null,
+        parseInt(capacity, 10) > 0 ? parseInt(capacity, 10) : null
       ], function(err) {
         if (err) reject(err);
         else resolve({ id: nextId, changes: this.changes });
@@ -2376,7 +2402,7 @@ router.post('/tournoi', authenticateToken, async (req, res) => {
     // Send NEW_TOURNAMENT push notifications to eligible players (fire-and-forget)
     (async () => {
       try {
-        const { buildNotification } = require('../notification-messages');
+        const { localizedNotification } = require('../notification-messages');
         const { sendPushToPlayers } = require('./push');
 
         // Get all active players in this organization who could participate
@@ -2401,10 +2427,10 @@ router.post('/tournoi', authenticateToken, async (req, res) => {
             year: 'numeric'
           }) : 'Date limite non définie';
 
-          const notification = buildNotification('NEW_TOURNAMENT', {
+          const notification = localizedNotification('NEW_TOURNAMENT', locale => ({
             tournoiName: tournamentName,
-            closingDate: closingDate
-          });
+            closingDate: debut ? i18n.formatDate(debut, locale, { day: 'numeric', month: 'long', year: 'numeric' }) : closingDate
+          }));
 
           const licences = eligiblePlayers.map(p => p.licence);
           const result = await sendPushToPlayers(licences, orgId, notification);
@@ -2450,8 +2476,8 @@ router.post('/tournoi', authenticateToken, async (req, res) => {
 // Update a tournament (admin only)
 router.put('/tournoi/:id', authenticateToken, async (req, res) => {
   // Check admin role
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -2462,7 +2488,9 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
     // V 2.0.779 — Quilles fields (Sprint 2 B). Optional. COALESCE-pattern
     // in the UPDATE preserves existing values when the client omits them.
     tournament_format, tournament_type, distance_matrix_id,
-    fixed_distance, nb_tables, tour_number
+    fixed_distance, nb_tables, tour_number,
+    // V 2.0.894 — capacity: omitted = unchanged, null / 0 = unlimited
+    capacity
   } = req.body;
 
   try {
@@ -2515,7 +2543,8 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
         distance_matrix_id = COALESCE($17, distance_matrix_id),
         fixed_distance = COALESCE($18, fixed_distance),
         nb_tables = COALESCE($19, nb_tables),
-        tour_number = COALESCE($20, tour_number)
+        tour_number = COALESCE($20, tour_number),
+        capacity = $21
       WHERE tournoi_id = $13
       AND ($14::int IS NULL OR organization_id = $14)
     `;
@@ -2524,6 +2553,9 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
     const newStatus = status !== undefined ? status : (currentTournament.status || 'active');
     const newNotifyOnChanges = notify_on_changes !== undefined ? notify_on_changes : (currentTournament.notify_on_changes !== false);
     const newTournamentNumber = tournament_number !== undefined ? (tournament_number || null) : (currentTournament.tournament_number || null);
+    const newCapacity = capacity !== undefined
+      ? (parseInt(capacity, 10) > 0 ? parseInt(capacity, 10) : null)
+      : (currentTournament.capacity || null);
 
     await new Promise((resolve, reject) => {
       db.run(query, [
@@ -2532,13 +2564,23 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
         newTournamentNumber, id, orgId,
         tournament_format || null, tournament_type || null,
         distance_matrix_id || null, fixed_distance || null,
-        nb_tables || null, tour_number || null
+        nb_tables || null, tour_number || null,
+        newCapacity
       ], function(err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
     });
 
+    // Capacity raised (or removed): the new places go to the waiting list
+    if (newCapacity !== (currentTournament.capacity || null) && !statusChangedToCancelled) {
+      try {
+        await waitlist.promoteNextWaiting({ tournoiId: id, orgId });
+      } catch (waitlistError) {
+        console.error('Error offering new places to the waiting list:', waitlistError.message);
+      }
+    }
+
     // Propagate date change to child tournaments (split A/B)
     if (dateChanged) {
       await new Promise((resolve, reject) => {
@@ -2594,7 +2636,7 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
       // Send cancellation push notifications to all inscribed players (fire-and-forget)
       (async () => {
         try {
-          const { buildNotification } = require('../notification-messages');
+          const { localizedNotification } = require('../notification-messages');
           const { sendPushToPlayers } = require('./push');
 
           // Get all inscribed players for this tournament
@@ -2619,10 +2661,10 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
               year: 'numeric'
             }) : '';
 
-            const notification = buildNotification('TOURNAMENT_CANCELLED', {
+            const notification = localizedNotification('TOURNAMENT_CANCELLED', locale => ({
               tournoiName: tournamentName,
-              date: dateStr
-            });
+              date: debut ? i18n.formatDate(debut, locale) : dateStr
+            }));
 
             const licences = inscriptions.map(i => i.licence);
             const result = await sendPushToPlayers(licences, orgId, notification);
@@ -2758,8 +2800,8 @@ async function resolveCategoryPool(mode, categorie, orgId, scopeTournoiId = null
 // GET /api/inscriptions/category-pool-count?mode=X&categorie=Y
 // ============================================================================
 router.get('/category-pool-count', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
   const orgId = req.user.organizationId || null;
   const { mode, categorie, scopeTournoiId } = req.query;
@@ -2778,8 +2820,8 @@ router.get('/category-pool-count', authenticateToken, async (req, res) => {
 // Admin only. Body: { title, body, channels: { push, email }, mode?, categorie? }
 // ============================================================================
 router.post('/tournoi/:id/notify', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -3048,11 +3090,17 @@ router.post('/tournoi/:id/notify', authenticateToken, async (req, res) => {
             </div>
           </div>
         `;
-        await getResend().emails.send({
+        await sendEmail({
           from: `${senderName} <${senderEmail}>`,
           to: adminEmail,
           subject: `📬 ${emailSettings.organization_name || senderName} — Récap message joueurs — ${tournamentLabel}`,
           html: recapHtml
+        }, {
+          recipientKind: 'admin',  // Recap to the CDB summary address
+          orgId,
+          emailType: 'admin_message_recap',
+          triggeredByUserId: req.user?.userId,
+          context: { tournoi_id: req.params?.id }
         });
         logger.log(`[Admin Message] Admin recap sent to ${adminEmail}`);
       } catch (adminErr) {
@@ -3170,25 +3218,31 @@ async function sendTournamentChangeNotifications(tournoiId, oldTournament, newDa
 
     // ---- Pre-compute push notification type and variables (same for all players) ----
     // This is independent of individual player iteration
-    const { buildNotification } = require('../notification-messages');
+    const { localizedNotification } = require('../notification-messages');
     const { sendPushToPlayer } = require('./push');
 
     let notificationType = null;
-    const notifVariables = { tournoiName: tournamentName };
+    const notifVariables = (locale) => {
+      const variables = { tournoiName: tournamentName };
+      if (dateChanged) {
+        variables.oldDate = i18n.formatDate(oldDate, locale);
+        variables.newDate = i18n.formatDate(newDate, locale);
+      } else if (locationChanged) {
+        variables.date = i18n.formatDate(newData.debut || oldTournament.debut, locale);
+        variables.oldLocation = oldLieu || 'Non défini';
+        variables.newLocation = newLieu;
+      }
+      return variables;
+    };
 
     if (dateChanged) {
       // Date change takes priority (whether or not location also changed)
       notificationType = 'TOURNAMENT_DATE_CHANGED';
-      notifVariables.oldDate = formatDate(oldDate);
-      notifVariables.newDate = formatDate(newDate);
     } else if (locationChanged) {
       notificationType = 'TOURNAMENT_LOCATION_CHANGED';
-      notifVariables.date = formatDate(newData.debut || oldTournament.debut);
-      notifVariables.oldLocation = oldLieu || 'Non défini';
-      notifVariables.newLocation = newLieu;
     }
 
-    const pushNotification = notificationType ? buildNotification(notificationType, notifVariables) : null;
+    const pushNotification = notificationType ? localizedNotification(notificationType, notifVariables) : null;
 
     for (const inscription of inscriptions) {
       const playerName = inscription.first_name && inscription.last_name
@@ -3382,8 +3436,8 @@ async function sendTournamentChangeNotifications(tournoiId, oldTournament, newDa
 // Update an inscription (admin only)
 router.put('/:id', authenticateToken, (req, res) => {
   // Check admin role
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -3533,11 +3587,17 @@ ${orgName}`;
       }
     }
 
+    // V 2.0.894 — Capped tournament: the freed place goes to the waiting list
+    const offered = newStatut === 'désinscrit'
+      ? await waitlist.releasePlace({ tournoiId: inscriptionDetails.tournoi_id, orgId, licence: inscriptionDetails.licence, source: 'admin' })
+      : [];
+
     res.json({
       success: true,
       message: newStatut === 'désinscrit' ? 'Joueur désinscrit' : 'Inscription rétablie',
       statut: newStatut,
-      emailSent: newStatut === 'désinscrit' && !!inscriptionDetails.email
+      emailSent: newStatut === 'désinscrit' && !!inscriptionDetails.email,
+      waitlistOffers: offered
     });
 
   } catch (err) {
@@ -3604,8 +3664,8 @@ router.put('/:id/reintegrate', authenticateToken, async (req, res) => {
 // Delete a single inscription (admin only)
 router.delete('/:id', authenticateToken, async (req, res) => {
   // Check admin role
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -3642,6 +3702,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       targetName: inscription.licence
     });
 
+    await waitlist.releasePlace({ tournoiId: inscription.tournoi_id, orgId, licence: inscription.licence, source: 'admin' });
+
     res.json({ success: true, message: 'Inscription deleted', deleted: 1 });
   } catch (err) {
     console.error('Error deleting inscription:', err);
@@ -3651,8 +3713,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
 // TEMPORARY: Create test finale data for testing the finale convocation workflow
 router.post('/create-test-finale', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -3762,8 +3824,8 @@ router.post('/create-test-finale', authenticateToken, async (req, res) => {
 
 // TEMPORARY: Delete test finale data
 router.delete('/delete-test-finale', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   try {
@@ -3793,8 +3855,8 @@ router.delete('/delete-test-finale', authenticateToken, async (req, res) => {
 
 // Test endpoint to manually set convocation details for testing
 router.post('/test-set-convocation/:id', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -3836,8 +3898,8 @@ router.post('/test-set-convocation/:id', authenticateToken, async (req, res) =>
 
 // Restore convoque=1 for inscriptions that have convocation details stored
 router.post('/restore-convoque/:mode/:categorie', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -4710,8 +4772,8 @@ function buildFinaleMatchSchedule(numPlayers, players) {
 
 // Update all past inscriptions to convoqué (admin only, one-time utility)
 router.post('/bulk-convoque-past', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -4772,8 +4834,8 @@ router.post('/bulk-convoque-past', authenticateToken, async (req, res) => {
  * Creates 2 child tournoi_ext entries linked to the parent.
  */
 router.post('/tournoi/:id/split', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -4860,8 +4922,8 @@ router.post('/tournoi/:id/split', authenticateToken, async (req, res) => {
  * Deletes children, resets parent, clears assigned_split on inscriptions.
  */
 router.post('/tournoi/:id/unsplit', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -4993,8 +5055,8 @@ router.get('/tournoi/:id/split-distribution', authenticateToken, async (req, res
  * Returns the proposed distribution (does NOT save yet — frontend can adjust).
  */
 router.post('/tournoi/:id/distribute-split', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -5087,8 +5149,8 @@ router.post('/tournoi/:id/distribute-split', authenticateToken, async (req, res)
  * Body: { assignments: { inscription_id: 'A' | 'B', ... } }
  */
 router.put('/tournoi/:id/save-split-assignments', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('tournaments.manage')) {
+    return denyPermission(res, 'tournaments.manage');
   }
 
   const orgId = req.user.organizationId || null;
@@ -5235,8 +5297,8 @@ router.post('/quilles/:tournoiId/send-convocations', authenticateToken, async (r
   // Admins prepare convocations from tournois-list.html before the DdJ
   // workflow starts. If the DdJ opens an unprepared tournament, the
   // pointage page now tells them to ask the admin.
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('inscriptions.manage')) {
+    return denyPermission(res, 'inscriptions.manage');
   }
   const orgId = req.user.organizationId || null;
   const tournoiId = parseInt(req.params.tournoiId, 10);
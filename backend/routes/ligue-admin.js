@@ -3,6 +3,7 @@ const multer = require('multer');
 const db = require('../db-loader');
 const { authenticateToken, requireLigueAdmin } = require('./auth');
 const appSettings = require('../utils/app-settings');
+const ligueCalendar = require('../utils/ligue-calendar');
 
 const router = express.Router();
 const logoUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
@@ -312,4 +313,30 @@ router.get('/mode-distribution', async (req, res) => {
   }
 });
 
+// GET /api/ligue-admin/calendar-overlay — Published grids of all CDBs, weekend by weekend,
+// with cross-CDB conflicts (same host, ligue final clash, shared players).
+// Also refreshes the warnings each CDB sees in its calendar sync status.
+router.get('/calendar-overlay', async (req, res) => {
+  try {
+    const ligueNumero = req.user.ligueNumero;
+    if (!ligueNumero) {
+      return res.status(400).json({ error: 'Aucune ligue associée à ce compte' });
+    }
+
+    const currentSeason = await appSettings.getCurrentSeason();
+    const startYear = parseInt(currentSeason.split('-')[0], 10);
+    const seasons = [currentSeason, `${startYear + 1}-${startYear + 2}`];
+    const season = req.query.season || currentSeason;
+    if (!/^\d{4}-\d{4}$/.test(season)) {
+      return res.status(400).json({ error: 'Saison invalide' });
+    }
+
+    const overlay = await ligueCalendar.refreshLigueWarnings(ligueNumero, season);
+    res.json({ ...overlay, seasons });
+  } catch (error) {
+    console.error('Ligue calendar overlay error:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement du calendrier de la ligue' });
+  }
+});
+
 module.exports = router;
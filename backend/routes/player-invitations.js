@@ -9,7 +9,8 @@ const multer = require('multer');
 const { authenticateToken, requireAdmin } = require('./auth');
 const db = require('../db-loader');
 const appSettings = require('../utils/app-settings');
-const { sendEmail } = require('../utils/email-helpers');
+const { sendEmail, isEmailConfigured } = require('../utils/email-helpers');
+const emailQueue = require('../utils/email-queue');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const logger = require('../utils/logger');
 
@@ -511,8 +512,8 @@ router.post('/send', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Aucun joueur sélectionné' });
   }
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isEmailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (aucun fournisseur d\'envoi configuré)' });
   }
 
   // Check if PDF guide is uploaded
@@ -855,8 +856,8 @@ router.post('/send-with-template', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Aucun joueur sélectionné' });
   }
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isEmailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (aucun fournisseur d\'envoi configuré)' });
   }
 
   // Check if PDF guide is uploaded
@@ -1194,8 +1195,8 @@ router.post('/send-with-template', authenticateToken, async (req, res) => {
 router.post('/resend/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isEmailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (aucun fournisseur d\'envoi configuré)' });
   }
 
   const orgId = req.user.organizationId || null;
@@ -1382,8 +1383,8 @@ router.post('/resend-batch', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Liste des invitations requise' });
   }
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isEmailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (aucun fournisseur d\'envoi configuré)' });
   }
 
 
@@ -1863,15 +1864,15 @@ router.post('/bulk-invite', authenticateToken, async (req, res) => {
     const selectedTemplate = templateMap[template] || templateMap.urgency;
 
     // Get email template
-    const emailSubject = await appSettings.getOrgSetting(selectedTemplate.subjectKey, orgId) || selectedTemplate.defaultSubject;
-    const emailBody = await appSettings.getOrgSetting(selectedTemplate.bodyKey, orgId) || selectedTemplate.defaultBody;
-    const orgShortName = await appSettings.getOrgSetting('organization_short_name', orgId) || 'CDB';
-    const orgFullName = await appSettings.getOrgSetting('organization_name', orgId) || 'Comité Départemental de Billard';
-    const playerAppUrl = await appSettings.getOrgSetting('player_app_url', orgId) || '';
-    const primaryColor = await appSettings.getOrgSetting('primary_color', orgId) || '#1F4788';
-    const senderName = await appSettings.getOrgSetting('organization_short_name', orgId) || 'CDB';
-    const emailFrom = await appSettings.getOrgSetting('email_noreply', orgId) || 'noreply@cdbhs.net';
-    const replyToEmail = await appSettings.getOrgSetting('email_communication', orgId) || emailFrom;
+    const emailSubject = await appSettings.getOrgSetting(orgId, selectedTemplate.subjectKey) || selectedTemplate.defaultSubject;
+    const emailBody = await appSettings.getOrgSetting(orgId, selectedTemplate.bodyKey) || selectedTemplate.defaultBody;
+    const orgShortName = await appSettings.getOrgSetting(orgId, 'organization_short_name') || 'CDB';
+    const orgFullName = await appSettings.getOrgSetting(orgId, 'organization_name') || 'Comité Départemental de Billard';
+    const playerAppUrl = await appSettings.getOrgSetting(orgId, 'player_app_url') || '';
+    const primaryColor = await appSettings.getOrgSetting(orgId, 'primary_color') || '#1F4788';
+    const senderName = await appSettings.getOrgSetting(orgId, 'organization_short_name') || 'CDB';
+    const emailFrom = await appSettings.getOrgSetting(orgId, 'email_noreply') || 'noreply@cdbhs.net';
+    const replyToEmail = await appSettings.getOrgSetting(orgId, 'email_communication') || emailFrom;
 
   
     let successCount = 0;
@@ -1898,6 +1899,15 @@ router.post('/bulk-invite', authenticateToken, async (req, res) => {
       };
     }
 
+    // V 2.0.891 — invitations are delivered by the email queue
+    const batchId = await emailQueue.createBatch({
+      orgId,
+      label: `Invitations Espace Joueur (${licences.length})`,
+      emailType: 'invitation_bulk',
+      userId: req.user?.userId,
+      username: req.user?.username
+    });
+
     for (const licence of licences) {
       try {
         // Get player info
@@ -2001,7 +2011,7 @@ router.post('/bulk-invite', authenticateToken, async (req, res) => {
 </body>
 </html>`;
 
-        await sendEmail({
+        const queued = await emailQueue.enqueueEmail({
           from: `${senderName} <${emailFrom}>`,
           replyTo: replyToEmail,
           to: [player.email],
@@ -2020,7 +2030,13 @@ router.post('/bulk-invite', authenticateToken, async (req, res) => {
           emailType: 'invitation_bulk',
           triggeredByUserId: req.user?.userId,
           context: { licence: player.licence }
-        });
+        }, { batchId, licence: player.licence });
+
+        if (queued.status === 'suppressed') {
+          results.push({ licence, success: false, error: 'Adresse en échec (bounce ou spam)' });
+          failureCount++;
+          continue;
+        }
 
         // Record invitation
         if (player.contact_id) {
@@ -2067,22 +2083,23 @@ router.post('/bulk-invite', authenticateToken, async (req, res) => {
         results.push({ licence, success: true });
         successCount++;
 
-        // Small delay between emails
-        await delay(100);
-
       } catch (error) {
-        console.error(`Failed to send to ${licence}:`, error);
+        console.error(`Failed to queue invitation for ${licence}:`, error);
         results.push({ licence, success: false, error: error.message });
         failureCount++;
       }
     }
 
+    await emailQueue.finalizeBatch(batchId);
+
     res.json({
       success: true,
       total: licences.length,
       successCount,
       failureCount,
-      results
+      results,
+      batchId,
+      queued: true
     });
 
   } catch (error) {
@@ -3,10 +3,11 @@ const multer = require('multer');
 const { parse } = require('csv-parse');
 const fs = require('fs');
 const db = require('../db-loader');
-const { authenticateToken, requireClubOrAdmin, requireAdmin } = require('./auth');
+const { authenticateToken, requireClubOrAdmin, requireAdmin, denyPermission } = require('./auth');
 const { normalizeLicence } = require('../utils/licence');
 const { getColumnMapping } = require('./import-config');
 const appSettings = require('../utils/app-settings');
+const i18n = require('../utils/i18n');
 
 const router = express.Router();
 
@@ -911,8 +912,8 @@ router.post('/:licence/duplicate', authenticateToken, async (req, res) => {
   const orgId = req.user.organizationId || null;
 
   // Admin-only feature
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Réservé aux administrateurs' });
+  if (!req.can('players.manage')) {
+    return denyPermission(res, 'players.manage');
   }
 
   try {
@@ -1102,11 +1103,20 @@ router.get('/:licence', authenticateToken, async (req, res) => {
     // Get rankings from player_rankings table
     const rankings = await getPlayerRankings(req.params.licence);
 
+    // Language chosen by the player in the Player App (overrides players.locale)
+    const account = await new Promise((resolve, reject) => {
+      db.get("SELECT locale FROM player_accounts WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '') AND ($2::int IS NULL OR organization_id = $2)", [req.params.licence, orgId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || {});
+      });
+    });
+
     // Return player with rankings from new table and contact info
     res.json({
       ...player,
       email: contact.email || null,
       telephone: contact.telephone || null,
+      account_locale: account.locale || null,
       player_rankings: rankings  // New format: { game_mode_id: { ranking, code, display_name, color } }
     });
   } catch (err) {
@@ -1403,6 +1413,15 @@ router.put('/:licence', authenticateToken, requireClubOrAdmin, async (req, res)
       updates.push('player_app_user = ?');
       values.push(req.body.player_app_user ? true : false);
     }
+    // Preferred language for emails and push notifications (empty = French)
+    if (req.body.locale !== undefined) {
+      const locale = i18n.normalizeLocale(req.body.locale);
+      if (req.body.locale && !locale) {
+        return res.status(400).json({ error: 'Langue non prise en charge' });
+      }
+      updates.push('locale = ?');
+      values.push(locale);
+    }
     // Handle GDPR consent - store directly in players table
     if (req.body.gdpr_consent !== undefined) {
       if (req.body.gdpr_consent) {
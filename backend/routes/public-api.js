@@ -0,0 +1,751 @@
+// ============================================================
+// V 2.0.899 — Public REST API, version 1 (/api/v1)
+// ============================================================
+//
+// Read-only API for the websites of clubs and committees: upcoming
+// tournaments, season rankings, results and calendar of ONE organization.
+//
+// Authentication: an API key created in Paramètres > Organisation >
+// API publique (utils/api-keys.js), sent as `X-API-Key: kyr_...` or
+// `Authorization: Bearer kyr_...`. Each key has read-only scopes and its
+// own rate limit (requests per minute).
+//
+// Same privacy rules as the TV feed (dj-public.js):
+//   - No FFB licence numbers
+//   - No emails / phones
+//   - Player names are reduced to "First L." (first name + initial)
+//   - Club names are kept (already public information)
+//
+// Every endpoint is declared through endpoint() below, which registers the
+// Express route AND its OpenAPI description: GET /api/v1/openapi.json is
+// generated from the same table, so the spec can't drift from the code.
+// ============================================================
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const getDb = () => require('../db-loader');
+const apiKeys = require('../utils/api-keys');
+const appSettings = require('../utils/app-settings');
+const { sanitizeName } = require('./dj-public');
+const { getTournamentLabel } = require('./settings');
+
+const API_VERSION = '1.0.0';
+const MAX_LIMIT = 200;
+
+function dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    getDb().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    getDb().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+// 400 with the offending parameter
+function badRequest(message, parameter) {
+  return Object.assign(new Error(message), { status: 400, code: 'INVALID_PARAMETER', parameter });
+}
+
+// ==================== AUTHENTICATION ====================
+
+function presentedKey(req) {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header);
+  const auth = req.headers['authorization'] || '';
+  return auth.startsWith('Bearer ') ? auth.slice(7) : null;
+}
+
+async function authenticateApiKey(req, res, next) {
+  const key = presentedKey(req);
+  if (!key) {
+    return res.status(401).json({ error: 'Clé API requise (en-tête X-API-Key)', code: 'API_KEY_REQUIRED' });
+  }
+  try {
+    const apiKey = await apiKeys.authenticateKey(key);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Clé API invalide ou révoquée', code: 'API_KEY_INVALID' });
+    }
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('[API v1] key check failed:', error);
+    res.status(500).json({ error: 'Erreur serveur', code: 'SERVER_ERROR' });
+  }
+}
+
+// Per-key limit, set on each key in the settings
+const keyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  message: { error: 'Limite de requêtes de la clé API atteinte. Réessayez dans une minute.', code: 'RATE_LIMITED' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false }
+});
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `Cette clé API n'a pas l'autorisation « ${scope} »`, code: 'SCOPE_REQUIRED', scope });
+    }
+    next();
+  };
+}
+
+// ==================== PARAMETERS ====================
+
+const PARAMS = {
+  season: {
+    name: 'season', in: 'query', required: false,
+    description: 'Saison au format AAAA-AAAA (par défaut : saison en cours)',
+    schema: { type: 'string', pattern: '^\\d{4}-\\d{4}$', example: '2025-2026' }
+  },
+  club: {
+    name: 'club', in: 'query', required: false,
+    description: 'Ne garder que les joueurs de ce club (nom du club, casse et ponctuation ignorées)',
+    schema: { type: 'string' }
+  },
+  mode: {
+    name: 'mode', in: 'query', required: false,
+    description: 'Mode de jeu (ex. LIBRE, CADRE, BANDE, 3 BANDES)',
+    schema: { type: 'string' }
+  },
+  category: {
+    name: 'category', in: 'query', required: false,
+    description: 'Catégorie (ex. R2, N3)',
+    schema: { type: 'string' }
+  },
+  categoryId: {
+    name: 'category_id', in: 'query', required: false,
+    description: 'Identifiant de catégorie (voir la réponse de /rankings)',
+    schema: { type: 'integer' }
+  },
+  from: {
+    name: 'from', in: 'query', required: false,
+    description: 'Date de début AAAA-MM-JJ (par défaut : aujourd\'hui)',
+    schema: { type: 'string', format: 'date' }
+  },
+  to: {
+    name: 'to', in: 'query', required: false,
+    description: 'Date de fin AAAA-MM-JJ',
+    schema: { type: 'string', format: 'date' }
+  },
+  includeCancelled: {
+    name: 'include_cancelled', in: 'query', required: false,
+    description: 'Inclure les tournois annulés',
+    schema: { type: 'boolean', default: false }
+  },
+  limit: {
+    name: 'limit', in: 'query', required: false,
+    description: `Nombre maximum d'éléments (1 à ${MAX_LIMIT})`,
+    schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 50 }
+  },
+  id: {
+    name: 'id', in: 'path', required: true,
+    description: 'Identifiant',
+    schema: { type: 'integer' }
+  }
+};
+
+function parseDateParam(value, name) {
+  if (value === undefined || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(Date.parse(value))) {
+    throw badRequest(`Paramètre ${name} invalide (format AAAA-MM-JJ)`, name);
+  }
+  return String(value);
+}
+
+function parseIdParam(value, name) {
+  const id = parseInt(value, 10);
+  if (!Number.isFinite(id) || String(id) !== String(value).trim()) {
+    throw badRequest(`Paramètre ${name} invalide`, name);
+  }
+  return id;
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === '') return 50;
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`Paramètre limit invalide (1 à ${MAX_LIMIT})`, 'limit');
+  }
+  return limit;
+}
+
+async function resolveSeason(req) {
+  const { season } = req.query;
+  if (season !== undefined && season !== '') {
+    if (!/^\d{4}-\d{4}$/.test(String(season))) {
+      throw badRequest('Paramètre season invalide (format AAAA-AAAA)', 'season');
+    }
+    return String(season);
+  }
+  return appSettings.getCurrentSeason(new Date(), req.apiKey.organizationId);
+}
+
+// Club names compared without case, spaces, dots or dashes (as the rankings do)
+function normalizeClub(name) {
+  return String(name || '').toUpperCase().replace(/[\s.-]/g, '');
+}
+
+function clubFilter(req) {
+  const club = req.query.club ? normalizeClub(req.query.club) : null;
+  return (row) => !club || normalizeClub(row.club) === club;
+}
+
+// Canonical club of a player (club_aliases), as in the rankings
+function clubSql(playerAlias) {
+  return `COALESCE(
+    (SELECT canonical_name FROM club_aliases WHERE UPPER(REPLACE(REPLACE(REPLACE(alias, ' ', ''), '.', ''), '-', ''))
+     = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(${playerAlias}.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1),
+    ${playerAlias}.club)`;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, '0');
+    const d = String(value.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function meta(req, extra = {}) {
+  return { organization: req.apiKey.organizationSlug, api_version: API_VERSION, ...extra };
+}
+
+// ==================== ENDPOINT REGISTRY ====================
+
+const operations = [];
+
+/**
+ * Declares a GET endpoint: Express route + OpenAPI operation.
+ * @param {string} path - OpenAPI path, e.g. '/results/{id}'
+ * @param {object} doc - { scope, summary, description, parameters, schema }
+ * @param {Function} handler - async (req) => response body
+ */
+function endpoint(path, doc, handler) {
+  operations.push({ path, ...doc });
+  const expressPath = path.replace(/\{(\w+)\}/g, ':$1');
+  router.get(expressPath, authenticateApiKey, keyLimiter, requireScope(doc.scope), async (req, res) => {
+    apiKeys.recordUsage(req.apiKey.id);
+    try {
+      const body = await handler(req);
+      if (!body) {
+        return res.status(404).json({ error: 'Ressource introuvable', code: 'NOT_FOUND' });
+      }
+      res.setHeader('Cache-Control', 'private, max-age=60');
+      res.json(body);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code, parameter: error.parameter });
+      }
+      console.error(`[API v1] GET ${path} failed:`, error);
+      res.status(500).json({ error: 'Erreur serveur', code: 'SERVER_ERROR' });
+    }
+  });
+}
+
+// ==================== TOURNAMENTS ====================
+
+const TOURNAMENT_COLUMNS = `
+  t.tournoi_id, t.nom, t.mode, t.categorie, t.tournament_number, t.debut, t.fin,
+  t.lieu, t.lieu_2, COALESCE(t.status, 'active') AS status, t.capacity,
+  (SELECT COUNT(*) FROM inscriptions i
+    WHERE i.tournoi_id = t.tournoi_id AND (i.statut IS NULL OR i.statut = 'inscrit')
+      AND COALESCE(i.forfait, 0) = 0)::int AS registered_count`;
+
+function formatTournament(row) {
+  return {
+    id: row.tournoi_id,
+    name: row.nom,
+    mode: row.mode,
+    category: row.categorie,
+    tournament_number: row.tournament_number,
+    start_date: toDate(row.debut),
+    end_date: toDate(row.fin),
+    location: row.lieu || null,
+    location_2: row.lieu_2 || null,
+    status: row.status,
+    capacity: row.capacity || null,
+    registered_count: row.registered_count
+  };
+}
+
+endpoint('/tournaments', {
+  scope: 'tournaments:read',
+  summary: 'Tournois à venir',
+  description: 'Tournois de l\'organisation à partir d\'une date (par défaut aujourd\'hui), par date croissante.',
+  parameters: [PARAMS.from, PARAMS.to, PARAMS.mode, PARAMS.category, PARAMS.includeCancelled, PARAMS.limit],
+  schema: { type: 'array', items: { $ref: '#/components/schemas/Tournament' } }
+}, async (req) => {
+  const from = parseDateParam(req.query.from, 'from') || toDate(new Date());
+  const to = parseDateParam(req.query.to, 'to');
+  const limit = parseLimit(req.query.limit);
+  const includeCancelled = req.query.include_cancelled === 'true' || req.query.include_cancelled === '1';
+
+  const rows = await dbAll(
+    `SELECT ${TOURNAMENT_COLUMNS}
+     FROM tournoi_ext t
+     WHERE t.organization_id = $1
+       AND t.parent_tournoi_id IS NULL
+       AND t.debut >= $2
+       AND ($3::date IS NULL OR t.debut <= $3)
+       AND ($4::text IS NULL OR UPPER(t.mode) = UPPER($4))
+       AND ($5::text IS NULL OR UPPER(t.categorie) = UPPER($5))
+       AND ($6::boolean OR COALESCE(t.status, 'active') != 'cancelled')
+     ORDER BY t.debut ASC, t.nom ASC
+     LIMIT $7`,
+    [req.apiKey.organizationId, from, to, req.query.mode || null, req.query.category || null, includeCancelled, limit]
+  );
+  return { data: rows.map(formatTournament), meta: meta(req, { count: rows.length, from, to }) };
+});
+
+endpoint('/tournaments/{id}', {
+  scope: 'tournaments:read',
+  summary: 'Détail d\'un tournoi et joueurs inscrits',
+  description: 'Les joueurs inscrits sont donnés sous la forme « Prénom I. » avec leur club.',
+  parameters: [PARAMS.id, PARAMS.club],
+  schema: { $ref: '#/components/schemas/TournamentDetail' }
+}, async (req) => {
+  const id = parseIdParam(req.params.id, 'id');
+  const row = await dbGet(
+    `SELECT ${TOURNAMENT_COLUMNS}
+     FROM tournoi_ext t
+     WHERE t.tournoi_id = $1 AND t.organization_id = $2`,
+    [id, req.apiKey.organizationId]
+  );
+  if (!row) return null;
+
+  const players = await dbAll(
+    `SELECT p.first_name, p.last_name, ${clubSql('p')} AS club
+     FROM inscriptions i
+     LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+     WHERE (i.tournoi_id = $1 OR i.tournoi_id IN (SELECT tournoi_id FROM tournoi_ext WHERE parent_tournoi_id = $1))
+       AND (i.statut IS NULL OR i.statut = 'inscrit') AND COALESCE(i.forfait, 0) = 0
+     ORDER BY i.timestamp ASC`,
+    [id]
+  );
+  const keep = clubFilter(req);
+  return {
+    data: {
+      ...formatTournament(row),
+      players: players.filter(keep).map(p => ({ name: sanitizeName(p.first_name, p.last_name), club: p.club || null }))
+    },
+    meta: meta(req)
+  };
+});
+
+// ==================== RANKINGS ====================
+
+endpoint('/rankings', {
+  scope: 'rankings:read',
+  summary: 'Classements de la saison',
+  description: 'Classement de chaque catégorie de la saison, ou d\'une seule catégorie avec category_id.',
+  parameters: [PARAMS.season, PARAMS.categoryId, PARAMS.club],
+  schema: { type: 'array', items: { $ref: '#/components/schemas/Ranking' } }
+}, async (req) => {
+  const season = await resolveSeason(req);
+  const categoryId = req.query.category_id ? parseIdParam(req.query.category_id, 'category_id') : null;
+
+  const rows = await dbAll(
+    `SELECT r.category_id, c.display_name, c.game_type, c.level,
+            r.rank_position, r.total_match_points, COALESCE(r.total_bonus_points, 0) AS total_bonus_points,
+            r.avg_moyenne, r.best_serie, r.updated_at,
+            p.first_name, p.last_name, ${clubSql('p')} AS club
+     FROM rankings r
+     JOIN categories c ON c.id = r.category_id
+     LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+     WHERE r.organization_id = $1 AND r.season = $2
+       AND ($3::int IS NULL OR r.category_id = $3)
+     ORDER BY c.game_type, c.level, r.rank_position ASC NULLS LAST`,
+    [req.apiKey.organizationId, season, categoryId]
+  );
+
+  const keep = clubFilter(req);
+  const byCategory = new Map();
+  for (const row of rows) {
+    if (!byCategory.has(row.category_id)) {
+      byCategory.set(row.category_id, {
+        category_id: row.category_id,
+        category: row.display_name,
+        mode: row.game_type,
+        level: row.level,
+        updated_at: row.updated_at,
+        entries: []
+      });
+    }
+    const ranking = byCategory.get(row.category_id);
+    if (row.updated_at && (!ranking.updated_at || row.updated_at > ranking.updated_at)) ranking.updated_at = row.updated_at;
+    if (!keep(row)) continue;
+    ranking.entries.push({
+      rank: row.rank_position,
+      name: sanitizeName(row.first_name, row.last_name),
+      club: row.club || null,
+      match_points: row.total_match_points,
+      bonus_points: row.total_bonus_points,
+      average: row.avg_moyenne,
+      best_serie: row.best_serie
+    });
+  }
+  const data = [...byCategory.values()];
+  return { data, meta: meta(req, { season, count: data.length }) };
+});
+
+// ==================== RESULTS ====================
+
+endpoint('/results', {
+  scope: 'results:read',
+  summary: 'Tournois joués de la saison',
+  description: 'Liste des tournois dont les résultats sont disponibles, du plus récent au plus ancien.',
+  parameters: [PARAMS.season, PARAMS.categoryId, PARAMS.limit],
+  schema: { type: 'array', items: { $ref: '#/components/schemas/PlayedTournament' } }
+}, async (req) => {
+  const season = await resolveSeason(req);
+  const categoryId = req.query.category_id ? parseIdParam(req.query.category_id, 'category_id') : null;
+  const limit = parseLimit(req.query.limit);
+  const orgId = req.apiKey.organizationId;
+
+  const rows = await dbAll(
+    `SELECT t.id, t.category_id, t.tournament_number, t.tournament_date, t.location, t.location_2,
+            c.display_name, c.game_type, c.level,
+            (SELECT COUNT(*) FROM tournament_results tr WHERE tr.tournament_id = t.id)::int AS players_count
+     FROM tournaments t
+     JOIN categories c ON c.id = t.category_id
+     WHERE t.organization_id = $1 AND t.season = $2
+       AND ($3::int IS NULL OR t.category_id = $3)
+       AND EXISTS (SELECT 1 FROM tournament_results tr WHERE tr.tournament_id = t.id)
+     ORDER BY t.tournament_date DESC NULLS LAST, c.display_name
+     LIMIT $4`,
+    [orgId, season, categoryId, limit]
+  );
+
+  const data = [];
+  for (const row of rows) {
+    data.push({
+      id: row.id,
+      category_id: row.category_id,
+      category: row.display_name,
+      mode: row.game_type,
+      level: row.level,
+      tournament_number: row.tournament_number,
+      label: await getTournamentLabel(row.tournament_number, orgId) || `T${row.tournament_number}`,
+      date: toDate(row.tournament_date),
+      location: row.location || null,
+      location_2: row.location_2 || null,
+      players_count: row.players_count
+    });
+  }
+  return { data, meta: meta(req, { season, count: data.length }) };
+});
+
+endpoint('/results/{id}', {
+  scope: 'results:read',
+  summary: 'Résultats d\'un tournoi joué',
+  description: 'Classement du tournoi ; les joueurs sont donnés sous la forme « Prénom I. » avec leur club.',
+  parameters: [PARAMS.id, PARAMS.club],
+  schema: { $ref: '#/components/schemas/TournamentResults' }
+}, async (req) => {
+  const id = parseIdParam(req.params.id, 'id');
+  const orgId = req.apiKey.organizationId;
+  const tournament = await dbGet(
+    `SELECT t.id, t.category_id, t.season, t.tournament_number, t.tournament_date, t.location, t.location_2,
+            c.display_name, c.game_type, c.level
+     FROM tournaments t
+     JOIN categories c ON c.id = t.category_id
+     WHERE t.id = $1 AND t.organization_id = $2`,
+    [id, orgId]
+  );
+  if (!tournament) return null;
+
+  const results = await dbAll(
+    `SELECT tr.position, tr.match_points, tr.moyenne, tr.serie, tr.points, tr.reprises,
+            p.first_name, p.last_name, ${clubSql('p')} AS club
+     FROM tournament_results tr
+     LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+     WHERE tr.tournament_id = $1
+     ORDER BY NULLIF(tr.position, 0) ASC NULLS LAST, tr.match_points DESC, tr.moyenne DESC`,
+    [id]
+  );
+
+  const keep = clubFilter(req);
+  return {
+    data: {
+      id: tournament.id,
+      season: tournament.season,
+      category_id: tournament.category_id,
+      category: tournament.display_name,
+      mode: tournament.game_type,
+      level: tournament.level,
+      tournament_number: tournament.tournament_number,
+      label: await getTournamentLabel(tournament.tournament_number, orgId) || `T${tournament.tournament_number}`,
+      date: toDate(tournament.tournament_date),
+      location: tournament.location || null,
+      location_2: tournament.location_2 || null,
+      results: results.filter(keep).map(r => ({
+        position: r.position || null,
+        name: sanitizeName(r.first_name, r.last_name),
+        club: r.club || null,
+        match_points: r.match_points,
+        average: r.moyenne,
+        best_serie: r.serie,
+        points: r.points,
+        innings: r.reprises
+      }))
+    },
+    meta: meta(req)
+  };
+});
+
+// ==================== CALENDAR ====================
+
+endpoint('/calendar', {
+  scope: 'calendar:read',
+  summary: 'Calendrier de la saison',
+  description: 'Toutes les dates de la saison, passées et à venir, y compris les tournois annulés (status = cancelled).',
+  parameters: [PARAMS.season, PARAMS.mode, PARAMS.category],
+  schema: { type: 'array', items: { $ref: '#/components/schemas/CalendarEvent' } }
+}, async (req) => {
+  const season = await resolveSeason(req);
+  const { start, end } = await appSettings.getSeasonDateRange(season);
+  const rows = await dbAll(
+    `SELECT t.tournoi_id, t.nom, t.mode, t.categorie, t.debut, t.fin, t.lieu, t.lieu_2,
+            COALESCE(t.status, 'active') AS status
+     FROM tournoi_ext t
+     WHERE t.organization_id = $1
+       AND t.parent_tournoi_id IS NULL
+       AND t.debut BETWEEN $2 AND $3
+       AND ($4::text IS NULL OR UPPER(t.mode) = UPPER($4))
+       AND ($5::text IS NULL OR UPPER(t.categorie) = UPPER($5))
+     ORDER BY t.debut ASC, t.nom ASC`,
+    [req.apiKey.organizationId, start, end, req.query.mode || null, req.query.category || null]
+  );
+  const data = rows.map(row => ({
+    tournament_id: row.tournoi_id,
+    title: row.nom,
+    mode: row.mode,
+    category: row.categorie,
+    start_date: toDate(row.debut),
+    end_date: toDate(row.fin) || toDate(row.debut),
+    location: row.lieu || null,
+    location_2: row.lieu_2 || null,
+    status: row.status
+  }));
+  return { data, meta: meta(req, { season, start, end, count: data.length }) };
+});
+
+// ==================== OPENAPI ====================
+
+const SCHEMAS = {
+  Tournament: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      mode: { type: 'string' },
+      category: { type: 'string' },
+      tournament_number: { type: 'integer', nullable: true },
+      start_date: { type: 'string', format: 'date' },
+      end_date: { type: 'string', format: 'date', nullable: true },
+      location: { type: 'string', nullable: true },
+      location_2: { type: 'string', nullable: true, description: 'Second lieu d\'un tournoi sur deux sites' },
+      status: { type: 'string', enum: ['active', 'cancelled'] },
+      capacity: { type: 'integer', nullable: true },
+      registered_count: { type: 'integer' }
+    }
+  },
+  Player: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', example: 'Jean D.' },
+      club: { type: 'string', nullable: true }
+    }
+  },
+  TournamentDetail: {
+    allOf: [
+      { $ref: '#/components/schemas/Tournament' },
+      { type: 'object', properties: { players: { type: 'array', items: { $ref: '#/components/schemas/Player' } } } }
+    ]
+  },
+  Ranking: {
+    type: 'object',
+    properties: {
+      category_id: { type: 'integer' },
+      category: { type: 'string' },
+      mode: { type: 'string' },
+      level: { type: 'string' },
+      updated_at: { type: 'string', format: 'date-time', nullable: true },
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rank: { type: 'integer', nullable: true },
+            name: { type: 'string' },
+            club: { type: 'string', nullable: true },
+            match_points: { type: 'integer' },
+            bonus_points: { type: 'integer' },
+            average: { type: 'number' },
+            best_serie: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+  PlayedTournament: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      category_id: { type: 'integer' },
+      category: { type: 'string' },
+      mode: { type: 'string' },
+      level: { type: 'string' },
+      tournament_number: { type: 'integer' },
+      label: { type: 'string', example: 'T1' },
+      date: { type: 'string', format: 'date', nullable: true },
+      location: { type: 'string', nullable: true },
+      location_2: { type: 'string', nullable: true },
+      players_count: { type: 'integer' }
+    }
+  },
+  TournamentResults: {
+    allOf: [
+      { $ref: '#/components/schemas/PlayedTournament' },
+      {
+        type: 'object',
+        properties: {
+          season: { type: 'string' },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                position: { type: 'integer', nullable: true },
+                name: { type: 'string' },
+                club: { type: 'string', nullable: true },
+                match_points: { type: 'integer' },
+                average: { type: 'number' },
+                best_serie: { type: 'integer' },
+                points: { type: 'integer' },
+                innings: { type: 'integer', description: 'Reprises' }
+              }
+            }
+          }
+        }
+      }
+    ]
+  },
+  CalendarEvent: {
+    type: 'object',
+    properties: {
+      tournament_id: { type: 'integer' },
+      title: { type: 'string' },
+      mode: { type: 'string' },
+      category: { type: 'string' },
+      start_date: { type: 'string', format: 'date' },
+      end_date: { type: 'string', format: 'date' },
+      location: { type: 'string', nullable: true },
+      location_2: { type: 'string', nullable: true },
+      status: { type: 'string', enum: ['active', 'cancelled'] }
+    }
+  },
+  Meta: {
+    type: 'object',
+    properties: {
+      organization: { type: 'string', description: 'Identifiant (slug) de l\'organisation de la clé' },
+      api_version: { type: 'string' },
+      count: { type: 'integer' },
+      season: { type: 'string' }
+    },
+    additionalProperties: true
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string', enum: ['API_KEY_REQUIRED', 'API_KEY_INVALID', 'SCOPE_REQUIRED', 'RATE_LIMITED', 'INVALID_PARAMETER', 'NOT_FOUND', 'SERVER_ERROR'] },
+      scope: { type: 'string' },
+      parameter: { type: 'string' }
+    }
+  }
+};
+
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+function buildOpenApiSpec(serverUrl) {
+  const paths = {};
+  for (const op of operations) {
+    const hasPathParam = op.path.includes('{');
+    paths[op.path] = {
+      get: {
+        summary: op.summary,
+        description: `${op.description}\n\nAutorisation requise : \`${op.scope}\`.`,
+        tags: [op.scope.split(':')[0]],
+        'x-required-scope': op.scope,
+        parameters: op.parameters,
+        responses: {
+          200: {
+            description: 'OK',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: { data: op.schema, meta: { $ref: '#/components/schemas/Meta' } }
+                }
+              }
+            }
+          },
+          400: errorResponse('Paramètre invalide'),
+          401: errorResponse('Clé API absente, invalide ou révoquée'),
+          403: errorResponse('Autorisation (scope) absente de la clé'),
+          ...(hasPathParam ? { 404: errorResponse('Ressource introuvable') } : {}),
+          429: errorResponse('Limite de requêtes par minute de la clé atteinte')
+        }
+      }
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'API publique Kayros',
+      version: API_VERSION,
+      description: 'API en lecture seule pour les sites des clubs et comités : tournois, classements, résultats et calendrier d\'une organisation. '
+        + 'Les noms des joueurs sont abrégés (« Prénom I. ») ; aucun numéro de licence ni coordonnée n\'est exposé. '
+        + 'Chaque clé a sa limite de requêtes par minute (en-têtes RateLimit-*).'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ ApiKeyHeader: [] }, { BearerKey: [] }],
+    tags: apiKeys.SCOPES.map(s => ({ name: s.key.split(':')[0], description: `${s.label} (\`${s.key}\`)` })),
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerKey: { type: 'http', scheme: 'bearer', description: 'La clé API en jeton Bearer' }
+      },
+      schemas: SCHEMAS
+    }
+  };
+}
+
+// No key needed to read the documentation
+router.get('/openapi.json', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.json(buildOpenApiSpec(`${req.protocol}://${req.get('host')}${req.baseUrl}`));
+});
+
+// Unknown /api/v1 route: JSON, not the SPA fallback
+router.use((req, res) => {
+  res.status(404).json({ error: 'Point d\'accès inconnu', code: 'NOT_FOUND' });
+});
+
+module.exports = router;
+module.exports.buildOpenApiSpec = buildOpenApiSpec;
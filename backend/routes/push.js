@@ -6,6 +6,7 @@ const db = require('../db-loader');
 const { authenticateToken } = require('./auth'); // Admin authentication
 const logger = require('../utils/logger');
 const { isTestModeEnabled, logSkippedSend } = require('../utils/email-helpers');
+const i18n = require('../utils/i18n');
 
 // Player App URL for proxying push notification requests
 const PLAYER_APP_URL = process.env.PLAYER_APP_URL || 'https://cdbhs-player-app-production.up.railway.app';
@@ -329,6 +330,78 @@ router.post('/toggle', authenticatePlayerToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/player/push/locale
+ * Language of the emails and notifications for the current player
+ * (V 2.0.893 — French when not chosen). Requires Player App authentication
+ */
+router.get('/locale', authenticatePlayerToken, async (req, res) => {
+  const licence = req.player.licence;
+  const orgId = req.player.organizationId;
+
+  try {
+    const account = await new Promise((resolve, reject) => {
+      db.get(
+        'SELECT locale FROM player_accounts WHERE REPLACE(licence, \' \', \'\') = $1 AND ($2::int IS NULL OR organization_id = $2)',
+        [licence.replace(/\s/g, ''), orgId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+
+    if (!account) {
+      return res.status(404).json({ error: 'Player account not found' });
+    }
+
+    res.json({
+      locale: i18n.normalizeLocale(account.locale) || i18n.DEFAULT_LOCALE,
+      locales: i18n.SUPPORTED_LOCALES.map(code => ({ code, label: i18n.LOCALE_LABELS[code] }))
+    });
+  } catch (error) {
+    console.error('Get locale error:', error);
+    res.status(500).json({ error: 'Failed to get locale' });
+  }
+});
+
+/**
+ * PUT /api/player/push/locale
+ * Body: { locale: 'en' } — null resets to French.
+ * Requires Player App authentication
+ */
+router.put('/locale', authenticatePlayerToken, async (req, res) => {
+  const licence = req.player.licence;
+  const orgId = req.player.organizationId;
+  const locale = i18n.normalizeLocale(req.body.locale);
+
+  if (req.body.locale && !locale) {
+    return res.status(400).json({ error: 'Unsupported locale' });
+  }
+
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE player_accounts SET locale = $1 WHERE REPLACE(licence, \' \', \'\') = $2 AND ($3::int IS NULL OR organization_id = $3)',
+        [locale, licence.replace(/\s/g, ''), orgId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (!changes) {
+      return res.status(404).json({ error: 'Player account not found' });
+    }
+
+    res.json({ success: true, locale: locale || i18n.DEFAULT_LOCALE });
+  } catch (error) {
+    console.error('Update locale error:', error);
+    res.status(500).json({ error: 'Failed to update locale' });
+  }
+});
+
 /**
  * GET /api/player/push/can-subscribe
  * Check if current player is allowed to subscribe to push notifications
@@ -406,11 +479,18 @@ router.get('/can-subscribe', authenticatePlayerToken, async (req, res) => {
   }
 });
 
+// V 2.0.893 — A notification is either a prebuilt { title, body, url } or
+// a function locale => { title, body, url } (see localizedNotification in
+// notification-messages.js), called with the recipient's language.
+function resolveNotification(notification, locale) {
+  return typeof notification === 'function' ? notification(locale || i18n.DEFAULT_LOCALE) : notification;
+}
+
 /**
  * HELPER FUNCTION: Send push notification to a specific player
  * @param {string} licence - Player's licence number
  * @param {number} orgId - Organization ID
- * @param {object} notification - { title, body, url }
+ * @param {object|Function} notification - { title, body, url } or locale => { title, body, url }
  * @param {object} options - { skipAdminCopy: boolean } - Skip sending copy to admin
  * @returns {Promise<{success: boolean, sent: number, failed: number}>}
  */
@@ -426,6 +506,7 @@ async function sendPushToPlayer(licence, orgId, notification, options = {}) {
   // delivered. Admins can still inspect the notification history panel in
   // the Tournament App during a test campaign.
   if (await isTestModeEnabled(orgId)) {
+    notification = resolveNotification(notification, await i18n.getRecipientLocale({ licence }, orgId));
     await logSkippedSend({
       orgId,
       channel: 'push',
@@ -446,10 +527,14 @@ async function sendPushToPlayer(licence, orgId, notification, options = {}) {
   }
 
   try {
-    // Get player account
+    // Get player account (and its preferred language)
     const playerAccount = await new Promise((resolve, reject) => {
       db.get(
-        'SELECT id, push_enabled FROM player_accounts WHERE REPLACE(licence, \' \', \'\') = $1 AND ($2::int IS NULL OR organization_id = $2)',
+        `SELECT pa.id, pa.push_enabled, COALESCE(pa.locale, p.locale) AS locale
+           FROM player_accounts pa
+           LEFT JOIN players p ON REPLACE(p.licence, ' ', '') = REPLACE(pa.licence, ' ', '')
+            AND ($2::int IS NULL OR p.organization_id = $2)
+          WHERE REPLACE(pa.licence, ' ', '') = $1 AND ($2::int IS NULL OR pa.organization_id = $2)`,
         [licence.replace(/\s/g, ''), orgId],
         (err, row) => {
           if (err) reject(err);
@@ -483,6 +568,8 @@ async function sendPushToPlayer(licence, orgId, notification, options = {}) {
       return { success: false, sent: 0, failed: 0, error: 'No subscriptions found' };
     }
 
+    notification = resolveNotification(notification, i18n.normalizeLocale(playerAccount.locale));
+
     // Prepare notification payload
     const payload = JSON.stringify({
       title: notification.title,
@@ -583,7 +670,7 @@ async function sendPushToPlayer(licence, orgId, notification, options = {}) {
  * HELPER FUNCTION: Send push notification to multiple players
  * @param {string[]} licences - Array of licence numbers
  * @param {number} orgId - Organization ID
- * @param {object} notification - { title, body, url }
+ * @param {object|Function} notification - { title, body, url } or locale => { title, body, url }
  * @returns {Promise<{success: boolean, total_sent: number, total_failed: number}>}
  */
 async function sendPushToPlayers(licences, orgId, notification) {
@@ -592,22 +679,26 @@ async function sendPushToPlayers(licences, orgId, notification) {
   // avoids waking up the browser-push network on every blocked bulk send
   // during onboarding campaigns.
   if (await isTestModeEnabled(orgId)) {
+    const locales = typeof notification === 'function'
+      ? await i18n.getRecipientLocales(licences, orgId).catch(() => new Map())
+      : null;
     for (const licence of licences) {
+      const message = resolveNotification(notification, i18n.localeOf(locales, licence));
       await logSkippedSend({
         orgId,
         channel: 'push',
         recipient: licence,
         recipientKind: 'player',
-        subject: notification?.title || null,
+        subject: message?.title || null,
         emailType: 'push_notification_bulk',
         context: {
-          body: notification?.body || null,
-          url: notification?.url || null,
+          body: message?.body || null,
+          url: message?.url || null,
           bulk_size: licences.length
         }
       });
     }
-    console.log(`[TestMode] Blocked bulk push (org=${orgId}, count=${licences.length}, title="${notification?.title || ''}")`);
+    console.log(`[TestMode] Blocked bulk push (org=${orgId}, count=${licences.length}, title="${resolveNotification(notification)?.title || ''}")`);
     return { success: false, total_sent: 0, total_failed: 0, skipped: true };
   }
 
@@ -1119,4 +1210,5 @@ router.delete('/history', authenticateToken, async (req, res) => {
 module.exports = router;
 module.exports.sendPushToPlayer = sendPushToPlayer;
 module.exports.sendPushToPlayers = sendPushToPlayers;
+module.exports.authenticatePlayerToken = authenticatePlayerToken;
 
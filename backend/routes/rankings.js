@@ -7,6 +7,8 @@ const db = require('../db-loader');
 const { authenticateToken } = require('./auth');
 const appSettings = require('../utils/app-settings');
 const { getRankingTournamentNumbers } = require('./settings');
+const rankingRules = require('../utils/ranking-rules');
+const rankingSnapshots = require('../utils/ranking-snapshots');
 
 const router = express.Router();
 
@@ -14,8 +16,10 @@ const router = express.Router();
 const { getOrganizationLogoBuffer } = require('../utils/logo-loader');
 
 // Get rankings by category and season
+// V 2.0.888 — ?asOf=YYYY-MM-DD[THH:mm] or ?snapshotId= returns the ranking
+// as it was stored at that time (ranking_snapshots) instead of the live one.
 router.get('/', authenticateToken, async (req, res) => {
-  const { categoryId, season } = req.query;
+  const { categoryId, season, asOf, snapshotId } = req.query;
 
   if (!categoryId || !season) {
     return res.status(400).json({ error: 'Category ID and season required' });
@@ -25,6 +29,23 @@ router.get('/', authenticateToken, async (req, res) => {
   const rankingNumbers = await getRankingTournamentNumbers(orgId);
   const rankingNumbersSQL = rankingNumbers.join(',');
 
+  let snapshot = null;
+  if (asOf || snapshotId) {
+    if (asOf && !snapshotId && !rankingSnapshots.parseAsOf(asOf)) {
+      return res.status(400).json({ error: 'Date invalide' });
+    }
+    try {
+      snapshot = await rankingSnapshots.findSnapshot({
+        categoryId, season, orgId, asOf, snapshotId: snapshotId ? parseInt(snapshotId, 10) : null
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+    if (!snapshot || String(snapshot.categoryId) !== String(categoryId) || snapshot.season !== season) {
+      return res.status(404).json({ error: 'Aucun classement enregistré à cette date pour cette catégorie' });
+    }
+  }
+
   // First, check which tournaments have been played for this category/season
   const tournamentsPlayedQuery = `
     SELECT tournament_number, id FROM tournaments
@@ -36,6 +57,8 @@ router.get('/', authenticateToken, async (req, res) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
+    // Historical view: only the tournaments counted when the snapshot was taken
+    if (snapshot) tournamentRows = snapshot.tournaments;
 
     const tournamentsPlayed = {};
     const tournamentIds = {};
@@ -45,6 +68,22 @@ router.get('/', authenticateToken, async (req, res) => {
       if (match) tournamentIds[`t${num}`] = match.id;
     });
 
+    // Snapshot rows are read back through json_to_recordset so the query
+    // (names, clubs, logos, contacts) is the same as for the live ranking
+    const rankingSource = snapshot
+      ? `json_to_recordset($4::json) AS r(
+          category_id int, season text, organization_id int, licence text, rank_position int,
+          total_match_points int, total_bonus_points int, bonus_detail text, avg_moyenne real, best_serie int,
+          tournament_1_points int, tournament_2_points int, tournament_3_points int,
+          position_points_detail text, average_bonus int, cumulated_points int, cumulated_reprises int)`
+      : 'rankings r';
+    const queryParams = [categoryId, season, orgId];
+    if (snapshot) {
+      queryParams.push(JSON.stringify(snapshot.rows.map(row => ({
+        ...row, category_id: parseInt(categoryId, 10), season, organization_id: orgId
+      }))));
+    }
+
     // Use LEFT JOIN for players to include ranked players even if not in players table
     // Get player name from tournament_results as fallback
     // Use subqueries for club_aliases and clubs to avoid duplicate rows from JOINs
@@ -79,22 +118,22 @@ router.get('/', authenticateToken, async (req, res) => {
              (SELECT canonical_name FROM club_aliases WHERE UPPER(REPLACE(REPLACE(REPLACE(alias, ' ', ''), '.', ''), '-', ''))
               = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1),
              p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1) as club_logo,
-          COALESCE((SELECT SUM(tr.points) FROM tournament_results tr
+          ${snapshot ? 'r.cumulated_points' : `COALESCE((SELECT SUM(tr.points) FROM tournament_results tr
                     JOIN tournaments t ON tr.tournament_id = t.id
                     WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
                     AND t.category_id = r.category_id
                     AND t.season = r.season
-                    AND t.tournament_number IN (${rankingNumbersSQL})), 0) as cumulated_points,
-          COALESCE((SELECT SUM(tr.reprises) FROM tournament_results tr
+                    AND t.tournament_number IN (${rankingNumbersSQL})), 0)`} as cumulated_points,
+          ${snapshot ? 'r.cumulated_reprises' : `COALESCE((SELECT SUM(tr.reprises) FROM tournament_results tr
                     JOIN tournaments t ON tr.tournament_id = t.id
                     WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
                     AND t.category_id = r.category_id
                     AND t.season = r.season
-                    AND t.tournament_number IN (${rankingNumbersSQL})), 0) as cumulated_reprises,
+                    AND t.tournament_number IN (${rankingNumbersSQL})), 0)`} as cumulated_reprises,
           CASE WHEN p.licence IS NULL THEN 1 ELSE 0 END as missing_from_players,
           pc.email as contact_email,
           pc.telephone as contact_telephone
-        FROM rankings r
+        FROM ${rankingSource}
         LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
         LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
         JOIN categories c ON r.category_id = c.id
@@ -105,7 +144,7 @@ router.get('/', authenticateToken, async (req, res) => {
       ORDER BY rank_position
     `;
 
-    db.all(query, [categoryId, season, orgId], async (err, rows) => {
+    db.all(query, queryParams, async (err, rows) => {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
@@ -115,7 +154,7 @@ router.get('/', authenticateToken, async (req, res) => {
       let averageBonusTiers = false;
       try {
         if (orgId) {
-          const mode = await appSettings.getOrgSetting(orgId, 'qualification_mode');
+          const mode = snapshot ? snapshot.mode : await appSettings.getOrgSetting(orgId, 'qualification_mode');
           if (mode) qualificationMode = mode;
           if (qualificationMode === 'journees') {
             const avgBonusSetting = (await appSettings.getOrgSetting(orgId, 'average_bonus_tiers')) === 'true';
@@ -181,6 +220,12 @@ router.get('/', authenticateToken, async (req, res) => {
         }
       } catch (e) { /* ignore — info card is optional */ }
 
+      let snapshotMeta = null;
+      if (snapshot) {
+        const { rows: _rows, ...meta } = snapshot;
+        snapshotMeta = meta;
+      }
+
       // Extract bonus column metadata from rankings' bonus_detail
       const seenTypes = new Set();
       let hasLegacyBonus = false;
@@ -218,17 +263,419 @@ router.get('/', authenticateToken, async (req, res) => {
             res.json({
               rankings: rows, tournamentsPlayed, tournamentIds, qualificationMode, averageBonusTiers, bonusMoyenneInfo,
               bestOfCount, journeesCount, qualificationSettings,
-              bonusColumns: [...seenTypes].map(rt => ({ ruleType: rt, label: labelMap[rt] || rt }))
+              bonusColumns: [...seenTypes].map(rt => ({ ruleType: rt, label: labelMap[rt] || rt })),
+              snapshot: snapshotMeta
             });
           }
         );
       } else {
-        res.json({ rankings: rows, tournamentsPlayed, tournamentIds, qualificationMode, averageBonusTiers, bonusMoyenneInfo, bestOfCount, journeesCount, qualificationSettings, bonusColumns: [] });
+        res.json({ rankings: rows, tournamentsPlayed, tournamentIds, qualificationMode, averageBonusTiers, bonusMoyenneInfo, bestOfCount, journeesCount, qualificationSettings, bonusColumns: [], snapshot: snapshotMeta });
       }
     });
   });
 });
 
+// V 2.0.886 — Simulate a tiebreak chain on the stored standings.
+// Re-orders the current rankings rows with the proposed chain and returns
+// each player's current vs simulated position. Nothing is saved.
+router.post('/tiebreak-simulation', authenticateToken, async (req, res) => {
+  const { categoryId, season, chain } = req.body || {};
+
+  if (!categoryId || !season) {
+    return res.status(400).json({ error: 'Catégorie et saison requises' });
+  }
+  const chainError = rankingRules.validateTiebreakChain(chain);
+  if (chainError) {
+    return res.status(400).json({ error: chainError });
+  }
+
+  const orgId = req.user.organizationId || null;
+
+  try {
+    const mode = (orgId && await appSettings.getOrgSetting(orgId, 'qualification_mode')) || 'standard';
+
+    // Same tournament scope as the recalculation of that mode
+    let tournamentNumbers;
+    if (mode === 'journees') {
+      const journeesCount = parseInt(await appSettings.getOrgSetting(orgId, 'journees_count'), 10) || 3;
+      tournamentNumbers = Array.from({ length: journeesCount }, (_, i) => i + 1);
+    } else {
+      tournamentNumbers = await getRankingTournamentNumbers(orgId);
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT r.licence, r.rank_position, r.total_match_points, r.avg_moyenne, r.best_serie,
+                COALESCE(
+                  (SELECT MAX(TRIM(COALESCE(p.first_name, '') || ' ' || COALESCE(p.last_name, ''))) FROM players p
+                   WHERE REPLACE(p.licence, ' ', '') = REPLACE(r.licence, ' ', '')),
+                  (SELECT MAX(tr.player_name) FROM tournament_results tr
+                   WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', ''))
+                ) as player_name
+         FROM rankings r
+         WHERE r.category_id = $1 AND r.season = $2
+           AND ($3::int IS NULL OR r.organization_id = $3)
+         ORDER BY r.rank_position`,
+        [categoryId, season, orgId],
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+
+    const currentChain = await rankingRules.getTiebreakChain(orgId, mode);
+    if (rows.length === 0) {
+      return res.json({ mode, chain, currentChain, qualifiedCount: 0, changes: 0, players: [] });
+    }
+
+    const valuesOf = r => rankingRules.storedRankingValues(r, mode);
+    const stats = await rankingRules.loadTiebreakStats({
+      categoryId, season, orgId, tournamentNumbers,
+      chain: [...new Set([...chain, ...currentChain])]
+    });
+    const simulated = rankingRules.applyTiebreakChain(rows, chain, stats, valuesOf);
+    const qualifiedCount = await appSettings.getQualifiedCount(orgId, rows.length);
+
+    const players = simulated.map((r, i) => {
+      const currentRank = r.rank_position;
+      const simulatedRank = i + 1;
+      return {
+        licence: r.licence,
+        playerName: r.player_name || r.licence,
+        currentRank,
+        simulatedRank,
+        delta: currentRank - simulatedRank,
+        qualifiedNow: currentRank <= qualifiedCount,
+        qualifiedSimulated: simulatedRank <= qualifiedCount,
+        values: rankingRules.criteriaValues(r.licence.replace(/ /g, ''), valuesOf(r), stats)
+      };
+    });
+
+    res.json({
+      mode,
+      chain,
+      currentChain,
+      qualifiedCount,
+      changes: players.filter(p => p.delta !== 0).length,
+      players
+    });
+  } catch (error) {
+    console.error('[RANKINGS] Tiebreak simulation error:', error);
+    res.status(500).json({ error: 'Erreur lors de la simulation du classement' });
+  }
+});
+
+// V 2.0.888 — Ranking history: snapshots taken at each recalculation
+router.get('/snapshots', authenticateToken, async (req, res) => {
+  const { categoryId, season } = req.query;
+
+  if (!categoryId || !season) {
+    return res.status(400).json({ error: 'Catégorie et saison requises' });
+  }
+
+  try {
+    const snapshots = await rankingSnapshots.listSnapshots({
+      categoryId, season, orgId: req.user.organizationId || null
+    });
+    res.json({ snapshots });
+  } catch (error) {
+    console.error('[RANKINGS] Snapshot list error:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement de l\'historique du classement' });
+  }
+});
+
+// V 2.0.888 — Differences between two snapshots (?from=id&to=id)
+router.get('/snapshots/diff', authenticateToken, async (req, res) => {
+  const fromId = parseInt(req.query.from, 10);
+  const toId = parseInt(req.query.to, 10);
+
+  if (!fromId || !toId) {
+    return res.status(400).json({ error: 'Deux versions du classement sont requises' });
+  }
+
+  const orgId = req.user.organizationId || null;
+
+  try {
+    const from = await rankingSnapshots.findSnapshot({ orgId, snapshotId: fromId });
+    const to = await rankingSnapshots.findSnapshot({ orgId, snapshotId: toId });
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Version du classement introuvable' });
+    }
+    if (from.categoryId !== to.categoryId || from.season !== to.season) {
+      return res.status(400).json({ error: 'Les deux versions doivent concerner la même catégorie et la même saison' });
+    }
+
+    const { rows: _fromRows, ...fromMeta } = from;
+    const { rows: _toRows, ...toMeta } = to;
+    res.json({ from: fromMeta, to: toMeta, ...rankingSnapshots.diffSnapshots(from, to) });
+  } catch (error) {
+    console.error('[RANKINGS] Snapshot diff error:', error);
+    res.status(500).json({ error: 'Erreur lors de la comparaison des classements' });
+  }
+});
+
+// V 2.0.887 — Explain a player's season total and position.
+// Lists every contribution to the stored total (per tournament: match or
+// position points, bonus moyenne tier, barème bonuses, mixed-category bonus;
+// season average bonus in journées mode) and the tiebreak values against the
+// players directly above and below. Read-only.
+const EXPLAIN_BONUS_LABELS = {
+  MOYENNE_BONUS: 'Bonus moyenne',
+  MIXED_CATEGORY: 'Bonus catégories mixtes'
+};
+
+function explainDbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+function explainDbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+
+// Which bonus moyenne tier a bonus value corresponds to, with its range
+function describeMoyenneTier(points, cfg) {
+  if (!points || !cfg) return null;
+  const fmt = v => Number(v).toFixed(3);
+  if (cfg.type === 'tiered') {
+    if (points === cfg.tiers[2]) return { tier: 3, range: `≥ ${fmt(cfg.maxi)}` };
+    if (points === cfg.tiers[1]) return { tier: 2, range: `${fmt(cfg.middle)} – ${fmt(cfg.maxi)}` };
+    if (points === cfg.tiers[0]) return { tier: 1, range: `${fmt(cfg.mini)} – ${fmt(cfg.middle)}` };
+  } else {
+    if (points === cfg.tiers[1]) return { tier: 2, range: `> ${fmt(cfg.maxi)}` };
+    if (points === cfg.tiers[0]) return { tier: 1, range: `${fmt(cfg.mini)} – ${fmt(cfg.maxi)}` };
+  }
+  return null;
+}
+
+router.get('/:categoryId/:licence/explain', authenticateToken, async (req, res) => {
+  const categoryId = parseInt(req.params.categoryId, 10);
+  const licence = String(req.params.licence || '').replace(/ /g, '');
+  const { season } = req.query;
+
+  if (!categoryId || !licence || !season) {
+    return res.status(400).json({ error: 'Catégorie, licence et saison requises' });
+  }
+
+  const orgId = req.user.organizationId || null;
+
+  try {
+    const category = await explainDbGet(
+      'SELECT id, display_name, game_type, level, organization_id FROM categories WHERE id = $1 AND ($2::int IS NULL OR organization_id = $2)',
+      [categoryId, orgId]
+    );
+    if (!category) {
+      return res.status(404).json({ error: 'Catégorie introuvable' });
+    }
+
+    const mode = (orgId && await appSettings.getOrgSetting(orgId, 'qualification_mode')) || 'standard';
+    const isJournees = mode === 'journees';
+    let tournamentNumbers;
+    if (isJournees) {
+      const journeesCount = parseInt(await appSettings.getOrgSetting(orgId, 'journees_count'), 10) || 3;
+      tournamentNumbers = Array.from({ length: journeesCount }, (_, i) => i + 1);
+    } else {
+      tournamentNumbers = await getRankingTournamentNumbers(orgId);
+    }
+    const numbersSQL = tournamentNumbers.length ? tournamentNumbers.map(n => parseInt(n, 10)).join(',') : 'NULL';
+
+    const rankingRows = await explainDbAll(
+      `SELECT licence, rank_position, total_match_points, total_bonus_points, avg_moyenne, best_serie,
+              position_points_detail, average_bonus
+       FROM rankings
+       WHERE category_id = $1 AND season = $2 AND ($3::int IS NULL OR organization_id = $3)
+       ORDER BY rank_position`,
+      [categoryId, season, orgId]
+    );
+    const index = rankingRows.findIndex(r => r.licence.replace(/ /g, '') === licence);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Joueur absent de ce classement' });
+    }
+    const me = rankingRows[index];
+    const above = index > 0 ? rankingRows[index - 1] : null;
+    const below = index < rankingRows.length - 1 ? rankingRows[index + 1] : null;
+
+    // Names of the player and both neighbours
+    const neighbourLicences = [me, above, below].filter(Boolean).map(r => r.licence.replace(/ /g, ''));
+    const nameRows = await explainDbAll(
+      `SELECT REPLACE(tr.licence, ' ', '') as licence, MAX(tr.player_name) as player_name
+       FROM tournament_results tr
+       JOIN tournaments t ON tr.tournament_id = t.id
+       WHERE t.category_id = $1 AND t.season = $2
+         AND REPLACE(tr.licence, ' ', '') IN (${neighbourLicences.map((_, i) => `$${i + 3}`).join(',')})
+       GROUP BY REPLACE(tr.licence, ' ', '')`,
+      [categoryId, season, ...neighbourLicences]
+    );
+    const nameOf = lic => {
+      const row = nameRows.find(n => n.licence === lic.replace(/ /g, ''));
+      return row ? row.player_name : lic;
+    };
+
+    // Per-tournament results of the player
+    const results = await explainDbAll(
+      `SELECT t.id as tournament_id, t.tournament_number, t.tournament_date,
+              tr.position, tr.match_points, tr.position_points, tr.bonus_points, tr.bonus_detail,
+              tr.points, tr.reprises, tr.serie
+       FROM tournament_results tr
+       JOIN tournaments t ON tr.tournament_id = t.id
+       WHERE t.category_id = $1 AND t.season = $2 AND t.tournament_number IN (${numbersSQL})
+         AND ($3::int IS NULL OR t.organization_id = $3)
+         AND REPLACE(tr.licence, ' ', '') = $4
+       ORDER BY t.tournament_number`,
+      [categoryId, season, orgId, licence]
+    );
+
+    // Labels: tournament types and barème columns
+    const typeRows = await explainDbAll(
+      'SELECT tournament_number, display_name FROM tournament_types WHERE ($1::int IS NULL OR organization_id = $1)',
+      [orgId]
+    );
+    const ruleRows = await explainDbAll(
+      'SELECT DISTINCT rule_type, column_label FROM scoring_rules WHERE ($1::int IS NULL OR organization_id = $1)',
+      [orgId]
+    );
+    const bonusLabel = code => {
+      if (EXPLAIN_BONUS_LABELS[code]) return EXPLAIN_BONUS_LABELS[code];
+      const rule = ruleRows.find(r => r.rule_type === code && r.column_label);
+      return rule ? rule.column_label : code;
+    };
+
+    // Bonus moyenne thresholds (same sources as computeBonusMoyenne)
+    let moyenneCfg = null;
+    if (orgId) {
+      const s = await appSettings.getOrgSettingsBatch(orgId, [
+        'bonus_moyenne_type', 'scoring_avg_tier_1', 'scoring_avg_tier_2', 'scoring_avg_tier_3'
+      ]);
+      const gp = await explainDbGet(
+        "SELECT moyenne_mini, moyenne_maxi FROM game_parameters WHERE UPPER(REPLACE(mode, ' ', '')) = UPPER(REPLACE($1, ' ', '')) AND UPPER(categorie) = UPPER($2) AND ($3::int IS NULL OR organization_id = $3)",
+        [category.game_type, category.level, category.organization_id || orgId]
+      );
+      const mini = gp && gp.moyenne_mini != null ? parseFloat(gp.moyenne_mini) : 0;
+      const maxi = gp && gp.moyenne_maxi != null ? parseFloat(gp.moyenne_maxi) : 999;
+      moyenneCfg = {
+        type: s.bonus_moyenne_type || 'normal',
+        mini, maxi,
+        middle: Math.round((mini + maxi) / 2 * 100) / 100,
+        tiers: [
+          parseInt(s.scoring_avg_tier_1, 10) || 1,
+          parseInt(s.scoring_avg_tier_2, 10) || 2,
+          parseInt(s.scoring_avg_tier_3, 10) || 3
+        ]
+      };
+    }
+
+    let keptNumbers = null;
+    if (isJournees) {
+      try {
+        const detail = JSON.parse(me.position_points_detail || '{}');
+        if (Array.isArray(detail.kept)) keptNumbers = new Set(detail.kept.map(Number));
+      } catch (e) { /* old flat format: every journée counts */ }
+    }
+
+    const tournaments = results.map(r => {
+      let detail = {};
+      try { detail = r.bonus_detail ? JSON.parse(r.bonus_detail) : {}; } catch (e) { detail = {}; }
+
+      // Journées: the season score only takes points de position + bonus moyenne
+      const bonuses = Object.entries(detail)
+        .filter(([, v]) => (parseFloat(v) || 0) !== 0)
+        .map(([code, v]) => ({
+          code,
+          label: bonusLabel(code),
+          kind: code === 'MOYENNE_BONUS' ? 'moyenne' : code === 'MIXED_CATEGORY' ? 'mixed' : 'bareme',
+          points: parseFloat(v) || 0,
+          counted: !isJournees || code === 'MOYENNE_BONUS',
+          tier: code === 'MOYENNE_BONUS' ? describeMoyenneTier(parseFloat(v) || 0, moyenneCfg) : undefined
+        }));
+
+      const base = isJournees ? (r.position_points || 0) : (r.match_points || 0);
+      const counted = bonuses.filter(b => b.counted).reduce((sum, b) => sum + b.points, 0);
+      // Standard totals use the stored bonus_points (sum of bonus_detail)
+      const score = isJournees ? base + counted : base + (r.bonus_points || 0);
+      const kept = keptNumbers ? keptNumbers.has(r.tournament_number) : true;
+
+      return {
+        tournamentId: r.tournament_id,
+        tournamentNumber: r.tournament_number,
+        label: (typeRows.find(t => t.tournament_number === r.tournament_number) || {}).display_name || `Tournoi ${r.tournament_number}`,
+        date: r.tournament_date,
+        position: r.position,
+        matchPoints: r.match_points || 0,
+        positionPoints: r.position_points || 0,
+        base: { kind: isJournees ? 'position_points' : 'match_points', points: base },
+        bonuses,
+        moyenne: r.reprises > 0 ? Math.round(r.points / r.reprises * 1000) / 1000 : 0,
+        serie: r.serie || 0,
+        score,
+        kept,
+        contribution: kept ? score : 0
+      };
+    });
+
+    const seasonBonus = isJournees && (me.average_bonus || 0) > 0
+      ? {
+          label: 'Bonus moyenne saison',
+          points: me.average_bonus,
+          moyenne: me.avg_moyenne,
+          tier: describeMoyenneTier(me.average_bonus, moyenneCfg)
+        }
+      : null;
+
+    const computedTotal = tournaments.reduce((sum, t) => sum + t.contribution, 0) + (seasonBonus ? seasonBonus.points : 0);
+    const storedTotal = Number(me.total_match_points) || 0;
+
+    // Tiebreak values against the direct neighbours
+    const chain = await rankingRules.getTiebreakChain(orgId, mode);
+    const stats = await rankingRules.loadTiebreakStats({ categoryId, season, orgId, tournamentNumbers, chain });
+    const mine = rankingRules.storedRankingValues(me, mode);
+    const neighbour = (row, meIsAhead) => {
+      if (!row) return null;
+      const theirs = rankingRules.storedRankingValues(row, mode);
+      const decided = meIsAhead
+        ? rankingRules.decidingCriterion(mine, theirs, chain, stats)
+        : rankingRules.decidingCriterion(theirs, mine, chain, stats);
+      return {
+        licence: row.licence,
+        playerName: nameOf(row.licence),
+        rank: row.rank_position,
+        values: rankingRules.criteriaValues(row.licence.replace(/ /g, ''), theirs, stats),
+        decidedBy: {
+          criterion: decided.criterion,
+          label: decided.criterion === 'licence'
+            ? 'Égalité parfaite (ordre des licences)'
+            : rankingRules.CRITERIA[decided.criterion].label,
+          player: meIsAhead ? decided.a : decided.b,
+          other: meIsAhead ? decided.b : decided.a
+        }
+      };
+    };
+
+    res.json({
+      player: { licence: me.licence, playerName: nameOf(me.licence), rank: me.rank_position },
+      category: { id: category.id, displayName: category.display_name },
+      season,
+      mode,
+      tournaments,
+      seasonBonus,
+      total: {
+        computed: computedTotal,
+        stored: storedTotal,
+        consistent: Math.abs(computedTotal - storedTotal) < 0.001
+      },
+      tiebreak: {
+        chain: chain.map(code => ({ code, label: rankingRules.CRITERIA[code].label })),
+        values: rankingRules.criteriaValues(licence, mine, stats),
+        above: neighbour(above, false),
+        below: neighbour(below, true)
+      }
+    });
+  } catch (error) {
+    console.error('[RANKINGS] Explain error:', error);
+    res.status(500).json({ error: 'Erreur lors du calcul du détail du classement' });
+  }
+});
+
 // Get all seasons
 router.get('/seasons', authenticateToken, (req, res) => {
   const orgId = req.user.organizationId || null;
@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticateToken, requireAdmin } = require('./auth');
+const permissions = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -818,15 +819,24 @@ router.delete('/quilles-bracket-configs/:id', authenticateToken, requireAdmin, (
 
 // ==================== USER ROLES ====================
 
-router.get('/user-roles', authenticateToken, (req, res) => {
-  const roles = [
-    { code: 'lecteur', display_name: 'Lecteur (consultation uniquement)' },
-    { code: 'viewer', display_name: 'Viewer (lecture + actions)' },
-    { code: 'club', display_name: 'Responsable Club' },
-    { code: 'directeur_jeu', display_name: 'Directeur de Jeu' },
-    { code: 'admin', display_name: 'Administrateur' }
-  ];
-  res.json(roles);
+// V 2.0.897 — Roles of the organization (system roles as edited by the CDB,
+// then its custom roles). ligue_admin stays out: created by the super admin.
+const ROLE_ORDER = ['lecteur', 'viewer', 'club', 'directeur_jeu', 'admin'];
+
+router.get('/user-roles', authenticateToken, async (req, res) => {
+  try {
+    const roles = await permissions.listRoles(req.user.organizationId || null);
+    const rank = (r) => {
+      const i = ROLE_ORDER.indexOf(r.role_key);
+      return i === -1 ? ROLE_ORDER.length : i;
+    };
+    res.json(roles
+      .filter(r => !r.locked)
+      .sort((a, b) => rank(a) - rank(b))
+      .map(r => ({ code: r.role_key, display_name: r.label })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ==================== TOURNAMENT STATUSES ====================
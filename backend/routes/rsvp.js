@@ -2,7 +2,13 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const db = require('../db-loader');
 const appSettings = require('../utils/app-settings');
-const { sendEmail } = require('../utils/email-helpers');
+const { sendEmail, isEmailConfigured } = require('../utils/email-helpers');
+const finaleQualification = require('../utils/finale-qualification');
+const waitlist = require('../utils/waitlist');
+const rsvp = require('../utils/rsvp');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { authenticatePlayerToken } = require('./push');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 
 const router = express.Router();
 
@@ -77,8 +83,11 @@ function dbRun(query, params) {
 
 // ==================== RSVP PUBLIC ENDPOINT ====================
 
+// V 2.0.895 — Optional `reason` (rsvp.REASONS) with a "no". The same links
+// change the answer until tournoi_ext.rsvp_deadline.
 router.get('/', async (req, res) => {
   const { token, response } = req.query;
+  const reason = rsvp.isValidReason(req.query.reason) ? req.query.reason : null;
 
   if (!token || !['yes', 'no'].includes(response)) {
     return res.send(renderPage('Lien invalide', 'error',
@@ -148,10 +157,63 @@ router.get('/', async (req, res) => {
     const orgName = orgSettings.organization_name || '';
     const adminEmail = orgSettings.summary_email || '';
     const playerEmail = contact?.email || player?.email || '';
+    const footer = (answer, shownReason = reason) => responseFooter(token, answer, tournament, shownReason);
+    const record = (answer) => rsvp.recordResponse({
+      tournoiId: tournoi_id, orgId: organization_id, licence, response: answer, reason, source: 'email'
+    });
+
+    // V 2.0.894 — Place offered from the waiting list: the same RSVP links
+    // accept or decline the offer.
+    const offer = await waitlist.getPlayerEntry(tournoi_id, licence);
+    if (offer && offer.status === 'offered') {
+      const result = await waitlist.respondToOffer({
+        tournoiId: tournoi_id, orgId: organization_id, licence, accept: response === 'yes', source: 'email'
+      });
+      if (result.status === 'accepted') {
+        await notifyAdmin(organization_id, licence, playerName, tournamentName, 'inscription', adminEmail, primaryColor, orgShortName, orgName);
+        await notifyPlayer(organization_id, playerEmail, playerName, tournamentLabel, 'inscription', primaryColor, orgShortName, orgName, orgSettings);
+        return res.send(renderPage('Place confirmée', 'success',
+          `${greeting}<br><br>Merci ! La place qui s'était libérée est à vous : vous êtes maintenant <strong>inscrit(e)</strong> au tournoi :<br><br><strong>${tournamentLabel}</strong><br><br>Vous recevrez une convocation par email avant le tournoi.`,
+          primaryColor, orgShortName));
+      }
+      if (result.status === 'declined') {
+        return res.send(renderPage('Réponse enregistrée', 'info',
+          `${greeting}<br><br>Votre refus a bien été enregistré. La place est proposée au joueur suivant de la liste d'attente du tournoi <strong>${tournamentLabel}</strong>.`,
+          primaryColor, orgShortName));
+      }
+      if (result.status === 'expired') {
+        return res.send(renderPage('Délai dépassé', 'warning',
+          `${greeting}<br><br>Le délai pour accepter la place est dépassé : elle a été proposée au joueur suivant de la liste d'attente.${adminEmail ? ` Contactez votre comité (<a href="mailto:${adminEmail}">${adminEmail}</a>) si besoin.` : ''}`,
+          primaryColor, orgShortName));
+      }
+    }
+
+    // V 2.0.895 — Past the response deadline, answers go through the committee
+    if (rsvp.isClosed(tournament)) {
+      return res.send(renderPage('Réponses closes', 'warning',
+        `${greeting}<br><br>La date limite de réponse pour le tournoi <strong>${tournamentLabel}</strong> était le <strong>${formatDeadline(tournament)}</strong>.<br><br>Votre réponse n'a pas été enregistrée : contactez votre comité${adminEmail ? ` (<a href="mailto:${adminEmail}">${adminEmail}</a>)` : ''}.`,
+        primaryColor, orgShortName));
+    }
 
     if (response === 'yes') {
       // --- PLAYER WANTS TO PARTICIPATE ---
 
+      // V 2.0.894 — Full tournament: the player goes to the waiting list
+      // instead of being registered (already registered players are left alone).
+      if (!existing || existing.statut === 'indisponible') {
+        const capacity = await waitlist.getCapacityStatus(tournoi_id, organization_id);
+        if (capacity && capacity.full) {
+          const queued = await waitlist.joinWaitlist({
+            tournoiId: tournoi_id, orgId: organization_id, licence, playerName, source: 'rsvp'
+          });
+          if (queued.entry) {
+            return res.send(renderPage('Tournoi complet', 'warning',
+              `${greeting}<br><br>Le tournoi <strong>${tournamentLabel}</strong> est complet (${capacity.capacity} places).<br><br>Vous êtes inscrit(e) sur la <strong>liste d'attente</strong> en position <strong>${queued.entry.rank}</strong>. Si une place se libère, vous recevrez un email pour la confirmer en un clic.`,
+              primaryColor, orgShortName));
+          }
+        }
+      }
+
       if (existing) {
         if (existing.statut === 'désinscrit') {
           return res.send(renderPage('Inscription impossible', 'warning',
@@ -164,21 +226,21 @@ router.get('/', async (req, res) => {
             `UPDATE inscriptions SET statut = 'inscrit', source = 'email', timestamp = CURRENT_TIMESTAMP WHERE inscription_id = $1`,
             [existing.inscription_id]
           );
+          await record('yes');
           await notifyAdmin(organization_id, licence, playerName, tournamentName, 'inscription', adminEmail, primaryColor, orgShortName, orgName);
           await notifyPlayer(organization_id, playerEmail, playerName, tournamentLabel, 'inscription', primaryColor, orgShortName, orgName, orgSettings);
           return res.send(renderPage('Inscription confirmée', 'success',
-            `${greeting}<br><br>Votre précédente indisponibilité a été annulée. Vous êtes maintenant <strong>inscrit(e)</strong> au tournoi :<br><br><strong>${tournamentLabel}</strong>`,
+            `${greeting}<br><br>Votre précédente indisponibilité a été annulée. Vous êtes maintenant <strong>inscrit(e)</strong> au tournoi :<br><br><strong>${tournamentLabel}</strong>${footer('yes')}`,
             primaryColor, orgShortName));
         }
         // Already inscrit
         return res.send(renderPage('Déjà inscrit(e)', 'info',
-          `${greeting}<br><br>Vous êtes déjà inscrit(e) au tournoi :<br><br><strong>${tournamentLabel}</strong>`,
+          `${greeting}<br><br>Vous êtes déjà inscrit(e) au tournoi :<br><br><strong>${tournamentLabel}</strong>${footer('yes')}`,
           primaryColor, orgShortName));
       }
 
       // Create new inscription
       const nextId = await getNextInscriptionId();
-      const playerEmail = contact?.email || player?.email || '';
       const playerPhone = contact?.telephone || player?.telephone || '';
 
       await dbRun(
@@ -186,12 +248,13 @@ router.get('/', async (req, res) => {
          VALUES ($1, $2, $3, $4, $5, 'email', 'inscrit', CURRENT_TIMESTAMP, $6)`,
         [nextId, tournoi_id, licence.replace(/\s/g, ''), playerEmail, playerPhone, organization_id]
       );
+      await record('yes');
 
       await notifyAdmin(organization_id, licence, playerName, tournamentName, 'inscription', adminEmail, primaryColor, orgShortName, orgName);
       await notifyPlayer(organization_id, playerEmail, playerName, tournamentLabel, 'inscription', primaryColor, orgShortName, orgName, orgSettings);
 
       return res.send(renderPage('Inscription confirmée', 'success',
-        `${greeting}<br><br>Votre inscription au tournoi suivant a bien été enregistrée :<br><br><strong>${tournamentLabel}</strong><br><br>Vous recevrez une convocation par email avant le tournoi.`,
+        `${greeting}<br><br>Votre inscription au tournoi suivant a bien été enregistrée :<br><br><strong>${tournamentLabel}</strong><br><br>Vous recevrez une convocation par email avant le tournoi.${footer('yes')}`,
         primaryColor, orgShortName));
 
     } else {
@@ -204,15 +267,25 @@ router.get('/', async (req, res) => {
             `UPDATE inscriptions SET statut = 'indisponible', source = 'email', timestamp = CURRENT_TIMESTAMP WHERE inscription_id = $1`,
             [existing.inscription_id]
           );
-          await notifyAdmin(organization_id, licence, playerName, tournamentName, 'indisponible', adminEmail, primaryColor, orgShortName, orgName);
+          await record('no');
+          await notifyAdmin(organization_id, licence, playerName, tournamentName, 'indisponible', adminEmail, primaryColor, orgShortName, orgName, reason);
           await notifyPlayer(organization_id, playerEmail, playerName, tournamentLabel, 'indisponible', primaryColor, orgShortName, orgName, orgSettings);
+          await releaseFinalePlace(tournoi_id, organization_id, licence);
+          await waitlist.releasePlace({ tournoiId: tournoi_id, orgId: organization_id, licence, source: 'rsvp' });
           return res.send(renderPage('Indisponibilité enregistrée', 'info',
-            `${greeting}<br><br>Votre précédente inscription a été annulée. Votre indisponibilité pour le tournoi suivant a été notée :<br><br><strong>${tournamentLabel}</strong><br><br>Si vous changez d'avis, cliquez sur le lien "Je participe" dans l'email original.`,
+            `${greeting}<br><br>Votre précédente inscription a été annulée. Votre indisponibilité pour le tournoi suivant a été notée :<br><br><strong>${tournamentLabel}</strong>${footer('no')}`,
             primaryColor, orgShortName));
         }
         if (existing.statut === 'indisponible') {
+          // Reason chosen after the answer (links of the confirmation page)
+          if (reason && reason !== existing.rsvp_reason) {
+            await rsvp.setReason({ tournoiId: tournoi_id, orgId: organization_id, licence, reason, source: 'email' });
+            return res.send(renderPage('Motif enregistré', 'info',
+              `${greeting}<br><br>Merci ! Le motif de votre indisponibilité pour le tournoi <strong>${tournamentLabel}</strong> a été enregistré : <strong>${rsvp.REASONS[reason]}</strong>.${footer('no')}`,
+              primaryColor, orgShortName));
+          }
           return res.send(renderPage('Déjà enregistré', 'info',
-            `${greeting}<br><br>Votre indisponibilité pour le tournoi <strong>${tournamentLabel}</strong> a déjà été enregistrée.`,
+            `${greeting}<br><br>Votre indisponibilité pour le tournoi <strong>${tournamentLabel}</strong> a déjà été enregistrée.${footer('no', existing.rsvp_reason)}`,
             primaryColor, orgShortName));
         }
         if (existing.statut === 'désinscrit') {
@@ -224,7 +297,6 @@ router.get('/', async (req, res) => {
 
       // Create new inscription with statut 'indisponible'
       const nextId = await getNextInscriptionId();
-      const playerEmail = contact?.email || player?.email || '';
       const playerPhone = contact?.telephone || player?.telephone || '';
 
       await dbRun(
@@ -232,12 +304,16 @@ router.get('/', async (req, res) => {
          VALUES ($1, $2, $3, $4, $5, 'email', 'indisponible', CURRENT_TIMESTAMP, $6)`,
         [nextId, tournoi_id, licence.replace(/\s/g, ''), playerEmail, playerPhone, organization_id]
       );
+      await record('no');
 
-      await notifyAdmin(organization_id, licence, playerName, tournamentName, 'indisponible', adminEmail, primaryColor, orgShortName, orgName);
+      await notifyAdmin(organization_id, licence, playerName, tournamentName, 'indisponible', adminEmail, primaryColor, orgShortName, orgName, reason);
       await notifyPlayer(organization_id, playerEmail, playerName, tournamentLabel, 'indisponible', primaryColor, orgShortName, orgName, orgSettings);
+      await releaseFinalePlace(tournoi_id, organization_id, licence);
+      // A waiting player who answers "indisponible" leaves the waiting list
+      await waitlist.leaveWaitlist({ tournoiId: tournoi_id, orgId: organization_id, licence, source: 'rsvp' });
 
       return res.send(renderPage('Indisponibilité enregistrée', 'info',
-        `${greeting}<br><br>Votre indisponibilité pour le tournoi suivant a été notée :<br><br><strong>${tournamentLabel}</strong><br><br>Merci de nous avoir informés. Si vous changez d'avis, cliquez sur le lien "Je participe" dans l'email original.`,
+        `${greeting}<br><br>Votre indisponibilité pour le tournoi suivant a été notée :<br><br><strong>${tournamentLabel}</strong><br><br>Merci de nous avoir informés.${footer('no')}`,
         primaryColor, orgShortName));
     }
 
@@ -248,8 +324,132 @@ router.get('/', async (req, res) => {
   }
 });
 
+// ==================== PLAYER APP (V 2.0.895) ====================
+
+// Deadline, current answer and reason of the player for a tournament
+router.get('/me/:tournoiId', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  try {
+    const detail = await rsvp.getTournamentResponses(req.params.tournoiId, organizationId || null);
+    if (!detail) return res.status(404).json({ error: 'Tournoi non trouvé' });
+    const own = detail.players.find(p => p.licence === licence.replace(/\s/g, '').toUpperCase());
+    res.json({
+      deadline: detail.tournament.rsvp_deadline,
+      closed: detail.tournament.closed,
+      response: own ? own.response : 'pending',
+      reason: own ? own.rsvp_reason : null,
+      reasons: rsvp.REASONS
+    });
+  } catch (error) {
+    console.error('Error fetching player RSVP:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reason of an "indisponible" answer given in the Player App
+router.put('/me/:tournoiId/reason', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  const { reason } = req.body;
+  if (!rsvp.isValidReason(reason)) return res.status(400).json({ error: 'Motif invalide' });
+
+  try {
+    const saved = await rsvp.setReason({
+      tournoiId: req.params.tournoiId, orgId: organizationId || null, licence, reason, source: 'player_app'
+    });
+    if (!saved) return res.status(400).json({ error: 'Aucune indisponibilité enregistrée pour ce tournoi' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving RSVP reason:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== ADMIN DASHBOARD (V 2.0.895) ====================
+
+// Response rates of the upcoming tournaments and per club
+router.get('/dashboard', authenticateToken, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    res.json(await rsvp.getDashboard(orgId, { days: req.query.days }));
+  } catch (error) {
+    console.error('Error fetching RSVP dashboard:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Player-by-player responses of a tournament
+router.get('/tournament/:tournoiId', authenticateToken, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const detail = await rsvp.getTournamentResponses(req.params.tournoiId, orgId);
+    if (!detail) return res.status(404).json({ error: 'Tournoi non trouvé' });
+    res.json(detail);
+  } catch (error) {
+    console.error('Error fetching RSVP responses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Response deadline of a tournament (null = until the tournament)
+router.put('/tournament/:tournoiId/deadline', authenticateToken, requireAdmin, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const { deadline } = req.body;
+  const parsed = deadline ? new Date(deadline) : null;
+  if (deadline && isNaN(parsed.getTime())) {
+    return res.status(400).json({ error: 'Date limite invalide' });
+  }
+
+  try {
+    const updated = await rsvp.setDeadline(req.params.tournoiId, orgId, parsed);
+    if (!updated) return res.status(404).json({ error: 'Tournoi non trouvé' });
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.RSVP_DEADLINE_SET,
+      details: parsed
+        ? `Date limite de réponse fixée au ${parsed.toLocaleString('fr-FR', { timeZone: 'Europe/Paris' })}`
+        : 'Date limite de réponse supprimée',
+      targetType: 'tournoi',
+      targetId: req.params.tournoiId
+    });
+    res.json({ success: true, deadline: parsed });
+  } catch (error) {
+    console.error('Error saving RSVP deadline:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== HELPERS ====================
 
+function formatDeadline(tournament) {
+  const deadline = rsvp.getDeadline(tournament);
+  return deadline
+    ? deadline.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Paris' })
+    : '';
+}
+
+// V 2.0.895 — Bottom of the confirmation pages: reason links after a "no",
+// and the link that reverses the answer until the deadline.
+function responseFooter(token, answer, tournament, reason) {
+  const link = (params) => `/api/rsvp?token=${encodeURIComponent(token)}&${params}`;
+  const chipStyle = 'display: inline-block; margin: 4px; padding: 6px 12px; border-radius: 6px; text-decoration: none; font-size: 13px;';
+  let html = '';
+
+  if (answer === 'no') {
+    const chips = Object.entries(rsvp.REASONS).map(([key, label]) => key === reason
+      ? `<span style="${chipStyle} background: #d1ecf1; color: #0c5460; font-weight: bold;">✓ ${label}</span>`
+      : `<a href="${link(`response=no&reason=${key}`)}" style="${chipStyle} background: #f0f2f5; color: #333;">${label}</a>`
+    ).join('');
+    html += `<div style="margin-top: 20px;"><p style="font-size: 14px; margin-bottom: 6px;">Motif (facultatif, visible uniquement par le comité) :</p>${chips}</div>`;
+  }
+
+  const until = rsvp.getDeadline(tournament) ? `jusqu'au <strong>${formatDeadline(tournament)}</strong>` : 'jusqu\'au tournoi';
+  const change = answer === 'yes'
+    ? `<a href="${link('response=no')}">je ne pourrai finalement pas venir</a>`
+    : `<a href="${link('response=yes')}">je participe finalement</a>`;
+  html += `<p style="margin-top: 20px; font-size: 13px; color: #666;">Vous pouvez modifier votre réponse ${until} : ${change}.</p>`;
+  return html;
+}
+
 async function getNextInscriptionId() {
   const maxRow = await dbGet(
     'SELECT COALESCE(MAX(inscription_id), 0) as max_id FROM inscriptions',
@@ -258,11 +458,21 @@ async function getNextInscriptionId() {
   return (maxRow?.max_id || 0) + 1;
 }
 
-async function notifyAdmin(orgId, licence, playerName, tournamentName, responseType, adminEmail, primaryColor, orgShortName, orgName) {
+// V 2.0.889 — A finalist of a frozen finale who answers "indisponible"
+// gives the place to the next reserve. Never blocks the RSVP answer.
+async function releaseFinalePlace(tournoiId, orgId, licence) {
+  try {
+    await finaleQualification.handleRenunciation({ tournoiId, orgId, licence, source: 'rsvp' });
+  } catch (error) {
+    console.error('[RSVP] Error releasing finale place:', error.message);
+  }
+}
+
+async function notifyAdmin(orgId, licence, playerName, tournamentName, responseType, adminEmail, primaryColor, orgShortName, orgName, reason) {
   if (!adminEmail) return;
 
   try {
-    if (!process.env.RESEND_API_KEY) return;
+    if (!isEmailConfigured()) return;
 
     const senderEmail = orgId
       ? (await appSettings.getOrgSetting(orgId, 'email_noreply') || 'noreply@carambole-gestion.fr')
@@ -292,6 +502,7 @@ async function notifyAdmin(orgId, licence, playerName, tournamentName, responseT
             <p><strong>Joueur :</strong> ${displayName}</p>
             <p><strong>Licence :</strong> ${licence}</p>
             <p><strong>Tournoi :</strong> ${tournamentName}</p>
+            ${reason ? `<p><strong>Motif :</strong> ${rsvp.REASONS[reason]}</p>` : ''}
             <p style="font-size: 12px; color: #888; margin-top: 20px;">Réponse enregistrée via le lien RSVP dans l'email de relance.</p>
           </div>
         </div>`
@@ -299,7 +510,7 @@ async function notifyAdmin(orgId, licence, playerName, tournamentName, responseT
       recipientKind: 'admin',  // RSVP notification summary to CDB admin
       orgId,
       emailType: 'rsvp_admin_notification',
-      context: { licence, tournament_name: tournamentName, response_type: responseType }
+      context: { licence, tournament_name: tournamentName, response_type: responseType, reason: reason || null }
     });
   } catch (error) {
     console.error('[RSVP] Error sending admin notification:', error.message);
@@ -310,7 +521,7 @@ async function notifyPlayer(orgId, playerEmail, playerName, tournamentLabel, res
   if (!playerEmail) return;
 
   try {
-    if (!process.env.RESEND_API_KEY) return;
+    if (!isEmailConfigured()) return;
 
     const senderEmail = orgSettings?.email_noreply || 'noreply@carambole-gestion.fr';
     const replyTo = orgSettings?.email_communication || orgSettings?.summary_email || undefined;
@@ -429,3 +640,4 @@ function renderPage(title, type, message, primaryColor, orgShortName) {
 module.exports = router;
 module.exports.generateRsvpToken = generateRsvpToken;
 module.exports.buildRsvpButtonsHtml = buildRsvpButtonsHtml;
+module.exports.renderPage = renderPage;
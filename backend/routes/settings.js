@@ -4,6 +4,8 @@ const { authenticateToken, requireAdmin } = require('./auth');
 const { normalizeLicence } = require('../utils/licence');
 const appSettings = require('../utils/app-settings');
 const logger = require('../utils/logger');
+const { sendEmail, getEmailTransportStatus, verifyEmailTransport, refreshEmailProviders, getEmailTemplateSettings, buildFromAddress, getContactEmail } = require('../utils/email-helpers');
+const { validateTemplate, describeTemplateVariables, renderTemplate, buildConvocationContext, buildPreviewContext } = require('../utils/email-template-schemas');
 
 const router = express.Router();
 
@@ -34,6 +36,19 @@ const docUpload = multer({
 // Get database connection
 const getDb = () => require('../db-loader');
 
+// V 2.0.890 — settings that are written but never sent back to the browser
+const WRITE_ONLY_SETTING_KEYS = ['smtp_password'];
+function maskWriteOnlySettings(settings) {
+  const masked = { ...settings };
+  for (const key of WRITE_ONLY_SETTING_KEYS) {
+    if (key in masked) {
+      masked[`${key}_set`] = !!masked[key];
+      masked[key] = null;
+    }
+  }
+  return masked;
+}
+
 // ==================== PUBLIC ENDPOINTS (NO AUTH) ====================
 
 // Get branding colors (public - needed for login page)
@@ -845,7 +860,7 @@ router.get('/app-all', authenticateToken, async (req, res) => {
     if (orgId) {
       // Returns org-specific settings merged with global and defaults
       const settings = await appSettings.getOrgSettings(orgId);
-      return res.json(settings);
+      return res.json(maskWriteOnlySettings(settings));
     }
 
     // Fallback: global app_settings
@@ -948,6 +963,9 @@ router.put('/app-bulk', authenticateToken, requireAdmin, async (req, res) => {
         }
       }
     }
+    if ('email_provider' in settings) {
+      await refreshEmailProviders();
+    }
     logger.log('[SETTINGS] All settings saved successfully');
     res.json({ success: true, message: 'Settings updated' });
   } catch (err) {
@@ -1124,6 +1142,12 @@ router.put('/email-template/:key', authenticateToken, requireAdmin, (req, res) =
     return res.status(400).json({ error: 'Subject and body templates are required' });
   }
 
+  // V 2.0.892 — refuse unknown variables and malformed {#if}/{#each} blocks
+  const check = validateTemplate(key, { subject: subject_template, body: body_template });
+  if (!check.valid) {
+    return res.status(400).json({ error: `Template invalide : ${check.errors.join(' ; ')}`, errors: check.errors, unknown: check.unknown });
+  }
+
   db.run(
     `INSERT INTO email_templates (template_key, subject_template, body_template, organization_id, updated_at)
      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
@@ -1220,6 +1244,174 @@ router.get('/email-template/:key/default', authenticateToken, (req, res) => {
   );
 });
 
+// V 2.0.892 — Variables of a template key (for the editors)
+router.get('/email-template/:key/variables', authenticateToken, (req, res) => {
+  res.json(describeTemplateVariables(req.params.key));
+});
+
+// Poules, locations and ranking of a tournament, shaped like the data that
+// generate-poules.html sends to /api/email/send-convocations.
+async function loadTournamentPreviewData(tournoiId, orgId) {
+  const db = getDb();
+  const query = (sql, params) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+
+  const [tournoi] = await query(
+    'SELECT * FROM tournoi_ext WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)',
+    [tournoiId, orgId]
+  );
+  if (!tournoi) return null;
+
+  // Poules as saved when the convocations were sent (qualifiés d'office excluded)
+  let rows = await query(
+    `SELECT cp.poule_number, cp.licence, cp.player_name, cp.club, cp.location_name, cp.location_address, cp.start_time,
+            p.first_name, p.last_name
+     FROM convocation_poules cp
+     LEFT JOIN players p ON REPLACE(p.licence, ' ', '') = REPLACE(cp.licence, ' ', '')
+       AND ($2::int IS NULL OR p.organization_id = $2)
+     WHERE cp.tournoi_id = $1 AND cp.poule_number > 0
+     ORDER BY cp.poule_number, cp.player_order`,
+    [tournoiId, orgId]
+  );
+  const hasPoules = rows.length > 0;
+  if (!hasPoules) {
+    // No convocation yet: registered players, without poule
+    rows = await query(
+      `SELECT i.licence, p.first_name, p.last_name, p.club
+       FROM inscriptions i
+       LEFT JOIN players p ON REPLACE(p.licence, ' ', '') = REPLACE(i.licence, ' ', '')
+         AND ($2::int IS NULL OR p.organization_id = $2)
+       WHERE i.tournoi_id = $1 AND i.forfait != 1
+         AND (i.statut IS NULL OR i.statut NOT IN ('désinscrit', 'indisponible'))
+       ORDER BY p.last_name, p.first_name`,
+      [tournoiId, orgId]
+    );
+  }
+
+  const toPlayer = (r) => {
+    const nameParts = (r.player_name || '').trim().split(/\s+/);
+    return {
+      licence: r.licence,
+      first_name: r.first_name || nameParts[0] || '',
+      last_name: r.last_name || nameParts.slice(1).join(' '),
+      club: r.club || ''
+    };
+  };
+
+  const locations = [];
+  const poulesByNumber = new Map();
+  if (hasPoules) {
+    for (const r of rows) {
+      let location = locations.find(l => l.name === (r.location_name || '') && l.street === (r.location_address || '') && l.startTime === (r.start_time || ''));
+      if (!location) {
+        location = { locationNum: String(locations.length + 1), name: r.location_name || '', street: r.location_address || '', startTime: r.start_time || '' };
+        locations.push(location);
+      }
+      if (!poulesByNumber.has(r.poule_number)) {
+        poulesByNumber.set(r.poule_number, { number: r.poule_number, locationNum: location.locationNum, players: [] });
+      }
+      poulesByNumber.get(r.poule_number).players.push(toPlayer(r));
+    }
+  }
+
+  const [category] = await query(
+    `SELECT id, display_name FROM categories
+     WHERE UPPER(REPLACE(game_type, ' ', '')) = UPPER(REPLACE($1, ' ', '')) AND UPPER(level) = UPPER($2)
+       AND ($3::int IS NULL OR organization_id = $3)
+     LIMIT 1`,
+    [tournoi.mode, tournoi.categorie, orgId]
+  );
+  const [gameParams] = await query(
+    `SELECT distance_normale, reprises FROM game_parameters
+     WHERE UPPER(REPLACE(mode, ' ', '')) = UPPER(REPLACE($1, ' ', '')) AND UPPER(categorie) = UPPER($2)
+       AND ($3::int IS NULL OR organization_id = $3)`,
+    [tournoi.mode, tournoi.categorie, orgId]
+  );
+
+  const rankingData = {};
+  if (category) {
+    const season = await appSettings.getCurrentSeason(tournoi.debut ? new Date(tournoi.debut) : new Date(), orgId);
+    const rankings = await query(
+      'SELECT licence, rank_position FROM rankings WHERE category_id = $1 AND season = $2 AND ($3::int IS NULL OR organization_id = $3)',
+      [category.id, season, orgId]
+    );
+    rankings.forEach(r => { rankingData[normalizeLicence(r.licence)] = { rank: r.rank_position }; });
+  }
+
+  return {
+    tournoi,
+    players: rows.map(toPlayer),
+    poules: [...poulesByNumber.values()],
+    locations,
+    rankingData,
+    categoryName: category?.display_name || `${tournoi.mode} ${tournoi.categorie}`,
+    distance: gameParams?.distance_normale || '',
+    reprises: gameParams?.reprises || ''
+  };
+}
+
+// V 2.0.892 — Render a template (as typed in the editor, not yet saved)
+// against a real tournament and one of its players.
+// Body: { subject_template, body_template, tournoiId, licence? }
+router.post('/email-template/:key/preview', authenticateToken, async (req, res) => {
+  const { key } = req.params;
+  const { subject_template, body_template, tournoiId, licence } = req.body;
+  const orgId = req.user.organizationId || null;
+
+  const check = validateTemplate(key, { subject: subject_template, body: body_template });
+  if (!check.valid) {
+    return res.status(400).json({ error: `Template invalide : ${check.errors.join(' ; ')}`, errors: check.errors, unknown: check.unknown });
+  }
+  if (!tournoiId) {
+    return res.status(400).json({ error: 'Tournoi requis pour l\'aperçu' });
+  }
+
+  try {
+    const data = await loadTournamentPreviewData(parseInt(tournoiId, 10), orgId);
+    if (!data) return res.status(404).json({ error: 'Tournoi introuvable' });
+    if (data.players.length === 0) {
+      return res.status(404).json({ error: 'Aucun joueur inscrit ou convoqué pour ce tournoi' });
+    }
+
+    const player = (licence && data.players.find(p => normalizeLicence(p.licence) === normalizeLicence(licence))) || data.players[0];
+    const emailSettings = await getEmailTemplateSettings(orgId);
+    const contactEmail = await getContactEmail(orgId);
+    const isFinale = /finale/i.test(data.tournoi.nom || '') || key === 'convocation-finale';
+    const dateStr = data.tournoi.debut
+      ? new Date(data.tournoi.debut).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+      : 'Date à définir';
+
+    const context = buildPreviewContext(key, buildConvocationContext({
+      player,
+      poules: data.poules,
+      locations: data.locations,
+      rankingData: data.rankingData,
+      categoryName: data.categoryName,
+      tournamentLabel: isFinale ? 'Finale Départementale' : (data.tournoi.nom || ''),
+      tournamentName: data.tournoi.nom || '',
+      mode: data.tournoi.mode || '',
+      dateStr,
+      isFinale,
+      distance: data.distance,
+      reprises: data.reprises,
+      emailSettings,
+      contactEmail
+    }));
+
+    res.json({
+      subject: renderTemplate(key, subject_template || '', context),
+      body: renderTemplate(key, body_template || '', context),
+      player: { licence: player.licence, name: `${player.first_name} ${player.last_name}`.trim() },
+      players: data.players.map(p => ({ licence: p.licence, name: `${p.first_name} ${p.last_name}`.trim() })),
+      hasPoules: data.poules.length > 0
+    });
+  } catch (err) {
+    console.error('Error rendering email template preview:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============= CATEGORY MAPPINGS =============
 
 // Get all category mappings (org-scoped via categories)
@@ -1991,6 +2183,60 @@ router.put('/position-points', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
+// ==================== RANKING - TIEBREAK CHAIN ====================
+
+// V 2.0.886 — GET the org's tiebreak chain (saved or mode default) + criteria catalogue
+router.get('/ranking-tiebreak', authenticateToken, async (req, res) => {
+  try {
+    const rankingRules = require('../utils/ranking-rules');
+    const orgId = req.user.organizationId || null;
+    const mode = (orgId && await appSettings.getOrgSetting(orgId, 'qualification_mode')) || 'standard';
+    const saved = orgId
+      ? rankingRules.parseTiebreakChain(await appSettings.getOrgSetting(orgId, 'ranking_tiebreak_chain'))
+      : null;
+
+    res.json({
+      mode,
+      chain: saved || rankingRules.defaultChain(mode),
+      isDefault: !saved,
+      defaultChain: rankingRules.defaultChain(mode),
+      criteria: rankingRules.listCriteria()
+    });
+  } catch (error) {
+    console.error('Error fetching ranking tiebreak chain:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// V 2.0.886 — PUT the org's tiebreak chain. { chain: [...] } or { chain: null } to
+// go back to the mode default. Rankings are not recalculated here: the admin
+// runs the recalculation once the simulation looks right.
+router.put('/ranking-tiebreak', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const rankingRules = require('../utils/ranking-rules');
+    const orgId = req.user.organizationId || null;
+    if (!orgId) {
+      return res.status(400).json({ error: 'Organisation requise' });
+    }
+
+    const { chain } = req.body || {};
+    const reset = chain === null || (Array.isArray(chain) && chain.length === 0);
+    if (!reset) {
+      const chainError = rankingRules.validateTiebreakChain(chain);
+      if (chainError) return res.status(400).json({ error: chainError });
+    }
+
+    await appSettings.setOrgSetting(orgId, 'ranking_tiebreak_chain', reset ? '' : JSON.stringify(chain));
+    logger.log(`[RANKING-RULES] Org ${orgId} tiebreak chain: ${reset ? '(défaut)' : chain.join(' > ')}`);
+
+    const mode = (await appSettings.getOrgSetting(orgId, 'qualification_mode')) || 'standard';
+    res.json({ success: true, chain: reset ? rankingRules.defaultChain(mode) : chain, isDefault: reset });
+  } catch (error) {
+    console.error('Error saving ranking tiebreak chain:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== QUALIFICATION MODE - STAGE SCORING CONFIG ====================
 
 const STAGE_DEFINITIONS = [
@@ -2090,6 +2336,56 @@ router.put('/stage-scoring', authenticateToken, requireAdmin, async (req, res) =
   }
 });
 
+// ============= EMAIL PROVIDER (V 2.0.890) =============
+
+// Provider in use for the org (Resend / SMTP / outbox) — no credentials returned
+router.get('/email-transport', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const status = await getEmailTransportStatus(req.user.organizationId || null);
+    res.json(status);
+  } catch (error) {
+    console.error('[EMAIL-TRANSPORT] Error loading status:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement du fournisseur email' });
+  }
+});
+
+// Check the connection, then send a test email through sendEmail()
+router.post('/email-transport/test', authenticateToken, requireAdmin, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const emailSettings = await getEmailTemplateSettings(orgId);
+    const to = (req.body.to || emailSettings.summary_email || '').trim();
+    if (!to) {
+      return res.status(400).json({ error: 'Aucune adresse de test (renseignez l\'email récapitulatif ou une adresse)' });
+    }
+
+    const check = await verifyEmailTransport(orgId);
+    if (!check.ok) {
+      return res.status(400).json({ error: `Connexion impossible (${check.provider}) : ${check.error}` });
+    }
+
+    const result = await sendEmail({
+      from: buildFromAddress(emailSettings, 'noreply'),
+      to,
+      subject: `Test d'envoi — ${emailSettings.organization_short_name || emailSettings.email_sender_name || 'Carambole'}`,
+      html: `<p>Cet email confirme que le fournisseur d'envoi <strong>${check.provider}</strong> est correctement configuré.</p>`
+    }, {
+      recipientKind: 'admin',  // Sent to the admin-supplied address
+      orgId,
+      emailType: 'transport_test',
+      triggeredByUserId: req.user.userId
+    });
+    if (result?.error) {
+      return res.status(400).json({ error: result.error.message || 'Envoi refusé par le fournisseur' });
+    }
+
+    res.json({ success: true, provider: check.provider, to, id: result?.data?.id || null, path: result?.data?.path || null });
+  } catch (error) {
+    console.error('[EMAIL-TRANSPORT] Test send failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== PUSH NOTIFICATIONS TEST MODE ====================
 
 // Get test licences list
@@ -2204,7 +2500,7 @@ router.get('/org-settings-batch', authenticateToken, async (req, res) => {
       settings[key] = row ? row.value : null;
     });
 
-    res.json(settings);
+    res.json(maskWriteOnlySettings(settings));
   } catch (error) {
     console.error('[ORG-SETTINGS] Error loading batch settings:', error);
     res.status(500).json({ error: 'Erreur lors du chargement des paramètres' });
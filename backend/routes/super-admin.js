@@ -6,7 +6,8 @@ const db = require('../db-loader');
 const appSettings = require('../utils/app-settings');
 const { authenticateToken, requireSuperAdmin, JWT_SECRET } = require('./auth');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
-const { sendEmail } = require('../utils/email-helpers');
+const { sendEmail, isEmailConfigured } = require('../utils/email-helpers');
+const sessions = require('../utils/sessions');
 
 // Platform-level sender name for emails sent by the super-admin (CDB welcome, etc.)
 // Intentionally NOT read from org settings — this is a platform email, not a CDB email.
@@ -199,7 +200,9 @@ router.get('/users', (req, res) => {
     `SELECT
       u.id, u.username, u.email, u.role, u.is_active, u.is_super_admin,
       u.club_id, u.last_login, u.created_at, u.organization_id, u.ffb_ligue_numero,
-      u.last_password_change,
+      u.last_password_change, COALESCE(u.totp_enabled, FALSE) as totp_enabled,
+      (SELECT COUNT(*) FROM user_sessions s
+        WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) as active_sessions,
       o.name as organization_name, o.slug as organization_slug
     FROM users u
     LEFT JOIN organizations o ON u.organization_id = o.id
@@ -495,6 +498,9 @@ router.put('/users/:id/toggle-active', async (req, res) => {
     if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
 
     await dbRun(`UPDATE users SET is_active = $1 WHERE id = $2`, [is_active ? 1 : 0, id]);
+    if (!is_active) {
+      await sessions.revokeUserSessions(user.id, { revokedBy: req.user.username, reason: 'deactivated' });
+    }
 
     logAdminAction({
       req,
@@ -511,6 +517,72 @@ router.put('/users/:id/toggle-active', async (req, res) => {
   }
 });
 
+// ==================== SESSIONS & 2FA (V 2.0.898) ====================
+
+// GET /api/super-admin/users/:id/sessions — Open sessions of a user
+router.get('/users/:id/sessions', async (req, res) => {
+  try {
+    const user = await dbGet(`SELECT id FROM users WHERE id = $1`, [req.params.id]);
+    if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+
+    const rows = await sessions.listSessions(user.id);
+    res.json(rows.map(s => ({
+      id: s.id,
+      device: sessions.describeUserAgent(s.user_agent),
+      ip_address: s.ip_address,
+      organization_id: s.organization_id,
+      two_factor: !!s.two_factor,
+      impersonation: !!s.parent_session_id,
+      created_at: s.created_at,
+      last_seen_at: s.last_seen_at
+    })));
+  } catch (error) {
+    console.error('Error listing user sessions:', error);
+    res.status(500).json({ error: 'Erreur: ' + error.message });
+  }
+});
+
+// POST /api/super-admin/users/:id/force-logout — Close every session of a
+// (possibly compromised) account; optionally reset its 2FA as well
+router.post('/users/:id/force-logout', async (req, res) => {
+  const resetTwoFactor = req.body.reset_two_factor === true;
+
+  try {
+    const user = await dbGet(`SELECT id, username FROM users WHERE id = $1`, [req.params.id]);
+    if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+
+    // Own account: the current session is kept
+    const closed = await sessions.revokeUserSessions(user.id, {
+      exceptSessionId: user.id === req.user.userId ? (req.user.sid || null) : null,
+      revokedBy: req.user.username,
+      reason: 'forced_by_super_admin'
+    });
+    if (resetTwoFactor) {
+      await dbRun(
+        `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled = FALSE,
+           totp_enabled_at = NULL, totp_last_counter = NULL
+         WHERE id = $1`,
+        [user.id]
+      );
+      await dbRun(`DELETE FROM user_recovery_codes WHERE user_id = $1`, [user.id]);
+    }
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.FORCE_LOGOUT,
+      targetType: 'user',
+      targetId: user.id,
+      targetName: user.username,
+      details: `${closed} session(s) fermée(s) pour ${user.username}` + (resetTwoFactor ? ', 2FA réinitialisée' : '')
+    });
+
+    res.json({ success: true, closed, two_factor_reset: resetTwoFactor });
+  } catch (error) {
+    console.error('Error forcing logout:', error);
+    res.status(500).json({ error: 'Erreur: ' + error.message });
+  }
+});
+
 // POST /api/super-admin/users — Create new CDB user (admin/viewer/lecteur) or Super Admin
 router.post('/users', async (req, res) => {
   const { username, email, password, role, organization_id, is_super_admin } = req.body;
@@ -835,7 +907,19 @@ router.post('/impersonate/:orgId', async (req, res) => {
       organizationId: orgId
     };
 
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: '24h' });
+    // V 2.0.898 — Registered as a child of the SA's own session: closing
+    // (or force-closing) the SA session closes the impersonation too
+    const sid = await sessions.createSession(req, tokenPayload, { parentSessionId: req.user.sid || null });
+    const token = jwt.sign({ ...tokenPayload, sid }, JWT_SECRET, { expiresIn: '24h' });
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.IMPERSONATE_ORG,
+      targetType: 'organization',
+      targetId: org.id,
+      targetName: org.short_name,
+      details: `Accès au CDB ${org.short_name} en tant qu'administrateur`
+    });
 
     res.json({
       token,
@@ -2025,8 +2109,8 @@ router.put('/email-templates/cdb_welcome', async (req, res) => {
 // POST /api/super-admin/email-templates/cdb_welcome/test — Send test email with sample data (no org needed)
 router.post('/email-templates/cdb_welcome/test', async (req, res) => {
   try {
-    if (!process.env.RESEND_API_KEY) {
-      return res.status(400).json({ error: 'RESEND_API_KEY non configurée' });
+    if (!isEmailConfigured()) {
+      return res.status(400).json({ error: 'Aucun fournisseur d\'envoi email configuré' });
     }
 
     // Sample data from request body (from create form) or defaults
@@ -2095,8 +2179,8 @@ router.post('/organizations/:id/send-welcome-test', async (req, res) => {
   const { id } = req.params;
 
   try {
-    if (!process.env.RESEND_API_KEY) {
-      return res.status(400).json({ error: 'RESEND_API_KEY non configurée' });
+    if (!isEmailConfigured()) {
+      return res.status(400).json({ error: 'Aucun fournisseur d\'envoi email configuré' });
     }
 
     const org = await dbGet(`SELECT * FROM organizations WHERE id = $1`, [id]);
@@ -2179,8 +2263,8 @@ router.post('/organizations/:id/send-welcome', async (req, res) => {
   const { id } = req.params;
 
   try {
-    if (!process.env.RESEND_API_KEY) {
-      return res.status(400).json({ error: 'RESEND_API_KEY non configurée' });
+    if (!isEmailConfigured()) {
+      return res.status(400).json({ error: 'Aucun fournisseur d\'envoi email configuré' });
     }
 
     const org = await dbGet(`SELECT * FROM organizations WHERE id = $1`, [id]);
@@ -2287,10 +2371,12 @@ router.get('/platform-settings', async (req, res) => {
     const platformDomain = await appSettings.getSetting('platform_email_domain');
     const saEmail1 = await appSettings.getSetting('sa_player_app_email_1');
     const saEmail2 = await appSettings.getSetting('sa_player_app_email_2');
+    const twoFactorRequired = await appSettings.getSetting('two_factor_required_admins');
     res.json({
       platform_email_domain: platformDomain || '',
       sa_player_app_email_1: saEmail1 || '',
-      sa_player_app_email_2: saEmail2 || ''
+      sa_player_app_email_2: saEmail2 || '',
+      two_factor_required_admins: twoFactorRequired === '1'
     });
   } catch (error) {
     console.error('Error fetching platform settings:', error);
@@ -2300,7 +2386,7 @@ router.get('/platform-settings', async (req, res) => {
 
 // PUT /api/super-admin/platform-settings — Update global platform settings
 router.put('/platform-settings', async (req, res) => {
-  const { platform_email_domain, sa_player_app_email_1, sa_player_app_email_2 } = req.body;
+  const { platform_email_domain, sa_player_app_email_1, sa_player_app_email_2, two_factor_required_admins } = req.body;
   try {
     const db = require('../db-loader');
     const upsert = (key, value) => new Promise((resolve, reject) => {
@@ -2316,6 +2402,8 @@ router.put('/platform-settings', async (req, res) => {
     if (platform_email_domain !== undefined) await upsert('platform_email_domain', platform_email_domain);
     if (sa_player_app_email_1 !== undefined) await upsert('sa_player_app_email_1', sa_player_app_email_1);
     if (sa_player_app_email_2 !== undefined) await upsert('sa_player_app_email_2', sa_player_app_email_2);
+    // V 2.0.898 — Admins and super admins must enrol 2FA before logging in
+    if (two_factor_required_admins !== undefined) await upsert('two_factor_required_admins', two_factor_required_admins ? '1' : '0');
 
     appSettings.clearCache();
     res.json({ success: true, message: 'Paramètres plateforme mis à jour' });
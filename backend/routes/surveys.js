@@ -1,5 +1,8 @@
 const express = require('express');
 const { authenticateToken } = require('./auth');
+const { authenticatePlayerToken } = require('./push');
+const audience = require('../utils/audience');
+const surveyEngine = require('../utils/survey-engine');
 
 const router = express.Router();
 
@@ -15,6 +18,191 @@ const DEFAULT_CATEGORY_LABELS = [
   'Communication par email'
 ];
 
+// V 2.0.896 — Custom surveys: questions (see utils/survey-engine.js) and
+// audience filters shared with the announcements (utils/audience.js).
+// Returns the columns to store, or throws a 400 error.
+function surveyContent(body) {
+  const surveyType = body.survey_type === 'custom' ? 'custom' : 'ratings';
+  return {
+    survey_type: surveyType,
+    questions: surveyType === 'custom' ? JSON.stringify(surveyEngine.normalizeQuestions(body.questions)) : null,
+    ...audience.toColumns(body)
+  };
+}
+
+function campaignQuestions(campaign) {
+  return campaign.survey_type === 'custom'
+    ? surveyEngine.parseQuestions(campaign.questions)
+    : surveyEngine.legacyQuestions(campaign);
+}
+
+function dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    getDb().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+
+function dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    getDb().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+// Campaigns open right now for a player: active (or scheduled and started),
+// not ended, matching the audience filters, not answered nor declined.
+async function openCampaignsForPlayer(licence, orgId) {
+  const normalized = String(licence || '').replace(/\s/g, '');
+  const campaigns = await dbAll(
+    `SELECT sc.* FROM survey_campaigns sc
+     WHERE sc.status IN ('active', 'scheduled')
+       AND (sc.starts_at IS NULL OR sc.starts_at <= CURRENT_TIMESTAMP)
+       AND (sc.ends_at IS NULL OR sc.ends_at > CURRENT_TIMESTAMP)
+       AND ($1::int IS NULL OR sc.organization_id = $1)
+       AND NOT EXISTS (SELECT 1 FROM survey_responses sr
+                       WHERE sr.campaign_id = sc.id AND REPLACE(sr.player_licence, ' ', '') = $2)
+       AND NOT EXISTS (SELECT 1 FROM survey_dismissals sd
+                       WHERE sd.campaign_id = sc.id AND REPLACE(sd.player_licence, ' ', '') = $2 AND sd.dismiss_count >= 3)
+     ORDER BY sc.starts_at DESC NULLS LAST, sc.id DESC`,
+    [orgId, normalized]
+  );
+  if (campaigns.length === 0) return { campaigns, player: null };
+
+  const player = await dbGet(
+    `SELECT licence, first_name, last_name, club, rank_libre, rank_cadre, rank_bande, rank_3bandes
+     FROM players WHERE REPLACE(licence, ' ', '') = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [normalized, orgId]
+  );
+  const modeToColumn = await audience.loadModeColumns();
+  return {
+    campaigns: campaigns.filter(c => audience.matchesAudience(c, player, modeToColumn)),
+    player
+  };
+}
+
+function publicCampaign(campaign) {
+  return {
+    id: campaign.id,
+    title: campaign.title,
+    description: campaign.description,
+    survey_type: campaign.survey_type || 'ratings',
+    ends_at: campaign.ends_at,
+    questions: campaignQuestions(campaign)
+  };
+}
+
+// ==================== PLAYER APP ====================
+// Declared before /:id so "me" is not read as a campaign id.
+
+// Survey to show to the player (null when there is none)
+router.get('/me/active', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  try {
+    const { campaigns } = await openCampaignsForPlayer(licence, organizationId || null);
+    res.json({ survey: campaigns.length > 0 ? publicCampaign(campaigns[0]) : null });
+  } catch (err) {
+    console.error('Error fetching player survey:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Answer a survey. answers = { questionKey: value }; legacy campaigns use the
+// keys rating_1..rating_5, overall_rating and comment.
+router.post('/me/:id/responses', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  try {
+    const { campaigns, player } = await openCampaignsForPlayer(licence, organizationId || null);
+    const campaign = campaigns.find(c => String(c.id) === String(req.params.id));
+    if (!campaign) {
+      return res.status(404).json({ error: 'Ce sondage n\'est pas disponible (clôturé ou déjà répondu)' });
+    }
+
+    let answers;
+    try {
+      answers = surveyEngine.validateAnswers(campaignQuestions(campaign), req.body.answers);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
+
+    const isCustom = campaign.survey_type === 'custom';
+    const playerName = player ? `${player.first_name} ${player.last_name}`.trim() : null;
+    await new Promise((resolve, reject) => {
+      getDb().run(
+        `INSERT INTO survey_responses (campaign_id, player_licence, player_name, rating_1, rating_2, rating_3, rating_4, rating_5,
+                                       overall_rating, comment, answers, organization_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (campaign_id, player_licence) DO NOTHING`,
+        [
+          campaign.id,
+          String(licence).replace(/\s/g, ''),
+          playerName,
+          isCustom ? null : answers.rating_1,
+          isCustom ? null : answers.rating_2,
+          isCustom ? null : answers.rating_3,
+          isCustom ? null : answers.rating_4,
+          isCustom ? null : answers.rating_5,
+          isCustom ? null : answers.overall_rating,
+          isCustom ? null : (answers.comment || null),
+          isCustom ? JSON.stringify(answers) : null,
+          campaign.organization_id
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    res.json({ success: true, message: 'Merci pour votre participation !' });
+  } catch (err) {
+    console.error('Error saving survey response:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// "Plus tard": after 3 dismissals the survey is no longer shown
+router.post('/me/:id/dismiss', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  try {
+    const { campaigns } = await openCampaignsForPlayer(licence, organizationId || null);
+    if (!campaigns.some(c => String(c.id) === String(req.params.id))) {
+      return res.status(404).json({ error: 'Ce sondage n\'est pas disponible' });
+    }
+    await new Promise((resolve, reject) => {
+      getDb().run(
+        `INSERT INTO survey_dismissals (campaign_id, player_licence)
+         VALUES ($1, $2)
+         ON CONFLICT (campaign_id, player_licence)
+         DO UPDATE SET dismiss_count = survey_dismissals.dismiss_count + 1, last_dismissed_at = CURRENT_TIMESTAMP`,
+        [req.params.id, String(licence).replace(/\s/g, '')],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error dismissing survey:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== ADMIN ====================
+
+// Number of Player App users reached by the audience filters
+// (same criteria as the announcements)
+router.post('/audience-count', authenticateToken, async (req, res) => {
+  const { target_modes, target_rankings, target_clubs } = req.body || {};
+  try {
+    const count = await audience.countAudience({ target_modes, target_rankings, target_clubs }, req.user.organizationId);
+    res.json({ count });
+  } catch (err) {
+    console.error('Error fetching survey audience count:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // List all campaigns for org, ordered by created_at DESC
 router.get('/', authenticateToken, (req, res) => {
   const db = getDb();
@@ -54,6 +242,13 @@ router.post('/', authenticateToken, (req, res) => {
     return res.status(400).json({ error: 'Le titre est requis' });
   }
 
+  let content;
+  try {
+    content = surveyContent(req.body);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
   const created_by = req.user?.username || 'admin';
   const orgId = req.user.organizationId || null;
 
@@ -66,10 +261,12 @@ router.post('/', authenticateToken, (req, res) => {
   ];
 
   db.run(
-    `INSERT INTO survey_campaigns (title, description, category_1_label, category_2_label, category_3_label, category_4_label, category_5_label, organization_id, created_by)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `INSERT INTO survey_campaigns (title, description, category_1_label, category_2_label, category_3_label, category_4_label, category_5_label, organization_id, created_by,
+                                   survey_type, questions, target_modes, target_rankings, target_clubs)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
      RETURNING id`,
-    [title, description || null, labels[0], labels[1], labels[2], labels[3], labels[4], orgId, created_by],
+    [title, description || null, labels[0], labels[1], labels[2], labels[3], labels[4], orgId, created_by,
+     content.survey_type, content.questions, content.target_modes, content.target_rankings, content.target_clubs],
     function(err) {
       if (err) {
         console.error('Error creating survey campaign:', err);
@@ -139,11 +336,20 @@ router.put('/:id', authenticateToken, async (req, res) => {
         );
       });
     } else {
-      // Draft/scheduled: full edit
+      // Draft/scheduled: full edit (questions and audience included)
+      let content;
+      try {
+        content = surveyContent(req.body);
+      } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        throw err;
+      }
+
       await new Promise((resolve, reject) => {
         db.run(
           `UPDATE survey_campaigns
-           SET title = $1, description = $2, category_1_label = $3, category_2_label = $4, category_3_label = $5, category_4_label = $6, category_5_label = $7
+           SET title = $1, description = $2, category_1_label = $3, category_2_label = $4, category_3_label = $5, category_4_label = $6, category_5_label = $7,
+               survey_type = $10, questions = $11, target_modes = $12, target_rankings = $13, target_clubs = $14
            WHERE id = $8 AND ($9::int IS NULL OR organization_id = $9)`,
           [
             title,
@@ -154,7 +360,12 @@ router.put('/:id', authenticateToken, async (req, res) => {
             category_4_label || DEFAULT_CATEGORY_LABELS[3],
             category_5_label || DEFAULT_CATEGORY_LABELS[4],
             id,
-            orgId
+            orgId,
+            content.survey_type,
+            content.questions,
+            content.target_modes,
+            content.target_rankings,
+            content.target_clubs
           ],
           function(err) {
             if (err) reject(err);
@@ -351,6 +562,53 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// CSV / XLSX export of the answers (one row per player)
+async function sendResultsExport(res, format, campaign, questions, responses) {
+  const rows = campaign.survey_type === 'custom'
+    ? responses
+    : responses.map(r => ({ ...r, answers: surveyEngine.legacyAnswers(r) }));
+  const { header, rows: data } = surveyEngine.buildExportRows(questions, rows);
+  const baseName = `sondage_${String(campaign.title || campaign.id).replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 50)}`;
+
+  if (format === 'csv') {
+    const escape = (v) => `"${String(v).replace(/"/g, '""')}"`;
+    const csv = '\ufeff' + header.map(escape).join(';') + '\r\n' + data.map(r => r.map(escape).join(';')).join('\r\n');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+    return res.send(csv);
+  }
+
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Réponses');
+  sheet.addRow(header);
+  data.forEach(r => sheet.addRow(r));
+  sheet.getRow(1).font = { bold: true };
+  sheet.columns.forEach((col, idx) => { col.width = idx < 3 ? 20 : 30; });
+
+  // One sheet with the counts per question
+  const summary = workbook.addWorksheet('Synthèse');
+  summary.addRow(['Question', 'Réponse', 'Nombre']);
+  summary.getRow(1).font = { bold: true };
+  for (const q of surveyEngine.aggregateResults(questions, rows)) {
+    if (q.options) {
+      q.options.forEach(o => summary.addRow([q.label, o.label, o.count]));
+    } else if (q.distribution) {
+      Object.entries(q.distribution).forEach(([value, count]) => summary.addRow([q.label, Number(value), count]));
+      summary.addRow([q.label, 'Moyenne', q.average]);
+      if (q.type === 'nps') summary.addRow([q.label, 'Score NPS', q.nps]);
+    } else {
+      summary.addRow([q.label, 'Réponses texte', q.answered]);
+    }
+  }
+  summary.columns.forEach((col, idx) => { col.width = idx === 0 ? 40 : 20; });
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+  await workbook.xlsx.write(res);
+  res.end();
+}
+
 // Get campaign results
 router.get('/:id/results', authenticateToken, async (req, res) => {
   const db = getDb();
@@ -391,6 +649,21 @@ router.get('/:id/results', authenticateToken, async (req, res) => {
 
     const responseCount = responses.length;
 
+    const questions = campaignQuestions(campaign);
+    const format = String(req.query.format || '').toLowerCase();
+    if (format === 'csv' || format === 'xlsx') {
+      return sendResultsExport(res, format, campaign, questions, responses);
+    }
+
+    // Per-question results (charts). Legacy campaigns are converted so the
+    // same charts work for both types.
+    const questionResults = surveyEngine.aggregateResults(
+      questions,
+      campaign.survey_type === 'custom'
+        ? responses
+        : responses.map(r => ({ ...r, answers: surveyEngine.legacyAnswers(r) }))
+    );
+
     // Compute averages per category and overall
     let averages = {
       rating_1: 0,
@@ -412,6 +685,7 @@ router.get('/:id/results', authenticateToken, async (req, res) => {
       for (const response of responses) {
         for (const field of ratingFields) {
           const val = response[field];
+          if (val === null || val === undefined) continue;
           averages[field] += val;
           distribution[field][val] = (distribution[field][val] || 0) + 1;
         }
@@ -448,13 +722,18 @@ router.get('/:id/results', authenticateToken, async (req, res) => {
 
     const declinedCount = declinedResult?.count || 0;
 
+    // Players targeted by the campaign, for the response rate
+    const audienceSize = await audience.countAudience(campaign, orgId);
+
     res.json({
-      campaign,
+      campaign: { ...campaign, questions, ...audience.parseTargeting(campaign) },
       responseCount,
+      audienceSize,
       averages,
       distribution,
       comments,
-      declinedCount
+      declinedCount,
+      questions: questionResults
     });
   } catch (err) {
     console.error('Error fetching survey results:', err);
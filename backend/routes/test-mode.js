@@ -4,6 +4,8 @@ const { authenticateToken } = require('./auth');
 const db = require('../db-loader');
 const appSettings = require('../utils/app-settings');
 const { sendEmail } = require('../utils/email-helpers');
+const templateEngine = require('../utils/template-engine');
+const { renderTemplate, buildConvocationContext } = require('../utils/email-template-schemas');
 
 // ==================== HELPER FUNCTIONS ====================
 
@@ -73,14 +75,9 @@ async function getEmailTemplate(templateKey, orgId) {
   });
 }
 
-// Replace template variables
+// Replace template variables (same engine as the real sends)
 function replaceTemplateVariables(text, variables) {
-  let result = text;
-  for (const [key, value] of Object.entries(variables)) {
-    const regex = new RegExp(`\\{${key}\\}`, 'g');
-    result = result.replace(regex, value || '');
-  }
-  return result;
+  return templateEngine.render(text, variables);
 }
 
 // Build "from" address for emails
@@ -436,36 +433,34 @@ async function sendTestConvocations(db, appSettings, playerLicences, overrideEma
       tomorrow.setDate(tomorrow.getDate() + 1);
       const dateStr = tomorrow.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
 
+      const testPoules = poules
+        .map((poulePlayers, number) => ({ number, players: poulePlayers || [] }))
+        .filter(poule => poule.players.length > 0);
+
       // 9. Send REAL emails via Resend
       const emails = [];
       for (let index = 0; index < players.length; index++) {
         const player = players[index];
         const pouleNum = Math.floor(index / pouleSize) + 1;
 
-        // Prepare template variables
-        const templateVariables = {
-          player_name: `${player.first_name} ${player.last_name}`,
-          first_name: player.first_name,
-          last_name: player.last_name,
-          club: player.club || '',
-          category: 'Libre N2',
-          tournament: 'TEST - Mode Test',
-          date: dateStr,
-          tournament_date: dateStr,
-          time: '14H00',
-          tournament_lieu: 'Salle de test',
-          location: 'Salle de test',
-          poule: pouleNum,
+        // Same context as the real convocations (utils/email-template-schemas.js)
+        const templateContext = buildConvocationContext({
+          player,
+          poules: testPoules,
+          locations: [{ locationNum: '1', name: 'Salle de test', startTime: '14:00' }],
+          categoryName: 'Libre N2',
+          tournamentLabel: 'TEST - Mode Test',
+          mode: 'Libre',
+          dateStr,
           distance: '80',
           reprises: '25',
-          organization_name: emailSettings.organization_name || 'Comité Départemental de Billard',
-          organization_short_name: orgShortName,
-          organization_email: contactEmail
-        };
+          emailSettings,
+          contactEmail
+        });
 
         // Generate subject and body from template
-        const emailSubject = '[TEST] ' + replaceTemplateVariables(emailTemplate.subject, templateVariables);
-        const emailBodyText = replaceTemplateVariables(emailTemplate.body, templateVariables);
+        const emailSubject = '[TEST] ' + renderTemplate('convocation', emailTemplate.subject, templateContext);
+        const emailBodyText = renderTemplate('convocation', emailTemplate.body, templateContext);
         const emailBodyHtml = emailBodyText.replace(/\n/g, '<br>');
 
         // Build HTML email with real branding
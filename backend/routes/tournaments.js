@@ -4,12 +4,15 @@ const { parse } = require('csv-parse');
 const path = require('path');
 const fs = require('fs');
 const db = require('../db-loader');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, denyPermission } = require('./auth');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const { getColumnMapping } = require('./import-config');
 const appSettings = require('../utils/app-settings');
+const rankingRules = require('../utils/ranking-rules');
+const rankingSnapshots = require('../utils/ranking-snapshots');
+const i18n = require('../utils/i18n');
 const { getRankingTournamentNumbers, getFinaleTournamentNumber, getTournamentLabel } = require('./settings');
-const { buildNotification, getResultsNotificationType } = require('../notification-messages');
+const { localizedNotification, getResultsNotificationType } = require('../notification-messages');
 const { sendPushToPlayers } = require('./push');
 const logger = require('../utils/logger');
 
@@ -968,7 +971,7 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
                             // Send to each player with their position
                             for (const participant of participants) {
                               try {
-                                const resultsNotif = buildNotification(notifType, {
+                                const resultsNotif = localizedNotification(notifType, {
                                   tournoiName: tournamentInfo.category_name,
                                   position: participant.position
                                 });
@@ -1097,10 +1100,10 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
 
                                   // Send notifications to qualified players
                                   const licences = qualifiedPlayers.map(p => p.licence);
-                                  const notification = buildNotification('FINALE_QUALIFICATION', {
+                                  const notification = localizedNotification('FINALE_QUALIFICATION', locale => ({
                                     tournoiName: categoryInfo?.display_name || 'Finale',
-                                    finaleDate: finaleDate
-                                  });
+                                    finaleDate: finaleTournament?.debut ? i18n.formatDate(finaleTournament.debut, locale) : finaleDate
+                                  }));
 
                                   const result = await sendPushToPlayers(licences, orgId, notification);
                                   logger.log(`[FINALE_QUALIFICATION] Sent notification to ${result.total_sent} qualified player(s)`);
@@ -1149,7 +1152,7 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
                           hasBonuses,
                           errors: errors.length > 0 ? errors : undefined
                         });
-                        });
+                        }, { trigger: 'import', tournamentId: finalTournamentId, userId: req.user.userId });
                       });
                     }); // Close recalculatePositions callback
                   });
@@ -1343,7 +1346,7 @@ router.post('/:tournamentId/category-bonus', authenticateToken, async (req, res)
     await new Promise((resolve) => {
       recalculateRankings(tournament.category_id, tournament.season, () => {
         resolve();
-      });
+      }, { trigger: 'category_bonus', tournamentId, userId: req.user.userId });
     });
 
     res.json({ message: 'Bonus catégories mixtes enregistrés', updated: bonuses.length });
@@ -1703,13 +1706,29 @@ function computeBonusPoints(tournamentId, categoryId, orgId, callback) {
 }
 
 // Recalculate rankings for a category and season (dispatcher)
-function recalculateRankings(categoryId, season, callback) {
+// V 2.0.888 — snapshotInfo = { trigger, tournamentId, userId }: every
+// successful recalculation is followed by an immutable snapshot of the
+// result (utils/ranking-snapshots.js). A failed snapshot is logged and
+// never fails the recalculation itself.
+function recalculateRankings(categoryId, season, done, snapshotInfo) {
+  const info = (snapshotInfo && typeof snapshotInfo === 'object') ? snapshotInfo : {};
   // Resolve orgId from tournament data, then check qualification mode
   db.get(
     'SELECT DISTINCT organization_id FROM tournaments WHERE category_id = ? AND season = ? AND organization_id IS NOT NULL LIMIT 1',
     [categoryId, season],
     (err, row) => {
       const orgId = row ? row.organization_id : null;
+      const callback = (calcErr, ...rest) => {
+        if (calcErr) return done(calcErr, ...rest);
+        rankingSnapshots.takeRankingSnapshot({
+          categoryId, season, orgId,
+          trigger: info.trigger || 'recalculate',
+          tournamentId: info.tournamentId,
+          userId: info.userId
+        })
+          .catch(snapErr => logger.error(`[RANKING] Snapshot failed for category ${categoryId}, season ${season}:`, snapErr.message))
+          .then(() => done(null, ...rest));
+      };
       if (orgId) {
         appSettings.getOrgSetting(orgId, 'qualification_mode').then(mode => {
           if (mode === 'journees') {
@@ -1959,8 +1978,21 @@ async function recalculateRankingsJournees(categoryId, season, callback, orgId)
       });
     }
 
-    // Sort by total score DESC, then average DESC, then best serie DESC
-    rankings.sort((a, b) => b.totalScore - a.totalScore || b.avgMoyenne - a.avgMoyenne || b.bestSerie - a.bestSerie);
+    // V 2.0.886 — Order with the org's tiebreak chain
+    // (default: total score DESC, then average DESC, then best serie DESC)
+    const chain = await rankingRules.getTiebreakChain(orgId, 'journees');
+    const tiebreakStats = await rankingRules.loadTiebreakStats({
+      categoryId, season, orgId,
+      tournamentNumbers: tournaments.map(t => t.tournament_number),
+      chain
+    });
+    const ordered = rankingRules.applyTiebreakChain(rankings, chain, tiebreakStats, r => ({
+      licence: r.licence,
+      position_points: r.totalScore,
+      moyenne: r.avgMoyenne,
+      best_serie: r.bestSerie
+    }));
+    rankings.splice(0, rankings.length, ...ordered);
 
     // Delete existing rankings
     await dbRunAsync('DELETE FROM rankings WHERE category_id = ? AND season = ? AND ($3::int IS NULL OR organization_id = $3)', [categoryId, season, orgId]);
@@ -2012,7 +2044,8 @@ async function recalculateRankingsStandard(categoryId, season, callback, orgId)
 
   // Get all tournament results for this category and season
   // Exclude finale from ranking calculation
-  // Ranking order: 1) match points DESC, 2) cumulative moyenne DESC, 3) best serie DESC
+  // SQL order is only a first pass: the final order comes from the org's
+  // tiebreak chain (default: match points, cumulative moyenne, best serie)
   const query = `
     SELECT
       REPLACE(tr.licence, ' ', '') as licence,
@@ -2039,7 +2072,7 @@ async function recalculateRankingsStandard(categoryId, season, callback, orgId)
   // Standard mode: ALL tournaments count — best_of_count is only for journées mode
   const bestOfCount = 0;
 
-  db.all(query, [categoryId, season, orgId], (err, results) => {
+  db.all(query, [categoryId, season, orgId], async (err, results) => {
     if (err) {
       console.error(`[RANKING] Error calculating rankings for category ${categoryId}:`, err);
       return callback(err);
@@ -2081,13 +2114,24 @@ async function recalculateRankingsStandard(categoryId, season, callback, orgId)
         });
         r.position_points_detail = JSON.stringify(ppDetail);
       });
+    }
 
-      // Re-sort by recalculated total, then moyenne, then best serie
-      results.sort((a, b) =>
-        b.total_match_points - a.total_match_points ||
-        b.avg_moyenne - a.avg_moyenne ||
-        b.best_serie - a.best_serie
-      );
+    // V 2.0.886 — Order with the org's tiebreak chain
+    try {
+      const chain = await rankingRules.getTiebreakChain(orgId, 'standard');
+      const tiebreakStats = await rankingRules.loadTiebreakStats({
+        categoryId, season, orgId, tournamentNumbers: rankingNumbers, chain
+      });
+      results = rankingRules.applyTiebreakChain(results, chain, tiebreakStats, r => ({
+        licence: r.licence,
+        match_points: r.total_match_points,
+        moyenne: r.avg_moyenne,
+        best_serie: r.best_serie
+      }));
+      logger.log(`[RANKING] Tiebreak chain: ${chain.join(' > ')}`);
+    } catch (chainErr) {
+      console.error(`[RANKING] Error applying tiebreak chain for category ${categoryId}:`, chainErr);
+      return callback(chainErr);
     }
 
     // Log top 3 for verification
@@ -2336,7 +2380,7 @@ router.post('/recalculate-rankings', authenticateToken, async (req, res) => {
           playersRanked: playersRanked
         });
       });
-  });
+  }, { trigger: 'recalculate', userId: req.user.userId });
   }); // close recomputeAllBonuses
 });
 
@@ -3384,7 +3428,7 @@ router.delete('/:id', authenticateToken, (req, res) => {
           }
 
           res.json({ message: 'Tournament deleted successfully' });
-        });
+        }, { trigger: 'tournament_deleted', tournamentId: parseInt(tournamentId, 10), userId: req.user.userId });
       });
     });
   });
@@ -3420,7 +3464,7 @@ router.post('/recalculate-all-rankings', authenticateToken, async (req, res) =>
                 recalculated++;
               }
               resolve();
-            });
+            }, { trigger: 'recalculate_all', userId: req.user.userId });
           });
         });
       }
@@ -3439,8 +3483,8 @@ router.post('/recalculate-all-rankings', authenticateToken, async (req, res) =>
 // Recompute all bonuses + rankings for current season (triggered when bonus settings change)
 router.post('/recompute-all-bonuses', authenticateToken, async (req, res) => {
   try {
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    if (!req.can('rankings.recalculate')) {
+      return denyPermission(res, 'rankings.recalculate');
     }
 
     const orgId = req.user.organizationId || null;
@@ -3494,7 +3538,7 @@ router.post('/recompute-all-bonuses', authenticateToken, async (req, res) => {
               recomputed++;
             }
             resolve();
-          });
+          }, { trigger: 'recompute_bonuses', userId: req.user.userId });
         }, fromDate);
       });
     }
@@ -3803,8 +3847,8 @@ async function recomputePositionsFromMatches(tournamentId) {
 // Recompute position_points + bonus + rankings for an existing tournament (admin only)
 // Useful after configuration changes (e.g., position points table updated, bonus rules added)
 router.post('/:id/recompute', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('rankings.recalculate')) {
+    return denyPermission(res, 'rankings.recalculate');
   }
 
   const tournamentId = req.params.id;
@@ -3842,7 +3886,7 @@ router.post('/:id/recompute', authenticateToken, async (req, res) => {
     await new Promise((resolve, reject) => {
       recalculateRankings(tournament.category_id, tournament.season, (err) => {
         if (err) reject(err); else resolve();
-      });
+      }, { trigger: 'recompute', tournamentId: parseInt(tournamentId, 10), userId: req.user.userId });
     });
 
     logger.log(`[RECOMPUTE] Tournament ${tournamentId} recomputed successfully (cat=${tournament.category_id}, season=${tournament.season})`);
@@ -3856,8 +3900,8 @@ router.post('/:id/recompute', authenticateToken, async (req, res) => {
 // Recalculate moyenne for all tournament results (admin only)
 // moyenne = points / reprises
 router.post('/recalculate-moyennes', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('rankings.recalculate')) {
+    return denyPermission(res, 'rankings.recalculate');
   }
 
   try {
@@ -3915,8 +3959,8 @@ router.post('/recalculate-moyennes', authenticateToken, async (req, res) => {
 
 // Recalculate moyenne for a specific tournament (admin only)
 router.post('/:id/recalculate-moyennes', authenticateToken, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+  if (!req.can('rankings.recalculate')) {
+    return denyPermission(res, 'rankings.recalculate');
   }
 
   const { id } = req.params;
@@ -4231,7 +4275,7 @@ router.put('/:id/scoring-detail', authenticateToken, async (req, res) => {
         recalculateRankings(tournament.category_id, tournament.season, (err) => {
           if (err) reject(err);
           else resolve();
-        });
+        }, { trigger: 'scoring_detail', tournamentId: parseInt(tournamentId, 10), userId: req.user.userId });
       });
 
       logAdminAction({
@@ -5205,7 +5249,7 @@ router.post('/import-matches', authenticateToken, upload.array('files', 20), asy
       recomputeAllBonuses(categoryId, season, orgId, async () => {
         recalculateRankings(categoryId, season, () => {
           resolve();
-        });
+        }, { trigger: 'import_matches', tournamentId, userId: req.user.userId });
       });
     });
 
@@ -5261,7 +5305,7 @@ router.post('/import-matches', authenticateToken, upload.array('files', 20), asy
         // Send to each player with their position
         for (const participant of participants) {
           try {
-            const resultsNotif = buildNotification(notifType, {
+            const resultsNotif = localizedNotification(notifType, {
               tournoiName: tournamentInfo.category_name,
               position: participant.position
             });
@@ -5374,10 +5418,10 @@ router.post('/import-matches', authenticateToken, upload.array('files', 20), asy
 
         // Push notifications to qualified players
         const licences = qualifiedPlayers.map(p => p.licence);
-        const notification = buildNotification('FINALE_QUALIFICATION', {
+        const notification = localizedNotification('FINALE_QUALIFICATION', locale => ({
           tournoiName: categoryInfo?.display_name || 'Finale',
-          finaleDate
-        });
+          finaleDate: finaleTournament?.debut ? i18n.formatDate(finaleTournament.debut, locale) : finaleDate
+        }));
         try {
           const result = await sendPushToPlayers(licences, orgId, notification);
           logger.log(`[FINALE_QUALIFICATION] (E2i) Sent notification to ${result.total_sent} qualified player(s)`);
@@ -0,0 +1,227 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { authenticatePlayerToken } = require('./push');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const waitlist = require('../utils/waitlist');
+
+const router = express.Router();
+
+// V 2.0.894 — Capacité des tournois et liste d'attente.
+// See utils/waitlist.js for the promotion rules. The offer itself is
+// answered through the RSVP links (/api/rsvp), the Player App or an admin.
+
+function sendError(res, error, context) {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// ==================== PLAYER APP ====================
+// Declared before /:tournoiId so "me" is not read as a tournament id.
+
+// Capacity of the tournament and the player's place in the waiting list
+router.get('/me/:tournoiId', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  try {
+    const capacity = await waitlist.getCapacityStatus(req.params.tournoiId, organizationId || null);
+    if (!capacity) return res.status(404).json({ error: 'Tournoi non trouvé' });
+    const entry = await waitlist.getPlayerEntry(req.params.tournoiId, licence);
+    res.json({ ...capacity, entry });
+  } catch (error) {
+    sendError(res, error, 'fetching player waiting list status');
+  }
+});
+
+// Join the waiting list of a full tournament
+router.post('/me/:tournoiId', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  try {
+    const result = await waitlist.joinWaitlist({
+      tournoiId: req.params.tournoiId,
+      orgId: organizationId || null,
+      licence,
+      source: 'player_app'
+    });
+    if (result.status === 'not_full') {
+      return res.status(409).json({ error: 'Le tournoi n\'est pas complet : inscrivez-vous directement', status: result.status });
+    }
+    if (result.status === 'already_registered') {
+      return res.status(409).json({ error: 'Vous êtes déjà inscrit(e) à ce tournoi', status: result.status });
+    }
+    res.json({ success: true, status: result.status, entry: result.entry });
+  } catch (error) {
+    sendError(res, error, 'joining waiting list');
+  }
+});
+
+// Leave the waiting list (withdraws a pending offer)
+router.delete('/me/:tournoiId', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  try {
+    const result = await waitlist.leaveWaitlist({
+      tournoiId: req.params.tournoiId,
+      orgId: organizationId || null,
+      licence,
+      source: 'player_app'
+    });
+    if (!result.entry) return res.status(404).json({ error: 'Vous n\'êtes pas sur la liste d\'attente de ce tournoi' });
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'leaving waiting list');
+  }
+});
+
+// Accept / decline the place offered
+router.post('/me/:tournoiId/respond', authenticatePlayerToken, async (req, res) => {
+  const { licence, organizationId } = req.player;
+  const { accept } = req.body;
+  if (typeof accept !== 'boolean') return res.status(400).json({ error: 'Réponse requise' });
+
+  try {
+    const result = await waitlist.respondToOffer({
+      tournoiId: req.params.tournoiId,
+      orgId: organizationId || null,
+      licence,
+      accept,
+      source: 'player_app'
+    });
+    if (result.status === 'not_offered') {
+      return res.status(400).json({ error: 'Aucune place ne vous est proposée pour ce tournoi' });
+    }
+    if (result.status === 'expired') {
+      return res.status(410).json({ error: 'Le délai pour accepter la place est dépassé', status: result.status });
+    }
+    res.json({ success: true, status: result.status });
+  } catch (error) {
+    sendError(res, error, 'recording waiting list answer');
+  }
+});
+
+// ==================== ADMIN ====================
+
+// Capacity suggested for a number of billiards (poule rules of the org)
+router.get('/capacity-for-tables', authenticateToken, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const result = await waitlist.capacityForTables(req.query.tables, orgId, req.query.mode);
+    if (!result) return res.status(400).json({ error: 'Nombre de tables invalide' });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'computing capacity for tables');
+  }
+});
+
+// Capacity status + waiting list of a tournament
+router.get('/:tournoiId', authenticateToken, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const capacity = await waitlist.getCapacityStatus(req.params.tournoiId, orgId);
+    if (!capacity) return res.status(404).json({ error: 'Tournoi non trouvé' });
+    const entries = await waitlist.getWaitlist(req.params.tournoiId, orgId);
+    res.json({ ...capacity, entries, statusLabels: waitlist.STATUS_LABELS });
+  } catch (error) {
+    sendError(res, error, 'fetching waiting list');
+  }
+});
+
+// Add a player to the waiting list (phone call, email to the committee...)
+router.post('/:tournoiId', authenticateToken, requireAdmin, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const { licence } = req.body;
+  if (!licence) return res.status(400).json({ error: 'Licence requise' });
+
+  try {
+    const result = await waitlist.joinWaitlist({ tournoiId: req.params.tournoiId, orgId, licence, source: 'admin' });
+    if (result.status === 'not_full') {
+      return res.status(409).json({ error: 'Le tournoi n\'est pas complet : inscrivez le joueur directement' });
+    }
+    if (result.status === 'already_registered') {
+      return res.status(409).json({ error: 'Ce joueur est déjà inscrit à ce tournoi' });
+    }
+    if (result.status === 'joined') {
+      logAdminAction({
+        req,
+        action: ACTION_TYPES.WAITLIST_ADD,
+        details: `Liste d'attente: ${result.entry.player_name || licence} ajouté(e) en position ${result.entry.rank}`,
+        targetType: 'tournoi',
+        targetId: req.params.tournoiId,
+        targetName: result.entry.player_name || licence
+      });
+    }
+    res.json({ success: true, status: result.status, entry: result.entry });
+  } catch (error) {
+    sendError(res, error, 'adding player to waiting list');
+  }
+});
+
+// Remove a player from the waiting list
+router.delete('/:tournoiId/:licence', authenticateToken, requireAdmin, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const result = await waitlist.leaveWaitlist({
+      tournoiId: req.params.tournoiId,
+      orgId,
+      licence: req.params.licence,
+      source: 'admin'
+    });
+    if (!result.entry) return res.status(404).json({ error: 'Joueur absent de la liste d\'attente' });
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.WAITLIST_REMOVE,
+      details: `Liste d'attente: ${result.entry.player_name || result.entry.licence} retiré(e)`,
+      targetType: 'tournoi',
+      targetId: req.params.tournoiId,
+      targetName: result.entry.player_name || result.entry.licence
+    });
+    res.json({ success: true, promoted: result.promoted });
+  } catch (error) {
+    sendError(res, error, 'removing player from waiting list');
+  }
+});
+
+// Offer the free places now (after a manual change of the inscriptions)
+router.post('/:tournoiId/offer', authenticateToken, requireAdmin, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  try {
+    const offered = await waitlist.promoteNextWaiting({ tournoiId: req.params.tournoiId, orgId });
+    if (offered.length > 0) {
+      logAdminAction({
+        req,
+        action: ACTION_TYPES.WAITLIST_OFFER,
+        details: `Liste d'attente: place proposée à ${offered.map(o => o.player_name || o.licence).join(', ')}`,
+        targetType: 'tournoi',
+        targetId: req.params.tournoiId
+      });
+    }
+    res.json({ success: true, offered });
+  } catch (error) {
+    sendError(res, error, 'offering places from waiting list');
+  }
+});
+
+// Answer of a waiting player entered by an admin
+router.post('/:tournoiId/respond', authenticateToken, requireAdmin, async (req, res) => {
+  const orgId = req.user.organizationId || null;
+  const { licence, accept } = req.body;
+  if (!licence || typeof accept !== 'boolean') {
+    return res.status(400).json({ error: 'Licence et réponse requises' });
+  }
+
+  try {
+    const result = await waitlist.respondToOffer({
+      tournoiId: req.params.tournoiId,
+      orgId,
+      licence,
+      accept,
+      source: 'manual'
+    });
+    if (result.status === 'not_offered') {
+      return res.status(400).json({ error: 'Aucune place en attente de réponse pour ce joueur' });
+    }
+    res.json({ success: true, status: result.status, promoted: result.promoted || [] });
+  } catch (error) {
+    sendError(res, error, 'recording waiting list answer');
+  }
+});
+
+module.exports = router;
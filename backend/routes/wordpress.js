@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateToken } = require('./auth');
 const appSettings = require('../utils/app-settings');
+const i18n = require('../utils/i18n');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const { getRankingTournamentNumbers, getFinaleTournamentNumber, getTournamentLabel } = require('./settings');
 
@@ -135,14 +136,15 @@ async function wpXmlRpc(siteUrl, method, params) {
 
 // ─── Helper: Get WP settings for an org ───────────────────────────────────────
 async function getWpSettings(orgId) {
-  const keys = ['wp_site_url', 'wp_username', 'wp_app_password', 'wp_default_status', 'wp_enabled'];
+  const keys = ['wp_site_url', 'wp_username', 'wp_app_password', 'wp_default_status', 'wp_enabled', 'publication_locale'];
   const settings = await appSettings.getOrgSettingsBatch(orgId, keys);
   return {
     siteUrl: settings.wp_site_url || '',
     username: settings.wp_username || '',
     password: settings.wp_app_password || '',
     defaultStatus: settings.wp_default_status || 'draft',
-    enabled: settings.wp_enabled === 'true'
+    enabled: settings.wp_enabled === 'true',
+    locale: i18n.normalizeLocale(settings.publication_locale) || i18n.DEFAULT_LOCALE
   };
 }
 
@@ -202,15 +204,268 @@ async function uploadFileToWp(siteUrl, username, password, filename, contentType
   }
 }
 
+// ─── Publication strings (V 2.0.893) ──────────────────────────────────────────
+// Posts are written in the org's publication language (setting
+// publication_locale, French by default) — a post has one text for every
+// reader. The French opening and winner sentences keep their 5 variants;
+// the other languages have fewer (picked with variantIndex % length).
+// Missing keys fall back to French via i18n.localized.
+const WP_STRINGS = {
+  fr: {
+    colon: ' : ',
+    convocationTitle: 'Convocation',
+    resultsTitle: 'Résultats',
+    updatedOn: (date, time) => `Mise à jour du ${date} à ${time}`,
+    convocationIntro: 'Cette annonce est la confirmation de la convocation qui a été envoyée par email ; nous vous en rappelons les détails ci-dessous.',
+    goodLuck: 'Bonne compétition !',
+    timeAt: time => ` à ${time}`,
+    locationNum: num => ` (Lieu ${num})`,
+    distance: 'Distance',
+    reprises: 'Reprises',
+    note: 'Note',
+    poule: num => `Poule ${num}`,
+    colPlayer: 'Joueur',
+    colClub: 'Club',
+    pdfLink: 'Télécharger la convocation en PDF',
+    publicPageLink: 'Voir les détails sur la plateforme',
+    locationPhrase: loc => `au club de ${loc}`,
+    datePhrase: date => `le ${date}`,
+    finaleOpenings: [
+      ({ datePhrase, locationPhrase, categoryName }) => `La <strong>Finale Départementale</strong> de <strong>${categoryName}</strong> s'est déroulée ${datePhrase} ${locationPhrase}. Une compétition décisive qui a tenu toutes ses promesses !`,
+      ({ datePhrase, locationPhrase, categoryName }) => `Place à la <strong>Finale Départementale</strong> de <strong>${categoryName}</strong> ! ${datePhrase ? `Ce ${datePhrase}` : ''} ${locationPhrase}, les meilleurs joueurs du département se sont affrontés pour le titre.`,
+      ({ datePhrase, locationPhrase, categoryName }) => `Le grand rendez-vous de la saison est arrivé : la <strong>Finale Départementale</strong> de <strong>${categoryName}</strong> s'est jouée ${datePhrase} ${locationPhrase}. Retour sur une compétition d'exception.`,
+      ({ datePhrase, locationPhrase, categoryName }) => `${locationPhrase ? `C'est ${locationPhrase}` : 'C\'est'} que s'est tenue ${datePhrase} la <strong>Finale Départementale</strong> de <strong>${categoryName}</strong>. L'aboutissement d'une saison de compétition intense.`,
+      ({ datePhrase, locationPhrase, categoryName }) => `Moment fort de la saison : la <strong>Finale Départementale</strong> de <strong>${categoryName}</strong> a réuni ${datePhrase} ${locationPhrase} les meilleurs compétiteurs du département.`
+    ],
+    regularOpenings: [
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Belle journée de compétition ${datePhrase ? `ce ${datePhrase}` : ''} ${locationPhrase} pour le <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong>.`,
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Les joueurs de <strong>${categoryName}</strong> se sont retrouvés ${datePhrase} ${locationPhrase} pour le <strong>${tournamentLabel}</strong>. Compte-rendu de cette journée de compétition.`,
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Le <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong> s'est déroulé ${datePhrase} ${locationPhrase}. Retour sur les résultats de cette rencontre.`,
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Journée de billard réussie ${datePhrase} ${locationPhrase} ! Le <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong> a offert de belles parties.`,
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `${locationPhrase ? `C'est ${locationPhrase}` : 'C\'est'} que se tenait ${datePhrase} le <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong>. Voici les résultats de cette compétition.`
+    ],
+    moyennePhrase: moyenne => ` avec une moyenne de ${moyenne}`,
+    finaleWinner: (winner, second, third, moyennePhrase) => `${winner} s'impose brillamment${moyennePhrase}, devant ${second} et ${third}.`,
+    winnerPhrases: [
+      (winner, club, moyennePhrase) => `<strong>${winner}</strong> (${club}) remporte la compétition${moyennePhrase}. Félicitations !`,
+      (winner, club, moyennePhrase) => `C'est <strong>${winner}</strong> (${club}) qui s'impose${moyennePhrase}. Bravo !`,
+      (winner, club, moyennePhrase) => `Victoire de <strong>${winner}</strong> (${club})${moyennePhrase}. Belle performance !`,
+      (winner, club, moyennePhrase) => `<strong>${winner}</strong> (${club}) termine en tête de ce tournoi${moyennePhrase}.`,
+      (winner, club, moyennePhrase) => `<strong>${winner}</strong> du ${club} décroche la première place${moyennePhrase}. Félicitations !`
+    ],
+    podiumStats: (points, moyenne) => `${points} pts · Moy: ${moyenne}`,
+    fullResults: 'Résultats complets',
+    colPosition: 'Pos',
+    colMatchPoints: 'Pts Match',
+    colMoyenne: 'Moyenne',
+    colTotalPoints: 'Total Pts',
+    rankingAfter: label => `Classement général après le ${label}`,
+    qualifiedIntro: count => `🎉 Après cette dernière journée de qualification, les ${count} premiers joueurs sont qualifiés pour la Finale Départementale :`,
+    finaleWhen: (datePhrase, locationText) => `📅 La finale se tiendra ${datePhrase} ${locationText}. Une convocation officielle confirmera ce rendez-vous.`,
+    champion: (winner, club) => `🏆 <strong>${winner}</strong> (${club}) est sacré(e) champion(ne) départemental(e) et représentera le département au niveau de la Ligue. Toutes nos félicitations !`,
+    nextMeeting: 'Prochain rendez-vous',
+    nextWhere: lieu => `à ${lieu}`,
+    nextClosing: 'Nous comptons sur votre présence !'
+  },
+  en: {
+    colon: ': ',
+    convocationTitle: 'Notice',
+    resultsTitle: 'Results',
+    updatedOn: (date, time) => `Updated on ${date} at ${time}`,
+    convocationIntro: 'This post confirms the notice that was sent by email; the details are repeated below.',
+    goodLuck: 'Enjoy the competition!',
+    timeAt: time => ` at ${time}`,
+    locationNum: num => ` (Venue ${num})`,
+    reprises: 'Innings',
+    poule: num => `Group ${num}`,
+    colPlayer: 'Player',
+    pdfLink: 'Download the notice as PDF',
+    publicPageLink: 'See the details on the platform',
+    locationPhrase: loc => `at ${loc}`,
+    datePhrase: date => `on ${date}`,
+    finaleOpenings: [
+      ({ datePhrase, locationPhrase, categoryName }) => `The <strong>${categoryName}</strong> <strong>District Final</strong> took place ${datePhrase} ${locationPhrase}. A decisive competition that lived up to all its promises!`,
+      ({ datePhrase, locationPhrase, categoryName }) => `The big event of the season: the <strong>${categoryName}</strong> <strong>District Final</strong> was played ${datePhrase} ${locationPhrase}, bringing together the best players of the district.`
+    ],
+    regularOpenings: [
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `A great day of competition ${datePhrase} ${locationPhrase} for the <strong>${categoryName}</strong> <strong>${tournamentLabel}</strong>.`,
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `The <strong>${categoryName}</strong> players met ${datePhrase} ${locationPhrase} for the <strong>${tournamentLabel}</strong>. Here are the results.`
+    ],
+    moyennePhrase: moyenne => ` with an average of ${moyenne}`,
+    finaleWinner: (winner, second, third, moyennePhrase) => `${winner} wins brilliantly${moyennePhrase}, ahead of ${second} and ${third}.`,
+    winnerPhrases: [
+      (winner, club, moyennePhrase) => `<strong>${winner}</strong> (${club}) wins the competition${moyennePhrase}. Congratulations!`,
+      (winner, club, moyennePhrase) => `Victory for <strong>${winner}</strong> (${club})${moyennePhrase}. Well played!`
+    ],
+    podiumStats: (points, moyenne) => `${points} pts · Avg: ${moyenne}`,
+    fullResults: 'Full results',
+    colMatchPoints: 'Match pts',
+    colMoyenne: 'Average',
+    colTotalPoints: 'Total pts',
+    rankingAfter: label => `Overall ranking after the ${label}`,
+    qualifiedIntro: count => `🎉 After this last qualifying day, the top ${count} players are qualified for the District Final:`,
+    finaleWhen: (datePhrase, locationText) => `📅 The final will be held ${datePhrase} ${locationText}. An official notice will confirm it.`,
+    champion: (winner, club) => `🏆 <strong>${winner}</strong> (${club}) is the district champion and will represent the district at League level. Congratulations!`,
+    nextMeeting: 'Next event',
+    nextWhere: lieu => `at ${lieu}`,
+    nextClosing: 'We look forward to seeing you there!'
+  },
+  de: {
+    colon: ': ',
+    convocationTitle: 'Einladung',
+    resultsTitle: 'Ergebnisse',
+    updatedOn: (date, time) => `Aktualisiert am ${date} um ${time}`,
+    convocationIntro: 'Dieser Beitrag bestätigt die per E-Mail verschickte Einladung; die Einzelheiten finden Sie unten.',
+    goodLuck: 'Viel Erfolg!',
+    timeAt: time => ` um ${time}`,
+    locationNum: num => ` (Spielort ${num})`,
+    reprises: 'Aufnahmen',
+    note: 'Hinweis',
+    poule: num => `Gruppe ${num}`,
+    colPlayer: 'Spieler',
+    colClub: 'Verein',
+    pdfLink: 'Einladung als PDF herunterladen',
+    publicPageLink: 'Details auf der Plattform ansehen',
+    locationPhrase: loc => `im Verein ${loc}`,
+    datePhrase: date => `am ${date}`,
+    finaleOpenings: [
+      ({ datePhrase, locationPhrase, categoryName }) => `Das <strong>Bezirksfinale</strong> <strong>${categoryName}</strong> fand ${datePhrase} ${locationPhrase} statt. Ein entscheidender Wettbewerb, der alle Erwartungen erfüllt hat!`,
+      ({ datePhrase, locationPhrase, categoryName }) => `Höhepunkt der Saison: Beim <strong>Bezirksfinale</strong> <strong>${categoryName}</strong> ${datePhrase} ${locationPhrase} trafen die besten Spieler des Bezirks aufeinander.`
+    ],
+    regularOpenings: [
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Ein schöner Wettkampftag ${datePhrase} ${locationPhrase}: <strong>${tournamentLabel}</strong> <strong>${categoryName}</strong>.`,
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Die Spieler der Kategorie <strong>${categoryName}</strong> trafen sich ${datePhrase} ${locationPhrase} zum <strong>${tournamentLabel}</strong>. Hier die Ergebnisse.`
+    ],
+    moyennePhrase: moyenne => ` mit einem Durchschnitt von ${moyenne}`,
+    finaleWinner: (winner, second, third, moyennePhrase) => `${winner} gewinnt souverän${moyennePhrase}, vor ${second} und ${third}.`,
+    winnerPhrases: [
+      (winner, club, moyennePhrase) => `<strong>${winner}</strong> (${club}) gewinnt den Wettbewerb${moyennePhrase}. Herzlichen Glückwunsch!`,
+      (winner, club, moyennePhrase) => `Sieg für <strong>${winner}</strong> (${club})${moyennePhrase}. Starke Leistung!`
+    ],
+    podiumStats: (points, moyenne) => `${points} Pkt. · Schnitt: ${moyenne}`,
+    fullResults: 'Vollständige Ergebnisse',
+    colPosition: 'Pl.',
+    colMatchPoints: 'Matchpkt.',
+    colMoyenne: 'Durchschnitt',
+    colTotalPoints: 'Gesamtpkt.',
+    rankingAfter: label => `Gesamtrangliste nach ${label}`,
+    qualifiedIntro: count => `🎉 Nach diesem letzten Qualifikationstag sind die ersten ${count} Spieler für das Bezirksfinale qualifiziert:`,
+    finaleWhen: (datePhrase, locationText) => `📅 Das Finale findet ${datePhrase} ${locationText} statt. Eine offizielle Einladung folgt.`,
+    champion: (winner, club) => `🏆 <strong>${winner}</strong> (${club}) ist Bezirksmeister(in) und vertritt den Bezirk auf Ligaebene. Herzlichen Glückwunsch!`,
+    nextMeeting: 'Nächster Termin',
+    nextWhere: lieu => `in ${lieu}`,
+    nextClosing: 'Wir freuen uns auf Ihre Teilnahme!'
+  },
+  es: {
+    colon: ': ',
+    convocationTitle: 'Convocatoria',
+    resultsTitle: 'Resultados',
+    updatedOn: (date, time) => `Actualizado el ${date} a las ${time}`,
+    convocationIntro: 'Este anuncio confirma la convocatoria enviada por correo electrónico; a continuación le recordamos los detalles.',
+    goodLuck: '¡Buena competición!',
+    timeAt: time => ` a las ${time}`,
+    locationNum: num => ` (Sede ${num})`,
+    distance: 'Distancia',
+    reprises: 'Entradas',
+    note: 'Nota',
+    poule: num => `Grupo ${num}`,
+    colPlayer: 'Jugador',
+    pdfLink: 'Descargar la convocatoria en PDF',
+    publicPageLink: 'Ver los detalles en la plataforma',
+    locationPhrase: loc => `en el club ${loc}`,
+    datePhrase: date => `el ${date}`,
+    finaleOpenings: [
+      ({ datePhrase, locationPhrase, categoryName }) => `La <strong>Final de Distrito</strong> de <strong>${categoryName}</strong> se disputó ${datePhrase} ${locationPhrase}. ¡Una competición decisiva que cumplió todas las expectativas!`,
+      ({ datePhrase, locationPhrase, categoryName }) => `Gran cita de la temporada: la <strong>Final de Distrito</strong> de <strong>${categoryName}</strong> reunió ${datePhrase} ${locationPhrase} a los mejores jugadores del distrito.`
+    ],
+    regularOpenings: [
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Buena jornada de competición ${datePhrase} ${locationPhrase} para el <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong>.`,
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Los jugadores de <strong>${categoryName}</strong> se reunieron ${datePhrase} ${locationPhrase} para el <strong>${tournamentLabel}</strong>. Estos son los resultados.`
+    ],
+    moyennePhrase: moyenne => ` con un promedio de ${moyenne}`,
+    finaleWinner: (winner, second, third, moyennePhrase) => `${winner} se impone con brillantez${moyennePhrase}, por delante de ${second} y ${third}.`,
+    winnerPhrases: [
+      (winner, club, moyennePhrase) => `<strong>${winner}</strong> (${club}) gana la competición${moyennePhrase}. ¡Enhorabuena!`,
+      (winner, club, moyennePhrase) => `Victoria de <strong>${winner}</strong> (${club})${moyennePhrase}. ¡Gran actuación!`
+    ],
+    podiumStats: (points, moyenne) => `${points} pts · Prom.: ${moyenne}`,
+    fullResults: 'Resultados completos',
+    colMatchPoints: 'Pts partido',
+    colMoyenne: 'Promedio',
+    colTotalPoints: 'Pts totales',
+    rankingAfter: label => `Clasificación general tras el ${label}`,
+    qualifiedIntro: count => `🎉 Tras esta última jornada de clasificación, los ${count} primeros jugadores se clasifican para la Final de Distrito:`,
+    finaleWhen: (datePhrase, locationText) => `📅 La final se celebrará ${datePhrase} ${locationText}. Una convocatoria oficial lo confirmará.`,
+    champion: (winner, club) => `🏆 <strong>${winner}</strong> (${club}) se proclama campeón/a de distrito y representará al distrito a nivel de Liga. ¡Enhorabuena!`,
+    nextMeeting: 'Próxima cita',
+    nextWhere: lieu => `en ${lieu}`,
+    nextClosing: '¡Contamos con su presencia!'
+  },
+  it: {
+    colon: ': ',
+    convocationTitle: 'Convocazione',
+    resultsTitle: 'Risultati',
+    updatedOn: (date, time) => `Aggiornato il ${date} alle ${time}`,
+    convocationIntro: "Questo annuncio conferma la convocazione inviata per email; ne riportiamo i dettagli qui sotto.",
+    goodLuck: 'Buona competizione!',
+    timeAt: time => ` alle ${time}`,
+    locationNum: num => ` (Sede ${num})`,
+    distance: 'Distanza',
+    reprises: 'Riprese',
+    poule: num => `Girone ${num}`,
+    colPlayer: 'Giocatore',
+    pdfLink: 'Scarica la convocazione in PDF',
+    publicPageLink: 'Vedi i dettagli sulla piattaforma',
+    locationPhrase: loc => `presso il club ${loc}`,
+    datePhrase: date => `il ${date}`,
+    finaleOpenings: [
+      ({ datePhrase, locationPhrase, categoryName }) => `La <strong>Finale Distrettuale</strong> di <strong>${categoryName}</strong> si è svolta ${datePhrase} ${locationPhrase}. Una competizione decisiva che ha mantenuto tutte le promesse!`,
+      ({ datePhrase, locationPhrase, categoryName }) => `Il grande appuntamento della stagione: la <strong>Finale Distrettuale</strong> di <strong>${categoryName}</strong> ha riunito ${datePhrase} ${locationPhrase} i migliori giocatori del distretto.`
+    ],
+    regularOpenings: [
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `Bella giornata di gara ${datePhrase} ${locationPhrase} per il <strong>${tournamentLabel}</strong> di <strong>${categoryName}</strong>.`,
+      ({ datePhrase, locationPhrase, categoryName, tournamentLabel }) => `I giocatori di <strong>${categoryName}</strong> si sono ritrovati ${datePhrase} ${locationPhrase} per il <strong>${tournamentLabel}</strong>. Ecco i risultati.`
+    ],
+    moyennePhrase: moyenne => ` con una media di ${moyenne}`,
+    finaleWinner: (winner, second, third, moyennePhrase) => `${winner} si impone brillantemente${moyennePhrase}, davanti a ${second} e ${third}.`,
+    winnerPhrases: [
+      (winner, club, moyennePhrase) => `<strong>${winner}</strong> (${club}) vince la competizione${moyennePhrase}. Congratulazioni!`,
+      (winner, club, moyennePhrase) => `Vittoria di <strong>${winner}</strong> (${club})${moyennePhrase}. Bella prestazione!`
+    ],
+    podiumStats: (points, moyenne) => `${points} pt · Media: ${moyenne}`,
+    fullResults: 'Risultati completi',
+    colMatchPoints: 'Pt partita',
+    colMoyenne: 'Media',
+    colTotalPoints: 'Pt totali',
+    rankingAfter: label => `Classifica generale dopo il ${label}`,
+    qualifiedIntro: count => `🎉 Dopo quest'ultima giornata di qualificazione, i primi ${count} giocatori sono qualificati per la Finale Distrettuale:`,
+    finaleWhen: (datePhrase, locationText) => `📅 La finale si terrà ${datePhrase} ${locationText}. Una convocazione ufficiale confermerà l'appuntamento.`,
+    champion: (winner, club) => `🏆 <strong>${winner}</strong> (${club}) è campione distrettuale e rappresenterà il distretto a livello di Lega. Congratulazioni!`,
+    nextMeeting: 'Prossimo appuntamento',
+    nextWhere: lieu => `a ${lieu}`,
+    nextClosing: 'Contiamo sulla vostra presenza!'
+  }
+};
+
+// ─── Helper: "Mise à jour du …" banner on republished posts ──────────────────
+function buildUpdateNote(locale) {
+  const t = i18n.localized(WP_STRINGS, locale);
+  const now = new Date();
+  const date = i18n.formatDate(now, locale, { day: '2-digit', month: '2-digit', year: 'numeric' });
+  const time = now.toLocaleTimeString(locale || i18n.DEFAULT_LOCALE, { hour: '2-digit', minute: '2-digit' });
+  return `<div style="background: #d4edda; padding: 8px 12px; border-left: 4px solid #28a745; margin-bottom: 15px;"><strong>🔄 ${t.updatedOn(date, time)}</strong></div>`;
+}
+
 // ─── Helper: Generate convocation HTML content ────────────────────────────────
-function buildConvocationHtml({ tournament, poules, locations, gameParams, specialNote, publicPageUrl, pdfUrl }) {
+function buildConvocationHtml({ tournament, poules, locations, gameParams, specialNote, publicPageUrl, pdfUrl, locale }) {
   const parts = [];
+  const t = i18n.localized(WP_STRINGS, locale);
 
   const categoryName = tournament.categoryName || '';
   const tournamentLabel = tournament.label || '';
 
-  parts.push(`<p>Cette annonce est la confirmation de la convocation qui a été envoyée par email ; nous vous en rappelons les détails ci-dessous.</p>`);
-  parts.push(`<p>Bonne compétition !</p>`);
+  parts.push(`<p>${t.convocationIntro}</p>`);
+  parts.push(`<p>${t.goodLuck}</p>`);
 
   parts.push(`<p><strong>${categoryName} — ${tournamentLabel}</strong></p>`);
 
@@ -222,8 +477,8 @@ function buildConvocationHtml({ tournament, poules, locations, gameParams, speci
       if (loc.zip_code && loc.city) locParts.push(`${loc.zip_code} ${loc.city}`);
       else if (loc.city) locParts.push(loc.city);
 
-      const timeStr = loc.startTime ? ` à ${loc.startTime}` : '';
-      const locLabel = locations.length > 1 ? ` (Lieu ${loc.locationNum || ''})` : '';
+      const timeStr = loc.startTime ? t.timeAt(loc.startTime) : '';
+      const locLabel = locations.length > 1 ? t.locationNum(loc.locationNum || '') : '';
       parts.push(`<p>📍 ${locParts.join(', ')}${locLabel}${timeStr ? ` — ⏰ ${timeStr}` : ''}</p>`);
     }
   }
@@ -231,8 +486,8 @@ function buildConvocationHtml({ tournament, poules, locations, gameParams, speci
   // Game parameters
   if (gameParams) {
     const paramParts = [];
-    if (gameParams.distance) paramParts.push(`Distance : ${gameParams.distance} pts`);
-    if (gameParams.reprises) paramParts.push(`Reprises : ${gameParams.reprises}`);
+    if (gameParams.distance) paramParts.push(`${t.distance}${t.colon}${gameParams.distance} pts`);
+    if (gameParams.reprises) paramParts.push(`${t.reprises}${t.colon}${gameParams.reprises}`);
     if (paramParts.length > 0) {
       parts.push(`<p>🎯 ${paramParts.join(' | ')}</p>`);
     }
@@ -240,7 +495,7 @@ function buildConvocationHtml({ tournament, poules, locations, gameParams, speci
 
   // Special note
   if (specialNote) {
-    parts.push(`<div style="background: #fff3cd; padding: 10px 15px; border-left: 4px solid #ffc107; margin: 15px 0;"><strong>ℹ️ Note :</strong> ${specialNote}</div>`);
+    parts.push(`<div style="background: #fff3cd; padding: 10px 15px; border-left: 4px solid #ffc107; margin: 15px 0;"><strong>ℹ️ ${t.note}${t.colon.trimEnd()}</strong> ${specialNote}</div>`);
   }
 
   parts.push('<hr>');
@@ -257,7 +512,7 @@ function buildConvocationHtml({ tournament, poules, locations, gameParams, speci
   if (poules && poules.length > 0) {
     for (const poule of poules) {
       const pouleNum = poule.number || poule.pouleNumber || '';
-      parts.push(`<h3>Poule ${pouleNum}</h3>`);
+      parts.push(`<h3>${t.poule(pouleNum)}</h3>`);
 
       // Show location for this poule (useful when 2+ locations)
       const pouleLoc = poule.locationNum ? locationByNum[poule.locationNum] : null;
@@ -271,8 +526,8 @@ function buildConvocationHtml({ tournament, poules, locations, gameParams, speci
       if (poule.players && poule.players.length > 0) {
         parts.push('<table style="border-collapse: collapse; width: 100%; margin-bottom: 15px;">');
         parts.push('<thead><tr style="background: #f0f0f0;">');
-        parts.push('<th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Joueur</th>');
-        parts.push('<th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Club</th>');
+        parts.push(`<th style="padding: 8px; border: 1px solid #ddd; text-align: left;">${t.colPlayer}</th>`);
+        parts.push(`<th style="padding: 8px; border: 1px solid #ddd; text-align: left;">${t.colClub}</th>`);
         parts.push('</tr></thead><tbody>');
 
         for (const player of poule.players) {
@@ -289,12 +544,12 @@ function buildConvocationHtml({ tournament, poules, locations, gameParams, speci
 
   // PDF download link
   if (pdfUrl) {
-    parts.push(`<p>📄 <a href="${pdfUrl}">Télécharger la convocation en PDF</a></p>`);
+    parts.push(`<p>📄 <a href="${pdfUrl}">${t.pdfLink}</a></p>`);
   }
 
   // Link to public page
   if (publicPageUrl) {
-    parts.push(`<p>👉 <a href="${publicPageUrl}">Voir les détails sur la plateforme</a></p>`);
+    parts.push(`<p>👉 <a href="${publicPageUrl}">${t.publicPageLink}</a></p>`);
   }
 
   return parts.join('\n');
@@ -434,7 +689,7 @@ router.post('/publish-convocation', authenticateToken, async (req, res) => {
 
     // Build HTML content
     const htmlContent = buildConvocationHtml({
-      tournament, poules, locations, gameParams, specialNote, publicPageUrl, pdfUrl
+      tournament, poules, locations, gameParams, specialNote, publicPageUrl, pdfUrl, locale: wp.locale
     });
 
     // Find or create the season category
@@ -445,9 +700,9 @@ router.post('/publish-convocation', authenticateToken, async (req, res) => {
     // Build post title — format date if raw ISO string
     const rawDate = tournament.date || '';
     const dateStr = rawDate.includes('T')
-      ? new Date(rawDate).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', year: 'numeric' })
+      ? i18n.formatDate(rawDate, wp.locale, { day: '2-digit', month: '2-digit', year: 'numeric' })
       : rawDate;
-    const titleBase = `Convocation — ${tournament.categoryName || ''} ${tournament.label || ''} — ${dateStr}`.trim();
+    const titleBase = `${i18n.localized(WP_STRINGS, wp.locale).convocationTitle} — ${tournament.categoryName || ''} ${tournament.label || ''} — ${dateStr}`.trim();
     const title = isTest ? `[TEST] ${titleBase}` : titleBase;
 
     // Check if we already published for this tournament (wp_post_id)
@@ -469,8 +724,7 @@ router.post('/publish-convocation', authenticateToken, async (req, res) => {
     if (existingPost?.wp_post_id) {
       // Update existing post: wp.editPost(blog_id, username, password, post_id, content)
       isUpdate = true;
-      const now = new Date();
-      const updateNote = `<div style="background: #d4edda; padding: 8px 12px; border-left: 4px solid #28a745; margin-bottom: 15px;"><strong>🔄 Mise à jour du ${now.toLocaleDateString('fr-FR')} à ${now.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}</strong></div>`;
+      const updateNote = buildUpdateNote(wp.locale);
 
       const updateContent = {
         post_title: title,
@@ -648,7 +902,7 @@ router.post('/publish-from-saved/:tournoiId', authenticateToken, async (req, res
 
     // Format date
     const dateStr = tournament.debut
-      ? new Date(tournament.debut).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', year: 'numeric' })
+      ? i18n.formatDate(tournament.debut, wp.locale, { day: '2-digit', month: '2-digit', year: 'numeric' })
       : '';
 
     const tournamentLabel = `T${tournament.tournament_number || ''}`;
@@ -686,7 +940,8 @@ router.post('/publish-from-saved/:tournoiId', authenticateToken, async (req, res
       gameParams: gameParams || null,
       specialNote: null,
       publicPageUrl,
-      pdfUrl
+      pdfUrl,
+      locale: wp.locale
     });
 
     // Determine season
@@ -702,7 +957,7 @@ router.post('/publish-from-saved/:tournoiId', authenticateToken, async (req, res
       wp.siteUrl, wp.username, wp.password, effectiveSeason, 'convocations'
     );
 
-    const title = `Convocation — ${fullCategoryName} ${tournamentLabel} — ${dateStr}`.trim();
+    const title = `${i18n.localized(WP_STRINGS, wp.locale).convocationTitle} — ${fullCategoryName} ${tournamentLabel} — ${dateStr}`.trim();
 
     let wpPostId;
     let isUpdate = false;
@@ -710,8 +965,7 @@ router.post('/publish-from-saved/:tournoiId', authenticateToken, async (req, res
 
     if (tournament.wp_post_id) {
       isUpdate = true;
-      const now = new Date();
-      const updateNote = `<div style="background: #d4edda; padding: 8px 12px; border-left: 4px solid #28a745; margin-bottom: 15px;"><strong>🔄 Mise à jour du ${now.toLocaleDateString('fr-FR')} à ${now.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}</strong></div>`;
+      const updateNote = buildUpdateNote(wp.locale);
 
       const updateContent2 = { post_title: title, post_content: updateNote + htmlContent, post_status: wp.defaultStatus };
       if (category) updateContent2.terms = { category: [category.id] };
@@ -851,42 +1105,28 @@ router.delete('/delete/:tournoiId', authenticateToken, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // ─── Helper: Generate results article HTML (sports reporting style) ──────────
-function buildResultsArticleHtml({ tournament, results, rankings, nextTournament, qualifiedPlayers, isFinale, isLastQualifying, tournamentLabel, orgShortName }) {
+function buildResultsArticleHtml({ tournament, results, rankings, nextTournament, qualifiedPlayers, isFinale, isLastQualifying, tournamentLabel, orgShortName, locale }) {
   const parts = [];
+  const t = i18n.localized(WP_STRINGS, locale);
+  const longDate = value => i18n.formatDate(value, locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
   const categoryName = tournament.display_name || '';
   const location = tournament.location || '';
   const location2 = tournament.location_2 || '';
   const fullLocation = location + (location2 ? ' / ' + location2 : '');
   const dateStr = tournament.tournament_date
-    ? new Date(tournament.tournament_date).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+    ? longDate(tournament.tournament_date)
     : '';
 
   // --- Opening paragraph (varied per tournament) ---
-  const locationPhrase = fullLocation ? `au club de ${fullLocation}` : '';
-  const datePhrase = dateStr ? `le ${dateStr}` : '';
+  const locationPhrase = fullLocation ? t.locationPhrase(fullLocation) : '';
+  const datePhrase = dateStr ? t.datePhrase(dateStr) : '';
+  const phraseVars = { datePhrase, locationPhrase, categoryName, tournamentLabel };
 
   // Use tournament ID to deterministically pick a variant (consistent on republish)
   const variantIndex = (tournament.id || 0) % 5;
 
-  if (isFinale) {
-    const finaleOpenings = [
-      `La <strong>Finale Départementale</strong> de <strong>${categoryName}</strong> s'est déroulée ${datePhrase} ${locationPhrase}. Une compétition décisive qui a tenu toutes ses promesses !`,
-      `Place à la <strong>Finale Départementale</strong> de <strong>${categoryName}</strong> ! ${datePhrase ? `Ce ${datePhrase}` : ''} ${locationPhrase}, les meilleurs joueurs du département se sont affrontés pour le titre.`,
-      `Le grand rendez-vous de la saison est arrivé : la <strong>Finale Départementale</strong> de <strong>${categoryName}</strong> s'est jouée ${datePhrase} ${locationPhrase}. Retour sur une compétition d'exception.`,
-      `${locationPhrase ? `C'est ${locationPhrase}` : 'C\'est'} que s'est tenue ${datePhrase} la <strong>Finale Départementale</strong> de <strong>${categoryName}</strong>. L'aboutissement d'une saison de compétition intense.`,
-      `Moment fort de la saison : la <strong>Finale Départementale</strong> de <strong>${categoryName}</strong> a réuni ${datePhrase} ${locationPhrase} les meilleurs compétiteurs du département.`
-    ];
-    parts.push(`<p>${finaleOpenings[variantIndex]}</p>`);
-  } else {
-    const regularOpenings = [
-      `Belle journée de compétition ${datePhrase ? `ce ${datePhrase}` : ''} ${locationPhrase} pour le <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong>.`,
-      `Les joueurs de <strong>${categoryName}</strong> se sont retrouvés ${datePhrase} ${locationPhrase} pour le <strong>${tournamentLabel}</strong>. Compte-rendu de cette journée de compétition.`,
-      `Le <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong> s'est déroulé ${datePhrase} ${locationPhrase}. Retour sur les résultats de cette rencontre.`,
-      `Journée de billard réussie ${datePhrase} ${locationPhrase} ! Le <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong> a offert de belles parties.`,
-      `${locationPhrase ? `C'est ${locationPhrase}` : 'C\'est'} que se tenait ${datePhrase} le <strong>${tournamentLabel}</strong> de <strong>${categoryName}</strong>. Voici les résultats de cette compétition.`
-    ];
-    parts.push(`<p>${regularOpenings[variantIndex]}</p>`);
-  }
+  const openings = isFinale ? t.finaleOpenings : t.regularOpenings;
+  parts.push(`<p>${openings[variantIndex % openings.length](phraseVars)}</p>`);
 
   // --- Winner / Podium section ---
   if (isFinale && results.length >= 3) {
@@ -899,7 +1139,12 @@ function buildResultsArticleHtml({ tournament, results, rankings, nextTournament
     const winnerClub = winner.club || '';
     const winnerMoyenne = winner.reprises > 0 ? (winner.points / winner.reprises).toFixed(3) : '-';
 
-    parts.push(`<p><strong>${winnerName}</strong> (${winnerClub}) s'impose brillamment${winnerMoyenne !== '-' ? ` avec une moyenne de ${winnerMoyenne}` : ''}, devant <strong>${top3[1].display_name || top3[1].player_name}</strong> (${top3[1].club || ''}) et <strong>${top3[2].display_name || top3[2].player_name}</strong> (${top3[2].club || ''}).</p>`);
+    parts.push(`<p>${t.finaleWinner(
+      `<strong>${winnerName}</strong> (${winnerClub})`,
+      `<strong>${top3[1].display_name || top3[1].player_name}</strong> (${top3[1].club || ''})`,
+      `<strong>${top3[2].display_name || top3[2].player_name}</strong> (${top3[2].club || ''})`,
+      winnerMoyenne !== '-' ? t.moyennePhrase(winnerMoyenne) : ''
+    )}</p>`);
 
     parts.push('<div style="display: flex; justify-content: center; gap: 15px; margin: 20px 0; flex-wrap: wrap;">');
     for (let i = 0; i < 3; i++) {
@@ -913,7 +1158,7 @@ function buildResultsArticleHtml({ tournament, results, rankings, nextTournament
         <div style="font-size: 32px;">${medals[i]}</div>
         <div style="font-weight: 700; font-size: 15px; margin: 8px 0 2px 0;">${name}</div>
         <div style="font-size: 13px; color: #555; font-style: italic;">${club}</div>
-        <div style="font-size: 12px; color: #888; margin-top: 4px;">${r.match_points || 0} pts · Moy: ${moyenne}</div>
+        <div style="font-size: 12px; color: #888; margin-top: 4px;">${t.podiumStats(r.match_points || 0, moyenne)}</div>
       </div>`);
     }
     parts.push('</div>');
@@ -923,26 +1168,20 @@ function buildResultsArticleHtml({ tournament, results, rankings, nextTournament
     const winnerName = winner.display_name || winner.player_name;
     const winnerClub = winner.club || '';
     const winnerMoyenne = winner.reprises > 0 ? (winner.points / winner.reprises).toFixed(3) : '';
-    const moyennePhrase = winnerMoyenne ? ` avec une moyenne de ${winnerMoyenne}` : '';
-    const winnerPhrases = [
-      `<strong>${winnerName}</strong> (${winnerClub}) remporte la compétition${moyennePhrase}. Félicitations !`,
-      `C'est <strong>${winnerName}</strong> (${winnerClub}) qui s'impose${moyennePhrase}. Bravo !`,
-      `Victoire de <strong>${winnerName}</strong> (${winnerClub})${moyennePhrase}. Belle performance !`,
-      `<strong>${winnerName}</strong> (${winnerClub}) termine en tête de ce tournoi${moyennePhrase}.`,
-      `<strong>${winnerName}</strong> du ${winnerClub} décroche la première place${moyennePhrase}. Félicitations !`
-    ];
-    parts.push(`<p>${winnerPhrases[variantIndex]}</p>`);
+    const moyennePhrase = winnerMoyenne ? t.moyennePhrase(winnerMoyenne) : '';
+    const winnerPhrases = t.winnerPhrases;
+    parts.push(`<p>${winnerPhrases[variantIndex % winnerPhrases.length](winnerName, winnerClub, moyennePhrase)}</p>`);
   }
 
   // --- Full results table ---
-  parts.push(`<h3>Résultats complets</h3>`);
+  parts.push(`<h3>${t.fullResults}</h3>`);
   parts.push('<table style="width: 100%; border-collapse: collapse; margin: 15px 0; font-size: 14px;">');
   parts.push('<thead><tr style="background: #1F4788; color: white;">');
-  parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">Pos</th>');
-  parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: left;">Joueur</th>');
-  parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: left;">Club</th>');
-  parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">Pts Match</th>');
-  parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">Moyenne</th>');
+  parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">${t.colPosition}</th>`);
+  parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: left;">${t.colPlayer}</th>`);
+  parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: left;">${t.colClub}</th>`);
+  parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">${t.colMatchPoints}</th>`);
+  parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">${t.colMoyenne}</th>`);
   parts.push('</tr></thead><tbody>');
 
   for (let i = 0; i < results.length; i++) {
@@ -958,13 +1197,13 @@ function buildResultsArticleHtml({ tournament, results, rankings, nextTournament
 
   // --- Season ranking table (not for finale) ---
   if (!isFinale && rankings && rankings.length > 0) {
-    parts.push(`<h3>Classement général après le ${tournamentLabel}</h3>`);
+    parts.push(`<h3>${t.rankingAfter(tournamentLabel)}</h3>`);
     parts.push('<table style="width: 100%; border-collapse: collapse; margin: 15px 0; font-size: 14px;">');
     parts.push('<thead><tr style="background: #28a745; color: white;">');
-    parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">Pos</th>');
-    parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: left;">Joueur</th>');
-    parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">Total Pts</th>');
-    parts.push('<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">Moyenne</th>');
+    parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">${t.colPosition}</th>`);
+    parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: left;">${t.colPlayer}</th>`);
+    parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">${t.colTotalPoints}</th>`);
+    parts.push(`<th style="padding: 10px; border: 1px solid #ddd; text-align: center;">${t.colMoyenne}</th>`);
     parts.push('</tr></thead><tbody>');
 
     for (let i = 0; i < rankings.length; i++) {
@@ -981,19 +1220,19 @@ function buildResultsArticleHtml({ tournament, results, rankings, nextTournament
   if (isLastQualifying && qualifiedPlayers && qualifiedPlayers.length > 0) {
     const qualifiedNames = qualifiedPlayers.map(p => p.player_name).join(', ');
     parts.push(`<div style="background: #d4edda; padding: 15px 20px; border-left: 4px solid #28a745; margin: 20px 0; border-radius: 4px;">`);
-    parts.push(`<p style="margin: 0 0 8px 0;">🎉 Après cette dernière journée de qualification, les ${qualifiedPlayers.length} premiers joueurs sont qualifiés pour la Finale Départementale :</p>`);
+    parts.push(`<p style="margin: 0 0 8px 0;">${t.qualifiedIntro(qualifiedPlayers.length)}</p>`);
     parts.push(`<p style="margin: 0;">${qualifiedNames}</p>`);
     // Finale location: use the winner's club (1st in rankings)
     const winnerClubName = qualifiedPlayers[0]?.club || '';
     if (nextTournament) {
       const finaleDate = nextTournament.debut
-        ? new Date(nextTournament.debut).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+        ? longDate(nextTournament.debut)
         : '';
       // Prefer winner's club as finale location, fallback to tournoi_ext.lieu
       const finaleLieu = nextTournament.lieu || '';
-      const finaleLocationText = winnerClubName ? `au club de ${winnerClubName}` : (finaleLieu ? `au club de ${finaleLieu}` : '');
+      const finaleLocationText = winnerClubName ? t.locationPhrase(winnerClubName) : (finaleLieu ? t.locationPhrase(finaleLieu) : '');
       if (finaleDate || finaleLocationText) {
-        parts.push(`<p style="margin: 8px 0 0 0;">📅 La finale se tiendra ${finaleDate ? `le ${finaleDate}` : ''} ${finaleLocationText}. Une convocation officielle confirmera ce rendez-vous.</p>`);
+        parts.push(`<p style="margin: 8px 0 0 0;">${t.finaleWhen(finaleDate ? t.datePhrase(finaleDate) : '', finaleLocationText)}</p>`);
       }
     }
     parts.push('</div>');
@@ -1005,20 +1244,20 @@ function buildResultsArticleHtml({ tournament, results, rankings, nextTournament
     const winnerName = winner.display_name || winner.player_name;
     const winnerClub = winner.club || '';
     parts.push(`<div style="background: #fff3cd; padding: 15px 20px; border-left: 4px solid #ffc107; margin: 20px 0; border-radius: 4px;">`);
-    parts.push(`<p style="margin: 0;">🏆 <strong>${winnerName}</strong> (${winnerClub}) est sacré(e) champion(ne) départemental(e) et représentera le département au niveau de la Ligue. Toutes nos félicitations !</p>`);
+    parts.push(`<p style="margin: 0;">${t.champion(winnerName, winnerClub)}</p>`);
     parts.push('</div>');
   }
 
   // --- Next tournament info (for T1, T2 — not T3 which has qualification section, not finale) ---
   if (!isFinale && !isLastQualifying && nextTournament) {
     const nextDate = nextTournament.debut
-      ? new Date(nextTournament.debut).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+      ? longDate(nextTournament.debut)
       : '';
     const nextLieu = nextTournament.lieu || '';
     const nextLieu2 = nextTournament.lieu_2 || '';
     const fullNextLieu = nextLieu + (nextLieu2 ? ' / ' + nextLieu2 : '');
     if (nextDate || fullNextLieu) {
-      parts.push(`<p style="margin-top: 20px;">📅 <strong>Prochain rendez-vous :</strong> ${nextDate ? `le ${nextDate}` : ''} ${fullNextLieu ? `à ${fullNextLieu}` : ''}. Nous comptons sur votre présence !</p>`);
+      parts.push(`<p style="margin-top: 20px;">📅 <strong>${t.nextMeeting}${t.colon.trimEnd()}</strong> ${nextDate ? t.datePhrase(nextDate) : ''} ${fullNextLieu ? t.nextWhere(fullNextLieu) : ''}. ${t.nextClosing}</p>`);
     }
   }
 
@@ -1151,7 +1390,8 @@ router.post('/publish-results', authenticateToken, async (req, res) => {
       isFinale,
       isLastQualifying,
       tournamentLabel,
-      orgShortName
+      orgShortName,
+      locale: wp.locale
     });
 
     // Test banner
@@ -1175,9 +1415,9 @@ router.post('/publish-results', authenticateToken, async (req, res) => {
     // Build post title
     const rawDate = tournament.tournament_date || '';
     const dateForTitle = rawDate
-      ? new Date(rawDate).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', year: 'numeric' })
+      ? i18n.formatDate(rawDate, wp.locale, { day: '2-digit', month: '2-digit', year: 'numeric' })
       : '';
-    const titleBase = `Résultats — ${tournament.display_name} ${tournamentLabel} — ${dateForTitle}`.trim();
+    const titleBase = `${i18n.localized(WP_STRINGS, wp.locale).resultsTitle} — ${tournament.display_name} ${tournamentLabel} — ${dateForTitle}`.trim();
     const title = isTest ? `[TEST] ${titleBase}` : titleBase;
 
     // Check if already published
@@ -1188,8 +1428,7 @@ router.post('/publish-results', authenticateToken, async (req, res) => {
     if (tournament.wp_results_post_id) {
       // Update existing post
       isUpdate = true;
-      const now = new Date();
-      const updateNote = `<div style="background: #d4edda; padding: 8px 12px; border-left: 4px solid #28a745; margin-bottom: 15px;"><strong>🔄 Mise à jour du ${now.toLocaleDateString('fr-FR')} à ${now.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}</strong></div>`;
+      const updateNote = buildUpdateNote(wp.locale);
 
       const updateContent = {
         post_title: title,
@@ -1241,13 +1480,13 @@ router.post('/publish-results', authenticateToken, async (req, res) => {
 
     // Automatically send push notification to participants (fire-and-forget)
     if (!isTest) {
-      const { buildNotification } = require('../notification-messages');
+      const { localizedNotification } = require('../notification-messages');
       const { sendPushToPlayers } = require('./push');
 
       // Send notification asynchronously (don't wait for it)
       (async () => {
         try {
-          const notification = buildNotification('ARTICLE_PUBLISHED', {
+          const notification = localizedNotification('ARTICLE_PUBLISHED', {
             tournoiName: `${tournament.display_name} ${tournamentLabel}`,
             articleUrl: postUrl
           });
@@ -1367,7 +1606,7 @@ router.delete('/delete-results/:tournamentId', authenticateToken, async (req, re
 // ─── Send push notification for existing WordPress article ───────────────────
 router.post('/notify-article', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
-  const { buildNotification } = require('../notification-messages');
+  const { localizedNotification } = require('../notification-messages');
   const { sendPushToPlayers } = require('./push');
   const orgId = req.user.organizationId || null;
 
@@ -1427,7 +1666,7 @@ router.post('/notify-article', authenticateToken, async (req, res) => {
     }
 
     // Build notification
-    const notification = buildNotification('ARTICLE_PUBLISHED', {
+    const notification = localizedNotification('ARTICLE_PUBLISHED', {
       tournoiName,
       articleUrl
     });
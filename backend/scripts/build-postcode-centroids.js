@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Regenerate backend/utils/postcode-centroids.json (V 2.0.903)
+ *
+ * Builds the [lat, lon] of every postcode of metropolitan France and the
+ * overseas départements from two open datasets:
+ *   - @etalab/decoupage-administratif: INSEE communes with their La Poste
+ *     postcodes, population, EPCI and arrondissement (Etalab, Licence Ouverte)
+ *   - cities.json: GeoNames populated places with coordinates (CC-BY-4.0)
+ *
+ * A postcode is the population-weighted centre of its communes. Communes
+ * GeoNames doesn't know (mostly villages under 500 inhabitants) are placed
+ * at the centre of their intercommunalité, or failing that at the chef-lieu
+ * of their arrondissement. Paris, Lyon and Marseille are split by
+ * arrondissement municipal.
+ *
+ * Usage (the datasets are only needed to regenerate, not at runtime):
+ *   cd backend
+ *   npm install --no-save @etalab/decoupage-administratif cities.json
+ *   node scripts/build-postcode-centroids.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const communes = require('@etalab/decoupage-administratif/data/communes.json');
+const epcis = require('@etalab/decoupage-administratif/data/epci.json');
+const arrondissements = require('@etalab/decoupage-administratif/data/arrondissements.json');
+const cities = require('cities.json');
+
+const OUTPUT = path.join(__dirname, '../utils/postcode-centroids.json');
+
+// GeoNames files the overseas départements under their own country code
+const OVERSEAS_COUNTRIES = { GP: '971', MQ: '972', GF: '973', RE: '974', YT: '976' };
+
+function normalizeName(name) {
+  let s = String(name).toLowerCase()
+    .replace(/œ/g, 'oe').replace(/æ/g, 'ae')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ').trim()
+    .replace(/\b(st)\b/g, 'saint').replace(/\b(ste)\b/g, 'sainte');
+  // "Paris 15e Arrondissement" (INSEE) and "Paris 15 Vaugirard" (GeoNames) → "paris 15"
+  const arr = s.match(/^(paris|lyon|marseille) 0?(\d{1,2})(?:er|e)?\b/);
+  if (arr) s = `${arr[1]} ${arr[2]}`;
+  return s;
+}
+
+// (département, normalized name) → list of [lat, lon]
+const places = new Map();
+for (const city of cities) {
+  const departement = city.country === 'FR' ? city.admin2 : OVERSEAS_COUNTRIES[city.country];
+  if (!departement) continue;
+  const key = `${departement}|${normalizeName(city.name)}`;
+  if (!places.has(key)) places.set(key, []);
+  places.get(key).push([parseFloat(city.lat), parseFloat(city.lng)]);
+}
+
+function lookup(departement, name) {
+  const found = places.get(`${departement}|${normalizeName(name)}`);
+  if (!found) return null;
+  // Homonyms inside one département: average them rather than pick one
+  const lat = found.reduce((sum, p) => sum + p[0], 0) / found.length;
+  const lon = found.reduce((sum, p) => sum + p[1], 0) / found.length;
+  return [lat, lon];
+}
+
+function weightedCentre(points) {
+  const total = points.reduce((sum, p) => sum + p.weight, 0);
+  if (!points.length || total <= 0) return null;
+  return [
+    points.reduce((sum, p) => sum + p.lat * p.weight, 0) / total,
+    points.reduce((sum, p) => sum + p.lon * p.weight, 0) / total
+  ];
+}
+
+// Communes nouvelles keep the name of their chef-lieu as a commune déléguée,
+// which GeoNames often still lists under the old name.
+const formerNames = new Map();
+for (const c of communes) {
+  if (c.type === 'commune-deleguee' || c.type === 'commune-associee') {
+    if (!formerNames.has(c.chefLieu)) formerNames.set(c.chefLieu, []);
+    if (c.code === c.chefLieu) formerNames.get(c.chefLieu).unshift(c.nom);
+    else formerNames.get(c.chefLieu).push(c.nom);
+  }
+}
+
+const splitCities = new Set(communes.filter(c => c.type === 'arrondissement-municipal').map(c => c.commune));
+// Overseas collectivités (Saint-Martin, Polynésie...) have no CDB
+const located = communes.filter(c => c.zone !== 'com' && (
+  (c.type === 'commune-actuelle' && !splitCities.has(c.code)) || c.type === 'arrondissement-municipal'
+));
+
+const coords = new Map();
+for (const c of located) {
+  let position = lookup(c.departement, c.nom);
+  for (const former of formerNames.get(c.code) || []) {
+    if (position) break;
+    position = lookup(c.departement, former);
+  }
+  if (position) coords.set(c.code, position);
+}
+const direct = coords.size;
+
+// Fallback 1: population-weighted centre of the located members of the EPCI
+let viaEpci = 0;
+for (const epci of epcis) {
+  const points = epci.membres
+    .filter(m => coords.has(m.code))
+    .map(m => ({ lat: coords.get(m.code)[0], lon: coords.get(m.code)[1], weight: m.populationMunicipale || 1 }));
+  const centre = weightedCentre(points);
+  if (!centre) continue;
+  for (const m of epci.membres) {
+    if (!coords.has(m.code) && !splitCities.has(m.code)) { coords.set(m.code, centre); viaEpci++; }
+  }
+}
+
+// Fallback 2: chef-lieu of the arrondissement
+const chefLieux = new Map(arrondissements.map(a => [a.code, a.chefLieu]));
+let viaArrondissement = 0;
+for (const c of located) {
+  if (coords.has(c.code)) continue;
+  const chefLieu = coords.get(chefLieux.get(c.arrondissement));
+  if (chefLieu) { coords.set(c.code, chefLieu); viaArrondissement++; }
+}
+
+const byPostcode = new Map();
+for (const c of located) {
+  if (!coords.has(c.code)) continue;
+  const [lat, lon] = coords.get(c.code);
+  for (const postcode of c.codesPostaux || []) {
+    if (!byPostcode.has(postcode)) byPostcode.set(postcode, []);
+    byPostcode.get(postcode).push({ lat, lon, weight: c.population || 1 });
+  }
+}
+
+// Written by hand rather than JSON.stringify: numeric-looking keys ("10000")
+// would otherwise jump ahead of "01000" and shuffle the diff on every rebuild
+const lines = [...byPostcode.keys()].sort().map(postcode => {
+  const [lat, lon] = weightedCentre(byPostcode.get(postcode));
+  return `"${postcode}":[${Math.round(lat * 1e4) / 1e4},${Math.round(lon * 1e4) / 1e4}]`;
+});
+fs.writeFileSync(OUTPUT, `{\n${lines.join(',\n')}\n}\n`);
+
+const allPostcodes = new Set(located.flatMap(c => c.codesPostaux || []));
+const unlocated = located.filter(c => !coords.has(c.code)).length;
+console.log(`Communes: ${located.length} (GeoNames ${direct}, EPCI ${viaEpci}, arrondissement ${viaArrondissement}, unlocated ${unlocated})`);
+console.log(`Postcodes: ${lines.length} / ${allPostcodes.size} → ${path.relative(process.cwd(), OUTPUT)}`);
@@ -27,7 +27,7 @@ const db = require('./db-loader');
 
 // App settings helper for dynamic configuration
 const appSettings = require('./utils/app-settings');
-const { sendEmail } = require('./utils/email-helpers');
+const { sendEmail, isEmailConfigured, refreshEmailProviders } = require('./utils/email-helpers');
 
 const authRoutes = require('./routes/auth');
 const playersRoutes = require('./routes/players');
@@ -56,6 +56,7 @@ const ffbImportRoutes = require('./routes/ffb-import');
 const bracketRoutes = require('./routes/bracket');
 const rsvpRoutes = require('./routes/rsvp');
 const { buildRsvpButtonsHtml } = require('./routes/rsvp');
+const rsvpTracking = require('./utils/rsvp');
 const surveysRoutes = require('./routes/surveys');
 const wordpressRoutes = require('./routes/wordpress');
 const pushRoutes = require('./routes/push');
@@ -63,6 +64,12 @@ const testModeRoutes = require('./routes/test-mode');
 const directeurJeuRoutes = require('./routes/directeur-jeu');
 const djPublicRoutes = require('./routes/dj-public'); // V 2.0.595 — DdJ V3 public TV feed (no auth)
 const calendarGeneratorRoutes = require('./routes/calendar-generator');
+const finaleQualificationRoutes = require('./routes/finale-qualification'); // V 2.0.889
+const emailQueueRoutes = require('./routes/email-queue'); // V 2.0.891
+const emailWebhooksRoutes = require('./routes/email-webhooks'); // V 2.0.891
+const waitlistRoutes = require('./routes/waitlist'); // V 2.0.894
+const apiKeysRoutes = require('./routes/api-keys'); // V 2.0.899
+const publicApiRoutes = require('./routes/public-api'); // V 2.0.899
 
 
 const app = express();
@@ -111,7 +118,7 @@ const isDevEnv = process.env.NODE_ENV === 'development';
 if (isDevEnv) {
   console.warn('[CORS] Development mode: any origin is allowed. Do NOT use NODE_ENV=development in production.');
 }
-app.use(cors({
+const staffCors = cors({
   origin: function(origin, callback) {
     // Allow requests with no origin (mobile apps, Postman, etc.)
     if (!origin) return callback(null, true);
@@ -125,7 +132,20 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
-}));
+});
+
+// V 2.0.899 — The public REST API (/api/v1) is authenticated by API key,
+// without cookies: club websites may call it from any origin.
+const publicApiCors = cors({
+  origin: '*',
+  methods: ['GET', 'OPTIONS'],
+  allowedHeaders: ['Authorization', 'X-API-Key'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+});
+app.use((req, res, next) => {
+  const handler = req.path.startsWith('/api/v1/') ? publicApiCors : staffCors;
+  handler(req, res, next);
+});
 
 // Rate limiting for authentication endpoints
 const authLimiter = rateLimit({
@@ -161,7 +181,13 @@ const bulkEmailLimiter = rateLimit({
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' })); // Limit JSON payload size
+app.use(express.json({
+  limit: '10mb', // Limit JSON payload size
+  // V 2.0.891 — provider webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/email-webhooks')) req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static frontend files
@@ -367,12 +393,24 @@ app.use('/api/wordpress', apiLimiter, wordpressRoutes);
 app.use('/api/player/push', apiLimiter, pushRoutes);
 app.use('/api/push', apiLimiter, pushRoutes); // Admin test endpoint
 app.use('/api/test-mode', apiLimiter, testModeRoutes);
+app.use('/api/directeur-jeu/scorer/pair', authLimiter);
 app.use('/api/directeur-jeu', apiLimiter, directeurJeuRoutes);
 // V 2.0.595 — DdJ V3 public TV feed. NO authentication: anyone with the
 // URL can read the (sanitised) live state. Used by the TV display in
 // the playing hall.
 app.use('/api/public/dj', apiLimiter, djPublicRoutes);
 app.use('/api/calendar-generator', apiLimiter, calendarGeneratorRoutes);
+app.use('/api/finale-qualification', apiLimiter, finaleQualificationRoutes);
+// V 2.0.894 — Tournament waiting list (admin + Player App /me endpoints)
+app.use('/api/waitlist', apiLimiter, waitlistRoutes);
+app.use('/api/email-queue', apiLimiter, emailQueueRoutes);
+// V 2.0.891 — bounce / complaint webhooks of the email providers. No JWT:
+// each provider endpoint checks its own signature / shared secret.
+app.use('/api/email-webhooks', apiLimiter, emailWebhooksRoutes);
+// V 2.0.899 — Public REST API for club websites. API key instead of JWT;
+// each key also has its own per-minute limit (routes/public-api.js).
+app.use('/api/api-keys', apiLimiter, apiKeysRoutes);
+app.use('/api/v1', apiLimiter, publicApiRoutes);
 
 
 // App version endpoint (for automatic update detection)
@@ -905,6 +943,7 @@ async function processTemplatedScheduledEmail(db, scheduled, delay) {
       if (rsvpTournoiExtId && emailSettings.rsvp_email_enabled === 'true') {
         const rsvpHtml = buildRsvpButtonsHtml(recipientLicence, rsvpTournoiExtId, schedOrgId, baseUrl, primaryColor);
         inscriptionMethodHtml = rsvpHtml + inscriptionMethodHtml;
+        await rsvpTracking.recordInvitation(recipientLicence, rsvpTournoiExtId, schedOrgId);
       }
 
       // Replace template variables
@@ -998,8 +1037,8 @@ async function processTemplatedScheduledEmail(db, scheduled, delay) {
 async function checkTournamentAlerts() {
   const db = require('./db-loader');
 
-  if (!process.env.RESEND_API_KEY) {
-    console.log('[Tournament Alerts] Skipped - no RESEND_API_KEY');
+  if (!isEmailConfigured()) {
+    console.log('[Tournament Alerts] Skipped - no email provider configured');
     return;
   }
 
@@ -1228,9 +1267,9 @@ async function processScheduledEmails() {
 
   console.log('[Email Scheduler] Starting processScheduledEmails...');
 
-  if (!process.env.RESEND_API_KEY) {
-    console.log('[Email Scheduler] No RESEND_API_KEY configured');
-    return { status: 'error', message: 'No RESEND_API_KEY configured' };
+  if (!isEmailConfigured()) {
+    console.log('[Email Scheduler] No email provider configured');
+    return { status: 'error', message: 'No email provider configured' };
   }
 
   const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -1459,6 +1498,9 @@ app.listen(PORT, '0.0.0.0', () => {
 ╚════════════════════════════════════════════╝
   `);
 
+  // V 2.0.890 — organizations with their own email provider (SMTP / outbox)
+  refreshEmailProviders();
+
   // Mutex helper: prevents a scheduler from overlapping with itself.
   // Audit Phase 4 finding W7 — without this, a long-running batch (e.g. 8 min
   // email send) triggered again at the next tick would duplicate effects.
@@ -1498,7 +1540,8 @@ app.listen(PORT, '0.0.0.0', () => {
   // Automatic push notification reminders - check daily for tournaments with deadline tomorrow
   async function checkAutomaticReminders() {
     const db = require('./db-loader');
-    const { buildNotification } = require('./notification-messages');
+    const { localizedNotification } = require('./notification-messages');
+    const i18n = require('./utils/i18n');
     const { sendPushToPlayers } = require('./routes/push');
 
     console.log('[Automatic Reminders] Starting daily check...');
@@ -1633,16 +1676,10 @@ app.listen(PORT, '0.0.0.0', () => {
             ? `${tournaments[0].nom} - ${tournaments[0].mode} ${tournaments[0].categorie}`
             : `${tournaments.length} tournois`;
 
-          const closingDate = new Date(tournaments[0].debut).toLocaleDateString('fr-FR', {
-            day: 'numeric',
-            month: 'long',
-            year: 'numeric'
-          });
-
-          const notification = buildNotification('REMINDER_LAST_DAY', {
+          const notification = localizedNotification('REMINDER_LAST_DAY', locale => ({
             tournoiName: tournamentName,
-            closingDate: closingDate
-          });
+            closingDate: i18n.formatDate(tournaments[0].debut, locale, { day: 'numeric', month: 'long', year: 'numeric' })
+          }));
 
           const result = await sendPushToPlayers([licence], orgId, notification);
           totalSent += result.total_sent;
@@ -1799,8 +1836,14 @@ app.listen(PORT, '0.0.0.0', () => {
                 (err, rows) => resolve(rows || [])
               );
             });
+            // V 2.0.889 — A frozen qualification is the reference list.
+            // Promoted reserves are left alone: they have their own deadline.
+            const finaleQualification = require('./utils/finale-qualification');
+            const frozen = await finaleQualification.getQualification(finale.tournoi_id, orgId);
             const numFinalists = rankings.length >= qThreshold ? qLarge : qSmall;
-            const finalists = rankings.slice(0, numFinalists);
+            const finalists = frozen
+              ? frozen.entries.filter(e => e.status === 'qualified')
+              : rankings.slice(0, numFinalists);
 
             // Get active inscriptions for this finale
             const active = await new Promise((resolve) => {
@@ -1866,6 +1909,12 @@ app.listen(PORT, '0.0.0.0', () => {
                     );
                   });
                 }
+                if (frozen) {
+                  const result = await finaleQualification.handleRenunciation({
+                    tournoiId: finale.tournoi_id, orgId, licence: p.licence, source: 'auto'
+                  });
+                  if (result.promoted) p.replacement = result.promoted.player_name || result.promoted.licence;
+                }
               } catch (e) {
                 console.error(`[Finale Auto-Indisponible] Failed to mark ${p.licence}:`, e.message);
               }
@@ -1885,7 +1934,7 @@ app.listen(PORT, '0.0.0.0', () => {
                 'email_convocations', 'email_sender_name', 'summary_email', 'organization_name', 'primary_color'
               ]);
               const adminEmail = emailSettings.summary_email;
-              if (adminEmail && process.env.RESEND_API_KEY) {
+              if (adminEmail && isEmailConfigured()) {
                 {
                   const primaryColor = emailSettings.primary_color || '#1F4788';
                   const orgName = emailSettings.organization_name || emailSettings.email_sender_name || 'CDB';
@@ -1898,7 +1947,7 @@ app.listen(PORT, '0.0.0.0', () => {
                     const dateStr = new Date(f.debut).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
                     const rows = entry.players
                       .sort((a, b) => (a.rank_position || 99) - (b.rank_position || 99))
-                      .map(p => `<li><strong>${esc(p.name)}</strong> (${p.rank_position}${p.rank_position === 1 ? 'er' : 'ème'}) — licence ${esc(p.licence)}</li>`)
+                      .map(p => `<li><strong>${esc(p.name)}</strong> (${p.rank_position}${p.rank_position === 1 ? 'er' : 'ème'}) — licence ${esc(p.licence)}${p.replacement ? ` → repêché : <strong>${esc(p.replacement)}</strong>` : ''}</li>`)
                       .join('');
                     return `
                       <div style="background: white; border-left: 4px solid ${primaryColor}; padding: 12px 16px; margin-bottom: 14px;">
@@ -1967,6 +2016,39 @@ app.listen(PORT, '0.0.0.0', () => {
   }, 3600000); // Check every hour
   console.log('[Finale Auto-Indisponible] Scheduler enabled - runs daily at 9 AM Paris time (opt-in per org)');
 
+  // V 2.0.889 — Reserve promoted to a frozen finale who did not confirm
+  // before response_deadline: the place goes to the next reserve.
+  guardedScheduler('Finale Reserve Deadlines', async () => {
+    const { expireOverdueOffers } = require('./utils/finale-qualification');
+    const expired = await expireOverdueOffers();
+    if (expired > 0) console.log(`[Finale Reserve Deadlines] ${expired} offer(s) expired`);
+  }, 900000);
+  console.log('[Finale Reserve Deadlines] Started - checking every 15 minutes (mutex-guarded)');
+
+  // V 2.0.894 — Waiting player offered a place who did not answer before
+  // response_deadline: the place goes to the next one in the waiting list.
+  guardedScheduler('Waitlist Deadlines', async () => {
+    const { expireOverdueOffers } = require('./utils/waitlist');
+    const expired = await expireOverdueOffers();
+    if (expired > 0) console.log(`[Waitlist Deadlines] ${expired} offer(s) expired`);
+  }, 900000);
+  console.log('[Waitlist Deadlines] Started - checking every 15 minutes (mutex-guarded)');
+
+  // V 2.0.895 — Players invited by RSVP link who did not answer get one
+  // reminder `rsvp_reminder_hours` before the tournament's response deadline.
+  guardedScheduler('RSVP Reminders', async () => {
+    const reminded = await rsvpTracking.sendDeadlineReminders();
+    if (reminded > 0) console.log(`[RSVP Reminders] ${reminded} player(s) reminded`);
+  }, 900000);
+  console.log('[RSVP Reminders] Started - checking every 15 minutes (mutex-guarded)');
+
+  // V 2.0.891 — Email queue: retries and messages left over by a restart.
+  // Fresh batches don't wait for the tick (finalizeBatch() kicks the worker).
+  const { processQueue: processEmailQueue } = require('./utils/email-queue');
+  guardedScheduler('Email Queue', processEmailQueue, 30000);
+  setTimeout(() => processEmailQueue().catch(err => console.error('[Email Queue] Error:', err.message)), 30000);
+  console.log('[Email Queue] Started - processing due messages every 30 seconds (mutex-guarded)');
+
   // Survey scheduler - auto-activate scheduled surveys and auto-close expired ones
   async function processSurveySchedule() {
     try {
@@ -2034,6 +2116,40 @@ app.listen(PORT, '0.0.0.0', () => {
   setTimeout(cleanupExpiredResetTokens, 60000); // run once 60s after startup
   console.log('[Reset Token Cleanup] Scheduler enabled - runs daily at 3 AM Paris time');
 
+  // V 2.0.898 — Session registry cleanup: sessions expired or revoked for
+  // more than 30 days are deleted (the recent ones stay visible to the
+  // super admin when investigating an account). Daily at 3 AM Paris time.
+  async function cleanupOldSessions() {
+    try {
+      const db = require('./db-loader');
+      await new Promise((resolve, reject) => {
+        db.run(
+          `DELETE FROM user_sessions
+           WHERE expires_at < NOW() - INTERVAL '30 days'
+              OR revoked_at < NOW() - INTERVAL '30 days'`,
+          [],
+          function (err) {
+            if (err) return reject(err);
+            if (this.changes > 0) {
+              console.log(`[Session Cleanup] Deleted ${this.changes} old session(s)`);
+            }
+            resolve();
+          }
+        );
+      });
+    } catch (error) {
+      console.error('[Session Cleanup] Error:', error.message);
+    }
+  }
+  setInterval(async () => {
+    const now = new Date();
+    const parisNow = new Date(now.toLocaleString('en-US', { timeZone: 'Europe/Paris' }));
+    if (parisNow.getHours() === 3) {
+      await cleanupOldSessions();
+    }
+  }, 3600000); // check every hour, execute only at 3 AM
+  console.log('[Session Cleanup] Scheduler enabled - runs daily at 3 AM Paris time (30-day retention)');
+
   // Notification history cleanup scheduler — removes push notification history
   // older than 90 days. Keeps the table size bounded and respects data-minimization
   // principles (notifications older than 90 days have no practical value).
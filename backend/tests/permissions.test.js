@@ -0,0 +1,127 @@
+// Route permissions (utils/permissions.js + routes/auth.js) against the real
+// routers, with db-loader replaced by an in-memory stub.
+//
+// Run with: npm test (from backend/)
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// tournoi_ext 1 is granted, 2 is not; inscriptions 7 and 8 belong to them
+const INSCRIPTION_TOURNAMENTS = { 7: 1, 8: 2 };
+const GRANT = { tournoi_id: 1, permissions: JSON.stringify(['inscriptions.read', 'inscriptions.write', 'tournaments.write']) };
+
+const fakeDb = {
+  writes: [],
+  failRoles: false,
+  get(sql, params, cb) {
+    if (/FROM org_roles/.test(sql) && fakeDb.failRoles) return setImmediate(() => cb(new Error('connection lost')));
+    let row = null;
+    if (/SELECT tournoi_id FROM inscriptions WHERE inscription_id/.test(sql)) {
+      const tournoiId = INSCRIPTION_TOURNAMENTS[params[0]];
+      row = tournoiId ? { tournoi_id: tournoiId } : null;
+    }
+    setImmediate(() => cb(null, row));
+  },
+  all(sql, params, cb) {
+    const rows = /FROM user_tournament_grants/.test(sql) && params[0] === 42 ? [GRANT] : [];
+    setImmediate(() => cb(null, rows));
+  },
+  run(sql, params, cb) {
+    fakeDb.writes.push(sql);
+    setImmediate(() => cb && cb.call({ changes: 0, lastID: 0 }, null));
+  },
+  query(sql, params) {
+    if (/^\s*(DELETE|UPDATE|INSERT)/i.test(sql)) fakeDb.writes.push(sql);
+    return Promise.resolve({ rows: [], rowCount: 0 });
+  }
+};
+const dbPath = path.join(__dirname, '../db-loader.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const permissions = require('../utils/permissions');
+
+let server;
+let baseUrl;
+
+function tokenFor(user) {
+  return jwt.sign({ username: 'test', organizationId: 1, ...user }, process.env.JWT_SECRET);
+}
+const GRANT_HOLDER = tokenFor({ userId: 42, role: 'directeur_jeu' });
+const VIEWER = tokenFor({ userId: 43, role: 'viewer' });
+const CLUB = tokenFor({ userId: 44, role: 'club', clubId: 1 });
+const ADMIN = tokenFor({ userId: 45, role: 'admin' });
+
+async function call(method, url, token, body) {
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return res.status;
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/inscriptions', require('../routes/inscriptions'));
+  app.use('/api/players', require('../routes/players'));
+  app.use('/api/tournaments', require('../routes/tournaments'));
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+beforeEach(() => {
+  fakeDb.writes = [];
+  fakeDb.failRoles = false;
+  permissions.invalidateCache();
+});
+
+test('a tournament grant does not reach the org-wide bulk deletes', async () => {
+  assert.strictEqual(await call('DELETE', '/api/inscriptions/tournoi/all?tournoi_id=1', GRANT_HOLDER), 403);
+  assert.strictEqual(await call('DELETE', '/api/inscriptions/all', GRANT_HOLDER, { tournoi_id: 1 }), 403);
+  assert.deepStrictEqual(fakeDb.writes, []);
+});
+
+test('bulk deletes need inscriptions.manage', () => {
+  const req = { method: 'DELETE', baseUrl: '/api/inscriptions', route: { path: '/tournoi/all' } };
+  assert.strictEqual(permissions.routePermission(req, 'auto'), 'inscriptions.manage');
+  assert.strictEqual(permissions.routePermission({ ...req, route: { path: '/all' } }, 'auto'), 'inscriptions.manage');
+});
+
+test('a tournoi_id in the body does not borrow the grant on another record', async () => {
+  // PUT /api/tournaments/:id addresses a results row, not the granted tournament
+  assert.strictEqual(await call('PUT', '/api/tournaments/5', GRANT_HOLDER, { tournoi_id: 1 }), 403);
+  // Inscription 8 belongs to tournament 2, whatever the body says
+  assert.strictEqual(await call('PUT', '/api/inscriptions/8/desinscription', GRANT_HOLDER, { tournoi_id: 1 }), 403);
+});
+
+test('the grant still works on its own tournament', async () => {
+  const req = { method: 'PUT', baseUrl: '/api/inscriptions', route: { path: '/:id/desinscription' }, params: { id: '7' }, body: { tournoi_id: 2 } };
+  assert.strictEqual(await permissions.resolveTournamentId(req), 1);
+  const bodyRoute = { method: 'POST', baseUrl: '/api/inscriptions', route: { path: '/save-last-minute' }, params: {}, body: { tournoi_id: 1 } };
+  assert.strictEqual(await permissions.resolveTournamentId(bodyRoute), 1);
+  const otherRoute = { method: 'PUT', baseUrl: '/api/tournaments', route: { path: '/:id' }, params: { id: '5' }, body: { tournoi_id: 1 }, query: { tournoi_id: '1' } };
+  assert.strictEqual(await permissions.resolveTournamentId(otherRoute), null);
+});
+
+test('viewers cannot create or edit a player record', async () => {
+  assert.strictEqual(await call('POST', '/api/players', VIEWER, { licence: '123456A', first_name: 'A', last_name: 'B' }), 403);
+  assert.strictEqual(await call('PUT', '/api/players/123456A', VIEWER, { first_name: 'A' }), 403);
+  assert.notStrictEqual(await call('PUT', '/api/players/123456A', ADMIN, { first_name: 'A' }), 403);
+});
+
+test('a failed role lookup refuses the request instead of using the default bundle', async () => {
+  fakeDb.failRoles = true;
+  assert.strictEqual(await call('GET', '/api/inscriptions/tournoi/upcoming', CLUB), 503);
+  await assert.rejects(permissions.loadAccess({ userId: 44, role: 'club', organizationId: 1 }));
+});
@@ -0,0 +1,44 @@
+// Round-robin playing order (utils/round-robin.js).
+//
+// Run with: npm test (from backend/)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scheduleRoundRobin } = require('../utils/round-robin');
+
+// Players who play in a slot and in the one right before it
+function backToBacks(schedule) {
+  const slots = new Map();
+  for (const m of schedule) {
+    if (!slots.has(m.round_number)) slots.set(m.round_number, []);
+    slots.get(m.round_number).push(m.p1_idx, m.p2_idx);
+  }
+  const order = [...slots.keys()].sort((a, b) => a - b);
+  const repeats = [];
+  for (let i = 1; i < order.length; i++) {
+    const previous = slots.get(order[i - 1]);
+    for (const p of slots.get(order[i])) if (previous.includes(p)) repeats.push(p);
+  }
+  return repeats;
+}
+
+test('4 players on 1 table: one match per slot and only the unavoidable back-to-backs', () => {
+  const schedule = scheduleRoundRobin(4, { tableCount: 1 });
+
+  assert.strictEqual(schedule.length, 6);
+  assert.deepStrictEqual(schedule.map(m => m.round_number), [1, 2, 3, 4, 5, 6]);
+  assert.ok(schedule.every(m => m.table_index === 1));
+  const pairs = new Set(schedule.map(m => [m.p1_idx, m.p2_idx].sort().join('-')));
+  assert.strictEqual(pairs.size, 6);
+
+  // Each match has a single disjoint partner, so 2 back-to-backs is the floor
+  const repeats = backToBacks(schedule);
+  assert.strictEqual(repeats.length, 2);
+  // ...and never the same player twice: nobody plays three in a row
+  assert.strictEqual(new Set(repeats).size, 2);
+});
+
+test('5 or 6 players on 1 table: nobody plays twice in a row', () => {
+  assert.deepStrictEqual(backToBacks(scheduleRoundRobin(5, { tableCount: 1 })), []);
+  assert.deepStrictEqual(backToBacks(scheduleRoundRobin(6, { tableCount: 1 })), []);
+});
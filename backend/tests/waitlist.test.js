@@ -0,0 +1,117 @@
+// Waiting list concurrency (utils/waitlist.js), on an in-memory stand-in
+// for db-loader. Every query yields to the event loop, so concurrent calls
+// interleave the way they do on the pg pool; transaction() serializes its
+// callers like the tournoi_ext row lock does.
+//
+// Run with: npm test (from backend/)
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const state = { tournament: null, registered: 0, waitlist: [] };
+
+function answer(sql, params) {
+  if (/FOR UPDATE/.test(sql)) return [state.tournament];
+  if (/FROM tournoi_ext WHERE tournoi_id = \$1/.test(sql)) return [state.tournament];
+  if (/as registered/.test(sql)) {
+    const count = status => state.waitlist.filter(w => w.status === status).length;
+    return [{ registered: state.registered, offered: count('offered'), waiting: count('waiting') }];
+  }
+  if (/^\s*UPDATE tournament_waitlist\s+SET status = 'offered'/.test(sql)) {
+    const [, deadline, limit] = params;
+    const claimed = state.waitlist
+      .filter(w => w.status === 'waiting')
+      .sort((a, b) => a.position - b.position || a.id - b.id)
+      .slice(0, limit);
+    claimed.forEach(w => Object.assign(w, { status: 'offered', response_deadline: deadline }));
+    return claimed.map(w => ({ ...w }));
+  }
+  if (/FROM tournament_waitlist WHERE tournoi_id = \$1 AND licence = \$2/.test(sql)) {
+    return state.waitlist.filter(w => w.licence === params[1]).map(w => ({ ...w }));
+  }
+  if (/as ahead/.test(sql)) {
+    return [{ ahead: state.waitlist.filter(w => ['waiting', 'offered'].includes(w.status) && w.position < params[1]).length }];
+  }
+  return [];
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+let lock = Promise.resolve();
+
+const fakeDb = {
+  get(sql, params, cb) { tick().then(() => cb(null, answer(sql, params)[0])); },
+  all(sql, params, cb) { tick().then(() => cb(null, answer(sql, params))); },
+  run(sql, params, cb) { tick().then(() => cb.call({ changes: answer(sql, params).length }, null)); },
+  async query(sql, params) {
+    if (/^\s*INSERT INTO tournament_waitlist/.test(sql)) {
+      // MAX(position) is read from the statement's snapshot, before the row lands
+      const position = Math.max(0, ...state.waitlist.map(w => w.position)) + 1;
+      await tick();
+      state.waitlist.push({ id: state.waitlist.length + 1, tournoi_id: params[0], licence: params[2], position, status: 'waiting' });
+      return { rows: [] };
+    }
+    await tick();
+    return { rows: answer(sql, params) };
+  },
+  transaction(fn) {
+    const run = lock.then(() => fn({ query: fakeDb.query }));
+    lock = run.catch(() => {});
+    return run;
+  }
+};
+
+function stub(relative, exports) {
+  const file = path.join(__dirname, relative);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+stub('../db-loader.js', fakeDb);
+const notified = [];
+stub('../utils/email-helpers.js', {
+  getEmailTemplateSettings: async () => ({}),
+  buildFromAddress: () => 'noreply@example.org',
+  sendEmail: async () => {}
+});
+stub('../routes/push.js', {
+  sendPushToPlayer: async (licence) => { notified.push(licence); },
+  authenticatePlayerToken: (req, res, next) => next()
+});
+
+const waitlist = require('../utils/waitlist');
+
+beforeEach(() => {
+  state.tournament = { tournoi_id: 1, organization_id: null, capacity: 10, status: null, nom: 'Test', debut: null };
+  state.waitlist = [];
+  notified.length = 0;
+});
+
+test('two releases at the same time offer a single free place once', async () => {
+  state.registered = 9;
+  state.waitlist = [
+    { id: 1, tournoi_id: 1, licence: 'A', position: 1, status: 'waiting' },
+    { id: 2, tournoi_id: 1, licence: 'B', position: 2, status: 'waiting' }
+  ];
+
+  const [first, second] = await Promise.all([
+    waitlist.releasePlace({ tournoiId: 1, orgId: null, licence: 'X', source: 'admin' }),
+    waitlist.releasePlace({ tournoiId: 1, orgId: null, licence: 'Y', source: 'admin' })
+  ]);
+
+  assert.strictEqual(first.length + second.length, 1);
+  assert.deepStrictEqual(state.waitlist.map(w => w.status), ['offered', 'waiting']);
+  assert.deepStrictEqual(notified, ['A']);
+});
+
+test('two players joining at the same time get distinct positions', async () => {
+  state.registered = 10;
+
+  const results = await Promise.all([
+    waitlist.joinWaitlist({ tournoiId: 1, orgId: null, licence: 'C', playerName: 'C', source: 'player_app' }),
+    waitlist.joinWaitlist({ tournoiId: 1, orgId: null, licence: 'D', playerName: 'D', source: 'player_app' })
+  ]);
+
+  assert.deepStrictEqual(results.map(r => r.status), ['joined', 'joined']);
+  assert.deepStrictEqual(state.waitlist.map(w => w.position).sort(), [1, 2]);
+});
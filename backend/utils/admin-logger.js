@@ -66,6 +66,26 @@ const ACTION_TYPES = {
   USER_UPDATED: 'USER_UPDATED',
   USER_DELETED: 'USER_DELETED',
 
+  // Roles & permissions (V 2.0.897)
+  ROLE_SAVED: 'ROLE_SAVED',
+  ROLE_DELETED: 'ROLE_DELETED',
+  TOURNAMENT_GRANT_SAVED: 'TOURNAMENT_GRANT_SAVED',
+  TOURNAMENT_GRANT_DELETED: 'TOURNAMENT_GRANT_DELETED',
+
+  // Two-factor authentication & sessions (V 2.0.898)
+  TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+  TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
+  TWO_FACTOR_RESET: 'TWO_FACTOR_RESET',
+  RECOVERY_CODE_USED: 'RECOVERY_CODE_USED',
+  RECOVERY_CODES_REGENERATED: 'RECOVERY_CODES_REGENERATED',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  FORCE_LOGOUT: 'FORCE_LOGOUT',
+  IMPERSONATE_ORG: 'IMPERSONATE_ORG',
+
+  // Public API keys (V 2.0.899)
+  API_KEY_CREATED: 'API_KEY_CREATED',
+  API_KEY_REVOKED: 'API_KEY_REVOKED',
+
   // Tournament imports/exports
   IMPORT_TOURNAMENT: 'IMPORT_TOURNAMENT',
   IMPORT_INSCRIPTIONS: 'IMPORT_INSCRIPTIONS',
@@ -98,11 +118,30 @@ const ACTION_TYPES = {
   // Calendar
   UPLOAD_CALENDAR: 'UPLOAD_CALENDAR',
   GENERATE_SEASON: 'GENERATE_SEASON',
+  CALENDAR_SCENARIO_PROMOTED: 'CALENDAR_SCENARIO_PROMOTED', // V 2.0.901
 
   // Maintenance
   RECALCULATE_RANKINGS: 'RECALCULATE_RANKINGS',
   RECALCULATE_MOYENNES: 'RECALCULATE_MOYENNES',
 
+  // Finale qualification (V 2.0.889)
+  FREEZE_QUALIFICATION: 'FREEZE_QUALIFICATION',
+  UNFREEZE_QUALIFICATION: 'UNFREEZE_QUALIFICATION',
+  FINALE_RENUNCIATION: 'FINALE_RENUNCIATION',
+
+  // Email queue (V 2.0.891)
+  EMAIL_QUEUE_RETRY: 'EMAIL_QUEUE_RETRY',
+  EMAIL_QUEUE_CANCEL: 'EMAIL_QUEUE_CANCEL',
+  EMAIL_UNDELIVERABLE_CLEAR: 'EMAIL_UNDELIVERABLE_CLEAR',
+
+  // Waiting list (V 2.0.894)
+  WAITLIST_ADD: 'WAITLIST_ADD',
+  WAITLIST_REMOVE: 'WAITLIST_REMOVE',
+  WAITLIST_OFFER: 'WAITLIST_OFFER',
+
+  // RSVP (V 2.0.895)
+  RSVP_DEADLINE_SET: 'RSVP_DEADLINE_SET',
+
   // Announcements
   CREATE_ANNOUNCEMENT: 'CREATE_ANNOUNCEMENT',
   UPDATE_ANNOUNCEMENT: 'UPDATE_ANNOUNCEMENT',
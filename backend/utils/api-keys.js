@@ -0,0 +1,228 @@
+// backend/utils/api-keys.js
+//
+// V 2.0.899 — API keys of the public REST API (/api/v1, routes/public-api.js).
+//
+// A key belongs to one organization and carries read-only scopes; clubs
+// paste it in their website to show the committee's tournaments, rankings,
+// results and calendar. The key itself ("kyr_<prefix>_<secret>") is shown
+// once at creation: only its SHA-256 hash is stored, the prefix identifies
+// it in the settings list.
+
+const crypto = require('crypto');
+
+const SCOPES = [
+  { key: 'tournaments:read', label: 'Tournois à venir et inscrits' },
+  { key: 'rankings:read', label: 'Classements de la saison' },
+  { key: 'results:read', label: 'Résultats des tournois joués' },
+  { key: 'calendar:read', label: 'Calendrier de la saison' }
+];
+const SCOPE_KEYS = SCOPES.map(s => s.key);
+
+const KEY_PREFIX = 'kyr';
+const DEFAULT_RATE_LIMIT = 60;
+const MAX_RATE_LIMIT = 600;
+const MAX_KEYS_PER_ORG = 20;
+
+// Every API request authenticates its key: short cache, cleared on revoke
+const CACHE_TTL_MS = 60 * 1000;
+const USAGE_FLUSH_MS = 60 * 1000;
+const cache = new Map();
+// key id -> requests not yet added to request_count
+const pendingUsage = new Map();
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Keeps known scopes only, in catalog order
+function normalizeScopes(list) {
+  let values = list;
+  if (typeof values === 'string') {
+    try {
+      values = JSON.parse(values);
+    } catch (e) {
+      values = [];
+    }
+  }
+  if (!Array.isArray(values)) return [];
+  const wanted = new Set(values.map(String));
+  return SCOPE_KEYS.filter(s => wanted.has(s));
+}
+
+function _publicRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: normalizeScopes(row.scopes),
+    rate_limit_per_minute: row.rate_limit_per_minute,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    request_count: Number(row.request_count || 0) + (pendingUsage.get(row.id) || 0),
+    revoked_at: row.revoked_at
+  };
+}
+
+async function listKeys(orgId) {
+  const rows = await _dbAll(
+    `SELECT id, name, key_prefix, scopes, rate_limit_per_minute, created_by, created_at,
+            last_used_at, request_count, revoked_at
+     FROM api_keys
+     WHERE organization_id = $1
+     ORDER BY revoked_at IS NOT NULL, created_at DESC`,
+    [orgId]
+  );
+  return rows.map(_publicRow);
+}
+
+/**
+ * Creates a key. The returned `key` is the only time the secret is available.
+ * @returns {Promise<{key: string, apiKey: object}>}
+ */
+async function createKey(orgId, { name, scopes, rateLimitPerMinute, createdBy }) {
+  const cleanName = String(name || '').trim().slice(0, 100);
+  if (!cleanName) {
+    throw Object.assign(new Error('Nom de la clé requis'), { status: 400 });
+  }
+  const cleanScopes = normalizeScopes(scopes);
+  if (cleanScopes.length === 0) {
+    throw Object.assign(new Error('Sélectionnez au moins une autorisation'), { status: 400 });
+  }
+  let rateLimit = parseInt(rateLimitPerMinute, 10);
+  if (!Number.isFinite(rateLimit)) rateLimit = DEFAULT_RATE_LIMIT;
+  if (rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+    throw Object.assign(new Error(`Limite entre 1 et ${MAX_RATE_LIMIT} requêtes par minute`), { status: 400 });
+  }
+
+  const active = await _dbGet(
+    `SELECT COUNT(*)::int AS count FROM api_keys WHERE organization_id = $1 AND revoked_at IS NULL`,
+    [orgId]
+  );
+  if (active && active.count >= MAX_KEYS_PER_ORG) {
+    throw Object.assign(new Error(`Maximum ${MAX_KEYS_PER_ORG} clés actives : révoquez une clé inutilisée`), { status: 400 });
+  }
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  const row = await _dbGet(
+    `INSERT INTO api_keys (organization_id, name, key_prefix, key_hash, scopes, rate_limit_per_minute, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, name, key_prefix, scopes, rate_limit_per_minute, created_by, created_at,
+               last_used_at, request_count, revoked_at`,
+    [orgId, cleanName, prefix, hashKey(key), JSON.stringify(cleanScopes), rateLimit, createdBy || null]
+  );
+  return { key, apiKey: _publicRow(row) };
+}
+
+// Revokes a key of the organization; returns its row, or null when unknown
+async function revokeKey(orgId, id) {
+  const row = await _dbGet(
+    `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND organization_id = $2 AND revoked_at IS NULL
+     RETURNING id, name, key_prefix`,
+    [id, orgId]
+  );
+  if (row) {
+    for (const [hash, entry] of cache) {
+      if (entry.apiKey && entry.apiKey.id === row.id) cache.delete(hash);
+    }
+  }
+  return row || null;
+}
+
+/**
+ * Resolves a presented key to its active row (with organization slug),
+ * or null when it is unknown, revoked or its organization is inactive.
+ */
+async function authenticateKey(rawKey) {
+  const key = String(rawKey || '').trim();
+  if (!key.startsWith(`${KEY_PREFIX}_`)) return null;
+
+  const hash = hashKey(key);
+  const cached = cache.get(hash);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.apiKey;
+
+  const prefix = key.split('_')[1] || '';
+  const row = await _dbGet(
+    `SELECT k.id, k.organization_id, k.name, k.key_hash, k.scopes, k.rate_limit_per_minute,
+            o.slug AS organization_slug, o.short_name AS organization_short_name
+     FROM api_keys k
+     JOIN organizations o ON o.id = k.organization_id
+     WHERE k.key_prefix = $1 AND k.revoked_at IS NULL AND o.is_active = TRUE`,
+    [prefix]
+  );
+  let apiKey = null;
+  if (row && crypto.timingSafeEqual(Buffer.from(row.key_hash), Buffer.from(hash))) {
+    apiKey = {
+      id: row.id,
+      organizationId: row.organization_id,
+      organizationSlug: row.organization_slug,
+      organizationShortName: row.organization_short_name,
+      name: row.name,
+      scopes: normalizeScopes(row.scopes),
+      rateLimitPerMinute: row.rate_limit_per_minute || DEFAULT_RATE_LIMIT
+    };
+  }
+  cache.set(hash, { apiKey, at: Date.now() });
+  return apiKey;
+}
+
+// Counted in memory and written once a minute rather than on every request
+function recordUsage(keyId) {
+  pendingUsage.set(keyId, (pendingUsage.get(keyId) || 0) + 1);
+}
+
+async function flushUsage() {
+  const entries = [...pendingUsage.entries()];
+  pendingUsage.clear();
+  for (const [id, count] of entries) {
+    try {
+      await _dbRun(
+        `UPDATE api_keys SET request_count = COALESCE(request_count, 0) + $2, last_used_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [id, count]
+      );
+    } catch (err) {
+      console.error('[API keys] usage update failed:', err.message);
+    }
+  }
+}
+
+setInterval(flushUsage, USAGE_FLUSH_MS).unref();
+
+module.exports = {
+  SCOPES,
+  SCOPE_KEYS,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  normalizeScopes,
+  listKeys,
+  createKey,
+  revokeKey,
+  authenticateKey,
+  recordUsage,
+  flushUsage
+};
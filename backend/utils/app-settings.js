@@ -44,6 +44,16 @@ const defaults = {
   qualification_threshold: '9',
   qualification_small: '4',
   qualification_large: '6',
+  // V 2.0.889 — Qualification figée : taille de la réserve et délai (heures)
+  // laissé à un réserviste repêché pour accepter sa place.
+  finale_reserve_count: '4',
+  finale_reserve_response_hours: '48',
+  // V 2.0.894 — Délai (heures) laissé à un joueur de la liste d'attente
+  // pour accepter la place qui lui est proposée.
+  waitlist_response_hours: '48',
+  // V 2.0.895 — Rappel (heures avant la date limite de réponse RSVP) aux
+  // joueurs invités qui n'ont pas répondu. 0 = pas de rappel.
+  rsvp_reminder_hours: '48',
 
   // Player App
   player_app_url: 'https://cdbhs-player-app-production.up.railway.app',
@@ -67,6 +77,9 @@ const defaults = {
   average_bonus_tiers: 'false',
   bonus_moyenne_enabled: 'false',
   bonus_moyenne_type: 'normal',
+  // V 2.0.886 — Ordered tiebreak chain for the season ranking (JSON array of
+  // criterion codes, see utils/ranking-rules.js). Empty = mode default.
+  ranking_tiebreak_chain: '',
 
   // Split (dédoublement) tournaments — only enabled for CDBs using journées qualificatives
   enable_split_tournaments: 'false',
@@ -101,6 +114,10 @@ const defaults = {
   // the admin exercise every flow without spamming real competitors.
   email_test_mode_enabled: 'false',
 
+  // Email queue throughput cap (V 2.0.891): max messages per minute and per
+  // org delivered by the queue worker (utils/email-queue.js).
+  email_queue_rate_per_minute: '60',
+
   // Quilles module (per-org enablement, V 2.0.768 — May 2026).
   // Default 'false' — only orgs that explicitly opt in (CDB Démo for dev,
   // cdbidf for Ligue IDF production, and any CDB organising local Quilles
@@ -398,6 +415,14 @@ const ORG_ONLY_KEYS = new Set([
   'bonus_moyenne_enabled',
   'bonus_moyenne_type',
   'enable_split_tournaments',
+  'ranking_tiebreak_chain',
+  // Email provider + SMTP credentials (V 2.0.890) — never borrowed from app_settings
+  'email_provider',
+  'smtp_host',
+  'smtp_port',
+  'smtp_secure',
+  'smtp_user',
+  'smtp_password',
 ]);
 
 /**
@@ -0,0 +1,198 @@
+// backend/utils/audience.js
+//
+// V 2.0.896 — Player App audience filters, shared by the announcements and
+// the surveys.
+//
+// A targeting is { target_modes, target_rankings, target_clubs } (arrays,
+// or the JSON text stored in the announcements / survey_campaigns columns).
+// Logic: (category criteria) OR (club criteria)
+// - Category = mode AND ranking (if both specified)
+// - Clubs = separate OR group
+// - If both category and clubs selected: matches category OR matches clubs
+// - No criteria = every player
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+// Accepts an array or its JSON text; anything else is "no criteria"
+function _list(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.filter(v => v !== null && v !== undefined && v !== '');
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function parseTargeting(source) {
+  return {
+    target_modes: _list(source && source.target_modes),
+    target_rankings: _list(source && source.target_rankings),
+    target_clubs: _list(source && source.target_clubs)
+  };
+}
+
+function hasTargeting(source) {
+  const t = parseTargeting(source);
+  return t.target_modes.length > 0 || t.target_rankings.length > 0 || t.target_clubs.length > 0;
+}
+
+// JSON text columns (NULL when empty), as stored by the announcements
+function toColumns(source) {
+  const t = parseTargeting(source);
+  return {
+    target_modes: t.target_modes.length > 0 ? JSON.stringify(t.target_modes) : null,
+    target_rankings: t.target_rankings.length > 0 ? JSON.stringify(t.target_rankings) : null,
+    target_clubs: t.target_clubs.length > 0 ? JSON.stringify(t.target_clubs) : null
+  };
+}
+
+// Mode code (upper case) -> players rank column, from the game_modes table
+async function loadModeColumns() {
+  const gameModes = await _dbAll('SELECT code, rank_column FROM game_modes WHERE rank_column IS NOT NULL', []);
+  const modeToColumn = {};
+  for (const gm of gameModes) {
+    modeToColumn[gm.code.toUpperCase()] = gm.rank_column;
+  }
+  return modeToColumn;
+}
+
+// SQL condition on the players table (alias p). Placeholders start at
+// startIndex; returns the condition, its params and the next free index.
+function buildAudienceCondition(source, modeToColumn, startIndex = 1) {
+  const { target_modes, target_rankings, target_clubs } = parseTargeting(source);
+  const params = [];
+  let paramIndex = startIndex;
+
+  const categoryConditions = [];
+
+  // Mode filter: player has ranking (not NC) in any of the target modes
+  if (target_modes.length > 0) {
+    const modeConditions = target_modes
+      .map(mode => modeToColumn[String(mode).toUpperCase()])
+      .filter(Boolean)
+      .map(rankColumn => `(p.${rankColumn} IS NOT NULL AND p.${rankColumn} != 'NC')`);
+    if (modeConditions.length > 0) {
+      categoryConditions.push(`(${modeConditions.join(' OR ')})`);
+    }
+  }
+
+  // Ranking filter: player has any of the target rankings in any mode
+  if (target_rankings.length > 0) {
+    const rankPlaceholders = target_rankings.map(() => `$${paramIndex++}`).join(', ');
+    categoryConditions.push(`(
+        p.rank_libre IN (${rankPlaceholders}) OR
+        p.rank_cadre IN (${rankPlaceholders}) OR
+        p.rank_bande IN (${rankPlaceholders}) OR
+        p.rank_3bandes IN (${rankPlaceholders})
+      )`);
+    // Same placeholders reused in each column
+    params.push(...target_rankings);
+  }
+
+  let clubCondition = null;
+  if (target_clubs.length > 0) {
+    const clubConditions = target_clubs.map(() => `UPPER(p.club) LIKE UPPER($${paramIndex++})`);
+    clubCondition = `(${clubConditions.join(' OR ')})`;
+    params.push(...target_clubs.map(c => `%${c}%`));
+  }
+
+  const hasCategory = categoryConditions.length > 0;
+  let condition;
+  if (hasCategory && clubCondition) {
+    condition = `((${categoryConditions.join(' AND ')}) OR ${clubCondition})`;
+  } else if (hasCategory) {
+    condition = `(${categoryConditions.join(' AND ')})`;
+  } else if (clubCondition) {
+    condition = clubCondition;
+  } else {
+    condition = 'TRUE';
+  }
+
+  return { condition, params, nextIndex: paramIndex };
+}
+
+// Number of Player App accounts matching the targeting (test accounts excluded)
+async function countAudience(source, orgId) {
+  const modeToColumn = await loadModeColumns();
+  const { condition, params, nextIndex } = buildAudienceCondition(source, modeToColumn, 1);
+  let filterCondition = condition;
+  if (orgId) {
+    params.push(orgId);
+    filterCondition = `${filterCondition} AND p.organization_id = $${nextIndex}`;
+  }
+
+  const row = await _dbGet(
+    `SELECT COUNT(DISTINCT pa.licence) as count
+     FROM player_accounts pa
+     JOIN players p ON REPLACE(pa.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+     WHERE (p.player_app_role IS NULL OR p.player_app_role != 'test') AND ${filterCondition}`,
+    params
+  );
+  return parseInt(row?.count, 10) || 0;
+}
+
+// Same rules in JS, for one player row (club + rank columns).
+// Without player data, only an untargeted audience matches.
+function matchesAudience(source, playerData, modeToColumn) {
+  const { target_modes, target_rankings, target_clubs } = parseTargeting(source);
+  const hasCategoryFilter = target_modes.length > 0 || target_rankings.length > 0;
+  const hasClubFilter = target_clubs.length > 0;
+  if (!hasCategoryFilter && !hasClubFilter) return true;
+  if (!playerData) return false;
+
+  let matchesCategory = true;
+
+  // Player matches if they have a ranking in any of the target modes
+  if (target_modes.length > 0) {
+    const playerHasMode = target_modes.some(m => {
+      const rankColumn = modeToColumn[String(m).toUpperCase()];
+      if (!rankColumn) return false;
+      const playerRank = playerData[rankColumn];
+      return playerRank && playerRank !== 'NC';
+    });
+    matchesCategory = matchesCategory && playerHasMode;
+  }
+
+  // Any of the target rankings, in any mode
+  if (target_rankings.length > 0) {
+    const playerRankings = Object.values(modeToColumn)
+      .map(col => playerData[col])
+      .filter(r => r && r !== 'NC');
+    matchesCategory = matchesCategory && target_rankings.some(r => playerRankings.includes(r));
+  }
+
+  let matchesClub = false;
+  if (hasClubFilter) {
+    matchesClub = target_clubs.some(c =>
+      playerData.club && playerData.club.toUpperCase().includes(String(c).toUpperCase())
+    );
+  }
+
+  if (hasCategoryFilter && hasClubFilter) return matchesCategory || matchesClub;
+  if (hasCategoryFilter) return matchesCategory;
+  return matchesClub;
+}
+
+module.exports = {
+  parseTargeting,
+  hasTargeting,
+  toColumns,
+  loadModeColumns,
+  buildAudienceCondition,
+  countAudience,
+  matchesAudience
+};
@@ -11,6 +11,8 @@
  *   - ligueFinals: { [categoryId]: 'YYYY-MM-DD' }
  *   - categories: [ { id, game_type, level, display_name } ]
  *   - clubs: [ { id, display_name } ]
+ *   - travel (optional): { [categoryId]: { finalists, km: { [hostId]: km } } }
+ *     from calendar-travel.js buildTravelMatrix (minimise_player_travel)
  *
  * Outputs:
  *   - placements: [ { category_id, tournament_type, host_id, weekend_date,
@@ -160,6 +162,44 @@ function computeWeekends(brief) {
   return weekends;
 }
 
+// Catalogue V1 des types de règles (validation + seed defaults dans
+// routes/calendar-generator.js, stricteté par défaut pour le solveur
+// optimisant). Le frontend a sa propre copie pour les libellés.
+const RULES_CATALOG = {
+  // Règles dures
+  blackout_weekend:                          { strictness: 'hard', defaultParams: { dates: [] } },
+  tournament_day_rule:                       { strictness: 'hard', defaultParams: { tournament_type: '*', day: 'saturday' } },
+  season_start_after:                        { strictness: 'hard', defaultParams: { first_weekend: null } },
+  final_before_ligue_final:                  { strictness: 'hard', defaultParams: {} }, // auto via ligue_final_dates
+  min_weeks_between_cdb_and_ligue_final:     { strictness: 'hard', defaultParams: { min_weeks: 2 } },
+  min_weeks_between_tournaments_same_category: { strictness: 'hard', defaultParams: { min_weeks: 3 } },
+  min_weeks_between_t3_and_final:            { strictness: 'hard', defaultParams: { min_weeks: 2 } },
+  host_no_double_booking:                    { strictness: 'hard', defaultParams: {} }, // implicit
+  max_tournaments_per_weekend:               { strictness: 'hard', defaultParams: { max: 3 } },
+  // V 2.0.686 — Cascade T1 was always enforced in isDateAllowed but listed
+  // as soft in the UI. Now correctly classified as hard.
+  category_upgrade_cascade:                  { strictness: 'hard', defaultParams: {} },
+  // Règles molles
+  host_balanced_load:                        { strictness: 'soft', defaultWeight: 5, defaultParams: {} },
+  host_no_consecutive_weekends:              { strictness: 'soft', defaultWeight: 3, defaultParams: {} },
+  mode_spread_evenly:                        { strictness: 'soft', defaultWeight: 5, defaultParams: {} },
+  weekend_spread:                            { strictness: 'soft', defaultWeight: 5, defaultParams: {} },
+  month_balanced_load:                       { strictness: 'soft', defaultWeight: 10, defaultParams: {} },
+  // V 2.0.686 — t1_earliness_weight is legacy; category_cadence_weight
+  // covers it and more. Kept in the catalog for backward compatibility
+  // with existing rule instances but no longer pre-created for new orgs.
+  t1_earliness_weight:                       { strictness: 'soft', defaultWeight: 0, defaultParams: {}, hidden: true },
+  category_cadence_weight:                   { strictness: 'soft', defaultWeight: 10, defaultParams: {} },
+  // V 2.0.903 — Finale host chosen to limit the km of the expected finalists.
+  // max_extra_km: extra travel over the best host reported as a sacrifice.
+  minimise_player_travel:                    { strictness: 'soft', defaultWeight: 5, defaultParams: { max_extra_km: 30 } }
+};
+
+// minimise_player_travel: one penalty unit per TRAVEL_KM_UNIT km of total
+// finalist travel (weight 5: 10 km more weighs as much as one extra
+// tournament on the host, see host_balanced_load).
+const TRAVEL_KM_UNIT = 10;
+
 // Index constraints by rule_type (only enabled ones)
 function indexConstraints(constraints) {
   const map = {};
@@ -457,6 +497,13 @@ function scoreSoft({ cat, ttype, host, date, weekendDate, alreadyPlaced, cmap, b
     }
   }
 
+  // minimise_player_travel: Finale host close to the expected finalists.
+  if (host && ttype === 'Finale' && cat._travel && cmap.minimise_player_travel) {
+    const w = cmap.minimise_player_travel.weight ?? 5;
+    const km = cat._travel.km[host.id];
+    if (km != null) score += w * km / TRAVEL_KM_UNIT;
+  }
+
   // Earliness tie-break (very small, deterministic)
   score += parseISODate(date).getTime() / 1e15;
 
@@ -539,12 +586,72 @@ function placeOne({ cat, ttype, weekends, hosts, brief, cmap, ligueFinals, alrea
   };
 }
 
-function generateCalendar({ brief, constraints, ligueFinals, categories, clubs, lockedPlacements = [] }) {
+// V 2.0.672 — RETRO-PLANNING per category.
+//
+// Each category now gets explicit target dates for T2/T3/Finale,
+// computed by working BACKWARDS from the category's deadline:
+//   • If the category has a Ligue Final:
+//       anchor = ligue_final − min_weeks_between_cdb_and_ligue_final
+//   • Otherwise:
+//       anchor = season's last_weekend
+// Then T2/T3 are evenly spread between first_weekend and that anchor.
+// Categories with no Ligue Final naturally finish near season end
+// (May/June) — exactly what the user pointed out: there's no reason
+// to compress them into the first half of the season.
+//
+// The legacy `_idealGapWeeks` is kept as a fallback for categories
+// without a clear anchor, but the new `_targetDates` is preferred
+// by scoreSoft when available.
+function computeTargetDates(orderedCats, { brief, cmap, ligueFinals }) {
+  const startISO = toISODateString(brief.first_weekend);
+  const endISO = toISODateString(brief.last_weekend);
+  if (startISO && endISO && orderedCats.length > 0) {
+    const minWeeksFloor = param(cmap.min_weeks_between_tournaments_same_category, 'min_weeks', 3);
+    const minWeeksLigue = param(cmap.min_weeks_between_cdb_and_ligue_final, 'min_weeks', 2);
+    const startDate = parseISODate(startISO);
+    const endDate = parseISODate(endISO);
+    const totalWeeks = weekDiff(startISO, endISO);
+    const minGap = Math.max(minWeeksFloor, 4);
+    const maxGap = Math.max(minGap + 1, Math.floor(totalWeeks / 3));
+
+    orderedCats.forEach((cat, i) => {
+      // 1. Determine the anchor date (target for Finale).
+      let anchorDate;
+      if (ligueFinals && ligueFinals[cat.id]) {
+        const lf = parseISODate(toISODateString(ligueFinals[cat.id]));
+        if (lf) anchorDate = addDays(lf, -7 * minWeeksLigue);
+      }
+      if (!anchorDate) anchorDate = new Date(endDate.getTime());
+      if (anchorDate < startDate) anchorDate = new Date(startDate.getTime());
+      if (anchorDate > endDate)   anchorDate = new Date(endDate.getTime());
+
+      // 2. Spread T1/T2/T3/Finale evenly across [start, anchor].
+      //    T1 near start (cascade enforces ordering), Finale at anchor,
+      //    T2/T3 at thirds.
+      const spanDays = Math.max(0, Math.round((anchorDate - startDate) / (24 * 3600 * 1000)));
+      const spanWeeks = Math.max(3, Math.round(spanDays / 7));
+      const gap = spanWeeks / 3;
+      cat._targetDates = {
+        T1:     fmtISO(startDate),
+        T2:     fmtISO(addDays(startDate, Math.round(7 * gap))),
+        T3:     fmtISO(addDays(startDate, Math.round(7 * 2 * gap))),
+        Finale: fmtISO(anchorDate)
+      };
+
+      // Legacy fallback (soft hint when target deviation can't be computed).
+      const t = orderedCats.length <= 1 ? 1 : i / (orderedCats.length - 1);
+      cat._idealGapWeeks = Math.round(minGap + t * (maxGap - minGap));
+    });
+  }
+}
+
+function generateCalendar({ brief, constraints, ligueFinals, categories, clubs, travel = null, lockedPlacements = [] }) {
   const cmap = indexConstraints(constraints);
   const weekends = computeWeekends(brief);
   const activeCats = categories.filter(c => (brief.active_categories || []).includes(c.id));
   const orderedCats = orderCategoriesForPlacement(activeCats);
   const activeHosts = clubs.filter(c => (brief.active_hosts || []).includes(c.id));
+  orderedCats.forEach(cat => { cat._travel = (travel && travel[cat.id]) || null; });
 
   // Pre-populate placements array with locked entries (engine will treat them
   // as immovable, and skip those (category, tournament_type) pairs in the loop).
@@ -585,62 +692,7 @@ function generateCalendar({ brief, constraints, ligueFinals, categories, clubs,
     lockedKeys.add(`${lp.category_id}|${lp.tournament_type}`);
   });
 
-  // V 2.0.672 — RETRO-PLANNING per category.
-  //
-  // Each category now gets explicit target dates for T2/T3/Finale,
-  // computed by working BACKWARDS from the category's deadline:
-  //   • If the category has a Ligue Final:
-  //       anchor = ligue_final − min_weeks_between_cdb_and_ligue_final
-  //   • Otherwise:
-  //       anchor = season's last_weekend
-  // Then T2/T3 are evenly spread between first_weekend and that anchor.
-  // Categories with no Ligue Final naturally finish near season end
-  // (May/June) — exactly what the user pointed out: there's no reason
-  // to compress them into the first half of the season.
-  //
-  // The legacy `_idealGapWeeks` is kept as a fallback for categories
-  // without a clear anchor, but the new `_targetDates` is preferred
-  // by scoreSoft when available.
-  const startISO = toISODateString(brief.first_weekend);
-  const endISO = toISODateString(brief.last_weekend);
-  if (startISO && endISO && orderedCats.length > 0) {
-    const minWeeksFloor = param(cmap.min_weeks_between_tournaments_same_category, 'min_weeks', 3);
-    const minWeeksLigue = param(cmap.min_weeks_between_cdb_and_ligue_final, 'min_weeks', 2);
-    const startDate = parseISODate(startISO);
-    const endDate = parseISODate(endISO);
-    const totalWeeks = weekDiff(startISO, endISO);
-    const minGap = Math.max(minWeeksFloor, 4);
-    const maxGap = Math.max(minGap + 1, Math.floor(totalWeeks / 3));
-
-    orderedCats.forEach((cat, i) => {
-      // 1. Determine the anchor date (target for Finale).
-      let anchorDate;
-      if (ligueFinals && ligueFinals[cat.id]) {
-        const lf = parseISODate(toISODateString(ligueFinals[cat.id]));
-        if (lf) anchorDate = addDays(lf, -7 * minWeeksLigue);
-      }
-      if (!anchorDate) anchorDate = new Date(endDate.getTime());
-      if (anchorDate < startDate) anchorDate = new Date(startDate.getTime());
-      if (anchorDate > endDate)   anchorDate = new Date(endDate.getTime());
-
-      // 2. Spread T1/T2/T3/Finale evenly across [start, anchor].
-      //    T1 near start (cascade enforces ordering), Finale at anchor,
-      //    T2/T3 at thirds.
-      const spanDays = Math.max(0, Math.round((anchorDate - startDate) / (24 * 3600 * 1000)));
-      const spanWeeks = Math.max(3, Math.round(spanDays / 7));
-      const gap = spanWeeks / 3;
-      cat._targetDates = {
-        T1:     fmtISO(startDate),
-        T2:     fmtISO(addDays(startDate, Math.round(7 * gap))),
-        T3:     fmtISO(addDays(startDate, Math.round(7 * 2 * gap))),
-        Finale: fmtISO(anchorDate)
-      };
-
-      // Legacy fallback (soft hint when target deviation can't be computed).
-      const t = orderedCats.length <= 1 ? 1 : i / (orderedCats.length - 1);
-      cat._idealGapWeeks = Math.round(minGap + t * (maxGap - minGap));
-    });
-  }
+  computeTargetDates(orderedCats, { brief, cmap, ligueFinals });
 
   const placements = [...initialPlacements];
   const conflicts = [];
@@ -695,11 +747,14 @@ function generateCalendar({ brief, constraints, ligueFinals, categories, clubs,
 }
 
 module.exports = {
+  RULES_CATALOG,
   generateCalendar,
   orderCategoriesForDisplay,
   orderCategoriesForPlacement,
-  // Exposed for tests
+  // Exposed for tests and for the optimizing solver (calendar-optimizer.js)
   _internals: {
-    levelRank, modeRank, computeWeekends, weekDiff
+    levelRank, modeRank, computeWeekends, weekDiff, dayDiff,
+    indexConstraints, param, computeTargetDates, toISODateString, parseISODate,
+    TRAVEL_KM_UNIT
   }
 };
@@ -0,0 +1,371 @@
+/**
+ * Seasonal Calendar Generator — iCalendar feeds of the published grid (V 2.0.904)
+ *
+ * /calendar-generator/publish writes the grid into tournoi_ext. Players,
+ * clubs and committee members subscribe to it from their phone calendar
+ * through three public feeds (routes/calendar.js, /api/calendar/feeds/...):
+ *
+ *   organization — every tournament of the published grid
+ *   category     — the tournaments of one category
+ *   club         — the tournaments the club hosts (hosting duties)
+ *
+ * Calendar apps only update an event they already have when its UID stays
+ * the same and its SEQUENCE goes up, so each published tournament gets a
+ * row in calendar_feed_events keyed by its place in the grid (season,
+ * category, T1/T2/T3/Finale) rather than by tournoi_ext id:
+ *
+ *   - recordPublication() is called by /publish with the rows it wrote.
+ *     A tournament that is no longer in the grid is CANCELLED; a club
+ *     that lost a tournament to another host gets it CANCELLED in its feed.
+ *   - refreshEvents() compares each event with its tournoi_ext row (date,
+ *     name, place, status) and bumps SEQUENCE on any change, so edits made
+ *     from the tournament pages reach subscribers too. It runs after every
+ *     publish and before every feed is served.
+ */
+
+const appSettings = require('./app-settings');
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().run(sql, params, function (err) { err ? reject(err) : resolve(this); });
+  });
+}
+
+// Same domain as the one-off .ics files of routes/player-accounts.js
+const UID_DOMAIN = 'cdbhs.net';
+
+// Calendar apps poll subscribed feeds at their own pace; this is a hint.
+const REFRESH_INTERVAL = 'PT6H';
+
+function isoDate(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function eventKey(row) {
+  return `${row.category_id}|${String(row.tournament_type).toUpperCase()}`;
+}
+
+function eventUid(orgId, season, categoryId, tournamentType) {
+  return `calendar-${orgId}-${season}-${categoryId}-${String(tournamentType).toLowerCase()}@${UID_DOMAIN}`;
+}
+
+/**
+ * Records what /publish wrote to tournoi_ext.
+ * @param {number} orgId
+ * @param {string} season
+ * @param {Array<{category_id: number, tournament_type: string, tournoi_ext_id: number, host_club_id: number|null}>} published
+ * @param {object} [options]
+ * @param {boolean} [options.complete=true] - every row of the grid went through; false when some rows failed,
+ *   in which case nothing is cancelled
+ * @param {number[]} [options.kept=[]] - tournoi_ext ids the publish left untouched (skipped rows), never cancelled
+ */
+async function recordPublication(orgId, season, published, { complete = true, kept = [] } = {}) {
+  const events = await _dbAll(
+    `SELECT id, category_id, tournament_type, tournoi_ext_id, host_club_id, former_host_club_ids, status
+       FROM calendar_feed_events
+      WHERE organization_id = $1 AND season = $2`,
+    [orgId, season]
+  );
+  const byKey = new Map(events.map(e => [eventKey(e), e]));
+  const seen = new Set();
+
+  for (const row of published) {
+    if (!row.category_id || !row.tournoi_ext_id) continue;
+    const key = eventKey(row);
+    seen.add(key);
+    const hostId = row.host_club_id || null;
+    const event = byKey.get(key);
+    if (!event) {
+      await _dbRun(
+        `INSERT INTO calendar_feed_events
+           (organization_id, season, category_id, tournament_type, uid, tournoi_ext_id, host_club_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (organization_id, season, category_id, tournament_type) DO NOTHING`,
+        [orgId, season, row.category_id, String(row.tournament_type).toUpperCase(),
+         eventUid(orgId, season, row.category_id, row.tournament_type), row.tournoi_ext_id, hostId]
+      );
+      continue;
+    }
+    if (event.tournoi_ext_id === row.tournoi_ext_id && (event.host_club_id || null) === hostId) continue;
+    // The club that hosted it until now must see it cancelled in its feed;
+    // a club getting it back is no longer a former host.
+    const former = (event.former_host_club_ids || []).filter(id => id !== hostId);
+    if (event.host_club_id && event.host_club_id !== hostId && !former.includes(event.host_club_id)) {
+      former.push(event.host_club_id);
+    }
+    // A new host is a change even if the place reads the same; date and
+    // place themselves are picked up by refreshEvents() from tournoi_ext.
+    const hostChanged = (event.host_club_id || null) !== hostId && event.status === 'confirmed';
+    await _dbRun(
+      `UPDATE calendar_feed_events
+          SET tournoi_ext_id = $1, host_club_id = $2, former_host_club_ids = $3::int[],
+              sequence = sequence + $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5`,
+      [row.tournoi_ext_id, hostId, former, hostChanged ? 1 : 0, event.id]
+    );
+  }
+
+  if (complete) {
+    const keptIds = new Set(kept.map(Number));
+    for (const event of events) {
+      if (seen.has(eventKey(event)) || !event.tournoi_ext_id || keptIds.has(event.tournoi_ext_id)) continue;
+      // Dropped from the grid: detached from tournoi_ext so refreshEvents()
+      // leaves it cancelled until a later publish brings it back.
+      await _dbRun(
+        `UPDATE calendar_feed_events
+            SET tournoi_ext_id = NULL,
+                status = 'cancelled',
+                sequence = sequence + CASE WHEN status = 'confirmed' THEN 1 ELSE 0 END,
+                updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1`,
+        [event.id]
+      );
+    }
+  }
+
+  await refreshEvents(orgId);
+}
+
+/**
+ * Brings the events of an organization in line with their tournoi_ext rows.
+ * @returns {Promise<number>} number of events changed
+ */
+async function refreshEvents(orgId) {
+  const rows = await _dbAll(
+    `SELECT e.id, e.status, e.sequence, e.event_date, e.title, e.location,
+            t.tournoi_id, t.debut, t.nom, t.lieu, t.status AS tournoi_status
+       FROM calendar_feed_events e
+       LEFT JOIN tournoi_ext t ON t.tournoi_id = e.tournoi_ext_id AND t.organization_id = e.organization_id
+      WHERE e.organization_id = $1 AND e.tournoi_ext_id IS NOT NULL`,
+    [orgId]
+  );
+  let changed = 0;
+  for (const r of rows) {
+    const status = r.tournoi_id && r.tournoi_status !== 'cancelled' ? 'confirmed' : 'cancelled';
+    const date = r.tournoi_id ? isoDate(r.debut) : isoDate(r.event_date);
+    const title = r.tournoi_id ? r.nom : r.title;
+    const location = r.tournoi_id ? r.lieu : r.location;
+    if (status === r.status && date === isoDate(r.event_date) && title === r.title && location === r.location) continue;
+    // First snapshot of a newly published tournament: nothing to update yet
+    const isNew = r.event_date == null && r.title == null && r.status === 'confirmed';
+    await _dbRun(
+      `UPDATE calendar_feed_events
+          SET status = $1, event_date = $2, title = $3, location = $4,
+              sequence = sequence + $5, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $6`,
+      [status, date, title, location, isNew ? 0 : 1, r.id]
+    );
+    changed++;
+  }
+  return changed;
+}
+
+function escapeIcsText(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\n/g, '\\n');
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded (CRLF + space).
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, 'utf8');
+    if (size + len > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDate(iso) {
+  return iso.replace(/-/g, '');
+}
+
+function icsTimestamp(value) {
+  const d = value instanceof Date ? value : new Date(value || Date.now());
+  return (isNaN(d.getTime()) ? new Date() : d).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+function nextDayISO(iso) {
+  const d = new Date(iso + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function describeEvent(event, orgName) {
+  const type = String(event.tournament_type).toUpperCase();
+  if (type === 'LIGUE_FINALE') return 'Finale de ligue';
+  if (type === 'FINALE') return `Finale départementale ${orgName}`;
+  return `Compétition départementale ${orgName}`;
+}
+
+/**
+ * iCalendar text of a feed.
+ * @param {object} feed
+ * @param {string} feed.name - X-WR-CALNAME
+ * @param {string} feed.orgName - organization short name, used in descriptions
+ * @param {Array} feed.events - calendar_feed_events rows
+ * @param {number} [feed.clubId] - club feed: events the club no longer hosts are cancelled
+ */
+function buildFeed({ name, orgName, events, clubId = null }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//CDBHS//Calendrier Saison//FR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'X-WR-TIMEZONE:Europe/Paris',
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  for (const event of events) {
+    const date = isoDate(event.event_date);
+    if (!date) continue;
+    const cancelled = event.status === 'cancelled' || (clubId != null && event.host_club_id !== clubId);
+    const isFinale = ['FINALE', 'LIGUE_FINALE'].includes(String(event.tournament_type).toUpperCase());
+    const title = `${isFinale ? '🏆 ' : ''}${event.title || ''}`;
+    const location = !event.location || event.location === 'TBD' ? 'Lieu à confirmer' : event.location;
+    const stamp = icsTimestamp(event.updated_at);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `SEQUENCE:${event.sequence}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(date)}`,
+      // DTEND is exclusive for all-day events
+      `DTEND;VALUE=DATE:${icsDate(nextDayISO(date))}`,
+      `SUMMARY:${escapeIcsText(cancelled ? `ANNULÉ — ${title}` : title)}`,
+      `DESCRIPTION:${escapeIcsText(describeEvent(event, orgName))}`,
+      `LOCATION:${escapeIcsText(location)}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      `TRANSP:${cancelled ? 'TRANSPARENT' : 'OPAQUE'}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Loads and renders a public feed.
+ * @param {string} orgSlug
+ * @param {object} [scope]
+ * @param {number} [scope.categoryId] - category feed
+ * @param {number} [scope.clubId] - club feed (hosting duties)
+ * @returns {Promise<{filename: string, ics: string}|null>} null when the organization, category or club is unknown
+ */
+async function renderFeed(orgSlug, { categoryId = null, clubId = null } = {}) {
+  const org = await _dbGet(
+    `SELECT id, slug, short_name, name FROM organizations WHERE slug = $1 AND is_active = TRUE`,
+    [orgSlug]
+  );
+  if (!org) return null;
+  const orgName = org.short_name || org.name || org.slug;
+
+  let name = `${orgName} - Calendrier des tournois`;
+  let filename = `${org.slug}`;
+  if (categoryId != null) {
+    const category = await _dbGet(
+      `SELECT id, display_name FROM categories WHERE id = $1 AND (organization_id = $2 OR organization_id IS NULL)`,
+      [categoryId, org.id]
+    );
+    if (!category) return null;
+    name = `${orgName} - ${category.display_name}`;
+    filename += `_${category.display_name}`;
+  } else if (clubId != null) {
+    const club = await _dbGet(
+      `SELECT id, name, display_name FROM clubs WHERE id = $1 AND organization_id = $2`,
+      [clubId, org.id]
+    );
+    if (!club) return null;
+    name = `${orgName} - Tournois accueillis par ${club.display_name || club.name}`;
+    filename += `_${club.display_name || club.name}`;
+  }
+
+  await refreshEvents(org.id);
+
+  // The season being played and the ones published ahead of it
+  const currentSeason = await appSettings.getCurrentSeason();
+  const events = await _dbAll(
+    `SELECT uid, tournament_type, host_club_id, event_date, title, location, status, sequence, updated_at
+       FROM calendar_feed_events
+      WHERE organization_id = $1
+        AND season >= $2
+        AND ($3::int IS NULL OR category_id = $3)
+        AND ($4::int IS NULL OR host_club_id = $4 OR $4 = ANY(former_host_club_ids))
+      ORDER BY event_date ASC NULLS LAST, id ASC`,
+    [org.id, currentSeason, categoryId, clubId]
+  );
+
+  return {
+    filename: `${filename.replace(/[^a-zA-Z0-9]/g, '_')}.ics`,
+    ics: buildFeed({ name, orgName, events, clubId })
+  };
+}
+
+/**
+ * Categories and clubs that have a feed, for the subscription links of the
+ * calendar generator.
+ */
+async function listFeeds(orgId) {
+  const currentSeason = await appSettings.getCurrentSeason();
+  const org = await _dbGet(`SELECT slug FROM organizations WHERE id = $1`, [orgId]);
+  const categories = await _dbAll(
+    `SELECT DISTINCT c.id, c.display_name
+       FROM calendar_feed_events e
+       JOIN categories c ON c.id = e.category_id
+      WHERE e.organization_id = $1 AND e.season >= $2
+      ORDER BY c.display_name ASC`,
+    [orgId, currentSeason]
+  );
+  const clubs = await _dbAll(
+    `SELECT DISTINCT cl.id, COALESCE(cl.display_name, cl.name) AS name
+       FROM calendar_feed_events e
+       JOIN clubs cl ON cl.id = e.host_club_id OR cl.id = ANY(e.former_host_club_ids)
+      WHERE e.organization_id = $1 AND e.season >= $2
+      ORDER BY name ASC`,
+    [orgId, currentSeason]
+  );
+  return { org_slug: org?.slug || null, categories, clubs };
+}
+
+module.exports = {
+  recordPublication,
+  refreshEvents,
+  renderFeed,
+  listFeeds,
+  buildFeed
+};
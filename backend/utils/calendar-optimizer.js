@@ -0,0 +1,1032 @@
+/**
+ * Seasonal Calendar Generator — optimizing solver (V 2.0.900)
+ *
+ * The greedy engine (calendar-engine.js) places tournaments one at a time
+ * and never revisits a choice: an early placement can leave no room for a
+ * later one (typically host_no_consecutive_weekends pushing a T1 late, then
+ * category_upgrade_cascade leaving no date for the stronger categories).
+ *
+ * This solver starts from the greedy result and improves it by simulated
+ * annealing within a time budget, moving tournaments between weekends and
+ * hosts and evaluating the whole calendar at each step:
+ *   - every rule of RULES_CATALOG is applied with the strictness of its
+ *     instance: a soft rule set to "hard" must hold, a hard rule set to
+ *     "soft" becomes a weighted penalty (SOFTENED_HARD_UNIT × weight);
+ *   - an unplaced tournament costs more than any soft penalty, a broken hard
+ *     rule more than an unplaced tournament, so the best calendar places as
+ *     many tournaments as possible without breaking a hard rule;
+ *   - the objective reported is the weighted sum of soft penalties, with,
+ *     rule by rule, the soft constraints that were sacrificed.
+ *
+ * The brief always wins over the rules: season window (first/last weekend,
+ * competition days from tournament_day_rule) and club unavailabilities
+ * restrict the candidate slots whatever the strictness.
+ *
+ * Input: same as generateCalendar. Output: same shape, plus `solver`.
+ */
+
+const {
+  RULES_CATALOG,
+  generateCalendar,
+  orderCategoriesForPlacement,
+  _internals
+} = require('./calendar-engine');
+
+const {
+  levelRank, computeWeekends, indexConstraints, computeTargetDates, toISODateString, parseISODate,
+  TRAVEL_KM_UNIT
+} = _internals;
+
+const UNPLACED_COST = 1e6;
+const HARD_COST = 2e6;
+// One violation of a hard rule switched to soft, multiplied by its weight
+const SOFTENED_HARD_UNIT = 100;
+// Drift (in weeks) from a target date reported as a sacrifice
+const DRIFT_TOLERANCE_WEEKS = 2;
+const DEFAULT_TIME_BUDGET_MS = 5000;
+const MIN_TIME_BUDGET_MS = 500;
+const MAX_TIME_BUDGET_MS = 30000;
+// The search yields to the event loop this often so the server keeps answering
+const YIELD_EVERY_MS = 40;
+const MAX_REPORTED_VIOLATIONS = 20;
+
+const TOURNAMENT_TYPES = ['T1', 'T2', 'T3', 'Finale'];
+const TYPE_RANK = { T1: 1, T2: 2, T3: 3, Finale: 4 };
+const DAY_MS = 24 * 3600 * 1000;
+
+// Hard rules the greedy pass enforces even without an enabled instance
+// (with their default parameters) — the solver does the same.
+const IMPLICIT_RULES = [
+  'blackout_weekend',
+  'final_before_ligue_final',
+  'min_weeks_between_cdb_and_ligue_final',
+  'min_weeks_between_tournaments_same_category',
+  'min_weeks_between_t3_and_final',
+  'host_no_double_booking',
+  'category_upgrade_cascade'
+];
+
+// Chain invariants of a category, outside the catalog and always hard
+const INTERNAL_RULES = {
+  tournament_order: { hard: true, catalogHard: true, weight: 0, params: {} },
+  tournament_chain: { hard: true, catalogHard: true, weight: 0, params: {} }
+};
+
+// Short reasons for the "not placed" diagnostics (aggregated per slot tested)
+const RULE_REASONS = {
+  blackout_weekend: 'date en blackout',
+  final_before_ligue_final: 'après finale ligue',
+  min_weeks_between_cdb_and_ligue_final: 'trop près de la finale ligue',
+  min_weeks_between_tournaments_same_category: 'trop près d\'un autre tournoi de la catégorie',
+  min_weeks_between_t3_and_final: 'trop près du T3',
+  host_no_double_booking: 'club hôte déjà occupé ce week-end',
+  max_tournaments_per_weekend: 'nombre max de tournois atteint ce week-end',
+  category_upgrade_cascade: 'cascade T1 non respectée',
+  tournament_order: 'ordre T1 → T2 → T3 → Finale non respecté',
+  tournament_chain: 'tournoi précédent de la catégorie non placé',
+  host_balanced_load: 'charge des clubs hôtes (règle rendue stricte)',
+  host_no_consecutive_weekends: 'club hôte deux week-ends de suite (règle rendue stricte)',
+  mode_spread_evenly: 'même mode le même week-end (règle rendue stricte)',
+  weekend_spread: 'week-end trop chargé (règle rendue stricte)',
+  month_balanced_load: 'mois trop chargé (règle rendue stricte)',
+  category_cadence_weight: 'trop loin de la date cible (règle rendue stricte)',
+  t1_earliness_weight: 'T1 trop tardif (règle rendue stricte)',
+  minimise_player_travel: 'club hôte trop loin des finalistes (règle rendue stricte)'
+};
+
+function clampTimeBudget(value) {
+  const ms = parseInt(value, 10);
+  if (!Number.isFinite(ms)) return DEFAULT_TIME_BUDGET_MS;
+  return Math.min(MAX_TIME_BUDGET_MS, Math.max(MIN_TIME_BUDGET_MS, ms));
+}
+
+// Small seeded PRNG (mulberry32) so a run can be replayed from its seed
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function dayNumber(iso) {
+  const d = parseISODate(iso);
+  return d ? Math.round(d.getTime() / DAY_MS) : null;
+}
+function isoOfDay(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+function monthOfDay(day) {
+  const d = new Date(day * DAY_MS);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+// Saturday keys are 7k+2 days after the epoch (a Thursday): one number per week
+function weekOfSaturday(day) {
+  return Math.floor(day / 7);
+}
+// Σ k² for k < n: the total of the greedy's quadratic "already there" penalty
+function crowding(n) {
+  return (n - 1) * n * (2 * n - 1) / 6;
+}
+
+// Effective rule set: catalog defaults + the organization's instances
+function resolveRules(constraints) {
+  const cmap = indexConstraints(constraints);
+  const rules = { ...INTERNAL_RULES };
+  for (const [ruleType, meta] of Object.entries(RULES_CATALOG)) {
+    const instance = cmap[ruleType];
+    if (!instance && !IMPLICIT_RULES.includes(ruleType)) continue;
+    const weight = Number(instance?.weight ?? meta.defaultWeight ?? 1);
+    rules[ruleType] = {
+      hard: (instance?.strictness || meta.strictness) === 'hard',
+      catalogHard: meta.strictness === 'hard',
+      weight: Number.isFinite(weight) ? weight : 0,
+      params: { ...(meta.defaultParams || {}), ...(instance?.parameters || {}) }
+    };
+  }
+  return rules;
+}
+
+// km of a Finale's expected finalists per host, with the best active host
+function slotTravel(entry, activeHosts) {
+  const known = activeHosts.map(h => entry.km[h.id]).filter(km => km != null);
+  return { km: entry.km, best: known.length ? Math.min(...known) : null };
+}
+
+function buildModel({ brief, constraints, ligueFinals, categories, clubs, travel = null }, seedPlacements) {
+  const rules = resolveRules(constraints);
+  const cmap = indexConstraints(constraints);
+  const startISO = toISODateString(brief.first_weekend);
+  const endISO = toISODateString(brief.last_weekend);
+  const inWindow = (iso) => (!startISO || iso >= startISO) && (!endISO || iso <= endISO);
+
+  const W = computeWeekends(brief).map(wk => {
+    const qualifDay = dayNumber(wk.qualif_date);
+    const finalDay = dayNumber(wk.final_date);
+    return {
+      ...wk,
+      qualifDay,
+      finalDay,
+      weekNo: weekOfSaturday(dayNumber(wk.weekend_date)),
+      qualifMonth: monthOfDay(qualifDay),
+      finalMonth: monthOfDay(finalDay)
+    };
+  });
+  const windowWeekends = W.filter(wk => inWindow(wk.qualif_date) && !wk.qualif_blackout);
+  const monthCap = new Map();
+  windowWeekends.forEach(wk => monthCap.set(wk.qualifMonth, (monthCap.get(wk.qualifMonth) || 0) + 1));
+
+  const blackoutDays = new Set((brief.blackout_dates || []).map(dayNumber).filter(d => d != null));
+  const blackoutHard = rules.blackout_weekend.hard;
+
+  const activeHosts = clubs.filter(c => (brief.active_hosts || []).includes(c.id));
+  const hostNames = new Map(clubs.map(c => [c.id, c.display_name]));
+  const hostBlackouts = new Map();
+  (brief.host_blackouts || []).forEach(hb => {
+    const start = toISODateString(hb.start_date);
+    const end = toISODateString(hb.end_date);
+    if (!start || !end) return;
+    const id = Number(hb.host_id);
+    if (!hostBlackouts.has(id)) hostBlackouts.set(id, []);
+    hostBlackouts.get(id).push([start, end]);
+  });
+  const winnerTbd = brief.final_attribution === 'winner_tbd';
+
+  // Hosts allowed on a date (0 = host to be decided: winner_tbd Finale)
+  const hostsAt = [[], []];
+  W.forEach((wk, wi) => {
+    [false, true].forEach(isFinale => {
+      let list;
+      if (isFinale && winnerTbd) {
+        list = [0];
+      } else {
+        const date = isFinale ? wk.final_date : wk.qualif_date;
+        list = activeHosts
+          .filter(h => !(hostBlackouts.get(Number(h.id)) || []).some(([s, e]) => date >= s && date <= e))
+          .map(h => h.id);
+      }
+      hostsAt[isFinale ? 1 : 0][wi] = { list, set: new Set(list) };
+    });
+  });
+
+  const activeCats = orderCategoriesForPlacement(
+    categories.filter(c => (brief.active_categories || []).includes(c.id))
+  );
+  computeTargetDates(activeCats, { brief, cmap, ligueFinals });
+
+  const slots = [];
+  const makeSlot = (cat, ttype, locked) => {
+    const isFinale = ttype === 'Finale';
+    const ligueISO = ligueFinals && ligueFinals[cat.id] ? toISODateString(ligueFinals[cat.id]) : null;
+    const slot = {
+      index: slots.length,
+      cat,
+      catId: cat.id,
+      ttype,
+      rank: TYPE_RANK[ttype] || 0,
+      isFinale,
+      locked: !!locked,
+      modeKey: String(cat.game_type || '').toLowerCase(),
+      levelRank: levelRank(cat.level),
+      label: `${cat.display_name} ${ttype}`,
+      targetDay: cat._targetDates && cat._targetDates[ttype] ? dayNumber(cat._targetDates[ttype]) : null,
+      idealGap: cat._idealGapWeeks || null,
+      ligueDay: ligueISO ? dayNumber(ligueISO) : null,
+      travel: isFinale && travel && travel[cat.id] ? slotTravel(travel[cat.id], activeHosts) : null,
+      domain: [],
+      domainMask: null,
+      predecessors: []
+    };
+    if (locked) {
+      const dateISO = isFinale ? locked.final_date : locked.qualif_date;
+      slot.fixedDay = dayNumber(dateISO);
+      slot.fixedWeek = weekOfSaturday(dayNumber(locked.weekend_date));
+      slot.fixedMonth = monthOfDay(slot.fixedDay);
+      slot.fixedHost = locked.host_id || 0;
+      slot.placement = locked;
+    }
+    slots.push(slot);
+    return slot;
+  };
+
+  const lockedKeys = new Set();
+  seedPlacements.filter(p => p._locked).forEach(p => {
+    const cat = categories.find(c => c.id === p.category_id);
+    if (!cat) return;
+    makeSlot(cat, p.tournament_type, p);
+    lockedKeys.add(`${p.category_id}|${p.tournament_type}`);
+  });
+  for (const ttype of TOURNAMENT_TYPES) {
+    for (const cat of activeCats) {
+      if (lockedKeys.has(`${cat.id}|${ttype}`)) continue;
+      makeSlot(cat, ttype, null);
+    }
+  }
+
+  slots.forEach(s => {
+    s.predecessors = slots
+      .filter(o => o.catId === s.catId && o.rank < s.rank)
+      .sort((a, b) => a.rank - b.rank)
+      .map(o => o.index);
+    if (s.locked) return;
+    s.domainMask = new Uint8Array(W.length);
+    W.forEach((wk, wi) => {
+      const date = s.isFinale ? wk.final_date : wk.qualif_date;
+      const blackedOut = s.isFinale ? wk.final_blackout : wk.qualif_blackout;
+      if (!inWindow(date)) return;
+      if (blackedOut && blackoutHard) return;
+      if (!hostsAt[s.isFinale ? 1 : 0][wi].list.length) return;
+      s.domain.push(wi);
+      s.domainMask[wi] = 1;
+    });
+  });
+
+  const n = slots.length;
+  return {
+    rules,
+    W,
+    slots,
+    movable: slots.filter(s => !s.locked).map(s => s.index),
+    hostsAt,
+    hostNames,
+    activeHostIds: activeHosts.map(h => h.id),
+    activeCats,
+    blackoutDays,
+    monthCap,
+    windowWeekendCount: Math.max(1, windowWeekends.length),
+    startDay: startISO ? dayNumber(startISO) : null,
+    minWeeks: {
+      same: Number(rules.min_weeks_between_tournaments_same_category.params.min_weeks) || 0,
+      t3Final: Number(rules.min_weeks_between_t3_and_final.params.min_weeks) || 0,
+      ligue: Number(rules.min_weeks_between_cdb_and_ligue_final.params.min_weeks) || 0
+    },
+    buf: {
+      day: new Int32Array(n),
+      week: new Int32Array(n),
+      month: new Int32Array(n),
+      host: new Int32Array(n),
+      placed: new Uint8Array(n)
+    }
+  };
+}
+
+function initialState(model, seedPlacements) {
+  const n = model.slots.length;
+  const state = { pos: new Int32Array(n).fill(-1), host: new Int32Array(n) };
+  const byKey = new Map(seedPlacements.filter(p => !p._locked).map(p => [`${p.category_id}|${p.tournament_type}`, p]));
+  model.slots.forEach(s => {
+    if (s.locked) return;
+    const p = byKey.get(`${s.catId}|${s.ttype}`);
+    if (!p) return;
+    const wi = model.W.findIndex(wk => wk.weekend_date === p.weekend_date);
+    if (wi < 0 || !s.domainMask[wi]) return;
+    state.pos[s.index] = wi;
+    state.host[s.index] = p.host_id || 0;
+  });
+  return state;
+}
+
+function copyState(state) {
+  return { pos: state.pos.slice(), host: state.host.slice() };
+}
+
+/**
+ * Scores a full calendar. `explain` keeps the violation messages,
+ * `collect` (array) receives the hard violations with their slots.
+ * @returns {{cost: number, soft: number, hard: number, unplaced: number, placedCount: number, ledger: object}}
+ */
+function evaluate(model, state, { explain = false, collect = null } = {}) {
+  const { slots, rules, W, minWeeks } = model;
+  const { day, week, month, host, placed } = model.buf;
+  const n = slots.length;
+  const ledger = {};
+  let unplaced = 0;
+  let placedCount = 0;
+
+  for (let i = 0; i < n; i++) {
+    const s = slots[i];
+    if (s.locked) {
+      placed[i] = 1;
+      day[i] = s.fixedDay;
+      week[i] = s.fixedWeek;
+      month[i] = s.fixedMonth;
+      host[i] = s.fixedHost;
+      placedCount++;
+      continue;
+    }
+    const wi = state.pos[i];
+    if (wi < 0) {
+      placed[i] = 0;
+      unplaced++;
+      continue;
+    }
+    const wk = W[wi];
+    placed[i] = 1;
+    day[i] = s.isFinale ? wk.finalDay : wk.qualifDay;
+    week[i] = wk.weekNo;
+    month[i] = s.isFinale ? wk.finalMonth : wk.qualifMonth;
+    host[i] = state.host[i];
+    placedCount++;
+  }
+
+  const entry = (ruleType) => ledger[ruleType] || (ledger[ruleType] = { units: 0, count: 0, items: explain ? [] : null });
+  const penalize = (ruleType, units) => {
+    entry(ruleType).units += units;
+  };
+  const hit = (ruleType, involved, message, amount = 1) => {
+    if (involved.every(k => slots[k].locked)) return; // the user's own locks
+    const rule = rules[ruleType];
+    const e = entry(ruleType);
+    e.count += amount;
+    if (rule.catalogHard) e.units += SOFTENED_HARD_UNIT * amount;
+    if (explain) e.items.push({ message, slots: involved });
+    if (collect && rule.hard) collect.push({ ruleType, slots: involved });
+  };
+  const hostName = (id) => model.hostNames.get(id) || `club #${id}`;
+
+  // Per tournament
+  for (let i = 0; i < n; i++) {
+    if (!placed[i]) continue;
+    const s = slots[i];
+
+    if (!s.locked) {
+      const missing = s.predecessors.find(p => !placed[p]);
+      if (missing !== undefined) {
+        hit('tournament_chain', [i], explain && `${s.label} placé alors que ${slots[missing].label} ne l'est pas`);
+      }
+    }
+
+    if (model.blackoutDays.has(day[i])) {
+      hit('blackout_weekend', [i], explain && `${s.label} le ${isoOfDay(day[i])}, date en blackout`);
+    }
+
+    if (s.isFinale && s.ligueDay != null) {
+      if (day[i] >= s.ligueDay) {
+        hit('final_before_ligue_final', [i], explain && `${s.label} le ${isoOfDay(day[i])}, après la finale ligue (${isoOfDay(s.ligueDay)})`);
+      } else if (s.ligueDay - day[i] < minWeeks.ligue * 7) {
+        hit('min_weeks_between_cdb_and_ligue_final', [i], explain && `${s.label} le ${isoOfDay(day[i])}, moins de ${minWeeks.ligue} sem. avant la finale ligue (${isoOfDay(s.ligueDay)})`);
+      }
+    }
+
+    // Cadence: same precedence as the greedy scoreSoft
+    if (s.targetDay != null && rules.category_cadence_weight) {
+      const drift = Math.round(Math.abs(day[i] - s.targetDay) / 7);
+      penalize('category_cadence_weight', drift);
+      if (drift > DRIFT_TOLERANCE_WEEKS) {
+        hit('category_cadence_weight', [i], explain && `${s.label} le ${isoOfDay(day[i])}, à ${drift} sem. de sa date cible (${isoOfDay(s.targetDay)})`);
+      }
+    } else if (s.rank === 1 && rules.t1_earliness_weight && model.startDay != null) {
+      const offset = Math.round(Math.abs(day[i] - model.startDay) / 7);
+      penalize('t1_earliness_weight', offset);
+      if (offset > DRIFT_TOLERANCE_WEEKS) {
+        hit('t1_earliness_weight', [i], explain && `${s.label} le ${isoOfDay(day[i])}, ${offset} sem. après le début de saison`);
+      }
+    } else if (s.rank > 1 && rules.category_cadence_weight && s.idealGap) {
+      const prev = [...s.predecessors].reverse().find(p => placed[p]);
+      if (prev !== undefined) {
+        const drift = Math.abs(Math.round(Math.abs(day[i] - day[prev]) / 7) - s.idealGap);
+        penalize('category_cadence_weight', drift);
+        if (drift > DRIFT_TOLERANCE_WEEKS) {
+          hit('category_cadence_weight', [prev, i], explain && `${s.label} : écart de ${drift} sem. avec l'intervalle idéal de ${s.idealGap} sem.`);
+        }
+      }
+    }
+  }
+
+  // Finale hosts and finalist travel (same units as the greedy scoreSoft)
+  if (rules.minimise_player_travel) {
+    const maxExtra = Number(rules.minimise_player_travel.params.max_extra_km ?? 30);
+    for (let i = 0; i < n; i++) {
+      const s = slots[i];
+      if (!placed[i] || !host[i] || !s.travel) continue;
+      const km = s.travel.km[host[i]];
+      if (km == null) continue;
+      penalize('minimise_player_travel', km / TRAVEL_KM_UNIT);
+      const extra = km - s.travel.best;
+      if (s.travel.best != null && extra > maxExtra) {
+        hit('minimise_player_travel', [i], explain && `${s.label} chez ${hostName(host[i])} : ${Math.round(km)} km pour les finalistes, ${Math.round(extra)} km de plus que le club le mieux placé`);
+      }
+    }
+  }
+
+  // Pairs of tournaments
+  for (let a = 0; a < n; a++) {
+    if (!placed[a]) continue;
+    const sa = slots[a];
+    for (let b = a + 1; b < n; b++) {
+      if (!placed[b]) continue;
+      const sb = slots[b];
+      const weekGap = Math.abs(week[a] - week[b]);
+
+      if (sa.catId === sb.catId) {
+        const first = sa.rank < sb.rank ? a : b;
+        const second = first === a ? b : a;
+        if (day[first] >= day[second]) {
+          hit('tournament_order', [first, second], explain && `${slots[second].label} (${isoOfDay(day[second])}) pas après ${slots[first].label} (${isoOfDay(day[first])})`);
+        }
+        const gap = Math.abs(day[a] - day[b]);
+        if (gap < minWeeks.same * 7) {
+          hit('min_weeks_between_tournaments_same_category', [first, second], explain && `${slots[first].label} et ${slots[second].label} à moins de ${minWeeks.same} sem. (${isoOfDay(day[first])}, ${isoOfDay(day[second])})`);
+        }
+        if (slots[first].rank === 3 && slots[second].rank === 4 && gap < minWeeks.t3Final * 7) {
+          hit('min_weeks_between_t3_and_final', [first, second], explain && `${slots[second].label} à moins de ${minWeeks.t3Final} sem. du T3`);
+        }
+      } else if (sa.rank === 1 && sb.rank === 1 && sa.modeKey === sb.modeKey && sa.levelRank !== sb.levelRank) {
+        const weaker = sa.levelRank > sb.levelRank ? a : b;
+        const stronger = weaker === a ? b : a;
+        if (day[stronger] <= day[weaker]) {
+          hit('category_upgrade_cascade', [weaker, stronger], explain && `${slots[stronger].label} (${isoOfDay(day[stronger])}) pas après ${slots[weaker].label} (${isoOfDay(day[weaker])})`);
+        }
+      }
+
+      if (host[a] && host[a] === host[b]) {
+        if (weekGap === 0) {
+          hit('host_no_double_booking', [a, b], explain && `${hostName(host[a])} reçoit ${sa.label} et ${sb.label} le même week-end`);
+        } else if (weekGap === 1 && rules.host_no_consecutive_weekends) {
+          penalize('host_no_consecutive_weekends', 10);
+          hit('host_no_consecutive_weekends', [a, b], explain && `${hostName(host[a])} reçoit ${sa.label} et ${sb.label} deux week-ends de suite`);
+        }
+      }
+
+      if (rules.mode_spread_evenly && weekGap <= 1) {
+        let affinity = 0;
+        if (sa.modeKey === sb.modeKey) affinity = 1.0;
+        else if (sa.levelRank === sb.levelRank) affinity = 0.8;
+        else if (Math.abs(sa.levelRank - sb.levelRank) === 1) affinity = 0.4;
+        if (affinity > 0) {
+          penalize('mode_spread_evenly', (weekGap === 0 ? 5 : 2) * affinity);
+          if (weekGap === 0 && affinity === 1.0) {
+            hit('mode_spread_evenly', [a, b], explain && `${sa.label} et ${sb.label} (même mode) le même week-end`);
+          }
+        }
+      }
+    }
+  }
+
+  // Weekends, months and hosts
+  const perWeek = new Map();
+  const perMonth = new Map();
+  const perHost = new Map();
+  const push = (map, key, i) => {
+    const list = map.get(key);
+    if (list) list.push(i);
+    else map.set(key, [i]);
+  };
+  for (let i = 0; i < n; i++) {
+    if (!placed[i]) continue;
+    push(perWeek, week[i], i);
+    push(perMonth, month[i], i);
+    if (host[i]) push(perHost, host[i], i);
+  }
+  const weekLabel = (list) => W.find(wk => wk.weekNo === week[list[0]])?.weekend_date || isoOfDay(day[list[0]]);
+
+  if (rules.max_tournaments_per_weekend) {
+    const max = Number(rules.max_tournaments_per_weekend.params.max);
+    if (Number.isFinite(max)) {
+      for (const list of perWeek.values()) {
+        if (list.length > max) {
+          hit('max_tournaments_per_weekend', list, explain && `${list.length} tournois le week-end du ${weekLabel(list)} (max ${max})`, list.length - max);
+        }
+      }
+    }
+  }
+
+  if (rules.weekend_spread) {
+    const target = Math.max(1, Math.ceil(placedCount / model.windowWeekendCount));
+    for (const list of perWeek.values()) {
+      penalize('weekend_spread', crowding(list.length));
+      if (list.length > target) {
+        hit('weekend_spread', list, explain && `${list.length} tournois le week-end du ${weekLabel(list)} (moyenne ${target})`);
+      }
+    }
+  }
+
+  if (rules.month_balanced_load) {
+    for (const [monthKey, list] of perMonth) {
+      const cap = model.monthCap.get(monthKey) || 1;
+      penalize('month_balanced_load', crowding(list.length) / cap);
+      const expected = Math.ceil(placedCount * cap / model.windowWeekendCount);
+      if (list.length > expected) {
+        const label = isoOfDay(day[list[0]]).slice(0, 7);
+        hit('month_balanced_load', list, explain && `${list.length} tournois en ${label} pour ${cap} week-end(s) (attendu ≤ ${expected})`);
+      }
+    }
+  }
+
+  if (rules.host_balanced_load) {
+    const tolerance = Number(rules.host_balanced_load.params.tolerance ?? 1);
+    const loads = model.activeHostIds.map(id => (perHost.get(id) || []).length);
+    const minLoad = loads.length ? Math.min(...loads) : 0;
+    for (const [hostId, list] of perHost) {
+      penalize('host_balanced_load', list.length * (list.length - 1) / 2);
+      if (list.length - minLoad > tolerance) {
+        hit('host_balanced_load', list, explain && `${hostName(hostId)} reçoit ${list.length} tournois, contre ${minLoad} pour le club le moins sollicité`);
+      }
+    }
+  }
+
+  let soft = 0;
+  let hard = 0;
+  for (const [ruleType, e] of Object.entries(ledger)) {
+    const rule = rules[ruleType];
+    if (rule.hard) hard += e.count;
+    else soft += rule.weight * e.units;
+  }
+  return {
+    cost: unplaced * UNPLACED_COST + hard * HARD_COST + soft,
+    soft,
+    hard,
+    unplaced,
+    placedCount,
+    ledger
+  };
+}
+
+// ----------------------------------------------------------------
+// Moves — each returns an undo function, or null when not applicable
+// ----------------------------------------------------------------
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function hostsFor(model, slot, wi) {
+  return model.hostsAt[slot.isFinale ? 1 : 0][wi];
+}
+
+function snapshot(state, indices) {
+  const saved = indices.map(k => [k, state.pos[k], state.host[k]]);
+  return () => saved.forEach(([k, pos, host]) => {
+    state.pos[k] = pos;
+    state.host[k] = host;
+  });
+}
+
+// Moves a tournament to another weekend, keeping its host when possible
+function assign(model, state, i, wi, random) {
+  const hosts = hostsFor(model, model.slots[i], wi);
+  state.pos[i] = wi;
+  if (!hosts.set.has(state.host[i])) state.host[i] = pick(hosts.list, random);
+}
+
+function isReady(model, state, i) {
+  return model.slots[i].predecessors.every(p => model.slots[p].locked || state.pos[p] >= 0);
+}
+
+function placeWithKick(model, state, i, random) {
+  const slot = model.slots[i];
+  const undo = snapshot(state, model.movable);
+  state.pos[i] = pick(slot.domain, random);
+  state.host[i] = pick(hostsFor(model, slot, state.pos[i]).list, random);
+
+  // Move away (at random) the tournaments it now clashes with
+  const clashes = [];
+  evaluate(model, state, { collect: clashes });
+  const partners = new Set();
+  clashes.forEach(c => {
+    if (!c.slots.includes(i)) return;
+    c.slots.forEach(k => {
+      if (k !== i && !model.slots[k].locked) partners.add(k);
+    });
+  });
+  if (partners.size <= 2) {
+    partners.forEach(k => {
+      const other = model.slots[k];
+      if (other.domain.length) assign(model, state, k, pick(other.domain, random), random);
+    });
+  }
+  return undo;
+}
+
+function proposeMove(model, state, random) {
+  const { slots } = model;
+  const waiting = model.movable.filter(k => state.pos[k] < 0 && slots[k].domain.length && isReady(model, state, k));
+  if (waiting.length && random() < 0.3) return placeWithKick(model, state, pick(waiting, random), random);
+
+  const i = pick(model.movable, random);
+  const slot = slots[i];
+  if (!slot.domain.length) return null;
+  if (state.pos[i] < 0) return placeWithKick(model, state, i, random);
+
+  const r = random();
+  const current = state.pos[i];
+
+  if (r < 0.4) {
+    // Another weekend, usually a close one
+    const target = random() < 0.7
+      ? current + (random() < 0.5 ? -1 : 1) * (1 + Math.floor(random() * 3))
+      : pick(slot.domain, random);
+    if (target === current || !slot.domainMask[target]) return null;
+    const undo = snapshot(state, [i]);
+    assign(model, state, i, target, random);
+    return undo;
+  }
+
+  if (r < 0.6) {
+    // Another host on the same weekend
+    const hosts = hostsFor(model, slot, current).list.filter(h => h !== state.host[i]);
+    if (!hosts.length) return null;
+    const undo = snapshot(state, [i]);
+    state.host[i] = pick(hosts, random);
+    return undo;
+  }
+
+  if (r < 0.75) {
+    // Swap weekends with a tournament of another category
+    const j = pick(model.movable, random);
+    if (j === i || state.pos[j] < 0 || slots[j].catId === slot.catId) return null;
+    if (!slot.domainMask[state.pos[j]] || !slots[j].domainMask[current]) return null;
+    const undo = snapshot(state, [i, j]);
+    const target = state.pos[j];
+    assign(model, state, j, current, random);
+    assign(model, state, i, target, random);
+    return undo;
+  }
+
+  if (r < 0.85) {
+    // Swap hosts with another tournament
+    const j = pick(model.movable, random);
+    if (j === i || state.pos[j] < 0 || state.host[i] === state.host[j]) return null;
+    if (!hostsFor(model, slot, current).set.has(state.host[j])) return null;
+    if (!hostsFor(model, slots[j], state.pos[j]).set.has(state.host[i])) return null;
+    const undo = snapshot(state, [i, j]);
+    const h = state.host[i];
+    state.host[i] = state.host[j];
+    state.host[j] = h;
+    return undo;
+  }
+
+  if (r < 0.97) {
+    // Shift the whole chain of the category by one or two weeks
+    const shift = (random() < 0.5 ? -1 : 1) * (1 + Math.floor(random() * 2));
+    const chain = model.movable.filter(k => slots[k].catId === slot.catId && state.pos[k] >= 0);
+    if (!chain.every(k => slots[k].domainMask[state.pos[k] + shift])) return null;
+    const undo = snapshot(state, chain);
+    chain.forEach(k => assign(model, state, k, state.pos[k] + shift, random));
+    return undo;
+  }
+
+  const undo = snapshot(state, [i]);
+  state.pos[i] = -1;
+  return undo;
+}
+
+// ----------------------------------------------------------------
+// Final passes
+// ----------------------------------------------------------------
+
+// Unplaces tournaments until no hard rule is broken (the most involved first)
+function repairHardViolations(model, state) {
+  for (let guard = 0; guard < model.slots.length; guard++) {
+    const clashes = [];
+    const result = evaluate(model, state, { collect: clashes });
+    if (result.hard === 0) return;
+    const involvement = new Map();
+    clashes.forEach(c => c.slots.forEach(k => {
+      if (!model.slots[k].locked) involvement.set(k, (involvement.get(k) || 0) + 1);
+    }));
+    if (!involvement.size) return;
+    const [worst] = [...involvement.entries()].sort((a, b) =>
+      b[1] - a[1] || model.slots[b[0]].rank - model.slots[a[0]].rank
+    )[0];
+    state.pos[worst] = -1;
+  }
+}
+
+// Places any remaining tournament on its best slot, if one breaks no hard rule
+function fillRemaining(model, state) {
+  let improved = true;
+  while (improved) {
+    improved = false;
+    let current = evaluate(model, state).cost;
+    for (const i of model.movable) {
+      if (state.pos[i] >= 0 || !isReady(model, state, i)) continue;
+      const slot = model.slots[i];
+      let best = null;
+      for (const wi of slot.domain) {
+        for (const h of hostsFor(model, slot, wi).list) {
+          state.pos[i] = wi;
+          state.host[i] = h;
+          const cost = evaluate(model, state).cost;
+          if (cost < current && (!best || cost < best.cost)) best = { wi, h, cost };
+        }
+      }
+      if (best) {
+        state.pos[i] = best.wi;
+        state.host[i] = best.h;
+        current = best.cost;
+        improved = true;
+      } else {
+        state.pos[i] = -1;
+      }
+    }
+  }
+}
+
+// Why a tournament could not be placed: hard rules broken on each slot tried
+function explainUnplaced(model, state, i) {
+  const slot = model.slots[i];
+  if (!isReady(model, state, i)) {
+    return 'chaîne interrompue (un tournoi précédent de la même catégorie n\'a pas pu être placé)';
+  }
+  if (!slot.domain.length) {
+    return 'Aucun créneau disponible (hors saison, blackout ou aucun club hôte disponible)';
+  }
+  const reasonCounts = {};
+  for (const wi of slot.domain) {
+    let fewest = null;
+    for (const h of hostsFor(model, slot, wi).list) {
+      state.pos[i] = wi;
+      state.host[i] = h;
+      const clashes = [];
+      evaluate(model, state, { collect: clashes });
+      const mine = [...new Set(clashes.filter(c => c.slots.includes(i)).map(c => c.ruleType))];
+      if (!fewest || mine.length < fewest.length) fewest = mine;
+    }
+    (fewest || []).forEach(ruleType => {
+      const reason = RULE_REASONS[ruleType] || ruleType;
+      reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+    });
+  }
+  state.pos[i] = -1;
+  const summary = Object.entries(reasonCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([r, count]) => `${count}× ${r}`)
+    .join(' · ');
+  return `${slot.domain.length} créneau(x) testé(s), tous rejetés : ${summary || 'écarté par le solveur'}`;
+}
+
+function describeSacrifices(model, result) {
+  const sacrificed = [];
+  const penalties = {};
+  for (const [ruleType, e] of Object.entries(result.ledger)) {
+    const rule = model.rules[ruleType];
+    if (rule.hard) continue;
+    const penalty = Math.round(rule.weight * e.units * 10) / 10;
+    penalties[ruleType] = penalty;
+    if (!e.count || penalty <= 0) continue;
+    sacrificed.push({
+      rule_type: ruleType,
+      strictness: 'soft',
+      weight: rule.weight,
+      penalty,
+      violation_count: e.items.length,
+      violations: e.items.slice(0, MAX_REPORTED_VIOLATIONS).map(item => ({
+        message: item.message,
+        placements: item.slots.map(k => ({
+          category_id: model.slots[k].catId,
+          tournament_type: model.slots[k].ttype
+        }))
+      }))
+    });
+  }
+  sacrificed.sort((a, b) => b.penalty - a.penalty);
+  return { sacrificed, penalties };
+}
+
+function buildOutput(model, state, greedy, result) {
+  const { slots, W } = model;
+  const flags = new Map();
+  for (const [ruleType, e] of Object.entries(result.ledger)) {
+    if (model.rules[ruleType].hard) continue;
+    e.items.forEach(item => item.slots.forEach(k => {
+      if (!flags.has(k)) flags.set(k, new Set());
+      flags.get(k).add(ruleType);
+    }));
+  }
+
+  const placements = greedy.placements.filter(p => p._locked);
+  const conflicts = [];
+  for (const s of slots) {
+    if (s.locked) continue;
+    const wi = state.pos[s.index];
+    if (wi < 0) {
+      conflicts.push({
+        category_id: s.catId,
+        category_label: s.cat.display_name,
+        tournament_type: s.ttype,
+        reason: explainUnplaced(model, state, s.index)
+      });
+      continue;
+    }
+    const wk = W[wi];
+    const hostId = state.host[s.index] || null;
+    placements.push({
+      category_id: s.catId,
+      tournament_type: s.ttype,
+      host_id: hostId,
+      host_name: hostId ? model.hostNames.get(hostId) || null : null,
+      weekend_date: wk.weekend_date,
+      qualif_date: s.isFinale ? null : wk.qualif_date,
+      final_date: s.isFinale ? wk.final_date : null,
+      conflict_flags: [...(flags.get(s.index) || [])]
+    });
+  }
+  return { placements, conflicts };
+}
+
+/**
+ * Greedy pass, then simulated annealing until the time budget runs out.
+ * @param {object} input - same as generateCalendar
+ * @param {{timeBudgetMs?: number, seed?: number}} options
+ * @returns {Promise<object>} generateCalendar's result + `solver` report
+ */
+async function optimizeCalendar(input, options = {}) {
+  const started = Date.now();
+  const timeBudgetMs = clampTimeBudget(options.timeBudgetMs);
+  const seed = Number.isInteger(options.seed) ? options.seed : Math.floor(Math.random() * 2147483647);
+  const random = createRandom(seed);
+
+  const greedy = generateCalendar(input);
+  const model = buildModel(input, greedy.placements);
+  const state = initialState(model, greedy.placements);
+  const greedyResult = evaluate(model, state);
+
+  let current = greedyResult.cost;
+  let best = copyState(state);
+  let bestCost = current;
+  let iterations = 0;
+
+  if (model.movable.length) {
+    // Starting temperature: accept an average uphill soft move half the time
+    const uphill = [];
+    for (let k = 0; k < 100; k++) {
+      const undo = proposeMove(model, state, random);
+      if (!undo) continue;
+      const delta = evaluate(model, state).cost - current;
+      if (delta > 0 && delta < UNPLACED_COST / 10) uphill.push(delta);
+      undo();
+    }
+    const startTemperature = uphill.length ? (uphill.reduce((a, b) => a + b, 0) / uphill.length) / Math.LN2 : 50;
+    const deadline = started + timeBudgetMs;
+    let temperature = startTemperature;
+    let lastYield = Date.now();
+
+    while (Date.now() < deadline) {
+      for (let k = 0; k < 64; k++) {
+        const undo = proposeMove(model, state, random);
+        if (!undo) continue;
+        iterations++;
+        const cost = evaluate(model, state).cost;
+        const delta = cost - current;
+        if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+          current = cost;
+          if (cost < bestCost - 1e-9) {
+            bestCost = cost;
+            best = copyState(state);
+          }
+        } else {
+          undo();
+        }
+      }
+      const now = Date.now();
+      const progress = Math.min(1, (now - started) / timeBudgetMs);
+      temperature = startTemperature * Math.pow(1e-3, progress);
+      if (now - lastYield >= YIELD_EVERY_MS) {
+        await new Promise(resolve => setImmediate(resolve));
+        lastYield = Date.now();
+      }
+    }
+  }
+
+  repairHardViolations(model, best);
+  fillRemaining(model, best);
+
+  const finalResult = evaluate(model, best, { explain: true });
+  const { sacrificed, penalties } = describeSacrifices(model, finalResult);
+  const { placements, conflicts } = buildOutput(model, best, greedy, finalResult);
+  const round = (x) => Math.round(x * 10) / 10;
+
+  return {
+    placements,
+    conflicts,
+    stats: {
+      total_categories: model.activeCats.length,
+      total_placed: placements.length,
+      total_expected: model.activeCats.length * 4,
+      total_conflicts: conflicts.length
+    },
+    solver: {
+      mode: 'optimize',
+      time_budget_ms: timeBudgetMs,
+      elapsed_ms: Date.now() - started,
+      iterations,
+      seed,
+      objective: round(finalResult.soft),
+      penalties,
+      sacrificed,
+      greedy: {
+        placed: greedy.stats.total_placed,
+        objective: round(greedyResult.soft),
+        // The greedy pass ignores per-instance strictness: a soft rule
+        // made hard can be broken in its result
+        hard_violations: greedyResult.hard
+      }
+    }
+  };
+}
+
+/**
+ * V 2.0.901 — Scores an existing calendar (a scenario, the saved draft)
+ * against the rules of `input`, without moving anything: locks are
+ * ignored so that every rule counts, manual edits outside the brief's
+ * candidate slots are scored where they stand.
+ * @param {object} input - same as generateCalendar
+ * @param {Array} placements - [{ category_id, tournament_type, weekend_date, host_id }]
+ * @returns {{placed: number, expected: number, unplaced: number, unplaced_list: Array,
+ *            hard_violations: number, objective: number, violations: Array}}
+ */
+function scoreCalendar(input, placements) {
+  const seeds = placements.map(p => ({ ...p, _locked: false }));
+  const model = buildModel(input, seeds);
+  const n = model.slots.length;
+  const state = { pos: new Int32Array(n).fill(-1), host: new Int32Array(n) };
+  const weekIndex = new Map(model.W.map((wk, wi) => [wk.weekend_date, wi]));
+  const byKey = new Map(seeds.map(p => [`${p.category_id}|${p.tournament_type}`, p]));
+  model.slots.forEach(s => {
+    const p = byKey.get(`${s.catId}|${s.ttype}`);
+    const wi = p ? weekIndex.get(toISODateString(p.weekend_date)) : undefined;
+    if (wi === undefined) return;
+    state.pos[s.index] = wi;
+    state.host[s.index] = p.host_id || 0;
+  });
+
+  const result = evaluate(model, state, { explain: true });
+  const violations = Object.entries(result.ledger)
+    .filter(([, e]) => e.items.length)
+    .map(([ruleType, e]) => ({
+      rule_type: ruleType,
+      strictness: model.rules[ruleType].hard ? 'hard' : 'soft',
+      count: e.items.length,
+      penalty: model.rules[ruleType].hard ? null : Math.round(model.rules[ruleType].weight * e.units * 10) / 10,
+      messages: e.items.slice(0, MAX_REPORTED_VIOLATIONS).map(item => item.message)
+    }))
+    .sort((a, b) => (a.strictness === b.strictness ? b.count - a.count : a.strictness === 'hard' ? -1 : 1));
+
+  return {
+    placed: result.placedCount,
+    expected: n,
+    unplaced: result.unplaced,
+    unplaced_list: model.slots
+      .filter(s => state.pos[s.index] < 0)
+      .map(s => ({ category_id: s.catId, category_label: s.cat.display_name, tournament_type: s.ttype })),
+    hard_violations: result.hard,
+    objective: Math.round(result.soft * 10) / 10,
+    violations
+  };
+}
+
+module.exports = {
+  optimizeCalendar,
+  scoreCalendar,
+  DEFAULT_TIME_BUDGET_MS,
+  MIN_TIME_BUDGET_MS,
+  MAX_TIME_BUDGET_MS,
+  // Exposed for tests
+  _internals: {
+    resolveRules, buildModel, initialState, evaluate, clampTimeBudget
+  }
+};
@@ -0,0 +1,275 @@
+/**
+ * Seasonal Calendar Generator — player travel of a calendar (V 2.0.901)
+ *
+ * Used to compare calendar scenarios: for each placement, the players
+ * expected in the category travel to the host club. The expected players
+ * of a category are those of its latest ranking (the new season's grid is
+ * built before anyone has played it), each attached to their club through
+ * players.club, resolved like the imports do (club name, display name or
+ * club_aliases, compared without spaces, dots and hyphens).
+ *
+ * A trip counts one player going to one tournament; it is "away" when the
+ * player's club is not the host (or could not be resolved). Finals whose
+ * host is still to be decided (winner_tbd) have no known destination and
+ * are counted apart.
+ *
+ * V 2.0.903 — distances. Clubs are geocoded offline from their postcode
+ * (clubs.zip_code, else a 5-digit code found in the address) with the
+ * bundled centroid table of every French postcode (postcode-centroids.js);
+ * a trip is measured as the crow flies between the player's club and the
+ * host. For finals, the expected players are the qualified ones — the top
+ * getQualifiedCount of the ranking — and buildTravelMatrix() gives the
+ * engine, per category, the km of its finalists for each possible host
+ * (minimise_player_travel).
+ */
+
+const appSettings = require('./app-settings');
+const { POSTCODES, DEPARTEMENTS } = require('./postcode-centroids');
+
+const EARTH_RADIUS_KM = 6371;
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+function normalizeClubKey(name) {
+  return String(name || '').toUpperCase().replace(/[\s.\-]/g, '');
+}
+
+/**
+ * Expected players of each category, with their club, best ranked first.
+ * @returns {Promise<Map<number, Array<{licence: string, club_id: number|null, rank: number|null}>>>}
+ */
+async function loadCategoryPools(orgId, categoryIds) {
+  const ids = [...new Set((categoryIds || []).map(Number).filter(Number.isFinite))];
+  const pools = new Map(ids.map(id => [id, []]));
+  if (!ids.length) return pools;
+
+  const clubs = await _dbAll(
+    `SELECT id, name, display_name FROM clubs WHERE ($1::int IS NULL OR organization_id = $1)`,
+    [orgId]
+  );
+  const clubByKey = new Map();
+  clubs.forEach(c => {
+    [c.name, c.display_name].forEach(n => {
+      const key = normalizeClubKey(n);
+      if (key && !clubByKey.has(key)) clubByKey.set(key, c.id);
+    });
+  });
+  const aliases = await _dbAll(`SELECT alias, canonical_name FROM club_aliases`, []);
+  aliases.forEach(a => {
+    const key = normalizeClubKey(a.alias);
+    const clubId = clubByKey.get(normalizeClubKey(a.canonical_name));
+    if (key && clubId && !clubByKey.has(key)) clubByKey.set(key, clubId);
+  });
+
+  const rows = await _dbAll(
+    `SELECT r.category_id, r.licence, r.rank_position, p.club
+     FROM rankings r
+     JOIN players p ON p.licence = r.licence
+     WHERE r.category_id = ANY($1::int[])
+       AND r.season = (SELECT MAX(r2.season) FROM rankings r2 WHERE r2.category_id = r.category_id)
+       AND UPPER(r.licence) NOT LIKE 'TEST%'
+     ORDER BY r.rank_position ASC NULLS LAST`,
+    [ids]
+  );
+  rows.forEach(r => {
+    pools.get(r.category_id).push({
+      licence: r.licence,
+      club_id: clubByKey.get(normalizeClubKey(r.club)) || null,
+      rank: r.rank_position != null ? Number(r.rank_position) : null
+    });
+  });
+  return pools;
+}
+
+/**
+ * Expected finalists of each category: the top getQualifiedCount players
+ * of the pool, as the finale convocations will pick them.
+ * @returns {Promise<Map<number, Array>>}
+ */
+async function loadFinalistPools(orgId, pools) {
+  const finalists = new Map();
+  for (const [categoryId, pool] of pools) {
+    const count = await appSettings.getQualifiedCount(orgId, pool.length);
+    finalists.set(categoryId, pool.slice(0, count));
+  }
+  return finalists;
+}
+
+function departementOf(postcode) {
+  if (postcode.startsWith('97')) return postcode.slice(0, 3);
+  if (postcode.startsWith('20')) return Number(postcode) < 20200 ? '2A' : '2B';
+  return postcode.slice(0, 2);
+}
+
+/**
+ * Centroid of a postcode.
+ * @returns {{lat: number, lon: number, precision: 'postcode'|'departement', departement: string}|null}
+ */
+function geocodePostcode(postcode) {
+  const code = String(postcode || '').replace(/\s/g, '');
+  if (!/^\d{5}$/.test(code)) return null;
+  const departement = departementOf(code);
+  if (POSTCODES[code]) {
+    const [lat, lon] = POSTCODES[code];
+    return { lat, lon, precision: 'postcode', departement };
+  }
+  if (DEPARTEMENTS[departement]) {
+    const [lat, lon] = DEPARTEMENTS[departement];
+    return { lat, lon, precision: 'departement', departement };
+  }
+  return null;
+}
+
+function geocodeClub(club) {
+  const postcode = String(club.zip_code || '').trim()
+    || (`${club.street || ''} ${club.city || ''}`.match(/\b\d{5}\b/) || [])[0];
+  return geocodePostcode(postcode);
+}
+
+/**
+ * Location of each club of the organization that could be geocoded.
+ * @returns {Promise<Map<number, object>>} club_id → geocodePostcode() result
+ */
+async function loadClubLocations(orgId) {
+  const clubs = await _dbAll(
+    `SELECT id, street, city, zip_code FROM clubs WHERE ($1::int IS NULL OR organization_id = $1)`,
+    [orgId]
+  );
+  const locations = new Map();
+  clubs.forEach(c => {
+    const location = geocodeClub(c);
+    if (location) locations.set(c.id, location);
+  });
+  return locations;
+}
+
+/**
+ * Straight-line distance in km, or null when it cannot be trusted (either
+ * end unknown, or located at département level inside that département).
+ */
+function distanceKm(a, b) {
+  if (!a || !b) return null;
+  if (a.departement === b.departement && (a.precision === 'departement' || b.precision === 'departement')) {
+    return null;
+  }
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// km of a pool going to a host: home players count 0, players whose trip
+// cannot be measured are left out (`located` tells how many were measured).
+function poolKm(pool, hostId, locations) {
+  const hostLocation = locations.get(hostId);
+  let km = 0;
+  let located = 0;
+  pool.forEach(pl => {
+    if (pl.club_id && pl.club_id === hostId) {
+      located++;
+      return;
+    }
+    const d = distanceKm(pl.club_id ? locations.get(pl.club_id) : null, hostLocation);
+    if (d == null) return;
+    km += d;
+    located++;
+  });
+  return { km, located };
+}
+
+/**
+ * Engine input for minimise_player_travel: per category, the km its
+ * expected finalists would travel to each host. A host that cannot be
+ * located gets the mean of the others, so it is neither favoured nor
+ * penalised.
+ * @returns {Promise<Object<number, {finalists: number, km: Object<number, number>}>>}
+ */
+async function buildTravelMatrix(orgId, categoryIds, hostIds) {
+  const pools = await loadCategoryPools(orgId, categoryIds);
+  const finalists = await loadFinalistPools(orgId, pools);
+  const locations = await loadClubLocations(orgId);
+  const matrix = {};
+  for (const [categoryId, pool] of finalists) {
+    if (!pool.length) continue;
+    const km = {};
+    const known = [];
+    hostIds.forEach(hostId => {
+      if (!locations.has(hostId)) return;
+      const t = poolKm(pool, hostId, locations);
+      if (!t.located) return;
+      // Scaled to the whole pool so hosts compare on the same head count
+      km[hostId] = Math.round(t.km * pool.length / t.located);
+      known.push(km[hostId]);
+    });
+    if (!known.length) continue;
+    const mean = Math.round(known.reduce((a, b) => a + b, 0) / known.length);
+    hostIds.forEach(hostId => { if (km[hostId] === undefined) km[hostId] = mean; });
+    matrix[categoryId] = { finalists: pool.length, km };
+  }
+  return matrix;
+}
+
+/**
+ * Trips of a calendar.
+ * @param {Array} placements - [{ category_id, tournament_type, host_id }]
+ * @param {Map} pools - from loadCategoryPools
+ * @param {object} [options]
+ * @param {Map} [options.finalists] - from loadFinalistPools: finals count these players only
+ * @param {Map} [options.locations] - from loadClubLocations: adds the km
+ * @returns {{trips: number, away_trips: number, home_trips: number, unknown_host_trips: number, km: number|null,
+ *            by_placement: Array<{category_id, tournament_type, host_id, players, away, km, located}>}}
+ */
+function computeTravel(placements, pools, { finalists = null, locations = null } = {}) {
+  const totals = { trips: 0, away_trips: 0, home_trips: 0, unknown_host_trips: 0, km: locations ? 0 : null };
+  const byPlacement = placements.map(p => {
+    const pool = (p.tournament_type === 'Finale' && finalists ? finalists.get(p.category_id) : pools.get(p.category_id)) || [];
+    const hostId = p.host_id || null;
+    const away = hostId ? pool.filter(pl => pl.club_id !== hostId).length : null;
+    totals.trips += pool.length;
+    if (hostId) {
+      totals.away_trips += away;
+      totals.home_trips += pool.length - away;
+    } else {
+      totals.unknown_host_trips += pool.length;
+    }
+    let km = null;
+    let located = null;
+    if (locations && hostId) {
+      const t = poolKm(pool, hostId, locations);
+      located = t.located;
+      if (located) {
+        km = Math.round(t.km);
+        totals.km += km;
+      }
+    }
+    return {
+      category_id: p.category_id,
+      tournament_type: p.tournament_type,
+      host_id: hostId,
+      players: pool.length,
+      away,
+      km,
+      located
+    };
+  });
+  return { ...totals, by_placement: byPlacement };
+}
+
+module.exports = {
+  normalizeClubKey,
+  loadCategoryPools,
+  loadFinalistPools,
+  loadClubLocations,
+  geocodePostcode,
+  distanceKm,
+  buildTravelMatrix,
+  computeTravel
+};
@@ -0,0 +1,215 @@
+/**
+ * DdJ live hub — per-tournament push channel for the public TV display.
+ *
+ * V 2.0.880 — Replaces the 5-second polling of /api/public/dj/:id/feed.
+ *
+ * Three responsibilities:
+ *   1. Feed cache. The public feed is expensive to build (poules +
+ *      bracket + consolante + barrage loaders, then one players query).
+ *      It is built once per change and shared by every screen, whether
+ *      it polls /feed or listens on /stream.
+ *   2. Change notification. Every DdJ write on /competitions/:id/* calls
+ *      notifyChange(). That drops the cached feed and schedules ONE
+ *      rebuild (debounced) for the connected screens.
+ *   3. Server-Sent Events fan-out. A new subscriber gets a full
+ *      `snapshot`; afterwards only the parts that changed are pushed
+ *      (`poule`, `bracket`, `consolante`, `barrage`, `summary`).
+ *
+ * State is in-process. Railway runs a single instance, so a write and
+ * the screens watching it always share the same hub. A safety TTL on
+ * the cache covers writes that don't go through the DdJ router (e.g. a
+ * player renamed from the admin app).
+ *
+ * Usage:
+ *   const djLive = require('../utils/dj-live');
+ *   djLive.setFeedBuilder((tournoiId) => buildFeed(db, tournoiId));
+ *   djLive.notifyChange(tournoiId, { source: 'poule-matches' });
+ *   const feed = await djLive.getFeed(tournoiId);
+ *   djLive.subscribe(tournoiId, req, res);
+ */
+
+const CACHE_TTL_MS = 30 * 1000;     // safety net, see header
+const BROADCAST_DEBOUNCE_MS = 250;  // coalesce bursts (save + auto-allocation)
+const HEARTBEAT_MS = 25 * 1000;     // keeps proxies from closing idle streams
+
+let feedBuilder = null;
+
+// tournoiId → { version, payload, builtAt }
+const cache = new Map();
+// tournoiId → monotonically increasing change counter
+const versions = new Map();
+// tournoiId → Promise in flight (several screens asking at once = one build)
+const inflight = new Map();
+// tournoiId → Set<res>
+const subscribers = new Map();
+// tournoiId → last payload pushed to subscribers (diff baseline)
+const lastBroadcast = new Map();
+// tournoiId → pending debounce timer
+const pendingTimers = new Map();
+
+function setFeedBuilder(fn) {
+  feedBuilder = fn;
+}
+
+function currentVersion(tournoiId) {
+  return versions.get(tournoiId) || 0;
+}
+
+/**
+ * Return the public feed for a tournament, building it only when the
+ * cached copy is stale. Resolves to null when the builder reports the
+ * tournament doesn't exist (never cached, so a later creation shows up).
+ */
+async function getFeed(tournoiId) {
+  if (!feedBuilder) throw new Error('dj-live: feed builder not registered');
+  const version = currentVersion(tournoiId);
+  const hit = cache.get(tournoiId);
+  if (hit && hit.version === version && Date.now() - hit.builtAt < CACHE_TTL_MS) {
+    return hit.payload;
+  }
+  const running = inflight.get(tournoiId);
+  if (running && running.version === version) return running.promise;
+
+  const promise = (async () => {
+    try {
+      const payload = await feedBuilder(tournoiId);
+      // Only store if no write landed while we were building.
+      if (payload && currentVersion(tournoiId) === version) {
+        cache.set(tournoiId, { version, payload, builtAt: Date.now() });
+      }
+      return payload;
+    } finally {
+      const cur = inflight.get(tournoiId);
+      if (cur && cur.version === version) inflight.delete(tournoiId);
+    }
+  })();
+  inflight.set(tournoiId, { version, promise });
+  return promise;
+}
+
+/**
+ * Signal that the DdJ state of a tournament changed. Cheap: no DB access
+ * unless at least one screen is subscribed.
+ */
+function notifyChange(tournoiId, change = {}) {
+  if (!Number.isFinite(tournoiId)) return;
+  versions.set(tournoiId, currentVersion(tournoiId) + 1);
+  cache.delete(tournoiId);
+  if (!subscribers.has(tournoiId)) return;
+  if (pendingTimers.has(tournoiId)) return;
+  const timer = setTimeout(() => {
+    pendingTimers.delete(tournoiId);
+    broadcast(tournoiId, change).catch(err => {
+      console.error(`[dj-live] broadcast ${tournoiId} failed:`, err?.message || err);
+    });
+  }, BROADCAST_DEBOUNCE_MS);
+  pendingTimers.set(tournoiId, timer);
+}
+
+// Stable key for a match-like object in the sanitized feed.
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare two public feeds and return the list of SSE events needed to
+ * move a screen from `prev` to `next`. Falls back to a full snapshot when
+ * the structure changed (poules regenerated, session created, bracket
+ * shape changed) — patching those incrementally isn't worth it.
+ */
+function diffFeeds(prev, next) {
+  if (!prev || !next) return [{ event: 'snapshot', data: next }];
+  const shape = (f) => JSON.stringify({
+    session: f.session,
+    mode: f.mode,
+    tournament: f.tournament,
+    poules: (f.poules || []).map(p => [p.number, (p.matches || []).length]),
+    bracket: (f.bracket?.phases || []).map(ph => ph.phase),
+    consolante: (f.consolante?.phases || []).map(ph => ph.phase),
+    barrage: f.barrage?.applicable ? (f.barrage.matches || []).length : -1
+  });
+  if (shape(prev) !== shape(next)) return [{ event: 'snapshot', data: next }];
+
+  const events = [];
+  (next.poules || []).forEach((p, i) => {
+    if (!same(p, prev.poules[i])) events.push({ event: 'poule', data: p });
+  });
+  for (const key of ['bracket', 'consolante', 'barrage']) {
+    if (!same(next[key], prev[key])) events.push({ event: key, data: next[key] });
+  }
+  if (!same(next.upcoming, prev.upcoming) || !same(next.progress, prev.progress)) {
+    events.push({ event: 'summary', data: { upcoming: next.upcoming, progress: next.progress } });
+  }
+  return events;
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function broadcast(tournoiId, change) {
+  const subs = subscribers.get(tournoiId);
+  if (!subs || subs.size === 0) return;
+  const next = await getFeed(tournoiId);
+  if (!next) return;
+  const events = diffFeeds(lastBroadcast.get(tournoiId), next);
+  lastBroadcast.set(tournoiId, next);
+  if (events.length === 0) return;
+  for (const res of subs) {
+    for (const e of events) writeEvent(res, e.event, e.data);
+  }
+  if (change.source) {
+    console.log(`[dj-live] ${tournoiId}: ${events.map(e => e.event).join(',')} → ${subs.size} screen(s) (${change.source})`);
+  }
+}
+
+/**
+ * Attach an HTTP response as an SSE subscriber. Sends the current feed
+ * as a `snapshot` immediately. Resolves to false (and sends nothing) if
+ * the tournament doesn't exist, so the caller can answer 404.
+ */
+async function subscribe(tournoiId, req, res) {
+  const feed = await getFeed(tournoiId);
+  if (!feed) return false;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Railway / nginx: don't buffer the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  // Browser reconnect delay if the connection drops
+  res.write('retry: 3000\n\n');
+  writeEvent(res, 'snapshot', feed);
+
+  if (!subscribers.has(tournoiId)) subscribers.set(tournoiId, new Set());
+  subscribers.get(tournoiId).add(res);
+  if (!lastBroadcast.has(tournoiId)) lastBroadcast.set(tournoiId, feed);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const subs = subscribers.get(tournoiId);
+    if (!subs) return;
+    subs.delete(res);
+    if (subs.size === 0) {
+      subscribers.delete(tournoiId);
+      lastBroadcast.delete(tournoiId);
+    }
+  });
+  return true;
+}
+
+function subscriberCount(tournoiId) {
+  const subs = subscribers.get(tournoiId);
+  return subs ? subs.size : 0;
+}
+
+module.exports = {
+  setFeedBuilder,
+  getFeed,
+  notifyChange,
+  subscribe,
+  subscriberCount,
+  diffFeeds
+};
@@ -10,20 +10,10 @@
  * must be added here first.
  */
 
-const { Resend } = require('resend');
 const appSettings = require('./app-settings');
 const db = require('../db-loader');
-
-// Single Resend instance shared across all routes. Instantiated lazily so that
-// routes that don't send email (or test harnesses without RESEND_API_KEY)
-// don't crash on import.
-let _resendSingleton = null;
-function getResend() {
-  if (!_resendSingleton) {
-    _resendSingleton = new Resend(process.env.RESEND_API_KEY);
-  }
-  return _resendSingleton;
-}
+// Delivery backends (Resend / SMTP / outbox). Only this file may require it.
+const emailTransports = require('./email-transports');
 
 /**
  * Return the summary email address for an organization. Used as the CC target
@@ -113,14 +103,17 @@ function buildContactPhraseHtml(email, primaryColor = '#1F4788') {
 // All outgoing email (and, in push.js, all outgoing push notifications) MUST go
 // through sendEmail() / logSkippedSend() rather than calling resend.emails.send()
 // directly. This is enforced by a grep check in CI — any raw
-// `resend.emails.send(` call outside this file is a bug.
+// `resend.emails.send(` call outside this file is a bug. The same applies to
+// Nodemailer (`createTransport(` / `sendMail(`): the providers live in
+// utils/email-transports.js, which only this file requires.
 //
 // Behavior:
 //   - recipient_kind='player'  AND  org setting email_test_mode_enabled='true'
 //       -> email is NOT sent, a row is inserted in email_test_mode_log,
 //          and { skipped: true, reason: 'test_mode_players_blocked' } is returned.
-//   - All other cases: email is sent via Resend and the raw SDK response is
-//     returned (shape: { data: { id }, error }).
+//   - All other cases: email is sent with the org's provider (Resend, SMTP or
+//     local outbox — V 2.0.890) and the response is returned in the Resend
+//     shape: { data: { id }, error, provider }.
 //
 // Call sites must pass `recipientKind`. The correct classification is:
 //   'player' — convocations, results, relances, player invitations, RSVP,
@@ -196,9 +189,9 @@ async function logSkippedSend({
 }
 
 /**
- * Send an email via Resend, gated by the per-org test mode toggle for player
- * recipients. This is the ONLY place in the codebase that should invoke
- * `resend.emails.send()` directly.
+ * Send an email with the org's provider, gated by the per-org test mode toggle
+ * for player recipients. This is the ONLY place in the codebase that should
+ * hand a message to a provider.
  *
  * @param {object} payload - Resend SDK payload: { from, to, subject, html, ... }.
  * @param {object} meta - Classification metadata.
@@ -208,7 +201,7 @@ async function logSkippedSend({
  * @param {string} [meta.emailType]                'convocation' | 'results' | 'relance' | 'invitation' | 'announcement' | 'confirmation' | 'reset_password' | 'welcome' | 'enrollment' | 'other'
  * @param {number} [meta.triggeredByUserId]        Admin user who initiated the action.
  * @param {object} [meta.context]                  JSON to store in audit log.
- * @returns {Promise<object>} Either the Resend response, or { skipped: true, reason }.
+ * @returns {Promise<object>} Either the provider response, or { skipped: true, reason }.
  */
 async function sendEmail(payload, meta = {}) {
   const {
@@ -248,7 +241,37 @@ async function sendEmail(payload, meta = {}) {
   }
 
   // Normal send.
-  return getResend().emails.send(payload);
+  return emailTransports.deliver(payload, orgId);
+}
+
+/**
+ * Whether email can be sent at all on this deployment (Resend key, SMTP host
+ * or outbox provider). Synchronous, for the "email not configured" guards of
+ * the routes — replaces the historical `process.env.RESEND_API_KEY` checks.
+ *
+ * @returns {boolean}
+ */
+function isEmailConfigured() {
+  return emailTransports.hasDeploymentTransport();
+}
+
+/**
+ * Provider status of an organization, for the settings page.
+ * Never returns the SMTP password.
+ *
+ * @param {number|null} orgId
+ * @returns {Promise<{provider: string, defaultProvider: string, configured: boolean, smtpHost: string, outboxDir: string, providers: object}>}
+ */
+async function getEmailTransportStatus(orgId) {
+  const config = await emailTransports.getTransportConfig(orgId);
+  return {
+    provider: config.provider,
+    defaultProvider: emailTransports.getDefaultProvider(),
+    configured: await emailTransports.isTransportConfigured(orgId),
+    smtpHost: config.smtp.host,
+    outboxDir: config.outboxDir,
+    providers: emailTransports.PROVIDER_LABELS
+  };
 }
 
 module.exports = {
@@ -261,5 +284,9 @@ module.exports = {
   sendEmail,
   logSkippedSend,
   isTestModeEnabled,
-  getResend
+  isEmailConfigured,
+  getEmailTransportStatus,
+  verifyEmailTransport: emailTransports.verifyTransport,
+  refreshEmailProviders: emailTransports.refreshOrgProviders,
+  getResend: emailTransports.getResend
 };
@@ -0,0 +1,704 @@
+// backend/utils/email-queue.js
+//
+// V 2.0.891 — File d'envoi des emails
+//
+// Bulk sends (campaigns, convocations, Player App invitations) used to call
+// sendEmail() inline, one recipient after the other, inside the HTTP request:
+// a 200-recipient batch could time out halfway and nobody knew who was
+// missed. Those routes now render each message and enqueue it here; the
+// queue worker delivers them in the background.
+//
+//   email_queue_batches  one row per bulk send (label, campaign, totals)
+//   email_queue          one row per message, with its status:
+//     pending    waiting (first attempt or retry at next_attempt_at)
+//     sending    claimed by a worker
+//     sent       accepted by the provider
+//     skipped    blocked by the per-org test mode (logged in email_test_mode_log)
+//     failed     permanent error or max_attempts reached
+//     suppressed not attempted: the address bounced / complained before
+//     bounced / complained  set afterwards by a provider webhook
+//     cancelled  cancelled by an admin before delivery
+//
+// Delivery still goes through sendEmail(), so test mode and the provider
+// selection (utils/email-transports.js) apply unchanged.
+//
+// Throughput: at most `email_queue_rate_per_minute` messages per org per
+// minute. Retries: exponential backoff (1, 2, 4, 8 min...) up to max_attempts.
+// Bounce / complaint webhooks (routes/email-webhooks.js) mark the address as
+// undeliverable on player_contacts; later player emails to it are suppressed.
+
+const emailHelpers = require('./email-helpers');
+const appSettings = require('./app-settings');
+
+const STATUS_LABELS = {
+  pending: 'En attente',
+  sending: 'En cours',
+  sent: 'Envoyé',
+  skipped: 'Bloqué (mode test)',
+  failed: 'Échec',
+  suppressed: 'Adresse invalide',
+  bounced: 'Rejeté (bounce)',
+  complained: 'Signalé comme spam',
+  cancelled: 'Annulé'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// A message stuck in 'sending' this long belongs to a crashed worker
+const STALE_LOCK_MS = 10 * 60 * 1000;
+// Spacing between two provider calls (Resend accepts ~2 requests/s)
+const SEND_SPACING_MS = 600;
+const CLAIM_SIZE = 10;
+
+function _dbAll(sql, params) {
+  const db = require('../db-loader');
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbGet(sql, params) {
+  const db = require('../db-loader');
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbRun(sql, params) {
+  const db = require('../db-loader');
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) { err ? reject(err) : resolve(this); });
+  });
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function _normEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Buffers don't survive JSON.stringify in a usable form: store base64.
+function _serializePayload(payload) {
+  const copy = { ...payload };
+  if (Array.isArray(copy.attachments)) {
+    copy.attachments = copy.attachments.map(att => ({
+      ...att,
+      content: Buffer.isBuffer(att.content) ? att.content.toString('base64') : att.content
+    }));
+  }
+  return JSON.stringify(copy);
+}
+
+/**
+ * Delay before attempt n+1 after n failed attempts.
+ */
+function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_MS);
+}
+
+/**
+ * Provider refusals that will fail again the same way (bad address, rejected
+ * sender...). Network errors, rate limits and 4xx SMTP codes are retried.
+ */
+function isPermanentError(error) {
+  if (!error) return false;
+  const name = String(error.name || error.code || '');
+  if (['validation_error', 'invalid_to_address', 'invalid_from_address', 'EENVELOPE'].includes(name)) return true;
+  const code = parseInt(error.responseCode || error.statusCode, 10);
+  if (code >= 500 && code < 600 && error.responseCode) return true;  // SMTP 5xx
+  if (code === 422 || code === 403) return true;                      // Resend: invalid payload / domain
+  return false;
+}
+
+/**
+ * Whether the address is marked undeliverable for this org.
+ * @returns {Promise<object|null>} the player_contacts row, null when deliverable
+ */
+async function findUndeliverable(email, orgId) {
+  if (!email) return null;
+  return await _dbGet(
+    `SELECT id, email_undeliverable, email_undeliverable_at FROM player_contacts
+     WHERE LOWER(TRIM(email)) = $1 AND email_undeliverable IS NOT NULL
+       AND ($2::int IS NULL OR organization_id = $2)
+     LIMIT 1`,
+    [_normEmail(email), orgId]
+  ) || null;
+}
+
+/**
+ * @param {{orgId, label: string, emailType?: string, campaignId?: number, userId?: number, username?: string}} opts
+ * @returns {Promise<number>} batch id
+ */
+async function createBatch({ orgId, label, emailType, campaignId, userId, username }) {
+  const row = await _dbGet(
+    `INSERT INTO email_queue_batches (organization_id, label, email_type, campaign_id, created_by, created_by_username)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [orgId || null, label, emailType || null, campaignId || null, userId || null, username || null]
+  );
+  return row.id;
+}
+
+/**
+ * Queue one message. Same arguments as sendEmail(), plus the batch.
+ *
+ * @param {object} payload - sendEmail payload ({ from, to, subject, html, attachments, ... })
+ * @param {object} meta    - sendEmail meta ({ recipientKind, orgId, recipientName, emailType, triggeredByUserId, context })
+ * @param {{batchId?: number, licence?: string, maxAttempts?: number}} [options]
+ * @returns {Promise<{id: number, status: string}>}
+ */
+async function enqueueEmail(payload, meta = {}, { batchId = null, licence = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const { recipientKind, orgId = null, recipientName = null, emailType = 'other', triggeredByUserId = null, context = null } = meta;
+  if (recipientKind !== 'player' && recipientKind !== 'admin') {
+    throw new Error(`enqueueEmail: invalid recipientKind '${recipientKind}' (must be 'player' or 'admin')`);
+  }
+  const recipientEmail = Array.isArray(payload.to) ? payload.to.join(', ') : String(payload.to || '');
+  if (!recipientEmail) throw new Error('enqueueEmail: payload.to is required');
+
+  // Known-bad player addresses are recorded but never attempted
+  let status = 'pending';
+  let lastError = null;
+  if (recipientKind === 'player') {
+    const blocked = await findUndeliverable(Array.isArray(payload.to) ? payload.to[0] : payload.to, orgId);
+    if (blocked) {
+      status = 'suppressed';
+      lastError = blocked.email_undeliverable === 'complained'
+        ? 'Adresse ayant signalé un email comme spam'
+        : 'Adresse en échec définitif (bounce)';
+    }
+  }
+
+  const row = await _dbGet(
+    `INSERT INTO email_queue
+       (organization_id, batch_id, email_type, recipient_kind, recipient_email, recipient_name, licence,
+        subject, payload, meta, status, max_attempts, last_error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING id`,
+    [orgId, batchId, emailType, recipientKind, recipientEmail, recipientName, licence,
+     payload.subject || null, _serializePayload(payload),
+     JSON.stringify({ triggeredByUserId, context }), status, maxAttempts, lastError]
+  );
+  return { id: row.id, status };
+}
+
+/**
+ * Records the batch size and starts the worker right away (the HTTP request
+ * that enqueued it can return).
+ */
+async function finalizeBatch(batchId) {
+  await _dbRun(
+    `UPDATE email_queue_batches
+     SET total = (SELECT COUNT(*) FROM email_queue WHERE batch_id = $1)
+     WHERE id = $1`,
+    [batchId]
+  );
+  kickQueue();
+  return getBatch(batchId);
+}
+
+// ==================== WORKER ====================
+
+let _processing = false;
+let _kickPending = false;
+
+/**
+ * Non-blocking trigger of processQueue() (coalesced when already running).
+ */
+function kickQueue() {
+  if (_processing) {
+    _kickPending = true;
+    return;
+  }
+  setImmediate(() => {
+    processQueue().catch(err => console.error('[Email Queue] Worker error:', err.message));
+  });
+}
+
+async function _getRatePerMinute(orgId) {
+  const value = orgId ? await appSettings.getOrgSetting(orgId, 'email_queue_rate_per_minute') : null;
+  const rate = parseInt(value, 10);
+  return rate > 0 ? rate : 60;
+}
+
+async function _claim(orgId, limit) {
+  return _dbAll(
+    `UPDATE email_queue
+     SET status = 'sending', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM email_queue
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+         AND organization_id IS NOT DISTINCT FROM $1
+       ORDER BY id
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [orgId, limit]
+  );
+}
+
+async function _deliver(message) {
+  let payload;
+  let meta;
+  try {
+    payload = JSON.parse(message.payload);
+    meta = message.meta ? JSON.parse(message.meta) : {};
+  } catch (e) {
+    await _dbRun(
+      `UPDATE email_queue SET status = 'failed', last_error = $2, locked_at = NULL, updated_at = NOW() WHERE id = $1`,
+      [message.id, 'Message illisible']
+    );
+    return 'failed';
+  }
+
+  let result = null;
+  let error = null;
+  try {
+    result = await emailHelpers.sendEmail(payload, {
+      recipientKind: message.recipient_kind,
+      orgId: message.organization_id,
+      recipientName: message.recipient_name,
+      emailType: message.email_type || 'other',
+      triggeredByUserId: meta.triggeredByUserId || null,
+      context: { ...(meta.context || {}), email_queue_id: message.id }
+    });
+    if (result && result.error) error = result.error;
+  } catch (err) {
+    error = err;
+  }
+
+  if (!error) {
+    const status = result && result.skipped ? 'skipped' : 'sent';
+    await _dbRun(
+      `UPDATE email_queue
+       SET status = $2, sent_at = NOW(), locked_at = NULL, last_error = NULL,
+           provider = $3, provider_message_id = $4, updated_at = NOW()
+       WHERE id = $1`,
+      [message.id, status, result?.provider || null, result?.data?.id || null]
+    );
+    if (status === 'sent' && message.licence) {
+      await _dbRun(
+        `UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP
+         WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')
+           AND ($2::int IS NULL OR organization_id = $2)`,
+        [message.licence, message.organization_id]
+      ).catch(() => {});
+    }
+    return status;
+  }
+
+  const errorMessage = error.message || String(error);
+  if (isPermanentError(error) || message.attempts >= message.max_attempts) {
+    await _dbRun(
+      `UPDATE email_queue SET status = 'failed', last_error = $2, locked_at = NULL, updated_at = NOW() WHERE id = $1`,
+      [message.id, errorMessage]
+    );
+    console.error(`[Email Queue] #${message.id} failed after ${message.attempts} attempt(s): ${errorMessage}`);
+    return 'failed';
+  }
+
+  const nextAttempt = new Date(Date.now() + retryDelayMs(message.attempts));
+  await _dbRun(
+    `UPDATE email_queue
+     SET status = 'pending', last_error = $2, next_attempt_at = $3, locked_at = NULL, updated_at = NOW()
+     WHERE id = $1`,
+    [message.id, errorMessage, nextAttempt]
+  );
+  console.warn(`[Email Queue] #${message.id} attempt ${message.attempts} failed, retry at ${nextAttempt.toISOString()}: ${errorMessage}`);
+  return 'retry';
+}
+
+/**
+ * Delivers the due messages, org by org, within each org's per-minute cap.
+ * Safe to call concurrently (rows are claimed with SKIP LOCKED) and
+ * re-entrant calls in this process are coalesced.
+ *
+ * @returns {Promise<{sent: number, failed: number, retried: number, skipped: number}>}
+ */
+async function processQueue() {
+  if (_processing) {
+    _kickPending = true;
+    return { sent: 0, failed: 0, retried: 0, skipped: 0 };
+  }
+  _processing = true;
+  const stats = { sent: 0, failed: 0, retried: 0, skipped: 0 };
+
+  try {
+    // Crashed workers: give their messages back to the queue
+    await _dbRun(
+      `UPDATE email_queue SET status = 'pending', locked_at = NULL, updated_at = NOW()
+       WHERE status = 'sending' AND locked_at < $1`,
+      [new Date(Date.now() - STALE_LOCK_MS)]
+    );
+
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      const orgs = await _dbAll(
+        `SELECT DISTINCT organization_id FROM email_queue
+         WHERE status = 'pending' AND next_attempt_at <= NOW()`,
+        []
+      );
+
+      for (const { organization_id: orgId } of orgs) {
+        const rate = await _getRatePerMinute(orgId);
+        const recent = await _dbGet(
+          `SELECT COUNT(*) AS count FROM email_queue
+           WHERE organization_id IS NOT DISTINCT FROM $1
+             AND (status = 'sending' OR sent_at > $2)`,
+          [orgId, new Date(Date.now() - 60 * 1000)]
+        );
+        const allowance = rate - parseInt(recent?.count || 0, 10);
+        if (allowance <= 0) continue;
+
+        const claimed = await _claim(orgId, Math.min(allowance, CLAIM_SIZE));
+        for (const message of claimed) {
+          const outcome = await _deliver(message);
+          if (outcome === 'sent') stats.sent++;
+          else if (outcome === 'skipped') stats.skipped++;
+          else if (outcome === 'failed') stats.failed++;
+          else stats.retried++;
+          await delay(SEND_SPACING_MS);
+        }
+        if (claimed.length > 0) progressed = true;
+      }
+    }
+
+    await completeFinishedBatches();
+  } finally {
+    _processing = false;
+    if (_kickPending) {
+      _kickPending = false;
+      kickQueue();
+    }
+  }
+
+  if (stats.sent + stats.failed + stats.retried + stats.skipped > 0) {
+    console.log(`[Email Queue] sent=${stats.sent} skipped=${stats.skipped} retried=${stats.retried} failed=${stats.failed}`);
+  }
+  return stats;
+}
+
+/**
+ * Closes the batches with nothing left to deliver: campaign counters are
+ * updated and the org summary address is told about the failures.
+ */
+async function completeFinishedBatches() {
+  const batches = await _dbAll(
+    `SELECT b.* FROM email_queue_batches b
+     WHERE b.completed_at IS NULL
+       AND b.total > 0
+       AND NOT EXISTS (SELECT 1 FROM email_queue q WHERE q.batch_id = b.id AND q.status IN ('pending', 'sending'))`,
+    []
+  );
+
+  for (const batch of batches) {
+    const claimed = await _dbRun(
+      `UPDATE email_queue_batches SET completed_at = NOW() WHERE id = $1 AND completed_at IS NULL`,
+      [batch.id]
+    );
+    if (!claimed.changes) continue;  // another worker closed it
+
+    const counts = await getBatchCounts(batch.id);
+    if (batch.campaign_id) {
+      await _dbRun(
+        `UPDATE email_campaigns
+         SET sent_count = $1, failed_count = $2, status = 'completed', sent_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [counts.sent + counts.skipped, counts.failed + counts.suppressed, batch.campaign_id]
+      ).catch(err => console.error('[Email Queue] Campaign update failed:', err.message));
+    }
+    if (counts.failed + counts.suppressed > 0) {
+      await _notifyBatchFailures(batch).catch(err =>
+        console.error(`[Email Queue] Failure report for batch ${batch.id} not sent:`, err.message));
+    }
+  }
+}
+
+async function _notifyBatchFailures(batch) {
+  const summaryEmail = await emailHelpers.getSummaryEmail(batch.organization_id);
+  if (!summaryEmail) return;
+  const failures = await _dbAll(
+    `SELECT recipient_name, recipient_email, status, last_error FROM email_queue
+     WHERE batch_id = $1 AND status IN ('failed', 'suppressed')
+     ORDER BY recipient_name`,
+    [batch.id]
+  );
+  const settings = await emailHelpers.getEmailTemplateSettings(batch.organization_id);
+  const primaryColor = settings.primary_color || '#1F4788';
+  const escapeHtml = (s) => String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const rows = failures.map(f => `
+    <tr>
+      <td style="padding: 6px 8px; border-bottom: 1px solid #eee;">${escapeHtml(f.recipient_name || '—')}</td>
+      <td style="padding: 6px 8px; border-bottom: 1px solid #eee;">${escapeHtml(f.recipient_email)}</td>
+      <td style="padding: 6px 8px; border-bottom: 1px solid #eee; color: #dc3545;">${escapeHtml(f.last_error || STATUS_LABELS[f.status])}</td>
+    </tr>`).join('');
+  const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
+
+  await emailHelpers.sendEmail({
+    from: emailHelpers.buildFromAddress(settings, 'noreply'),
+    to: [summaryEmail],
+    subject: `⚠️ ${failures.length} email(s) non délivré(s) — ${batch.label}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center;">
+          <h1 style="margin: 0; font-size: 20px;">Emails non délivrés</h1>
+          <p style="margin: 5px 0 0 0; font-size: 13px; opacity: 0.9;">${escapeHtml(batch.label)}</p>
+        </div>
+        <div style="padding: 20px; background: #f8f9fa;">
+          <p>L'envoi est terminé, mais les destinataires suivants n'ont pas reçu l'email :</p>
+          <table style="width: 100%; border-collapse: collapse; font-size: 13px; background: white;">${rows}</table>
+          <p style="margin-top: 15px;"><a href="${baseUrl}/email-queue.html?batch=${batch.id}" style="color: ${primaryColor};">Ouvrir la file d'envoi</a> pour relancer les échecs.</p>
+        </div>
+      </div>
+    `
+  }, {
+    recipientKind: 'admin',  // Delivery report to the CDB summary address
+    orgId: batch.organization_id,
+    emailType: 'email_queue_failures',
+    context: { batch_id: batch.id }
+  });
+}
+
+// ==================== BOUNCES / COMPLAINTS ====================
+
+/**
+ * Stores a provider event and, for hard bounces and complaints, marks the
+ * address undeliverable on player_contacts.
+ *
+ * @param {{provider: string, eventType: 'bounced'|'complained'|'delivered'|'delayed', email?: string,
+ *          messageId?: string, detail?: string, permanent?: boolean}} event
+ * @returns {Promise<{queueId: number|null, orgId: number|null, marked: number}>}
+ */
+async function recordDeliveryEvent({ provider, eventType, email, messageId, detail, permanent = true }) {
+  const message = messageId
+    ? await _dbGet(`SELECT id, organization_id, recipient_email FROM email_queue WHERE provider_message_id = $1`, [messageId])
+    : null;
+  const orgId = message ? message.organization_id : null;
+  const address = _normEmail(email || (message && message.recipient_email));
+
+  await _dbRun(
+    `INSERT INTO email_delivery_events (organization_id, provider, event_type, email, provider_message_id, queue_id, detail)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [orgId, provider, eventType, address || null, messageId || null, message ? message.id : null, detail || null]
+  );
+
+  let marked = 0;
+  const undeliverable = eventType === 'complained' || (eventType === 'bounced' && permanent);
+  if (undeliverable) {
+    if (message) {
+      await _dbRun(
+        `UPDATE email_queue SET status = $2, last_error = $3, updated_at = NOW() WHERE id = $1`,
+        [message.id, eventType, detail || STATUS_LABELS[eventType]]
+      );
+    }
+    if (address) {
+      // Without a known message, the org is unknown: every contact with this address is marked
+      const result = await _dbRun(
+        `UPDATE player_contacts
+         SET email_undeliverable = $2, email_undeliverable_at = CURRENT_TIMESTAMP, email_undeliverable_detail = $3
+         WHERE LOWER(TRIM(email)) = $1
+           AND ($4::int IS NULL OR organization_id = $4)
+           AND (email_undeliverable IS NULL OR email_undeliverable <> 'complained')`,
+        [address, eventType, detail || null, orgId]
+      );
+      marked = result.changes || 0;
+    }
+  }
+  return { queueId: message ? message.id : null, orgId, marked };
+}
+
+/**
+ * Makes an address deliverable again (admin fixed the contact or the mailbox).
+ */
+async function clearUndeliverable(contactId, orgId) {
+  const result = await _dbRun(
+    `UPDATE player_contacts
+     SET email_undeliverable = NULL, email_undeliverable_at = NULL, email_undeliverable_detail = NULL
+     WHERE id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [contactId, orgId]
+  );
+  return result.changes > 0;
+}
+
+async function listUndeliverable(orgId) {
+  return _dbAll(
+    `SELECT id, licence, first_name, last_name, club, email,
+            email_undeliverable, email_undeliverable_at, email_undeliverable_detail
+     FROM player_contacts
+     WHERE email_undeliverable IS NOT NULL
+       AND ($1::int IS NULL OR organization_id = $1)
+     ORDER BY email_undeliverable_at DESC`,
+    [orgId]
+  );
+}
+
+// ==================== MONITOR ====================
+
+async function getBatchCounts(batchId) {
+  const rows = await _dbAll(
+    `SELECT status, COUNT(*) AS count FROM email_queue WHERE batch_id = $1 GROUP BY status`,
+    [batchId]
+  );
+  const counts = Object.fromEntries(Object.keys(STATUS_LABELS).map(s => [s, 0]));
+  rows.forEach(r => { counts[r.status] = parseInt(r.count, 10); });
+  return counts;
+}
+
+async function getBatch(batchId, orgId = null) {
+  const batch = await _dbGet(
+    `SELECT * FROM email_queue_batches WHERE id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [batchId, orgId]
+  );
+  if (!batch) return null;
+  return { ...batch, counts: await getBatchCounts(batchId) };
+}
+
+/**
+ * Status counters of the org's queue, the latest batches and the
+ * per-minute cap.
+ */
+async function getQueueOverview(orgId, { batchLimit = 20 } = {}) {
+  const statusRows = await _dbAll(
+    `SELECT status, COUNT(*) AS count FROM email_queue
+     WHERE organization_id IS NOT DISTINCT FROM $1
+       AND (status IN ('pending', 'sending') OR updated_at > NOW() - INTERVAL '7 days')
+     GROUP BY status`,
+    [orgId]
+  );
+  const counts = Object.fromEntries(Object.keys(STATUS_LABELS).map(s => [s, 0]));
+  statusRows.forEach(r => { counts[r.status] = parseInt(r.count, 10); });
+
+  const batches = await _dbAll(
+    `SELECT b.*,
+            COUNT(q.id) FILTER (WHERE q.status IN ('pending', 'sending')) AS pending_count,
+            COUNT(q.id) FILTER (WHERE q.status IN ('sent', 'skipped')) AS sent_count,
+            COUNT(q.id) FILTER (WHERE q.status IN ('failed', 'suppressed', 'bounced', 'complained')) AS failed_count
+     FROM email_queue_batches b
+     LEFT JOIN email_queue q ON q.batch_id = b.id
+     WHERE b.organization_id IS NOT DISTINCT FROM $1
+     GROUP BY b.id
+     ORDER BY b.created_at DESC
+     LIMIT $2`,
+    [orgId, batchLimit]
+  );
+
+  const undeliverable = await _dbGet(
+    `SELECT COUNT(*) AS count FROM player_contacts
+     WHERE email_undeliverable IS NOT NULL AND ($1::int IS NULL OR organization_id = $1)`,
+    [orgId]
+  );
+
+  return {
+    counts,
+    batches: batches.map(b => ({
+      ...b,
+      pending_count: parseInt(b.pending_count, 10),
+      sent_count: parseInt(b.sent_count, 10),
+      failed_count: parseInt(b.failed_count, 10)
+    })),
+    undeliverableCount: parseInt(undeliverable?.count || 0, 10),
+    ratePerMinute: await _getRatePerMinute(orgId)
+  };
+}
+
+/**
+ * Messages of the org (without payload), newest first.
+ */
+async function listMessages(orgId, { status, batchId, search, limit = 100, offset = 0 } = {}) {
+  const params = [orgId];
+  let where = 'organization_id IS NOT DISTINCT FROM $1';
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+  if (batchId) {
+    params.push(batchId);
+    where += ` AND batch_id = $${params.length}`;
+  }
+  if (search) {
+    params.push(`%${String(search).toLowerCase()}%`);
+    where += ` AND (LOWER(recipient_email) LIKE $${params.length} OR LOWER(COALESCE(recipient_name, '')) LIKE $${params.length})`;
+  }
+  const total = await _dbGet(`SELECT COUNT(*) AS count FROM email_queue WHERE ${where}`, params);
+  params.push(Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0);
+  const rows = await _dbAll(
+    `SELECT id, batch_id, email_type, recipient_kind, recipient_email, recipient_name, licence, subject,
+            status, attempts, max_attempts, next_attempt_at, last_error, provider, provider_message_id,
+            created_at, sent_at, updated_at
+     FROM email_queue
+     WHERE ${where}
+     ORDER BY id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return { total: parseInt(total?.count || 0, 10), messages: rows };
+}
+
+/**
+ * Puts failed messages back in the queue (one message or a whole batch).
+ * @returns {Promise<number>} number of messages requeued
+ */
+async function retryMessages(orgId, { messageId, batchId }) {
+  if (!messageId && !batchId) return 0;
+  const result = await _dbRun(
+    `UPDATE email_queue
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL, updated_at = NOW()
+     WHERE status = 'failed'
+       AND organization_id IS NOT DISTINCT FROM $1
+       AND ($2::int IS NULL OR id = $2)
+       AND ($3::int IS NULL OR batch_id = $3)`,
+    [orgId, messageId || null, batchId || null]
+  );
+  if (result.changes > 0) {
+    if (batchId) await _dbRun(`UPDATE email_queue_batches SET completed_at = NULL WHERE id = $1`, [batchId]);
+    else await _dbRun(
+      `UPDATE email_queue_batches SET completed_at = NULL
+       WHERE id = (SELECT batch_id FROM email_queue WHERE id = $1)`,
+      [messageId]
+    );
+    kickQueue();
+  }
+  return result.changes || 0;
+}
+
+/**
+ * Cancels messages not sent yet (one message or a whole batch).
+ * @returns {Promise<number>} number of messages cancelled
+ */
+async function cancelMessages(orgId, { messageId, batchId }) {
+  if (!messageId && !batchId) return 0;
+  const result = await _dbRun(
+    `UPDATE email_queue
+     SET status = 'cancelled', updated_at = NOW()
+     WHERE status = 'pending'
+       AND organization_id IS NOT DISTINCT FROM $1
+       AND ($2::int IS NULL OR id = $2)
+       AND ($3::int IS NULL OR batch_id = $3)`,
+    [orgId, messageId || null, batchId || null]
+  );
+  if (result.changes > 0) await completeFinishedBatches();
+  return result.changes || 0;
+}
+
+module.exports = {
+  STATUS_LABELS,
+  DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs,
+  isPermanentError,
+  findUndeliverable,
+  createBatch,
+  enqueueEmail,
+  finalizeBatch,
+  kickQueue,
+  processQueue,
+  completeFinishedBatches,
+  recordDeliveryEvent,
+  clearUndeliverable,
+  listUndeliverable,
+  getBatch,
+  getBatchCounts,
+  getQueueOverview,
+  listMessages,
+  retryMessages,
+  cancelMessages
+};
@@ -0,0 +1,492 @@
+/**
+ * Typed variables of each email template key (V 2.0.892)
+ *
+ * Used to validate a template when it is saved (unknown variables are
+ * refused), to list the variables in the editors and to render the emails.
+ * Convocation templates get structured groups (player, tournoi, poule, lieu,
+ * horaire); the other keys keep the flat variables they always had.
+ * `aliases` maps the historical flat names onto the structured ones, so the
+ * templates written before the engine keep working unchanged.
+ */
+
+const templateEngine = require('./template-engine');
+const { normalizeLicence } = require('./licence');
+
+// ==================== VARIABLE GROUPS ====================
+
+const ORGANIZATION = {
+  type: 'group',
+  label: 'Organisation',
+  fields: {
+    name: { type: 'text', label: 'Nom du comité' },
+    short_name: { type: 'text', label: 'Sigle' },
+    email: { type: 'text', label: 'Email de contact' }
+  }
+};
+
+const PLAYER_FIELDS = {
+  name: { type: 'text', label: 'Prénom Nom' },
+  first_name: { type: 'text', label: 'Prénom' },
+  last_name: { type: 'text', label: 'Nom' },
+  licence: { type: 'text', label: 'Licence' },
+  club: { type: 'text', label: 'Club' }
+};
+
+const PLAYER = {
+  type: 'group',
+  label: 'Joueur',
+  fields: {
+    ...PLAYER_FIELDS,
+    email: { type: 'text', label: 'Email' },
+    rank_position: { type: 'number', label: 'Position au classement' },
+    moyenne: { type: 'number', label: 'Moyenne au classement' }
+  }
+};
+
+const TOURNOI = {
+  type: 'group',
+  label: 'Tournoi',
+  fields: {
+    label: { type: 'text', label: 'Libellé (Tournoi 2, Finale Départementale…)' },
+    name: { type: 'text', label: 'Nom du tournoi' },
+    category: { type: 'text', label: 'Catégorie' },
+    mode: { type: 'text', label: 'Mode de jeu' },
+    date: { type: 'date', label: 'Date (lundi 3 novembre 2025)' },
+    is_finale: { type: 'boolean', label: 'Finale départementale' },
+    distance: { type: 'number', label: 'Distance' },
+    reprises: { type: 'number', label: 'Nombre de reprises' }
+  }
+};
+
+const POULE_PLAYER = {
+  ...PLAYER_FIELDS,
+  rank_position: { type: 'number', label: 'Position au classement' },
+  moyenne: { type: 'number', label: 'Moyenne au classement' },
+  is_me: { type: 'boolean', label: 'Est le destinataire' }
+};
+
+const LIEU = {
+  type: 'group',
+  label: 'Lieu',
+  fields: {
+    name: { type: 'text', label: 'Nom du club / de la salle' },
+    address: { type: 'text', label: 'Adresse complète' },
+    street: { type: 'text', label: 'Rue' },
+    zip_code: { type: 'text', label: 'Code postal' },
+    city: { type: 'text', label: 'Ville' },
+    phone: { type: 'text', label: 'Téléphone' }
+  }
+};
+
+const HORAIRE = {
+  type: 'group',
+  label: 'Horaire',
+  fields: {
+    start_time: { type: 'text', label: 'Heure de début (14H00)' },
+    date: { type: 'date', label: 'Date' }
+  }
+};
+
+const POULE = {
+  type: 'group',
+  label: 'Poule du joueur',
+  fields: {
+    number: { type: 'number', label: 'Numéro de poule' },
+    size: { type: 'number', label: 'Nombre de joueurs' },
+    players: { type: 'list', label: 'Joueurs de la poule', item: POULE_PLAYER }
+  }
+};
+
+const POULES = {
+  type: 'list',
+  label: 'Toutes les poules du tournoi',
+  item: {
+    number: POULE.fields.number,
+    size: POULE.fields.size,
+    players: POULE.fields.players,
+    lieu: LIEU,
+    horaire: HORAIRE
+  }
+};
+
+const ORGANIZATION_ALIASES = {
+  organization_name: 'organization.name',
+  organization_short_name: 'organization.short_name',
+  organization_email: 'organization.email'
+};
+
+// Flat variables (keys rendered with a flat context)
+const text = (label) => ({ type: 'text', label });
+const number = (label) => ({ type: 'number', label });
+
+const FLAT_ORGANIZATION = {
+  organization_name: text('Nom du comité'),
+  organization_short_name: text('Sigle du comité'),
+  organization_email: text('Email de contact')
+};
+
+// ==================== SCHEMAS ====================
+
+const CONVOCATION_SCHEMA = {
+  variables: {
+    organization: ORGANIZATION,
+    player: PLAYER,
+    tournoi: TOURNOI,
+    poule: POULE,
+    poules: POULES,
+    lieu: LIEU,
+    horaire: HORAIRE
+  },
+  aliases: {
+    ...ORGANIZATION_ALIASES,
+    player_name: 'player.name',
+    first_name: 'player.first_name',
+    last_name: 'player.last_name',
+    licence: 'player.licence',
+    club: 'player.club',
+    rank_position: 'player.rank_position',
+    category: 'tournoi.category',
+    tournament: 'tournoi.label',
+    finale_name: 'tournoi.name',
+    mode: 'tournoi.mode',
+    date: 'tournoi.date',
+    distance: 'tournoi.distance',
+    reprises: 'tournoi.reprises',
+    time: 'horaire.start_time',
+    location: 'lieu.name',
+    lieu: 'lieu.name',
+    poule: 'poule.number'
+  }
+};
+
+// Announcements written in the composer (and any custom key)
+const COMPOSER_SCHEMA = {
+  variables: {
+    organization: ORGANIZATION,
+    player: { type: 'group', label: 'Joueur', fields: PLAYER_FIELDS },
+    message: { type: 'html', label: 'Message saisi' }
+  },
+  aliases: {
+    ...ORGANIZATION_ALIASES,
+    player_name: 'player.name',
+    first_name: 'player.first_name',
+    last_name: 'player.last_name',
+    licence: 'player.licence',
+    club: 'player.club'
+  }
+};
+
+// Variables of buildUniversalVariables() in routes/email.js
+const UNIVERSAL_SCHEMA = {
+  variables: {
+    player_name: text('Prénom Nom'),
+    first_name: text('Prénom'),
+    last_name: text('Nom'),
+    player_email: text('Email du joueur'),
+    licence: text('Licence'),
+    club: text('Club'),
+    tournament_name: text('Nom du tournoi'),
+    tournament: text('T1, T2, T3 ou Finale'),
+    mode: text('Mode de jeu'),
+    category: text('Catégorie'),
+    tournament_date: { type: 'date', label: 'Date du tournoi' },
+    date: { type: 'date', label: 'Date' },
+    location: text('Lieu'),
+    lieu: text('Lieu'),
+    tournament_lieu: text('Lieu du tournoi'),
+    rank_position: number('Position au classement'),
+    total_points: number('Total des points'),
+    player_position: number('Position dans le tournoi'),
+    player_points: number('Points du tournoi'),
+    finale_name: text('Nom de la finale'),
+    t1_date: { type: 'date', label: 'Date du T1' },
+    t1_position: number('Position au T1'),
+    deadline_date: { type: 'date', label: 'Date limite d\'inscription' },
+    distance: number('Distance'),
+    reprises: number('Nombre de reprises'),
+    club_name: text('Club organisateur'),
+    time: text('Horaire'),
+    num_players: number('Nombre de joueurs'),
+    num_tables: number('Nombre de tables'),
+    ...FLAT_ORGANIZATION
+  },
+  aliases: {}
+};
+
+const RESULTS_SCHEMA = {
+  variables: {
+    first_name: text('Prénom'),
+    last_name: text('Nom'),
+    tournament: text('T1, T2, T3 ou Finale'),
+    tournament_name: text('Nom du tournoi'),
+    tournament_date: { type: 'date', label: 'Date du tournoi' },
+    tournament_lieu: text('Lieu du tournoi'),
+    player_position: number('Position dans le tournoi'),
+    player_points: number('Points du tournoi'),
+    ranking_position: number('Position au classement'),
+    ...FLAT_ORGANIZATION
+  },
+  aliases: {}
+};
+
+// Intro of the finale convocation (routes/emailing.js /send-finale-convocation)
+const FINALE_CONVOCATION_SCHEMA = {
+  variables: {
+    first_name: text('Prénom'),
+    last_name: text('Nom'),
+    player_name: text('Prénom Nom'),
+    category: text('Catégorie'),
+    finale_name: text('Nom de la finale'),
+    finale_date: { type: 'date', label: 'Date de la finale' },
+    finale_heure: text('Heure de la finale'),
+    finale_lieu: text('Lieu de la finale'),
+    rank_position: number('Position au classement'),
+    ...FLAT_ORGANIZATION
+  },
+  aliases: {}
+};
+
+const RELANCE_SCHEMA = {
+  variables: {
+    first_name: text('Prénom'),
+    last_name: text('Nom'),
+    player_name: text('Prénom Nom'),
+    club: text('Club'),
+    category: text('Catégorie'),
+    ffb_ranking: text('Classement FFB'),
+    season: text('Saison'),
+    mode: text('Mode de jeu'),
+    t1_position: number('Position au T1'),
+    t1_points: number('Points au T1'),
+    t1_date: { type: 'date', label: 'Date du T1' },
+    rank_position: number('Position au classement'),
+    total_points: number('Total des points'),
+    tournament_date: { type: 'date', label: 'Date du tournoi' },
+    tournament_lieu: text('Lieu du tournoi'),
+    deadline_date: { type: 'date', label: 'Date limite d\'inscription' },
+    distance: number('Distance'),
+    reprises: number('Nombre de reprises'),
+    finale_date: { type: 'date', label: 'Date de la finale' },
+    finale_lieu: text('Lieu de la finale'),
+    qualified_count: number('Nombre de qualifiés'),
+    inscription_method: { type: 'html', label: 'Bloc « comment s\'inscrire » (boutons)' },
+    ...FLAT_ORGANIZATION
+  },
+  aliases: {}
+};
+
+const SCHEMAS = {
+  'convocation': CONVOCATION_SCHEMA,
+  'convocation-finale': CONVOCATION_SCHEMA,
+  'general': COMPOSER_SCHEMA,
+  'results': RESULTS_SCHEMA,
+  'finale_convocation': FINALE_CONVOCATION_SCHEMA,
+  // Own {{variable}} syntax (replaceFinaleTemplateVars in routes/emailing.js): not validated
+  'finale_results': null,
+  'inscription_confirmation': UNIVERSAL_SCHEMA,
+  'inscription_cancellation': UNIVERSAL_SCHEMA,
+  'club_reminder': UNIVERSAL_SCHEMA,
+  // Stores the CC address of the results emails, not a template
+  'results_cc_email': null
+};
+
+/**
+ * Schema of a template key. "_default" copies share the schema of their key,
+ * relance_* share one schema, unknown keys are composer templates.
+ * @returns {Object|null} null for keys that are not rendered by the engine
+ */
+function getTemplateSchema(key) {
+  const baseKey = String(key || '').replace(/_default$/, '');
+  if (baseKey in SCHEMAS) return SCHEMAS[baseKey];
+  if (baseKey.startsWith('relance_')) return RELANCE_SCHEMA;
+  return COMPOSER_SCHEMA;
+}
+
+/**
+ * Variables of a key for the editors, flattened:
+ * [{ path, type, label, group? }] — list items are reported as "<list>[].<field>".
+ */
+function describeTemplateVariables(key) {
+  const schema = getTemplateSchema(key);
+  if (!schema) return { variables: [], aliases: [] };
+  const variables = [];
+  const walk = (prefix, def, group) => {
+    if (def.type === 'group') {
+      for (const [name, field] of Object.entries(def.fields)) walk(`${prefix}.${name}`, field, group);
+    } else if (def.type === 'list') {
+      variables.push({ path: prefix, type: 'list', label: def.label, group });
+      for (const [name, field] of Object.entries(def.item)) walk(`${prefix}[].${name}`, field, group);
+    } else {
+      variables.push({ path: prefix, type: def.type, label: def.label, group });
+    }
+  };
+  for (const [name, def] of Object.entries(schema.variables)) {
+    walk(name, def, def.type === 'group' || def.type === 'list' ? def.label : null);
+  }
+  const aliases = Object.entries(schema.aliases).map(([name, target]) => ({ name, target }));
+  return { variables, aliases };
+}
+
+/**
+ * Validate the parts of a template before saving it.
+ * @param {string} key - template key
+ * @param {Object} parts - { subject, body, outro } (empty parts are skipped)
+ * @returns {{ valid: boolean, errors: string[], unknown: string[] }}
+ */
+function validateTemplate(key, parts) {
+  const schema = getTemplateSchema(key);
+  if (!schema) return { valid: true, errors: [], unknown: [] };
+  const labels = { subject: 'Objet', body: 'Corps du message', outro: 'Texte de fin' };
+  const errors = [];
+  const unknown = new Set();
+  for (const [part, label] of Object.entries(labels)) {
+    if (!parts[part]) continue;
+    const result = templateEngine.validate(parts[part], schema);
+    result.errors.forEach(e => errors.push(`${label} — ${e}`));
+    result.unknown.forEach(u => unknown.add(u));
+  }
+  return { valid: errors.length === 0, errors, unknown: [...unknown] };
+}
+
+/**
+ * Render a template of the given key (aliases of the key applied).
+ */
+function renderTemplate(key, template, context) {
+  const schema = getTemplateSchema(key);
+  return templateEngine.render(template, context, { aliases: schema ? schema.aliases : {} });
+}
+
+// ==================== CONVOCATION CONTEXT ====================
+
+function buildLieu(location) {
+  return {
+    name: location?.name || 'À définir',
+    address: location?.street ? [location.street, location.zip_code, location.city].filter(Boolean).join(' ') : (location?.address || ''),
+    street: location?.street || '',
+    zip_code: location?.zip_code || '',
+    city: location?.city || '',
+    phone: location?.phone || ''
+  };
+}
+
+function buildPoulePlayer(p, rankingData, licence) {
+  const ranking = rankingData[normalizeLicence(p.licence || '')] || {};
+  return {
+    name: `${p.first_name || ''} ${p.last_name || ''}`.trim(),
+    first_name: p.first_name || '',
+    last_name: p.last_name || '',
+    licence: p.licence || '',
+    club: p.club || '',
+    rank_position: ranking.rank ?? '',
+    moyenne: ranking.moyenne ?? '',
+    is_me: !!licence && normalizeLicence(p.licence || '') === normalizeLicence(licence)
+  };
+}
+
+/**
+ * Context of the convocation templates, from the data of /send-convocations
+ * (players and poules as sent by generate-poules.html) or of the preview.
+ * @param {Object} data
+ * @param {Object} data.player - { licence, first_name, last_name, club, email }
+ * @param {Array} data.poules - [{ number, locationNum, players: [...] }]
+ * @param {Array} data.locations - [{ locationNum, name, street, zip_code, city, phone, startTime }]
+ * @param {Object} [data.rankingData] - normalized licence → { rank, moyenne }
+ * @returns {Object} context (poule/lieu are empty groups when the player has no poule)
+ */
+function buildConvocationContext({
+  player, poules = [], locations = [], rankingData = {},
+  categoryName = '', tournamentLabel = '', tournamentName = '', mode = '', dateStr = '', isFinale = false,
+  distance = '', reprises = '', emailSettings = {}, contactEmail = ''
+}) {
+  const locationOf = (poule) => locations.find(l => l.locationNum === (poule.locationNum || '1')) || locations[0];
+
+  const allPoules = poules.map(poule => {
+    const location = locationOf(poule);
+    return {
+      number: poule.number,
+      size: poule.players.length,
+      players: poule.players.map(p => buildPoulePlayer(p, rankingData, player.licence)),
+      lieu: buildLieu(location),
+      horaire: { start_time: location?.startTime?.replace(':', 'H') || '14H00', date: dateStr }
+    };
+  });
+  const myPoule = allPoules.find(poule => poule.players.some(p => p.is_me)) || null;
+  const ranking = rankingData[normalizeLicence(player.licence || '')] || {};
+
+  return {
+    organization: {
+      name: emailSettings.organization_name || 'Comité Départemental de Billard',
+      short_name: emailSettings.organization_short_name || 'CDB',
+      email: emailSettings.summary_email || contactEmail || ''
+    },
+    player: {
+      name: `${player.first_name || ''} ${player.last_name || ''}`.trim(),
+      first_name: player.first_name || '',
+      last_name: player.last_name || '',
+      licence: player.licence || '',
+      club: player.club || '',
+      email: player.email || '',
+      rank_position: ranking.rank ?? '',
+      moyenne: ranking.moyenne ?? ''
+    },
+    tournoi: {
+      label: tournamentLabel,
+      name: tournamentName || tournamentLabel,
+      category: categoryName,
+      mode,
+      date: dateStr,
+      is_finale: !!isFinale,
+      distance,
+      reprises
+    },
+    poule: myPoule ? { number: myPoule.number, size: myPoule.size, players: myPoule.players } : { number: '', size: 0, players: [] },
+    poules: allPoules,
+    lieu: myPoule ? myPoule.lieu : buildLieu(null),
+    horaire: myPoule ? myPoule.horaire : { start_time: '14H00', date: dateStr }
+  };
+}
+
+/**
+ * Context for the preview of any key, from a convocation context: keys with
+ * groups (convocation, composer) get it as is, flat keys get the equivalent
+ * flat names. Variables that only exist at send time (t1_points, message...)
+ * stay visible as typed.
+ */
+function buildPreviewContext(key, context) {
+  const schema = getTemplateSchema(key);
+  if (!schema || schema.variables.player) return context;
+  return {
+    player_name: context.player.name,
+    first_name: context.player.first_name,
+    last_name: context.player.last_name,
+    licence: context.player.licence,
+    club: context.player.club,
+    player_email: context.player.email,
+    rank_position: context.player.rank_position,
+    ranking_position: context.player.rank_position,
+    category: context.tournoi.category,
+    mode: context.tournoi.mode,
+    tournament: context.tournoi.label,
+    tournament_name: context.tournoi.name,
+    tournament_date: context.tournoi.date,
+    date: context.tournoi.date,
+    location: context.lieu.name,
+    lieu: context.lieu.name,
+    tournament_lieu: context.lieu.name,
+    time: context.horaire.start_time,
+    distance: context.tournoi.distance,
+    reprises: context.tournoi.reprises,
+    organization_name: context.organization.name,
+    organization_short_name: context.organization.short_name,
+    organization_email: context.organization.email
+  };
+}
+
+module.exports = {
+  getTemplateSchema,
+  describeTemplateVariables,
+  validateTemplate,
+  renderTemplate,
+  buildConvocationContext,
+  buildPreviewContext
+};
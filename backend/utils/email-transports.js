@@ -0,0 +1,307 @@
+// backend/utils/email-transports.js
+//
+// V 2.0.890 — Fournisseurs d'envoi d'email
+//
+// Delivery backends behind sendEmail() (utils/email-helpers.js). This file
+// is private to email-helpers.js: routes must keep calling sendEmail() so
+// the test mode gate and email_test_mode_log stay in front of every send
+// (see scripts/check-email-chokepoint.sh).
+//
+// Providers:
+//   resend — Resend API (RESEND_API_KEY). Historical default.
+//   smtp   — any SMTP relay through Nodemailer (self-hosted CDBs).
+//   outbox — nothing leaves the server: each message is written as an .eml
+//            file in a local directory (staging, demos, local development).
+//
+// The provider is chosen per organization with the org setting
+// `email_provider`, falling back to the EMAIL_PROVIDER env var, then to
+// 'resend'. SMTP credentials can also be set per organization (smtp_host,
+// smtp_port, smtp_secure, smtp_user, smtp_password) with the SMTP_* env vars
+// as fallback. The outbox root is deployment-level only (EMAIL_OUTBOX_DIR,
+// default backend/outbox) — an org admin must not choose where the server
+// writes files — with one sub-directory per organization.
+//
+// Every provider returns the Resend response shape ({ data: { id }, error })
+// so existing call sites don't need to know which one was used.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Resend } = require('resend');
+const nodemailer = require('nodemailer');
+const appSettings = require('./app-settings');
+
+const PROVIDERS = ['resend', 'smtp', 'outbox'];
+
+const PROVIDER_LABELS = {
+  resend: 'Resend (API)',
+  smtp: 'Serveur SMTP',
+  outbox: 'Boîte d\'envoi locale (fichiers .eml)'
+};
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'outbox');
+
+const TRANSPORT_SETTING_KEYS = [
+  'email_provider',
+  'smtp_host',
+  'smtp_port',
+  'smtp_secure',
+  'smtp_user',
+  'smtp_password'
+];
+
+// Single Resend instance shared across all organizations. Instantiated lazily
+// so that deployments without RESEND_API_KEY don't crash on import.
+let _resendSingleton = null;
+function getResend() {
+  if (!_resendSingleton) {
+    _resendSingleton = new Resend(process.env.RESEND_API_KEY);
+  }
+  return _resendSingleton;
+}
+
+// Nodemailer transports, keyed by their configuration so that an org editing
+// its SMTP settings gets a fresh connection on the next send.
+const _smtpTransports = new Map();
+let _outboxTransport = null;
+
+// Organizations that picked SMTP / outbox in their own settings, so that a
+// deployment without any env-level provider still lets them send.
+// Loaded by refreshOrgProviders() at startup and after a settings save.
+const _orgProviders = new Map();
+
+function _normalizeProvider(value) {
+  const provider = String(value || '').trim().toLowerCase();
+  return PROVIDERS.includes(provider) ? provider : null;
+}
+
+/**
+ * Provider configured at the deployment level (EMAIL_PROVIDER env var).
+ * @returns {'resend'|'smtp'|'outbox'}
+ */
+function getDefaultProvider() {
+  return _normalizeProvider(process.env.EMAIL_PROVIDER) || 'resend';
+}
+
+/**
+ * Resolved transport configuration of an organization (org settings first,
+ * env vars as fallback).
+ *
+ * @param {number|null} orgId
+ * @returns {Promise<{provider: string, smtp: object, outboxDir: string}>}
+ */
+async function getTransportConfig(orgId) {
+  const settings = orgId
+    ? await appSettings.getOrgSettingsBatch(orgId, TRANSPORT_SETTING_KEYS)
+    : {};
+  const provider = _normalizeProvider(settings.email_provider) || getDefaultProvider();
+  if (orgId) _trackOrgProvider(orgId, settings.email_provider);
+  const port = parseInt(settings.smtp_port || process.env.SMTP_PORT, 10) || 587;
+  const secureValue = settings.smtp_secure || process.env.SMTP_SECURE;
+  return {
+    provider,
+    smtp: {
+      host: settings.smtp_host || process.env.SMTP_HOST || '',
+      port,
+      // Implicit TLS on 465 unless told otherwise; STARTTLS is negotiated on 587.
+      secure: secureValue ? secureValue === 'true' : port === 465,
+      user: settings.smtp_user || process.env.SMTP_USER || '',
+      password: settings.smtp_password || process.env.SMTP_PASSWORD || ''
+    },
+    outboxDir: path.join(process.env.EMAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR, orgId ? `org-${orgId}` : 'default')
+  };
+}
+
+function _trackOrgProvider(orgId, value) {
+  const provider = _normalizeProvider(value);
+  if (provider && provider !== 'resend') _orgProviders.set(orgId, provider);
+  else _orgProviders.delete(orgId);
+}
+
+/**
+ * Reloads the list of organizations using their own provider.
+ * Failures are logged, never thrown (called from startup / settings save).
+ */
+async function refreshOrgProviders() {
+  const db = require('../db-loader');
+  try {
+    const rows = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT organization_id, value FROM organization_settings WHERE key = 'email_provider'`,
+        [],
+        (err, r) => err ? reject(err) : resolve(r || [])
+      );
+    });
+    _orgProviders.clear();
+    rows.forEach(row => _trackOrgProvider(row.organization_id, row.value));
+  } catch (error) {
+    console.error('[Email] Failed to load organization email providers:', error.message);
+  }
+}
+
+/**
+ * Whether the provider of this configuration has what it needs to send.
+ * @returns {string|null} Missing-configuration message, null when ready.
+ */
+function _configError(config) {
+  switch (config.provider) {
+    case 'resend':
+      return process.env.RESEND_API_KEY ? null : 'RESEND_API_KEY non configurée';
+    case 'smtp':
+      return config.smtp.host ? null : 'Serveur SMTP non configuré';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether some provider is usable on this deployment: env-level provider, or
+ * at least one organization with its own SMTP / outbox provider. Cheap
+ * synchronous check used by the routes to decide whether to attempt sending
+ * at all; sendEmail() still reports an error for an organization whose own
+ * provider is incomplete.
+ *
+ * @returns {boolean}
+ */
+function hasDeploymentTransport() {
+  return !!(process.env.RESEND_API_KEY || process.env.SMTP_HOST ||
+    _normalizeProvider(process.env.EMAIL_PROVIDER) === 'outbox' ||
+    _orgProviders.size > 0);
+}
+
+/**
+ * @param {number|null} orgId
+ * @returns {Promise<boolean>} true when the org's provider can send.
+ */
+async function isTransportConfigured(orgId) {
+  const config = await getTransportConfig(orgId);
+  return _configError(config) === null;
+}
+
+// Resend payload → Nodemailer message. Resend accepts `reply_to` / `replyTo`
+// and base64 strings as attachment content.
+function _toNodemailerMessage(payload) {
+  const message = {
+    from: payload.from,
+    to: payload.to,
+    cc: payload.cc,
+    bcc: payload.bcc,
+    replyTo: payload.replyTo || payload.reply_to,
+    subject: payload.subject,
+    html: payload.html,
+    text: payload.text,
+    headers: payload.headers
+  };
+  if (Array.isArray(payload.attachments)) {
+    message.attachments = payload.attachments.map(att => {
+      const mapped = { filename: att.filename };
+      if (att.path) mapped.path = att.path;
+      if (att.content !== undefined) {
+        mapped.content = att.content;
+        if (typeof att.content === 'string') mapped.encoding = 'base64';
+      }
+      if (att.contentType || att.content_type) mapped.contentType = att.contentType || att.content_type;
+      return mapped;
+    });
+  }
+  Object.keys(message).forEach(key => message[key] === undefined && delete message[key]);
+  return message;
+}
+
+function _getSmtpTransport(smtp) {
+  const key = JSON.stringify(smtp);
+  if (!_smtpTransports.has(key)) {
+    _smtpTransports.set(key, nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+    }));
+  }
+  return _smtpTransports.get(key);
+}
+
+function _getOutboxTransport() {
+  if (!_outboxTransport) {
+    _outboxTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  return _outboxTransport;
+}
+
+async function _sendSmtp(payload, config) {
+  const info = await _getSmtpTransport(config.smtp).sendMail(_toNodemailerMessage(payload));
+  return { data: { id: info.messageId }, error: null };
+}
+
+async function _sendOutbox(payload, config) {
+  const info = await _getOutboxTransport().sendMail(_toNodemailerMessage(payload));
+  await fs.promises.mkdir(config.outboxDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const id = `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+  const file = path.join(config.outboxDir, `${id}.eml`);
+  await fs.promises.writeFile(file, info.message);
+  return { data: { id, path: file }, error: null };
+}
+
+/**
+ * Deliver a Resend-shaped payload with the organization's provider.
+ * Like the Resend SDK: API refusals come back in `error`, while a missing
+ * configuration or an unreachable server throws — call sites already count
+ * a thrown send as a failure.
+ *
+ * @param {object} payload - { from, to, subject, html, replyTo, attachments, ... }
+ * @param {number|null} orgId
+ * @returns {Promise<{data: object|null, error: object|null, provider: string}>}
+ */
+async function deliver(payload, orgId) {
+  const config = await getTransportConfig(orgId);
+  const missing = _configError(config);
+  if (missing) {
+    throw new Error(`${missing} (fournisseur email : ${config.provider})`);
+  }
+
+  try {
+    let result;
+    if (config.provider === 'smtp') {
+      result = await _sendSmtp(payload, config);
+    } else if (config.provider === 'outbox') {
+      result = await _sendOutbox(payload, config);
+    } else {
+      result = await getResend().emails.send(payload);
+    }
+    return { ...result, provider: config.provider };
+  } catch (error) {
+    console.error(`[Email] ${config.provider} send failed (org=${orgId}):`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Checks the SMTP connection / credentials of an organization without sending.
+ * @returns {Promise<{ok: boolean, provider: string, error?: string}>}
+ */
+async function verifyTransport(orgId) {
+  const config = await getTransportConfig(orgId);
+  const missing = _configError(config);
+  if (missing) return { ok: false, provider: config.provider, error: missing };
+  if (config.provider !== 'smtp') return { ok: true, provider: config.provider };
+  try {
+    await _getSmtpTransport(config.smtp).verify();
+    return { ok: true, provider: config.provider };
+  } catch (error) {
+    return { ok: false, provider: config.provider, error: error.message };
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_LABELS,
+  getDefaultProvider,
+  getTransportConfig,
+  hasDeploymentTransport,
+  isTransportConfigured,
+  refreshOrgProviders,
+  deliver,
+  verifyTransport,
+  getResend
+};
@@ -0,0 +1,612 @@
+// backend/utils/finale-qualification.js
+//
+// V 2.0.889 — Qualification figée des finales avec réserve
+//
+// The finalists used to be re-read from the live ranking every time
+// (top getQualifiedCount), and replacing a finalist who renounced was done
+// by hand. A finale can now be "frozen": the qualified players and an
+// ordered reserve list (next players of the ranking) are stored in
+// finale_qualification_entries and become the source of truth for the
+// convocations and the DdJ pointage.
+//
+// freezeQualification({ tournoiId, orgId, userId })
+//   Copies the current ranking: top N → qualified, next `finale_reserve_count`
+//   → reserve. Finalists already indisponible / désinscrit are replaced
+//   straight away.
+//
+// handleRenunciation({ tournoiId, orgId, licence, source, userId })
+//   A qualified (or promoted) player gives up their place: the next reserve
+//   is promoted. No-op when the finale is not frozen, so every renunciation
+//   path can call it blindly.
+//
+// promoteNextReserve — the reserve takes the renouncer's slot in
+//   convocation_poules (pointage), receives a convocation email with
+//   accept / decline links and a push. They must answer before
+//   response_deadline (`finale_reserve_response_hours`), otherwise
+//   expireOverdueOffers() (scheduler) passes the place to the next reserve.
+
+const jwt = require('jsonwebtoken');
+
+const STATUS_LABELS = {
+  qualified: 'Qualifié',
+  reserve: 'Réserve',
+  promoted: 'Repêché — en attente de réponse',
+  renounced: 'Renonce',
+  declined: 'Place refusée',
+  expired: 'Délai de réponse dépassé'
+};
+
+// Statuses that hold a place in the finale
+const ACTIVE_STATUSES = ['qualified', 'promoted'];
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+const _norm = (l) => String(l || '').replace(/\s/g, '');
+
+/**
+ * Finale + category + season, resolved the same way as the finalists
+ * screens of emailing.js (season from the finale date, category from
+ * mode / level).
+ * @returns {Promise<{finale, category, season}|null>} null when the finale does not exist
+ */
+async function resolveFinaleContext(tournoiId, orgId) {
+  const finale = await _dbGet(
+    `SELECT * FROM tournoi_ext WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [tournoiId, orgId]
+  );
+  if (!finale) return null;
+
+  const finaleDate = new Date(finale.debut);
+  const year = finaleDate.getFullYear();
+  const month = finaleDate.getMonth();
+  const season = month >= 8 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+
+  const mode = (finale.mode || '').toUpperCase().replace(/\s+/g, '');
+  const level = (finale.categorie || '').toUpperCase();
+  const category = await _dbGet(
+    `SELECT * FROM categories
+     WHERE UPPER(REPLACE(game_type, ' ', '')) = $1
+       AND (UPPER(level) = $2 OR UPPER(level) LIKE $3)
+       AND ($4::int IS NULL OR organization_id = $4)`,
+    [mode, level, level + '%', orgId]
+  );
+  return { finale, category: category || null, season };
+}
+
+async function getQualificationList(tournoiId, orgId) {
+  return _dbGet(
+    `SELECT * FROM finale_qualification_lists
+     WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [tournoiId, orgId]
+  );
+}
+
+/**
+ * Frozen list with ranking figures and contacts, or null when not frozen.
+ * @returns {Promise<{list, entries: object[], qualified: object[], reserves: object[]}|null>}
+ *   qualified = players holding a place (qualified + promoted), in ranking order.
+ */
+async function getQualification(tournoiId, orgId) {
+  const list = await getQualificationList(tournoiId, orgId);
+  if (!list) return null;
+
+  const entries = await _dbAll(
+    `SELECT e.*,
+            p.first_name, p.last_name,
+            r.total_match_points, r.avg_moyenne,
+            COALESCE(pc.email, p.email) as email,
+            COALESCE(pc.telephone, p.telephone) as telephone
+     FROM finale_qualification_entries e
+     LEFT JOIN players p ON REPLACE(p.licence, ' ', '') = e.licence
+       AND ($4::int IS NULL OR p.organization_id = $4)
+     LEFT JOIN player_contacts pc ON REPLACE(pc.licence, ' ', '') = e.licence
+       AND ($4::int IS NULL OR pc.organization_id = $4)
+     LEFT JOIN rankings r ON REPLACE(r.licence, ' ', '') = e.licence
+       AND r.category_id = $2 AND r.season = $3
+       AND ($4::int IS NULL OR r.organization_id = $4)
+     WHERE e.tournoi_id = $1
+     ORDER BY e.rank_position ASC, e.id ASC`,
+    [tournoiId, list.category_id, list.season, orgId]
+  );
+  for (const e of entries) e.status_label = STATUS_LABELS[e.status] || e.status;
+
+  return {
+    list,
+    entries,
+    qualified: entries.filter(e => ACTIVE_STATUSES.includes(e.status)),
+    reserves: entries
+      .filter(e => e.status === 'reserve')
+      .sort((a, b) => (a.reserve_order || 0) - (b.reserve_order || 0))
+  };
+}
+
+/**
+ * @param {{tournoiId, orgId, userId?}} opts
+ * @returns {Promise<object>} getQualification() of the new list, plus `promotions`
+ * @throws {Error} with `status` (404 / 409 / 400) and a French message
+ */
+async function freezeQualification({ tournoiId, orgId, userId }) {
+  const appSettings = require('./app-settings');
+
+  const ctx = await resolveFinaleContext(tournoiId, orgId);
+  if (!ctx) throw Object.assign(new Error('Finale non trouvée'), { status: 404 });
+  if (!ctx.category) {
+    throw Object.assign(new Error(`Catégorie non trouvée: ${ctx.finale.mode} - ${ctx.finale.categorie}`), { status: 404 });
+  }
+  if (await getQualificationList(tournoiId, orgId)) {
+    throw Object.assign(new Error('La qualification de cette finale est déjà figée'), { status: 409 });
+  }
+
+  const rankings = await _dbAll(
+    `SELECT r.licence, r.rank_position,
+            COALESCE(NULLIF(TRIM(COALESCE(p.first_name, '') || ' ' || COALESCE(p.last_name, '')), ''), r.licence) as player_name
+     FROM rankings r
+     LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+       AND ($3::int IS NULL OR p.organization_id = $3)
+     WHERE r.season = $1 AND r.category_id = $2
+       AND ($3::int IS NULL OR r.organization_id = $3)
+     ORDER BY r.rank_position ASC`,
+    [ctx.season, ctx.category.id, orgId]
+  );
+  if (rankings.length === 0) {
+    throw Object.assign(new Error('Aucun classement pour cette catégorie'), { status: 400 });
+  }
+
+  const qualifiedCount = await appSettings.getQualifiedCount(orgId, rankings.length);
+  const reserveCount = Math.max(0, parseInt(await appSettings.getOrgSetting(orgId, 'finale_reserve_count'), 10) || 0);
+
+  const snapshot = await _dbGet(
+    `SELECT id FROM ranking_snapshots
+     WHERE category_id = $1 AND season = $2 AND ($3::int IS NULL OR organization_id = $3)
+     ORDER BY created_at DESC, id DESC LIMIT 1`,
+    [ctx.category.id, ctx.season, orgId]
+  );
+
+  await _dbRun(
+    `INSERT INTO finale_qualification_lists
+       (tournoi_id, organization_id, category_id, season, qualified_count, ranking_snapshot_id, frozen_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [tournoiId, orgId, ctx.category.id, ctx.season, qualifiedCount, snapshot ? snapshot.id : null, userId || null]
+  );
+
+  const selected = rankings.slice(0, qualifiedCount + reserveCount);
+  for (let i = 0; i < selected.length; i++) {
+    const r = selected[i];
+    const isQualified = i < qualifiedCount;
+    await _dbRun(
+      `INSERT INTO finale_qualification_entries
+         (tournoi_id, organization_id, licence, player_name, rank_position, status, reserve_order, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'ranking')
+       ON CONFLICT (tournoi_id, licence) DO NOTHING`,
+      [tournoiId, orgId, _norm(r.licence), r.player_name, r.rank_position,
+       isQualified ? 'qualified' : 'reserve', isQualified ? null : i - qualifiedCount + 1]
+    );
+  }
+
+  // Finalists who already gave up (renunciation before the freeze,
+  // auto-indisponible) are replaced right away.
+  const withdrawn = await _dbAll(
+    `SELECT REPLACE(i.licence, ' ', '') as licence FROM inscriptions i
+     WHERE i.tournoi_id = $1 AND i.statut IN ('indisponible', 'désinscrit')
+       AND ($2::int IS NULL OR i.organization_id = $2)`,
+    [tournoiId, orgId]
+  );
+  const withdrawnSet = new Set(withdrawn.map(w => w.licence));
+  const promotions = [];
+  for (const r of selected) {
+    if (!withdrawnSet.has(_norm(r.licence))) continue;
+    const result = await handleRenunciation({ tournoiId, orgId, licence: r.licence, source: 'freeze', userId });
+    if (result.promoted) promotions.push(result.promoted);
+  }
+
+  const qualification = await getQualification(tournoiId, orgId);
+  return { ...qualification, promotions };
+}
+
+/**
+ * Drops the frozen list (the finalists are read from the ranking again).
+ * Inscriptions and convocations already changed are kept.
+ */
+async function unfreezeQualification({ tournoiId, orgId }) {
+  await _dbRun(
+    `DELETE FROM finale_qualification_entries WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [tournoiId, orgId]
+  );
+  const result = await _dbRun(
+    `DELETE FROM finale_qualification_lists WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [tournoiId, orgId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Sets the finale inscription of a player (creates it when missing).
+ * A 'désinscrit' row is left alone when marking indisponible.
+ */
+async function _setInscriptionStatut(tournoiId, orgId, licence, statut, source) {
+  const existing = await _dbGet(
+    `SELECT inscription_id, statut FROM inscriptions
+     WHERE tournoi_id = $1 AND REPLACE(UPPER(licence), ' ', '') = REPLACE(UPPER($2), ' ', '')
+       AND ($3::int IS NULL OR organization_id = $3)`,
+    [tournoiId, licence, orgId]
+  );
+  if (existing) {
+    if (existing.statut === statut) return;
+    if (statut === 'indisponible' && existing.statut === 'désinscrit') return;
+    await _dbRun(
+      `UPDATE inscriptions SET statut = $1, source = $2, timestamp = CURRENT_TIMESTAMP WHERE inscription_id = $3`,
+      [statut, source, existing.inscription_id]
+    );
+    return;
+  }
+  const contact = await _dbGet(
+    `SELECT email, telephone FROM player_contacts
+     WHERE REPLACE(licence, ' ', '') = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [_norm(licence), orgId]
+  );
+  await _dbRun(
+    `INSERT INTO inscriptions (inscription_id, tournoi_id, licence, email, telephone, timestamp, source, statut, organization_id)
+     VALUES ((SELECT COALESCE(MAX(inscription_id), 0) + 1 FROM inscriptions), $1, $2, $3, $4, CURRENT_TIMESTAMP, $5, $6, $7)`,
+    [tournoiId, _norm(licence), contact?.email || null, contact?.telephone || null, source, statut, orgId]
+  );
+}
+
+async function _getEntry(tournoiId, licence) {
+  return _dbGet(
+    `SELECT * FROM finale_qualification_entries WHERE tournoi_id = $1 AND licence = $2`,
+    [tournoiId, _norm(licence)]
+  );
+}
+
+/**
+ * @param {{tournoiId, orgId, licence, source: string, userId?}} opts
+ *   source: admin | player_app | rsvp | auto | freeze
+ * @returns {Promise<{frozen: boolean, entry?: object, promoted?: object|null}>}
+ */
+async function handleRenunciation({ tournoiId, orgId, licence, source }) {
+  const list = await getQualificationList(tournoiId, orgId);
+  if (!list) return { frozen: false };
+
+  const entry = await _getEntry(tournoiId, licence);
+  if (!entry || !['qualified', 'promoted', 'reserve'].includes(entry.status)) {
+    return { frozen: true, entry: entry || null, promoted: null };
+  }
+
+  await _dbRun(
+    `UPDATE finale_qualification_entries
+     SET status = 'renounced', responded_at = CURRENT_TIMESTAMP, source = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [entry.id, source || 'admin']
+  );
+  await _setInscriptionStatut(tournoiId, orgId, entry.licence, 'indisponible', source || 'manual');
+
+  // A reserve who steps down simply leaves the reserve list
+  if (entry.status === 'reserve') return { frozen: true, entry, promoted: null };
+
+  const promoted = await promoteNextReserve({ tournoiId, orgId, replacedLicence: entry.licence });
+  return { frozen: true, entry, promoted };
+}
+
+/**
+ * Gives the place of `replacedLicence` to the first reserve.
+ * @returns {Promise<object|null>} the promoted entry, null when the reserve is empty
+ */
+async function promoteNextReserve({ tournoiId, orgId, replacedLicence }) {
+  const appSettings = require('./app-settings');
+  const hours = parseInt(await appSettings.getOrgSetting(orgId, 'finale_reserve_response_hours'), 10) || 48;
+
+  const reserves = await _dbAll(
+    `SELECT * FROM finale_qualification_entries
+     WHERE tournoi_id = $1 AND status = 'reserve'
+     ORDER BY reserve_order ASC, rank_position ASC`,
+    [tournoiId]
+  );
+
+  const deadline = new Date(Date.now() + hours * 3600000);
+  for (const reserve of reserves) {
+    // Guarded update: two renunciations processed at the same time must
+    // not promote the same reserve twice.
+    const claimed = await _dbRun(
+      `UPDATE finale_qualification_entries
+       SET status = 'promoted', promoted_at = CURRENT_TIMESTAMP, response_deadline = $2,
+           replaced_licence = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'reserve'`,
+      [reserve.id, deadline, _norm(replacedLicence)]
+    );
+    if (!claimed.changes) continue;
+
+    const promoted = { ...reserve, status: 'promoted', response_deadline: deadline, replaced_licence: _norm(replacedLicence) };
+    await _replaceInConvocation(tournoiId, orgId, replacedLicence, promoted);
+    await _notifyPromotion(tournoiId, orgId, promoted, hours);
+    return promoted;
+  }
+
+  console.warn(`[Finale Qualification] finale=${tournoiId}: reserve list empty, no replacement for ${replacedLicence}`);
+  await _notifyAdmin(tournoiId, orgId, { replacedLicence, promoted: null });
+  return null;
+}
+
+/**
+ * The reserve takes the poule slot of the player they replace so the DdJ
+ * pointage shows the right name. Nothing to do before the poules exist.
+ */
+async function _replaceInConvocation(tournoiId, orgId, replacedLicence, promoted) {
+  const player = await _dbGet(
+    `SELECT club FROM players WHERE REPLACE(licence, ' ', '') = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [promoted.licence, orgId]
+  );
+  const result = await _dbRun(
+    `UPDATE convocation_poules
+     SET licence = $3, player_name = $4, club = COALESCE($5, club)
+     WHERE tournoi_id = $1 AND REPLACE(licence, ' ', '') = $2`,
+    [tournoiId, _norm(replacedLicence), promoted.licence, promoted.player_name, player?.club || null]
+  );
+  if (result.changes > 0) {
+    console.log(`[Finale Qualification] finale=${tournoiId}: ${promoted.licence} replaces ${replacedLicence} in convocation_poules`);
+  }
+}
+
+/**
+ * Signed accept / decline token for a promoted reserve. The deadline itself
+ * is checked against the entry, the token only identifies the offer.
+ */
+function generateReserveToken(licence, tournoiId, organizationId) {
+  return jwt.sign(
+    { type: 'finale_reserve', licence: _norm(licence), tournoi_id: tournoiId, organization_id: organizationId },
+    process.env.JWT_SECRET,
+    { expiresIn: '30d' }
+  );
+}
+
+function _formatDate(date, withTime) {
+  if (!date) return '';
+  const opts = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/Paris' };
+  if (withTime) Object.assign(opts, { hour: '2-digit', minute: '2-digit' });
+  return new Date(date).toLocaleDateString('fr-FR', opts);
+}
+
+async function _notifyPromotion(tournoiId, orgId, promoted, hours) {
+  const { getEmailTemplateSettings, buildFromAddress, sendEmail } = require('./email-helpers');
+  const { sendPushToPlayer } = require('../routes/push');
+  const { localizedNotification } = require('../notification-messages');
+  const i18n = require('./i18n');
+
+  const finale = await _dbGet(`SELECT * FROM tournoi_ext WHERE tournoi_id = $1`, [tournoiId]);
+  const finaleName = finale?.nom || 'Finale';
+  const finaleDate = _formatDate(finale?.debut);
+  const deadlineStr = _formatDate(promoted.response_deadline, true);
+
+  try {
+    const contact = await _dbGet(
+      `SELECT COALESCE(pc.email, p.email) as email, p.first_name
+       FROM players p
+       LEFT JOIN player_contacts pc ON REPLACE(pc.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+       WHERE REPLACE(p.licence, ' ', '') = $1 AND ($2::int IS NULL OR p.organization_id = $2)`,
+      [promoted.licence, orgId]
+    );
+    if (contact?.email && contact.email.includes('@')) {
+      const settings = await getEmailTemplateSettings(orgId);
+      const color = settings.primary_color || '#1F4788';
+      const orgName = settings.organization_name || settings.organization_short_name || '';
+      const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
+      const token = generateReserveToken(promoted.licence, tournoiId, orgId);
+      const yesUrl = `${baseUrl}/api/finale-qualification/respond?token=${encodeURIComponent(token)}&response=yes`;
+      const noUrl = `${baseUrl}/api/finale-qualification/respond?token=${encodeURIComponent(token)}&response=no`;
+      const greeting = contact.first_name ? `Bonjour ${contact.first_name},` : 'Bonjour,';
+
+      await sendEmail({
+        from: buildFromAddress(settings, 'convocations'),
+        to: [contact.email],
+        subject: `🏆 Convocation — ${finaleName} (repêchage)`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: ${color}; color: white; padding: 20px; text-align: center;">
+              <h1 style="margin: 0; font-size: 22px;">${orgName}</h1>
+              <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">CONVOCATION FINALE</p>
+            </div>
+            <div style="padding: 25px; background: #ffffff;">
+              <p>${greeting}</p>
+              <p>Un joueur qualifié a renoncé à la finale. En tant que premier joueur de la liste de réserve, sa place vous est attribuée :</p>
+              <div style="background: #f8f9fa; border-left: 4px solid ${color}; padding: 15px; margin: 15px 0;">
+                <p style="margin: 4px 0;"><strong>${finaleName}</strong></p>
+                <p style="margin: 4px 0;">📅 ${finaleDate}</p>
+                ${finale?.lieu ? `<p style="margin: 4px 0;">📍 ${finale.lieu}</p>` : ''}
+              </div>
+              <p>Merci de confirmer votre participation <strong>avant le ${deadlineStr}</strong>. Sans réponse, la place sera proposée au joueur suivant.</p>
+              <div style="text-align: center; margin: 25px 0;">
+                <a href="${yesUrl}" target="_blank" style="display: inline-block; background: #28a745; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: bold; margin: 5px 8px;">✅ J'accepte ma place</a>
+                <a href="${noUrl}" target="_blank" style="display: inline-block; background: #dc3545; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: bold; margin: 5px 8px;">❌ Je ne peux pas</a>
+              </div>
+              <p style="text-align: center;">
+                <a href="${baseUrl}/api/player-accounts/tournament/${tournoiId}/calendar.ics" style="color: ${color}; font-size: 14px;">📅 Ajouter à mon calendrier</a>
+              </p>
+            </div>
+          </div>`
+      }, {
+        recipientKind: 'player',
+        orgId,
+        recipientName: promoted.player_name,
+        emailType: 'convocation_finale_reserve',
+        context: { tournoi_id: tournoiId, licence: promoted.licence, replaced_licence: promoted.replaced_licence }
+      });
+    }
+  } catch (err) {
+    console.error('[Finale Qualification] Reserve convocation email failed:', err.message);
+  }
+
+  try {
+    await sendPushToPlayer(promoted.licence, orgId, localizedNotification('FINALE_RESERVE_PROMOTION', locale => ({
+      tournoiName: finaleName,
+      finaleDate: finale?.debut ? i18n.formatDate(finale.debut, locale) : finaleDate,
+      deadline: i18n.formatDate(promoted.response_deadline, locale, {
+        weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Paris'
+      })
+    })), { emailType: 'finale_reserve_promotion_push' });
+  } catch (err) {
+    console.error('[Finale Qualification] Reserve push failed:', err.message);
+  }
+
+  await _notifyAdmin(tournoiId, orgId, { replacedLicence: promoted.replaced_licence, promoted, hours });
+}
+
+async function _notifyAdmin(tournoiId, orgId, { replacedLicence, promoted, hours }) {
+  const { getEmailTemplateSettings, buildFromAddress, sendEmail } = require('./email-helpers');
+  try {
+    const settings = await getEmailTemplateSettings(orgId);
+    if (!settings.summary_email) return;
+    const color = settings.primary_color || '#1F4788';
+    const finale = await _dbGet(`SELECT nom, debut FROM tournoi_ext WHERE tournoi_id = $1`, [tournoiId]);
+    const replaced = await _getEntry(tournoiId, replacedLicence);
+    const replacedName = replaced?.player_name || replacedLicence;
+
+    const body = promoted
+      ? `<p><strong>${promoted.player_name || promoted.licence}</strong> (${promoted.rank_position}e du classement) a été repêché(e) automatiquement à la place de <strong>${replacedName}</strong>.</p>
+         <p>Il/elle a reçu une convocation et doit confirmer sous ${hours} h (avant le ${_formatDate(promoted.response_deadline, true)}). Le pointage du Directeur de Jeu a été mis à jour.</p>`
+      : `<p><strong>${replacedName}</strong> a renoncé mais la liste de réserve est vide : aucun remplaçant n'a pu être désigné.</p>
+         <p>Rendez-vous sur la page <strong>Compétitions à Jouer</strong> pour compléter la finale.</p>`;
+
+    await sendEmail({
+      from: buildFromAddress(settings, 'noreply'),
+      to: [settings.summary_email],
+      subject: `${settings.organization_short_name || 'CDB'} — ${promoted ? 'Repêchage' : 'Réserve épuisée'} : ${finale?.nom || 'Finale'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: ${color}; color: white; padding: 15px; text-align: center;">
+            <h2 style="margin: 0; font-size: 18px;">${finale?.nom || 'Finale'} — ${_formatDate(finale?.debut)}</h2>
+          </div>
+          <div style="padding: 20px; background: #f8f9fa;">${body}</div>
+        </div>`
+    }, {
+      recipientKind: 'admin',
+      orgId,
+      emailType: 'finale_reserve_admin_notification',
+      context: { tournoi_id: tournoiId, replaced_licence: replacedLicence, promoted_licence: promoted?.licence || null }
+    });
+  } catch (err) {
+    console.error('[Finale Qualification] Admin notification failed:', err.message);
+  }
+}
+
+/**
+ * Answer of a promoted reserve (email link or admin on their behalf).
+ * @param {{tournoiId, orgId, licence, accept: boolean, source?: string}} opts
+ * @returns {Promise<{status: string, entry?: object, promoted?: object|null}>}
+ *   status: accepted | declined | expired | already_qualified | not_promoted
+ */
+async function respondToPromotion({ tournoiId, orgId, licence, accept, source }) {
+  const entry = await _getEntry(tournoiId, licence);
+  if (!entry) return { status: 'not_promoted' };
+  if (entry.status === 'qualified') return { status: 'already_qualified', entry };
+  if (entry.status !== 'promoted') return { status: entry.status === 'expired' ? 'expired' : 'not_promoted', entry };
+
+  if (entry.response_deadline && new Date(entry.response_deadline) < new Date()) {
+    const promoted = await _expireEntry(entry, orgId);
+    return { status: 'expired', entry, promoted };
+  }
+
+  if (accept) {
+    await _dbRun(
+      `UPDATE finale_qualification_entries
+       SET status = 'qualified', responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [entry.id]
+    );
+    await _setInscriptionStatut(tournoiId, orgId, entry.licence, 'inscrit', source || 'email');
+    return { status: 'accepted', entry };
+  }
+
+  await _dbRun(
+    `UPDATE finale_qualification_entries
+     SET status = 'declined', responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [entry.id]
+  );
+  await _setInscriptionStatut(tournoiId, orgId, entry.licence, 'indisponible', source || 'email');
+  const promoted = await promoteNextReserve({ tournoiId, orgId, replacedLicence: entry.licence });
+  return { status: 'declined', entry, promoted };
+}
+
+async function _expireEntry(entry, orgId) {
+  const result = await _dbRun(
+    `UPDATE finale_qualification_entries
+     SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'promoted'`,
+    [entry.id]
+  );
+  if (!result.changes) return null;
+  await _setInscriptionStatut(entry.tournoi_id, orgId, entry.licence, 'indisponible', 'auto');
+  return promoteNextReserve({ tournoiId: entry.tournoi_id, orgId, replacedLicence: entry.licence });
+}
+
+/**
+ * Scheduler: promoted reserves who did not answer in time lose the place.
+ * @returns {Promise<number>} number of expired offers
+ */
+async function expireOverdueOffers() {
+  const overdue = await _dbAll(
+    `SELECT * FROM finale_qualification_entries
+     WHERE status = 'promoted' AND response_deadline IS NOT NULL AND response_deadline < $1`,
+    [new Date()]
+  );
+  for (const entry of overdue) {
+    try {
+      await _expireEntry(entry, entry.organization_id);
+      console.log(`[Finale Qualification] finale=${entry.tournoi_id}: offer to ${entry.licence} expired`);
+    } catch (err) {
+      console.error(`[Finale Qualification] Failed to expire offer ${entry.id}:`, err.message);
+    }
+  }
+  return overdue.length;
+}
+
+/**
+ * Upcoming frozen finale in which the player holds (or awaits) a place.
+ * Used when the caller only knows the licence (Player App renunciation).
+ */
+async function findFrozenFinaleForLicence(orgId, licence) {
+  return _dbGet(
+    `SELECT e.tournoi_id FROM finale_qualification_entries e
+     JOIN tournoi_ext t ON t.tournoi_id = e.tournoi_id
+     WHERE e.licence = $1 AND e.status IN ('qualified', 'promoted', 'reserve')
+       AND ($2::int IS NULL OR e.organization_id = $2)
+       AND t.debut >= CURRENT_DATE
+     ORDER BY t.debut ASC LIMIT 1`,
+    [_norm(licence), orgId]
+  );
+}
+
+module.exports = {
+  STATUS_LABELS,
+  ACTIVE_STATUSES,
+  resolveFinaleContext,
+  getQualificationList,
+  getQualification,
+  freezeQualification,
+  unfreezeQualification,
+  handleRenunciation,
+  promoteNextReserve,
+  generateReserveToken,
+  respondToPromotion,
+  expireOverdueOffers,
+  findFrozenFinaleForLicence
+};
@@ -0,0 +1,211 @@
+// backend/utils/i18n.js
+//
+// V 2.0.893 — Communications multilingues
+//
+// Each player can have a preferred language:
+//   player_accounts.locale  chosen by the player in the Player App (wins)
+//   players.locale          set by the admin on the player record
+// French is the reference language and the fallback everywhere: a missing
+// locale, an unsupported one or a missing translation all end up in French.
+//
+// Email templates: email_templates keeps the French text; the translations
+// live in email_template_variants (template_key, organization_id, locale).
+// A variant field left empty falls back to the French field.
+// Push notifications: built-in translations in notification-messages.js.
+// Auto-articles and WordPress posts: one text per publication, in the org's
+// `publication_locale` (a post has no single recipient).
+
+const SUPPORTED_LOCALES = ['fr', 'en', 'de', 'es', 'it'];
+const DEFAULT_LOCALE = 'fr';
+
+const LOCALE_LABELS = {
+  fr: 'Français',
+  en: 'English',
+  de: 'Deutsch',
+  es: 'Español',
+  it: 'Italiano'
+};
+
+// Intl tags used to format dates in the recipient's language
+const DATE_LOCALE_TAGS = {
+  fr: 'fr-FR',
+  en: 'en-GB',
+  de: 'de-DE',
+  es: 'es-ES',
+  it: 'it-IT'
+};
+
+function _dbAll(sql, params) {
+  const db = require('../db-loader');
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+function _normalizeLicence(licence) {
+  return String(licence || '').replace(/\s/g, '');
+}
+
+/**
+ * 'EN', 'en-GB', 'en_US' → 'en'. Unsupported or empty → null.
+ */
+function normalizeLocale(value) {
+  if (!value) return null;
+  const code = String(value).trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(code) ? code : null;
+}
+
+/**
+ * Merge a { fr: {...}, en: {...} } string table for one locale: the
+ * locale's entries over the French ones, so a missing key stays French.
+ */
+function localized(table, locale) {
+  const base = table[DEFAULT_LOCALE] || {};
+  const code = normalizeLocale(locale);
+  if (!code || code === DEFAULT_LOCALE || !table[code]) return base;
+  return { ...base, ...table[code] };
+}
+
+/**
+ * toLocaleDateString in the given language. Returns the raw value when it
+ * is not a valid date (callers often pass already formatted strings).
+ */
+function formatDate(value, locale, options = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) {
+  if (!value) return '';
+  const d = value instanceof Date ? value : new Date(value);
+  if (isNaN(d.getTime())) return String(value);
+  const tag = DATE_LOCALE_TAGS[normalizeLocale(locale) || DEFAULT_LOCALE];
+  return d.toLocaleDateString(tag, options);
+}
+
+/**
+ * Preferred language of several players.
+ * @returns {Promise<Map<string, string>>} licence without spaces → locale
+ * (only players with a supported locale are in the map)
+ */
+async function getRecipientLocales(licences, orgId) {
+  const normalized = [...new Set((licences || []).map(_normalizeLicence).filter(Boolean))];
+  const locales = new Map();
+  if (normalized.length === 0) return locales;
+
+  const placeholders = normalized.map((_, i) => `$${i + 2}`).join(', ');
+  const rows = await _dbAll(
+    `SELECT REPLACE(p.licence, ' ', '') AS licence, pa.locale AS account_locale, p.locale AS player_locale
+       FROM players p
+       LEFT JOIN player_accounts pa ON REPLACE(pa.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+        AND ($1::int IS NULL OR pa.organization_id = $1)
+      WHERE REPLACE(p.licence, ' ', '') IN (${placeholders})
+        AND ($1::int IS NULL OR p.organization_id = $1)`,
+    [orgId || null, ...normalized]
+  );
+  for (const row of rows) {
+    const locale = normalizeLocale(row.account_locale) || normalizeLocale(row.player_locale);
+    if (locale) locales.set(row.licence, locale);
+  }
+  return locales;
+}
+
+/**
+ * Preferred language of one recipient, by licence or (Player App emails
+ * that only carry the address) by email. Never throws: French on error.
+ */
+async function getRecipientLocale({ licence, email } = {}, orgId) {
+  try {
+    if (licence) {
+      const locales = await getRecipientLocales([licence], orgId);
+      return locales.get(_normalizeLicence(licence)) || DEFAULT_LOCALE;
+    }
+    if (email) {
+      const rows = await _dbAll(
+        `SELECT pa.locale AS account_locale, p.locale AS player_locale
+           FROM player_accounts pa
+           LEFT JOIN players p ON REPLACE(p.licence, ' ', '') = REPLACE(pa.licence, ' ', '')
+            AND ($2::int IS NULL OR p.organization_id = $2)
+          WHERE LOWER(pa.email) = LOWER($1) AND ($2::int IS NULL OR pa.organization_id = $2)
+          LIMIT 1`,
+        [email, orgId || null]
+      );
+      const row = rows[0];
+      if (row) return normalizeLocale(row.account_locale) || normalizeLocale(row.player_locale) || DEFAULT_LOCALE;
+    }
+  } catch (error) {
+    console.error('[i18n] Failed to resolve recipient locale:', error.message);
+  }
+  return DEFAULT_LOCALE;
+}
+
+function localeOf(locales, licence) {
+  return (locales && locales.get(_normalizeLicence(licence))) || DEFAULT_LOCALE;
+}
+
+/**
+ * Translations of an email template for the org.
+ * @returns {Promise<Object>} locale → { subject, body, outro }
+ */
+async function getTemplateVariants(templateKey, orgId) {
+  const variants = {};
+  try {
+    const rows = await _dbAll(
+      `SELECT locale, subject_template, body_template, outro_template
+         FROM email_template_variants
+        WHERE template_key = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+      [templateKey, orgId || null]
+    );
+    for (const row of rows) {
+      variants[row.locale] = {
+        subject: row.subject_template || '',
+        body: row.body_template || '',
+        outro: row.outro_template || ''
+      };
+    }
+  } catch (error) {
+    console.error(`[i18n] Failed to load variants of template ${templateKey}:`, error.message);
+  }
+  return variants;
+}
+
+/**
+ * French template → template in the recipient's language. `base` has the
+ * shape { subject, body, outro }; each non-empty variant field replaces the
+ * French one. Returns `base` itself when there is nothing to translate.
+ */
+function localizeTemplate(base, variants, locale) {
+  const variant = locale && locale !== DEFAULT_LOCALE ? (variants || {})[locale] : null;
+  if (!variant) return base;
+  return {
+    ...base,
+    subject: variant.subject || base.subject,
+    body: variant.body || base.body,
+    outro: variant.outro || base.outro,
+    locale
+  };
+}
+
+/**
+ * Language of the org's shared publications (auto-articles, WordPress).
+ */
+async function getPublicationLocale(orgId) {
+  if (!orgId) return DEFAULT_LOCALE;
+  try {
+    const appSettings = require('./app-settings');
+    return normalizeLocale(await appSettings.getOrgSetting(orgId, 'publication_locale')) || DEFAULT_LOCALE;
+  } catch (error) {
+    console.error('[i18n] Failed to read publication_locale:', error.message);
+    return DEFAULT_LOCALE;
+  }
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_LABELS,
+  normalizeLocale,
+  localized,
+  formatDate,
+  getRecipientLocales,
+  getRecipientLocale,
+  localeOf,
+  getTemplateVariants,
+  localizeTemplate,
+  getPublicationLocale
+};
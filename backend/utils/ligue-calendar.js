@@ -0,0 +1,381 @@
+/**
+ * Seasonal Calendar Generator — ligue-level coordination (V 2.0.902)
+ *
+ * Each CDB builds and publishes its own grid; nothing stops two of them
+ * from booking the same club hall on the same weekend, or from holding a
+ * qualifying tournament while the ligue plays the final of that very
+ * category. This module overlays the published grids (tournoi_ext) of all
+ * CDBs of a ligue and reports three kinds of cross-CDB conflicts:
+ *
+ *   shared_host       — the same club hosts tournaments of two CDBs on the
+ *                       same weekend. Clubs are per-organization rows, so a
+ *                       hall listed in two CDBs is matched on its name
+ *                       (club_aliases aware), like the imports do.
+ *   ligue_final_clash — a CDB tournament of a mode + level is played on the
+ *                       weekend of the ligue final of that mode + level.
+ *   shared_players    — two CDBs play, on the same weekend, categories whose
+ *                       latest rankings have players in common.
+ *
+ * refreshLigueWarnings() stores the conflicts per CDB in
+ * calendar_ligue_warnings, which /calendar-generator/sync-status shows to
+ * each CDB next to its own drift.
+ */
+
+const appSettings = require('./app-settings');
+const { normalizeClubKey } = require('./calendar-travel');
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().run(sql, params, function (err) { err ? reject(err) : resolve(this); });
+  });
+}
+
+const NUMBER_TO_TYPE = { 1: 'T1', 2: 'T2', 3: 'T3', 4: 'Finale', 5: 'LIGUE_FINALE' };
+
+const CONFLICT_KINDS = ['shared_host', 'ligue_final_clash', 'shared_players'];
+
+function isoDate(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+// Same weekend key as /published-grid: the Saturday of the Sat–Sun weekend.
+function toSaturdayISO(iso) {
+  if (!iso) return null;
+  const d = new Date(iso + 'T00:00:00Z');
+  if (isNaN(d.getTime())) return null;
+  const dow = d.getUTCDay();
+  const offset = dow === 6 ? 0 : (dow === 0 ? -1 : (6 - dow));
+  d.setUTCDate(d.getUTCDate() + offset);
+  return d.toISOString().slice(0, 10);
+}
+
+function frenchDate(iso) {
+  const [y, m, d] = String(iso).split('-');
+  return `${d}/${m}/${y}`;
+}
+
+function stripCity(lieu) {
+  return String(lieu == null ? '' : lieu).replace(/\s*\([^)]*\)\s*$/, '').trim();
+}
+
+function normalizeCity(s) {
+  return String(s == null ? '' : s)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/-/g, ' ').trim().toLowerCase();
+}
+
+function levelKey(mode, level) {
+  return `${String(mode || '').trim().toUpperCase()}|${String(level || '').trim().toUpperCase()}`;
+}
+
+/**
+ * Resolves tournoi_ext.lieu to a club of the same organization with the
+ * three shapes accepted by /published-grid ("Club (Ville)", calendar_code,
+ * city), then to a ligue-wide host key.
+ */
+function buildHostResolver(clubs, aliases) {
+  const canonical = new Map();
+  aliases.forEach(a => {
+    const key = normalizeClubKey(a.alias);
+    if (key) canonical.set(key, normalizeClubKey(a.canonical_name));
+  });
+  const keyOf = (name) => {
+    const key = normalizeClubKey(name);
+    return canonical.get(key) || key;
+  };
+
+  const byOrg = new Map();
+  clubs.forEach(c => {
+    if (!byOrg.has(c.organization_id)) byOrg.set(c.organization_id, []);
+    byOrg.get(c.organization_id).push(c);
+  });
+
+  return (orgId, lieu) => {
+    const raw = String(lieu || '').trim();
+    if (!raw) return null;
+    const stripped = normalizeClubKey(stripCity(raw));
+    const city = normalizeCity(raw);
+    const orgClubs = byOrg.get(orgId) || [];
+    const club = orgClubs.find(c => stripped && (normalizeClubKey(c.display_name) === stripped || normalizeClubKey(c.name) === stripped))
+      || (raw.length <= 2 ? orgClubs.find(c => c.calendar_code && c.calendar_code.trim().toUpperCase() === raw.toUpperCase()) : null)
+      || orgClubs.find(c => c.city && normalizeCity(c.city) === city);
+    if (club) {
+      return { key: keyOf(club.name || club.display_name), club_id: club.id, name: club.display_name || club.name };
+    }
+    return stripped ? { key: keyOf(stripCity(raw)), club_id: null, name: stripCity(raw) } : null;
+  };
+}
+
+function entryLabel(e) {
+  const type = e.tournament_type === 'LIGUE_FINALE' ? 'finale de ligue' : e.tournament_type;
+  return `${e.mode || ''} ${e.categorie || ''} ${type || ''}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Overlay of the published grids of every CDB of a ligue, with the
+ * cross-CDB conflicts.
+ * @param {string} ligueNumero
+ * @param {string} season - e.g. "2026-2027"
+ * @returns {Promise<{season, cdbs, weekends, conflicts, by_kind}>}
+ */
+async function analyzeLigueCalendar(ligueNumero, season) {
+  const cdbs = await _dbAll(
+    `SELECT id, name, short_name FROM organizations
+      WHERE ffb_ligue_numero = $1 AND is_active = true
+      ORDER BY short_name`,
+    [ligueNumero]
+  );
+  const empty = { season, cdbs, weekends: [], conflicts: [], by_kind: { shared_host: 0, ligue_final_clash: 0, shared_players: 0 } };
+  if (!cdbs.length) return empty;
+
+  const orgIds = cdbs.map(c => c.id);
+  const cdbName = new Map(cdbs.map(c => [c.id, c.short_name || c.name]));
+  const { start, end } = await appSettings.getSeasonDateRange(season);
+
+  const [rows, clubs, aliases, categories, finalDates] = await Promise.all([
+    _dbAll(
+      `SELECT tournoi_id, organization_id, nom, mode, categorie, debut, lieu, tournament_number
+         FROM tournoi_ext
+        WHERE organization_id = ANY($1::int[])
+          AND debut BETWEEN $2 AND $3
+          AND tournament_number BETWEEN 1 AND 5
+        ORDER BY debut, organization_id`,
+      [orgIds, start, end]
+    ),
+    _dbAll(
+      `SELECT id, organization_id, name, display_name, city, calendar_code
+         FROM clubs WHERE organization_id = ANY($1::int[])`,
+      [orgIds]
+    ),
+    _dbAll(`SELECT alias, canonical_name FROM club_aliases`, []),
+    _dbAll(
+      `SELECT id, organization_id, game_type, level FROM categories
+        WHERE organization_id = ANY($1::int[])`,
+      [orgIds]
+    ),
+    _dbAll(
+      `SELECT lfd.organization_id, lfd.final_date, c.game_type, c.level
+         FROM ligue_final_dates lfd
+         JOIN categories c ON c.id = lfd.category_id
+        WHERE lfd.organization_id = ANY($1::int[]) AND lfd.season = $2`,
+      [orgIds, season]
+    )
+  ]);
+
+  const resolveHost = buildHostResolver(clubs, aliases);
+  const categoryByLevel = new Map(categories.map(c => [`${c.organization_id}|${levelKey(c.game_type, c.level)}`, c.id]));
+
+  const entries = rows.map(r => {
+    const date = isoDate(r.debut);
+    const type = NUMBER_TO_TYPE[parseInt(r.tournament_number, 10)];
+    const isLigueFinal = type === 'LIGUE_FINALE';
+    const host = isLigueFinal ? null : resolveHost(r.organization_id, r.lieu);
+    return {
+      tournoi_ext_id: r.tournoi_id,
+      organization_id: r.organization_id,
+      cdb_name: cdbName.get(r.organization_id),
+      date,
+      weekend_date: toSaturdayISO(date),
+      mode: r.mode,
+      categorie: r.categorie,
+      tournament_type: type,
+      category_id: categoryByLevel.get(`${r.organization_id}|${levelKey(r.mode, r.categorie)}`) || null,
+      host_key: host ? host.key : null,
+      host_name: isLigueFinal ? 'Ligue' : (host ? host.name : (r.lieu || null)),
+      is_ligue_final: isLigueFinal
+    };
+  }).filter(e => e.weekend_date && e.tournament_type);
+
+  const byWeekend = new Map();
+  entries.forEach(e => {
+    if (!byWeekend.has(e.weekend_date)) byWeekend.set(e.weekend_date, []);
+    byWeekend.get(e.weekend_date).push(e);
+  });
+
+  const conflicts = [];
+  const side = (e) => ({
+    organization_id: e.organization_id,
+    cdb_name: e.cdb_name,
+    tournoi_ext_id: e.tournoi_ext_id,
+    label: entryLabel(e),
+    host_name: e.host_name
+  });
+
+  // Ligue finals: each CDB publishes them as tournament_number 5 rows and
+  // records their dates in ligue_final_dates — either source is enough.
+  const ligueFinals = new Map(); // weekend → Set(levelKey)
+  const addFinal = (weekend, key) => {
+    if (!weekend) return;
+    if (!ligueFinals.has(weekend)) ligueFinals.set(weekend, new Set());
+    ligueFinals.get(weekend).add(key);
+  };
+  entries.filter(e => e.is_ligue_final).forEach(e => addFinal(e.weekend_date, levelKey(e.mode, e.categorie)));
+  finalDates.forEach(f => addFinal(toSaturdayISO(isoDate(f.final_date)), levelKey(f.game_type, f.level)));
+
+  // Players of each category (latest ranking, as calendar-travel.js).
+  const categoryIds = [...new Set(entries.map(e => e.category_id).filter(Boolean))];
+  const pools = new Map();
+  if (categoryIds.length) {
+    const ranked = await _dbAll(
+      `SELECT r.category_id, r.licence
+         FROM rankings r
+        WHERE r.category_id = ANY($1::int[])
+          AND r.season = (SELECT MAX(r2.season) FROM rankings r2 WHERE r2.category_id = r.category_id)
+          AND UPPER(r.licence) NOT LIKE 'TEST%'`,
+      [categoryIds]
+    );
+    ranked.forEach(r => {
+      if (!pools.has(r.category_id)) pools.set(r.category_id, new Set());
+      pools.get(r.category_id).add(String(r.licence).replace(/\s/g, '').toUpperCase());
+    });
+  }
+
+  for (const [weekend, list] of byWeekend) {
+    const played = list.filter(e => !e.is_ligue_final);
+
+    const finals = ligueFinals.get(weekend);
+    if (finals) {
+      played
+        .filter(e => finals.has(levelKey(e.mode, e.categorie)))
+        .forEach(e => conflicts.push({
+          kind: 'ligue_final_clash',
+          weekend_date: weekend,
+          label: `${e.mode} ${e.categorie} : finale de ligue le même week-end`,
+          level_label: `${e.mode} ${e.categorie}`,
+          sides: [side(e)]
+        }));
+    }
+
+    for (let i = 0; i < played.length; i++) {
+      for (let j = i + 1; j < played.length; j++) {
+        const a = played[i];
+        const b = played[j];
+        if (a.organization_id === b.organization_id) continue;
+
+        if (a.host_key && a.host_key === b.host_key) {
+          conflicts.push({
+            kind: 'shared_host',
+            weekend_date: weekend,
+            label: `${a.host_name} reçoit deux CDB le même week-end`,
+            sides: [side(a), side(b)]
+          });
+        }
+
+        const poolA = pools.get(a.category_id);
+        const poolB = pools.get(b.category_id);
+        if (poolA && poolB) {
+          let shared = 0;
+          poolA.forEach(l => { if (poolB.has(l)) shared++; });
+          if (shared > 0) {
+            conflicts.push({
+              kind: 'shared_players',
+              weekend_date: weekend,
+              label: `${shared} joueur${shared > 1 ? 's' : ''} classé${shared > 1 ? 's' : ''} dans les deux catégories`,
+              shared_players: shared,
+              sides: [side(a), side(b)]
+            });
+          }
+        }
+      }
+    }
+  }
+
+  const weekends = [...byWeekend.keys()].sort().map(weekend => ({
+    weekend_date: weekend,
+    entries: byWeekend.get(weekend).map(e => ({
+      organization_id: e.organization_id,
+      tournoi_ext_id: e.tournoi_ext_id,
+      mode: e.mode,
+      categorie: e.categorie,
+      tournament_type: e.tournament_type,
+      host_name: e.host_name,
+      is_ligue_final: e.is_ligue_final
+    }))
+  }));
+
+  const by_kind = {};
+  CONFLICT_KINDS.forEach(k => { by_kind[k] = conflicts.filter(c => c.kind === k).length; });
+  return { season, cdbs, weekends, conflicts, by_kind };
+}
+
+/**
+ * Message of a conflict as seen by one of the CDBs involved.
+ */
+function warningFor(conflict, orgId) {
+  const mine = conflict.sides.find(s => s.organization_id === orgId);
+  const other = conflict.sides.find(s => s.organization_id !== orgId) || null;
+  const when = `le week-end du ${frenchDate(conflict.weekend_date)}`;
+  let message;
+  if (conflict.kind === 'shared_host') {
+    message = `${mine.host_name} accueille aussi « ${other.label} » (${other.cdb_name}) ${when}`;
+  } else if (conflict.kind === 'ligue_final_clash') {
+    message = `« ${mine.label} » tombe ${when}, celui de la finale de ligue ${conflict.level_label}`;
+  } else {
+    message = `« ${mine.label} » et « ${other.label} » (${other.cdb_name}) ${when} : ${conflict.label}`;
+  }
+  return {
+    organization_id: orgId,
+    kind: conflict.kind,
+    tournoi_ext_id: mine.tournoi_ext_id,
+    other_organization_id: other ? other.organization_id : null,
+    weekend_date: conflict.weekend_date,
+    message
+  };
+}
+
+/**
+ * Re-runs the analysis and replaces the stored warnings of every CDB of
+ * the ligue for that season.
+ * @returns {Promise<object>} the analysis
+ */
+async function refreshLigueWarnings(ligueNumero, season) {
+  const analysis = await analyzeLigueCalendar(ligueNumero, season);
+  const orgIds = analysis.cdbs.map(c => c.id);
+  if (!orgIds.length) return analysis;
+
+  await _dbRun(
+    `DELETE FROM calendar_ligue_warnings WHERE organization_id = ANY($1::int[]) AND season = $2`,
+    [orgIds, season]
+  );
+  for (const conflict of analysis.conflicts) {
+    for (const s of conflict.sides) {
+      const w = warningFor(conflict, s.organization_id);
+      await _dbRun(
+        `INSERT INTO calendar_ligue_warnings
+           (organization_id, season, kind, tournoi_ext_id, other_organization_id, weekend_date, message)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [w.organization_id, season, w.kind, w.tournoi_ext_id, w.other_organization_id, w.weekend_date, w.message]
+      );
+    }
+  }
+  return analysis;
+}
+
+/**
+ * Same, starting from one CDB (after it publishes). No-op when the
+ * organization is not attached to a ligue.
+ */
+async function refreshWarningsForOrganization(orgId, season) {
+  const rows = await _dbAll(`SELECT ffb_ligue_numero FROM organizations WHERE id = $1`, [orgId]);
+  const ligueNumero = rows[0] && rows[0].ffb_ligue_numero;
+  if (!ligueNumero) return null;
+  return refreshLigueWarnings(ligueNumero, season);
+}
+
+module.exports = {
+  CONFLICT_KINDS,
+  analyzeLigueCalendar,
+  refreshLigueWarnings,
+  refreshWarningsForOrganization
+};
@@ -26,6 +26,7 @@
 
 const db = require('../db-postgres');
 const appSettings = require('./app-settings');
+const i18n = require('./i18n');
 
 // ---------- Constants ----------
 
@@ -264,19 +265,13 @@ function esc(str) {
     .replace(/'/g, '&#39;');
 }
 
-// Format a Date (or ISO string) as "samedi 15 juin 2026". Returns the
-// original string on failure so we never block an article on a bad date.
-function formatLongDate(value) {
-  if (!value) return '';
+// Format a Date (or ISO string) as "samedi 15 juin 2026" (or in the
+// publication language). Returns the original string on failure so we
+// never block an article on a bad date — payload dates that callers
+// already formatted in French go through unchanged.
+function formatLongDate(value, locale) {
   try {
-    const d = value instanceof Date ? value : new Date(value);
-    if (isNaN(d.getTime())) return String(value);
-    return d.toLocaleDateString('fr-FR', {
-      weekday: 'long',
-      day: 'numeric',
-      month: 'long',
-      year: 'numeric'
-    });
+    return i18n.formatDate(value, locale);
   } catch {
     return String(value);
   }
@@ -456,7 +451,7 @@ const TD_STYLE = 'border:1px solid #94a3b8;padding:7px 6px;';
 const TD_CLUB_STYLE = 'border:1px solid #94a3b8;padding:7px 6px;font-size:11px;color:#475569;';
 const ROW_ZEBRA = 'background:#f1f5f9;';
 
-function renderResultsTable(results) {
+function renderResultsTable(results, t = ARTICLE_STRINGS.fr) {
   if (!Array.isArray(results) || results.length === 0) return '';
   const rows = results.map((r, idx) => {
     const name = `${r.first_name || ''} ${r.last_name || ''}`.trim() || r.player_name || r.licence;
@@ -483,12 +478,12 @@ function renderResultsTable(results) {
   return `${TABLE_WRAP_OPEN}<table style="${TABLE_STYLE}">
     <thead><tr>
       <th style="${TH_STYLE}">CLT</th>
-      <th style="${TH_STYLE}">Joueur</th>
-      <th style="${TH_STYLE}">Club</th>
+      <th style="${TH_STYLE}">${t.colPlayer}</th>
+      <th style="${TH_STYLE}">${t.colClub}</th>
       <th style="${TH_STYLE}">PM</th>
       <th style="${TH_STYLE}">MGP</th>
       <th style="${TH_STYLE}">MS</th>
-      <th style="${TH_STYLE}">Pts clt</th>
+      <th style="${TH_STYLE}">${t.colPositionPoints}</th>
       <th style="${TH_STYLE}">Bonus</th>
       <th style="${TH_STYLE}">Total</th>
     </tr></thead>
@@ -496,7 +491,7 @@ function renderResultsTable(results) {
   </table>${TABLE_WRAP_CLOSE}`;
 }
 
-function renderSeasonRankingTable(rankings) {
+function renderSeasonRankingTable(rankings, t = ARTICLE_STRINGS.fr) {
   if (!Array.isArray(rankings) || rankings.length === 0) return '';
   const rows = rankings.map((r, idx) => {
     const name = `${r.first_name || ''} ${r.last_name || ''}`.trim() || r.licence;
@@ -521,12 +516,12 @@ function renderSeasonRankingTable(rankings) {
   return `${TABLE_WRAP_OPEN}<table style="${TABLE_STYLE}">
     <thead><tr>
       <th style="${TH_STYLE}">CLT</th>
-      <th style="${TH_STYLE}">Joueur</th>
-      <th style="${TH_STYLE}">Club</th>
+      <th style="${TH_STYLE}">${t.colPlayer}</th>
+      <th style="${TH_STYLE}">${t.colClub}</th>
       <th style="${TH_STYLE}">T1</th>
       <th style="${TH_STYLE}">T2</th>
       <th style="${TH_STYLE}">T3</th>
-      <th style="${TH_STYLE}">Pts</th>
+      <th style="${TH_STYLE}">${t.colPoints}</th>
       <th style="${TH_STYLE}">Bonus</th>
       <th style="${TH_STYLE}">Total</th>
       <th style="${TH_STYLE}">MGP</th>
@@ -535,6 +530,229 @@ function renderSeasonRankingTable(rankings) {
   </table>${TABLE_WRAP_CLOSE}`;
 }
 
+// ---------- Article strings ----------
+
+// V 2.0.893 — Auto-articles are written in the org's publication
+// language (organization_settings.publication_locale, French by
+// default). One article per event, so no per-reader variant: an org
+// with mostly German-speaking licensees switches the whole feed. Values
+// passed to the HTML helpers are already escaped by the caller. A key
+// missing from a language falls back to French (see i18n.localized).
+const ARTICLE_STRINGS = {
+  fr: {
+    colon: ' : ',
+    aPlayer: 'un joueur',
+    colPlayer: 'Joueur',
+    colClub: 'Club',
+    colPositionPoints: 'Pts clt',
+    colPoints: 'Pts',
+    first: '1er',
+    second: '2ème',
+    third: '3ème',
+    footer: "Article généré automatiquement par l'application.",
+    dateLabel: 'Date',
+    locationLabel: 'Lieu',
+    resultsTitle: (label, cat) => `Résultats ${label} — ${cat}`,
+    resultsExcerptWinner: (winner, label, cat, others) => `${winner} s'impose au ${label} ${cat}${others != null ? ` devant ${others} autres joueurs` : ''}. Découvrez le classement complet.`,
+    resultsExcerpt: (label, cat) => `Les résultats du ${label} ${cat} sont disponibles. Découvrez le classement complet.`,
+    resultsIntro: (label, cat) => `Le <strong>${label}</strong> en catégorie <strong>${cat}</strong> vient de se terminer.`,
+    podiumHeading: 'Podium',
+    playedOn: date => `Compétition jouée le <strong>${date}</strong>.`,
+    participants: n => `${n} joueur${n > 1 ? 's' : ''} ont participé à cette compétition.`,
+    resultsHeading: label => `Classement du ${label}`,
+    seasonHeading: season => `Classement de la saison${season ? ' ' + season : ''}`,
+    qualifTitle: cat => `🏆 Qualifiés pour la Finale ${cat}`,
+    qualifExcerpt: (count, cat, date) => `${count} joueur${count > 1 ? 's' : ''} se ${count > 1 ? 'sont' : "s'est"} qualifié${count > 1 ? 's' : ''} pour la Finale de District ${cat}${date ? ` — ${date}` : ''}. Félicitations !`,
+    qualifIntro: (count, cat) => `À l'issue du dernier tournoi qualificatif, <strong>${count} joueur${count > 1 ? 's sont qualifiés' : ' est qualifié'}</strong> pour la Finale de District <strong>${cat}</strong>.`,
+    qualifHeading: 'Qualifiés',
+    finaleDateLine: date => `📅 Finale de District prévue le <strong>${date}</strong>.`,
+    finaleDateTbc: '📅 Date de la Finale de District à confirmer.',
+    qualifCongrats: 'Félicitations à tous les qualifiés et bonne chance pour la finale !',
+    ctaRanking: 'Voir le classement',
+    newTitle: name => `Inscriptions ouvertes : ${name}`,
+    newExcerpt: (name, cat, closing) => `Les inscriptions pour le ${name}${cat ? ` (${cat})` : ''} sont ouvertes${closing ? ` jusqu'au ${closing}` : ''}.`,
+    newIntro: (name, cat) => `Le comité ouvre les inscriptions pour le <strong>${name}</strong>${cat ? ` en catégorie <strong>${cat}</strong>` : ''}.`,
+    closingLabel: "Date limite d'inscription",
+    newJoin: "Rendez-vous dans l'Espace Joueur pour vous inscrire.",
+    ctaRegister: "S'inscrire",
+    convocTitle: (label, cat) => `Convocations ${label} — ${cat}`,
+    convocExcerpt: (label, cat, date) => `Convocations envoyées pour le ${label} ${cat}${date ? ` du ${date}` : ''}. Découvrez la composition des poules.`,
+    convocIntro: (label, cat) => `Les convocations pour le <strong>${label}</strong> en catégorie <strong>${cat}</strong> viennent d'être envoyées aux joueurs.`,
+    poulesHeading: 'Composition des poules',
+    noPoules: 'Aucune composition de poule enregistrée.',
+    poule: n => `Poule ${n}`,
+    ctaInscriptions: 'Voir mes inscriptions'
+  },
+  en: {
+    colon: ': ',
+    aPlayer: 'a player',
+    colPlayer: 'Player',
+    colPositionPoints: 'Rank pts',
+    first: '1st',
+    second: '2nd',
+    third: '3rd',
+    footer: 'Article generated automatically by the application.',
+    locationLabel: 'Venue',
+    resultsTitle: (label, cat) => `Results ${label} — ${cat}`,
+    resultsExcerptWinner: (winner, label, cat, others) => `${winner} wins the ${label} ${cat}${others != null ? ` ahead of ${others} other players` : ''}. See the full ranking.`,
+    resultsExcerpt: (label, cat) => `The results of the ${label} ${cat} are available. See the full ranking.`,
+    resultsIntro: (label, cat) => `The <strong>${label}</strong> in category <strong>${cat}</strong> has just finished.`,
+    playedOn: date => `Competition played on <strong>${date}</strong>.`,
+    participants: n => `${n} player${n > 1 ? 's' : ''} took part in this competition.`,
+    resultsHeading: label => `${label} ranking`,
+    seasonHeading: season => `Season ranking${season ? ' ' + season : ''}`,
+    qualifTitle: cat => `🏆 Qualified for the ${cat} Final`,
+    qualifExcerpt: (count, cat, date) => `${count} player${count > 1 ? 's have' : ' has'} qualified for the ${cat} District Final${date ? ` — ${date}` : ''}. Congratulations!`,
+    qualifIntro: (count, cat) => `After the last qualifying tournament, <strong>${count} player${count > 1 ? 's have' : ' has'} qualified</strong> for the <strong>${cat}</strong> District Final.`,
+    qualifHeading: 'Qualified players',
+    finaleDateLine: date => `📅 District Final scheduled on <strong>${date}</strong>.`,
+    finaleDateTbc: '📅 District Final date to be confirmed.',
+    qualifCongrats: 'Congratulations to all qualified players and good luck for the final!',
+    ctaRanking: 'See the ranking',
+    newTitle: name => `Registration open: ${name}`,
+    newExcerpt: (name, cat, closing) => `Registration for the ${name}${cat ? ` (${cat})` : ''} is open${closing ? ` until ${closing}` : ''}.`,
+    newIntro: (name, cat) => `The committee opens registration for the <strong>${name}</strong>${cat ? ` in category <strong>${cat}</strong>` : ''}.`,
+    closingLabel: 'Registration deadline',
+    newJoin: 'Register in the Player Area.',
+    ctaRegister: 'Register',
+    convocTitle: (label, cat) => `Notices ${label} — ${cat}`,
+    convocExcerpt: (label, cat, date) => `Notices sent for the ${label} ${cat}${date ? ` on ${date}` : ''}. See the group line-up.`,
+    convocIntro: (label, cat) => `The notices for the <strong>${label}</strong> in category <strong>${cat}</strong> have just been sent to the players.`,
+    poulesHeading: 'Groups',
+    noPoules: 'No group line-up recorded.',
+    poule: n => `Group ${n}`,
+    ctaInscriptions: 'See my registrations'
+  },
+  de: {
+    colon: ': ',
+    aPlayer: 'ein Spieler',
+    colPlayer: 'Spieler',
+    colClub: 'Verein',
+    colPositionPoints: 'Platzpkt.',
+    colPoints: 'Pkt.',
+    first: '1.',
+    second: '2.',
+    third: '3.',
+    footer: 'Automatisch von der Anwendung erstellter Artikel.',
+    dateLabel: 'Datum',
+    locationLabel: 'Ort',
+    resultsTitle: (label, cat) => `Ergebnisse ${label} — ${cat}`,
+    resultsExcerptWinner: (winner, label, cat, others) => `${winner} gewinnt ${label} ${cat}${others != null ? ` vor ${others} weiteren Spielern` : ''}. Zur vollständigen Rangliste.`,
+    resultsExcerpt: (label, cat) => `Die Ergebnisse von ${label} ${cat} sind verfügbar. Zur vollständigen Rangliste.`,
+    resultsIntro: (label, cat) => `<strong>${label}</strong> in der Kategorie <strong>${cat}</strong> ist soeben zu Ende gegangen.`,
+    playedOn: date => `Gespielt am <strong>${date}</strong>.`,
+    participants: n => `${n} Spieler ${n > 1 ? 'haben' : 'hat'} an diesem Wettbewerb teilgenommen.`,
+    resultsHeading: label => `Rangliste ${label}`,
+    seasonHeading: season => `Saisonrangliste${season ? ' ' + season : ''}`,
+    qualifTitle: cat => `🏆 Qualifiziert für das Finale ${cat}`,
+    qualifExcerpt: (count, cat, date) => `${count} Spieler ${count > 1 ? 'haben' : 'hat'} sich für das Bezirksfinale ${cat} qualifiziert${date ? ` — ${date}` : ''}. Herzlichen Glückwunsch!`,
+    qualifIntro: (count, cat) => `Nach dem letzten Qualifikationsturnier ${count > 1 ? 'sind' : 'ist'} <strong>${count} Spieler qualifiziert</strong> für das Bezirksfinale <strong>${cat}</strong>.`,
+    qualifHeading: 'Qualifizierte',
+    finaleDateLine: date => `📅 Bezirksfinale geplant am <strong>${date}</strong>.`,
+    finaleDateTbc: '📅 Datum des Bezirksfinales wird noch bekannt gegeben.',
+    qualifCongrats: 'Herzlichen Glückwunsch an alle Qualifizierten und viel Erfolg im Finale!',
+    ctaRanking: 'Rangliste ansehen',
+    newTitle: name => `Anmeldung geöffnet: ${name}`,
+    newExcerpt: (name, cat, closing) => `Die Anmeldung für ${name}${cat ? ` (${cat})` : ''} ist geöffnet${closing ? ` bis ${closing}` : ''}.`,
+    newIntro: (name, cat) => `Das Komitee eröffnet die Anmeldung für <strong>${name}</strong>${cat ? ` in der Kategorie <strong>${cat}</strong>` : ''}.`,
+    closingLabel: 'Anmeldeschluss',
+    newJoin: 'Die Anmeldung erfolgt im Spielerbereich.',
+    ctaRegister: 'Anmelden',
+    convocTitle: (label, cat) => `Einladungen ${label} — ${cat}`,
+    convocExcerpt: (label, cat, date) => `Einladungen für ${label} ${cat}${date ? ` am ${date}` : ''} verschickt. Zur Gruppeneinteilung.`,
+    convocIntro: (label, cat) => `Die Einladungen für <strong>${label}</strong> in der Kategorie <strong>${cat}</strong> wurden soeben an die Spieler verschickt.`,
+    poulesHeading: 'Gruppeneinteilung',
+    noPoules: 'Keine Gruppeneinteilung erfasst.',
+    poule: n => `Gruppe ${n}`,
+    ctaInscriptions: 'Meine Anmeldungen'
+  },
+  es: {
+    colon: ': ',
+    aPlayer: 'un jugador',
+    colPlayer: 'Jugador',
+    colPositionPoints: 'Pts clas.',
+    first: '1.º',
+    second: '2.º',
+    third: '3.º',
+    footer: 'Artículo generado automáticamente por la aplicación.',
+    dateLabel: 'Fecha',
+    locationLabel: 'Lugar',
+    resultsTitle: (label, cat) => `Resultados ${label} — ${cat}`,
+    resultsExcerptWinner: (winner, label, cat, others) => `${winner} gana el ${label} ${cat}${others != null ? ` por delante de otros ${others} jugadores` : ''}. Consulte la clasificación completa.`,
+    resultsExcerpt: (label, cat) => `Los resultados del ${label} ${cat} están disponibles. Consulte la clasificación completa.`,
+    resultsIntro: (label, cat) => `El <strong>${label}</strong> en la categoría <strong>${cat}</strong> acaba de terminar.`,
+    podiumHeading: 'Podio',
+    playedOn: date => `Competición disputada el <strong>${date}</strong>.`,
+    participants: n => `${n} jugador${n > 1 ? 'es participaron' : ' participó'} en esta competición.`,
+    resultsHeading: label => `Clasificación del ${label}`,
+    seasonHeading: season => `Clasificación de la temporada${season ? ' ' + season : ''}`,
+    qualifTitle: cat => `🏆 Clasificados para la Final ${cat}`,
+    qualifExcerpt: (count, cat, date) => `${count} jugador${count > 1 ? 'es se han clasificado' : ' se ha clasificado'} para la Final de Distrito ${cat}${date ? ` — ${date}` : ''}. ¡Enhorabuena!`,
+    qualifIntro: (count, cat) => `Tras el último torneo clasificatorio, <strong>${count} jugador${count > 1 ? 'es se han clasificado' : ' se ha clasificado'}</strong> para la Final de Distrito <strong>${cat}</strong>.`,
+    qualifHeading: 'Clasificados',
+    finaleDateLine: date => `📅 Final de Distrito prevista el <strong>${date}</strong>.`,
+    finaleDateTbc: '📅 Fecha de la Final de Distrito por confirmar.',
+    qualifCongrats: '¡Enhorabuena a todos los clasificados y mucha suerte en la final!',
+    ctaRanking: 'Ver la clasificación',
+    newTitle: name => `Inscripciones abiertas: ${name}`,
+    newExcerpt: (name, cat, closing) => `Las inscripciones para el ${name}${cat ? ` (${cat})` : ''} están abiertas${closing ? ` hasta el ${closing}` : ''}.`,
+    newIntro: (name, cat) => `El comité abre las inscripciones para el <strong>${name}</strong>${cat ? ` en la categoría <strong>${cat}</strong>` : ''}.`,
+    closingLabel: 'Fecha límite de inscripción',
+    newJoin: 'Inscríbase en el Espacio Jugador.',
+    ctaRegister: 'Inscribirse',
+    convocTitle: (label, cat) => `Convocatorias ${label} — ${cat}`,
+    convocExcerpt: (label, cat, date) => `Convocatorias enviadas para el ${label} ${cat}${date ? ` del ${date}` : ''}. Consulte la composición de los grupos.`,
+    convocIntro: (label, cat) => `Las convocatorias para el <strong>${label}</strong> en la categoría <strong>${cat}</strong> acaban de enviarse a los jugadores.`,
+    poulesHeading: 'Composición de los grupos',
+    noPoules: 'No hay composición de grupos registrada.',
+    poule: n => `Grupo ${n}`,
+    ctaInscriptions: 'Ver mis inscripciones'
+  },
+  it: {
+    colon: ': ',
+    aPlayer: 'un giocatore',
+    colPlayer: 'Giocatore',
+    colPositionPoints: 'Pt class.',
+    colPoints: 'Pt',
+    first: '1°',
+    second: '2°',
+    third: '3°',
+    footer: "Articolo generato automaticamente dall'applicazione.",
+    dateLabel: 'Data',
+    locationLabel: 'Luogo',
+    resultsTitle: (label, cat) => `Risultati ${label} — ${cat}`,
+    resultsExcerptWinner: (winner, label, cat, others) => `${winner} vince il ${label} ${cat}${others != null ? ` davanti ad altri ${others} giocatori` : ''}. Scopri la classifica completa.`,
+    resultsExcerpt: (label, cat) => `I risultati del ${label} ${cat} sono disponibili. Scopri la classifica completa.`,
+    resultsIntro: (label, cat) => `Il <strong>${label}</strong> nella categoria <strong>${cat}</strong> si è appena concluso.`,
+    podiumHeading: 'Podio',
+    playedOn: date => `Competizione disputata il <strong>${date}</strong>.`,
+    participants: n => `${n} giocator${n > 1 ? 'i hanno' : 'e ha'} partecipato a questa competizione.`,
+    resultsHeading: label => `Classifica del ${label}`,
+    seasonHeading: season => `Classifica della stagione${season ? ' ' + season : ''}`,
+    qualifTitle: cat => `🏆 Qualificati per la Finale ${cat}`,
+    qualifExcerpt: (count, cat, date) => `${count} giocator${count > 1 ? 'i si sono qualificati' : 'e si è qualificato'} per la Finale Distrettuale ${cat}${date ? ` — ${date}` : ''}. Congratulazioni!`,
+    qualifIntro: (count, cat) => `Al termine dell'ultimo torneo di qualificazione, <strong>${count} giocator${count > 1 ? 'i si sono qualificati' : 'e si è qualificato'}</strong> per la Finale Distrettuale <strong>${cat}</strong>.`,
+    qualifHeading: 'Qualificati',
+    finaleDateLine: date => `📅 Finale Distrettuale prevista il <strong>${date}</strong>.`,
+    finaleDateTbc: '📅 Data della Finale Distrettuale da confermare.',
+    qualifCongrats: 'Congratulazioni a tutti i qualificati e buona fortuna per la finale!',
+    ctaRanking: 'Vedi la classifica',
+    newTitle: name => `Iscrizioni aperte: ${name}`,
+    newExcerpt: (name, cat, closing) => `Le iscrizioni per il ${name}${cat ? ` (${cat})` : ''} sono aperte${closing ? ` fino al ${closing}` : ''}.`,
+    newIntro: (name, cat) => `Il comitato apre le iscrizioni per il <strong>${name}</strong>${cat ? ` nella categoria <strong>${cat}</strong>` : ''}.`,
+    closingLabel: 'Termine di iscrizione',
+    newJoin: "Iscriviti nell'Area Giocatore.",
+    ctaRegister: 'Iscriviti',
+    convocTitle: (label, cat) => `Convocazioni ${label} — ${cat}`,
+    convocExcerpt: (label, cat, date) => `Convocazioni inviate per il ${label} ${cat}${date ? ` del ${date}` : ''}. Scopri la composizione dei gironi.`,
+    convocIntro: (label, cat) => `Le convocazioni per il <strong>${label}</strong> nella categoria <strong>${cat}</strong> sono appena state inviate ai giocatori.`,
+    poulesHeading: 'Composizione dei gironi',
+    noPoules: 'Nessuna composizione dei gironi registrata.',
+    poule: n => `Girone ${n}`,
+    ctaInscriptions: 'Vedi le mie iscrizioni'
+  }
+};
+
 // ---------- Templates ----------
 
 // Each template returns { title, excerpt, contentHtml }. Called after
@@ -546,7 +764,7 @@ function renderSeasonRankingTable(rankings) {
 // not stretch the bar — preserving the gold-tallest, silver=bronze
 // shape. All 3 columns align at the bottom (flex-end) so the floor is
 // flat.
-function renderFinalePodiumVisual(podium) {
+function renderFinalePodiumVisual(podium, t = ARTICLE_STRINGS.fr) {
   if (!Array.isArray(podium) || podium.length === 0) return '';
   const byPos = {};
   for (const p of podium) byPos[p.position] = p;
@@ -564,9 +782,9 @@ function renderFinalePodiumVisual(podium) {
   };
   return `
     <div style="display:flex;align-items:flex-end;gap:8px;margin:18px 0 24px;padding:8px 4px;">
-      ${column(byPos[2], 70,  '🥈', '2ème', 'linear-gradient(135deg,#cbd5e1,#94a3b8)')}
-      ${column(byPos[1], 110, '🥇', '1er',  'linear-gradient(135deg,#fbbf24,#d97706)')}
-      ${column(byPos[3], 70,  '🥉', '3ème', 'linear-gradient(135deg,#d97706,#92400e)')}
+      ${column(byPos[2], 70,  '🥈', t.second, 'linear-gradient(135deg,#cbd5e1,#94a3b8)')}
+      ${column(byPos[1], 110, '🥇', t.first,  'linear-gradient(135deg,#fbbf24,#d97706)')}
+      ${column(byPos[3], 70,  '🥉', t.third, 'linear-gradient(135deg,#d97706,#92400e)')}
     </div>`;
 }
 
@@ -575,19 +793,20 @@ function renderResultsArticle(ctx) {
     tournamentLabel, categoryName, tournamentDate,
     podium, totalPlayers, deeplink,
     fullResults, seasonRankings, seasonLabel,
-    isFinale
+    isFinale, locale
   } = ctx;
+  const t = i18n.localized(ARTICLE_STRINGS, locale);
 
   const winner = podium[0];
   const winnerName = winner
-    ? `${winner.first_name || ''} ${winner.last_name || ''}`.trim() || 'un joueur'
-    : 'un joueur';
+    ? `${winner.first_name || ''} ${winner.last_name || ''}`.trim() || t.aPlayer
+    : t.aPlayer;
 
-  const title = `Résultats ${tournamentLabel} — ${categoryName}`;
+  const title = t.resultsTitle(tournamentLabel, categoryName);
 
   const excerpt = winner
-    ? `${winnerName} s'impose au ${tournamentLabel} ${categoryName}${totalPlayers ? ` devant ${Math.max(totalPlayers - 1, 0)} autres joueurs` : ''}. Découvrez le classement complet.`
-    : `Les résultats du ${tournamentLabel} ${categoryName} sont disponibles. Découvrez le classement complet.`;
+    ? t.resultsExcerptWinner(winnerName, tournamentLabel, categoryName, totalPlayers ? Math.max(totalPlayers - 1, 0) : null)
+    : t.resultsExcerpt(tournamentLabel, categoryName);
 
   // V 2.0.582 — Finale articles get a richer visual podium (tiered cards
   // with medals + colored bars). Qualifying tournaments keep the compact
@@ -595,7 +814,7 @@ function renderResultsArticle(ctx) {
   const podiumHtml = podium.length === 0
     ? ''
     : (isFinale
-      ? renderFinalePodiumVisual(podium)
+      ? renderFinalePodiumVisual(podium, t)
       : `<ol style="padding-left:22px;line-height:1.8;">
          ${podium.map(p => {
            const name = `${p.first_name || ''} ${p.last_name || ''}`.trim() || p.licence;
@@ -606,29 +825,29 @@ function renderResultsArticle(ctx) {
        </ol>`);
 
   const dateLine = tournamentDate
-    ? `<p>Compétition jouée le <strong>${esc(tournamentDate)}</strong>.</p>`
+    ? `<p>${t.playedOn(esc(formatLongDate(tournamentDate, locale)))}</p>`
     : '';
 
   const countLine = totalPlayers > 0
-    ? `<p style="color:#6b7280;font-size:14px;">${totalPlayers} joueur${totalPlayers > 1 ? 's' : ''} ont participé à cette compétition.</p>`
+    ? `<p style="color:#6b7280;font-size:14px;">${t.participants(totalPlayers)}</p>`
     : '';
 
   // V 2.0.563 — Append the full results table + the season ranking
   // table so the auto-article matches what the CDB 93-94 admin used
   // to post manually. Both are no-ops if their data array is empty.
-  const resultsTableHtml = renderResultsTable(fullResults);
-  const rankingTableHtml = renderSeasonRankingTable(seasonRankings);
+  const resultsTableHtml = renderResultsTable(fullResults, t);
+  const rankingTableHtml = renderSeasonRankingTable(seasonRankings, t);
 
   const contentHtml = `
-    <p>Le <strong>${esc(tournamentLabel)}</strong> en catégorie <strong>${esc(categoryName)}</strong> vient de se terminer.</p>
-    ${podium.length > 0 ? '<h3>Podium</h3>' : ''}
+    <p>${t.resultsIntro(esc(tournamentLabel), esc(categoryName))}</p>
+    ${podium.length > 0 ? `<h3>${t.podiumHeading}</h3>` : ''}
     ${podiumHtml}
     ${dateLine}
     ${countLine}
-    ${resultsTableHtml ? `<h3 style="margin-top:24px;">Classement du ${esc(tournamentLabel)}</h3>${resultsTableHtml}` : ''}
-    ${rankingTableHtml ? `<h3 style="margin-top:24px;">Classement de la saison${seasonLabel ? ' ' + esc(seasonLabel) : ''}</h3>${rankingTableHtml}` : ''}
+    ${resultsTableHtml ? `<h3 style="margin-top:24px;">${t.resultsHeading(esc(tournamentLabel))}</h3>${resultsTableHtml}` : ''}
+    ${rankingTableHtml ? `<h3 style="margin-top:24px;">${t.seasonHeading(esc(seasonLabel || ''))}</h3>${rankingTableHtml}` : ''}
     <p style="color:#9ca3af;font-size:12px;text-align:center;margin-top:20px;">
-      Article généré automatiquement par l'application.
+      ${t.footer}
     </p>
   `.trim();
 
@@ -636,12 +855,14 @@ function renderResultsArticle(ctx) {
 }
 
 function renderFinaleQualificationArticle(ctx) {
-  const { categoryName, qualifiedPlayers, finaleDate, deeplink } = ctx;
+  const { categoryName, qualifiedPlayers, deeplink, locale } = ctx;
+  const t = i18n.localized(ARTICLE_STRINGS, locale);
+  const finaleDate = formatLongDate(ctx.finaleDate, locale);
 
   const count = qualifiedPlayers.length;
-  const title = `🏆 Qualifiés pour la Finale ${categoryName}`;
+  const title = t.qualifTitle(categoryName);
 
-  const excerpt = `${count} joueur${count > 1 ? 's' : ''} se ${count > 1 ? 'sont' : "s'est"} qualifié${count > 1 ? 's' : ''} pour la Finale de District ${categoryName}${finaleDate ? ` — ${finaleDate}` : ''}. Félicitations !`;
+  const excerpt = t.qualifExcerpt(count, categoryName, finaleDate);
 
   const listHtml = qualifiedPlayers.length > 0
     ? `<ol style="padding-left:22px;line-height:1.8;">
@@ -653,18 +874,18 @@ function renderFinaleQualificationArticle(ctx) {
     : '';
 
   const dateLine = finaleDate
-    ? `<p>📅 Finale de District prévue le <strong>${esc(finaleDate)}</strong>.</p>`
-    : '<p>📅 Date de la Finale de District à confirmer.</p>';
+    ? `<p>${t.finaleDateLine(esc(finaleDate))}</p>`
+    : `<p>${t.finaleDateTbc}</p>`;
 
   const contentHtml = `
-    <p>À l'issue du dernier tournoi qualificatif, <strong>${count} joueur${count > 1 ? 's sont qualifiés' : ' est qualifié'}</strong> pour la Finale de District <strong>${esc(categoryName)}</strong>.</p>
-    <h3>Qualifiés</h3>
+    <p>${t.qualifIntro(count, esc(categoryName))}</p>
+    <h3>${t.qualifHeading}</h3>
     ${listHtml}
     ${dateLine}
-    <p>Félicitations à tous les qualifiés et bonne chance pour la finale !</p>
-    ${ctaButton(deeplink, 'Voir le classement')}
+    <p>${t.qualifCongrats}</p>
+    ${ctaButton(deeplink, t.ctaRanking)}
     <p style="color:#9ca3af;font-size:12px;text-align:center;margin-top:20px;">
-      Article généré automatiquement par l'application.
+      ${t.footer}
     </p>
   `.trim();
 
@@ -673,33 +894,36 @@ function renderFinaleQualificationArticle(ctx) {
 
 function renderNewTournamentArticle(ctx) {
   const {
-    tournamentName, categoryLabel, tournamentDate,
-    location, closingDate, deeplink
+    tournamentName, categoryLabel,
+    location, deeplink, locale
   } = ctx;
+  const t = i18n.localized(ARTICLE_STRINGS, locale);
+  const tournamentDate = formatLongDate(ctx.tournamentDate, locale);
+  const closingDate = formatLongDate(ctx.closingDate, locale);
 
-  const title = `Inscriptions ouvertes : ${tournamentName}`;
+  const title = t.newTitle(tournamentName);
 
-  const excerpt = `Les inscriptions pour le ${tournamentName}${categoryLabel ? ` (${categoryLabel})` : ''} sont ouvertes${closingDate ? ` jusqu'au ${closingDate}` : ''}.`;
+  const excerpt = t.newExcerpt(tournamentName, categoryLabel, closingDate);
 
   const dateLine = tournamentDate
-    ? `<p>📅 Date : <strong>${esc(tournamentDate)}</strong></p>`
+    ? `<p>📅 ${t.dateLabel}${t.colon}<strong>${esc(tournamentDate)}</strong></p>`
     : '';
   const locationLine = location
-    ? `<p>📍 Lieu : <strong>${esc(location)}</strong></p>`
+    ? `<p>📍 ${t.locationLabel}${t.colon}<strong>${esc(location)}</strong></p>`
     : '';
   const closingLine = closingDate
-    ? `<p>⏰ Date limite d'inscription : <strong>${esc(closingDate)}</strong></p>`
+    ? `<p>⏰ ${t.closingLabel}${t.colon}<strong>${esc(closingDate)}</strong></p>`
     : '';
 
   const contentHtml = `
-    <p>Le comité ouvre les inscriptions pour le <strong>${esc(tournamentName)}</strong>${categoryLabel ? ` en catégorie <strong>${esc(categoryLabel)}</strong>` : ''}.</p>
+    <p>${t.newIntro(esc(tournamentName), categoryLabel ? esc(categoryLabel) : '')}</p>
     ${dateLine}
     ${locationLine}
     ${closingLine}
-    <p>Rendez-vous dans l'Espace Joueur pour vous inscrire.</p>
-    ${ctaButton(deeplink, "S'inscrire")}
+    <p>${t.newJoin}</p>
+    ${ctaButton(deeplink, t.ctaRegister)}
     <p style="color:#9ca3af;font-size:12px;text-align:center;margin-top:20px;">
-      Article généré automatiquement par l'application.
+      ${t.footer}
     </p>
   `.trim();
 
@@ -713,12 +937,14 @@ function renderNewTournamentArticle(ctx) {
 // (one row per player). Inline styles only so it survives Quill.
 function renderConvocationArticle(ctx) {
   const {
-    tournamentLabel, categoryName, tournamentDate, location,
-    poules, deeplink
+    tournamentLabel, categoryName, location,
+    poules, deeplink, locale
   } = ctx;
+  const t = i18n.localized(ARTICLE_STRINGS, locale);
+  const tournamentDate = formatLongDate(ctx.tournamentDate, locale);
 
-  const title = `Convocations ${tournamentLabel} — ${categoryName}`;
-  const excerpt = `Convocations envoyées pour le ${tournamentLabel} ${categoryName}${tournamentDate ? ` du ${tournamentDate}` : ''}. Découvrez la composition des poules.`;
+  const title = t.convocTitle(tournamentLabel, categoryName);
+  const excerpt = t.convocExcerpt(tournamentLabel, categoryName, tournamentDate);
 
   // Group rows by poule_number
   const grouped = {};
@@ -730,14 +956,14 @@ function renderConvocationArticle(ctx) {
   const pouleKeys = Object.keys(grouped).map(n => Number(n)).sort((a, b) => a - b);
 
   const dateLine = tournamentDate
-    ? `<p>📅 Date : <strong>${esc(tournamentDate)}</strong></p>`
+    ? `<p>📅 ${t.dateLabel}${t.colon}<strong>${esc(tournamentDate)}</strong></p>`
     : '';
   const locationLine = location
-    ? `<p>📍 Lieu : <strong>${esc(location)}</strong></p>`
+    ? `<p>📍 ${t.locationLabel}${t.colon}<strong>${esc(location)}</strong></p>`
     : '';
 
   const poulesHtml = pouleKeys.length === 0
-    ? '<p style="color:#6b7280;font-style:italic;">Aucune composition de poule enregistrée.</p>'
+    ? `<p style="color:#6b7280;font-style:italic;">${t.noPoules}</p>`
     : pouleKeys.map(k => {
         const rows = grouped[k];
         const startTime = rows[0]?.start_time || '';
@@ -748,19 +974,19 @@ function renderConvocationArticle(ctx) {
           return `<li><strong>${esc(r.player_name || '')}</strong>${club}</li>`;
         }).join('');
         return `
-          <h4 style="margin-top:18px;margin-bottom:6px;color:#1F4788;">Poule ${k}${subTitle ? ` <span style="color:#6b7280;font-weight:normal;font-size:13px;">(${esc(subTitle)})</span>` : ''}</h4>
+          <h4 style="margin-top:18px;margin-bottom:6px;color:#1F4788;">${t.poule(k)}${subTitle ? ` <span style="color:#6b7280;font-weight:normal;font-size:13px;">(${esc(subTitle)})</span>` : ''}</h4>
           <ol style="padding-left:22px;line-height:1.6;margin:0;">${items}</ol>`;
       }).join('');
 
   const contentHtml = `
-    <p>Les convocations pour le <strong>${esc(tournamentLabel)}</strong> en catégorie <strong>${esc(categoryName)}</strong> viennent d'être envoyées aux joueurs.</p>
+    <p>${t.convocIntro(esc(tournamentLabel), esc(categoryName))}</p>
     ${dateLine}
     ${locationLine}
-    <h3 style="margin-top:20px;">Composition des poules</h3>
+    <h3 style="margin-top:20px;">${t.poulesHeading}</h3>
     ${poulesHtml}
-    ${ctaButton(deeplink, 'Voir mes inscriptions')}
+    ${ctaButton(deeplink, t.ctaInscriptions)}
     <p style="color:#9ca3af;font-size:12px;text-align:center;margin-top:20px;">
-      Article généré automatiquement par l'application.
+      ${t.footer}
     </p>
   `.trim();
 
@@ -891,6 +1117,7 @@ async function publishAutoArticle(eventType, orgId, payload, options = {}) {
 
     // Render the template for this event type. If a template throws,
     // we log and bail — no article is better than a broken article.
+    const locale = await i18n.getPublicationLocale(orgId);
     let rendered;
     try {
       if (eventType === 'RESULTS') {
@@ -919,14 +1146,16 @@ async function publishAutoArticle(eventType, orgId, payload, options = {}) {
           seasonRankings: seasonData.rankings,
           seasonLabel: seasonData.season,
           deeplink: buildPlayerAppDeeplink(playerAppUrl, 'stats'),
-          isFinale  // V 2.0.582 — drives visual podium rendering
+          isFinale,  // V 2.0.582 — drives visual podium rendering
+          locale
         });
       } else if (eventType === 'FINALE_QUALIFICATION') {
         rendered = renderFinaleQualificationArticle({
           categoryName: payload.categoryName || '',
           qualifiedPlayers: payload.qualifiedPlayers || [],
           finaleDate: payload.finaleDate || '',
-          deeplink: buildPlayerAppDeeplink(playerAppUrl, 'stats')
+          deeplink: buildPlayerAppDeeplink(playerAppUrl, 'stats'),
+          locale
         });
       } else if (eventType === 'NEW_TOURNAMENT') {
         rendered = renderNewTournamentArticle({
@@ -935,7 +1164,8 @@ async function publishAutoArticle(eventType, orgId, payload, options = {}) {
           tournamentDate: payload.tournamentDate || '',
           location: payload.location || '',
           closingDate: payload.closingDate || '',
-          deeplink: buildPlayerAppDeeplink(playerAppUrl, 'tournaments')
+          deeplink: buildPlayerAppDeeplink(playerAppUrl, 'tournaments'),
+          locale
         });
       } else if (eventType === 'CONVOCATION') {
         // V 2.0.591 — Convocation article: announces convocations sent
@@ -948,7 +1178,8 @@ async function publishAutoArticle(eventType, orgId, payload, options = {}) {
           tournamentDate: payload.tournamentDate || '',
           location: payload.location || '',
           poules,
-          deeplink: buildPlayerAppDeeplink(playerAppUrl, 'inscriptions')
+          deeplink: buildPlayerAppDeeplink(playerAppUrl, 'inscriptions'),
+          locale
         });
       } else {
         return { skipped: 'unknown_event_type' };
@@ -1210,8 +1441,9 @@ async function renderResultsArticleForTournament(orgId, tournamentId) {
     ? 'Finale'
     : (t.tournament_number ? `T${t.tournament_number}` : 'Tournoi');
   const categoryName = `${t.game_type || ''} ${t.level || ''}`.trim();
+  const locale = await i18n.getPublicationLocale(orgId);
   const tournamentDate = t.tournament_date
-    ? formatLongDate(t.tournament_date)
+    ? formatLongDate(t.tournament_date, locale)
     : '';
 
   const playerAppUrl = await getPlayerAppBaseUrl(orgId);
@@ -1233,7 +1465,8 @@ async function renderResultsArticleForTournament(orgId, tournamentId) {
     seasonRankings: seasonData.rankings,
     seasonLabel: seasonData.season,
     deeplink: buildPlayerAppDeeplink(playerAppUrl, 'stats'),
-    isFinale  // V 2.0.582 — drives visual podium when regenerated
+    isFinale,  // V 2.0.582 — drives visual podium when regenerated
+    locale
   });
 }
 
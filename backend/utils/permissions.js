@@ -0,0 +1,553 @@
+// backend/utils/permissions.js
+//
+// V 2.0.897 — Named permissions
+//
+// Every action of the back-office is a named permission (inscriptions.write,
+// emailing.send, ddj.score, rankings.recalculate…). A role is a bundle of
+// permissions:
+// - system roles (admin, viewer, lecteur, club, directeur_jeu, ligue_admin)
+//   start from DEFAULT_ROLES, which reproduce the former requireX rules;
+// - a CDB can edit those bundles and create its own roles (org_roles).
+// A user can also hold per-tournament grants (user_tournament_grants): extra
+// permissions on one tournoi_ext only, e.g. a DdJ for one competition.
+//
+// Route mapping — every authenticated route resolves to one permission:
+//   1. ROUTE_OVERRIDES['METHOD /api/base/path'] when present;
+//   2. otherwise the AREAS entry of the router mount: `read` for GET, `write`
+//      for other methods, `admin` behind requireAdmin.
+// authenticateToken (routes/auth.js) enforces it on every route, the former
+// requireX middlewares pick the level. Super admins hold every permission.
+// A grant only counts on the tournament the request targets: the route
+// param, the record the route addresses (RECORD_TOURNAMENTS), or the body of
+// the few routes listed in BODY_TOURNAMENT_ROUTES. Anything else is denied;
+// list routes filter their rows by grant.
+
+const PERMISSION_GROUPS = [
+  {
+    key: 'tournaments', label: 'Tournois', permissions: [
+      { key: 'tournaments.read', label: 'Consulter les tournois et les résultats' },
+      { key: 'tournaments.write', label: 'Importer et modifier les résultats' },
+      { key: 'tournaments.manage', label: 'Créer, scinder et supprimer des tournois' }
+    ]
+  },
+  {
+    key: 'inscriptions', label: 'Inscriptions', permissions: [
+      { key: 'inscriptions.read', label: 'Consulter les inscriptions' },
+      { key: 'inscriptions.write', label: 'Gérer les inscriptions et les convocations' },
+      { key: 'inscriptions.manage', label: 'Imports, liste d\'attente et échéances de réponse' }
+    ]
+  },
+  {
+    key: 'players', label: 'Joueurs', permissions: [
+      { key: 'players.read', label: 'Consulter les joueurs' },
+      { key: 'players.write', label: 'Importer et mettre à jour les joueurs' },
+      { key: 'players.edit', label: 'Créer et modifier une fiche joueur' },
+      { key: 'players.manage', label: 'Supprimer et fusionner des joueurs' },
+      { key: 'player_accounts.manage', label: 'Comptes et invitations Espace Joueur' }
+    ]
+  },
+  {
+    key: 'rankings', label: 'Classements', permissions: [
+      { key: 'rankings.read', label: 'Consulter les classements' },
+      { key: 'rankings.recalculate', label: 'Recalculer les classements et les moyennes' }
+    ]
+  },
+  {
+    key: 'calendar', label: 'Calendrier', permissions: [
+      { key: 'calendar.read', label: 'Consulter le calendrier' },
+      { key: 'calendar.write', label: 'Modifier le calendrier' },
+      { key: 'calendar.publish', label: 'Importer, publier et annoncer la saison' }
+    ]
+  },
+  {
+    key: 'clubs', label: 'Clubs', permissions: [
+      { key: 'clubs.read', label: 'Consulter les clubs' },
+      { key: 'clubs.write', label: 'Modifier les clubs' },
+      { key: 'clubs.manage', label: 'Supprimer des clubs, dates de match FFB' }
+    ]
+  },
+  {
+    key: 'communication', label: 'Communication', permissions: [
+      { key: 'emailing.read', label: 'Consulter les campagnes et l\'historique des emails' },
+      { key: 'emailing.send', label: 'Envoyer des emails' },
+      { key: 'emailing.manage', label: 'Purger l\'historique des envois' },
+      { key: 'emailing.queue', label: 'File d\'envoi des emails' },
+      { key: 'communication.read', label: 'Consulter annonces, sondages et notifications' },
+      { key: 'communication.write', label: 'Annonces, sondages et notifications push' },
+      { key: 'content.publish', label: 'Publier des articles' }
+    ]
+  },
+  {
+    key: 'statistics', label: 'Statistiques', permissions: [
+      { key: 'statistics.read', label: 'Consulter les statistiques' },
+      { key: 'statistics.fix', label: 'Corriger les données des statistiques' }
+    ]
+  },
+  {
+    key: 'ddj', label: 'Directeur de Jeu', permissions: [
+      { key: 'ddj.access', label: 'Accéder aux compétitions du jour' },
+      { key: 'ddj.score', label: 'Saisir les scores' },
+      { key: 'ddj.manage', label: 'Pointage, poules, tableaux et clôture' }
+    ]
+  },
+  {
+    key: 'settings', label: 'Paramètres', permissions: [
+      { key: 'settings.read', label: 'Consulter les paramètres' },
+      { key: 'settings.write', label: 'Modifier les paramètres courants' },
+      { key: 'settings.manage', label: 'Paramètres d\'administration (barèmes, saison, modèles)' }
+    ]
+  },
+  {
+    key: 'administration', label: 'Administration', permissions: [
+      { key: 'users.read', label: 'Consulter les utilisateurs' },
+      { key: 'users.manage', label: 'Gérer les utilisateurs et leurs accès par tournoi' },
+      { key: 'roles.manage', label: 'Gérer les rôles et leurs permissions' },
+      { key: 'logs.read', label: 'Consulter le journal d\'activité' },
+      { key: 'logs.manage', label: 'Purger les journaux' },
+      { key: 'api_keys.manage', label: 'Clés de l\'API publique (sites des clubs)' },
+      { key: 'backup.manage', label: 'Sauvegardes' }
+    ]
+  },
+  {
+    key: 'ligue', label: 'Ligue', permissions: [
+      { key: 'ligue.admin', label: 'Tableau de bord de la ligue' }
+    ]
+  }
+];
+
+const PERMISSIONS = {};
+for (const group of PERMISSION_GROUPS) {
+  for (const p of group.permissions) {
+    PERMISSIONS[p.key] = { ...p, group: group.key };
+  }
+}
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Permissions that make sense on a single tournament (grants)
+const TOURNAMENT_SCOPED = [
+  'tournaments.read', 'tournaments.write',
+  'inscriptions.read', 'inscriptions.write',
+  'ddj.access', 'ddj.score', 'ddj.manage'
+];
+
+const READ_PERMISSIONS = [
+  'tournaments.read', 'inscriptions.read', 'players.read', 'rankings.read',
+  'calendar.read', 'clubs.read', 'emailing.read', 'communication.read',
+  'statistics.read', 'settings.read'
+];
+
+// Default bundles: what each role could do before V 2.0.897
+const DEFAULT_ROLES = {
+  admin: {
+    label: 'Administrateur',
+    permissions: ALL_PERMISSIONS.filter(p => p !== 'ligue.admin')
+  },
+  viewer: {
+    label: 'Viewer (lecture + actions)',
+    permissions: [
+      ...READ_PERMISSIONS,
+      'tournaments.write', 'inscriptions.write', 'players.write', 'player_accounts.manage',
+      'calendar.write', 'clubs.write', 'emailing.send', 'communication.write',
+      'content.publish', 'statistics.fix', 'settings.write'
+    ]
+  },
+  lecteur: {
+    label: 'Lecteur (consultation uniquement)',
+    permissions: [...READ_PERMISSIONS, 'users.read', 'logs.read']
+  },
+  club: {
+    label: 'Responsable Club',
+    permissions: [...READ_PERMISSIONS, 'players.write', 'players.edit', 'inscriptions.write']
+  },
+  directeur_jeu: {
+    label: 'Directeur de Jeu',
+    permissions: ['ddj.access', 'ddj.score', 'ddj.manage', 'settings.read']
+  },
+  ligue_admin: {
+    label: 'Administrateur de ligue',
+    permissions: [...READ_PERMISSIONS, 'ligue.admin'],
+    // Created by the super admin, not editable per CDB
+    locked: true
+  }
+};
+
+// The admin role can't lose the permissions needed to fix a mistake
+const ADMIN_REQUIRED = ['roles.manage', 'users.manage'];
+
+// Router mount -> permission per level. `tournamentParam` names the route
+// param holding a tournoi_ext id when it isn't tournoiId / tournoi_id.
+const AREAS = {
+  '/api/auth': { admin: 'users.manage' },
+  '/api/players': { read: 'players.read', write: 'players.write', admin: 'players.manage' },
+  '/api/tournaments': { read: 'tournaments.read', write: 'tournaments.write', admin: 'tournaments.manage' },
+  '/api/rankings': { read: 'rankings.read', write: 'rankings.recalculate', admin: 'rankings.recalculate' },
+  '/api/calendar': { read: 'calendar.read', write: 'calendar.write', admin: 'calendar.publish' },
+  '/api/clubs': { read: 'clubs.read', write: 'clubs.write', admin: 'clubs.manage' },
+  '/api/backup': { read: 'backup.manage', write: 'backup.manage', admin: 'backup.manage' },
+  '/api/inscriptions': { read: 'inscriptions.read', write: 'inscriptions.write', admin: 'inscriptions.manage' },
+  '/api/email': { read: 'emailing.read', write: 'emailing.send', admin: 'emailing.manage' },
+  '/api/settings': { read: 'settings.read', write: 'settings.write', admin: 'settings.manage' },
+  '/api/emailing': { read: 'emailing.read', write: 'emailing.send', admin: 'emailing.manage' },
+  '/api/statistics': { read: 'statistics.read', write: 'statistics.fix', admin: 'statistics.fix' },
+  '/api/player-accounts': { read: 'players.read', write: 'player_accounts.manage', admin: 'player_accounts.manage' },
+  '/api/activity-logs': { read: 'players.read', write: 'logs.manage', admin: 'logs.manage' },
+  '/api/announcements': { read: 'communication.read', write: 'communication.write', admin: 'communication.write' },
+  '/api/content': { read: 'communication.read', write: 'content.publish', admin: 'content.publish' },
+  '/api/reference-data': { read: 'settings.read', write: 'settings.write', admin: 'settings.manage' },
+  '/api/admin-logs': { read: 'logs.read', write: 'logs.manage', admin: 'logs.manage' },
+  '/api/player-invitations': { read: 'players.read', write: 'player_accounts.manage', admin: 'player_accounts.manage' },
+  '/api/import-config': { read: 'settings.read', write: 'settings.write', admin: 'settings.manage' },
+  '/api/enrollment-requests': { read: 'inscriptions.read', write: 'inscriptions.write', admin: 'inscriptions.manage' },
+  '/api/ligue-admin': { read: 'ligue.admin', write: 'ligue.admin', admin: 'ligue.admin' },
+  '/api/bracket': { read: 'tournaments.read', write: 'tournaments.write', admin: 'tournaments.manage' },
+  '/api/rsvp': { read: 'inscriptions.read', write: 'inscriptions.write', admin: 'inscriptions.manage' },
+  '/api/surveys': { read: 'communication.read', write: 'communication.write', admin: 'communication.write' },
+  '/api/wordpress': { read: 'communication.read', write: 'content.publish', admin: 'content.publish' },
+  '/api/player/push': { read: 'communication.read', write: 'communication.write', admin: 'communication.write' },
+  '/api/push': { read: 'communication.read', write: 'communication.write', admin: 'communication.write' },
+  '/api/test-mode': { read: 'settings.manage', write: 'settings.manage', admin: 'settings.manage' },
+  '/api/directeur-jeu': { read: 'ddj.access', write: 'ddj.manage', admin: 'tournaments.manage', tournamentParam: 'id' },
+  '/api/calendar-generator': { read: 'calendar.read', write: 'calendar.write', admin: 'calendar.publish' },
+  '/api/finale-qualification': { read: 'tournaments.read', write: 'tournaments.write', admin: 'tournaments.manage' },
+  '/api/waitlist': { read: 'inscriptions.read', write: 'inscriptions.write', admin: 'inscriptions.manage' },
+  '/api/email-queue': { read: 'emailing.queue', write: 'emailing.queue', admin: 'emailing.queue' },
+  '/api/api-keys': { read: 'api_keys.manage', write: 'api_keys.manage', admin: 'api_keys.manage' }
+  // /api/super-admin and /api/ffb stay behind requireSuperAdmin
+};
+
+// Routes whose permission differs from their area default.
+// null = any authenticated user.
+const DDJ_SCORE_ROUTES = [
+  'PUT /competitions/:id/poule-matches',
+  'POST /competitions/:id/poule-matches/start',
+  'PUT /competitions/:id/barrage',
+  'PUT /competitions/:id/bracket',
+  'POST /competitions/:id/bracket/start',
+  'PUT /competitions/:id/consolante',
+  'POST /competitions/:id/consolante/start',
+  'PUT /competitions/:id/swiss',
+  'POST /competitions/:id/swiss/start',
+  'PUT /competitions/:id/scoresheet'
+];
+
+const ROUTE_OVERRIDES = {
+  'GET /api/auth/users': 'users.read',
+  'POST /api/tournaments/recalculate-rankings': 'rankings.recalculate',
+  'POST /api/tournaments/recalculate-all-rankings': 'rankings.recalculate',
+  'POST /api/rankings/tiebreak-simulation': 'rankings.read',
+  'POST /api/announcements/filtered-audience-count': 'communication.read',
+  'POST /api/surveys/audience-count': 'communication.read',
+  'POST /api/settings/email-template/:key/preview': 'settings.read',
+  'POST /api/email/generate-summary-pdf': 'emailing.read',
+  'GET /api/settings/email-transport': 'settings.manage',
+  'GET /api/settings/test-mode-log': 'settings.manage',
+  'GET /api/settings/org-document/:docType/info': 'settings.manage',
+  'GET /api/directeur-jeu/referees/search': 'ddj.access',
+  // Player records: admin and club only, as before V 2.0.897 (viewers keep
+  // the imports and updates of players.write)
+  'POST /api/players/': 'players.edit',
+  'PUT /api/players/:licence': 'players.edit',
+  // Org-wide wipes: never reachable through a tournament grant
+  'DELETE /api/inscriptions/tournoi/all': 'inscriptions.manage',
+  'DELETE /api/inscriptions/all': 'inscriptions.manage'
+};
+for (const route of DDJ_SCORE_ROUTES) {
+  const [method, path] = route.split(' ');
+  ROUTE_OVERRIDES[`${method} /api/directeur-jeu${path}`] = 'ddj.score';
+}
+
+// List routes that filter their rows by grant (grantedTournamentIds): a
+// grant holder may call them without naming a tournament.
+const GRANT_FILTERED_ROUTES = [
+  'GET /api/directeur-jeu/competitions',
+  'GET /api/inscriptions/'
+];
+
+// Routes addressing a record rather than a tournament: the area's route
+// paths starting with `/:param` name a row whose tournoi_ext id is looked up.
+const RECORD_TOURNAMENTS = {
+  '/api/inscriptions': { param: 'id', sql: 'SELECT tournoi_id FROM inscriptions WHERE inscription_id = $1' }
+};
+
+// Routes that act on the tournament named by tournoi_id in the body (they
+// add rows to it). No other route takes its tournament from the body.
+const BODY_TOURNAMENT_ROUTES = [
+  'POST /api/inscriptions/save-last-minute',
+  'POST /api/inscriptions/mark-indisponible'
+];
+
+const LEVELS = ['read', 'write', 'admin'];
+
+/**
+ * Permission required by the current request.
+ * @param {object} req - Express request (baseUrl, route, method)
+ * @param {string} level - 'auto' (GET = read, else write), 'read', 'write' or 'admin'
+ * @returns {string|null} permission key, or null when any authenticated user may call it
+ */
+function routePermission(req, level = 'auto') {
+  const base = req.baseUrl || '';
+  const routePath = req.route && typeof req.route.path === 'string' ? req.route.path : null;
+  if (routePath !== null) {
+    const key = `${req.method} ${base}${routePath}`;
+    if (Object.prototype.hasOwnProperty.call(ROUTE_OVERRIDES, key)) {
+      return ROUTE_OVERRIDES[key];
+    }
+  }
+  const area = AREAS[base];
+  if (!area) return null;
+  let effective = level;
+  if (!LEVELS.includes(effective)) {
+    effective = (req.method === 'GET' || req.method === 'HEAD') ? 'read' : 'write';
+  }
+  return area[effective] || area.write || null;
+}
+
+function toTournamentId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isFinite(id) ? id : null;
+}
+
+// tournoi_ext id named by the route params, if any
+function tournamentIdFromRequest(req) {
+  const params = req.params || {};
+  let raw = params.tournoiId || params.tournoi_id;
+  const area = AREAS[req.baseUrl || ''];
+  if (raw === undefined && area && area.tournamentParam) raw = params[area.tournamentParam];
+  // /api/inscriptions/tournoi/:id/...
+  if (raw === undefined && req.route && /^\/tournoi\/:id(\/|$)/.test(String(req.route.path))) raw = params.id;
+  return toTournamentId(raw);
+}
+
+/**
+ * tournoi_ext id targeted by the request, for grant checks: the route
+ * params, else the record the route addresses (RECORD_TOURNAMENTS), else
+ * the body tournoi_id of BODY_TOURNAMENT_ROUTES. null everywhere else, so a
+ * grant can't be borrowed by adding tournoi_id to an unrelated request.
+ * @returns {Promise<number|null>}
+ */
+async function resolveTournamentId(req) {
+  const fromParams = tournamentIdFromRequest(req);
+  if (fromParams !== null) return fromParams;
+
+  const lookup = RECORD_TOURNAMENTS[req.baseUrl || ''];
+  const routePath = req.route ? String(req.route.path) : '';
+  if (lookup && new RegExp(`^/:${lookup.param}(/|$)`).test(routePath)) {
+    const recordId = toTournamentId((req.params || {})[lookup.param]);
+    if (recordId === null) return null;
+    const row = await _dbGet(lookup.sql, [recordId]);
+    return row ? toTournamentId(row.tournoi_id) : null;
+  }
+
+  if (!BODY_TOURNAMENT_ROUTES.includes(routeKey(req))) return null;
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  return toTournamentId(body.tournoi_id);
+}
+
+function routeKey(req) {
+  if (!req.route || typeof req.route.path !== 'string') return null;
+  return `${req.method} ${req.baseUrl || ''}${req.route.path}`;
+}
+
+function isGrantFilteredRoute(req) {
+  return GRANT_FILTERED_ROUTES.includes(routeKey(req));
+}
+
+function permissionLabel(key) {
+  return PERMISSIONS[key] ? PERMISSIONS[key].label : key;
+}
+
+// Keeps known permissions only, without duplicates, in catalog order
+function normalizePermissions(list) {
+  let values = list;
+  if (typeof values === 'string') {
+    try {
+      values = JSON.parse(values);
+    } catch (e) {
+      values = [];
+    }
+  }
+  if (!Array.isArray(values)) return [];
+  const wanted = new Set(values.map(String));
+  return ALL_PERMISSIONS.filter(p => wanted.has(p));
+}
+
+// ==================== DATABASE ====================
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+/**
+ * Roles available in an organization: system roles (edited or default),
+ * then the custom roles.
+ * @returns {Promise<Array<{role_key, label, permissions, is_system, customized, locked}>>}
+ */
+async function listRoles(orgId) {
+  const rows = await _dbAll(
+    `SELECT role_key, label, permissions, is_system FROM org_roles
+     WHERE organization_id IS NOT DISTINCT FROM $1
+     ORDER BY label`,
+    [orgId || null]
+  );
+  const byKey = {};
+  for (const row of rows) byKey[row.role_key] = row;
+
+  const roles = Object.entries(DEFAULT_ROLES).map(([key, def]) => {
+    const row = byKey[key];
+    return {
+      role_key: key,
+      label: row ? row.label : def.label,
+      permissions: row ? normalizePermissions(row.permissions) : [...def.permissions],
+      is_system: true,
+      customized: !!row,
+      locked: !!def.locked
+    };
+  });
+  for (const row of rows) {
+    if (DEFAULT_ROLES[row.role_key]) continue;
+    roles.push({
+      role_key: row.role_key,
+      label: row.label,
+      permissions: normalizePermissions(row.permissions),
+      is_system: false,
+      customized: true,
+      locked: false
+    });
+  }
+  return roles;
+}
+
+async function getRole(orgId, roleKey) {
+  if (!roleKey) return null;
+  const row = await _dbGet(
+    `SELECT role_key, label, permissions FROM org_roles
+     WHERE organization_id IS NOT DISTINCT FROM $1 AND role_key = $2`,
+    [orgId || null, roleKey]
+  );
+  if (row) {
+    return { role_key: row.role_key, label: row.label, permissions: normalizePermissions(row.permissions) };
+  }
+  const def = DEFAULT_ROLES[roleKey];
+  return def ? { role_key: roleKey, label: def.label, permissions: [...def.permissions] } : null;
+}
+
+// Short-lived cache: authenticateToken runs on every request.
+// Cleared by every role / grant change.
+const CACHE_TTL_MS = 30 * 1000;
+const _cache = new Map();
+
+function invalidateCache() {
+  _cache.clear();
+}
+
+/**
+ * Effective access of a token payload. Rejects when the role or grants
+ * can't be read.
+ * @returns {Promise<{all: boolean, permissions: Set<string>, grants: Array<{tournoi_id: number, permissions: string[]}>}>}
+ */
+async function loadAccess(user) {
+  if (user.isSuperAdmin) {
+    return { all: true, permissions: new Set(ALL_PERMISSIONS), grants: [] };
+  }
+  const role = user.admin ? 'admin' : user.role;
+  const key = `${user.organizationId || 0}:${role}:${user.userId || 0}`;
+  const cached = _cache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.access;
+
+  let permissions;
+  let grants = [];
+  try {
+    const roleDef = await getRole(user.organizationId, role);
+    permissions = roleDef ? roleDef.permissions : [];
+    if (user.userId) {
+      const rows = await _dbAll(
+        'SELECT tournoi_id, permissions FROM user_tournament_grants WHERE user_id = $1',
+        [user.userId]
+      );
+      grants = rows.map(r => ({ tournoi_id: r.tournoi_id, permissions: normalizePermissions(r.permissions) }));
+    }
+  } catch (err) {
+    // Fail closed: the default bundle could hand back permissions the CDB
+    // removed. authenticateToken answers 503; nothing is cached.
+    console.error('[permissions] access lookup failed:', err.message);
+    throw err;
+  }
+
+  const access = { all: false, permissions: new Set(permissions), grants };
+  _cache.set(key, { at: Date.now(), access });
+  return access;
+}
+
+/**
+ * can(access, permission, tournoiId)
+ * - role permission: allowed everywhere;
+ * - grant: allowed on that tournament only. Without a tournament, grants
+ *   don't count — list routes use grantedTournamentIds() to filter.
+ */
+function can(access, permission, tournoiId = null) {
+  if (!permission) return true;
+  if (!access) return false;
+  if (access.all || access.permissions.has(permission)) return true;
+  if (tournoiId === null) return false;
+  return access.grants.some(g => g.permissions.includes(permission) && g.tournoi_id === tournoiId);
+}
+
+// Holds the permission through grants only (no role permission)
+function hasGrantOnly(access, permission) {
+  if (!access || access.all || access.permissions.has(permission)) return false;
+  return access.grants.some(g => g.permissions.includes(permission));
+}
+
+/**
+ * Tournaments a list route may show for a permission.
+ * @returns {number[]|null} null when the role permission covers them all
+ */
+function grantedTournamentIds(access, permission) {
+  if (access && (access.all || access.permissions.has(permission))) return null;
+  return (access ? access.grants : [])
+    .filter(g => g.permissions.includes(permission))
+    .map(g => g.tournoi_id);
+}
+
+// Client-side summary (login, /me)
+function describeAccess(access) {
+  return {
+    permissions: [...access.permissions],
+    tournament_grants: access.grants
+  };
+}
+
+module.exports = {
+  PERMISSION_GROUPS,
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  TOURNAMENT_SCOPED,
+  DEFAULT_ROLES,
+  ADMIN_REQUIRED,
+  AREAS,
+  ROUTE_OVERRIDES,
+  routePermission,
+  tournamentIdFromRequest,
+  resolveTournamentId,
+  isGrantFilteredRoute,
+  permissionLabel,
+  normalizePermissions,
+  listRoles,
+  getRole,
+  loadAccess,
+  invalidateCache,
+  can,
+  hasGrantOnly,
+  grantedTournamentIds,
+  describeAccess
+};
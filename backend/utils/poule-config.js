@@ -90,6 +90,31 @@ function computePouleConfiguration(numPlayers, allowPouleOf2 = false) {
   };
 }
 
+/**
+ * V 2.0.885 — Poule unique: every present player in one all-play-all group,
+ * optionally played twice (aller-retour). Used for small finals and the
+ * Quilles events played as a single group, whatever the player count.
+ * @param {number} numPlayers
+ * @param {number} [legs] - 1 (simple) or 2 (aller-retour)
+ * @returns {{ poules: number[], tables: number, matches: number, legs: number, minPlayers: number, description: string }}
+ */
+function computeSinglePouleConfiguration(numPlayers, legs = 1) {
+  const minPlayers = 2;
+  const nbLegs = legs === 2 ? 2 : 1;
+  if (numPlayers < minPlayers) {
+    return { poules: [], tables: 0, matches: 0, legs: nbLegs, minPlayers, description: 'Pas assez de joueurs' };
+  }
+  const poules = [numPlayers];
+  return {
+    poules,
+    tables: Math.floor(numPlayers / 2),
+    matches: nbLegs * numPlayers * (numPlayers - 1) / 2,
+    legs: nbLegs,
+    minPlayers,
+    description: `Poule unique : ${numPlayers} joueurs${nbLegs === 2 ? ' (aller-retour)' : ''}`
+  };
+}
+
 /**
  * Get poule configuration for a player count, respecting org settings.
  * Async wrapper that reads the org's allow_poule_of_2 and single_poule_threshold settings.
@@ -144,6 +169,7 @@ async function getPouleConfigForOrg(numPlayers, orgId, mode) {
 
 module.exports = {
   computePouleConfiguration,
+  computeSinglePouleConfiguration,
   computeTablesNeeded,
   formatPouleDescription,
   getPouleConfigForOrg
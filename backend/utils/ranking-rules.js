@@ -0,0 +1,297 @@
+// backend/utils/ranking-rules.js
+//
+// V 2.0.886 — Règles de classement : chaîne de départage configurable
+//
+// The season ranking used to be ordered by a hard-coded chain
+// (points de match → moyenne → meilleure série, or points de position first
+// in journées mode). Each CDB can now store its own ordered chain in the
+// org setting `ranking_tiebreak_chain` (JSON array of criterion codes).
+// An empty setting keeps the historical chain of the qualification mode.
+//
+// applyTiebreakChain(rows, chain, stats, valuesOf)
+//   Orders rows criterion by criterion: the first criterion splits the field,
+//   each following criterion only reorders players still tied. Head-to-head
+//   is a mini-league of match points among the players tied at that point,
+//   so it is recomputed for each tied group. Remaining ties fall back to the
+//   licence so the order is stable between two recalculations.
+//
+// loadTiebreakStats({ categoryId, season, orgId, tournamentNumbers, chain })
+//   Season figures that are not in every ranking flow (cumulated match /
+//   position points, tournaments played, best single result, head-to-head
+//   results). Only the queries needed by the chain are run.
+
+const CRITERIA = {
+  match_points:       { label: 'Points de match',            direction: 'desc' },
+  position_points:    { label: 'Points de position',         direction: 'desc' },
+  moyenne:            { label: 'Moyenne générale',           direction: 'desc' },
+  best_serie:         { label: 'Meilleure série',            direction: 'desc' },
+  head_to_head:       { label: 'Confrontation directe',      direction: 'desc' },
+  tournaments_played: { label: 'Nombre de tournois joués',   direction: 'desc' },
+  best_result:        { label: 'Meilleur classement sur un tournoi', direction: 'asc' }
+};
+
+const DEFAULT_CHAINS = {
+  standard: ['match_points', 'moyenne', 'best_serie'],
+  journees: ['position_points', 'moyenne', 'best_serie']
+};
+
+const EPSILON = 1e-9;
+
+function defaultChain(mode) {
+  return [...(DEFAULT_CHAINS[mode] || DEFAULT_CHAINS.standard)];
+}
+
+/**
+ * Returns an error message (French, shown to the admin) or null when valid.
+ * @param {*} chain
+ */
+function validateTiebreakChain(chain) {
+  if (!Array.isArray(chain) || chain.length === 0) {
+    return 'La chaîne de départage doit contenir au moins un critère';
+  }
+  const seen = new Set();
+  for (const code of chain) {
+    if (!CRITERIA[code]) return `Critère inconnu : ${code}`;
+    if (seen.has(code)) return `Critère en double : ${CRITERIA[code].label}`;
+    seen.add(code);
+  }
+  return null;
+}
+
+/**
+ * Parses the stored setting. Returns null when empty or invalid so callers
+ * fall back to the mode default.
+ * @param {string} value
+ * @returns {string[]|null}
+ */
+function parseTiebreakChain(value) {
+  if (!value) return null;
+  try {
+    const chain = typeof value === 'string' ? JSON.parse(value) : value;
+    return validateTiebreakChain(chain) ? null : chain;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Effective chain for an org: saved chain, else the qualification mode default.
+ * @param {number|null} orgId
+ * @param {'standard'|'journees'} mode
+ */
+async function getTiebreakChain(orgId, mode) {
+  if (!orgId) return defaultChain(mode);
+  const appSettings = require('./app-settings');
+  const saved = parseTiebreakChain(await appSettings.getOrgSetting(orgId, 'ranking_tiebreak_chain'));
+  return saved || defaultChain(mode);
+}
+
+function _dbAll(db, sql, params) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+const _normLicence = (l) => String(l || '').replace(/ /g, '');
+const _pairKey = (a, b) => `${a}|${b}`;
+
+/**
+ * @param {{categoryId, season, orgId, tournamentNumbers: number[], chain: string[]}} opts
+ * @returns {Promise<{players: Map<string, object>, h2h: Map<string, number>}>}
+ *   players: licence → { match_points, position_points, tournaments_played, best_result }
+ *   h2h: "licenceA|licenceB" → match points A earned against B
+ */
+async function loadTiebreakStats({ categoryId, season, orgId, tournamentNumbers, chain }) {
+  const db = require('../db-loader');
+  const players = new Map();
+  const h2h = new Map();
+  const numbers = (tournamentNumbers || []).map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+  if (numbers.length === 0) return { players, h2h };
+  const numbersSQL = numbers.join(',');
+
+  const results = await _dbAll(db,
+    `SELECT REPLACE(tr.licence, ' ', '') as licence, t.id as tournament_id, tr.position,
+            tr.match_points, tr.bonus_points, tr.position_points
+     FROM tournament_results tr
+     JOIN tournaments t ON tr.tournament_id = t.id
+     WHERE t.category_id = $1 AND t.season = $2 AND t.tournament_number IN (${numbersSQL})
+       AND ($3::int IS NULL OR t.organization_id = $3)`,
+    [categoryId, season, orgId]
+  );
+  for (const r of results) {
+    if (!players.has(r.licence)) {
+      players.set(r.licence, { match_points: 0, position_points: 0, tournaments: new Set(), best_result: null });
+    }
+    const p = players.get(r.licence);
+    p.match_points += (r.match_points || 0) + (r.bonus_points || 0);
+    p.position_points += r.position_points || 0;
+    p.tournaments.add(r.tournament_id);
+    const pos = parseInt(r.position, 10);
+    if (pos > 0 && (p.best_result === null || pos < p.best_result)) p.best_result = pos;
+  }
+  for (const p of players.values()) {
+    p.tournaments_played = p.tournaments.size;
+    delete p.tournaments;
+  }
+
+  if ((chain || []).includes('head_to_head')) {
+    const matches = await _dbAll(db,
+      `SELECT tm.player1_licence, tm.player2_licence, tm.player1_match_points, tm.player2_match_points
+       FROM tournament_matches tm
+       JOIN tournaments t ON tm.tournament_id = t.id
+       WHERE t.category_id = $1 AND t.season = $2 AND t.tournament_number IN (${numbersSQL})
+         AND ($3::int IS NULL OR t.organization_id = $3)`,
+      [categoryId, season, orgId]
+    );
+    for (const m of matches) {
+      const a = _normLicence(m.player1_licence);
+      const b = _normLicence(m.player2_licence);
+      if (!a || !b || a === b) continue;
+      h2h.set(_pairKey(a, b), (h2h.get(_pairKey(a, b)) || 0) + (m.player1_match_points || 0));
+      h2h.set(_pairKey(b, a), (h2h.get(_pairKey(b, a)) || 0) + (m.player2_match_points || 0));
+    }
+  }
+
+  return { players, h2h };
+}
+
+/**
+ * Value of every criterion for one player: the caller's own figures first
+ * (they may differ from the raw season sums, e.g. best-of-N in journées),
+ * then the season stats.
+ */
+function criteriaValues(licence, own, stats) {
+  const p = (stats && stats.players.get(licence)) || {};
+  const pick = (key) => (own && own[key] !== undefined && own[key] !== null) ? Number(own[key]) : Number(p[key] || 0);
+  return {
+    match_points: pick('match_points'),
+    position_points: pick('position_points'),
+    moyenne: pick('moyenne'),
+    best_serie: pick('best_serie'),
+    tournaments_played: pick('tournaments_played'),
+    best_result: (own && own.best_result) || p.best_result || Infinity
+  };
+}
+
+/**
+ * Sorts rows with the tiebreak chain. Does not mutate the input array.
+ * @param {object[]} rows
+ * @param {string[]} chain
+ * @param {{players: Map, h2h: Map}} stats - from loadTiebreakStats (may be null)
+ * @param {(row: object) => {licence: string, match_points?, position_points?, moyenne?, best_serie?}} valuesOf
+ * @returns {object[]}
+ */
+function applyTiebreakChain(rows, chain, stats, valuesOf) {
+  const entries = rows.map(row => {
+    const own = valuesOf(row);
+    const licence = _normLicence(own.licence);
+    return { row, licence, values: criteriaValues(licence, own, stats) };
+  });
+
+  const h2hScore = (entry, group) => {
+    let total = 0;
+    for (const other of group) {
+      if (other !== entry) total += (stats && stats.h2h.get(_pairKey(entry.licence, other.licence))) || 0;
+    }
+    return total;
+  };
+
+  const rankGroup = (group, depth) => {
+    if (group.length <= 1) return group;
+    if (depth >= chain.length) {
+      return [...group].sort((a, b) => a.licence.localeCompare(b.licence));
+    }
+    const code = chain[depth];
+    const dir = CRITERIA[code].direction === 'asc' ? 1 : -1;
+    const keyed = group.map(e => ({
+      e,
+      v: code === 'head_to_head' ? h2hScore(e, group) : e.values[code]
+    }));
+    keyed.sort((a, b) => {
+      if (a.v === b.v) return 0;
+      return a.v < b.v ? -dir : dir;
+    });
+
+    const out = [];
+    let run = [keyed[0]];
+    const flush = () => out.push(...rankGroup(run.map(k => k.e), depth + 1));
+    for (let i = 1; i < keyed.length; i++) {
+      const prev = run[run.length - 1].v;
+      const same = keyed[i].v === prev || Math.abs(keyed[i].v - prev) < EPSILON;
+      if (same) {
+        run.push(keyed[i]);
+      } else {
+        flush();
+        run = [keyed[i]];
+      }
+    }
+    flush();
+    return out;
+  };
+
+  return rankGroup(entries, 0).map(e => e.row);
+}
+
+/**
+ * Criterion values of a stored `rankings` row. In journées mode the season
+ * score (points de position) is stored in total_match_points.
+ * @param {object} row - rankings row (licence, total_match_points, avg_moyenne, best_serie)
+ * @param {'standard'|'journees'} mode
+ */
+function storedRankingValues(row, mode) {
+  return {
+    licence: row.licence,
+    [mode === 'journees' ? 'position_points' : 'match_points']: row.total_match_points,
+    moyenne: row.avg_moyenne,
+    best_serie: row.best_serie
+  };
+}
+
+/**
+ * First criterion of the chain that separates two players, for explanations.
+ * Head-to-head is read pairwise here (points each earned against the other).
+ * @returns {{criterion: string, a: number|null, b: number|null}}
+ *   criterion 'licence' when every criterion is level.
+ */
+function decidingCriterion(a, b, chain, stats) {
+  const la = _normLicence(a.licence);
+  const lb = _normLicence(b.licence);
+  const va = criteriaValues(la, a, stats);
+  const vb = criteriaValues(lb, b, stats);
+  for (const code of chain) {
+    let x, y;
+    if (code === 'head_to_head') {
+      x = (stats && stats.h2h.get(_pairKey(la, lb))) || 0;
+      y = (stats && stats.h2h.get(_pairKey(lb, la))) || 0;
+    } else {
+      x = va[code];
+      y = vb[code];
+    }
+    if (!(x === y || Math.abs(x - y) < EPSILON)) {
+      return { criterion: code, a: Number.isFinite(x) ? x : null, b: Number.isFinite(y) ? y : null };
+    }
+  }
+  return { criterion: 'licence', a: null, b: null };
+}
+
+/**
+ * Labels for the UI, in catalogue order.
+ */
+function listCriteria() {
+  return Object.entries(CRITERIA).map(([code, c]) => ({ code, label: c.label, direction: c.direction }));
+}
+
+module.exports = {
+  CRITERIA,
+  DEFAULT_CHAINS,
+  defaultChain,
+  validateTiebreakChain,
+  parseTiebreakChain,
+  getTiebreakChain,
+  loadTiebreakStats,
+  applyTiebreakChain,
+  criteriaValues,
+  storedRankingValues,
+  decidingCriterion,
+  listCriteria
+};
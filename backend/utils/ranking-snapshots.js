@@ -0,0 +1,275 @@
+// backend/utils/ranking-snapshots.js
+//
+// V 2.0.888 — Classements historiques
+//
+// `rankings` only keeps the latest state of a season ranking: every
+// recalculation overwrites it. A copy of the result is now appended to
+// `ranking_snapshots` after each recalculation, so the ranking published
+// on a given date can be shown again (disputes, "après Tx" history).
+// Snapshots are insert-only.
+//
+// takeRankingSnapshot({ categoryId, season, orgId, trigger, tournamentId, userId })
+//   Copies the current rankings rows (with the cumulated points / reprises
+//   and the player name of that moment) and the list of tournaments counted.
+//
+// findSnapshot({ categoryId, season, orgId, asOf, snapshotId })
+//   Snapshot by id, or the latest one taken on or before `asOf`.
+//   A date without time ("2026-01-15") means the end of that day.
+//
+// diffSnapshots(from, to)
+//   Position / points changes between two snapshots.
+
+const TRIGGER_LABELS = {
+  import: 'Import des résultats',
+  import_matches: 'Import des matchs',
+  category_bonus: 'Bonus catégorie',
+  recalculate: 'Recalcul manuel',
+  recalculate_all: 'Recalcul global',
+  recompute_bonuses: 'Recalcul des bonus',
+  recompute: 'Recalcul du tournoi',
+  scoring_detail: 'Modification du barème',
+  tournament_deleted: 'Suppression d\'un tournoi',
+  bracket_finalized: 'Validation du tableau final',
+  ddj_finalized: 'Résultats du Directeur de Jeu',
+  ddj_reset: 'Réinitialisation des résultats'
+};
+
+function _dbAll(db, sql, params) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbGet(db, sql, params) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+
+function _parseJson(value, fallback) {
+  if (!value) return fallback;
+  try { return JSON.parse(value); } catch (e) { return fallback; }
+}
+
+/**
+ * Stored snapshot → API shape (rows and tournaments parsed).
+ */
+function hydrateSnapshot(row, { withRows = true } = {}) {
+  if (!row) return null;
+  const tournaments = _parseJson(row.tournament_ids, []);
+  const snapshot = {
+    id: row.id,
+    categoryId: row.category_id,
+    season: row.season,
+    trigger: row.trigger,
+    triggerLabel: TRIGGER_LABELS[row.trigger] || row.trigger,
+    tournamentId: row.tournament_id,
+    mode: row.mode,
+    tiebreakChain: _parseJson(row.tiebreak_chain, null),
+    tournaments,
+    lastTournamentNumber: tournaments.reduce((max, t) => Math.max(max, t.tournament_number || 0), 0) || null,
+    playerCount: row.player_count,
+    createdAt: row.created_at
+  };
+  if (withRows) snapshot.rows = _parseJson(row.rows, []);
+  return snapshot;
+}
+
+/**
+ * @param {{categoryId, season, orgId, trigger: string, tournamentId?: number, userId?: number}} opts
+ * @returns {Promise<number|null>} snapshot id, null when the ranking is empty
+ */
+async function takeRankingSnapshot({ categoryId, season, orgId, trigger, tournamentId, userId }) {
+  const db = require('../db-loader');
+  const appSettings = require('./app-settings');
+  const rankingRules = require('./ranking-rules');
+  const { getRankingTournamentNumbers } = require('../routes/settings');
+
+  const rankingNumbers = await getRankingTournamentNumbers(orgId);
+  const numbersSQL = rankingNumbers.length > 0 ? rankingNumbers.map(n => parseInt(n, 10)).join(',') : 'NULL';
+
+  const rows = await _dbAll(db,
+    `SELECT r.licence, r.rank_position, r.total_match_points,
+            COALESCE(r.total_bonus_points, 0) as total_bonus_points,
+            COALESCE(r.bonus_detail, '{}') as bonus_detail,
+            r.avg_moyenne, r.best_serie,
+            r.tournament_1_points, r.tournament_2_points, r.tournament_3_points,
+            COALESCE(r.position_points_detail, '{}') as position_points_detail,
+            COALESCE(r.average_bonus, 0) as average_bonus,
+            COALESCE(
+              (SELECT MAX(TRIM(COALESCE(p.first_name, '') || ' ' || COALESCE(p.last_name, ''))) FROM players p
+               WHERE REPLACE(p.licence, ' ', '') = REPLACE(r.licence, ' ', '')),
+              (SELECT MAX(tr.player_name) FROM tournament_results tr
+               WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', ''))
+            ) as player_name,
+            COALESCE((SELECT SUM(tr.points) FROM tournament_results tr
+                      JOIN tournaments t ON tr.tournament_id = t.id
+                      WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
+                      AND t.category_id = r.category_id AND t.season = r.season
+                      AND t.tournament_number IN (${numbersSQL})), 0) as cumulated_points,
+            COALESCE((SELECT SUM(tr.reprises) FROM tournament_results tr
+                      JOIN tournaments t ON tr.tournament_id = t.id
+                      WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
+                      AND t.category_id = r.category_id AND t.season = r.season
+                      AND t.tournament_number IN (${numbersSQL})), 0) as cumulated_reprises
+     FROM rankings r
+     WHERE r.category_id = $1 AND r.season = $2
+       AND ($3::int IS NULL OR r.organization_id = $3)
+     ORDER BY r.rank_position`,
+    [categoryId, season, orgId]
+  );
+  if (rows.length === 0) return null;
+
+  const tournaments = await _dbAll(db,
+    `SELECT id, tournament_number, tournament_date FROM tournaments
+     WHERE category_id = $1 AND season = $2 AND tournament_number IN (${numbersSQL})
+       AND ($3::int IS NULL OR organization_id = $3)
+     ORDER BY tournament_number`,
+    [categoryId, season, orgId]
+  );
+
+  const mode = (orgId && await appSettings.getOrgSetting(orgId, 'qualification_mode')) || 'standard';
+  const chain = await rankingRules.getTiebreakChain(orgId, mode);
+
+  const inserted = await _dbGet(db,
+    `INSERT INTO ranking_snapshots
+       (organization_id, category_id, season, trigger, tournament_id, mode, tiebreak_chain,
+        tournament_ids, player_count, rows, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING id`,
+    [orgId, categoryId, season, trigger || 'recalculate', tournamentId || null, mode, JSON.stringify(chain),
+     JSON.stringify(tournaments), rows.length, JSON.stringify(rows), userId || null]
+  );
+  return inserted ? inserted.id : null;
+}
+
+/**
+ * Snapshots of one category/season, newest first, without the rows.
+ */
+async function listSnapshots({ categoryId, season, orgId }) {
+  const db = require('../db-loader');
+  const rows = await _dbAll(db,
+    `SELECT id, category_id, season, trigger, tournament_id, mode, tiebreak_chain,
+            tournament_ids, player_count, created_at
+     FROM ranking_snapshots
+     WHERE category_id = $1 AND season = $2
+       AND ($3::int IS NULL OR organization_id = $3)
+     ORDER BY created_at DESC, id DESC`,
+    [categoryId, season, orgId]
+  );
+  return rows.map(r => hydrateSnapshot(r, { withRows: false }));
+}
+
+/**
+ * Parses an "as of" value. A bare date covers the whole day.
+ * @returns {Date|null} exclusive upper bound, null when invalid
+ */
+function parseAsOf(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    const d = new Date(`${str}T00:00:00`);
+    if (isNaN(d.getTime())) return null;
+    d.setDate(d.getDate() + 1);
+    return d;
+  }
+  const d = new Date(str);
+  if (isNaN(d.getTime())) return null;
+  return new Date(d.getTime() + 1);
+}
+
+/**
+ * @param {{categoryId?, season?, orgId, asOf?: string, snapshotId?: number}} opts
+ *   With snapshotId, categoryId/season are not required (checked by the caller).
+ * @returns {Promise<object|null>}
+ */
+async function findSnapshot({ categoryId, season, orgId, asOf, snapshotId }) {
+  const db = require('../db-loader');
+  let row;
+  if (snapshotId) {
+    row = await _dbGet(db,
+      `SELECT * FROM ranking_snapshots
+       WHERE id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+      [snapshotId, orgId]
+    );
+  } else {
+    const bound = parseAsOf(asOf);
+    if (!bound) return null;
+    row = await _dbGet(db,
+      `SELECT * FROM ranking_snapshots
+       WHERE category_id = $1 AND season = $2
+         AND ($3::int IS NULL OR organization_id = $3)
+         AND created_at < $4
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [categoryId, season, orgId, bound]
+    );
+  }
+  return hydrateSnapshot(row);
+}
+
+/**
+ * @param {object} from - hydrated snapshot (older)
+ * @param {object} to   - hydrated snapshot (newer)
+ * @returns {{players: object[], entered: number, left: number, moved: number, tournamentsAdded: number[], tournamentsRemoved: number[]}}
+ *   players sorted by the `to` ranking, then the players who left.
+ */
+function diffSnapshots(from, to) {
+  const norm = l => String(l || '').replace(/ /g, '');
+  const fromMap = new Map((from.rows || []).map(r => [norm(r.licence), r]));
+  const toMap = new Map((to.rows || []).map(r => [norm(r.licence), r]));
+
+  const entry = (licence, a, b) => {
+    const fromRank = a ? a.rank_position : null;
+    const toRank = b ? b.rank_position : null;
+    const fromPoints = a ? a.total_match_points : null;
+    const toPoints = b ? b.total_match_points : null;
+    let status = 'unchanged';
+    if (!a) status = 'entered';
+    else if (!b) status = 'left';
+    else if (fromRank !== toRank) status = 'moved';
+    else if (fromPoints !== toPoints) status = 'points';
+    return {
+      licence,
+      playerName: (b && b.player_name) || (a && a.player_name) || licence,
+      fromRank,
+      toRank,
+      delta: (a && b) ? fromRank - toRank : null,
+      fromPoints,
+      toPoints,
+      pointsDelta: (a && b) ? (toPoints || 0) - (fromPoints || 0) : null,
+      fromMoyenne: a ? a.avg_moyenne : null,
+      toMoyenne: b ? b.avg_moyenne : null,
+      status
+    };
+  };
+
+  const players = [];
+  for (const [licence, b] of toMap) players.push(entry(licence, fromMap.get(licence), b));
+  players.sort((x, y) => x.toRank - y.toRank);
+  for (const [licence, a] of fromMap) {
+    if (!toMap.has(licence)) players.push(entry(licence, a, null));
+  }
+
+  const numbers = s => (s.tournaments || []).map(t => t.tournament_number);
+  const fromNumbers = numbers(from);
+  const toNumbers = numbers(to);
+
+  return {
+    players,
+    entered: players.filter(p => p.status === 'entered').length,
+    left: players.filter(p => p.status === 'left').length,
+    moved: players.filter(p => p.status === 'moved').length,
+    tournamentsAdded: toNumbers.filter(n => !fromNumbers.includes(n)),
+    tournamentsRemoved: fromNumbers.filter(n => !toNumbers.includes(n))
+  };
+}
+
+module.exports = {
+  TRIGGER_LABELS,
+  takeRankingSnapshot,
+  listSnapshots,
+  findSnapshot,
+  parseAsOf,
+  diffSnapshots,
+  hydrateSnapshot
+};
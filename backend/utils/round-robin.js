@@ -0,0 +1,163 @@
+// backend/utils/round-robin.js
+//
+// V 2.0.885 — Poule unique (toutes rondes) et aller-retour
+//
+// scheduleRoundRobin(numPlayers, options)
+//   Full all-play-all schedule for one group, optionally played twice
+//   (aller-retour, sides swapped on the return leg).
+//
+//   match_number is the canonical Berger order (leg 1 then leg 2) and
+//   never depends on the number of tables: saved scores are keyed by it,
+//   so a DdJ who changes the table count mid-day keeps every result.
+//
+//   round_number / table_number are the playing order for the available
+//   tables, rebuilt slot by slot:
+//     - a slot holds at most min(tables, floor(n/2)) simultaneous matches;
+//     - players who sat out the previous slot go first. Rest is
+//       best-effort, decided one slot at a time, not guaranteed: with few
+//       players per table some back-to-back matches can't be avoided
+//       (4 players on 1 table: each match has a single disjoint partner,
+//       so any order of the 6 matches has at least 2 back-to-backs);
+//     - then the players with the most matches left, so no one is left
+//       with a run of matches at the end of the day;
+//     - the return leg starts only once the first leg is (almost) done;
+//     - each slot takes the least-used tables, so table usage stays even.
+
+/**
+ * Berger (circle method) rounds for n players. Returns an array of rounds,
+ * each an array of [p1_idx, p2_idx] pairs (1-based). Odd n gets a bye per
+ * round, which is simply left out.
+ * @param {number} n
+ * @returns {Array<Array<[number, number]>>}
+ */
+function bergerRounds(n) {
+  if (n < 2) return [];
+  const size = n % 2 === 0 ? n : n + 1;   // size-th slot is the bye when n is odd
+  const circle = [];
+  for (let i = 1; i <= size; i++) circle.push(i);
+
+  const rounds = [];
+  for (let r = 0; r < size - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < size / 2; i++) {
+      let a = circle[i];
+      let b = circle[size - 1 - i];
+      // Alternate sides for the fixed player so p1 isn't always the same one
+      if (i === 0 && r % 2 === 1) [a, b] = [b, a];
+      if (a > n || b > n) continue;
+      pairs.push([a, b]);
+    }
+    rounds.push(pairs);
+    // Rotate every position but the first
+    circle.splice(1, 0, circle.pop());
+  }
+  return rounds;
+}
+
+/**
+ * @param {number} numPlayers
+ * @param {{legs?: number, tableCount?: number}} [options]
+ *   legs       — 1 (simple) or 2 (aller-retour). Default 1.
+ *   tableCount — tables available. Default floor(n/2) (no constraint).
+ * @returns {Array<{match_number, round_number, table_index, p1_idx, p2_idx, leg}>}
+ *   sorted in playing order; table_index is 1-based into the session's
+ *   table list (null when no table count is known).
+ */
+function scheduleRoundRobin(numPlayers, options = {}) {
+  const n = numPlayers;
+  if (n < 2) return [];
+  const legs = options.legs === 2 ? 2 : 1;
+  const maxSimultaneous = Math.floor(n / 2);
+  const tableCount = parseInt(options.tableCount, 10) || 0;
+  const cap = tableCount > 0 ? Math.min(tableCount, maxSimultaneous) : maxSimultaneous;
+
+  // Canonical list: Berger rounds, leg 1 then leg 2 (sides swapped)
+  const rounds = bergerRounds(n);
+  const matches = [];
+  for (let leg = 1; leg <= legs; leg++) {
+    rounds.forEach((pairs, r) => {
+      for (const [a, b] of pairs) {
+        matches.push({
+          match_number: matches.length + 1,
+          leg,
+          berger_round: (leg - 1) * rounds.length + r,
+          p1_idx: leg === 1 ? a : b,
+          p2_idx: leg === 1 ? b : a
+        });
+      }
+    });
+  }
+
+  const remaining = new Array(n + 1).fill(0);
+  for (const m of matches) { remaining[m.p1_idx]++; remaining[m.p2_idx]++; }
+  const pairKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+  const firstLegDone = new Set();
+  let firstLegLeft = matches.filter(m => m.leg === 1).length;
+
+  const tableUse = new Array(cap).fill(0);
+  const pending = new Set(matches);
+  const result = [];
+  let lastSlot = new Set();
+  let slot = 0;
+
+  while (pending.size > 0) {
+    slot++;
+    // Return leg opens when the first leg can no longer fill a slot
+    const returnOpen = firstLegLeft < cap;
+    const candidates = [...pending].filter(m =>
+      m.leg === 1 || (returnOpen && firstLegDone.has(pairKey(m.p1_idx, m.p2_idx))));
+    const score = m => ({
+      rested: (lastSlot.has(m.p1_idx) ? 0 : 1) + (lastSlot.has(m.p2_idx) ? 0 : 1),
+      load: remaining[m.p1_idx] + remaining[m.p2_idx]
+    });
+    candidates.sort((x, y) => {
+      const sx = score(x), sy = score(y);
+      if (x.leg !== y.leg) return x.leg - y.leg;
+      if (sx.rested !== sy.rested) return sy.rested - sx.rested;
+      if (sx.load !== sy.load) return sy.load - sx.load;
+      return x.berger_round - y.berger_round || x.match_number - y.match_number;
+    });
+
+    const busy = new Set();
+    const picked = [];
+    for (const m of candidates) {
+      if (picked.length >= cap) break;
+      if (busy.has(m.p1_idx) || busy.has(m.p2_idx)) continue;
+      busy.add(m.p1_idx); busy.add(m.p2_idx);
+      picked.push(m);
+    }
+
+    // Least-used tables first (lowest index on ties)
+    const tables = tableUse.map((use, i) => ({ use, i }))
+      .sort((a, b) => a.use - b.use || a.i - b.i)
+      .slice(0, picked.length)
+      .map(t => t.i)
+      .sort((a, b) => a - b);
+
+    picked.sort((a, b) => a.match_number - b.match_number);
+    picked.forEach((m, k) => {
+      tableUse[tables[k]]++;
+      pending.delete(m);
+      remaining[m.p1_idx]--; remaining[m.p2_idx]--;
+      if (m.leg === 1) {
+        firstLegDone.add(pairKey(m.p1_idx, m.p2_idx));
+        firstLegLeft--;
+      }
+      result.push({
+        match_number: m.match_number,
+        round_number: slot,
+        table_index: tableCount > 0 ? tables[k] + 1 : null,
+        p1_idx: m.p1_idx,
+        p2_idx: m.p2_idx,
+        leg: m.leg
+      });
+    });
+    lastSlot = busy;
+  }
+  return result;
+}
+
+module.exports = {
+  bergerRounds,
+  scheduleRoundRobin
+};
@@ -0,0 +1,417 @@
+// backend/utils/rsvp.js
+//
+// V 2.0.895 — Réponses aux invitations (RSVP)
+//
+// The one-click links of routes/rsvp.js are the entry point; this module
+// keeps the bookkeeping around them:
+//
+// Invitations  rsvp_invitations lists every player who received the links
+//              for a tournament (relance emails, scheduled emails, reminders).
+//              A player invited but without inscription row has not answered.
+//
+// Responses    The answer itself stays in inscriptions (statut inscrit /
+//              indisponible), whatever the channel (links, Player App, admin),
+//              so rates are computed from the inscriptions. inscriptions
+//              .rsvp_reason holds the reason of a "no" (REASONS) and
+//              rsvp_responses keeps the history of the answers given by link.
+//
+// Deadline     tournoi_ext.rsvp_deadline (NULL = no deadline). Until the
+//              deadline, a player can change their answer with the same
+//              links; afterwards the links are refused and the committee must
+//              be contacted. sendDeadlineReminders() (scheduler) reminds the
+//              silent players `rsvp_reminder_hours` before the deadline.
+
+const REASONS = {
+  injury: 'Blessure',
+  work: 'Contrainte professionnelle',
+  unavailable: 'Indisponible à cette date'
+};
+
+// inscriptions.statut values that mean "no"
+const NO_STATUTS = ['indisponible', 'désinscrit', 'forfait'];
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+const _norm = (l) => String(l || '').replace(/\s/g, '').toUpperCase();
+
+function isValidReason(reason) {
+  return Object.prototype.hasOwnProperty.call(REASONS, reason);
+}
+
+/**
+ * Response deadline of a tournament, or null when answers are accepted until
+ * the tournament.
+ */
+function getDeadline(tournament) {
+  return tournament && tournament.rsvp_deadline ? new Date(tournament.rsvp_deadline) : null;
+}
+
+function isClosed(tournament, now = new Date()) {
+  const deadline = getDeadline(tournament);
+  return !!deadline && deadline < now;
+}
+
+/**
+ * Remembers that a player received the RSVP links for a tournament.
+ * Never throws: an email must not fail because of the bookkeeping.
+ */
+async function recordInvitation(licence, tournoiId, orgId) {
+  if (!licence || !tournoiId) return;
+  try {
+    await _dbRun(
+      `INSERT INTO rsvp_invitations (tournoi_id, organization_id, licence)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tournoi_id, licence) DO NOTHING`,
+      [tournoiId, orgId || null, _norm(licence)]
+    );
+  } catch (error) {
+    console.error('[RSVP] Error recording invitation:', error.message);
+  }
+}
+
+/**
+ * Records an answer given by link (the inscription itself is written by the
+ * caller): reason on the inscription + history line. Never throws.
+ * @param {{tournoiId, orgId, licence, response: 'yes'|'no', reason?: string, source?: string}} opts
+ */
+async function recordResponse({ tournoiId, orgId, licence, response, reason, source }) {
+  const storedReason = response === 'no' && isValidReason(reason) ? reason : null;
+  try {
+    await _dbRun(
+      `UPDATE inscriptions SET rsvp_reason = $1, rsvp_responded_at = CURRENT_TIMESTAMP
+       WHERE tournoi_id = $2 AND REPLACE(UPPER(licence), ' ', '') = $3`,
+      [storedReason, tournoiId, _norm(licence)]
+    );
+    await _dbRun(
+      `INSERT INTO rsvp_responses (tournoi_id, organization_id, licence, response, reason, source)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [tournoiId, orgId || null, _norm(licence), response, storedReason, source || 'email']
+    );
+  } catch (error) {
+    console.error('[RSVP] Error recording response:', error.message);
+  }
+}
+
+/**
+ * Sets the reason of a player who already answered "no".
+ * @returns {Promise<boolean>} false when the player has no "no" answer
+ */
+async function setReason({ tournoiId, orgId, licence, reason, source }) {
+  if (!isValidReason(reason)) return false;
+  const inscription = await _dbGet(
+    `SELECT inscription_id, statut FROM inscriptions
+     WHERE tournoi_id = $1 AND REPLACE(UPPER(licence), ' ', '') = $2`,
+    [tournoiId, _norm(licence)]
+  );
+  if (!inscription || !NO_STATUTS.includes(inscription.statut)) return false;
+  await recordResponse({ tournoiId, orgId, licence, response: 'no', reason, source });
+  return true;
+}
+
+function _classify(row) {
+  if (!row.statut && !row.inscription_id) return 'pending';
+  if (NO_STATUTS.includes(row.statut) || row.forfait === 1) return 'no';
+  return 'yes';
+}
+
+/**
+ * Invited players and players who answered, one row per player and tournament.
+ */
+async function _participants(tournoiIds, orgId) {
+  if (tournoiIds.length === 0) return [];
+  const placeholders = tournoiIds.map((_, i) => `$${i + 2}`).join(', ');
+  const rows = await _dbAll(
+    `SELECT x.tournoi_id, x.licence,
+            p.first_name, p.last_name, p.club,
+            i.inscription_id, i.statut, i.forfait, i.source, i.timestamp,
+            i.rsvp_reason, i.rsvp_responded_at,
+            ri.invited_at, ri.reminded_at
+     FROM (
+       SELECT tournoi_id, REPLACE(UPPER(licence), ' ', '') as licence FROM rsvp_invitations WHERE tournoi_id IN (${placeholders})
+       UNION
+       SELECT tournoi_id, REPLACE(UPPER(licence), ' ', '') as licence FROM inscriptions WHERE tournoi_id IN (${placeholders})
+     ) x
+     LEFT JOIN inscriptions i
+       ON i.tournoi_id = x.tournoi_id AND REPLACE(UPPER(i.licence), ' ', '') = x.licence
+     LEFT JOIN rsvp_invitations ri
+       ON ri.tournoi_id = x.tournoi_id AND REPLACE(UPPER(ri.licence), ' ', '') = x.licence
+     LEFT JOIN players p
+       ON REPLACE(UPPER(p.licence), ' ', '') = x.licence AND ($1::int IS NULL OR p.organization_id = $1)
+     WHERE x.licence NOT LIKE 'TEST%'
+     ORDER BY p.last_name, p.first_name`,
+    [orgId, ...tournoiIds]
+  );
+  return rows.map(row => ({ ...row, response: _classify(row) }));
+}
+
+function _emptyStats() {
+  return { invited: 0, yes: 0, no: 0, pending: 0, responded: 0, rate: null, reasons: {} };
+}
+
+// Rate = share of invited players who answered (any channel). Players who
+// registered without being invited count as answers but not as invitations.
+function _addToStats(stats, row) {
+  if (row.invited_at) stats.invited++;
+  stats[row.response]++;
+  if (row.response !== 'pending' && row.invited_at) stats.responded++;
+  if (row.response === 'no' && row.rsvp_reason) {
+    stats.reasons[row.rsvp_reason] = (stats.reasons[row.rsvp_reason] || 0) + 1;
+  }
+  stats.rate = stats.invited > 0 ? Math.round((stats.responded / stats.invited) * 100) : null;
+}
+
+/**
+ * Dashboard: upcoming tournaments with their response rate, and the rates
+ * per club over the same tournaments.
+ * @param {number|null} orgId
+ * @param {{days?: number}} [opts] also include tournaments played in the last `days` days
+ */
+async function getDashboard(orgId, { days = 0 } = {}) {
+  const from = new Date(new Date().toDateString());
+  from.setDate(from.getDate() - (parseInt(days, 10) || 0));
+
+  const tournaments = await _dbAll(
+    `SELECT tournoi_id, nom, mode, categorie, debut, lieu, status, rsvp_deadline
+     FROM tournoi_ext
+     WHERE ($1::int IS NULL OR organization_id = $1)
+       AND debut >= $2
+       AND COALESCE(status, '') != 'cancelled'
+     ORDER BY debut, nom
+     LIMIT 100`,
+    [orgId, from]
+  );
+
+  const participants = await _participants(tournaments.map(t => t.tournoi_id), orgId);
+  const byTournament = new Map(tournaments.map(t => [t.tournoi_id, _emptyStats()]));
+  const byClub = new Map();
+  for (const row of participants) {
+    _addToStats(byTournament.get(row.tournoi_id), row);
+    const club = row.club || 'Club inconnu';
+    if (!byClub.has(club)) byClub.set(club, _emptyStats());
+    _addToStats(byClub.get(club), row);
+  }
+
+  return {
+    tournaments: tournaments.map(t => ({ ...t, closed: isClosed(t), ...byTournament.get(t.tournoi_id) })),
+    clubs: [...byClub.entries()]
+      .map(([club, stats]) => ({ club, ...stats }))
+      .sort((a, b) => a.club.localeCompare(b.club, 'fr')),
+    reasons: REASONS
+  };
+}
+
+/**
+ * Responses of one tournament, player by player.
+ * @returns {Promise<object|null>} null when the tournament does not exist
+ */
+async function getTournamentResponses(tournoiId, orgId) {
+  const tournament = await _dbGet(
+    `SELECT tournoi_id, nom, mode, categorie, debut, lieu, status, rsvp_deadline
+     FROM tournoi_ext WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [tournoiId, orgId]
+  );
+  if (!tournament) return null;
+
+  const players = await _participants([tournament.tournoi_id], orgId);
+  const stats = _emptyStats();
+  players.forEach(row => _addToStats(stats, row));
+
+  const history = await _dbAll(
+    `SELECT licence, response, reason, source, created_at FROM rsvp_responses
+     WHERE tournoi_id = $1 ORDER BY created_at DESC LIMIT 200`,
+    [tournament.tournoi_id]
+  );
+
+  return { tournament: { ...tournament, closed: isClosed(tournament) }, stats, players, history, reasons: REASONS };
+}
+
+/**
+ * Response and reason per licence (normalized), for the DdJ pointage.
+ * @returns {Promise<Map<string, {response: string, reason: string|null, reason_label: string|null, responded_at: Date|null}>>}
+ */
+async function getResponseMap(tournoiId, orgId) {
+  const players = await _participants([tournoiId], orgId);
+  return new Map(players.map(row => [row.licence, {
+    response: row.response,
+    reason: row.rsvp_reason || null,
+    reason_label: row.rsvp_reason ? (REASONS[row.rsvp_reason] || row.rsvp_reason) : null,
+    responded_at: row.rsvp_responded_at || row.timestamp || null
+  }]));
+}
+
+/**
+ * Sets (or clears with null) the response deadline of a tournament.
+ * @returns {Promise<boolean>} false when the tournament does not exist
+ */
+async function setDeadline(tournoiId, orgId, deadline) {
+  const result = await _dbRun(
+    `UPDATE tournoi_ext SET rsvp_deadline = $1
+     WHERE tournoi_id = $2 AND ($3::int IS NULL OR organization_id = $3)`,
+    [deadline, tournoiId, orgId]
+  );
+  if (result.changes && deadline) {
+    // A new deadline deserves a new reminder
+    await _dbRun(`UPDATE rsvp_invitations SET reminded_at = NULL WHERE tournoi_id = $1`, [tournoiId]);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Scheduler: players invited who did not answer receive one reminder
+ * `rsvp_reminder_hours` before the deadline (0 = no reminder).
+ * @returns {Promise<number>} number of players reminded
+ */
+async function sendDeadlineReminders() {
+  const appSettings = require('./app-settings');
+  const now = new Date();
+  const tournaments = await _dbAll(
+    `SELECT * FROM tournoi_ext
+     WHERE rsvp_deadline IS NOT NULL AND rsvp_deadline > $1
+       AND COALESCE(status, '') != 'cancelled'`,
+    [now]
+  );
+
+  let reminded = 0;
+  for (const tournament of tournaments) {
+    const hours = parseInt(await appSettings.getOrgSetting(tournament.organization_id, 'rsvp_reminder_hours'), 10);
+    if (!(hours > 0)) continue;
+    if (getDeadline(tournament).getTime() - now.getTime() > hours * 3600000) continue;
+
+    const silent = await _dbAll(
+      `SELECT ri.* FROM rsvp_invitations ri
+       WHERE ri.tournoi_id = $1 AND ri.reminded_at IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM inscriptions i
+           WHERE i.tournoi_id = ri.tournoi_id AND REPLACE(UPPER(i.licence), ' ', '') = REPLACE(UPPER(ri.licence), ' ', '')
+         )`,
+      [tournament.tournoi_id]
+    );
+    for (const invitation of silent) {
+      // Claim first: a concurrent run must not send the reminder twice
+      const claimed = await _dbRun(
+        `UPDATE rsvp_invitations SET reminded_at = CURRENT_TIMESTAMP WHERE id = $1 AND reminded_at IS NULL`,
+        [invitation.id]
+      );
+      if (!claimed.changes) continue;
+      await _sendReminder(tournament, invitation.licence);
+      reminded++;
+    }
+  }
+  return reminded;
+}
+
+function _formatDate(date, withTime) {
+  if (!date) return '';
+  const opts = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/Paris' };
+  if (withTime) Object.assign(opts, { hour: '2-digit', minute: '2-digit' });
+  return new Date(date).toLocaleDateString('fr-FR', opts);
+}
+
+async function _sendReminder(tournament, licence) {
+  const { getEmailTemplateSettings, buildFromAddress, sendEmail } = require('./email-helpers');
+  const { sendPushToPlayer } = require('../routes/push');
+  const { buildRsvpButtonsHtml } = require('../routes/rsvp');
+  const { localizedNotification } = require('../notification-messages');
+  const i18n = require('./i18n');
+
+  const orgId = tournament.organization_id;
+  const tournamentName = tournament.nom || 'Tournoi';
+  const tournamentDate = _formatDate(tournament.debut);
+  const deadlineStr = _formatDate(tournament.rsvp_deadline, true);
+
+  try {
+    const contact = await _dbGet(
+      `SELECT COALESCE(pc.email, p.email) as email, p.first_name, p.last_name
+       FROM players p
+       LEFT JOIN player_contacts pc ON REPLACE(pc.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+       WHERE REPLACE(UPPER(p.licence), ' ', '') = $1 AND ($2::int IS NULL OR p.organization_id = $2)`,
+      [_norm(licence), orgId]
+    );
+    if (contact?.email && contact.email.includes('@')) {
+      const settings = await getEmailTemplateSettings(orgId);
+      const color = settings.primary_color || '#1F4788';
+      const orgName = settings.organization_name || settings.organization_short_name || '';
+      const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
+      const greeting = contact.first_name ? `Bonjour ${contact.first_name},` : 'Bonjour,';
+
+      await sendEmail({
+        from: buildFromAddress(settings, 'convocations'),
+        to: [contact.email],
+        subject: `⏰ Participez-vous ? — ${tournamentName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: ${color}; color: white; padding: 20px; text-align: center;">
+              <h1 style="margin: 0; font-size: 22px;">${orgName}</h1>
+              <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">RAPPEL</p>
+            </div>
+            <div style="padding: 25px; background: #ffffff;">
+              <p>${greeting}</p>
+              <p>Nous n'avons pas encore reçu votre réponse pour le tournoi suivant :</p>
+              <div style="background: #f8f9fa; border-left: 4px solid ${color}; padding: 15px; margin: 15px 0;">
+                <p style="margin: 4px 0;"><strong>${tournamentName}</strong> — ${tournament.mode || ''} ${tournament.categorie || ''}</p>
+                <p style="margin: 4px 0;">📅 ${tournamentDate}</p>
+                ${tournament.lieu ? `<p style="margin: 4px 0;">📍 ${tournament.lieu}</p>` : ''}
+              </div>
+              <p>Merci d'indiquer votre participation <strong>avant le ${deadlineStr}</strong>.</p>
+              ${buildRsvpButtonsHtml(licence, tournament.tournoi_id, orgId, baseUrl, color)}
+            </div>
+          </div>`
+      }, {
+        recipientKind: 'player',
+        orgId,
+        recipientName: `${contact.first_name || ''} ${contact.last_name || ''}`.trim(),
+        emailType: 'rsvp_reminder',
+        context: { tournoi_id: tournament.tournoi_id, licence }
+      });
+    }
+  } catch (err) {
+    console.error('[RSVP] Reminder email failed:', err.message);
+  }
+
+  try {
+    await sendPushToPlayer(licence, orgId, localizedNotification('RSVP_REMINDER', locale => ({
+      tournoiName: tournamentName,
+      date: tournament.debut ? i18n.formatDate(tournament.debut, locale) : tournamentDate,
+      deadline: i18n.formatDate(tournament.rsvp_deadline, locale, {
+        weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Paris'
+      })
+    })), { emailType: 'rsvp_reminder_push' });
+  } catch (err) {
+    console.error('[RSVP] Reminder push failed:', err.message);
+  }
+}
+
+module.exports = {
+  REASONS,
+  isValidReason,
+  getDeadline,
+  isClosed,
+  recordInvitation,
+  recordResponse,
+  setReason,
+  getDashboard,
+  getTournamentResponses,
+  getResponseMap,
+  setDeadline,
+  sendDeadlineReminders
+};
@@ -0,0 +1,287 @@
+// backend/utils/scoresheet.js
+//
+// V 2.0.882 — Reprise-by-reprise scoresheet (feuille de match)
+//
+// computeScoresheet(rows, gameParams)
+//   Turns the stroke-by-stroke rows of one match (one row per reprise per
+//   player) into running totals, best série and moyenne for both players,
+//   and tells whether the match is over. The distance / reprise cap is the
+//   one loadPouleMatches() resolved (game_parameters, then
+//   tournament_parameter_overrides), so the sheet and the score screen
+//   always agree on when a match ends.
+//
+//   End of match (FFB carambole): a reprise is complete once both players
+//   have played it. The match ends at the end of the reprise in which one
+//   player reached the distance — the second player always gets the
+//   reprise d'égalisation — or when the reprise cap is played.
+//
+// renderFeuilleDeMatch(doc, sheet)
+//   Draws the official FFB feuille de match on a PDFKit document: header,
+//   one column block per player (reprise / points / cumul), totals and
+//   signature boxes.
+
+/**
+ * @param {Array<{reprise_number:number, player_side:number, points:number}>} rows
+ * @param {{distance:number|null, reprises:number|null}} gameParams
+ * @returns {{ reprises: Array<{reprise_number, p1_points, p2_points, p1_total, p2_total}>,
+ *             players: { p1: object, p2: object },
+ *             finished: boolean, finish_reason: string|null, errors: string[] }}
+ */
+function computeScoresheet(rows, gameParams) {
+  const gp = gameParams || {};
+  const distance = gp.distance != null ? Number(gp.distance) : null;
+  const cap = gp.reprises != null ? Number(gp.reprises) : null;
+  const errors = [];
+
+  // Index by reprise number → { 1: points, 2: points }
+  const byReprise = new Map();
+  for (const r of rows || []) {
+    const n = Number(r.reprise_number);
+    if (!byReprise.has(n)) byReprise.set(n, {});
+    byReprise.get(n)[Number(r.player_side)] = Number(r.points);
+  }
+  const numbers = [...byReprise.keys()].sort((a, b) => a - b);
+
+  const stats = { 1: { total: 0, reprises: 0, best: 0 }, 2: { total: 0, reprises: 0, best: 0 } };
+  const reprises = [];
+  let finished = false;
+  let finishReason = null;
+
+  for (let i = 0; i < numbers.length; i++) {
+    const n = numbers[i];
+    if (n !== i + 1) {
+      errors.push(`Reprise ${i + 1} manquante`);
+      break;
+    }
+    if (finished) {
+      errors.push(`Reprise ${n} saisie après la fin du match`);
+      break;
+    }
+    const entry = byReprise.get(n);
+    const line = { reprise_number: n, p1_points: null, p2_points: null, p1_total: null, p2_total: null };
+    for (const side of [1, 2]) {
+      const pts = entry[side];
+      if (pts == null) continue;
+      if (!Number.isInteger(pts) || pts < 0) {
+        errors.push(`Reprise ${n} : points invalides`);
+        continue;
+      }
+      const s = stats[side];
+      if (distance != null && s.total + pts > distance) {
+        errors.push(`Reprise ${n} : le joueur ${side} dépasse la distance (${s.total + pts} > ${distance})`);
+        continue;
+      }
+      s.total += pts;
+      s.reprises += 1;
+      if (pts > s.best) s.best = pts;
+      line[`p${side}_points`] = pts;
+      line[`p${side}_total`] = s.total;
+    }
+    reprises.push(line);
+
+    const complete = entry[1] != null && entry[2] != null;
+    if (!complete) {
+      // Only the last reprise may be half-entered (player 2 to play)
+      if (i < numbers.length - 1) errors.push(`Reprise ${n} incomplète`);
+      break;
+    }
+    if (distance != null && (stats[1].total >= distance || stats[2].total >= distance)) {
+      finished = true;
+      finishReason = 'distance';
+    } else if (cap != null && n >= cap) {
+      finished = true;
+      finishReason = 'reprises';
+    }
+  }
+
+  const summary = (side) => {
+    const s = stats[side];
+    return {
+      points: s.total,
+      reprises: s.reprises,
+      serie: s.best,
+      moyenne: s.reprises > 0 ? Math.round((s.total / s.reprises) * 1000) / 1000 : 0
+    };
+  };
+
+  return {
+    reprises,
+    players: { p1: summary(1), p2: summary(2) },
+    finished,
+    finish_reason: finishReason,
+    errors
+  };
+}
+
+/**
+ * Normalise the sheet sent by the client ([{ reprise, p1, p2 }], blank =
+ * not played) into stored rows. Returns { rows, error }.
+ */
+function parseScoresheetInput(input) {
+  if (!Array.isArray(input)) return { rows: [], error: 'reprises doit être un tableau' };
+  if (input.length > 500) return { rows: [], error: 'Trop de reprises' };
+  const rows = [];
+  for (const line of input) {
+    const n = parseInt(line && line.reprise, 10);
+    if (!Number.isFinite(n) || n < 1) return { rows: [], error: 'Numéro de reprise invalide' };
+    for (const side of [1, 2]) {
+      const v = line[`p${side}`];
+      if (v === null || v === undefined || v === '') continue;
+      const pts = parseInt(v, 10);
+      if (!Number.isFinite(pts) || pts < 0) {
+        return { rows: [], error: `Reprise ${n} : points invalides` };
+      }
+      rows.push({ reprise_number: n, player_side: side, points: pts });
+    }
+  }
+  return { rows, error: null };
+}
+
+const fmtMoy = (m) => (Number(m) || 0).toFixed(3).replace('.', ',');
+
+/**
+ * Official FFB feuille de match, A4 portrait.
+ * @param {PDFDocument} doc
+ * @param {object} sheet  { tournament:{nom, mode, categorie, debut, lieu},
+ *                          match:{label, table_number, referee_name},
+ *                          p1:{name, licence, club}, p2:{...},
+ *                          game_params, computed (computeScoresheet result),
+ *                          match_points:{p1, p2}|null }
+ */
+function renderFeuilleDeMatch(doc, sheet) {
+  const { tournament = {}, match = {}, p1 = {}, p2 = {}, computed, game_params: gp = {} } = sheet;
+  const left = 36;
+  const width = doc.page.width - 72;
+  const blue = '#1F4788';
+
+  // Header
+  doc.fillColor(blue).font('Helvetica-Bold').fontSize(15)
+    .text('FÉDÉRATION FRANÇAISE DE BILLARD', left, 36, { width, align: 'center' });
+  doc.fontSize(12).text('FEUILLE DE MATCH', { width, align: 'center' });
+  doc.moveDown(0.6);
+
+  const dateStr = tournament.debut
+    ? new Date(tournament.debut).toLocaleDateString('fr-FR', { timeZone: 'Europe/Paris' })
+    : '';
+  doc.fillColor('#000').font('Helvetica').fontSize(9.5);
+  const infoY = doc.y;
+  doc.text(`Compétition : ${tournament.nom || ''}`, left, infoY, { width: width / 2 });
+  doc.text(`Mode / Catégorie : ${tournament.mode || ''} ${tournament.categorie || ''}`, left, doc.y, { width: width / 2 });
+  doc.text(`Lieu : ${tournament.lieu || ''}`, left, doc.y, { width: width / 2 });
+  const leftBottom = doc.y;
+  doc.text(`Date : ${dateStr}`, left + width / 2, infoY, { width: width / 2 });
+  doc.text(`Match : ${match.label || ''}`, left + width / 2, doc.y, { width: width / 2 });
+  doc.text(`Billard n° : ${match.table_number || '—'}`, left + width / 2, doc.y, { width: width / 2 });
+  doc.text(
+    `Distance : ${gp.distance != null ? gp.distance : '—'}   ·   Limite de reprises : ${gp.reprises != null ? gp.reprises : '—'}`,
+    left + width / 2, doc.y, { width: width / 2 }
+  );
+  let y = Math.max(leftBottom, doc.y) + 10;
+
+  // Player blocks: [Reprise | Points | Cumul] × 2
+  const blockW = width / 2 - 6;
+  const colW = [blockW * 0.28, blockW * 0.36, blockW * 0.36];
+  const rowH = 13;
+  const players = [
+    { x: left, info: p1, side: 'p1' },
+    { x: left + width / 2 + 6, info: p2, side: 'p2' }
+  ];
+
+  const drawHeader = (yy) => {
+    for (const p of players) {
+      doc.rect(p.x, yy, blockW, 30).fillAndStroke(blue, blue);
+      doc.fillColor('white').font('Helvetica-Bold').fontSize(9.5)
+        .text(p.info.name || '', p.x + 4, yy + 4, { width: blockW - 8, ellipsis: true });
+      doc.font('Helvetica').fontSize(7.5)
+        .text(`Licence ${p.info.licence || '—'}${p.info.club ? ' · ' + p.info.club : ''}`,
+          p.x + 4, yy + 17, { width: blockW - 8, ellipsis: true });
+      let x = p.x;
+      ['Reprise', 'Points', 'Cumul'].forEach((h, i) => {
+        doc.rect(x, yy + 30, colW[i], rowH).fillAndStroke('#E8EEF7', '#999');
+        doc.fillColor('#000').font('Helvetica-Bold').fontSize(7.5)
+          .text(h, x, yy + 33, { width: colW[i], align: 'center' });
+        x += colW[i];
+      });
+    }
+    return yy + 30 + rowH;
+  };
+
+  y = drawHeader(y);
+  doc.font('Helvetica').fontSize(8.5);
+  const lines = computed.reprises.length > 0
+    ? computed.reprises
+    // Blank sheet for manual use: as many lines as the cap allows
+    : Array.from({ length: Math.min(gp.reprises || 30, 60) }, (_, i) => ({ reprise_number: i + 1 }));
+  const bottomLimit = doc.page.height - 170;
+
+  for (const line of lines) {
+    if (y + rowH > bottomLimit) {
+      doc.addPage();
+      y = drawHeader(36);
+      doc.font('Helvetica').fontSize(8.5);
+    }
+    for (const p of players) {
+      const cells = [
+        line.reprise_number,
+        line[`${p.side}_points`] != null ? line[`${p.side}_points`] : '',
+        line[`${p.side}_total`] != null ? line[`${p.side}_total`] : ''
+      ];
+      let x = p.x;
+      cells.forEach((c, i) => {
+        doc.rect(x, y, colW[i], rowH).stroke('#BBB');
+        doc.fillColor('#000').text(String(c), x, y + 3, { width: colW[i], align: 'center' });
+        x += colW[i];
+      });
+    }
+    y += rowH;
+  }
+
+  // Totals
+  y += 10;
+  if (y + 120 > doc.page.height - 36) { doc.addPage(); y = 36; }
+  const mp = sheet.match_points || null;
+  for (const p of players) {
+    const s = computed.players[p.side];
+    const rows = [
+      ['Points', s.points],
+      ['Reprises', s.reprises],
+      ['Moyenne', fmtMoy(s.moyenne)],
+      ['Meilleure série', s.serie],
+      ['Points de match', mp ? mp[p.side] : '']
+    ];
+    let yy = y;
+    for (const [label, value] of rows) {
+      doc.rect(p.x, yy, blockW * 0.6, rowH).fillAndStroke('#F4F6FA', '#999');
+      doc.fillColor('#000').font('Helvetica-Bold').fontSize(8)
+        .text(label, p.x + 4, yy + 3, { width: blockW * 0.6 - 8 });
+      doc.rect(p.x + blockW * 0.6, yy, blockW * 0.4, rowH).stroke('#999');
+      doc.font('Helvetica').text(String(value), p.x + blockW * 0.6, yy + 3, { width: blockW * 0.4, align: 'center' });
+      yy += rowH;
+    }
+  }
+  y += rowH * 5 + 16;
+
+  // Signatures
+  const sigW = (width - 20) / 3;
+  [
+    `Arbitre${match.referee_name ? ' : ' + match.referee_name : ''}`,
+    `Joueur : ${p1.name || ''}`,
+    `Joueur : ${p2.name || ''}`
+  ].forEach((label, i) => {
+    const x = left + i * (sigW + 10);
+    doc.rect(x, y, sigW, 48).stroke('#999');
+    doc.fillColor('#555').font('Helvetica').fontSize(7.5)
+      .text(label, x + 4, y + 4, { width: sigW - 8, ellipsis: true });
+  });
+
+  if (computed.errors.length > 0) {
+    doc.fillColor('#C0392B').fontSize(7.5)
+      .text(`Anomalies : ${computed.errors.join(' · ')}`, left, y + 56, { width });
+  }
+}
+
+module.exports = {
+  computeScoresheet,
+  parseScoresheetInput,
+  renderFeuilleDeMatch
+};
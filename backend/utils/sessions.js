@@ -0,0 +1,160 @@
+// backend/utils/sessions.js
+//
+// V 2.0.898 — Server-side registry of staff sessions.
+//
+// Every login (and every super-admin impersonation) creates a row in
+// user_sessions; its id travels in the JWT as `sid`. authenticateToken
+// refuses a token whose session was revoked, so a user can close a
+// session from another device and a super admin can force the logout of
+// a compromised account. Impersonation sessions are children of the
+// super admin's own session and are revoked with it.
+//
+// Tokens issued before the registry existed carry no sid and stay valid
+// until they expire (24h).
+
+const crypto = require('crypto');
+
+const SESSION_HOURS = 24;
+const CACHE_TTL_MS = 30 * 1000;
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// sid -> { active, at, touchedAt }
+const cache = new Map();
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function _clientInfo(req) {
+  return {
+    ip: req.ip || req.connection?.remoteAddress || null,
+    userAgent: (req.headers?.['user-agent'] || '').slice(0, 500) || null
+  };
+}
+
+// Registers a session for the token payload; returns its id (the JWT sid)
+async function createSession(req, payload, { twoFactor = false, parentSessionId = null } = {}) {
+  const sid = crypto.randomBytes(24).toString('hex');
+  const { ip, userAgent } = _clientInfo(req);
+  await _dbRun(
+    `INSERT INTO user_sessions
+       (id, user_id, organization_id, ip_address, user_agent, two_factor, parent_session_id, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + INTERVAL '${SESSION_HOURS} hours')`,
+    [sid, payload.userId, payload.organizationId || null, ip, userAgent, twoFactor, parentSessionId]
+  );
+  cache.set(sid, { active: true, at: Date.now(), touchedAt: Date.now() });
+  return sid;
+}
+
+// true when the session exists, is not revoked and has not expired.
+// Checked on every authenticated request, hence the short cache;
+// last_seen_at is refreshed at most every 5 minutes.
+async function isSessionActive(sid) {
+  const now = Date.now();
+  const cached = cache.get(sid);
+  if (cached && now - cached.at < CACHE_TTL_MS) {
+    return cached.active;
+  }
+
+  const row = await _dbGet(
+    `SELECT id FROM user_sessions
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [sid]
+  );
+  const active = !!row;
+  const touchedAt = cached ? cached.touchedAt : 0;
+  cache.set(sid, { active, at: now, touchedAt: active && now - touchedAt >= TOUCH_INTERVAL_MS ? now : touchedAt });
+  if (active && now - touchedAt >= TOUCH_INTERVAL_MS) {
+    _dbRun('UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1', [sid])
+      .catch(err => console.error('[Sessions] touch failed:', err.message));
+  }
+  return active;
+}
+
+// Active sessions of a user, most recent activity first
+async function listSessions(userId) {
+  return _dbAll(
+    `SELECT id, organization_id, ip_address, user_agent, two_factor, parent_session_id,
+            created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+}
+
+function _forget(ids) {
+  for (const id of ids) cache.delete(id);
+}
+
+// Revokes one session of the user (and its impersonation children).
+// Returns the number of sessions closed.
+async function revokeSession(sid, userId, { revokedBy = null, reason = null } = {}) {
+  const rows = await _dbAll(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $3, revoke_reason = $4
+     WHERE (id = $1 OR parent_session_id = $1) AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sid, userId, revokedBy, reason]
+  );
+  _forget(rows.map(r => r.id));
+  return rows.length;
+}
+
+// Revokes every session of a user, optionally keeping one (the caller's)
+async function revokeUserSessions(userId, { exceptSessionId = null, revokedBy = null, reason = null } = {}) {
+  const rows = await _dbAll(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $3, revoke_reason = $4
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($2::text IS NULL OR (id != $2 AND parent_session_id IS DISTINCT FROM $2))
+     RETURNING id`,
+    [userId, exceptSessionId, revokedBy, reason]
+  );
+  _forget(rows.map(r => r.id));
+  return rows.length;
+}
+
+// Short label for the sessions list, e.g. "Chrome · Windows"
+function describeUserAgent(userAgent) {
+  const ua = userAgent || '';
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /OPR\/|Opera/.test(ua) ? 'Opera'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : 'Navigateur inconnu';
+  const os = /iPhone|iPad/.test(ua) ? 'iOS'
+    : /Android/.test(ua) ? 'Android'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X/.test(ua) ? 'macOS'
+    : /Linux/.test(ua) ? 'Linux'
+    : '';
+  return os ? `${browser} · ${os}` : browser;
+}
+
+module.exports = {
+  SESSION_HOURS,
+  createSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  describeUserAgent
+};
@@ -0,0 +1,347 @@
+// backend/utils/survey-engine.js
+//
+// V 2.0.896 — Custom surveys (survey_type = 'custom')
+//
+// Questions   survey_campaigns.questions holds a JSON array:
+//               { key, type, label, required, options: [...], show_if }
+//             Types: single_choice, multiple_choice, text, nps (0-10),
+//             rating (1-5 stars) and date_poll (options are ISO dates, the
+//             player ticks every date that suits them).
+//
+// Branching   show_if = { question, operator, value } shows the question only
+//             when the answer to an EARLIER question matches. Operators:
+//             equals / not_equals (choice contained or not in the answer),
+//             at_most / at_least (nps, rating). A question whose condition
+//             references a hidden question is hidden as well.
+//
+// Answers     survey_responses.answers holds { key: value }; hidden questions
+//             are dropped. value = string (single_choice, text), array
+//             (multiple_choice, date_poll) or integer (nps, rating).
+//
+// Legacy 'ratings' campaigns (5 categories + overall rating) keep their
+// rating_N columns; legacyQuestions() / legacyAnswers() present them as
+// rating questions for the exports.
+
+const QUESTION_TYPES = {
+  single_choice: 'Choix unique',
+  multiple_choice: 'Choix multiples',
+  text: 'Texte libre',
+  nps: 'Recommandation (NPS 0-10)',
+  rating: 'Note (1 à 5)',
+  date_poll: 'Sondage de dates'
+};
+
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'at_most', 'at_least'];
+
+const CHOICE_TYPES = ['single_choice', 'multiple_choice', 'date_poll'];
+const SCALE_TYPES = { nps: [0, 10], rating: [1, 5] };
+
+const MAX_QUESTIONS = 50;
+const MAX_TEXT_LENGTH = 2000;
+
+function _invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseQuestions(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function parseAnswers(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Validates the questions sent by the editor and returns the stored form.
+// Throws a 400 error (French message) on the first problem found.
+function normalizeQuestions(input) {
+  const questions = parseQuestions(input);
+  if (questions.length === 0) throw _invalid('Ajoutez au moins une question');
+  if (questions.length > MAX_QUESTIONS) throw _invalid(`${MAX_QUESTIONS} questions au maximum`);
+
+  const seen = new Map();
+  return questions.map((q, idx) => {
+    const num = idx + 1;
+    const type = q && q.type;
+    if (!QUESTION_TYPES[type]) throw _invalid(`Question ${num} : type inconnu`);
+    const label = String(q.label || '').trim();
+    if (!label) throw _invalid(`Question ${num} : libellé requis`);
+
+    // Keys stay stable across edits so answers and conditions keep pointing
+    // to the same question; new questions get the next free qN.
+    let key = String(q.key || '').trim();
+    if (!key || !/^[a-zA-Z0-9_-]{1,40}$/.test(key) || seen.has(key)) {
+      let n = num;
+      while (seen.has(`q${n}`) || questions.some((o, j) => j > idx && o && o.key === `q${n}`)) n++;
+      key = `q${n}`;
+    }
+
+    const question = { key, type, label, required: q.required === true };
+
+    if (CHOICE_TYPES.includes(type)) {
+      const options = [];
+      for (const raw of (Array.isArray(q.options) ? q.options : [])) {
+        const opt = String(raw === null || raw === undefined ? '' : raw).trim();
+        if (opt && !options.includes(opt)) options.push(opt);
+      }
+      if (type === 'date_poll') {
+        for (const d of options) {
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(d) || isNaN(new Date(d).getTime())) {
+            throw _invalid(`Question ${num} : date invalide (${d})`);
+          }
+        }
+        options.sort();
+      }
+      if (options.length < 2) throw _invalid(`Question ${num} : au moins deux ${type === 'date_poll' ? 'dates' : 'options'}`);
+      question.options = options;
+    }
+
+    if (q.show_if && q.show_if.question) {
+      const cond = q.show_if;
+      const ref = seen.get(cond.question);
+      if (!ref) throw _invalid(`Question ${num} : la condition doit porter sur une question précédente`);
+      if (ref.type === 'text') throw _invalid(`Question ${num} : une condition ne peut pas porter sur un texte libre`);
+      const operator = cond.operator || 'equals';
+      if (!CONDITION_OPERATORS.includes(operator)) throw _invalid(`Question ${num} : condition invalide`);
+
+      let value = cond.value;
+      if (SCALE_TYPES[ref.type]) {
+        value = parseInt(value, 10);
+        const [min, max] = SCALE_TYPES[ref.type];
+        if (isNaN(value) || value < min || value > max) throw _invalid(`Question ${num} : valeur de condition invalide`);
+      } else {
+        if (operator === 'at_most' || operator === 'at_least') throw _invalid(`Question ${num} : condition invalide`);
+        value = String(value === null || value === undefined ? '' : value);
+        if (!ref.options.includes(value)) throw _invalid(`Question ${num} : valeur de condition invalide`);
+      }
+      question.show_if = { question: ref.key, operator, value };
+    }
+
+    seen.set(key, question);
+    return question;
+  });
+}
+
+function _conditionMet(cond, answer) {
+  if (answer === undefined || answer === null || answer === '') return false;
+  switch (cond.operator) {
+    case 'not_equals':
+      return Array.isArray(answer) ? !answer.includes(cond.value) : String(answer) !== String(cond.value);
+    case 'at_most':
+      return Number(answer) <= cond.value;
+    case 'at_least':
+      return Number(answer) >= cond.value;
+    default:
+      return Array.isArray(answer) ? answer.includes(cond.value) : String(answer) === String(cond.value);
+  }
+}
+
+// Keys of the questions shown for these answers (conditions are evaluated in
+// order, so a question depending on a hidden one is hidden too)
+function visibleKeys(questions, answers) {
+  const visible = new Set();
+  for (const q of questions) {
+    if (q.show_if) {
+      if (!visible.has(q.show_if.question)) continue;
+      if (!_conditionMet(q.show_if, answers[q.show_if.question])) continue;
+    }
+    visible.add(q.key);
+  }
+  return visible;
+}
+
+function isVisible(questions, key, answers) {
+  return visibleKeys(questions, answers).has(key);
+}
+
+function _emptyAnswer(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Checks a player's answers against the questions. Returns the answers to
+// store (hidden and unknown questions dropped); throws a 400 error otherwise.
+function validateAnswers(questions, input) {
+  const raw = parseAnswers(input);
+  const clean = {};
+
+  // Answers are cleaned first, then visibility is computed on them
+  for (const q of questions) {
+    let value = raw[q.key];
+    if (_emptyAnswer(value)) continue;
+
+    if (q.type === 'text') {
+      value = String(value).trim().slice(0, MAX_TEXT_LENGTH);
+      if (!value) continue;
+    } else if (SCALE_TYPES[q.type]) {
+      const [min, max] = SCALE_TYPES[q.type];
+      value = parseInt(value, 10);
+      if (isNaN(value) || value < min || value > max) throw _invalid(`Réponse invalide : ${q.label}`);
+    } else if (q.type === 'single_choice') {
+      value = String(value);
+      if (!q.options.includes(value)) throw _invalid(`Réponse invalide : ${q.label}`);
+    } else {
+      const list = Array.isArray(value) ? value.map(String) : [String(value)];
+      if (list.some(v => !q.options.includes(v))) throw _invalid(`Réponse invalide : ${q.label}`);
+      value = q.options.filter(o => list.includes(o));
+    }
+    clean[q.key] = value;
+  }
+
+  const visible = visibleKeys(questions, clean);
+  const answers = {};
+  for (const q of questions) {
+    if (!visible.has(q.key)) continue;
+    if (clean[q.key] === undefined) {
+      if (q.required) throw _invalid(`Réponse requise : ${q.label}`);
+      continue;
+    }
+    answers[q.key] = clean[q.key];
+  }
+  return answers;
+}
+
+// Per-question results for the charts. responses = [{ answers, player_name,
+// created_at }]. "answered" counts the players who answered the question,
+// "shown" those for whom it was visible.
+function aggregateResults(questions, responses) {
+  const parsed = responses.map(r => ({ ...r, answers: parseAnswers(r.answers) }));
+
+  return questions.map(q => {
+    const result = { key: q.key, type: q.type, label: q.label, shown: 0, answered: 0 };
+    const values = [];
+    for (const r of parsed) {
+      if (!isVisible(questions, q.key, r.answers)) continue;
+      result.shown++;
+      const value = r.answers[q.key];
+      if (_emptyAnswer(value)) continue;
+      result.answered++;
+      values.push({ value, response: r });
+    }
+
+    if (CHOICE_TYPES.includes(q.type)) {
+      const counts = {};
+      q.options.forEach(o => { counts[o] = 0; });
+      for (const { value } of values) {
+        for (const v of (Array.isArray(value) ? value : [value])) {
+          if (counts[v] !== undefined) counts[v]++;
+        }
+      }
+      result.options = q.options.map(o => ({
+        label: o,
+        count: counts[o],
+        percent: result.answered > 0 ? Math.round(counts[o] * 100 / result.answered) : 0
+      }));
+      if (q.type === 'date_poll') {
+        const best = Math.max(0, ...result.options.map(o => o.count));
+        result.best = best > 0 ? result.options.filter(o => o.count === best).map(o => o.label) : [];
+      }
+    } else if (SCALE_TYPES[q.type]) {
+      const [min, max] = SCALE_TYPES[q.type];
+      const distribution = {};
+      for (let i = min; i <= max; i++) distribution[i] = 0;
+      let sum = 0;
+      for (const { value } of values) {
+        distribution[value] = (distribution[value] || 0) + 1;
+        sum += value;
+      }
+      result.distribution = distribution;
+      result.average = result.answered > 0 ? parseFloat((sum / result.answered).toFixed(1)) : null;
+
+      if (q.type === 'nps') {
+        const promoters = values.filter(v => v.value >= 9).length;
+        const detractors = values.filter(v => v.value <= 6).length;
+        result.promoters = promoters;
+        result.passives = result.answered - promoters - detractors;
+        result.detractors = detractors;
+        result.nps = result.answered > 0 ? Math.round((promoters - detractors) * 100 / result.answered) : null;
+      }
+    } else {
+      result.texts = values.map(({ value, response }) => ({
+        player_name: response.player_name,
+        text: value,
+        created_at: response.created_at
+      }));
+    }
+
+    return result;
+  });
+}
+
+// Text of an answer for the exports
+function formatAnswer(question, value) {
+  if (_emptyAnswer(value)) return '';
+  if (Array.isArray(value)) {
+    if (question.type === 'date_poll') {
+      return value.map(d => d.split('-').reverse().join('/')).join(', ');
+    }
+    return value.join(', ');
+  }
+  return String(value);
+}
+
+// Header + one row per response, for the CSV / XLSX exports
+function buildExportRows(questions, responses) {
+  const header = ['Licence', 'Joueur', 'Date', ...questions.map(q => q.label)];
+  const rows = responses.map(r => {
+    const answers = parseAnswers(r.answers);
+    const date = r.created_at ? new Date(r.created_at) : null;
+    return [
+      r.player_licence || '',
+      r.player_name || '',
+      date && !isNaN(date.getTime()) ? date.toLocaleString('fr-FR', { timeZone: 'Europe/Paris' }) : '',
+      ...questions.map(q => formatAnswer(q, answers[q.key]))
+    ];
+  });
+  return { header, rows };
+}
+
+const LEGACY_RATING_FIELDS = ['rating_1', 'rating_2', 'rating_3', 'rating_4', 'rating_5'];
+
+function legacyQuestions(campaign) {
+  return [
+    ...LEGACY_RATING_FIELDS.map((field, idx) => ({
+      key: field, type: 'rating', label: campaign[`category_${idx + 1}_label`], required: true
+    })),
+    { key: 'overall_rating', type: 'rating', label: 'Note globale', required: true },
+    { key: 'comment', type: 'text', label: 'Commentaire', required: false }
+  ];
+}
+
+function legacyAnswers(response) {
+  const answers = {};
+  for (const field of [...LEGACY_RATING_FIELDS, 'overall_rating']) {
+    if (response[field] !== null && response[field] !== undefined) answers[field] = response[field];
+  }
+  if (response.comment) answers.comment = response.comment;
+  return answers;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  CONDITION_OPERATORS,
+  parseQuestions,
+  parseAnswers,
+  normalizeQuestions,
+  visibleKeys,
+  isVisible,
+  validateAnswers,
+  aggregateResults,
+  buildExportRows,
+  legacyQuestions,
+  legacyAnswers
+};
@@ -0,0 +1,206 @@
+// backend/utils/swiss.js
+//
+// V 2.0.884 — Swiss-system format (système suisse)
+//
+// computeSwissStandings(players, matches, options)
+//   Standings after the played rounds. Order: match points, then the
+//   Buchholz-style tiebreaks, then the usual carambole criteria:
+//     1. match points (exempt = a win)
+//     2. Buchholz          — sum of the opponents' match points
+//     3. Buchholz médian   — Buchholz minus the weakest opponent (cut-1)
+//     4. Sonneborn-Berger  — opponents beaten (full) + drawn (half)
+//     5. moyenne générale, 6. meilleure série, 7. initial seed
+//
+// pairSwissRound(ranked, options)
+//   Pairings for the next round from the current standings:
+//     - never the same two players twice (hard constraint; relaxed only
+//       when no complete pairing exists, the result then reports it);
+//     - players meet inside their score group, top half vs bottom half
+//       (Dutch system); odd groups float their last player down;
+//     - two players of the same club are kept apart when the score
+//       group allows it;
+//     - odd field: the exempt goes to the lowest-ranked player who has
+//       not been exempt yet.
+//   Depth-first search with backtracking, bounded by a node budget so a
+//   pathological field can't hang the request.
+
+/**
+ * @param {Array<{licence, licence_normalized, player_name, club, seed}>} players
+ * @param {Array<object>} matches  rows with p1_licence_normalized,
+ *   p2_licence_normalized (null = exempt), p1/p2_points, reprises, serie,
+ *   p1/p2_match_points and is_played
+ * @param {{byeMatchPoints:number}} options
+ * @returns {Array<object>} ranked rows
+ */
+function computeSwissStandings(players, matches, options = {}) {
+  const byeMp = options.byeMatchPoints != null ? options.byeMatchPoints : 2;
+  const byLic = new Map();
+  for (const p of players) {
+    byLic.set(p.licence_normalized, {
+      licence: p.licence,
+      licence_normalized: p.licence_normalized,
+      player_name: p.player_name,
+      club: p.club,
+      seed: p.seed,
+      wins: 0, draws: 0, losses: 0, byes: 0,
+      match_points: 0,
+      points_scored: 0,
+      reprises: 0,
+      best_serie: 0,
+      matches_played: 0,
+      // opponent licence → 1 win / 0.5 draw / 0 loss (for Sonneborn-Berger)
+      results: []
+    });
+  }
+
+  for (const m of matches) {
+    const s1 = byLic.get(m.p1_licence_normalized);
+    if (!s1) continue;
+    if (!m.p2_licence_normalized) {
+      s1.byes++;
+      s1.match_points += byeMp;
+      continue;
+    }
+    const s2 = byLic.get(m.p2_licence_normalized);
+    if (!s2 || !m.is_played) continue;
+    s1.match_points += m.p1_match_points || 0;
+    s2.match_points += m.p2_match_points || 0;
+    s1.points_scored += m.p1_points || 0;
+    s2.points_scored += m.p2_points || 0;
+    s1.reprises += m.p1_reprises || 0;
+    s2.reprises += m.p2_reprises || 0;
+    s1.best_serie = Math.max(s1.best_serie, m.p1_serie || 0);
+    s2.best_serie = Math.max(s2.best_serie, m.p2_serie || 0);
+    s1.matches_played++;
+    s2.matches_played++;
+    const r1 = m.outcome === 'p1_win' ? 1 : (m.outcome === 'draw' ? 0.5 : 0);
+    s1.results.push({ opponent: s2.licence_normalized, score: r1 });
+    s2.results.push({ opponent: s1.licence_normalized, score: 1 - r1 });
+    if (r1 === 1) { s1.wins++; s2.losses++; }
+    else if (r1 === 0) { s2.wins++; s1.losses++; }
+    else { s1.draws++; s2.draws++; }
+  }
+
+  const rows = [...byLic.values()];
+  for (const s of rows) {
+    const oppMp = s.results.map(r => byLic.get(r.opponent).match_points);
+    s.buchholz = oppMp.reduce((a, b) => a + b, 0);
+    s.buchholz_median = oppMp.length > 1 ? s.buchholz - Math.min(...oppMp) : 0;
+    s.sonneborn_berger = s.results.reduce(
+      (sum, r) => sum + r.score * byLic.get(r.opponent).match_points, 0
+    );
+    s.moyenne = s.reprises > 0 ? s.points_scored / s.reprises : 0;
+  }
+
+  const cmpKeys = ['match_points', 'buchholz', 'buchholz_median', 'sonneborn_berger', 'moyenne', 'best_serie'];
+  rows.sort((a, b) => {
+    for (const k of cmpKeys) {
+      if (b[k] !== a[k]) return b[k] - a[k];
+    }
+    return (a.seed || 0) - (b.seed || 0);
+  });
+
+  rows.forEach((s, i) => {
+    s.rank = i + 1;
+    const next = rows[i + 1];
+    s.has_tie_below = !!(next && cmpKeys.every(k => next[k] === s[k]));
+    s.opponents = s.results.map(r => r.opponent);
+    delete s.results;
+  });
+  return rows;
+}
+
+/**
+ * @param {Array<{licence_normalized, match_points, club, opponents:string[], byes:number}>} ranked
+ *   current standings, best first
+ * @param {{maxNodes?:number}} options
+ * @returns {{ pairs: Array<[object, object]>, bye: object|null,
+ *             rematches: number, same_club: number } | null}
+ */
+function pairSwissRound(ranked, options = {}) {
+  const maxNodes = options.maxNodes || 20000;
+  const players = ranked.map(p => ({
+    ...p,
+    _met: new Set(p.opponents || []),
+    _club: String(p.club || '').trim().toUpperCase()
+  }));
+  if (players.length < 2) return null;
+
+  // Exempt candidates, lowest-ranked first, players never exempt before first
+  let byeCandidates = [null];
+  if (players.length % 2 === 1) {
+    const bottomUp = [...players].reverse();
+    byeCandidates = [
+      ...bottomUp.filter(p => !p.byes),
+      ...bottomUp.filter(p => p.byes)
+    ];
+  }
+
+  for (const allowRematch of [false, true]) {
+    for (const bye of byeCandidates) {
+      const budget = { nodes: 0 };
+      const pool = players.filter(p => p !== bye);
+      const pairs = searchPairs(pool, allowRematch, budget, maxNodes);
+      if (!pairs) continue;
+      const clean = (p) => {
+        const { _met, _club, ...rest } = p;
+        return rest;
+      };
+      return {
+        pairs: pairs.map(([a, b]) => [clean(a), clean(b)]),
+        bye: bye ? clean(bye) : null,
+        rematches: pairs.filter(([a, b]) => a._met.has(b.licence_normalized)).length,
+        same_club: pairs.filter(([a, b]) => a._club && a._club === b._club).length
+      };
+    }
+  }
+  return null;
+}
+
+// pool is rank-ordered. The top player is paired first; candidates are
+// tried in preference order, backtracking when the rest can't be paired.
+function searchPairs(pool, allowRematch, budget, maxNodes) {
+  if (pool.length === 0) return [];
+  if (++budget.nodes > maxNodes) return null;
+  const [top, ...others] = pool;
+
+  // Score group of `top` = the leading players on the same match points.
+  // Dutch system: top of the group meets the player half a group below.
+  let groupSize = 1;
+  while (groupSize < pool.length && pool[groupSize].match_points === top.match_points) groupSize++;
+  const idealIdx = Math.max(1, Math.floor(groupSize / 2));
+
+  const candidates = others
+    .map((c, i) => ({
+      c,
+      rematch: top._met.has(c.licence_normalized) ? 1 : 0,
+      scoreDiff: Math.abs(top.match_points - c.match_points),
+      sameClub: top._club && top._club === c._club ? 1 : 0,
+      offset: Math.abs(i + 1 - idealIdx)
+    }))
+    .filter(x => allowRematch || !x.rematch)
+    .sort((a, b) => (a.rematch - b.rematch)
+      || (a.scoreDiff - b.scoreDiff)
+      || (a.sameClub - b.sameClub)
+      || (a.offset - b.offset));
+
+  for (const { c } of candidates) {
+    const rest = others.filter(o => o !== c);
+    const tail = searchPairs(rest, allowRematch, budget, maxNodes);
+    if (tail) return [[top, c], ...tail];
+    if (budget.nodes > maxNodes) return null;
+  }
+  return null;
+}
+
+/** Default number of rounds for a field of n players: ceil(log2 n), max n − 1. */
+function defaultSwissRounds(n) {
+  if (n < 2) return 0;
+  return Math.min(n - 1, Math.max(1, Math.ceil(Math.log2(n))));
+}
+
+module.exports = {
+  computeSwissStandings,
+  pairSwissRound,
+  defaultSwissRounds
+};
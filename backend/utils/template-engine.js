@@ -0,0 +1,399 @@
+/**
+ * Email template engine (V 2.0.892)
+ *
+ * Syntax:
+ *   {player.first_name}                          value (dotted path)
+ *   {#if poule.size > 4} … {#else} … {/if}        conditional
+ *   {#if not lieu.phone} … {/if}                  negation
+ *   {#each poule.players as joueur} … {/each}     loop ({loop.index}, {loop.first}, {loop.last})
+ *
+ * Comparison operators: == != > >= < <= ; right side is a number, a quoted
+ * string ("…" or '…'), true/false or another variable.
+ *
+ * Templates are edited with Quill, so tags may arrive HTML-encoded
+ * (&#123;var&#125;, &gt;) or with formatting inside the braces
+ * ({<strong>var</strong>}): normalize() brings them back to plain tags and
+ * keeps the formatting around the rendered value.
+ *
+ * Rendering stays compatible with the historical replaceVar(): a variable
+ * that the context doesn't know is left as typed, so literal braces in an
+ * old template are never swallowed.
+ */
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const PATH_RE = /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*$/;
+const CONDITION_RE = /^(not\s+)?([A-Za-z_][\w.]*)(?:\s*(==|!=|>=|<=|=|>|<)\s*(.+))?$/;
+const EACH_RE = /^([A-Za-z_][\w.]*)\s+as\s+([A-Za-z_]\w*)$/;
+const TAG_RE = /\{([^{}]*)\}/g;
+
+const ENTITIES = { '&gt;': '>', '&lt;': '<', '&amp;': '&', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ', '&#160;': ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(?:gt|lt|amp|quot|nbsp|#39|#160);/g, m => ENTITIES[m]);
+}
+
+// Quill output → plain tags
+function normalize(template) {
+  if (!template) return '';
+  let result = String(template).replace(/&#123;/g, '{').replace(/&#125;/g, '}');
+  // {<strong>var</strong>} → <strong>{var}</strong>
+  result = result.replace(/\{((?:<[^>]+>)+)([^{}<>]+)((?:<\/[^>]+>)+)\}/g, (match, openTags, inner, closeTags) => {
+    return isTagExpression(decodeEntities(inner).trim()) ? `${openTags}{${inner}}${closeTags}` : match;
+  });
+  // Entities inside tag expressions: {#if poule.size &gt; 4}
+  result = result.replace(TAG_RE, (match, inner) => {
+    const decoded = decodeEntities(inner).trim();
+    return isTagExpression(decoded) ? `{${decoded}}` : match;
+  });
+  return result;
+}
+
+function isTagExpression(inner) {
+  return PATH_RE.test(inner) || /^(#if|#each|#else|else|\/if|\/each)\b/.test(inner);
+}
+
+// ==================== PARSER ====================
+
+function parseLiteral(raw) {
+  const text = raw.trim();
+  if (/^-?\d+(?:[.,]\d+)?$/.test(text)) return { kind: 'literal', value: parseFloat(text.replace(',', '.')) };
+  if (/^"[^"]*"$/.test(text) || /^'[^']*'$/.test(text)) return { kind: 'literal', value: text.slice(1, -1) };
+  if (text === 'true' || text === 'false') return { kind: 'literal', value: text === 'true' };
+  if (PATH_RE.test(text)) return { kind: 'path', path: text };
+  return null;
+}
+
+function parseCondition(expr, raw) {
+  const match = expr.match(CONDITION_RE);
+  if (!match || !PATH_RE.test(match[2])) {
+    throw new TemplateError(`Condition invalide : ${raw}`);
+  }
+  const condition = { negate: !!match[1], path: match[2], op: null, right: null };
+  if (match[3]) {
+    condition.op = match[3] === '=' ? '==' : match[3];
+    condition.right = parseLiteral(match[4]);
+    if (!condition.right) {
+      throw new TemplateError(`Valeur de comparaison invalide dans ${raw}`);
+    }
+  }
+  return condition;
+}
+
+/**
+ * Parse a template into a node tree.
+ * Nodes: { type: 'text', value } | { type: 'var', path, raw }
+ *        | { type: 'if', condition, then, else, raw } | { type: 'each', path, alias, body, raw }
+ * @throws {TemplateError} on unbalanced or malformed blocks
+ */
+function parse(template) {
+  const source = normalize(template);
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (text) => {
+    if (text) current.push({ type: 'text', value: text });
+  };
+
+  TAG_RE.lastIndex = 0;
+  while ((match = TAG_RE.exec(source)) !== null) {
+    const raw = match[0];
+    const inner = match[1].trim();
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = match.index + raw.length;
+
+    if (PATH_RE.test(inner)) {
+      current.push({ type: 'var', path: inner, raw });
+    } else if (inner.startsWith('#if')) {
+      const node = { type: 'if', condition: parseCondition(inner.slice(3).trim(), raw), then: [], else: null, raw };
+      current.push(node);
+      stack.push(node);
+      current = node.then;
+    } else if (inner === '#else' || inner === 'else') {
+      const node = stack[stack.length - 1];
+      if (node.type !== 'if' || node.else) {
+        throw new TemplateError(`${raw} sans {#if} correspondant`);
+      }
+      node.else = [];
+      current = node.else;
+    } else if (inner === '/if') {
+      const node = stack.pop();
+      if (node.type !== 'if') {
+        throw new TemplateError(node.type === 'each' ? `{/if} trouvé alors que ${node.raw} n'est pas fermé` : '{/if} sans {#if} correspondant');
+      }
+      const parent = stack[stack.length - 1];
+      current = parent.type === 'root' ? parent.children : (parent.type === 'each' ? parent.body : (parent.else || parent.then));
+    } else if (inner.startsWith('#each')) {
+      const each = inner.slice(5).trim().match(EACH_RE);
+      if (!each) {
+        throw new TemplateError(`Boucle invalide : ${raw} (syntaxe : {#each liste as element})`);
+      }
+      const node = { type: 'each', path: each[1], alias: each[2], body: [], raw };
+      current.push(node);
+      stack.push(node);
+      current = node.body;
+    } else if (inner === '/each') {
+      const node = stack.pop();
+      if (node.type !== 'each') {
+        throw new TemplateError(node.type === 'if' ? `{/each} trouvé alors que ${node.raw} n'est pas fermé` : '{/each} sans {#each} correspondant');
+      }
+      const parent = stack[stack.length - 1];
+      current = parent.type === 'root' ? parent.children : (parent.type === 'each' ? parent.body : (parent.else || parent.then));
+    } else if (/^[#/]/.test(inner)) {
+      throw new TemplateError(`Bloc inconnu : ${raw}`);
+    } else {
+      // Not a tag (literal braces in the text)
+      pushText(raw);
+    }
+  }
+  pushText(source.slice(lastIndex));
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`${open.raw} n'est pas fermé (${open.type === 'if' ? '{/if}' : '{/each}'} manquant)`);
+  }
+  return root.children;
+}
+
+// ==================== RENDERER ====================
+
+const MISSING = Symbol('missing');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function lookup(scopes, path, aliases, depth = 0) {
+  const [head, ...rest] = path.split('.');
+  let value = MISSING;
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i] && Object.prototype.hasOwnProperty.call(scopes[i], head)) {
+      value = scopes[i][head];
+      break;
+    }
+  }
+  for (const key of rest) {
+    if (value === MISSING) break;
+    value = isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : MISSING;
+  }
+  // Legacy flat names ({poule}, {player_name}…) and groups printed as a whole
+  if ((value === MISSING || isPlainObject(value)) && aliases[path] && depth < 5) {
+    return lookup(scopes, aliases[path], aliases, depth + 1);
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  if (value === MISSING || value === null || value === undefined || value === false || value === '' || value === 0) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\s*-?\d+(?:[.,]\d+)?\s*$/.test(value)) return parseFloat(value.replace(',', '.'));
+  return NaN;
+}
+
+function compare(left, op, right) {
+  const l = toNumber(left);
+  const r = toNumber(right);
+  const numeric = !isNaN(l) && !isNaN(r);
+  const a = numeric ? l : String(left ?? '').toLowerCase();
+  const b = numeric ? r : String(right ?? '').toLowerCase();
+  switch (op) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+}
+
+function evaluate(condition, scopes, aliases) {
+  let left = lookup(scopes, condition.path, aliases);
+  let result;
+  if (!condition.op) {
+    result = isTruthy(left);
+  } else {
+    if (left === MISSING) left = null;
+    let right = condition.right.kind === 'literal' ? condition.right.value : lookup(scopes, condition.right.path, aliases);
+    if (right === MISSING) right = null;
+    result = compare(left, condition.op, right);
+  }
+  return condition.negate ? !result : result;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.filter(v => !isPlainObject(v)).join(', ');
+  if (value instanceof Date) return value.toLocaleDateString('fr-FR');
+  if (isPlainObject(value)) return '';
+  return String(value);
+}
+
+function renderNodes(nodes, scopes, aliases) {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'var': {
+        const value = lookup(scopes, node.path, aliases);
+        output += value === MISSING ? node.raw : formatValue(value);
+        break;
+      }
+      case 'if':
+        if (evaluate(node.condition, scopes, aliases)) {
+          output += renderNodes(node.then, scopes, aliases);
+        } else if (node.else) {
+          output += renderNodes(node.else, scopes, aliases);
+        }
+        break;
+      case 'each': {
+        const list = lookup(scopes, node.path, aliases);
+        if (!Array.isArray(list)) break;
+        list.forEach((item, index) => {
+          const loop = { index: index + 1, first: index === 0, last: index === list.length - 1, count: list.length };
+          output += renderNodes(node.body, [...scopes, { [node.alias]: item, loop }], aliases);
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template against a context object.
+ * @param {string} template - template text (plain or Quill HTML)
+ * @param {Object} context - values; nested objects for groups, arrays for lists
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - legacy flat name → dotted path ({ poule: 'poule.number' })
+ * @returns {string}
+ * @throws {TemplateError} when the template doesn't parse
+ */
+function render(template, context = {}, options = {}) {
+  if (!template) return '';
+  return renderNodes(parse(template), [context], options.aliases || {});
+}
+
+// ==================== VALIDATION ====================
+// Schema: { variables: { name: def }, aliases: { flatName: 'dotted.path' } }
+// def: { type: 'text'|'number'|'date'|'boolean'|'html'|'group'|'list', label, fields?: {…} (group), item?: {…} (list fields) }
+
+const TYPE_LABELS = { text: 'texte', number: 'nombre', date: 'date', boolean: 'oui/non', html: 'HTML', group: 'groupe', list: 'liste' };
+
+const LOOP_DEF = {
+  type: 'group',
+  fields: {
+    index: { type: 'number', label: 'Numéro de l\'itération (1, 2, …)' },
+    count: { type: 'number', label: 'Nombre d\'éléments' },
+    first: { type: 'boolean', label: 'Premier élément' },
+    last: { type: 'boolean', label: 'Dernier élément' }
+  }
+};
+
+function resolveDef(path, scopes, schema, depth = 0) {
+  const [head, ...rest] = path.split('.');
+  let def = null;
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i][head]) {
+      def = scopes[i][head];
+      break;
+    }
+  }
+  if (!def) def = schema.variables[head] || null;
+  for (const key of rest) {
+    if (!def) break;
+    def = def.type === 'group' && def.fields ? def.fields[key] || null : null;
+  }
+  const alias = (schema.aliases || {})[path];
+  if ((!def || def.type === 'group') && alias && depth < 5) {
+    return resolveDef(alias, scopes, schema, depth + 1);
+  }
+  return def;
+}
+
+function describeFields(path, def) {
+  return Object.keys(def.fields || {}).slice(0, 4).map(f => `{${path}.${f}}`).join(', ');
+}
+
+/**
+ * Check a template against a schema.
+ * @returns {{ valid: boolean, errors: string[], unknown: string[] }}
+ */
+function validate(template, schema) {
+  const errors = [];
+  const unknown = new Set();
+  let nodes;
+  try {
+    nodes = parse(template);
+  } catch (err) {
+    if (err instanceof TemplateError) return { valid: false, errors: [err.message], unknown: [] };
+    throw err;
+  }
+
+  const checkPath = (path, scopes) => {
+    const def = resolveDef(path, scopes, schema);
+    if (!def) unknown.add(path);
+    return def;
+  };
+
+  const walk = (list, scopes) => {
+    for (const node of list) {
+      if (node.type === 'var') {
+        const def = checkPath(node.path, scopes);
+        if (def && def.type === 'list') {
+          errors.push(`{${node.path}} est une liste : utilisez {#each ${node.path} as element}…{/each}`);
+        } else if (def && def.type === 'group') {
+          errors.push(`{${node.path}} est un groupe : précisez un champ (${describeFields(node.path, def)}…)`);
+        }
+      } else if (node.type === 'if') {
+        const { path, op, right } = node.condition;
+        const def = checkPath(path, scopes);
+        if (right && right.kind === 'path') checkPath(right.path, scopes);
+        if (def && ['>', '>=', '<', '<='].includes(op) && def.type !== 'number') {
+          errors.push(`${node.raw} : la comparaison ${op} n'est possible que sur une variable numérique ({${path}} est de type ${TYPE_LABELS[def.type] || def.type})`);
+        }
+        walk(node.then, scopes);
+        if (node.else) walk(node.else, scopes);
+      } else if (node.type === 'each') {
+        const def = checkPath(node.path, scopes);
+        if (def && def.type !== 'list') {
+          errors.push(`${node.raw} : {${node.path}} n'est pas une liste`);
+          continue;
+        }
+        const itemDef = { type: 'group', fields: (def && def.item) || {} };
+        walk(node.body, [...scopes, { [node.alias]: itemDef, loop: LOOP_DEF }]);
+      }
+    }
+  };
+  walk(nodes, []);
+
+  if (unknown.size > 0) {
+    errors.unshift(`Variable${unknown.size > 1 ? 's' : ''} inconnue${unknown.size > 1 ? 's' : ''} : ${[...unknown].map(p => `{${p}}`).join(', ')}`);
+  }
+  return { valid: errors.length === 0, errors, unknown: [...unknown] };
+}
+
+module.exports = {
+  TemplateError,
+  normalize,
+  parse,
+  render,
+  validate
+};
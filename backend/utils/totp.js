@@ -0,0 +1,156 @@
+// backend/utils/totp.js
+//
+// V 2.0.898 — Time-based one-time passwords (RFC 6238, the codes shown by
+// Google Authenticator, Microsoft Authenticator, etc.) and recovery codes
+// for the staff two-factor authentication.
+//
+// Defaults of every authenticator app: SHA-1, 6 digits, 30-second steps.
+// Secrets are stored encrypted (AES-256-GCM, key derived from JWT_SECRET),
+// recovery codes as SHA-256 hashes.
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, base32 as typed into / scanned by the apps
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+function currentCounter(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Checks a code against the current step ± window (clock drift).
+// Returns the matching counter, or null. Codes at or before lastCounter
+// were already used and are refused (no replay within their 30 seconds).
+function verifyCode(secret, code, { window = 1, lastCounter = null, now = Date.now() } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+  const counter = currentCounter(now);
+  for (let delta = -window; delta <= window; delta++) {
+    const candidate = counter + delta;
+    if (lastCounter !== null && lastCounter !== undefined && candidate <= Number(lastCounter)) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI encoded in the enrolment QR code
+function otpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ==================== Secret encryption ====================
+
+function _key() {
+  return crypto.createHash('sha256').update(`totp:${process.env.JWT_SECRET || ''}`).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', _key(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join(':');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored || '').split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', _key(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// ==================== Recovery codes ====================
+
+// 10 single-use codes like "7K3P-QX9M" (no 0/O/1/I to avoid typos)
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const codes = [];
+  while (codes.length < count) {
+    const bytes = crypto.randomBytes(8);
+    const raw = Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+    const code = `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    if (!codes.includes(code)) codes.push(code);
+  }
+  return codes;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+module.exports = {
+  STEP_SECONDS,
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  verifyCode,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,560 @@
+// backend/utils/waitlist.js
+//
+// V 2.0.894 — Capacité des tournois et liste d'attente
+//
+// tournoi_ext.capacity caps the number of registered players (NULL =
+// unlimited). Once the tournament is full, players who want to take part go
+// to tournament_waitlist, in arrival order.
+//
+// getCapacityStatus(tournoiId, orgId)
+//   registered = inscriptions still playing (inscrit, not forfait)
+//   offered    = places proposed to waiting players, not answered yet
+//   available  = capacity - registered - offered
+//
+// releasePlace({ tournoiId, orgId, licence, source })
+//   Called after a désinscription / indisponibilité: the place goes to the
+//   first waiting player. No-op without capacity, so every withdrawal path
+//   can call it blindly.
+//
+// promoteNextWaiting — the waiting player receives an email with the RSVP
+//   one-click links of rsvp.js and a push. They must answer before
+//   response_deadline (`waitlist_response_hours`), otherwise
+//   expireOverdueOffers() (scheduler) offers the place to the next one.
+//
+// Offers and new entries are decided under a lock on the tournoi_ext row
+// (_withTournamentLock), so concurrent withdrawals or joins see each other.
+
+const STATUS_LABELS = {
+  waiting: 'En attente',
+  offered: 'Place proposée — en attente de réponse',
+  accepted: 'Place acceptée',
+  declined: 'Place refusée',
+  expired: 'Délai de réponse dépassé',
+  cancelled: 'Retiré de la liste'
+};
+
+// Statuses still in the queue
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+function _db() {
+  return require('../db-loader');
+}
+function _dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+function _dbAll(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+function _dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    _db().run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+const _norm = (l) => String(l || '').replace(/\s/g, '');
+
+async function _getTournament(tournoiId, orgId) {
+  return _dbGet(
+    `SELECT * FROM tournoi_ext WHERE tournoi_id = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [tournoiId, orgId]
+  );
+}
+
+// Runs fn(client, tournament) in a transaction holding the tournoi_ext row
+// lock: the next caller for the same tournament waits, then counts what
+// this one committed.
+function _withTournamentLock(tournoiId, fn) {
+  return _db().transaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT tournoi_id, capacity FROM tournoi_ext WHERE tournoi_id = $1 FOR UPDATE',
+      [tournoiId]
+    );
+    return fn(client, rows[0] || null);
+  });
+}
+
+async function _getEntry(tournoiId, licence) {
+  return _dbGet(
+    `SELECT * FROM tournament_waitlist WHERE tournoi_id = $1 AND licence = $2`,
+    [tournoiId, _norm(licence)]
+  );
+}
+
+// registered / offered / waiting counts of a tournament ($1)
+const COUNTS_SQL = `SELECT
+  (SELECT COUNT(*) FROM inscriptions
+    WHERE tournoi_id = $1 AND (statut IS NULL OR statut = 'inscrit') AND COALESCE(forfait, 0) = 0) as registered,
+  (SELECT COUNT(*) FROM tournament_waitlist WHERE tournoi_id = $1 AND status = 'offered') as offered,
+  (SELECT COUNT(*) FROM tournament_waitlist WHERE tournoi_id = $1 AND status = 'waiting') as waiting`;
+
+function _capacityStatus(tournamentCapacity, counts) {
+  const registered = parseInt(counts?.registered, 10) || 0;
+  const offered = parseInt(counts?.offered, 10) || 0;
+  const waiting = parseInt(counts?.waiting, 10) || 0;
+  const capacity = tournamentCapacity ? parseInt(tournamentCapacity, 10) : null;
+  const available = capacity ? Math.max(0, capacity - registered - offered) : null;
+
+  return { capacity, registered, offered, waiting, available, full: capacity ? available === 0 : false };
+}
+
+/**
+ * @returns {Promise<{capacity: number|null, registered: number, offered: number,
+ *   waiting: number, available: number|null, full: boolean}|null>}
+ *   null when the tournament does not exist. available is null without capacity.
+ */
+async function getCapacityStatus(tournoiId, orgId) {
+  const tournament = await _getTournament(tournoiId, orgId);
+  if (!tournament) return null;
+
+  const counts = await _dbGet(COUNTS_SQL, [tournoiId]);
+  return _capacityStatus(tournament.capacity, counts);
+}
+
+/**
+ * Waiting list of a tournament with contacts, open entries first.
+ */
+async function getWaitlist(tournoiId, orgId) {
+  const entries = await _dbAll(
+    `SELECT w.*,
+            p.first_name, p.last_name, p.club,
+            COALESCE(pc.email, p.email) as email,
+            COALESCE(pc.telephone, p.telephone) as telephone
+     FROM tournament_waitlist w
+     LEFT JOIN players p ON REPLACE(p.licence, ' ', '') = w.licence
+       AND ($2::int IS NULL OR p.organization_id = $2)
+     LEFT JOIN player_contacts pc ON REPLACE(pc.licence, ' ', '') = w.licence
+       AND ($2::int IS NULL OR pc.organization_id = $2)
+     WHERE w.tournoi_id = $1 AND ($2::int IS NULL OR w.organization_id = $2)
+     ORDER BY CASE WHEN w.status IN ('waiting', 'offered') THEN 0 ELSE 1 END, w.position ASC, w.id ASC`,
+    [tournoiId, orgId]
+  );
+  let rank = 0;
+  for (const e of entries) {
+    e.status_label = STATUS_LABELS[e.status] || e.status;
+    e.rank = OPEN_STATUSES.includes(e.status) ? ++rank : null;
+  }
+  return entries;
+}
+
+/**
+ * Place of a player in the queue (1 = next to be offered a place).
+ */
+async function _rankOf(entry) {
+  const row = await _dbGet(
+    `SELECT COUNT(*) as ahead FROM tournament_waitlist
+     WHERE tournoi_id = $1 AND status IN ('waiting', 'offered') AND position < $2`,
+    [entry.tournoi_id, entry.position]
+  );
+  return (parseInt(row?.ahead, 10) || 0) + 1;
+}
+
+/**
+ * Waiting list entry of one player, with its rank, or null.
+ */
+async function getPlayerEntry(tournoiId, licence) {
+  const entry = await _getEntry(tournoiId, licence);
+  if (!entry) return null;
+  entry.status_label = STATUS_LABELS[entry.status] || entry.status;
+  entry.rank = OPEN_STATUSES.includes(entry.status) ? await _rankOf(entry) : null;
+  return entry;
+}
+
+/**
+ * Puts a player at the end of the waiting list of a full tournament.
+ * @param {{tournoiId, orgId, licence, playerName?, source: string}} opts
+ *   source: admin | player_app | rsvp
+ * @returns {Promise<{status: string, entry?: object}>}
+ *   status: joined | already_waiting | already_registered | not_full
+ * @throws {Error} with `status` 404 when the tournament does not exist
+ */
+async function joinWaitlist({ tournoiId, orgId, licence, playerName, source }) {
+  const capacity = await getCapacityStatus(tournoiId, orgId);
+  if (!capacity) throw Object.assign(new Error('Tournoi non trouvé'), { status: 404 });
+
+  const registered = await _dbGet(
+    `SELECT inscription_id FROM inscriptions
+     WHERE tournoi_id = $1 AND REPLACE(UPPER(licence), ' ', '') = REPLACE(UPPER($2), ' ', '')
+       AND (statut IS NULL OR statut = 'inscrit')`,
+    [tournoiId, licence]
+  );
+  if (registered) return { status: 'already_registered' };
+
+  const existing = await _getEntry(tournoiId, licence);
+  if (existing && OPEN_STATUSES.includes(existing.status)) {
+    return { status: 'already_waiting', entry: await getPlayerEntry(tournoiId, licence) };
+  }
+  if (!capacity.full) return { status: 'not_full' };
+
+  if (!playerName) {
+    const player = await _dbGet(
+      `SELECT first_name, last_name FROM players
+       WHERE REPLACE(licence, ' ', '') = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+      [_norm(licence), orgId]
+    );
+    playerName = player ? `${player.first_name || ''} ${player.last_name || ''}`.trim() : null;
+  }
+
+  // A player who left the list (or let an offer expire) starts again at the
+  // end. MAX(position) is read under the tournament lock: two players
+  // joining at the same moment get distinct positions.
+  await _withTournamentLock(tournoiId, client => client.query(
+    `INSERT INTO tournament_waitlist (tournoi_id, organization_id, licence, player_name, position, status, source)
+     VALUES ($1, $2, $3, $4,
+             (SELECT COALESCE(MAX(position), 0) + 1 FROM tournament_waitlist WHERE tournoi_id = $1),
+             'waiting', $5)
+     ON CONFLICT (tournoi_id, licence) DO UPDATE SET
+       status = 'waiting', position = EXCLUDED.position, player_name = COALESCE(EXCLUDED.player_name, tournament_waitlist.player_name),
+       offered_at = NULL, response_deadline = NULL, responded_at = NULL, source = EXCLUDED.source,
+       created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP`,
+    [tournoiId, orgId, _norm(licence), playerName || null, source || 'admin']
+  ));
+
+  return { status: 'joined', entry: await getPlayerEntry(tournoiId, licence) };
+}
+
+/**
+ * Removes a player from the waiting list. A pending offer is withdrawn and
+ * the place goes to the next waiting player.
+ * @returns {Promise<{entry: object|null, promoted: object[]}>}
+ */
+async function leaveWaitlist({ tournoiId, orgId, licence, source }) {
+  const entry = await _getEntry(tournoiId, licence);
+  if (!entry || !OPEN_STATUSES.includes(entry.status)) return { entry: null, promoted: [] };
+
+  await _dbRun(
+    `UPDATE tournament_waitlist
+     SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP, source = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [entry.id, source || 'admin']
+  );
+  const promoted = entry.status === 'offered' ? await promoteNextWaiting({ tournoiId, orgId }) : [];
+  return { entry, promoted };
+}
+
+/**
+ * A registered player withdrew (désinscription, indisponible): the freed
+ * place is offered to the waiting list. Never throws — the withdrawal
+ * itself must not fail because of the waiting list.
+ * @returns {Promise<object[]>} entries that were offered a place
+ */
+async function releasePlace({ tournoiId, orgId, licence, source }) {
+  try {
+    // A player who gives up their place does not stay in the queue either
+    const entry = await _getEntry(tournoiId, licence);
+    if (entry && OPEN_STATUSES.includes(entry.status)) {
+      return (await leaveWaitlist({ tournoiId, orgId, licence, source })).promoted;
+    }
+    return await promoteNextWaiting({ tournoiId, orgId });
+  } catch (error) {
+    console.error(`[Waitlist] tournoi=${tournoiId}: failed to release place of ${licence}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Offers every available place to the first waiting players.
+ * @returns {Promise<object[]>} the offered entries (empty when nothing to do)
+ */
+async function promoteNextWaiting({ tournoiId, orgId }) {
+  const tournament = await _getTournament(tournoiId, orgId);
+  if (!tournament || !tournament.capacity || tournament.status === 'cancelled') return [];
+  if (tournament.debut && new Date(tournament.debut) < new Date(new Date().toDateString())) return [];
+
+  const appSettings = require('./app-settings');
+  const hours = parseInt(await appSettings.getOrgSetting(tournament.organization_id, 'waitlist_response_hours'), 10) || 48;
+  const deadline = new Date(Date.now() + hours * 3600000);
+
+  // Capacity is counted and the places claimed under the tournament lock:
+  // two withdrawals processed at the same time can't both offer the one
+  // free place (the second one counts the first one's offer).
+  const offered = await _withTournamentLock(tournoiId, async (client, locked) => {
+    if (!locked || !locked.capacity) return [];
+    const { rows: [counts] } = await client.query(COUNTS_SQL, [tournoiId]);
+    const { available } = _capacityStatus(locked.capacity, counts);
+    if (!available) return [];
+    const { rows } = await client.query(
+      `UPDATE tournament_waitlist
+       SET status = 'offered', offered_at = CURRENT_TIMESTAMP, response_deadline = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM tournament_waitlist
+         WHERE tournoi_id = $1 AND status = 'waiting'
+         ORDER BY position ASC, id ASC
+         LIMIT $3
+       )
+       RETURNING *`,
+      [tournoiId, deadline, available]
+    );
+    return rows.sort((a, b) => a.position - b.position || a.id - b.id);
+  });
+
+  // Emails and pushes once the lock is released
+  for (const offer of offered) {
+    await _notifyOffer(tournament, offer, hours);
+  }
+  return offered;
+}
+
+/**
+ * Sets the inscription of a player who accepted a place (creates it when missing).
+ */
+async function _registerPlayer(tournoiId, orgId, licence, source) {
+  const existing = await _dbGet(
+    `SELECT inscription_id FROM inscriptions
+     WHERE tournoi_id = $1 AND REPLACE(UPPER(licence), ' ', '') = REPLACE(UPPER($2), ' ', '')
+       AND ($3::int IS NULL OR organization_id = $3)`,
+    [tournoiId, licence, orgId]
+  );
+  if (existing) {
+    await _dbRun(
+      `UPDATE inscriptions SET statut = 'inscrit', forfait = 0, source = $1, timestamp = CURRENT_TIMESTAMP WHERE inscription_id = $2`,
+      [source, existing.inscription_id]
+    );
+    return;
+  }
+  const contact = await _dbGet(
+    `SELECT email, telephone FROM player_contacts
+     WHERE REPLACE(licence, ' ', '') = $1 AND ($2::int IS NULL OR organization_id = $2)`,
+    [_norm(licence), orgId]
+  );
+  await _dbRun(
+    `INSERT INTO inscriptions (inscription_id, tournoi_id, licence, email, telephone, timestamp, source, statut, organization_id)
+     VALUES ((SELECT COALESCE(MAX(inscription_id), 0) + 1 FROM inscriptions), $1, $2, $3, $4, CURRENT_TIMESTAMP, $5, 'inscrit', $6)`,
+    [tournoiId, _norm(licence), contact?.email || null, contact?.telephone || null, source, orgId]
+  );
+}
+
+/**
+ * Answer of a waiting player to the place offered (RSVP link, Player App,
+ * or admin on their behalf).
+ * @param {{tournoiId, orgId, licence, accept: boolean, source?: string}} opts
+ * @returns {Promise<{status: string, entry?: object, promoted?: object[]}>}
+ *   status: accepted | declined | expired | not_offered
+ */
+async function respondToOffer({ tournoiId, orgId, licence, accept, source }) {
+  const entry = await _getEntry(tournoiId, licence);
+  if (!entry) return { status: 'not_offered' };
+  if (entry.status !== 'offered') return { status: entry.status === 'expired' ? 'expired' : 'not_offered', entry };
+
+  if (entry.response_deadline && new Date(entry.response_deadline) < new Date()) {
+    const promoted = await _expireEntry(entry, orgId);
+    return { status: 'expired', entry, promoted };
+  }
+
+  const answered = await _dbRun(
+    `UPDATE tournament_waitlist
+     SET status = $2, responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'offered'`,
+    [entry.id, accept ? 'accepted' : 'declined']
+  );
+  if (!answered.changes) return { status: 'not_offered', entry };
+
+  if (accept) {
+    await _registerPlayer(tournoiId, orgId, entry.licence, source || 'email');
+    return { status: 'accepted', entry };
+  }
+
+  const promoted = await promoteNextWaiting({ tournoiId, orgId });
+  return { status: 'declined', entry, promoted };
+}
+
+async function _expireEntry(entry, orgId) {
+  const result = await _dbRun(
+    `UPDATE tournament_waitlist
+     SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'offered'`,
+    [entry.id]
+  );
+  if (!result.changes) return [];
+  return promoteNextWaiting({ tournoiId: entry.tournoi_id, orgId });
+}
+
+/**
+ * Scheduler: waiting players who did not answer in time lose the offer.
+ * @returns {Promise<number>} number of expired offers
+ */
+async function expireOverdueOffers() {
+  const overdue = await _dbAll(
+    `SELECT * FROM tournament_waitlist
+     WHERE status = 'offered' AND response_deadline IS NOT NULL AND response_deadline < $1`,
+    [new Date()]
+  );
+  for (const entry of overdue) {
+    try {
+      await _expireEntry(entry, entry.organization_id);
+      console.log(`[Waitlist] tournoi=${entry.tournoi_id}: offer to ${entry.licence} expired`);
+    } catch (err) {
+      console.error(`[Waitlist] Failed to expire offer ${entry.id}:`, err.message);
+    }
+  }
+  return overdue.length;
+}
+
+/**
+ * Largest number of players whose poules fit on `tables` billiards, with
+ * the org's poule rules (computeTablesNeeded of poule-config.js).
+ * @returns {Promise<{capacity: number, poules: number[], description: string}|null>}
+ */
+async function capacityForTables(tables, orgId, mode) {
+  const { getPouleConfigForOrg } = require('./poule-config');
+  const maxTables = parseInt(tables, 10);
+  if (!maxTables || maxTables < 1) return null;
+
+  let best = null;
+  // A table hosts at most a poule of 5 (2 simultaneous matches): beyond
+  // 5 players per table nothing can fit.
+  for (let n = 2; n <= maxTables * 5; n++) {
+    const config = await getPouleConfigForOrg(n, orgId, mode);
+    if (config.poules.length > 0 && config.tables <= maxTables) {
+      best = { capacity: n, poules: config.poules, description: config.description };
+    }
+  }
+  return best;
+}
+
+function _formatDate(date, withTime) {
+  if (!date) return '';
+  const opts = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/Paris' };
+  if (withTime) Object.assign(opts, { hour: '2-digit', minute: '2-digit' });
+  return new Date(date).toLocaleDateString('fr-FR', opts);
+}
+
+async function _notifyOffer(tournament, offer, hours) {
+  const { getEmailTemplateSettings, buildFromAddress, sendEmail } = require('./email-helpers');
+  const { sendPushToPlayer } = require('../routes/push');
+  const { generateRsvpToken } = require('../routes/rsvp');
+  const { localizedNotification } = require('../notification-messages');
+  const i18n = require('./i18n');
+
+  const orgId = tournament.organization_id;
+  const tournoiId = tournament.tournoi_id;
+  const tournamentName = tournament.nom || 'Tournoi';
+  const tournamentDate = _formatDate(tournament.debut);
+  const deadlineStr = _formatDate(offer.response_deadline, true);
+
+  try {
+    const contact = await _dbGet(
+      `SELECT COALESCE(pc.email, p.email) as email, p.first_name
+       FROM players p
+       LEFT JOIN player_contacts pc ON REPLACE(pc.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+       WHERE REPLACE(p.licence, ' ', '') = $1 AND ($2::int IS NULL OR p.organization_id = $2)`,
+      [offer.licence, orgId]
+    );
+    if (contact?.email && contact.email.includes('@')) {
+      const settings = await getEmailTemplateSettings(orgId);
+      const color = settings.primary_color || '#1F4788';
+      const orgName = settings.organization_name || settings.organization_short_name || '';
+      const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
+      // Same one-click links as the inscription emails: /api/rsvp recognises
+      // the pending offer and answers it.
+      const token = generateRsvpToken(offer.licence, tournoiId, orgId);
+      const yesUrl = `${baseUrl}/api/rsvp?token=${encodeURIComponent(token)}&response=yes`;
+      const noUrl = `${baseUrl}/api/rsvp?token=${encodeURIComponent(token)}&response=no`;
+      const greeting = contact.first_name ? `Bonjour ${contact.first_name},` : 'Bonjour,';
+
+      await sendEmail({
+        from: buildFromAddress(settings, 'convocations'),
+        to: [contact.email],
+        subject: `🎱 Une place se libère — ${tournamentName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: ${color}; color: white; padding: 20px; text-align: center;">
+              <h1 style="margin: 0; font-size: 22px;">${orgName}</h1>
+              <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">LISTE D'ATTENTE</p>
+            </div>
+            <div style="padding: 25px; background: #ffffff;">
+              <p>${greeting}</p>
+              <p>Une place vient de se libérer dans le tournoi complet pour lequel vous étiez en liste d'attente :</p>
+              <div style="background: #f8f9fa; border-left: 4px solid ${color}; padding: 15px; margin: 15px 0;">
+                <p style="margin: 4px 0;"><strong>${tournamentName}</strong> — ${tournament.mode || ''} ${tournament.categorie || ''}</p>
+                <p style="margin: 4px 0;">📅 ${tournamentDate}</p>
+                ${tournament.lieu ? `<p style="margin: 4px 0;">📍 ${tournament.lieu}</p>` : ''}
+              </div>
+              <p>Merci de confirmer votre inscription <strong>avant le ${deadlineStr}</strong>. Sans réponse, la place sera proposée au joueur suivant de la liste.</p>
+              <div style="text-align: center; margin: 25px 0;">
+                <a href="${yesUrl}" target="_blank" style="display: inline-block; background: #28a745; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: bold; margin: 5px 8px;">✅ Je prends la place</a>
+                <a href="${noUrl}" target="_blank" style="display: inline-block; background: #dc3545; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: bold; margin: 5px 8px;">❌ Je ne peux pas</a>
+              </div>
+              <p style="margin: 12px 0 0 0; font-size: 12px; color: #888; text-align: center;">Aucune connexion requise — votre réponse est enregistrée instantanément.</p>
+            </div>
+          </div>`
+      }, {
+        recipientKind: 'player',
+        orgId,
+        recipientName: offer.player_name,
+        emailType: 'waitlist_offer',
+        context: { tournoi_id: tournoiId, licence: offer.licence }
+      });
+    }
+  } catch (err) {
+    console.error('[Waitlist] Offer email failed:', err.message);
+  }
+
+  try {
+    await sendPushToPlayer(offer.licence, orgId, localizedNotification('WAITLIST_PLACE_OFFERED', locale => ({
+      tournoiName: tournamentName,
+      date: tournament.debut ? i18n.formatDate(tournament.debut, locale) : tournamentDate,
+      deadline: i18n.formatDate(offer.response_deadline, locale, {
+        weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Paris'
+      })
+    })), { emailType: 'waitlist_offer_push' });
+  } catch (err) {
+    console.error('[Waitlist] Offer push failed:', err.message);
+  }
+
+  await _notifyAdmin(tournament, offer, hours);
+}
+
+async function _notifyAdmin(tournament, offer, hours) {
+  const { getEmailTemplateSettings, buildFromAddress, sendEmail } = require('./email-helpers');
+  const orgId = tournament.organization_id;
+  try {
+    const settings = await getEmailTemplateSettings(orgId);
+    if (!settings.summary_email) return;
+    const color = settings.primary_color || '#1F4788';
+
+    await sendEmail({
+      from: buildFromAddress(settings, 'noreply'),
+      to: [settings.summary_email],
+      subject: `${settings.organization_short_name || 'CDB'} — Liste d'attente : ${tournament.nom || 'Tournoi'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: ${color}; color: white; padding: 15px; text-align: center;">
+            <h2 style="margin: 0; font-size: 18px;">${tournament.nom || 'Tournoi'} — ${_formatDate(tournament.debut)}</h2>
+          </div>
+          <div style="padding: 20px; background: #f8f9fa;">
+            <p>Une place s'est libérée : elle a été proposée automatiquement à <strong>${offer.player_name || offer.licence}</strong>, premier de la liste d'attente.</p>
+            <p>Il/elle doit confirmer sous ${hours} h (avant le ${_formatDate(offer.response_deadline, true)}). Sans réponse, la place passera au joueur suivant.</p>
+          </div>
+        </div>`
+    }, {
+      recipientKind: 'admin',
+      orgId,
+      emailType: 'waitlist_admin_notification',
+      context: { tournoi_id: tournament.tournoi_id, licence: offer.licence }
+    });
+  } catch (err) {
+    console.error('[Waitlist] Admin notification failed:', err.message);
+  }
+}
+
+module.exports = {
+  STATUS_LABELS,
+  OPEN_STATUSES,
+  getCapacityStatus,
+  getWaitlist,
+  getPlayerEntry,
+  joinWaitlist,
+  leaveWaitlist,
+  releasePlace,
+  promoteNextWaiting,
+  respondToOffer,
+  expireOverdueOffers,
+  capacityForTables
+};
@@ -0,0 +1,104 @@
+/* =========================================================================
+   V 2.0.883 — DdJ offline service worker
+   =========================================================================
+
+   Registered by dj-v3.js on the Directeur de Jeu pages. Keeps the DdJ
+   usable when the hall's network drops:
+
+     - DdJ pages + their scripts / styles / images: network-first, the
+       last good copy is served when offline.
+     - GET /api/directeur-jeu/* (ddj-session, tables-status, poule-matches,
+       bracket…) and the branding settings the pages read on load: same,
+       network-first with cache fallback, so a reload offline still shows
+       the last known state.
+
+   Writes (PUT / POST / DELETE) are never cached or replayed here — the
+   page-side queue (js/dj-offline.js) owns them, because replay needs the
+   DdJ's token and a UI for conflicts.
+
+   Requests coming from non-DdJ pages are passed straight through.
+   ========================================================================= */
+
+const CACHE_NAME = 'ddj-offline-v2';
+
+const DDJ_PAGES = [
+  '/directeur-de-jeu.html',
+  '/directeur-de-jeu-pointage.html',
+  '/directeur-de-jeu-poules.html',
+  '/directeur-de-jeu-matchs.html',
+  '/directeur-de-jeu-bracket.html',
+  '/directeur-de-jeu-classement.html',
+  '/directeur-de-jeu-barrage.html',
+  '/directeur-de-jeu-swiss.html',
+  '/directeur-de-jeu-recap.html',
+  '/guide-utilisateur-ddj.html'
+];
+
+function isDdjPage(url) {
+  try {
+    const path = new URL(url).pathname;
+    return DDJ_PAGES.includes(path);
+  } catch (e) {
+    return false;
+  }
+}
+
+function isCacheableApi(path) {
+  return path.startsWith('/api/directeur-jeu/')
+    || path.startsWith('/api/settings/');
+}
+
+self.addEventListener('install', (event) => {
+  // Pre-cache the page shells; best effort (one 404 must not abort install)
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache =>
+      Promise.all(DDJ_PAGES.map(p => cache.add(p).catch(() => null)))
+    ).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(k => k.startsWith('ddj-offline-') && k !== CACHE_NAME).map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    // Exact match first, then ignore ?v= cache-busters on static assets
+    const cached = await cache.match(request)
+      || await cache.match(request, { ignoreSearch: !new URL(request.url).pathname.startsWith('/api/') });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  // Never cache auth or the live TV stream
+  if (url.pathname.startsWith('/api/auth') || url.pathname.startsWith('/api/public/')) return;
+
+  if (request.mode === 'navigate') {
+    if (isDdjPage(request.url)) event.respondWith(networkFirst(request));
+    return;
+  }
+  if (url.pathname.startsWith('/api/') && !isCacheableApi(url.pathname)) return;
+
+  event.respondWith((async () => {
+    const client = event.clientId ? await self.clients.get(event.clientId) : null;
+    if (!client || !isDdjPage(client.url)) return fetch(request);
+    return networkFirst(request);
+  })());
+});
@@ -199,6 +199,7 @@ async function injectDdJNavLink() {
         const link = document.createElement('a');
         link.href = 'directeur-de-jeu.html';
         link.className = 'admin-only';
+        link.dataset.permission = 'ddj.access';
         link.innerHTML = '<span class="nav-icon">🎮</span>Directeur de Jeu';
         panel.appendChild(link);
         return;
@@ -211,6 +212,7 @@ async function injectDdJNavLink() {
     const ddjLink = document.createElement('a');
     ddjLink.href = 'directeur-de-jeu.html';
     ddjLink.className = 'admin-only nav-tooltip';
+    ddjLink.dataset.permission = 'ddj.access';
     ddjLink.setAttribute('data-tooltip', 'Gestion des compétitions du jour (Directeur de Jeu)');
     ddjLink.textContent = 'DdJ';
     compLink.insertAdjacentElement('afterend', ddjLink);
@@ -62,7 +62,7 @@ document.addEventListener('click', function(e) {
     if (url.startsWith('/api/') && response.status === 401) {
       console.log('[Auth] API returned 401, session expired');
       // Don't redirect for login endpoints
-      if (!url.includes('/auth/login') && !url.includes('/auth/forgot')) {
+      if (!url.includes('/auth/login') && !url.includes('/auth/forgot') && !url.includes('/auth/logout')) {
         handleSessionExpired();
       }
     }
@@ -128,6 +128,7 @@ function handleSessionExpired() {
   sessionStorage.removeItem('orgSlug');
   sessionStorage.removeItem('sa_token');
   sessionStorage.removeItem('activeOrgSession');
+  clearStoredPermissions();
 
   // Store message for login page to display
   sessionStorage.setItem('sessionExpiredMessage', 'Votre session a expiré. Veuillez vous reconnecter.');
@@ -196,6 +197,11 @@ function logout() {
   // Preserve org context before clearing
   const orgSlug = sessionStorage.getItem('orgSlug');
 
+  // V 2.0.898 — Close the session server-side (the SA session too when
+  // leaving from an impersonated CDB)
+  closeServerSession(sessionStorage.getItem('token'));
+  closeServerSession(sessionStorage.getItem('sa_token'));
+
   sessionStorage.removeItem('token');
   sessionStorage.removeItem('username');
   sessionStorage.removeItem('role');
@@ -207,6 +213,7 @@ function logout() {
   sessionStorage.removeItem('orgSlug');
   sessionStorage.removeItem('sa_token');
   sessionStorage.removeItem('activeOrgSession');
+  clearStoredPermissions();
 
   // SA users get the neutral SA login screen
   if (wasSuperAdmin || hadSaToken) {
@@ -219,6 +226,20 @@ function logout() {
   }
 }
 
+/**
+ * Close a session on the server (POST /api/auth/logout). Fire-and-forget:
+ * keepalive lets the request finish while the page navigates away.
+ * @param {string|null} token - Session token to close
+ */
+function closeServerSession(token) {
+  if (!token) return;
+  fetch('/api/auth/logout', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${token}` },
+    keepalive: true
+  }).catch(() => {});
+}
+
 /**
  * Return to Super Admin from an impersonated CDB session.
  * Restores the SA token and navigates to SA pages.
@@ -230,6 +251,9 @@ function returnToSuperAdmin() {
     window.location.href = 'super-admin.html';
     return;
   }
+  // The impersonation session is closed, the SA session goes on
+  closeServerSession(sessionStorage.getItem('token'));
+
   // Restore SA token
   sessionStorage.setItem('token', saToken);
   sessionStorage.removeItem('sa_token');
@@ -319,6 +343,119 @@ if (sessionStorage.getItem('token')) {
   else document.addEventListener('DOMContentLoaded', apply);
 })();
 
+// ============================================
+// Permissions (V 2.0.897)
+// ============================================
+// The API enforces named permissions (inscriptions.write, ddj.score…);
+// the pages hide what the user can't do. Tag an element with
+// data-permission="emailing.send" (or "a|b" = any of them) and it is hidden
+// when the user lacks the permission — including elements rendered later.
+
+/**
+ * Permissions of the current user (login / GET /api/auth/me).
+ * @returns {string[]|null} null when unknown (session opened before
+ *   V 2.0.897): nothing is hidden, the API still checks every call.
+ */
+function getUserPermissions() {
+  try {
+    const raw = sessionStorage.getItem('permissions');
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getTournamentGrants() {
+  try {
+    return JSON.parse(sessionStorage.getItem('tournamentGrants') || '[]');
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * @param {string} permission - e.g. 'inscriptions.write'
+ * @param {number} [tournoiId] - also accepts a grant on this tournament
+ *   (without it, a grant on any tournament counts)
+ * @returns {boolean}
+ */
+function hasPermission(permission, tournoiId) {
+  if (sessionStorage.getItem('isSuperAdmin') === 'true') return true;
+  const permissions = getUserPermissions();
+  if (!permissions) return true;
+  if (permissions.includes(permission)) return true;
+  return getTournamentGrants().some(g =>
+    (g.permissions || []).includes(permission) &&
+    (tournoiId === undefined || tournoiId === null || g.tournoi_id === Number(tournoiId))
+  );
+}
+
+/**
+ * Store the permissions returned by POST /api/auth/login or GET /api/auth/me
+ */
+function storePermissions(data) {
+  if (!data || !Array.isArray(data.permissions)) return;
+  sessionStorage.setItem('permissions', JSON.stringify(data.permissions));
+  sessionStorage.setItem('tournamentGrants', JSON.stringify(data.tournament_grants || []));
+  sessionStorage.setItem('permissionsCheckedAt', String(Date.now()));
+}
+
+function clearStoredPermissions() {
+  sessionStorage.removeItem('permissions');
+  sessionStorage.removeItem('tournamentGrants');
+  sessionStorage.removeItem('permissionsCheckedAt');
+}
+
+function _permissionAllowed(el) {
+  return el.dataset.permission.split('|').some(p => hasPermission(p.trim()));
+}
+
+/**
+ * Hide the [data-permission] elements the user can't use
+ * @param {Element|Document} root
+ */
+function applyPermissions(root = document) {
+  const elements = [];
+  if (root.nodeType === 1 && root.hasAttribute('data-permission')) elements.push(root);
+  if (root.querySelectorAll) elements.push(...root.querySelectorAll('[data-permission]'));
+  elements.forEach(el => {
+    // Class (!important in styles.css) so page scripts that show
+    // .admin-only elements afterwards can't bring them back
+    el.classList.toggle('permission-hidden', !_permissionAllowed(el));
+  });
+}
+
+(function initPermissions() {
+  const start = () => {
+    applyPermissions();
+    // Lists and modals rendered after load
+    new MutationObserver(mutations => {
+      for (const m of mutations) {
+        m.addedNodes.forEach(node => {
+          if (node.nodeType === 1) applyPermissions(node);
+        });
+      }
+    }).observe(document.body, { childList: true, subtree: true });
+
+    // Role edits apply without logging out: refresh every 5 minutes
+    const token = sessionStorage.getItem('token');
+    const checkedAt = parseInt(sessionStorage.getItem('permissionsCheckedAt') || '0', 10);
+    if (token && Date.now() - checkedAt > 5 * 60 * 1000) {
+      fetch('/api/auth/me', { headers: { 'Authorization': `Bearer ${token}` } })
+        .then(res => res.ok ? res.json() : null)
+        .then(data => {
+          if (data) {
+            storePermissions(data);
+            applyPermissions();
+          }
+        })
+        .catch(() => {});
+    }
+  };
+  if (document.body) start();
+  else document.addEventListener('DOMContentLoaded', start);
+})();
+
 // ============================================
 // Role-based navbar filtering
 // ============================================
@@ -338,8 +475,11 @@ function applyRoleBasedNav() {
     // Admin and lecteur see everything, including admin-only
     document.querySelectorAll('.admin-only').forEach(el => el.style.display = '');
   } else {
-    // Non-admin: hide admin-only
-    document.querySelectorAll('.admin-only').forEach(el => el.style.display = 'none');
+    // Non-admin: hide admin-only, unless a permission the user holds
+    // unlocks it (custom roles, V 2.0.897)
+    document.querySelectorAll('.admin-only').forEach(el => {
+      el.style.display = (el.dataset.permission && getUserPermissions() && _permissionAllowed(el)) ? '' : 'none';
+    });
   }
 
   // Lecteur: show everything but disable all write actions
@@ -380,4 +520,6 @@ function applyRoleBasedNav() {
       return;
     }
   }
+
+  applyPermissions();
 }
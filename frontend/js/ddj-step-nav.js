@@ -193,17 +193,38 @@
    * In 'single_poule' mode, steps 4 (Tableau final) and 5 (Classement)
    * are greyed out and made non-clickable; clicking either redirects
    * directly to the Récapitulatif page instead.
+   * V 2.0.884 — 'swiss' does the same and points step 3 at the Swiss page.
    */
   window.ddjSetMode = function ddjSetMode(mode) {
-    if (mode !== 'single_poule') return;
+    if (mode !== 'single_poule' && mode !== 'swiss') return;
     const compId = new URLSearchParams(window.location.search).get('compId');
     const dots = document.querySelectorAll('.ddj-steps .dot');
+    // V 2.0.884 — Swiss system: step 3 becomes "Rondes suisses" (the
+    // Swiss page), tableau final and classement don't apply.
+    if (mode === 'swiss' && dots[3]) {
+      const fresh = dots[3].cloneNode(false);
+      fresh.setAttribute('data-step-name', 'Rondes suisses');
+      fresh.title = 'Rondes suisses';
+      if (dots[3].classList.contains('active')) {
+        const tag = document.createElement('div');
+        tag.className = 'ddj-active-label';
+        tag.textContent = 'Rondes suisses';
+        fresh.appendChild(tag);
+      } else if (compId) {
+        fresh.style.cursor = 'pointer';
+        fresh.addEventListener('click', () => {
+          window.location.href = 'directeur-de-jeu-swiss.html?compId=' + encodeURIComponent(compId);
+        });
+      }
+      dots[3].parentNode.replaceChild(fresh, dots[3]);
+    }
+    const naLabel = mode === 'swiss' ? 'système suisse' : 'poule unique';
     [4, 5].forEach(idx => {
       const dot = dots[idx];
       if (!dot) return;
       dot.style.opacity = '0.3';
       dot.style.cursor = 'not-allowed';
-      dot.title = 'Non applicable — poule unique';
+      dot.title = 'Non applicable — ' + naLabel;
       dot.setAttribute('data-step-name', (STEP_LABELS[idx] || '') + ' (non applicable)');
       // Replace the node to strip previous click/keyboard listeners
       const fresh = dot.cloneNode(true);
@@ -0,0 +1,418 @@
+/* =========================================================================
+   V 2.0.883 — DdJ offline queue
+   =========================================================================
+
+   Loaded on every DdJ page right after auth-utils.js. Wraps the global
+   `authFetch` so that, when the network is down, score edits are kept
+   locally instead of being lost:
+
+     - PUT  /competitions/:id/{poule-matches,bracket,consolante,barrage,swiss}
+     - POST /competitions/:id/{poule-matches,bracket,consolante,swiss}/start
+
+   are stored in localStorage (survives a reload / the tablet going to
+   sleep) and answered with a synthetic 202 so the page flow continues.
+   Every other write fails as before — generating poules or changing the
+   session offline would be too risky to replay blindly.
+
+   Each queued write carries `_expected`: the started_at / finished_at /
+   entered_at of the match as last read from the server (GET responses
+   are indexed on the fly). On reconnect the queue is replayed in order;
+   the backend answers 409 when the match moved in the meantime and the
+   DdJ picks "garder la version serveur" or "écraser avec ma saisie".
+
+   While writes are pending, GET responses of the match lists are patched
+   with the queued scores so the page shows what the DdJ typed.
+
+   Public API (window.DjOffline):
+     - start(tournoiId, { onChange })   -> begin replay loop + listeners
+     - status()                         -> { online, pending, conflicts, failed }
+     - replay()                         -> force a replay attempt now
+     - openQueueDialog()                -> review pending writes / conflicts
+   ========================================================================= */
+
+(function () {
+  'use strict';
+
+  if (typeof window.authFetch !== 'function') return;
+
+  const STORAGE_KEY = 'ddjOfflineQueue';
+  const REPLAY_INTERVAL_MS = 15000;
+  const rawAuthFetch = window.authFetch;
+
+  const WRITE_RE = /\/api\/directeur-jeu\/competitions\/(\d+)\/(poule-matches|bracket|consolante|barrage|swiss)(\/start)?$/;
+  const LIST_RE = /\/api\/directeur-jeu\/competitions\/(\d+)\/(poule-matches|bracket|consolante|barrage|swiss)$/;
+  const KIND_BY_SEGMENT = { 'poule-matches': 'poule', bracket: 'bracket', consolante: 'consolante', barrage: 'barrage', swiss: 'swiss' };
+
+  const state = {
+    tournoiId: null,
+    onChange: null,
+    replaying: false,
+    timer: null,
+    // 'kind:key' → { started_at, finished_at, entered_at } as last read
+    baselines: new Map()
+  };
+
+  // -------------------------------------------------------------------------
+  // Queue storage
+  // -------------------------------------------------------------------------
+  function loadQueue() {
+    try { return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'); }
+    catch (e) { return []; }
+  }
+  function saveQueue(queue) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+    notify();
+  }
+  function notify() {
+    if (typeof state.onChange === 'function') {
+      try { state.onChange(status()); } catch (e) { console.error('[DjOffline] onChange', e); }
+    }
+  }
+
+  function status() {
+    const queue = loadQueue().filter(op => !state.tournoiId || op.tournoiId === state.tournoiId);
+    return {
+      online: navigator.onLine !== false,
+      pending: queue.filter(op => op.status === 'pending').length,
+      conflicts: queue.filter(op => op.status === 'conflict').length,
+      failed: queue.filter(op => op.status === 'failed').length
+    };
+  }
+
+  function matchKey(kind, body) {
+    if (kind === 'poule') return `poule:${body.poule_number}-${body.match_number}`;
+    if (kind === 'barrage') return `barrage:${body.match_number}`;
+    if (kind === 'swiss') return `swiss:${body.round_number}-${body.match_number}`;
+    return `${kind}:${String(body.phase || '').toUpperCase()}`;
+  }
+
+  function pick(m) {
+    return m
+      ? { started_at: m.started_at || null, finished_at: m.finished_at || null, entered_at: m.entered_at || null }
+      : null;
+  }
+
+  // Remember the server state of every match we see, for _expected.
+  function indexList(kind, data) {
+    if (!data) return;
+    if (kind === 'poule') {
+      for (const p of data.poules || []) {
+        for (const m of p.matches || []) {
+          state.baselines.set(matchKey('poule', { poule_number: p.number, match_number: m.match_number }), pick(m));
+        }
+      }
+    } else if (kind === 'barrage') {
+      for (const m of data.matches || []) state.baselines.set(matchKey('barrage', m), pick(m));
+    } else if (kind === 'swiss') {
+      for (const r of data.rounds || []) {
+        for (const m of r.matches || []) state.baselines.set(matchKey('swiss', m), pick(m));
+      }
+    } else {
+      for (const ph of data.phases || []) state.baselines.set(matchKey(kind, ph), pick(ph));
+    }
+  }
+
+  // Show queued scores in the lists the page reads back after a save.
+  const SCORE_FIELDS = ['p1_points', 'p1_reprises', 'p1_serie', 'p1_points_subis',
+                        'p2_points', 'p2_reprises', 'p2_serie', 'p2_points_subis',
+                        'referee_name', 'referee_licence'];
+  function overlayPending(kind, tournoiId, data) {
+    const ops = loadQueue().filter(op => op.tournoiId === tournoiId && op.kind === kind && op.status !== 'failed');
+    if (ops.length === 0 || !data) return false;
+    const find = (body) => {
+      if (kind === 'poule') {
+        const p = (data.poules || []).find(pp => pp.number === parseInt(body.poule_number, 10));
+        return p && (p.matches || []).find(m => m.match_number === parseInt(body.match_number, 10));
+      }
+      if (kind === 'barrage') return (data.matches || []).find(m => m.match_number === parseInt(body.match_number, 10));
+      if (kind === 'swiss') {
+        const r = (data.rounds || []).find(rr => rr.round_number === parseInt(body.round_number, 10));
+        return r && (r.matches || []).find(m => m.match_number === parseInt(body.match_number, 10));
+      }
+      return (data.phases || []).find(ph => ph.phase === String(body.phase || '').toUpperCase());
+    };
+    for (const op of ops) {
+      const m = find(op.body);
+      if (!m) continue;
+      if (op.isStart) {
+        m.started_at = m.started_at || op.queuedAt;
+      } else {
+        for (const f of SCORE_FIELDS) if (op.body[f] !== undefined) m[f] = op.body[f];
+      }
+      m.pending_sync = true;
+    }
+    return true;
+  }
+
+  function jsonResponse(status, payload) {
+    return new Response(JSON.stringify(payload), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  function isNetworkError(err) {
+    // fetch() rejects with a TypeError when the request never reached the
+    // server; authFetch's own 'Session expirée' is a plain Error.
+    return err instanceof TypeError;
+  }
+
+  function enqueue(url, options, kind, isStart, tournoiId) {
+    let body = {};
+    try { body = options.body ? JSON.parse(options.body) : {}; } catch (e) { /* keep {} */ }
+    const key = matchKey(kind, body);
+    const queue = loadQueue();
+    // Only the first queued write for a match is checked against the
+    // server: the following ones build on it. No baseline (list never
+    // loaded on this device) = no check.
+    const chained = queue.some(op => op.key === key && op.tournoiId === tournoiId && op.status !== 'failed');
+    queue.push({
+      id: Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+      tournoiId,
+      url,
+      method: options.method,
+      kind,
+      isStart,
+      key,
+      body,
+      expected: chained || !state.baselines.has(key) ? undefined : state.baselines.get(key),
+      queuedAt: new Date().toISOString(),
+      status: 'pending'
+    });
+    saveQueue(queue);
+  }
+
+  // -------------------------------------------------------------------------
+  // authFetch wrapper
+  // -------------------------------------------------------------------------
+  function queued(url, options, kind, isStart, tournoiId) {
+    enqueue(url, options, kind, isStart, tournoiId);
+    scheduleReplay();
+    if (navigator.onLine === false && window.DjV3 && DjV3.guideMessage) {
+      DjV3.guideMessage('📴 Pas de réseau — saisie gardée sur cet appareil, elle sera envoyée automatiquement.', 'warning');
+    }
+    return jsonResponse(202, { ok: true, queued: true, offline: true });
+  }
+
+  async function offlineAuthFetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const path = String(url).split('?')[0];
+
+    if (method === 'GET') {
+      const list = path.match(LIST_RE);
+      const response = await rawAuthFetch(url, options);
+      if (!list || !response.ok) return response;
+      const kind = KIND_BY_SEGMENT[list[2]];
+      try {
+        const data = await response.clone().json();
+        indexList(kind, data);
+        if (overlayPending(kind, parseInt(list[1], 10), data)) {
+          return jsonResponse(response.status, data);
+        }
+      } catch (e) { /* not JSON — leave as is */ }
+      return response;
+    }
+
+    const write = path.match(WRITE_RE);
+    const queueable = write && (method === 'PUT' ? !write[3] : (method === 'POST' && !!write[3] && write[2] !== 'barrage'));
+    if (!queueable) return rawAuthFetch(url, options);
+
+    const tournoiId = parseInt(write[1], 10);
+    const kind = KIND_BY_SEGMENT[write[2]];
+    const isStart = !!write[3];
+    // Keep the order of writes on a match: if anything is still queued,
+    // this one goes behind it rather than overtaking it.
+    const hasBacklog = loadQueue().some(op => op.tournoiId === tournoiId && op.status === 'pending');
+    if (navigator.onLine === false || hasBacklog) {
+      const response = queued(url, options, kind, isStart, tournoiId);
+      if (navigator.onLine !== false) replay();
+      return response;
+    }
+    try {
+      return await rawAuthFetch(url, options);
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+      return queued(url, options, kind, isStart, tournoiId);
+    }
+  }
+
+  window.authFetch = offlineAuthFetch;
+
+  // -------------------------------------------------------------------------
+  // Replay
+  // -------------------------------------------------------------------------
+  async function sendOp(op, force) {
+    const body = Object.assign({}, op.body);
+    if (!force && op.expected !== undefined) body._expected = op.expected;
+    return rawAuthFetch(op.url, {
+      method: op.method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  // Patch one queued write in place (re-reading storage each time so a
+  // write queued while a replay is running is never lost).
+  function updateOp(id, patch) {
+    const queue = loadQueue();
+    const op = queue.find(o => o.id === id);
+    if (op) Object.assign(op, patch);
+    saveQueue(queue);
+  }
+
+  async function replay() {
+    if (state.replaying || navigator.onLine === false) return;
+    state.replaying = true;
+    let sent = 0;
+    try {
+      const ids = loadQueue().filter(op => op.status === 'pending').map(op => op.id);
+      for (const id of ids) {
+        const queue = loadQueue();
+        const op = queue.find(o => o.id === id);
+        if (!op || op.status !== 'pending') continue;
+        // A conflict on an earlier write of the same match blocks the
+        // following ones until the DdJ has decided.
+        if (queue.some(o => o.key === op.key && o.tournoiId === op.tournoiId && o.status === 'conflict')) continue;
+        let response;
+        try {
+          response = await sendOp(op, false);
+        } catch (err) {
+          if (isNetworkError(err)) break; // still offline — retry later
+          throw err;
+        }
+        const data = await response.json().catch(() => ({}));
+        if (response.ok) {
+          saveQueue(loadQueue().filter(o => o.id !== id));
+          sent++;
+        } else if (response.status === 409 && data.conflict) {
+          updateOp(id, { status: 'conflict', server: data.server || null });
+        } else {
+          updateOp(id, { status: 'failed', error: data.error || ('Erreur ' + response.status) });
+        }
+      }
+      if (sent > 0 && window.DjV3 && DjV3.guideMessage) {
+        DjV3.guideMessage(`📶 Réseau rétabli — ${sent} saisie${sent > 1 ? 's' : ''} envoyée${sent > 1 ? 's' : ''}.`, 'success');
+      }
+      const s = status();
+      if (s.conflicts > 0 && window.DjV3 && DjV3.guideMessage) {
+        DjV3.guideMessage(`⚠️ ${s.conflicts} conflit${s.conflicts > 1 ? 's' : ''} à résoudre — cliquez sur l'indicateur hors ligne.`, 'action');
+      }
+    } finally {
+      state.replaying = false;
+    }
+  }
+
+  function scheduleReplay() {
+    if (state.timer) return;
+    state.timer = setInterval(() => {
+      if (status().pending === 0) {
+        clearInterval(state.timer);
+        state.timer = null;
+        return;
+      }
+      replay();
+    }, REPLAY_INTERVAL_MS);
+  }
+
+  // -------------------------------------------------------------------------
+  // Review dialog (pending writes, conflicts, failures)
+  // -------------------------------------------------------------------------
+  function escapeHtml(s) {
+    return String(s == null ? '' : s)
+      .replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;')
+      .replaceAll('"', '&quot;').replaceAll("'", '&#39;');
+  }
+
+  function opLabel(op) {
+    const b = op.body || {};
+    const what = op.kind === 'poule' ? `Poule ${b.poule_number} · Match ${b.match_number}`
+      : op.kind === 'barrage' ? `Barrage · Match ${b.match_number}`
+      : op.kind === 'swiss' ? `Ronde ${b.round_number} · Match ${b.match_number}`
+      : `${op.kind === 'bracket' ? 'Phase finale' : 'Classement'} · ${String(b.phase || '').toUpperCase()}`;
+    return `${what} — ${op.isStart ? 'démarrage' : `score ${b.p1_points ?? '?'} - ${b.p2_points ?? '?'}`}`;
+  }
+
+  function openQueueDialog() {
+    const backdrop = document.createElement('div');
+    backdrop.className = 'djv3-modal-backdrop';
+    backdrop.addEventListener('click', () => backdrop.remove());
+    const modal = document.createElement('div');
+    modal.className = 'djv3-modal';
+    modal.style.maxWidth = '620px';
+    modal.addEventListener('click', e => e.stopPropagation());
+    backdrop.appendChild(modal);
+    document.body.appendChild(backdrop);
+
+    const render = () => {
+      const queue = loadQueue().filter(op => op.tournoiId === state.tournoiId);
+      const time = (iso) => iso ? new Date(iso).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' }) : '—';
+      const rows = queue.length === 0
+        ? '<p style="color:#888;">Aucune saisie en attente.</p>'
+        : queue.map(op => {
+            let detail = '<span style="color:#b9770e;">En attente du réseau</span>';
+            let actions = '';
+            if (op.status === 'conflict') {
+              const sv = op.server;
+              detail = `<span style="color:#c0392b;font-weight:600;">Conflit</span> — sur le serveur :
+                ${sv ? `score ${sv.p1_points ?? '—'} - ${sv.p2_points ?? '—'}, modifié à ${time(sv.entered_at || sv.started_at)}${sv.entry_source && sv.entry_source.startsWith('table_') ? ' (tablette)' : ''}` : 'match réinitialisé'}`;
+              actions = `<button type="button" class="djv3-btn-secondary" data-keep="${op.id}">Garder la version serveur</button>
+                         <button type="button" class="djv3-btn-primary" data-force="${op.id}">Écraser avec ma saisie</button>`;
+            } else if (op.status === 'failed') {
+              detail = `<span style="color:#c0392b;">Refusé : ${escapeHtml(op.error)}</span>`;
+              actions = `<button type="button" class="djv3-btn-secondary" data-keep="${op.id}">Supprimer</button>`;
+            }
+            return `<div style="border:1px solid #eee;border-radius:6px;padding:10px;margin-bottom:8px;">
+              <div style="font-weight:600;color:#1a5276;">${escapeHtml(opLabel(op))}</div>
+              <div style="font-size:13px;margin:4px 0;">Saisi hors ligne à ${time(op.queuedAt)} · ${detail}</div>
+              ${actions ? `<div style="display:flex;gap:8px;justify-content:flex-end;">${actions}</div>` : ''}
+            </div>`;
+          }).join('');
+      modal.innerHTML = `
+        <h3>📴 Saisies hors ligne</h3>
+        <p style="color:#444;margin:6px 0 12px;">${navigator.onLine === false
+          ? 'Pas de réseau : vos saisies sont gardées sur cet appareil et seront envoyées automatiquement.'
+          : 'Réseau disponible.'}</p>
+        ${rows}
+        <div class="djv3-modal-actions">
+          <button class="djv3-btn-secondary" data-act="close">Fermer</button>
+          <button class="djv3-btn-primary" data-act="replay">Envoyer maintenant</button>
+        </div>`;
+      modal.querySelector('[data-act="close"]').addEventListener('click', () => backdrop.remove());
+      modal.querySelector('[data-act="replay"]').addEventListener('click', async () => { await replay(); render(); });
+      modal.querySelectorAll('[data-keep]').forEach(btn => btn.addEventListener('click', () => {
+        saveQueue(loadQueue().filter(op => op.id !== btn.dataset.keep));
+        render();
+      }));
+      modal.querySelectorAll('[data-force]').forEach(btn => btn.addEventListener('click', async () => {
+        const queue = loadQueue();
+        const op = queue.find(o => o.id === btn.dataset.force);
+        if (!op) return;
+        try {
+          const r = await sendOp(op, true);
+          const data = await r.json().catch(() => ({}));
+          if (!r.ok) throw new Error(data.error || ('Erreur ' + r.status));
+          saveQueue(queue.filter(o => o.id !== op.id));
+          await replay(); // unblock the following writes of the same match
+        } catch (e) {
+          alert(e.message);
+        }
+        render();
+      }));
+    };
+    render();
+  }
+
+  function start(tournoiId, opts) {
+    state.tournoiId = parseInt(tournoiId, 10) || null;
+    state.onChange = opts && opts.onChange;
+    window.addEventListener('online', () => { notify(); replay(); });
+    window.addEventListener('offline', notify);
+    notify();
+    if (status().pending > 0) {
+      replay();
+      scheduleReplay();
+    }
+  }
+
+  window.DjOffline = { start, status, replay, openQueueDialog };
+})();
@@ -82,6 +82,9 @@
     /* V 2.0.713 — admin-only "Effacer tous les scores" button */
     .djv3-session-bar .djv3-sb-btn-danger { background: #c0392b; color: white; }
     .djv3-session-bar .djv3-sb-btn-danger:hover { background: #a32e22; }
+    /* V 2.0.883 — offline indicator (hidden while online with an empty queue) */
+    .djv3-session-bar .djv3-sb-btn-offline { background: #fef2f2; color: #b91c1c; border: 1px solid #fca5a5; }
+    .djv3-session-bar .djv3-sb-btn-offline.syncing { background: #fffbeb; color: #b45309; border-color: #fcd34d; }
 
     /* V 2.0.715 — mobile adaptation. The 6-button bar overflows on phones;
        below 640px we collapse the info line to full width and lay the
@@ -306,9 +309,11 @@
         <span class="djv3-sb-text">Session non configurée</span>
       </div>
       <div class="djv3-sb-actions">
+        <button type="button" class="djv3-sb-btn djv3-sb-btn-offline" data-action="offline" style="display:none;"></button>
         <button type="button" class="djv3-sb-btn djv3-sb-btn-secondary" data-action="planning">📋 Planning</button>
         <button type="button" class="djv3-sb-btn djv3-sb-btn-secondary" data-action="drawer">État</button>
         <button type="button" class="djv3-sb-btn djv3-sb-btn-secondary" data-action="tv">📺 TV</button>
+        <button type="button" class="djv3-sb-btn djv3-sb-btn-secondary" data-action="tablets">📱 Tablettes</button>
         <button type="button" class="djv3-sb-btn djv3-sb-btn-secondary" data-action="help">❓ Aide</button>
         ${(sessionStorage.getItem('userRole') === 'admin')
           ? '<button type="button" class="djv3-sb-btn djv3-sb-btn-danger" data-action="reset">🧨 Effacer</button>'
@@ -336,6 +341,14 @@
       e.stopPropagation();
       openTvDialog();
     });
+    bar.querySelector('[data-action="offline"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (window.DjOffline) DjOffline.openQueueDialog();
+    });
+    bar.querySelector('[data-action="tablets"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      openTabletsDialog();
+    });
     // V 2.0.713 — Aide: open the dedicated DdJ guide in a new tab.
     bar.querySelector('[data-action="help"]').addEventListener('click', (e) => {
       e.stopPropagation();
@@ -482,7 +495,7 @@
         <button type="button" id="djv3-tv-copy" class="djv3-btn-primary"
                 style="padding:10px 14px;border:0;border-radius:6px;background:#1a5276;color:white;font-weight:600;cursor:pointer;">Copier</button>
       </div>
-      <p style="font-size:12px;color:#888;margin-bottom:18px;">Pour rafraîchissement auto toutes les 5 secondes.</p>
+      <p style="font-size:12px;color:#888;margin-bottom:18px;">L'écran se met à jour en direct à chaque score enregistré.</p>
 
       <label>Lien court (sans numéro de tournoi)</label>
       <div style="display:flex;gap:6px;margin-bottom:6px;">
@@ -526,6 +539,171 @@
     });
   }
 
+  // V 2.0.881 — Per-table scorer tablets. One row per session table:
+  // generate a pairing code (+ QR to ddj-scorer.html?code=...), see which
+  // tablets are connected, disconnect one. Below, the matches entered from
+  // a tablet or locked by the DdJ, with a lock / unlock toggle — a locked
+  // match can only be changed from the DdJ screen.
+  async function openTabletsDialog() {
+    if (!state.tournoiId) return;
+    if (!state.session) {
+      guideMessage('Configurez d\'abord la session (bouton Modifier).', 'warning');
+      return;
+    }
+    const base = `/api/directeur-jeu/competitions/${state.tournoiId}`;
+    const tableNumbers = (state.session.table_numbers && state.session.table_numbers.length)
+      ? state.session.table_numbers
+      : Array.from({ length: state.session.table_count || 0 }, (_, i) => i + 1);
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'djv3-modal-backdrop';
+    backdrop.addEventListener('click', () => backdrop.remove());
+    const modal = document.createElement('div');
+    modal.className = 'djv3-modal';
+    modal.style.maxWidth = '640px';
+    modal.addEventListener('click', e => e.stopPropagation());
+    backdrop.appendChild(modal);
+    document.body.appendChild(backdrop);
+
+    const matchLabel = (m) => {
+      if (m.kind === 'poule') return `Poule ${m.poule_number} · Match ${m.match_number}`;
+      if (m.kind === 'barrage') return `Barrage · Match ${m.match_number}`;
+      if (m.kind === 'swiss') return `Ronde ${m.round_number} · Match ${m.match_number}`;
+      return `${m.kind === 'bracket' ? 'Phase finale' : 'Classement'} · ${m.phase}`;
+    };
+
+    const render = async () => {
+      let data = { tablets: [], matches: [] };
+      try {
+        const r = await authFetch(`${base}/scorers`);
+        data = await r.json();
+        if (!r.ok) throw new Error(data.error || 'Erreur');
+      } catch (e) {
+        modal.innerHTML = `<h3>📱 Tablettes de table</h3><p style="color:#c0392b;">${escapeHtml(e.message)}</p>
+          <div class="djv3-modal-actions"><button class="djv3-btn-secondary" data-act="close">Fermer</button></div>`;
+        modal.querySelector('[data-act="close"]').addEventListener('click', () => backdrop.remove());
+        return;
+      }
+      const byTable = new Map(data.tablets.map(t => [t.table_number, t]));
+      const rows = tableNumbers.map(n => {
+        const t = byTable.get(n);
+        let status = '<span style="color:#888;">Aucune tablette</span>';
+        let extra = '';
+        if (t && t.status === 'paired') {
+          status = `<span style="color:#1e8449;font-weight:600;">Connectée</span>
+                    <span style="color:#888;font-size:12px;">· vue ${formatTime(t.last_seen_at)}</span>`;
+        } else if (t && t.pairing_code) {
+          const link = `${window.location.origin}/ddj-scorer.html?code=${t.pairing_code}`;
+          status = `<span style="font-family:monospace;font-size:20px;letter-spacing:3px;font-weight:700;color:#1a5276;">${escapeHtml(t.pairing_code)}</span>`;
+          extra = `<div style="margin-top:6px;"><img src="/api/public/dj/qr?text=${encodeURIComponent(link)}&size=140" alt="QR code" width="110" height="110"
+                    style="background:white;border-radius:6px;padding:4px;"></div>`;
+        } else if (t) {
+          status = '<span style="color:#b9770e;">Code expiré</span>';
+        }
+        return `<tr>
+          <td style="padding:8px 6px;font-weight:700;">Table ${n}</td>
+          <td style="padding:8px 6px;">${status}${extra}</td>
+          <td style="padding:8px 6px;text-align:right;white-space:nowrap;">
+            <button type="button" class="djv3-btn-primary" data-code="${n}">${t ? 'Nouveau code' : 'Générer un code'}</button>
+            ${t ? `<button type="button" class="djv3-btn-secondary" data-revoke="${t.id}">Déconnecter</button>` : ''}
+          </td>
+        </tr>`;
+      }).join('');
+      const matchRows = data.matches.length === 0
+        ? '<tr><td colspan="4" style="padding:8px 6px;color:#888;">Aucun score saisi depuis une tablette.</td></tr>'
+        : data.matches.map((m, i) => `<tr>
+            <td style="padding:6px;">${escapeHtml(matchLabel(m))}</td>
+            <td style="padding:6px;">${m.p1_points != null ? `${m.p1_points} – ${m.p2_points}` : '—'}</td>
+            <td style="padding:6px;color:#888;font-size:12px;">${m.entry_source && m.entry_source.startsWith('table_') ? 'Tablette T' + escapeHtml(m.entry_source.slice(6)) : 'DdJ'}</td>
+            <td style="padding:6px;text-align:right;">
+              <button type="button" class="djv3-btn-secondary" data-lock="${i}">${m.locked ? '🔓 Déverrouiller' : '🔒 Verrouiller'}</button>
+            </td>
+          </tr>`).join('');
+
+      modal.innerHTML = `
+        <h3>📱 Tablettes de table</h3>
+        <p style="color:#444;margin:8px 0 14px 0;">Une tablette par table : l'arbitre y saisit le score du match en cours. Sur la tablette, ouvrez <strong>${escapeHtml(window.location.origin)}/ddj-scorer.html</strong> et tapez le code (valable 30 min), ou scannez le QR code.</p>
+        <table style="width:100%;border-collapse:collapse;">${rows}</table>
+        <h4 style="color:#1a5276;margin:18px 0 6px;">Scores saisis sur les tablettes</h4>
+        <p style="font-size:12px;color:#888;margin:0 0 6px;">Un match verrouillé ne peut plus être modifié depuis la tablette. Vous pouvez toujours corriger un score depuis l'écran DdJ.</p>
+        <table style="width:100%;border-collapse:collapse;font-size:14px;">${matchRows}</table>
+        <div class="djv3-modal-actions">
+          <button class="djv3-btn-secondary" data-act="refresh">Actualiser</button>
+          <button class="djv3-btn-primary" data-act="close">Fermer</button>
+        </div>
+      `;
+      modal.querySelector('[data-act="close"]').addEventListener('click', () => backdrop.remove());
+      modal.querySelector('[data-act="refresh"]').addEventListener('click', render);
+      modal.querySelectorAll('[data-code]').forEach(btn => btn.addEventListener('click', async () => {
+        const r = await authFetch(`${base}/scorers`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ table_number: parseInt(btn.dataset.code, 10) })
+        });
+        if (!r.ok) {
+          const err = await r.json().catch(() => ({}));
+          guideMessage(err.error || 'Erreur lors de la création du code', 'warning');
+        }
+        render();
+      }));
+      modal.querySelectorAll('[data-revoke]').forEach(btn => btn.addEventListener('click', async () => {
+        if (!confirm('Déconnecter cette tablette ? Elle devra être associée à nouveau.')) return;
+        await authFetch(`${base}/scorers/${btn.dataset.revoke}`, { method: 'DELETE' });
+        render();
+      }));
+      modal.querySelectorAll('[data-lock]').forEach(btn => btn.addEventListener('click', async () => {
+        const m = data.matches[parseInt(btn.dataset.lock, 10)];
+        const r = await authFetch(`${base}/match-lock`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            kind: m.kind, poule_number: m.poule_number, match_number: m.match_number,
+            phase: m.phase, locked: !m.locked
+          })
+        });
+        if (!r.ok) {
+          const err = await r.json().catch(() => ({}));
+          guideMessage(err.error || 'Erreur lors du verrouillage', 'warning');
+        }
+        render();
+      }));
+    };
+    modal.innerHTML = '<h3>📱 Tablettes de table</h3><p style="color:#888;">Chargement…</p>';
+    render();
+  }
+
+  // V 2.0.883 — Offline indicator in the session bar, fed by DjOffline.
+  function updateOfflineIndicator(st) {
+    const btn = document.querySelector('#djv3-session-bar [data-action="offline"]');
+    if (!btn) return;
+    const waiting = st.pending + st.conflicts + st.failed;
+    if (st.online && waiting === 0) {
+      btn.style.display = 'none';
+      return;
+    }
+    btn.style.display = '';
+    btn.classList.toggle('syncing', st.online);
+    const parts = [];
+    if (!st.online) parts.push('📴 Hors ligne');
+    if (st.pending) parts.push(`${st.pending} en attente`);
+    if (st.conflicts) parts.push(`⚠️ ${st.conflicts} conflit${st.conflicts > 1 ? 's' : ''}`);
+    if (st.failed) parts.push(`${st.failed} refusée${st.failed > 1 ? 's' : ''}`);
+    btn.textContent = parts.join(' · ');
+  }
+
+  // V 2.0.883 — Service worker: keeps the DdJ pages and their last API
+  // state available when the hall's network drops (see ddj-sw.js).
+  function registerOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/ddj-sw.js').catch(err => {
+        console.warn('[DjV3] service worker registration failed:', err && err.message);
+      });
+    }
+    if (window.DjOffline) {
+      DjOffline.start(state.tournoiId, { onChange: updateOfflineIndicator });
+    }
+  }
+
   function updateSessionBar() {
     const bar = document.getElementById('djv3-session-bar');
     if (!bar) return;
@@ -1092,6 +1270,216 @@
     } catch (e) { console.error('startMatch', e); }
   }
 
+  // V 2.0.882 — Feuille de match reprise par reprise. Opens a modal with
+  // one line per reprise (points of each player), live cumul / moyenne /
+  // meilleure série, and stops at the distance or the reprise cap. The
+  // server re-computes everything on save and refuses an impossible sheet.
+  // "Reporter sur le match" posts the computed totals through the usual
+  // score endpoint, then calls opts.onApplied() so the page reloads.
+  //   kind: 'poule' | 'bracket' | 'consolante' | 'barrage'
+  //   key:  { poule_number, match_number } | { phase } | { match_number }
+  async function openScoresheet(kind, key, opts) {
+    opts = opts || {};
+    const base = `/api/directeur-jeu/competitions/${state.tournoiId}`;
+    const qs = new URLSearchParams(Object.assign({ kind }, key)).toString();
+    let sheet;
+    try {
+      const r = await authFetch(`${base}/scoresheet?${qs}`);
+      sheet = await r.json();
+      if (!r.ok) throw new Error(sheet.error || 'Erreur');
+    } catch (e) {
+      guideMessage(e.message, 'warning');
+      return;
+    }
+    const gp = sheet.game_params || {};
+
+    // Working copy: [{ p1, p2 }] indexed by reprise - 1
+    const lines = sheet.reprises.map(l => ({
+      p1: l.p1_points != null ? l.p1_points : '',
+      p2: l.p2_points != null ? l.p2_points : ''
+    }));
+
+    // Same rules as utils/scoresheet.js, for the live display only.
+    const compute = () => {
+      const s = { p1: { total: 0, rep: 0, best: 0 }, p2: { total: 0, rep: 0, best: 0 } };
+      const rows = [];
+      let finished = false;
+      for (let i = 0; i < lines.length; i++) {
+        const row = { p1: null, p2: null };
+        for (const side of ['p1', 'p2']) {
+          const v = lines[i][side];
+          if (v === '' || v == null) continue;
+          const n = parseInt(v, 10);
+          s[side].total += n;
+          s[side].rep += 1;
+          if (n > s[side].best) s[side].best = n;
+          row[side] = s[side].total;
+        }
+        rows.push(row);
+        const complete = lines[i].p1 !== '' && lines[i].p2 !== '';
+        if (!complete) break;
+        if ((gp.distance != null && (s.p1.total >= gp.distance || s.p2.total >= gp.distance))
+            || (gp.reprises != null && i + 1 >= gp.reprises)) {
+          finished = true;
+          break;
+        }
+      }
+      return { s, rows, finished };
+    };
+    const moy = (x) => x.rep > 0 ? (x.total / x.rep).toFixed(3).replace('.', ',') : '—';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'djv3-modal-backdrop';
+    const modal = document.createElement('div');
+    modal.className = 'djv3-modal';
+    modal.style.maxWidth = '620px';
+    modal.addEventListener('click', e => e.stopPropagation());
+    backdrop.appendChild(modal);
+    document.body.appendChild(backdrop);
+    const close = () => backdrop.remove();
+
+    const cellInput = (i, side, v, disabled) =>
+      `<input type="number" min="0" inputmode="numeric" data-line="${i}" data-side="${side}" value="${escapeAttr(v)}"
+              ${disabled ? 'disabled' : ''} style="width:64px;padding:5px;text-align:center;border:1px solid #ddd;border-radius:4px;">`;
+
+    const render = () => {
+      const c = compute();
+      // Always offer one empty line after the last complete reprise,
+      // unless the match is over.
+      const last = lines[lines.length - 1];
+      if (!c.finished && (!last || (last.p1 !== '' && last.p2 !== ''))) {
+        lines.push({ p1: '', p2: '' });
+      }
+      while (c.finished && lines.length > c.rows.length) lines.pop();
+      const c2 = compute();
+
+      const body = lines.map((l, i) => {
+        const row = c2.rows[i] || {};
+        return `<tr>
+          <td style="padding:3px 6px;color:#888;text-align:center;">${i + 1}</td>
+          <td style="padding:3px 6px;">${cellInput(i, 'p1', l.p1)}</td>
+          <td style="padding:3px 6px;font-weight:600;color:#1a5276;text-align:center;">${row.p1 != null ? row.p1 : ''}</td>
+          <td style="padding:3px 6px;">${cellInput(i, 'p2', l.p2)}</td>
+          <td style="padding:3px 6px;font-weight:600;color:#1a5276;text-align:center;">${row.p2 != null ? row.p2 : ''}</td>
+        </tr>`;
+      }).join('');
+      const sumCell = (x) => `${x.total} pts · ${x.rep} rep. · moy. ${moy(x)} · série ${x.best}`;
+
+      modal.innerHTML = `
+        <h3>📝 Feuille de match — ${escapeHtml(sheet.match.label)}</h3>
+        <p style="color:#666;font-size:13px;margin:4px 0 10px;">Distance ${gp.distance ?? '?'} pts · ${gp.reprises ?? '?'} reprises max${sheet.match.table_number ? ' · Table ' + sheet.match.table_number : ''}</p>
+        <div style="max-height:52vh;overflow:auto;border:1px solid #eee;border-radius:6px;">
+          <table style="width:100%;border-collapse:collapse;font-size:14px;">
+            <thead style="position:sticky;top:0;background:#f8f9fa;">
+              <tr>
+                <th style="padding:6px;">Rep.</th>
+                <th style="padding:6px;" colspan="2">${escapeHtml(sheet.p1.name)}</th>
+                <th style="padding:6px;" colspan="2">${escapeHtml(sheet.p2.name)}</th>
+              </tr>
+            </thead>
+            <tbody>${body}</tbody>
+          </table>
+        </div>
+        <div style="font-size:13px;margin-top:10px;line-height:1.6;">
+          <div><strong>${escapeHtml(sheet.p1.name)}</strong> : ${sumCell(c2.s.p1)}</div>
+          <div><strong>${escapeHtml(sheet.p2.name)}</strong> : ${sumCell(c2.s.p2)}</div>
+          <div style="color:${c2.finished ? '#1e8449' : '#888'};font-weight:600;">${c2.finished ? '✓ Match terminé' : 'Match en cours'}</div>
+        </div>
+        <div class="djv3-sheet-error" style="color:#c0392b;font-size:13px;min-height:1.2em;margin-top:6px;"></div>
+        <div class="djv3-modal-actions">
+          <button class="djv3-btn-secondary" data-act="pdf">🖨️ PDF FFB</button>
+          <button class="djv3-btn-secondary" data-act="close">Fermer</button>
+          <button class="djv3-btn-secondary" data-act="save">Enregistrer la feuille</button>
+          <button class="djv3-btn-primary" data-act="apply" ${c2.finished ? '' : 'disabled'}>Enregistrer et reporter le score</button>
+        </div>
+      `;
+
+      modal.querySelectorAll('input[data-line]').forEach(inp => {
+        inp.addEventListener('change', () => {
+          let v = inp.value === '' ? '' : Math.max(0, parseInt(inp.value, 10) || 0);
+          // Clamp so the running total can't pass the distance
+          if (v !== '' && gp.distance != null) {
+            const i = parseInt(inp.dataset.line, 10);
+            const side = inp.dataset.side;
+            const before = lines.slice(0, i).reduce((t, l) => t + (parseInt(l[side], 10) || 0), 0);
+            v = Math.min(v, gp.distance - before);
+          }
+          lines[parseInt(inp.dataset.line, 10)][inp.dataset.side] = v;
+          const focusKey = `${inp.dataset.line}-${inp.dataset.side}`;
+          render();
+          // Move to the next cell: p1 → p2 of the same reprise → p1 of the next
+          const [li, side] = focusKey.split('-');
+          const next = side === 'p1'
+            ? modal.querySelector(`input[data-line="${li}"][data-side="p2"]`)
+            : modal.querySelector(`input[data-line="${parseInt(li, 10) + 1}"][data-side="p1"]`);
+          if (next) next.focus();
+        });
+      });
+      modal.querySelector('[data-act="close"]').addEventListener('click', close);
+      modal.querySelector('[data-act="save"]').addEventListener('click', () => save(false));
+      modal.querySelector('[data-act="apply"]').addEventListener('click', () => save(true));
+      modal.querySelector('[data-act="pdf"]').addEventListener('click', downloadPdf);
+    };
+
+    const save = async (apply) => {
+      const errEl = modal.querySelector('.djv3-sheet-error');
+      errEl.textContent = '';
+      const reprises = lines
+        .map((l, i) => ({ reprise: i + 1, p1: l.p1, p2: l.p2 }))
+        .filter(l => l.p1 !== '' || l.p2 !== '');
+      try {
+        const r = await authFetch(`${base}/scoresheet`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(Object.assign({ kind, reprises }, key))
+        });
+        const data = await r.json();
+        if (!r.ok) throw new Error(data.error || 'Erreur');
+        sheet = Object.assign(sheet, data);
+        if (apply) {
+          const endpoint = { poule: 'poule-matches', bracket: 'bracket', consolante: 'consolante', barrage: 'barrage', swiss: 'swiss' }[kind];
+          const r2 = await authFetch(`${base}/${endpoint}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign({}, key, data.totals, {
+              table_number: data.match.table_number,
+              referee_name: data.match.referee_name,
+              referee_licence: data.match.referee_licence
+            }))
+          });
+          const d2 = await r2.json().catch(() => ({}));
+          if (!r2.ok) throw new Error(d2.error || 'Erreur lors du report du score');
+          close();
+          guideMessage(`✓ Score reporté : ${data.totals.p1_points} - ${data.totals.p2_points}`, 'success');
+          if (typeof opts.onApplied === 'function') opts.onApplied();
+          return;
+        }
+        guideMessage('Feuille de match enregistrée.', 'success');
+      } catch (e) {
+        errEl.textContent = e.message;
+      }
+    };
+
+    const downloadPdf = async () => {
+      try {
+        const r = await authFetch(`${base}/scoresheet/pdf?${qs}`);
+        if (!r.ok) throw new Error('Erreur lors de la génération du PDF');
+        const blob = await r.blob();
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `Feuille_de_match_${sheet.match.label.replace(/[^\w-]+/g, '_')}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+      } catch (e) {
+        modal.querySelector('.djv3-sheet-error').textContent = e.message;
+      }
+    };
+
+    render();
+  }
+
   // V 2.0.750 — Cancel a started-but-unfinished poule match (reset → "À jouer").
   // Clears started_at on the backend; table status updates automatically on next poll.
   async function cancelMatch(args) {
@@ -1189,6 +1577,7 @@
     state.tournoiId = parseInt(tournoiId, 10);
     injectCss();
     ensureBadge();
+    registerOfflineSupport();
     await loadSession();
     await loadTablesStatus();
     startPolling();
@@ -1225,6 +1614,7 @@
     refereeAutocomplete,
     startMatch,
     cancelMatch,
+    openScoresheet,
     get session() { return state.session; },
     get tables() { return state.tables; }
   };
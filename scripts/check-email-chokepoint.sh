@@ -1,9 +1,10 @@
 #!/usr/bin/env bash
 #
 # Guard rail: the sendEmail() chokepoint in backend/utils/email-helpers.js is
-# the ONLY place allowed to call `resend.emails.send(...)` or instantiate
-# `new Resend(process.env.RESEND_API_KEY)`. Any drift means the per-org test
-# mode kill-switch and the email_test_mode_log audit trail will leak.
+# the ONLY way out for an email. The providers themselves (Resend SDK,
+# Nodemailer SMTP / outbox) live in backend/utils/email-transports.js, which
+# only email-helpers.js may require. Any drift means the per-org test mode
+# kill-switch and the email_test_mode_log audit trail will leak.
 #
 # This script scans the codebase for violations and exits non-zero if any
 # are found. Intended to be run:
@@ -21,15 +22,27 @@ set -eu
 cd "$(dirname "$0")/.."
 
 ALLOWED_FILE="backend/utils/email-helpers.js"
+TRANSPORT_FILE="backend/utils/email-transports.js"
 
-# Find raw Resend SDK usage outside the allowed file.
+# Find raw provider usage (Resend SDK, Nodemailer) outside the transport file.
 VIOLATIONS=$(
-  grep -rn --include='*.js' \
-    -E "resend\.emails\.send\(|new Resend\(process\.env" \
+  grep -rn --include='*.js' --exclude-dir=node_modules \
+    -E "\.emails\.send\(|new Resend\(|createTransport\(|\.sendMail\(" \
+    backend \
+  | grep -v "^$TRANSPORT_FILE:" \
+  | grep -vE "^[^:]+:[0-9]+:[[:space:]]*(//|\*)" \
+  || true
+)
+
+# The transport module itself must only be reached through sendEmail().
+TRANSPORT_IMPORTS=$(
+  grep -rn --include='*.js' --exclude-dir=node_modules \
+    -E "require\(.*email-transports" \
     backend \
   | grep -v "^$ALLOWED_FILE:" \
   || true
 )
+VIOLATIONS=$(printf '%s\n%s\n' "$VIOLATIONS" "$TRANSPORT_IMPORTS" | sed '/^$/d')
 
 if [ -n "$VIOLATIONS" ]; then
   echo "❌ Email chokepoint violation detected:"
@@ -41,4 +54,4 @@ if [ -n "$VIOLATIONS" ]; then
   exit 1
 fi
 
-echo "✓ Email chokepoint is clean — all Resend calls go through sendEmail()."
+echo "✓ Email chokepoint is clean — all providers are reached through sendEmail()."